@@ -0,0 +1,30 @@
+-- Migration: Wallet signing requests
+-- Created: 2026-10-19
+-- Description: Track unsigned register/upgrade/approve calls signed by the member's own wallet
+
+-- Wallet signing requests (unsigned calls handed to the user's wallet)
+CREATE TABLE IF NOT EXISTS signing_requests (
+    id TEXT PRIMARY KEY, -- UUID used in the signing link
+    user_id INTEGER NOT NULL,
+    transaction_id INTEGER, -- Row in transactions tracking this call
+    type TEXT NOT NULL, -- 'register', 'upgrade', 'approve'
+    from_address TEXT NOT NULL, -- Member wallet expected to sign
+    to_address TEXT NOT NULL,
+    data TEXT NOT NULL, -- ABI-encoded calldata
+    value TEXT DEFAULT '0',
+    chain_id INTEGER NOT NULL,
+    gas_limit TEXT,
+    status TEXT DEFAULT 'pending', -- 'pending', 'submitted', 'expired', 'cancelled'
+    tx_hash TEXT,
+    metadata TEXT, -- JSON: plan IDs, amount
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    submitted_at DATETIME,
+    
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (transaction_id) REFERENCES transactions (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_signing_user ON signing_requests (user_id);
+CREATE INDEX IF NOT EXISTS idx_signing_status ON signing_requests (status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_signing_from ON signing_requests (from_address, type);
@@ -0,0 +1,18 @@
+-- Migration: Wallet ownership challenges
+-- Created: 2026-10-19
+-- Description: Require a signed nonce message before a wallet address is linked
+
+-- Wallet ownership challenges (signed nonce messages)
+CREATE TABLE IF NOT EXISTS wallet_challenges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    telegram_id TEXT NOT NULL,
+    wallet_address TEXT NOT NULL, -- Lowercased address being claimed
+    nonce TEXT UNIQUE NOT NULL,
+    message TEXT NOT NULL, -- Exact text the wallet must sign
+    status TEXT DEFAULT 'pending', -- 'pending', 'used', 'superseded'
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    used_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_challenges_telegram ON wallet_challenges (telegram_id, status);
@@ -0,0 +1,16 @@
+-- Migration: Event indexer cursor
+-- Created: 2026-10-19
+-- Description: Persist the last indexed block and make blockchain events unique per log
+
+-- Position of each log within its transaction
+ALTER TABLE blockchain_events ADD COLUMN log_index INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_tx_log ON blockchain_events (tx_hash, log_index);
+CREATE INDEX IF NOT EXISTS idx_events_block ON blockchain_events (block_number);
+
+-- Indexer cursors (last fully processed block per stream)
+CREATE TABLE IF NOT EXISTS sync_state (
+    name TEXT PRIMARY KEY, -- 'contract_events'
+    last_block INTEGER NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,9 @@
+-- Migration: Event finality
+-- Created: 2026-10-19
+-- Description: Stage contract events until they are confirmations deep and record block hashes for reorg detection
+
+-- Events stored before this migration were applied immediately, so they count as final
+ALTER TABLE blockchain_events ADD COLUMN block_hash TEXT;
+ALTER TABLE blockchain_events ADD COLUMN status TEXT DEFAULT 'final'; -- 'seen', 'final'
+
+CREATE INDEX IF NOT EXISTS idx_events_status ON blockchain_events (status, block_number);
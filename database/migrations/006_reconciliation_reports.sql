@@ -0,0 +1,19 @@
+-- Migration: Reconciliation reports
+-- Created: 2026-10-19
+-- Description: Store the results of comparing user membership data with the contract's members()
+
+CREATE TABLE IF NOT EXISTS reconciliation_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    mode TEXT NOT NULL, -- 'dry_run', 'fix'
+    triggered_by TEXT, -- 'schedule' or the admin's telegram ID
+    status TEXT DEFAULT 'running', -- 'running', 'completed', 'failed'
+    block_number INTEGER, -- Finalized block the chain state was read at
+    users_checked INTEGER DEFAULT 0,
+    users_drifted INTEGER DEFAULT 0,
+    fixes_applied INTEGER DEFAULT 0,
+    errors INTEGER DEFAULT 0,
+    details TEXT, -- JSON: [{ telegramId, wallet, diffs: { field: { db, chain } } }]
+    error_message TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+);
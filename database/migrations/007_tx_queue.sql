@@ -0,0 +1,37 @@
+-- Migration: Outbound transaction queue
+-- Created: 2026-10-19
+-- Description: Persist operator wallet transactions so they are sent one at a time with locally tracked nonces
+
+CREATE TABLE IF NOT EXISTS tx_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transaction_id INTEGER, -- Row in transactions tracking this job
+    type TEXT NOT NULL, -- 'register', 'upgrade', 'exit'
+    method TEXT NOT NULL, -- Contract function being called
+    to_address TEXT NOT NULL,
+    data TEXT NOT NULL, -- ABI-encoded calldata
+    value TEXT DEFAULT '0',
+    gas_limit TEXT,
+    gas_price TEXT,
+    nonce INTEGER, -- Assigned when the job is signed
+    raw_tx TEXT, -- Signed bytes, rebroadcast after a restart or a dropped transaction
+    tx_hash TEXT,
+    status TEXT DEFAULT 'queued', -- 'queued', 'signed', 'sent', 'mined', 'failed'
+    attempts INTEGER DEFAULT 0, -- Failed sign/broadcast attempts
+    error_message TEXT,
+    block_number INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME,
+    mined_at DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (transaction_id) REFERENCES transactions (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tx_queue_status ON tx_queue (status, nonce);
+CREATE INDEX IF NOT EXISTS idx_tx_queue_transaction ON tx_queue (transaction_id);
+
+CREATE TRIGGER IF NOT EXISTS update_tx_queue_timestamp 
+    AFTER UPDATE ON tx_queue
+BEGIN
+    UPDATE tx_queue SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
@@ -0,0 +1,25 @@
+-- Migration: Transaction replacements
+-- Created: 2026-10-19
+-- Description: Track gas speed-ups and admin cancels that replace a stuck queued transaction at the same nonce
+
+ALTER TABLE tx_queue ADD COLUMN replacements INTEGER DEFAULT 0;
+ALTER TABLE tx_queue ADD COLUMN cancel_requested_at DATETIME;
+
+CREATE TABLE IF NOT EXISTS tx_replacements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id INTEGER NOT NULL,
+    transaction_id INTEGER, -- Member transaction the replaced job belongs to
+    kind TEXT NOT NULL, -- 'speed_up', 'cancel' (zero-value self-transfer)
+    replaced_tx_hash TEXT NOT NULL, -- Version this one replaces at the same nonce
+    tx_hash TEXT NOT NULL,
+    gas_price TEXT NOT NULL,
+    triggered_by TEXT, -- 'auto' or the admin's telegram ID
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (job_id) REFERENCES tx_queue (id),
+    FOREIGN KEY (transaction_id) REFERENCES transactions (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_replacements_job ON tx_replacements (job_id);
+CREATE INDEX IF NOT EXISTS idx_replacements_hash ON tx_replacements (tx_hash);
+CREATE INDEX IF NOT EXISTS idx_replacements_replaced ON tx_replacements (replaced_tx_hash);
@@ -0,0 +1,5 @@
+-- Migration: Gas strategy fees
+-- Created: 2026-10-19
+-- Description: Store the fee fields (legacy gas price or EIP-1559 caps) each queued transaction was signed with
+
+ALTER TABLE tx_queue ADD COLUMN fees TEXT;
@@ -0,0 +1,19 @@
+-- Migration: NFT metadata cache
+-- Created: 2026-10-19
+-- Description: Cache each membership NFT's resolved metadata and image for the /profile card
+
+CREATE TABLE IF NOT EXISTS nft_metadata_cache (
+    token_id INTEGER PRIMARY KEY,
+    owner_address TEXT,
+    plan_id INTEGER,
+    token_uri TEXT, -- tokenURI() as returned by the contract (data:, https:// or ipfs://)
+    name TEXT,
+    description TEXT,
+    image_uri TEXT, -- metadata image, else getNFTImage, else the plan's default image
+    attributes TEXT, -- JSON array of { trait_type, value }
+    telegram_file_id TEXT, -- Photo already uploaded to Telegram, resent without downloading
+    last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_nft_metadata_plan ON nft_metadata_cache (plan_id);
+CREATE INDEX IF NOT EXISTS idx_nft_metadata_owner ON nft_metadata_cache (owner_address);
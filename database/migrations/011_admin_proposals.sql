@@ -0,0 +1,23 @@
+-- Migration: Admin proposals
+-- Created: 2026-10-19
+-- Description: Owner contract calls from the admin panel, executed only after a second admin approves
+
+CREATE TABLE IF NOT EXISTS admin_proposals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    method TEXT NOT NULL, -- Owner function, e.g. 'updatePlanPrice'
+    params TEXT NOT NULL, -- JSON array of call arguments (uint256 as decimal strings)
+    proposed_by TEXT NOT NULL, -- Admin telegram ID
+    decided_by TEXT, -- Second admin who approved or rejected it
+    status TEXT DEFAULT 'pending', -- 'pending', 'approved' (being queued), 'queued', 'executed', 'failed', 'rejected', 'expired'
+    gas_estimate TEXT, -- From the staticCall simulation when proposed
+    queue_job_id INTEGER, -- Operator wallet queue job that sends the call
+    tx_hash TEXT,
+    error_message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    decided_at DATETIME,
+    
+    FOREIGN KEY (queue_job_id) REFERENCES tx_queue (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_proposals_status ON admin_proposals (status);
@@ -0,0 +1,21 @@
+-- Migration: Emergency withdrawals
+-- Created: 2026-10-19
+-- Description: Track emergency withdrawal requests through their timelock until cancelled or executed
+
+CREATE TABLE IF NOT EXISTS emergency_withdrawals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    status TEXT DEFAULT 'open', -- 'open', 'cancelled', 'executed'
+    requested_at INTEGER, -- Unix time of the request on-chain
+    unlocks_at INTEGER, -- requested_at + TIMELOCK_DURATION
+    request_tx_hash TEXT, -- NULL when the request was found by polling getContractStatus
+    expected INTEGER DEFAULT 0, -- 1 when sent through an approved admin proposal
+    amount TEXT,
+    to_address TEXT,
+    close_tx_hash TEXT, -- emergencyWithdraw transaction (cancels emit no event)
+    close_expected INTEGER,
+    cleared_at_block INTEGER, -- Block where the contract first reported no open request
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    closed_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_emergency_withdrawals_status ON emergency_withdrawals (status);
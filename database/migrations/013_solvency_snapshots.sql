@@ -0,0 +1,22 @@
+-- Migration: Solvency snapshots
+-- Created: 2026-10-19
+-- Description: Time series of the contract's USDT balance against its internal owner/fee/fund buckets
+
+CREATE TABLE IF NOT EXISTS solvency_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    block_number INTEGER, -- Block every value was read at
+    source TEXT DEFAULT 'scheduled', -- What ran the check: 'scheduled', 'funds_moved', 'balance_alert', 'manual'
+    usdt_balance TEXT NOT NULL, -- USDT held by the contract (raw units)
+    owner_funds TEXT NOT NULL, -- getSystemStats() buckets
+    fee_funds TEXT NOT NULL,
+    fund_funds TEXT NOT NULL,
+    accounted_total TEXT NOT NULL, -- owner + fee + fund
+    contract_expected TEXT, -- validateContractBalance() expected and verdict
+    contract_valid INTEGER,
+    drift TEXT NOT NULL, -- usdt_balance - accounted_total, negative when reserves are short
+    drift_percent REAL NOT NULL, -- drift as a percentage of accounted_total
+    severity TEXT DEFAULT 'ok', -- 'ok', 'warning', 'critical' against AlertSystem thresholds
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_solvency_snapshots_created ON solvency_snapshots (created_at);
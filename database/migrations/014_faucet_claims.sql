@@ -0,0 +1,23 @@
+-- Migration: Faucet claims
+-- Created: 2026-10-19
+-- Description: Testnet /faucet payouts (test USDT and a tBNB top-up) with the queue jobs that send them
+
+CREATE TABLE IF NOT EXISTS faucet_claims (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    wallet_address TEXT NOT NULL,
+    network TEXT NOT NULL, -- blockchainConfig.network at claim time
+    status TEXT DEFAULT 'queued', -- 'queued', 'completed', 'failed'
+    usdt_amount TEXT NOT NULL, -- Raw units minted by the USDT faucet()
+    bnb_amount TEXT DEFAULT '0', -- Wei sent from the operator wallet, '0' when the top-up was skipped
+    usdt_job_id INTEGER, -- tx_queue jobs
+    bnb_job_id INTEGER,
+    error_message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_faucet_claims_user ON faucet_claims (user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_faucet_claims_created ON faucet_claims (created_at);
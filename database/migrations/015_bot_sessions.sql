@@ -0,0 +1,9 @@
+-- Migration: Persistent bot sessions
+-- Created: 2026-10-19
+-- Description: Key bot_sessions by the Telegraf session key so sessions survive restarts
+
+ALTER TABLE bot_sessions ADD COLUMN session_key TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_key ON bot_sessions (session_key);
+CREATE INDEX IF NOT EXISTS idx_sessions_telegram ON bot_sessions (telegram_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON bot_sessions (expires_at);
@@ -0,0 +1,5 @@
+-- Migration: Unknown queue jobs
+-- Created: 2026-10-19
+-- Description: Remember when a queued transaction's nonce was seen used without its receipt, so it is checked again instead of being re-sent
+
+ALTER TABLE tx_queue ADD COLUMN unknown_since_block INTEGER;
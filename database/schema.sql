@@ -34,7 +34,7 @@ CREATE TABLE IF NOT EXISTS users (
     total_paid TEXT DEFAULT '0',
     
     -- Status & Timestamps
-    status TEXT DEFAULT 'active', -- active, inactive, banned
+    status TEXT DEFAULT 'active', -- active, inactive, banned, exited
     registered_at DATETIME,
     last_activity DATETIME DEFAULT CURRENT_TIMESTAMP,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -57,8 +57,8 @@ CREATE TABLE IF NOT EXISTS transactions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER NOT NULL,
     tx_hash TEXT UNIQUE,
-    type TEXT NOT NULL, -- 'register', 'upgrade', 'withdraw', 'referral'
-    status TEXT DEFAULT 'pending', -- 'pending', 'confirmed', 'failed'
+    type TEXT NOT NULL, -- 'register', 'upgrade', 'exit', 'withdraw', 'referral'
+    status TEXT DEFAULT 'pending', -- 'awaiting_signature', 'queued', 'pending' (sent), 'confirmed', 'failed'
     amount TEXT NOT NULL, -- Store as string for precision
     plan_id INTEGER,
     from_plan_id INTEGER, -- For upgrades
@@ -109,6 +109,7 @@ CREATE INDEX IF NOT EXISTS idx_ref_status ON referrals (status);
 -- Bot sessions for conversation state
 CREATE TABLE IF NOT EXISTS bot_sessions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_key TEXT, -- Telegraf session key, `${fromId}:${chatId}`
     telegram_id TEXT NOT NULL,
     session_data TEXT, -- JSON data
     expires_at DATETIME,
@@ -116,6 +117,7 @@ CREATE TABLE IF NOT EXISTS bot_sessions (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_key ON bot_sessions (session_key);
 CREATE INDEX IF NOT EXISTS idx_sessions_telegram ON bot_sessions (telegram_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_expires ON bot_sessions (expires_at);
 
@@ -138,7 +140,10 @@ CREATE TABLE IF NOT EXISTS blockchain_events (
     event_type TEXT NOT NULL, -- 'MemberRegistered', 'PlanUpgraded', etc.
     contract_address TEXT NOT NULL,
     tx_hash TEXT NOT NULL,
+    log_index INTEGER,
     block_number INTEGER NOT NULL,
+    block_hash TEXT,
+    status TEXT DEFAULT 'final', -- 'seen' (mined, awaiting confirmations), 'final'
     user_address TEXT,
     telegram_id TEXT,
     event_data TEXT, -- JSON data
@@ -151,6 +156,9 @@ CREATE INDEX IF NOT EXISTS idx_events_type ON blockchain_events (event_type);
 CREATE INDEX IF NOT EXISTS idx_events_processed ON blockchain_events (processed);
 CREATE INDEX IF NOT EXISTS idx_events_tx ON blockchain_events (tx_hash);
 CREATE INDEX IF NOT EXISTS idx_events_user ON blockchain_events (user_address);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_tx_log ON blockchain_events (tx_hash, log_index);
+CREATE INDEX IF NOT EXISTS idx_events_block ON blockchain_events (block_number);
+CREATE INDEX IF NOT EXISTS idx_events_status ON blockchain_events (status, block_number);
 
 -- Performance metrics table
 CREATE TABLE IF NOT EXISTS metrics (
@@ -179,6 +187,223 @@ CREATE TABLE IF NOT EXISTS admin_actions (
 CREATE INDEX IF NOT EXISTS idx_admin_actions_admin ON admin_actions (admin_telegram_id);
 CREATE INDEX IF NOT EXISTS idx_admin_actions_created ON admin_actions (created_at);
 
+-- Wallet signing requests (unsigned calls handed to the user's wallet)
+CREATE TABLE IF NOT EXISTS signing_requests (
+    id TEXT PRIMARY KEY, -- UUID used in the signing link
+    user_id INTEGER NOT NULL,
+    transaction_id INTEGER, -- Row in transactions tracking this call
+    type TEXT NOT NULL, -- 'register', 'upgrade', 'exit', 'approve'
+    from_address TEXT NOT NULL, -- Member wallet expected to sign
+    to_address TEXT NOT NULL,
+    data TEXT NOT NULL, -- ABI-encoded calldata
+    value TEXT DEFAULT '0',
+    chain_id INTEGER NOT NULL,
+    gas_limit TEXT,
+    status TEXT DEFAULT 'pending', -- 'pending', 'submitted', 'confirmed', 'failed', 'expired', 'cancelled'
+    tx_hash TEXT,
+    metadata TEXT, -- JSON: plan IDs, amount
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    submitted_at DATETIME,
+    
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (transaction_id) REFERENCES transactions (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_signing_user ON signing_requests (user_id);
+CREATE INDEX IF NOT EXISTS idx_signing_status ON signing_requests (status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_signing_from ON signing_requests (from_address, type);
+
+-- Wallet ownership challenges (signed nonce messages)
+CREATE TABLE IF NOT EXISTS wallet_challenges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    telegram_id TEXT NOT NULL,
+    wallet_address TEXT NOT NULL, -- Lowercased address being claimed
+    nonce TEXT UNIQUE NOT NULL,
+    message TEXT NOT NULL, -- Exact text the wallet must sign
+    status TEXT DEFAULT 'pending', -- 'pending', 'used', 'superseded'
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    used_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_challenges_telegram ON wallet_challenges (telegram_id, status);
+
+-- Indexer cursors (last fully processed block per stream)
+CREATE TABLE IF NOT EXISTS sync_state (
+    name TEXT PRIMARY KEY, -- 'contract_events', 'contract_events_final'
+    last_block INTEGER NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- DB vs on-chain reconciliation runs
+CREATE TABLE IF NOT EXISTS reconciliation_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    mode TEXT NOT NULL, -- 'dry_run', 'fix'
+    triggered_by TEXT, -- 'schedule' or the admin's telegram ID
+    status TEXT DEFAULT 'running', -- 'running', 'completed', 'failed'
+    block_number INTEGER, -- Finalized block the chain state was read at
+    users_checked INTEGER DEFAULT 0,
+    users_drifted INTEGER DEFAULT 0,
+    fixes_applied INTEGER DEFAULT 0,
+    errors INTEGER DEFAULT 0,
+    details TEXT, -- JSON: [{ telegramId, wallet, diffs: { field: { db, chain } } }]
+    error_message TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+);
+
+-- Operator wallet outbound transaction queue (one sequential sender, local nonces)
+CREATE TABLE IF NOT EXISTS tx_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    transaction_id INTEGER, -- Row in transactions tracking this job (NULL for owner calls)
+    type TEXT NOT NULL, -- 'register', 'upgrade', 'exit', 'admin'
+    method TEXT NOT NULL, -- Contract function being called
+    to_address TEXT NOT NULL,
+    data TEXT NOT NULL, -- ABI-encoded calldata
+    value TEXT DEFAULT '0',
+    gas_limit TEXT,
+    gas_price TEXT, -- Highest price per gas the signed transaction may pay
+    fees TEXT, -- JSON fee fields from the gas strategy (gasPrice, or maxFeePerGas/maxPriorityFeePerGas)
+    nonce INTEGER, -- Assigned when the job is signed
+    raw_tx TEXT, -- Signed bytes, rebroadcast after a restart or a dropped transaction
+    tx_hash TEXT,
+    status TEXT DEFAULT 'queued', -- 'queued', 'signed', 'sent', 'unknown', 'mined', 'failed', 'cancelled'
+    attempts INTEGER DEFAULT 0, -- Failed sign/broadcast attempts
+    error_message TEXT,
+    block_number INTEGER,
+    replacements INTEGER DEFAULT 0, -- Same-nonce rebroadcasts with a higher gas price
+    cancel_requested_at DATETIME, -- Set once an admin replaced the job with a cancel
+    unknown_since_block INTEGER, -- Block at which the job's nonce was seen used without its receipt
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME,
+    mined_at DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (transaction_id) REFERENCES transactions (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tx_queue_status ON tx_queue (status, nonce);
+CREATE INDEX IF NOT EXISTS idx_tx_queue_transaction ON tx_queue (transaction_id);
+
+-- Same-nonce replacements (speed-ups and cancels) of queued transactions
+CREATE TABLE IF NOT EXISTS tx_replacements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id INTEGER NOT NULL,
+    transaction_id INTEGER, -- Member transaction the replaced job belongs to
+    kind TEXT NOT NULL, -- 'speed_up', 'cancel' (zero-value self-transfer)
+    replaced_tx_hash TEXT NOT NULL, -- Version this one replaces at the same nonce
+    tx_hash TEXT NOT NULL,
+    gas_price TEXT NOT NULL,
+    triggered_by TEXT, -- 'auto' or the admin's telegram ID
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (job_id) REFERENCES tx_queue (id),
+    FOREIGN KEY (transaction_id) REFERENCES transactions (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_replacements_job ON tx_replacements (job_id);
+CREATE INDEX IF NOT EXISTS idx_replacements_hash ON tx_replacements (tx_hash);
+CREATE INDEX IF NOT EXISTS idx_replacements_replaced ON tx_replacements (replaced_tx_hash);
+
+-- Resolved NFT metadata for /profile cards, cleared by MetadataUpdated
+CREATE TABLE IF NOT EXISTS nft_metadata_cache (
+    token_id INTEGER PRIMARY KEY,
+    owner_address TEXT,
+    plan_id INTEGER,
+    token_uri TEXT, -- tokenURI() as returned by the contract (data:, https:// or ipfs://)
+    name TEXT,
+    description TEXT,
+    image_uri TEXT, -- metadata image, else getNFTImage, else the plan's default image
+    attributes TEXT, -- JSON array of { trait_type, value }
+    telegram_file_id TEXT, -- Photo already uploaded to Telegram, resent without downloading
+    last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_nft_metadata_plan ON nft_metadata_cache (plan_id);
+CREATE INDEX IF NOT EXISTS idx_nft_metadata_owner ON nft_metadata_cache (owner_address);
+
+-- Owner contract calls proposed by one admin and approved by another
+CREATE TABLE IF NOT EXISTS admin_proposals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    method TEXT NOT NULL, -- Owner function, e.g. 'updatePlanPrice'
+    params TEXT NOT NULL, -- JSON array of call arguments (uint256 as decimal strings)
+    proposed_by TEXT NOT NULL, -- Admin telegram ID
+    decided_by TEXT, -- Second admin who approved or rejected it
+    status TEXT DEFAULT 'pending', -- 'pending', 'approved' (being queued), 'queued', 'executed', 'failed', 'rejected', 'expired'
+    gas_estimate TEXT, -- From the staticCall simulation when proposed
+    queue_job_id INTEGER, -- Operator wallet queue job that sends the call
+    tx_hash TEXT,
+    error_message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    decided_at DATETIME,
+    
+    FOREIGN KEY (queue_job_id) REFERENCES tx_queue (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_proposals_status ON admin_proposals (status);
+
+-- Emergency withdrawal requests and their timelock
+CREATE TABLE IF NOT EXISTS emergency_withdrawals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    status TEXT DEFAULT 'open', -- 'open', 'cancelled', 'executed'
+    requested_at INTEGER, -- Unix time of the request on-chain
+    unlocks_at INTEGER, -- requested_at + TIMELOCK_DURATION
+    request_tx_hash TEXT, -- NULL when the request was found by polling getContractStatus
+    expected INTEGER DEFAULT 0, -- 1 when sent through an approved admin proposal
+    amount TEXT,
+    to_address TEXT,
+    close_tx_hash TEXT, -- emergencyWithdraw transaction (cancels emit no event)
+    close_expected INTEGER,
+    cleared_at_block INTEGER, -- Block where the contract first reported no open request
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    closed_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_emergency_withdrawals_status ON emergency_withdrawals (status);
+
+-- Contract USDT balance vs internal accounting, over time
+CREATE TABLE IF NOT EXISTS solvency_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    block_number INTEGER, -- Block every value was read at
+    source TEXT DEFAULT 'scheduled', -- What ran the check: 'scheduled', 'funds_moved', 'balance_alert', 'manual'
+    usdt_balance TEXT NOT NULL, -- USDT held by the contract (raw units)
+    owner_funds TEXT NOT NULL, -- getSystemStats() buckets
+    fee_funds TEXT NOT NULL,
+    fund_funds TEXT NOT NULL,
+    accounted_total TEXT NOT NULL, -- owner + fee + fund
+    contract_expected TEXT, -- validateContractBalance() expected and verdict
+    contract_valid INTEGER,
+    drift TEXT NOT NULL, -- usdt_balance - accounted_total, negative when reserves are short
+    drift_percent REAL NOT NULL, -- drift as a percentage of accounted_total
+    severity TEXT DEFAULT 'ok', -- 'ok', 'warning', 'critical' against AlertSystem thresholds
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_solvency_snapshots_created ON solvency_snapshots (created_at);
+
+-- Testnet /faucet payouts
+CREATE TABLE IF NOT EXISTS faucet_claims (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    wallet_address TEXT NOT NULL,
+    network TEXT NOT NULL, -- blockchainConfig.network at claim time
+    status TEXT DEFAULT 'queued', -- 'queued', 'completed', 'failed'
+    usdt_amount TEXT NOT NULL, -- Raw units minted by the USDT faucet()
+    bnb_amount TEXT DEFAULT '0', -- Wei sent from the operator wallet, '0' when the top-up was skipped
+    usdt_job_id INTEGER, -- tx_queue jobs
+    bnb_job_id INTEGER,
+    error_message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_faucet_claims_user ON faucet_claims (user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_faucet_claims_created ON faucet_claims (created_at);
+
 -- Triggers for auto-updating timestamps
 CREATE TRIGGER IF NOT EXISTS update_users_timestamp 
     AFTER UPDATE ON users
@@ -192,6 +417,12 @@ BEGIN
     UPDATE transactions SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
 END;
 
+CREATE TRIGGER IF NOT EXISTS update_tx_queue_timestamp 
+    AFTER UPDATE ON tx_queue
+BEGIN
+    UPDATE tx_queue SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
 CREATE TRIGGER IF NOT EXISTS update_sessions_timestamp 
     AFTER UPDATE ON bot_sessions
 BEGIN
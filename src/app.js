@@ -9,8 +9,11 @@ require('dotenv').config();
 const { initializeDatabase } = require('./config/database');
 const { initializeBot } = require('./bot/index');
 const BlockchainService = require('./services/BlockchainService');
+const SessionStore = require('./services/SessionStore');
 const PerformanceDashboard = require('./utils/performance');
 const AlertSystem = require('./utils/alerts');
+const { createSigningRouter } = require('./web/signing');
+const { blockchainConfig } = require('./config/blockchain');
 
 class CryptoBotApplication {
     constructor() {
@@ -18,7 +21,7 @@ class CryptoBotApplication {
         this.webServer = null;
         this.blockchain = null;
         this.dashboard = new PerformanceDashboard();
-        this.alerts = new AlertSystem();
+        this.alerts = AlertSystem.getInstance();
         this.isShuttingDown = false;
 
         this.setupGracefulShutdown();
@@ -39,12 +42,14 @@ class CryptoBotApplication {
 
             // 2. Blockchain
             console.log('⛓️ Connecting to blockchain...');
-            this.blockchain = new BlockchainService();
+            this.blockchain = BlockchainService.getInstance();
             await this.blockchain.initialize();
 
             // 3. Bot
             console.log('🤖 Initializing Telegram bot...');
             this.bot = await initializeBot();
+            this.blockchain.eventService.setBot(this.bot);
+            this.alerts.setBot(this.bot);
 
             // 4. Webhook URL
             const domain = process.env.WEBHOOK_DOMAIN;
@@ -85,15 +90,19 @@ class CryptoBotApplication {
         // ✅ Webhook
         app.use(webhookPath, this.bot.webhookCallback(webhookPath));
 
+        // Wallet signing pages
+        app.use(blockchainConfig.signingSettings.path, createSigningRouter(this.bot));
+
         app.get('/health', (req, res) => {
             const status = this.dashboard.getSystemStatus();
+            const blockchain = this.blockchain.getStatus();
             res.json({
-                status: 'healthy',
+                status: blockchain.connected ? 'healthy' : 'degraded', // degraded: no healthy RPC provider
                 timestamp: new Date().toISOString(),
                 uptime: status.uptime,
                 memory: status.memory,
                 performance: status.performance,
-                blockchain: this.blockchain.getStatus(),
+                blockchain,
                 database: 'connected',
             });
         });
@@ -202,6 +211,9 @@ class CryptoBotApplication {
                 console.log('🤖 Bot stopped');
             }
 
+            // Sessions changed in the last flushDelay are still in memory
+            await SessionStore.getInstance().flush();
+
             if (this.blockchain) {
                 await this.blockchain.cleanup();
                 console.log('⛓️ Blockchain connections closed');
@@ -1,29 +1,41 @@
 const { Markup } = require('telegraf');
+const { ethers } = require('ethers');
 const UserService = require('../../services/UserService');
 const BlockchainService = require('../../services/BlockchainService');
 const NotificationService = require('../../services/NotificationService');
-const { formatNumber, formatDate } = require('../../utils/formatting');
+const ReconciliationService = require('../../services/ReconciliationService');
+const ContractAdminService = require('../../services/ContractAdminService');
+const SessionStore = require('../../services/SessionStore');
+const SceneManager = require('../scenes/manager');
+const { formatNumber, formatDate, formatStatus, formatTxHash } = require('../../utils/formatting');
 const { getDatabase } = require('../../config/database');
+const { blockchainConfig } = require('../../config/blockchain');
+const { t } = require('../../utils/i18n');
 
 class AdminHandler {
     constructor() {
         this.userService = new UserService();
-        this.blockchainService = new BlockchainService();
+        this.blockchainService = BlockchainService.getInstance();
         this.notificationService = new NotificationService();
+        this.reconciliationService = ReconciliationService.getInstance();
+        this.contractAdminService = ContractAdminService.getInstance();
+        this.scenes = SceneManager.getInstance();
         this.adminUserIds = process.env.ADMIN_USER_ID ? 
             process.env.ADMIN_USER_ID.split(',').map(id => id.trim()) : [];
     }
 
     async handle(ctx) {
+        const { locale } = ctx.state;
+
         try {
             // Check admin permissions
             if (!this.isAdmin(ctx.from.id)) {
-                await ctx.reply('❌ Access denied. Admin privileges required.');
+                await ctx.reply(t(locale, 'admin.accessDenied'));
                 return;
             }
 
-            const adminMessage = await this.buildAdminMessage();
-            const keyboard = this.getAdminKeyboard();
+            const adminMessage = await this.buildAdminMessage(locale);
+            const keyboard = this.getAdminKeyboard(locale);
 
             if (ctx.callbackQuery) {
                 await ctx.editMessageText(adminMessage, {
@@ -40,67 +52,89 @@ class AdminHandler {
 
         } catch (error) {
             console.error('❌ Admin handler error:', error);
-            await ctx.reply('❌ Admin panel error. Please try again.');
+            await ctx.reply(t(locale, 'admin.panelError'));
         }
     }
 
-    async buildAdminMessage() {
+    async buildAdminMessage(locale = 'en') {
         try {
             const stats = await this.userService.getPlatformStats();
             const systemStats = await this.blockchainService.getSystemStats();
             
-            return `🔧 **Admin Control Panel**
-
-**📊 Platform Overview:**
-• **Total Users:** ${stats?.users?.total_users || 0}
-• **Active Members:** ${stats?.users?.registered_users || 0}
-• **New Today:** ${stats?.users?.new_users_24h || 0}
-• **Total Revenue:** ${systemStats ? formatNumber(parseFloat(systemStats.totalRevenue)) : '0'} USDT
-
-**⚡ Quick Stats:**
-• **Pending Transactions:** ${stats?.transactions?.pending_transactions || 0}
-• **Success Rate:** ${this.calculateSuccessRate(stats?.transactions)}%
-• **Commission Paid:** ${systemStats ? formatNumber(parseFloat(systemStats.totalCommission)) : '0'} USDT
-
-**🔧 Admin Tools Available:**
-Use the buttons below to manage the platform.
-
-⚠️ **Admin Mode Active** - Handle with care!`;
+            return t(locale, 'admin.panel', {
+                users: stats?.users?.total_users || 0,
+                members: stats?.users?.registered_users || 0,
+                newToday: stats?.users?.new_users_24h || 0,
+                revenue: systemStats ? formatNumber(parseFloat(systemStats.totalRevenue), 2, locale) : '0',
+                pending: stats?.transactions?.pending_transactions || 0,
+                successRate: this.calculateSuccessRate(stats?.transactions),
+                commission: systemStats ? formatNumber(parseFloat(systemStats.totalCommission), 2, locale) : '0'
+            });
 
         } catch (error) {
             console.error('❌ Error building admin message:', error);
-            return `🔧 **Admin Control Panel**\n\n❌ Error loading statistics.\n\nBasic admin functions are still available.`;
+            return t(locale, 'admin.panelStatsFailed');
         }
     }
 
-    getAdminKeyboard() {
+    getAdminKeyboard(locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('👥 Users', 'admin_users'),
-                Markup.button.callback('📊 Statistics', 'admin_stats')
+                Markup.button.callback(t(locale, 'buttons.users'), 'admin_users'),
+                Markup.button.callback(t(locale, 'buttons.statistics'), 'admin_stats')
+            ],
+            [
+                Markup.button.callback(t(locale, 'buttons.transactions'), 'admin_transactions'),
+                Markup.button.callback(t(locale, 'buttons.blockchain'), 'admin_blockchain')
             ],
             [
-                Markup.button.callback('💰 Transactions', 'admin_transactions'),
-                Markup.button.callback('⛓️ Blockchain', 'admin_blockchain')
+                Markup.button.callback(t(locale, 'buttons.broadcast'), 'admin_broadcast'),
+                Markup.button.callback(t(locale, 'buttons.settings'), 'admin_settings')
             ],
             [
-                Markup.button.callback('📢 Broadcast', 'admin_broadcast'),
-                Markup.button.callback('🔧 Settings', 'admin_settings')
+                Markup.button.callback(t(locale, 'buttons.analytics'), 'admin_analytics'),
+                Markup.button.callback(t(locale, 'buttons.maintenance'), 'admin_maintenance')
             ],
             [
-                Markup.button.callback('📈 Analytics', 'admin_analytics'),
-                Markup.button.callback('🛠️ Maintenance', 'admin_maintenance')
+                Markup.button.callback(t(locale, 'buttons.reconcile'), 'admin_reconcile')
             ],
             [
-                Markup.button.callback('🏠 Main Menu', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
             ]
         ]);
     }
 
     async handleAction(ctx, action) {
+        const { locale } = ctx.state;
+
         try {
             if (!this.isAdmin(ctx.from.id)) {
-                await ctx.answerCbQuery('❌ Access denied');
+                await ctx.answerCbQuery(t(locale, 'admin.accessDeniedShort'));
+                return;
+            }
+
+            // Per-job queue actions carry the job ID
+            const jobAction = action.match(/^tx(speedup|cancel|cancelconfirm)_(\d+)$/);
+            if (jobAction) {
+                await this.handleQueueJobAction(ctx, jobAction[1], parseInt(jobAction[2]));
+                return;
+            }
+
+            const contractOperation = action.match(/^contractop_(\w+)$/);
+            if (contractOperation) {
+                await this.selectContractOperation(ctx, contractOperation[1]);
+                return;
+            }
+
+            const proposalDecision = action.match(/^prop(approve|reject)_(\d+)$/);
+            if (proposalDecision) {
+                await this.handleProposalDecision(ctx, proposalDecision[1], parseInt(proposalDecision[2]));
+                return;
+            }
+
+            const sessionReset = action.match(/^sessionreset_(\d+)$/);
+            if (sessionReset) {
+                await this.resetSession(ctx, sessionReset[1]);
                 return;
             }
 
@@ -120,6 +154,9 @@ Use the buttons below to manage the platform.
                 case 'broadcast':
                     await this.showBroadcast(ctx);
                     break;
+                case 'confirm_broadcast':
+                    await this.confirmBroadcast(ctx);
+                    break;
                 case 'settings':
                     await this.showSettings(ctx);
                     break;
@@ -129,17 +166,39 @@ Use the buttons below to manage the platform.
                 case 'maintenance':
                     await this.showMaintenance(ctx);
                     break;
+                case 'reconcile':
+                    await this.showReconciliation(ctx);
+                    break;
+                case 'txqueue':
+                    await this.showTxQueue(ctx);
+                    break;
+                case 'contract_settings':
+                    await this.showContractAdmin(ctx);
+                    break;
+                case 'withdraw':
+                    await this.showContractAdmin(ctx, 'withdraw');
+                    break;
+                case 'solvency_check':
+                    await this.runSolvencyCheck(ctx);
+                    break;
+                case 'reconcile_dry':
+                case 'reconcile_fix':
+                    await ctx.answerCbQuery(t(locale, 'admin.reconcile.started'));
+                    this.startReconciliation(ctx, action === 'reconcile_dry');
+                    break;
                 default:
-                    await ctx.answerCbQuery('❌ Unknown action');
+                    await ctx.answerCbQuery(t(locale, 'admin.unknownAction'));
             }
 
         } catch (error) {
             console.error(`❌ Admin action error (${action}):`, error);
-            await ctx.answerCbQuery('❌ Action failed');
+            await ctx.answerCbQuery(t(locale, 'admin.actionFailed'));
         }
     }
 
     async showUsers(ctx, page = 1) {
+        const { locale } = ctx.state;
+
         try {
             const limit = 10;
             const offset = (page - 1) * limit;
@@ -147,23 +206,34 @@ Use the buttons below to manage the platform.
             const result = await this.userService.getAllUsers(limit, offset);
             const users = result.users;
             
-            let message = `👥 **User Management** (Page ${page})\n\n`;
+            let message = `${t(locale, 'admin.users.title', { page })}\n\n`;
             
             if (users.length === 0) {
-                message += '📭 No users found.';
+                message += t(locale, 'admin.users.empty');
             } else {
+                const chainMembers = await this.getChainMembers(users);
+
                 users.forEach((user, index) => {
                     const status = user.is_registered ? '💎' : '⭐';
-                    const joined = formatDate(user.created_at, true);
+                    const joined = formatDate(user.created_at, true, locale);
                     message += `${status} **${user.first_name}**\n`;
-                    message += `   @${user.username || 'no_username'} • ${joined}\n`;
-                    message += `   Plan: ${user.plan_id || 'None'} • Referrals: ${user.total_referrals}\n\n`;
+                    message += `   @${user.username || t(locale, 'admin.users.noUsername')} • ${joined}\n`;
+                    message += `   ${t(locale, 'admin.users.details', {
+                        plan: user.plan_id || t(locale, 'admin.none'),
+                        referrals: user.total_referrals
+                    })}`;
+
+                    const member = user.wallet_address && chainMembers.get(user.wallet_address.toLowerCase());
+                    if (member && Number(member.planId) !== (user.plan_id || 0)) {
+                        message += t(locale, 'admin.users.chainPlan', { plan: Number(member.planId) || t(locale, 'admin.none') });
+                    }
+                    message += '\n\n';
                 });
                 
-                message += `**Total:** ${result.total} users`;
+                message += t(locale, 'admin.users.total', { count: result.total });
             }
 
-            const keyboard = this.getUsersKeyboard(page, result.hasMore);
+            const keyboard = this.getUsersKeyboard(page, result.hasMore, locale);
 
             await ctx.editMessageText(message, {
                 parse_mode: 'Markdown',
@@ -173,44 +243,61 @@ Use the buttons below to manage the platform.
 
         } catch (error) {
             console.error('❌ Show users error:', error);
-            await ctx.answerCbQuery('❌ Failed to load users');
+            await ctx.answerCbQuery(t(locale, 'admin.users.loadFailed'));
+        }
+    }
+
+    // members() for the page's wallets in one batched read; empty when the chain is unreachable
+    async getChainMembers(users) {
+        const wallets = users.map(user => user.wallet_address).filter(Boolean);
+        if (wallets.length === 0 || !this.blockchainService.isInitialized) {
+            return new Map();
+        }
+
+        try {
+            return await this.blockchainService.getMembersBatch(wallets);
+        } catch (error) {
+            console.error('❌ On-chain member lookup error:', error.message);
+            return new Map();
         }
     }
 
-    getUsersKeyboard(page, hasMore) {
+    getUsersKeyboard(page, hasMore, locale = 'en') {
         const keyboard = [];
         
         // Pagination
         const navRow = [];
         if (page > 1) {
-            navRow.push(Markup.button.callback('⬅️ Previous', `page_users_${page - 1}`));
+            navRow.push(Markup.button.callback(t(locale, 'buttons.previous'), `page_users_${page - 1}`));
         }
         if (hasMore) {
-            navRow.push(Markup.button.callback('➡️ Next', `page_users_${page + 1}`));
+            navRow.push(Markup.button.callback(t(locale, 'buttons.next'), `page_users_${page + 1}`));
         }
         if (navRow.length > 0) {
             keyboard.push(navRow);
         }
 
         keyboard.push([
-            Markup.button.callback('🔍 Search User', 'admin_search_user'),
-            Markup.button.callback('📊 User Stats', 'admin_user_stats')
+            Markup.button.callback(t(locale, 'buttons.searchUser'), 'admin_search_user'),
+            Markup.button.callback(t(locale, 'buttons.userStats'), 'admin_user_stats')
         ]);
 
         keyboard.push([
-            Markup.button.callback('🔙 Back', 'admin_main')
+            Markup.button.callback(t(locale, 'buttons.back'), 'admin_main')
         ]);
 
         return Markup.inlineKeyboard(keyboard);
     }
 
     async handleStats(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const platformStats = await this.userService.getPlatformStats();
             const blockchainStats = await this.blockchainService.getSystemStats();
             
-            const message = await this.buildStatsMessage(platformStats, blockchainStats);
-            const keyboard = this.getStatsKeyboard();
+            const message = await this.buildStatsMessage(platformStats, blockchainStats, locale);
+            const keyboard = this.getStatsKeyboard(locale);
 
             await ctx.editMessageText(message, {
                 parse_mode: 'Markdown',
@@ -220,71 +307,71 @@ Use the buttons below to manage the platform.
 
         } catch (error) {
             console.error('❌ Stats error:', error);
-            await ctx.answerCbQuery('❌ Failed to load statistics');
+            await ctx.answerCbQuery(t(locale, 'admin.stats.loadFailed'));
         }
     }
 
-    async buildStatsMessage(platformStats, blockchainStats) {
-        let message = `📊 **Platform Statistics**\n\n`;
+    async buildStatsMessage(platformStats, blockchainStats, locale = 'en') {
+        let message = `${t(locale, 'admin.stats.title')}\n\n`;
 
         if (platformStats) {
-            message += `**👥 User Analytics:**
-• Total Users: ${platformStats.users.total_users}
-• Active Members: ${platformStats.users.registered_users}
-• Users with Wallets: ${platformStats.users.users_with_wallet}
-• New (24h): ${platformStats.users.new_users_24h}
-• New (7d): ${platformStats.users.new_users_7d}
-
-**📝 Transaction Metrics:**
-• Total Transactions: ${platformStats.transactions.total_transactions}
-• Confirmed: ${platformStats.transactions.confirmed_transactions}
-• Pending: ${platformStats.transactions.pending_transactions}
-• Success Rate: ${this.calculateSuccessRate(platformStats.transactions)}%
-
-**👥 Referral Performance:**
-• Total Referrals: ${platformStats.referrals.total_referrals}
-• Paid Referrals: ${platformStats.referrals.paid_referrals}
-• Commission Paid: ${formatNumber(parseFloat(platformStats.referrals.total_commission_paid))} USDT`;
+            message += t(locale, 'admin.stats.platform', {
+                users: platformStats.users.total_users,
+                members: platformStats.users.registered_users,
+                withWallet: platformStats.users.users_with_wallet,
+                new24h: platformStats.users.new_users_24h,
+                new7d: platformStats.users.new_users_7d,
+                transactions: platformStats.transactions.total_transactions,
+                confirmed: platformStats.transactions.confirmed_transactions,
+                pending: platformStats.transactions.pending_transactions,
+                successRate: this.calculateSuccessRate(platformStats.transactions),
+                referrals: platformStats.referrals.total_referrals,
+                paidReferrals: platformStats.referrals.paid_referrals,
+                commission: formatNumber(parseFloat(platformStats.referrals.total_commission_paid), 2, locale)
+            });
 
             if (platformStats.plans && platformStats.plans.length > 0) {
-                message += `\n\n**🏆 Popular Plans:**`;
+                message += `\n\n${t(locale, 'admin.stats.popularPlans')}`;
                 platformStats.plans.slice(0, 5).forEach(plan => {
-                    message += `\n• Plan ${plan.plan_id}: ${plan.user_count} members`;
+                    message += `\n${t(locale, 'admin.stats.planMembers', { plan: plan.plan_id, count: plan.user_count })}`;
                 });
             }
         }
 
         if (blockchainStats) {
-            message += `\n\n**⛓️ Blockchain Data:**
-• Total Members: ${blockchainStats.totalMembers}
-• Total Revenue: ${formatNumber(parseFloat(blockchainStats.totalRevenue))} USDT
-• Total Commission: ${formatNumber(parseFloat(blockchainStats.totalCommission))} USDT
-• Owner Funds: ${formatNumber(parseFloat(blockchainStats.ownerFunds))} USDT
-• Fee Funds: ${formatNumber(parseFloat(blockchainStats.feeFunds))} USDT`;
+            message += `\n\n${t(locale, 'admin.stats.blockchain', {
+                members: blockchainStats.totalMembers,
+                revenue: formatNumber(parseFloat(blockchainStats.totalRevenue), 2, locale),
+                commission: formatNumber(parseFloat(blockchainStats.totalCommission), 2, locale),
+                ownerFunds: formatNumber(parseFloat(blockchainStats.ownerFunds), 2, locale),
+                feeFunds: formatNumber(parseFloat(blockchainStats.feeFunds), 2, locale)
+            })}`;
         }
 
-        message += `\n\n📅 **Generated:** ${formatDate(new Date())}`;
+        message += `\n\n${t(locale, 'admin.stats.generated', { date: formatDate(new Date(), false, locale) })}`;
 
         return message;
     }
 
-    getStatsKeyboard() {
+    getStatsKeyboard(locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('📈 Detailed Analytics', 'admin_analytics'),
-                Markup.button.callback('💰 Financial Report', 'admin_financial')
+                Markup.button.callback(t(locale, 'buttons.detailedAnalytics'), 'admin_analytics'),
+                Markup.button.callback(t(locale, 'buttons.financialReport'), 'admin_financial')
             ],
             [
-                Markup.button.callback('🔄 Refresh', 'admin_stats'),
-                Markup.button.callback('📊 Export Data', 'admin_export')
+                Markup.button.callback(t(locale, 'buttons.refresh'), 'admin_stats'),
+                Markup.button.callback(t(locale, 'buttons.exportData'), 'admin_export')
             ],
             [
-                Markup.button.callback('🔙 Back', 'admin_main')
+                Markup.button.callback(t(locale, 'buttons.back'), 'admin_main')
             ]
         ]);
     }
 
     async showTransactions(ctx, page = 1) {
+        const { locale } = ctx.state;
+
         try {
             const limit = 10;
             const offset = (page - 1) * limit;
@@ -301,25 +388,25 @@ Use the buttons below to manage the platform.
             const totalCount = await db.get('SELECT COUNT(*) as count FROM transactions');
             const hasMore = (offset + transactions.length) < totalCount.count;
 
-            let message = `💰 **Transaction History** (Page ${page})\n\n`;
+            let message = `${t(locale, 'admin.transactions.title', { page })}\n\n`;
 
             if (transactions.length === 0) {
-                message += '📭 No transactions found.';
+                message += t(locale, 'admin.transactions.empty');
             } else {
                 transactions.forEach(tx => {
                     const status = this.getStatusEmoji(tx.status);
-                    const amount = formatNumber(parseFloat(tx.amount));
-                    const date = formatDate(tx.created_at, true);
+                    const amount = formatNumber(parseFloat(tx.amount), 2, locale);
+                    const date = formatDate(tx.created_at, true, locale);
                     
                     message += `${status} **${tx.type.toUpperCase()}**\n`;
                     message += `   ${tx.first_name} • ${amount} USDT\n`;
-                    message += `   ${date} • Hash: \`${tx.tx_hash?.slice(0, 10)}...\`\n\n`;
+                    message += `   ${date} • ${t(locale, 'admin.transactions.hash', { hash: tx.tx_hash?.slice(0, 10) })}\n\n`;
                 });
 
-                message += `**Total:** ${totalCount.count} transactions`;
+                message += t(locale, 'admin.transactions.total', { count: totalCount.count });
             }
 
-            const keyboard = this.getTransactionsKeyboard(page, hasMore);
+            const keyboard = this.getTransactionsKeyboard(page, hasMore, locale);
 
             await ctx.editMessageText(message, {
                 parse_mode: 'Markdown',
@@ -329,66 +416,85 @@ Use the buttons below to manage the platform.
 
         } catch (error) {
             console.error('❌ Show transactions error:', error);
-            await ctx.answerCbQuery('❌ Failed to load transactions');
+            await ctx.answerCbQuery(t(locale, 'admin.transactions.loadFailed'));
         }
     }
 
-    getTransactionsKeyboard(page, hasMore) {
+    getTransactionsKeyboard(page, hasMore, locale = 'en') {
         const keyboard = [];
         
         // Pagination
         const navRow = [];
         if (page > 1) {
-            navRow.push(Markup.button.callback('⬅️ Previous', `page_transactions_${page - 1}`));
+            navRow.push(Markup.button.callback(t(locale, 'buttons.previous'), `page_transactions_${page - 1}`));
         }
         if (hasMore) {
-            navRow.push(Markup.button.callback('➡️ Next', `page_transactions_${page + 1}`));
+            navRow.push(Markup.button.callback(t(locale, 'buttons.next'), `page_transactions_${page + 1}`));
         }
         if (navRow.length > 0) {
             keyboard.push(navRow);
         }
 
         keyboard.push([
-            Markup.button.callback('🔍 Filter', 'admin_filter_tx'),
-            Markup.button.callback('📊 TX Stats', 'admin_tx_stats')
+            Markup.button.callback(t(locale, 'buttons.filter'), 'admin_filter_tx'),
+            Markup.button.callback(t(locale, 'buttons.txStats'), 'admin_tx_stats')
         ]);
 
         keyboard.push([
-            Markup.button.callback('🔙 Back', 'admin_main')
+            Markup.button.callback(t(locale, 'buttons.back'), 'admin_main')
         ]);
 
         return Markup.inlineKeyboard(keyboard);
     }
 
     async showBlockchainInfo(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const blockchainStatus = this.blockchainService.getStatus();
             const systemStats = await this.blockchainService.getSystemStats();
             
-            let message = `⛓️ **Blockchain Information**\n\n`;
-
-            message += `**🔗 Connection Status:**
-• Connected: ${blockchainStatus.connected ? '✅' : '❌'}
-• Network: BSC Testnet
-• Last Block: ${blockchainStatus.lastBlockNumber}
-
-**📋 Contract Addresses:**
-• NFT Contract: \`${blockchainStatus.contractAddresses.nft}\`
-• USDT Contract: \`${blockchainStatus.contractAddresses.usdt}\``;
+            let message = `${t(locale, 'admin.blockchain.title')}\n\n`;
+
+            message += t(locale, 'admin.blockchain.connection', {
+                connected: blockchainStatus.connected ? '✅' : '❌',
+                network: blockchainStatus.network,
+                chainId: blockchainStatus.chainId || t(locale, 'admin.notAvailable'),
+                lastBlock: blockchainStatus.lastBlockNumber,
+                finalizedBlock: blockchainStatus.lastFinalizedBlock
+            });
+            message += this.formatProviderPool(blockchainStatus.providerPool, locale);
+            message += `\n\n${t(locale, 'admin.blockchain.contracts', {
+                nft: blockchainStatus.contractAddresses.nft,
+                usdt: blockchainStatus.contractAddresses.usdt
+            })}`;
 
             if (systemStats) {
-                message += `\n\n**💰 Contract Balances:**
-• Owner Funds: ${formatNumber(parseFloat(systemStats.ownerFunds))} USDT
-• Fee System: ${formatNumber(parseFloat(systemStats.feeFunds))} USDT
-• Fund Balance: ${formatNumber(parseFloat(systemStats.fundFunds))} USDT
+                message += `\n\n${t(locale, 'admin.blockchain.balances', {
+                    ownerFunds: formatNumber(parseFloat(systemStats.ownerFunds), 2, locale),
+                    feeFunds: formatNumber(parseFloat(systemStats.feeFunds), 2, locale),
+                    fundFunds: formatNumber(parseFloat(systemStats.fundFunds), 2, locale),
+                    members: systemStats.totalMembers,
+                    revenue: formatNumber(parseFloat(systemStats.totalRevenue), 2, locale),
+                    commission: formatNumber(parseFloat(systemStats.totalCommission), 2, locale)
+                })}`;
+            }
 
-**📊 Contract Stats:**
-• Total Members: ${systemStats.totalMembers}
-• Total Revenue: ${formatNumber(parseFloat(systemStats.totalRevenue))} USDT
-• Commission Paid: ${formatNumber(parseFloat(systemStats.totalCommission))} USDT`;
+            message += await this.formatSolvency(locale);
+            message += await this.formatEmergencyWithdrawal(locale);
+
+            if (blockchainStatus.signingMode === 'operator') {
+                const queue = await this.blockchainService.transactionQueue.getSummary();
+                message += `\n\n${t(locale, 'admin.blockchain.queue', {
+                    waiting: queue.queued + queue.signed,
+                    sent: queue.sent,
+                    mined: queue.mined,
+                    failed: queue.failed,
+                    nonce: queue.nextNonce === null ? t(locale, 'admin.notSynced') : queue.nextNonce
+                })}`;
             }
 
-            const keyboard = this.getBlockchainKeyboard();
+            const keyboard = this.getBlockchainKeyboard(locale);
 
             await ctx.editMessageText(message, {
                 parse_mode: 'Markdown',
@@ -398,139 +504,788 @@ Use the buttons below to manage the platform.
 
         } catch (error) {
             console.error('❌ Show blockchain info error:', error);
-            await ctx.answerCbQuery('❌ Failed to load blockchain information');
+            await ctx.answerCbQuery(t(locale, 'admin.blockchain.loadFailed'));
         }
     }
 
-    getBlockchainKeyboard() {
+    // Latest reserve check: USDT balance against the owner/fee/fund accounting
+    async formatSolvency(locale = 'en') {
+        const monitor = this.blockchainService.solvencyMonitor;
+        const status = await monitor.getStatus();
+
+        if (!status) {
+            return `\n\n${t(locale, 'admin.reserves.notChecked')}`;
+        }
+
+        const severityIcon = { ok: '✅', warning: '⚠️', critical: '🔴' }[status.severity] || '❔';
+        const title = t(locale, 'admin.reserves.title', {
+            icon: severityIcon,
+            block: status.blockNumber,
+            date: formatDate(status.createdAt, false, locale)
+        });
+
+        return `\n\n${title}
+${monitor.formatSnapshot(status)}
+${t(locale, 'admin.reserves.lowestDrift', { percent: status.minDriftPercent24h, checks: status.checks24h })}`;
+    }
+
+    // Reads the contract once (a couple of seconds) and shows the refreshed panel
+    async runSolvencyCheck(ctx) {
+        const { locale } = ctx.state;
+
+        try {
+            const snapshot = await this.blockchainService.solvencyMonitor.check('manual');
+            if (!snapshot) {
+                await ctx.answerCbQuery(t(locale, 'admin.reserves.running'));
+                return;
+            }
+        } catch (error) {
+            console.error('❌ Manual solvency check error:', error);
+            await ctx.answerCbQuery(t(locale, 'admin.reserves.checkFailed'));
+            await ctx.reply(t(locale, 'admin.reserves.checkFailedDetails', { error: error.shortMessage || error.message }));
+            return;
+        }
+
+        await this.showBlockchainInfo(ctx);
+    }
+
+    // Open emergency withdrawal request with the time left on its timelock
+    async formatEmergencyWithdrawal(locale = 'en') {
+        const tracker = this.blockchainService.emergencyTracker;
+        const request = await tracker.getStatus();
+
+        if (!request) {
+            return `\n\n${t(locale, 'admin.emergency.none')}`;
+        }
+
+        const text = t(locale, 'admin.emergency.requested', {
+            requested: formatDate(new Date(request.requested_at * 1000), false, locale),
+            countdown: tracker.formatCountdown(request.secondsRemaining),
+            unlocks: formatDate(new Date(request.unlocks_at * 1000), false, locale),
+            origin: t(locale, request.expected ? 'admin.emergency.originProposal' : 'admin.emergency.originUnknown')
+        });
+
+        return `\n\n${text}${request.secondsRemaining === 0 ? `\n${t(locale, 'admin.emergency.executable')}` : ''}`;
+    }
+
+    // One line per RPC endpoint: health, latency, error rate and block lag
+    formatProviderPool(pool, locale = 'en') {
+        if (!pool) {
+            return '';
+        }
+
+        let text = `\n\n${t(locale, 'admin.blockchain.providers', { healthy: pool.healthy, total: pool.total })}`;
+        for (const provider of pool.providers) {
+            text += `\n${t(locale, 'admin.blockchain.provider', {
+                icon: provider.healthy ? '✅' : '❌',
+                host: provider.host,
+                latency: provider.latencyMs === null ? t(locale, 'admin.blockchain.noLatency') : `${provider.latencyMs}ms`,
+                errorRate: Math.round(provider.errorRate * 100),
+                lag: provider.blockLag
+            })}`;
+        }
+        return text;
+    }
+
+    getBlockchainKeyboard(locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('💰 Withdraw Funds', 'admin_withdraw'),
-                Markup.button.callback('🔄 Sync Events', 'admin_sync_events')
+                Markup.button.callback(t(locale, 'buttons.withdrawFunds'), 'admin_withdraw'),
+                Markup.button.callback(t(locale, 'buttons.syncEvents'), 'admin_sync_events')
+            ],
+            [
+                Markup.button.callback(t(locale, 'buttons.contractSettings'), 'admin_contract_settings'),
+                Markup.button.callback(t(locale, 'buttons.gasTracker'), 'admin_gas_tracker')
             ],
             [
-                Markup.button.callback('⚙️ Contract Settings', 'admin_contract_settings'),
-                Markup.button.callback('📊 Gas Tracker', 'admin_gas_tracker')
+                Markup.button.callback(t(locale, 'buttons.txQueue'), 'admin_txqueue'),
+                Markup.button.callback(t(locale, 'buttons.checkReserves'), 'admin_solvency_check')
             ],
             [
-                Markup.button.callback('🔙 Back', 'admin_main')
+                Markup.button.callback(t(locale, 'buttons.back'), 'admin_main')
             ]
         ]);
     }
 
     async showBroadcast(ctx) {
-        const message = `📢 **Broadcast Message**
+        const { locale } = ctx.state;
+        const message = t(locale, 'admin.broadcast.prompt');
 
-Send a message to all active users.
+        const keyboard = Markup.inlineKeyboard([
+            [Markup.button.callback(t(locale, 'buttons.cancel'), 'scene_cancel')]
+        ]);
 
-**⚠️ Important:**
-• Message will be sent to ALL active users
-• Use this feature responsibly
-• Include clear and valuable information
-• Avoid spam or frequent messages
+        if (ctx.callbackQuery) {
+            await ctx.editMessageText(message, {
+                parse_mode: 'Markdown',
+                ...keyboard
+            });
+            await ctx.answerCbQuery();
+        } else {
+            await ctx.reply(message, {
+                parse_mode: 'Markdown',
+                ...keyboard
+            });
+        }
+
+        this.scenes.enter(ctx, 'broadcast');
+    }
+
+    // /broadcast [message] - asks for the message when it isn't given with the command
+    async handleBroadcast(ctx) {
+        const { locale } = ctx.state;
+
+        try {
+            if (!this.isAdmin(ctx.from.id)) {
+                await ctx.reply(t(locale, 'admin.accessDeniedShort'));
+                return;
+            }
+
+            const text = ctx.message.text.replace(/^\/broadcast(@\w+)?\s*/, '').trim();
+            if (!text) {
+                await this.showBroadcast(ctx);
+                return;
+            }
+
+            this.scenes.enter(ctx, 'broadcast');
+            await this.previewBroadcast(ctx, text);
+
+        } catch (error) {
+            console.error('❌ Handle broadcast error:', error);
+            await ctx.reply(t(locale, 'admin.broadcast.prepareFailed'));
+        }
+    }
+
+    async handleBroadcastInput(ctx, text) {
+        try {
+            await this.previewBroadcast(ctx, text);
+        } catch (error) {
+            console.error('❌ Handle broadcast input error:', error);
+            await ctx.reply(t(ctx.state.locale, 'admin.broadcast.prepareFailed'));
+        }
+    }
 
-**📊 Current Recipients:**
-• Active users who will receive the message
-• Rate limiting: 1 message per second
-• Delivery report will be provided
+    async previewBroadcast(ctx, text) {
+        const { locale } = ctx.state;
+        const stats = await this.userService.getPlatformStats();
+        const totalUsers = stats?.users?.total_users || 0;
 
-Type your broadcast message:`;
+        const message = t(locale, 'admin.broadcast.confirm', {
+            preview: `${text.slice(0, 200)}${text.length > 200 ? '...' : ''}`,
+            recipients: totalUsers,
+            minutes: Math.ceil(totalUsers / 60)
+        });
 
         const keyboard = Markup.inlineKeyboard([
-            [Markup.button.callback('❌ Cancel', 'admin_main')]
+            [
+                Markup.button.callback(t(locale, 'buttons.sendBroadcast'), 'admin_confirm_broadcast'),
+                Markup.button.callback(t(locale, 'buttons.cancel'), 'scene_cancel')
+            ]
         ]);
 
-        await ctx.editMessageText(message, {
+        await ctx.reply(message, {
             parse_mode: 'Markdown',
             ...keyboard
         });
-        await ctx.answerCbQuery();
 
-        // Set conversation state
-        ctx.session.step = 'waiting_broadcast_message';
+        // Keep the message until it is confirmed
+        this.scenes.next(ctx, 'confirm', { message: text });
     }
 
-    async handleBroadcast(ctx) {
+    // /reindex <fromBlock> [toBlock] - re-scan a block range for missed contract events
+    async handleReindex(ctx) {
+        const { locale } = ctx.state;
+
         try {
             if (!this.isAdmin(ctx.from.id)) {
-                await ctx.reply('❌ Access denied');
+                await ctx.reply(t(locale, 'admin.accessDeniedShort'));
                 return;
             }
 
-            const stats = await this.userService.getPlatformStats();
-            const totalUsers = stats?.users?.total_users || 0;
+            const [fromArg, toArg] = ctx.message.text.split(/\s+/).slice(1);
+            const fromBlock = Number(fromArg);
+            const toBlock = toArg ? Number(toArg) : this.blockchainService.lastBlockNumber;
 
-            const message = `📢 **Confirm Broadcast**
+            if (!fromArg || !Number.isInteger(fromBlock) || !Number.isInteger(toBlock)) {
+                await ctx.reply(t(locale, 'admin.reindex.usage', {
+                    block: this.blockchainService.lastBlockNumber
+                }), { parse_mode: 'Markdown' });
+                return;
+            }
 
-**Message Preview:**
-"${ctx.message.text.slice(0, 200)}${ctx.message.text.length > 200 ? '...' : ''}"
+            await ctx.reply(t(locale, 'admin.reindex.started', { from: fromBlock, to: toBlock }));
 
-**📊 Delivery Details:**
-• Recipients: ${totalUsers} active users
-• Estimated time: ${Math.ceil(totalUsers / 60)} minutes
-• Rate limit: 1 msg/second
+            // Large ranges take minutes at the RPC rate limit, so report back when done
+            this.blockchainService.reindexBlocks(fromBlock, toBlock)
+                .then(result => ctx.reply(t(locale, 'admin.reindex.complete', {
+                    from: result.fromBlock,
+                    to: result.toBlock,
+                    stored: result.stored
+                })))
+                .catch(error => ctx.reply(t(locale, 'admin.reindex.failed', { error: error.message })))
+                .catch(error => console.error('❌ Re-index reply error:', error));
 
-⚠️ **This action cannot be undone!**
+        } catch (error) {
+            console.error('❌ Handle reindex error:', error);
+            await ctx.reply(t(locale, 'admin.reindex.startFailed'));
+        }
+    }
 
-Proceed with broadcast?`;
+    // /reconcile [fix] - compare user records with the contract, fixing drift only when asked
+    async handleReconcile(ctx) {
+        const { locale } = ctx.state;
 
-            const keyboard = Markup.inlineKeyboard([
-                [
-                    Markup.button.callback('✅ Send Broadcast', 'admin_confirm_broadcast'),
-                    Markup.button.callback('❌ Cancel', 'admin_main')
-                ]
-            ]);
+        try {
+            if (!this.isAdmin(ctx.from.id)) {
+                await ctx.reply(t(locale, 'admin.accessDeniedShort'));
+                return;
+            }
 
+            const fix = ctx.message.text.split(/\s+/)[1] === 'fix';
+            await ctx.reply(t(locale, 'admin.reconcile.startedMode', {
+                mode: t(locale, fix ? 'admin.reconcile.modeFix' : 'admin.reconcile.modeDryRun')
+            }));
+            this.startReconciliation(ctx, !fix);
+
+        } catch (error) {
+            console.error('❌ Handle reconcile error:', error);
+            await ctx.reply(t(locale, 'admin.reconcile.startFailed'));
+        }
+    }
+
+    // Runs take a while at the RPC rate limit, so report back when done
+    startReconciliation(ctx, dryRun) {
+        const { locale } = ctx.state;
+
+        this.reconciliationService.run({ dryRun, triggeredBy: ctx.from.id.toString() })
+            .then(report => ctx.reply(t(locale, 'admin.reconcile.complete', {
+                id: report.id,
+                checked: report.checked,
+                drifted: report.drifted,
+                fixed: report.fixed,
+                errors: report.errors
+            }), Markup.inlineKeyboard([
+                [Markup.button.callback(t(locale, 'buttons.viewReport'), 'admin_reconcile')]
+            ])))
+            .catch(error => ctx.reply(t(locale, 'admin.reconcile.failed', { error: error.message })))
+            .catch(error => console.error('❌ Reconcile reply error:', error));
+    }
+
+    // /session <telegram_id> - show a user's stored session (step, flow data) with a reset button
+    async handleSession(ctx) {
+        const { locale } = ctx.state;
+
+        try {
+            if (!this.isAdmin(ctx.from.id)) {
+                await ctx.reply(t(locale, 'admin.accessDeniedShort'));
+                return;
+            }
+
+            const telegramId = ctx.message.text.split(/\s+/)[1];
+            const sessionStore = SessionStore.getInstance();
+
+            if (!telegramId || !/^\d+$/.test(telegramId)) {
+                const stats = await sessionStore.getStats();
+                await ctx.reply(t(locale, 'admin.session.overview', {
+                    total: stats.total,
+                    active: stats.active_hour || 0,
+                    expired: stats.expired || 0
+                }), { parse_mode: 'Markdown' });
+                return;
+            }
+
+            const { message, keyboard } = await this.buildSessionView(telegramId, locale);
             await ctx.reply(message, {
                 parse_mode: 'Markdown',
                 ...keyboard
             });
 
-            // Store message for broadcast
-            ctx.session.broadcastMessage = ctx.message.text;
+        } catch (error) {
+            console.error('❌ Handle session error:', error);
+            await ctx.reply(t(locale, 'admin.session.loadFailed'));
+        }
+    }
+
+    async buildSessionView(telegramId, locale = 'en') {
+        const sessions = await SessionStore.getInstance().getUserSessions(telegramId);
+        const user = await this.userService.getUserByTelegramId(telegramId);
+        const name = user ? ` (${user.first_name || t(locale, 'admin.session.unknownName')}${user.username ? ` @${user.username}` : ''})` : '';
+
+        let message = `${t(locale, 'admin.session.title', { id: telegramId, name })}\n\n`;
+
+        if (sessions.length === 0) {
+            message += t(locale, 'admin.session.empty');
+            return { message, keyboard: {} };
+        }
+
+        for (const session of sessions) {
+            const scene = session.data && session.data.scene;
+            message += `${t(locale, 'admin.session.details', {
+                key: session.key,
+                scene: scene ? `\`${scene.id} / ${scene.step}\`` : t(locale, 'admin.session.noScene'),
+                updated: formatDate(session.updatedAt, false, locale),
+                expires: formatDate(session.expiresAt, false, locale),
+                expired: session.expired ? t(locale, 'admin.session.expired') : ''
+            })}\n`;
+
+            if (!session.data) {
+                message += `${t(locale, 'admin.session.invalidData')}\n\n`;
+                continue;
+            }
+
+            // Backticks would close the code block early
+            let preview = JSON.stringify(session.data, null, 2).replace(/`/g, "'");
+            if (preview.length > 1200) {
+                preview = `${preview.slice(0, 1200)}\n...`;
+            }
+            message += `\`\`\`\n${preview}\n\`\`\`\n\n`;
+        }
+
+        const keyboard = Markup.inlineKeyboard([
+            [Markup.button.callback(t(locale, 'buttons.resetSession'), `admin_sessionreset_${telegramId}`)]
+        ]);
+
+        return { message: message.trim(), keyboard };
+    }
+
+    async resetSession(ctx, telegramId) {
+        const { locale } = ctx.state;
+        const removed = await SessionStore.getInstance().resetUser(telegramId);
+        console.log(`🧹 Admin ${ctx.from.id} reset the session of ${telegramId}`);
+
+        await ctx.answerCbQuery(t(locale, 'admin.session.removed', { count: removed }));
+        await ctx.editMessageText(t(locale, 'admin.session.reset', { id: telegramId }), { parse_mode: 'Markdown' });
+    }
+
+    async showReconciliation(ctx) {
+        const { locale } = ctx.state;
+        const report = await this.reconciliationService.getLatestReport();
+
+        let message = `${t(locale, 'admin.reconcile.title')}\n\n`;
+
+        if (!report) {
+            message += t(locale, 'admin.reconcile.noRuns');
+        } else {
+            message += t(locale, 'admin.reconcile.lastRun', {
+                id: report.id,
+                mode: t(locale, report.mode === 'dry_run' ? 'admin.reconcile.modeDryRun' : 'admin.reconcile.modeFix'),
+                status: report.status,
+                started: formatDate(report.started_at, false, locale),
+                block: report.block_number || t(locale, 'admin.notAvailable'),
+                checked: report.users_checked,
+                drifted: report.users_drifted,
+                fixed: report.fixes_applied,
+                errors: report.errors
+            });
+
+            if (report.error_message) {
+                message += `\n\n❌ ${report.error_message}`;
+            }
+
+            const drifts = report.details.slice(0, 10);
+            if (drifts.length > 0) {
+                message += `\n\n${t(locale, 'admin.reconcile.drift')}\n`;
+                message += drifts.map(drift => {
+                    const fields = Object.entries(drift.diffs)
+                        .map(([field, { db, chain }]) => `${field} ${db} → ${chain}`)
+                        .join(', ');
+                    return `• \`${drift.telegramId}\`: \`${fields}\``;
+                }).join('\n');
+
+                if (report.users_drifted > drifts.length) {
+                    message += `\n${t(locale, 'admin.reconcile.more', { count: report.users_drifted - drifts.length })}`;
+                }
+            }
+        }
+
+        const keyboard = Markup.inlineKeyboard([
+            [
+                Markup.button.callback(t(locale, 'buttons.dryRun'), 'admin_reconcile_dry'),
+                Markup.button.callback(t(locale, 'buttons.fixDrift'), 'admin_reconcile_fix')
+            ],
+            [Markup.button.callback(t(locale, 'buttons.backToAdmin'), 'admin_main')]
+        ]);
+
+        await ctx.editMessageText(message, {
+            parse_mode: 'Markdown',
+            ...keyboard
+        });
+        await ctx.answerCbQuery();
+    }
+
+    // Operator wallet jobs still waiting to be mined, with speed-up and cancel buttons
+    async showTxQueue(ctx) {
+        const { locale } = ctx.state;
+        const transactionQueue = this.blockchainService.transactionQueue;
+        const summary = await transactionQueue.getSummary();
+        const jobs = await transactionQueue.getInFlightJobs();
+        const { gasStrategy } = this.blockchainService;
+        const maxGasPrice = gasStrategy ? gasStrategy.getMaxPrice() : blockchainConfig.gasSettings.maxGasPrice;
+
+        let message = t(locale, 'admin.queue.title', {
+            waiting: summary.queued + summary.signed,
+            sent: summary.sent,
+            unknown: summary.unknown,
+            mined: summary.mined,
+            failed: summary.failed,
+            cancelled: summary.cancelled,
+            nonce: summary.nextNonce === null ? t(locale, 'admin.notSynced') : summary.nextNonce,
+            strategy: blockchainConfig.getGasStrategyName(),
+            maxGas: ethers.formatUnits(maxGasPrice, 'gwei')
+        });
+
+        if (transactionQueue.waitingForGas) {
+            message += `\n${t(locale, 'admin.queue.waitingForGas')}`;
+        }
+
+        const buttons = [];
+
+        if (jobs.length === 0) {
+            message += `\n\n${t(locale, 'admin.queue.empty')}`;
+        } else {
+            message += `\n\n${t(locale, 'admin.queue.inFlight')}\n`;
+            for (const job of jobs) {
+                message += t(locale, 'admin.queue.job', {
+                    id: job.id,
+                    type: job.type,
+                    status: formatStatus(job.status, locale),
+                    nonce: job.nonce === null ? '-' : job.nonce,
+                    gas: job.gas_price ? `${ethers.formatUnits(job.gas_price, 'gwei')} gwei` : t(locale, 'admin.queue.unsigned')
+                });
+                if (job.replacements > 0) {
+                    message += ` • ${job.cancel_requested_at ?
+                        t(locale, 'admin.queue.cancelling') :
+                        t(locale, 'admin.queue.bumped', { count: job.replacements })}`;
+                }
+                message += '\n';
+
+                const row = [];
+                if (job.status === 'sent' && !job.cancel_requested_at) {
+                    row.push(Markup.button.callback(t(locale, 'buttons.speedUpJob', { id: job.id }), `admin_txspeedup_${job.id}`));
+                }
+                if (job.status !== 'unknown' && !job.cancel_requested_at) {
+                    row.push(Markup.button.callback(t(locale, 'buttons.cancelJob', { id: job.id }), `admin_txcancel_${job.id}`));
+                }
+                if (row.length > 0) {
+                    buttons.push(row);
+                }
+            }
+        }
+
+        buttons.push([
+            Markup.button.callback(t(locale, 'buttons.refresh'), 'admin_txqueue'),
+            Markup.button.callback(t(locale, 'buttons.back'), 'admin_blockchain')
+        ]);
+
+        await ctx.editMessageText(message, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard(buttons)
+        });
+        await ctx.answerCbQuery();
+    }
+
+    async handleQueueJobAction(ctx, action, jobId) {
+        const { locale } = ctx.state;
+        const transactionQueue = this.blockchainService.transactionQueue;
+
+        // Cancelling spends gas and drops the member's action, so ask first
+        if (action === 'cancel') {
+            await ctx.editMessageText(t(locale, 'admin.queue.confirmCancel', { id: jobId }), {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([
+                    [
+                        Markup.button.callback(t(locale, 'buttons.yesCancel'), `admin_txcancelconfirm_${jobId}`),
+                        Markup.button.callback(t(locale, 'buttons.no'), 'admin_txqueue')
+                    ]
+                ])
+            });
+            await ctx.answerCbQuery();
+            return;
+        }
+
+        try {
+            const job = action === 'speedup' ?
+                await transactionQueue.speedUpJob(jobId, ctx.from.id.toString()) :
+                await transactionQueue.cancelJob(jobId, ctx.from.id.toString());
+
+            const outcome = action === 'speedup' ? 'speedUpSent' :
+                job.status === 'cancelled' ? 'cancelled' : 'cancelSent';
+
+            let result = t(locale, 'admin.queue.result', {
+                outcome: t(locale, `admin.queue.${outcome}`),
+                id: job.id,
+                status: formatStatus(job.status, locale)
+            });
+            if (job.tx_hash) {
+                result += `\n${t(locale, 'admin.queue.hash', { hash: job.tx_hash })}`;
+            }
+
+            await ctx.reply(result, { parse_mode: 'Markdown' });
+            await this.showTxQueue(ctx);
 
         } catch (error) {
-            console.error('❌ Handle broadcast error:', error);
-            await ctx.reply('❌ Broadcast preparation failed');
+            console.error(`❌ Queue job ${action} error:`, error);
+            await ctx.answerCbQuery(`❌ ${error.message}`.slice(0, 200), { show_alert: true });
         }
     }
 
-    async handleBroadcastInput(ctx, text) {
-        await this.handleBroadcast(ctx);
+    // Owner functions of the contract, plus proposals waiting for a second admin
+    async showContractAdmin(ctx, prefix = null) {
+        const operations = Object.entries(this.contractAdminService.getOperations())
+            .filter(([method]) => !prefix || method.startsWith(prefix));
+        const pending = await this.contractAdminService.getPendingProposals();
+        const recent = await this.contractAdminService.getRecentProposals();
+        const adminId = ctx.from.id.toString();
+        const { locale } = ctx.state;
+
+        // Back here from the parameter prompt means the input was cancelled
+        this.scenes.leave(ctx, 'contractParams');
+
+        let message = t(locale, 'admin.contract.title');
+
+        if (this.adminUserIds.length < 2) {
+            message += `\n\n${t(locale, 'admin.contract.singleAdmin')}`;
+        }
+
+        const buttons = [];
+
+        message += `\n\n${t(locale, 'admin.contract.pending')}`;
+        if (pending.length === 0) {
+            message += `\n${t(locale, 'admin.none')}`;
+        }
+        for (const proposal of pending) {
+            message += `\n${t(locale, 'admin.contract.pendingProposal', {
+                id: proposal.id,
+                method: proposal.method,
+                proposer: proposal.proposed_by,
+                expires: formatDate(proposal.expires_at, false, locale)
+            })}`;
+
+            const row = [];
+            if (proposal.proposed_by !== adminId) {
+                row.push(Markup.button.callback(t(locale, 'buttons.approveProposal', { id: proposal.id }), `admin_propapprove_${proposal.id}`));
+            }
+            row.push(Markup.button.callback(t(locale, 'buttons.rejectProposal', { id: proposal.id }), `admin_propreject_${proposal.id}`));
+            buttons.push(row);
+        }
+
+        if (recent.length > 0) {
+            message += `\n\n${t(locale, 'admin.contract.recent')}`;
+            for (const proposal of recent) {
+                message += `\n• #${proposal.id} \`${proposal.method}\` • ${proposal.status}`;
+                if (proposal.tx_hash) {
+                    message += ` • \`${formatTxHash(proposal.tx_hash)}\``;
+                }
+            }
+        }
+
+        for (let i = 0; i < operations.length; i += 2) {
+            buttons.push(operations.slice(i, i + 2).map(([method, operation]) =>
+                Markup.button.callback(operation.label, `admin_contractop_${method}`)
+            ));
+        }
+
+        buttons.push([
+            Markup.button.callback(t(locale, 'buttons.refresh'), prefix ? `admin_${prefix}` : 'admin_contract_settings'),
+            Markup.button.callback(t(locale, 'buttons.back'), 'admin_blockchain')
+        ]);
+
+        await ctx.editMessageText(message, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard(buttons)
+        });
+        await ctx.answerCbQuery();
     }
 
-    async confirmBroadcast(ctx) {
+    // Ask for the parameters, or propose right away for functions without any
+    async selectContractOperation(ctx, method) {
+        const { locale } = ctx.state;
+        const operation = this.contractAdminService.getOperation(method);
+
+        if (operation.params.length === 0) {
+            await ctx.answerCbQuery(t(locale, 'admin.contract.simulating'));
+            await this.submitProposal(ctx, method, []);
+            return;
+        }
+
+        const currentState = await this.contractAdminService.getCurrentState(method, []);
+
+        await ctx.editMessageText(t(locale, 'admin.contract.params', {
+            label: operation.label,
+            method,
+            state: currentState ? `\n${currentState}\n` : '',
+            usage: this.contractAdminService.getUsage(method)
+        }), {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback(t(locale, 'buttons.cancel'), 'admin_contract_settings')]
+            ])
+        });
+        await ctx.answerCbQuery();
+
+        this.scenes.enter(ctx, 'contractParams', { method });
+    }
+
+    async handleContractParamsInput(ctx, text, { method }) {
+        let args;
+        try {
+            args = this.contractAdminService.parseParams(method, text);
+        } catch (error) {
+            await ctx.reply(t(ctx.state.locale, 'admin.contract.invalidParams', { error: error.message }));
+            return;
+        }
+
+        this.scenes.leave(ctx);
+
+        await this.submitProposal(ctx, method, args);
+    }
+
+    // Simulate, record the proposal and ask every other admin to approve it
+    async submitProposal(ctx, method, args) {
+        const adminId = ctx.from.id.toString();
+        const { locale } = ctx.state;
+
+        let proposal;
+        try {
+            proposal = await this.contractAdminService.propose(method, args, adminId);
+        } catch (error) {
+            console.error(`❌ Contract proposal error (${method}):`, error.message);
+            await ctx.reply(t(locale, 'admin.contract.notProposed', { method, error: error.message }));
+            return;
+        }
+
+        // Read the contract state once, the preview is only rendered per locale
+        const currentState = await this.contractAdminService.getCurrentState(proposal.method, proposal.params);
+        const preview = this.buildProposalMessage(proposal, currentState, locale);
+
+        await ctx.reply(`${preview}\n\n${t(locale, 'admin.contract.awaitingApproval')}`, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback(t(locale, 'buttons.withdrawProposal', { id: proposal.id }), `admin_propreject_${proposal.id}`)]
+            ])
+        });
+
+        for (const otherAdminId of this.adminUserIds.filter(id => id !== adminId)) {
+            try {
+                const adminLocale = await this.notificationService.getUserLocale(otherAdminId);
+                const adminPreview = this.buildProposalMessage(proposal, currentState, adminLocale);
+
+                await ctx.telegram.sendMessage(otherAdminId, `${adminPreview}\n\n${t(adminLocale, 'admin.contract.approvalRequired')}`, {
+                    parse_mode: 'Markdown',
+                    ...Markup.inlineKeyboard([
+                        [
+                            Markup.button.callback(t(adminLocale, 'buttons.approveProposal', { id: proposal.id }), `admin_propapprove_${proposal.id}`),
+                            Markup.button.callback(t(adminLocale, 'buttons.rejectProposal', { id: proposal.id }), `admin_propreject_${proposal.id}`)
+                        ]
+                    ])
+                });
+            } catch (error) {
+                console.error(`❌ Failed to notify admin ${otherAdminId} of proposal #${proposal.id}:`, error.message);
+            }
+        }
+    }
+
+    buildProposalMessage(proposal, currentState, locale = 'en') {
+        const operation = this.contractAdminService.getOperation(proposal.method);
+        const params = this.contractAdminService.describeParams(proposal.method, proposal.params)
+            .map(param => `• ${param.name}: \`${param.value}\``)
+            .join('\n');
+
+        let details = params ? `${t(locale, 'admin.contract.parameters')}\n${params}\n` : '';
+        if (currentState) {
+            details += `${t(locale, 'admin.contract.current', { state: currentState })}\n`;
+        }
+
+        return t(locale, 'admin.contract.proposal', {
+            id: proposal.id,
+            label: operation.label,
+            method: proposal.method,
+            details,
+            gas: formatNumber(Number(proposal.gas_estimate), 0, locale),
+            proposer: proposal.proposed_by,
+            expires: formatDate(proposal.expires_at, false, locale)
+        });
+    }
+
+    async handleProposalDecision(ctx, decision, proposalId) {
+        const adminId = ctx.from.id.toString();
+        const { locale } = ctx.state;
+
         try {
-            if (!ctx.session.broadcastMessage) {
-                await ctx.answerCbQuery('❌ No message to broadcast');
+            if (decision === 'reject') {
+                const proposal = await this.contractAdminService.reject(proposalId, adminId);
+                await ctx.answerCbQuery(t(locale, 'admin.contract.rejectedToast', { id: proposalId }));
+                await ctx.reply(t(locale, 'admin.contract.rejected', {
+                    id: proposal.id,
+                    method: proposal.method,
+                    admin: adminId
+                }), { parse_mode: 'Markdown' });
                 return;
             }
 
-            await ctx.answerCbQuery('📢 Starting broadcast...');
+            await ctx.answerCbQuery(t(locale, 'admin.contract.simulatingAgain'));
+            const proposal = await this.contractAdminService.approve(proposalId, adminId);
+
+            await ctx.reply(t(locale, 'admin.contract.approved', {
+                id: proposal.id,
+                method: proposal.method,
+                job: proposal.queue_job_id
+            }), {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([
+                    [Markup.button.callback(t(locale, 'buttons.txQueue'), 'admin_txqueue')]
+                ])
+            });
+
+            // Let the proposer know their call is on its way
+            const proposerLocale = await this.notificationService.getUserLocale(proposal.proposed_by);
+            await ctx.telegram.sendMessage(
+                proposal.proposed_by,
+                t(proposerLocale, 'admin.contract.approvedNotice', {
+                    id: proposal.id,
+                    method: proposal.method,
+                    admin: adminId
+                })
+            ).catch(error => console.error('❌ Failed to notify proposer:', error.message));
 
-            const processingMessage = `📢 **Broadcasting...**
+        } catch (error) {
+            console.error(`❌ Proposal ${decision} error:`, error.message);
+            if (ctx.callbackQuery) {
+                await ctx.answerCbQuery(`❌ ${error.message}`.slice(0, 200), { show_alert: true }).catch(() => {});
+            }
+            await ctx.reply(t(locale, 'admin.contract.failed', { id: proposalId, error: error.message }));
+        }
+    }
 
-🔄 Sending your message to all users...
+    async confirmBroadcast(ctx) {
+        const { locale } = ctx.state;
 
-This may take several minutes. You'll receive a report when complete.`;
+        try {
+            const broadcastMessage = this.scenes.isActive(ctx, 'broadcast') && this.scenes.getData(ctx).message;
+            if (!broadcastMessage) {
+                await ctx.answerCbQuery(t(locale, 'admin.broadcast.noMessage'));
+                return;
+            }
 
-            await ctx.editMessageText(processingMessage, { parse_mode: 'Markdown' });
+            // Left before sending, so a second tap can't start the same broadcast again
+            this.scenes.leave(ctx);
 
-            // Start broadcast
-            const result = await this.notificationService.broadcast(ctx.session.broadcastMessage);
+            await ctx.answerCbQuery(t(locale, 'admin.broadcast.starting'));
 
-            const resultMessage = `📢 **Broadcast Complete!**
+            await ctx.editMessageText(t(locale, 'admin.broadcast.sending'), { parse_mode: 'Markdown' });
 
-**📊 Delivery Report:**
-• ✅ Sent: ${result.sent}
-• ❌ Failed: ${result.failed}
-• 📱 Total: ${result.total}
-• 📈 Success Rate: ${Math.round((result.sent / result.total) * 100)}%
+            // Start broadcast
+            const result = await this.notificationService.broadcast(broadcastMessage);
 
-Broadcast completed successfully! 🎉`;
+            const resultMessage = t(locale, 'admin.broadcast.complete', {
+                sent: result.sent,
+                failed: result.failed,
+                total: result.total,
+                successRate: Math.round((result.sent / result.total) * 100)
+            });
 
             const keyboard = Markup.inlineKeyboard([
-                [Markup.button.callback('🔙 Back to Admin', 'admin_main')]
+                [Markup.button.callback(t(locale, 'buttons.backToAdmin'), 'admin_main')]
             ]);
 
             await ctx.editMessageText(resultMessage, {
@@ -538,13 +1293,9 @@ Broadcast completed successfully! 🎉`;
                 ...keyboard
             });
 
-            // Clear session
-            delete ctx.session.broadcastMessage;
-            ctx.session.step = null;
-
         } catch (error) {
             console.error('❌ Confirm broadcast error:', error);
-            await ctx.editMessageText('❌ Broadcast failed. Please try again.');
+            await ctx.editMessageText(t(locale, 'admin.broadcast.failed'));
         }
     }
 
@@ -560,6 +1311,8 @@ Broadcast completed successfully! 🎉`;
 
     getStatusEmoji(status) {
         const emojis = {
+            'awaiting_signature': '✍️',
+            'queued': '📥',
             'pending': '⏳',
             'confirmed': '✅',
             'failed': '❌'
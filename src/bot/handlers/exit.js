@@ -0,0 +1,217 @@
+// src/bot/handlers/exit.js
+const { Markup } = require('telegraf');
+const UserService = require('../../services/UserService');
+const BlockchainService = require('../../services/BlockchainService');
+const SigningService = require('../../services/SigningService');
+const ConfirmKeyboard = require('../keyboards/confirm');
+const { blockchainConfig } = require('../../config/blockchain');
+const { formatNumber, formatDate, formatDuration } = require('../../utils/formatting');
+const { formatContractError } = require('../../utils/contractErrors');
+const { t } = require('../../utils/i18n');
+
+class ExitHandler {
+    constructor() {
+        this.userService = new UserService();
+        this.blockchainService = BlockchainService.getInstance();
+        this.signingService = new SigningService();
+    }
+
+    // /exit - preview the membership, refund and lock expiry before anything is signed
+    async handle(ctx) {
+        const { locale } = ctx.state;
+
+        try {
+            const user = await this.getExitingUser(ctx);
+            if (!user) {
+                return;
+            }
+
+            // exitMembership() exits msg.sender, so the operator wallet cannot send it for a member
+            if (!blockchainConfig.isWalletSigning()) {
+                await this.respond(ctx, t(locale, 'exit.signingDisabled'), Markup.inlineKeyboard([
+                    [Markup.button.callback(t(locale, 'buttons.viewProfile'), 'action_profile')]
+                ]));
+                if (ctx.callbackQuery) {
+                    await ctx.answerCbQuery();
+                }
+                return;
+            }
+
+            const preview = await this.blockchainService.getExitPreview(user.wallet_address);
+            if (!preview) {
+                await this.respond(ctx, t(locale, 'exit.noMembership'), Markup.inlineKeyboard([
+                    [Markup.button.callback(t(locale, 'buttons.viewProfile'), 'action_profile')]
+                ]));
+                if (ctx.callbackQuery) {
+                    await ctx.answerCbQuery();
+                }
+                return;
+            }
+
+            const lockLine = preview.isLocked ?
+                t(locale, 'exit.lockedUntil', {
+                    date: formatDate(preview.lockExpiresAt, false, locale),
+                    left: formatDuration(preview.lockExpiresAt.getTime() - Date.now(), locale)
+                }) :
+                t(locale, 'exit.lockExpired', { date: formatDate(preview.lockExpiresAt, false, locale) });
+
+            let message = t(locale, 'exit.preview', {
+                plan: t(locale, 'profile.planLabel', { name: preview.planName, level: preview.planId }),
+                registered: formatDate(preview.registeredAt, false, locale),
+                lock: lockLine,
+                refund: this.getRefundLine(preview, locale)
+            });
+
+            if (preview.isLocked) {
+                message += `\n\n${t(locale, 'exit.lockNotice')}`;
+            }
+
+            await this.respond(ctx, message, ConfirmKeyboard.getExitMembershipConfirmation(preview.isLocked, locale));
+            if (ctx.callbackQuery) {
+                await ctx.answerCbQuery();
+            }
+
+        } catch (error) {
+            console.error('❌ Exit handler error:', error);
+            await ctx.reply(t(locale, 'exit.loadFailed'));
+        }
+    }
+
+    // Second confirmation, shown after the member has read the preview
+    async showFinalConfirmation(ctx) {
+        const { locale } = ctx.state;
+
+        try {
+            const user = await this.getExitingUser(ctx);
+            if (!user) {
+                return;
+            }
+
+            const preview = await this.blockchainService.getExitPreview(user.wallet_address);
+            if (!preview || preview.isLocked) {
+                await ctx.answerCbQuery(t(locale, 'exit.notAvailable'));
+                return;
+            }
+
+            const message = t(locale, 'exit.finalConfirmation', {
+                plan: preview.planName,
+                refund: this.getRefundLine(preview, locale)
+            });
+
+            await this.respond(ctx, message, ConfirmKeyboard.getExitFinalConfirmation(locale));
+            await ctx.answerCbQuery();
+
+        } catch (error) {
+            console.error('❌ Exit confirmation error:', error);
+            await ctx.answerCbQuery(t(locale, 'exit.confirmationFailed'));
+        }
+    }
+
+    async confirmExit(ctx) {
+        const { locale } = ctx.state;
+
+        try {
+            const user = await this.getExitingUser(ctx);
+            if (!user) {
+                return;
+            }
+
+            await ctx.answerCbQuery(t(locale, 'exit.preparing'));
+
+            const result = await this.blockchainService.exitMembership({ address: user.wallet_address });
+
+            if (result.requiresSignature) {
+                await this.showSignatureRequired(ctx, user, result);
+            } else {
+                await this.showExitError(ctx, result.error, result.errorCode);
+            }
+
+        } catch (error) {
+            console.error('❌ Confirm exit error:', error);
+            await this.showExitError(ctx, error.message);
+        }
+    }
+
+    async showSignatureRequired(ctx, user, result) {
+        const request = await this.signingService.createRequest(user, 'exit', result.call, {
+            amount: result.amount,
+            fromPlanId: result.fromPlanId
+        });
+
+        const { locale } = ctx.state;
+        const message = t(locale, 'exit.signatureRequired', {
+            from: `${user.wallet_address.slice(0, 6)}...${user.wallet_address.slice(-4)}`,
+            contract: result.call.to,
+            expires: t(locale, 'duration.minute', { count: Math.round(blockchainConfig.signingSettings.requestTtl / 60000) })
+        });
+
+        await this.respond(ctx, message, ConfirmKeyboard.getSigningKeyboard(request, [], locale));
+    }
+
+    async showExitError(ctx, error, errorCode = null) {
+        const { locale } = ctx.state;
+
+        if (errorCode) {
+            const { message, actions } = formatContractError(errorCode, locale);
+            await this.respond(ctx, message, ConfirmKeyboard.getContractErrorKeyboard(actions, 'action_profile', locale));
+            return;
+        }
+
+        await this.respond(ctx, t(locale, 'exit.failed', { error }), Markup.inlineKeyboard([
+            [
+                Markup.button.callback(t(locale, 'buttons.tryAgain'), 'action_exit'),
+                Markup.button.callback(t(locale, 'buttons.viewProfile'), 'action_profile')
+            ]
+        ]));
+    }
+
+    // The refund comes from a simulated exit; without it the amount is only known from MemberExited
+    getRefundLine(preview, locale = 'en') {
+        if (preview.refundFormatted === null) {
+            return t(locale, 'exit.refundUnknown');
+        }
+        return t(locale, 'exit.refundEstimate', { amount: formatNumber(preview.refundFormatted, 2, locale) });
+    }
+
+    // Registered user with a wallet, or null after telling them why not
+    async getExitingUser(ctx) {
+        const { locale } = ctx.state;
+        const user = await this.userService.getUserByTelegramId(ctx.from.id.toString());
+
+        let problem = null;
+        if (!user) {
+            problem = t(locale, 'errors.userNotFound');
+        } else if (!user.is_registered) {
+            problem = t(locale, 'exit.notMember');
+        } else if (!user.wallet_address) {
+            problem = t(locale, 'exit.walletRequired');
+        }
+
+        if (problem) {
+            if (ctx.callbackQuery) {
+                await ctx.answerCbQuery(problem);
+            } else {
+                await ctx.reply(problem);
+            }
+            return null;
+        }
+
+        return user;
+    }
+
+    async respond(ctx, message, keyboard) {
+        if (ctx.callbackQuery) {
+            await ctx.editMessageText(message, {
+                parse_mode: 'Markdown',
+                ...keyboard
+            });
+        } else {
+            await ctx.reply(message, {
+                parse_mode: 'Markdown',
+                ...keyboard
+            });
+        }
+    }
+}
+
+module.exports = ExitHandler;
@@ -0,0 +1,190 @@
+// src/bot/handlers/faucet.js
+const { Markup } = require('telegraf');
+const { ethers } = require('ethers');
+const UserService = require('../../services/UserService');
+const FaucetService = require('../../services/FaucetService');
+const { blockchainConfig } = require('../../config/blockchain');
+const { formatNumber, formatDate, formatTxHash } = require('../../utils/formatting');
+const { t, hasKey } = require('../../utils/i18n');
+
+class FaucetHandler {
+    constructor() {
+        this.userService = new UserService();
+        this.faucetService = new FaucetService();
+    }
+
+    // /faucet - testnet only: what a claim gives, the user's limits and their last claim
+    async handle(ctx) {
+        const { locale } = ctx.state;
+
+        try {
+            if (blockchainConfig.isMainnet()) {
+                await this.respond(ctx, t(locale, 'faucet.errors.mainnet'));
+                return;
+            }
+
+            const user = await this.userService.getUserByTelegramId(ctx.from.id.toString());
+            if (!user) {
+                await this.respond(ctx, t(locale, 'errors.userNotFound'));
+                return;
+            }
+
+            const network = blockchainConfig.getCurrentNetwork();
+            const { usdtAmount, bnbAmount } = this.faucetService.settings;
+            const faucetInfo = blockchainConfig.getFaucetInfo();
+
+            let message = t(locale, 'faucet.intro', {
+                network: network.name,
+                usdt: formatNumber(parseFloat(usdtAmount), 2, locale),
+                bnb: bnbAmount,
+                symbol: network.currency.symbol
+            });
+
+            if (!this.faucetService.isEnabled()) {
+                message += `\n\n${t(locale, 'faucet.unavailable')}`;
+                await this.respond(ctx, message, this.getFaucetKeyboard(false, locale));
+                return;
+            }
+
+            if (!user.wallet_address) {
+                message += `\n\n${t(locale, 'faucet.walletRequired')}`;
+                await this.respond(ctx, message, Markup.inlineKeyboard([
+                    [Markup.button.callback(t(locale, 'buttons.connectWallet'), 'action_connect_wallet')]
+                ]));
+                return;
+            }
+
+            message += `\n\n${t(locale, 'faucet.wallet', { address: user.wallet_address })}`;
+
+            const lastClaim = await this.faucetService.getLastClaim(user);
+            if (lastClaim) {
+                message += `\n\n${t(locale, 'faucet.lastClaim')}\n${this.formatClaim(lastClaim, locale)}`;
+            }
+
+            const limits = await this.faucetService.checkLimits(user);
+            if (limits.allowed) {
+                message += `\n\n${t(locale, 'faucet.canClaim', { count: limits.claimsLeft })}`;
+            } else {
+                message += `\n\n⏳ ${this.getRefusal(limits, locale)}`;
+                if (limits.nextClaimAt) {
+                    message += ` ${t(locale, 'faucet.nextClaim', { date: formatDate(limits.nextClaimAt, false, locale) })}`;
+                }
+            }
+
+            if (faucetInfo) {
+                message += `\n\n${t(locale, 'faucet.moreGas', { symbol: network.currency.symbol, url: faucetInfo.bnb })}`;
+            }
+
+            await this.respond(ctx, message, this.getFaucetKeyboard(limits.allowed, locale));
+
+        } catch (error) {
+            console.error('❌ Faucet handler error:', error);
+            await ctx.reply(t(locale, 'faucet.loadFailed'));
+        }
+    }
+
+    async claim(ctx) {
+        const { locale } = ctx.state;
+
+        try {
+            if (blockchainConfig.isMainnet()) {
+                await ctx.answerCbQuery(t(locale, 'faucet.errors.mainnet'));
+                return;
+            }
+
+            const user = await this.userService.getUserByTelegramId(ctx.from.id.toString());
+            if (!user) {
+                await ctx.answerCbQuery(t(locale, 'errors.userNotFound'));
+                return;
+            }
+
+            let claim;
+            try {
+                claim = await this.faucetService.claim(user);
+            } catch (error) {
+                await ctx.answerCbQuery(`❌ ${this.getRefusal(error, locale)}`.slice(0, 200), { show_alert: true });
+                return;
+            }
+
+            await ctx.answerCbQuery(t(locale, 'faucet.claimQueuedShort'));
+            await ctx.editMessageText(t(locale, 'faucet.claimQueued', { claim: this.formatClaim(claim, locale) }), {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([
+                    [Markup.button.callback(t(locale, 'buttons.checkStatus'), 'action_faucet')],
+                    [Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')]
+                ])
+            });
+
+        } catch (error) {
+            console.error('❌ Faucet claim error:', error);
+            await ctx.reply(t(locale, 'faucet.claimFailed'));
+        }
+    }
+
+    // Translated reason for a refused claim; limits results and FaucetService errors both carry a code
+    getRefusal(refusal, locale = 'en') {
+        if (refusal.code && hasKey(`faucet.errors.${refusal.code}`)) {
+            return t(locale, `faucet.errors.${refusal.code}`, { max: this.faucetService.settings.maxClaimsPerUser });
+        }
+        return refusal.reason || refusal.message;
+    }
+
+    formatClaim(claim, locale = 'en') {
+        const usdt = this.faucetService.blockchainService.formatTokenAmount(claim.usdt_amount);
+        const status = hasKey(`faucet.status.${claim.status}`) ? t(locale, `faucet.status.${claim.status}`) : claim.status;
+
+        let lines = t(locale, 'faucet.claim', {
+            status,
+            requested: formatDate(claim.created_at, false, locale),
+            usdt: formatNumber(parseFloat(usdt), 2, locale),
+            hash: claim.usdt_tx_hash ? ` (\`${formatTxHash(claim.usdt_tx_hash)}\`)` : ''
+        });
+
+        if (claim.bnb_amount !== '0') {
+            const { symbol } = blockchainConfig.getCurrentNetwork().currency;
+            lines += `\n${t(locale, 'faucet.claimGas', {
+                amount: ethers.formatEther(claim.bnb_amount),
+                symbol,
+                hash: claim.bnb_tx_hash ? ` (\`${formatTxHash(claim.bnb_tx_hash)}\`)` : ''
+            })}`;
+        }
+
+        if (claim.status === 'failed' && claim.error_message) {
+            lines += `\n${t(locale, 'faucet.claimError', { error: claim.error_message })}`;
+        }
+
+        return lines;
+    }
+
+    getFaucetKeyboard(canClaim, locale = 'en') {
+        const keyboard = [];
+
+        if (canClaim) {
+            keyboard.push([Markup.button.callback(t(locale, 'buttons.claimTestTokens'), 'faucet_claim')]);
+        }
+
+        keyboard.push([
+            Markup.button.callback(t(locale, 'buttons.refresh'), 'action_faucet'),
+            Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
+        ]);
+
+        return Markup.inlineKeyboard(keyboard);
+    }
+
+    async respond(ctx, message, keyboard = {}) {
+        if (ctx.callbackQuery) {
+            await ctx.editMessageText(message, {
+                parse_mode: 'Markdown',
+                ...keyboard
+            });
+            await ctx.answerCbQuery();
+        } else {
+            await ctx.reply(message, {
+                parse_mode: 'Markdown',
+                ...keyboard
+            });
+        }
+    }
+}
+
+module.exports = FaucetHandler;
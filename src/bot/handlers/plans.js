@@ -1,19 +1,22 @@
 const { Markup } = require('telegraf');
 const BlockchainService = require('../../services/BlockchainService');
 const { formatNumber } = require('../../utils/formatting');
+const { t } = require('../../utils/i18n');
 
 class PlansHandler {
     constructor() {
-        this.blockchainService = new BlockchainService();
+        this.blockchainService = BlockchainService.getInstance();
         this.planCache = new Map();
         this.lastCacheUpdate = 0;
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
     }
 
     async handle(ctx) {
+        const { locale } = ctx.state;
+
         try {
-            const plansMessage = await this.buildPlansMessage();
-            const keyboard = this.getPlansKeyboard();
+            const plansMessage = await this.buildPlansMessage(locale);
+            const keyboard = this.getPlansKeyboard(locale);
 
             if (ctx.callbackQuery) {
                 await ctx.editMessageText(plansMessage, {
@@ -30,122 +33,86 @@ class PlansHandler {
 
         } catch (error) {
             console.error('❌ Plans handler error:', error);
-            await ctx.reply('❌ Failed to load plans. Please try again.');
+            await ctx.reply(t(locale, 'plans.loadFailed'));
         }
     }
 
-    async buildPlansMessage() {
+    async buildPlansMessage(locale = 'en') {
         try {
             const plans = await this.getAllPlans();
             
-            let message = `📋 **Membership Plans**
-
-💎 Choose your membership level to start earning from referrals!
-
-**🎯 Benefits:**
-• 💰 Referral commissions
-• 🎫 Exclusive NFT membership
-• ⬆️ Plan upgrade rewards
-• 🌟 VIP community access
-
-**📊 Available Plans:**\n`;
+            let message = t(locale, 'plans.overview');
 
             // Show first 8 plans in overview
             for (let i = 1; i <= Math.min(8, plans.length); i++) {
                 const plan = plans[i - 1];
                 if (plan) {
-                    const price = formatNumber(parseFloat(plan.priceFormatted));
-                    const cycleInfo = `${plan.membersInCurrentCycle}/${plan.membersPerCycle}`;
-                    
-                    message += `\n**${plan.name}** (Plan ${i})
-💰 Price: ${price} USDT
-👥 Current Cycle: ${cycleInfo} members`;
+                    message += `\n${t(locale, 'plans.overviewPlan', {
+                        name: plan.name,
+                        plan: i,
+                        price: formatNumber(parseFloat(plan.priceFormatted), 2, locale),
+                        cycle: `${plan.membersInCurrentCycle}/${plan.membersPerCycle}`
+                    })}`;
                 }
             }
 
-            message += `\n\n💡 **How it works:**
-1️⃣ Choose a membership plan
-2️⃣ Connect your wallet & pay
-3️⃣ Receive your NFT membership
-4️⃣ Start referring friends
-5️⃣ Earn commissions & upgrade!
-
-🔄 **Upgrade Path:** Start with any plan and upgrade level by level to earn more commissions!`;
+            message += `\n\n${t(locale, 'plans.overviewFooter')}`;
 
             return message;
 
         } catch (error) {
             console.error('❌ Error building plans message:', error);
-            return this.getBasicPlansMessage();
+            return this.getBasicPlansMessage(locale);
         }
     }
 
-    getBasicPlansMessage() {
-        return `📋 **Membership Plans**
-
-💎 Join our exclusive membership program!
-
-**Available Plans:**
-• **Starter** - Perfect for beginners
-• **Basic** - More earning potential  
-• **Bronze** - Enhanced benefits
-• **Silver** - Premium features
-• And many more levels to unlock!
-
-💰 **Earn Through:**
-• Direct referral commissions
-• Plan upgrade bonuses
-• Exclusive member rewards
-
-🚀 Use the buttons below to explore plans or get started!`;
+    getBasicPlansMessage(locale = 'en') {
+        return t(locale, 'plans.basic');
     }
 
-    getPlansKeyboard() {
+    getPlansKeyboard(locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('🚀 Start with Plan 1', 'plan_1'),
-                Markup.button.callback('📊 View All Plans', 'action_view_all_plans')
+                Markup.button.callback(t(locale, 'buttons.startWithPlan1'), 'plan_1'),
+                Markup.button.callback(t(locale, 'buttons.viewAllPlans'), 'action_view_all_plans')
             ],
             [
-                Markup.button.callback('💡 How it Works', 'action_how_it_works'),
-                Markup.button.callback('💰 Commission Structure', 'action_commission_info')
+                Markup.button.callback(t(locale, 'buttons.howItWorks'), 'action_how_it_works'),
+                Markup.button.callback(t(locale, 'buttons.commissionStructure'), 'action_commission_info')
             ],
             [
-                Markup.button.callback('📈 Plan Comparison', 'action_plan_comparison'),
-                Markup.button.callback('❓ FAQ', 'action_plans_faq')
+                Markup.button.callback(t(locale, 'buttons.planComparison'), 'action_plan_comparison'),
+                Markup.button.callback(t(locale, 'buttons.faq'), 'action_plans_faq')
             ],
             [
-                Markup.button.callback('🏠 Main Menu', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
             ]
         ]);
     }
 
     async showAllPlans(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const plans = await this.getAllPlans();
-            const keyboard = this.getAllPlansKeyboard(plans);
+            const keyboard = this.getAllPlansKeyboard(plans, locale);
             
-            let message = `📊 **All Membership Plans**
-
-Choose your starting level:\n`;
+            let message = t(locale, 'plans.allTitle');
 
             // Group plans by categories
             const categories = this.groupPlansByCategory(plans);
             
             for (const [category, categoryPlans] of Object.entries(categories)) {
-                message += `\n**${category} Tier:**\n`;
+                message += `\n${t(locale, `plans.categories.${category}.tier`)}\n`;
                 
                 categoryPlans.forEach(plan => {
-                    const price = formatNumber(parseFloat(plan.priceFormatted));
+                    const price = formatNumber(parseFloat(plan.priceFormatted), 2, locale);
                     const status = plan.isActive ? '✅' : '❌';
                     message += `${status} **${plan.name}** - ${price} USDT\n`;
                 });
             }
 
-            message += `\n💡 **Tips:**
-• Start with Plan 1 if you're new
-• Higher plans = Higher commissions
-• You can upgrade anytime!`;
+            message += `\n${t(locale, 'plans.allTips')}`;
 
             await ctx.editMessageText(message, {
                 parse_mode: 'Markdown',
@@ -155,11 +122,11 @@ Choose your starting level:\n`;
 
         } catch (error) {
             console.error('❌ Show all plans error:', error);
-            await ctx.answerCbQuery('❌ Failed to load plans');
+            await ctx.answerCbQuery(t(locale, 'plans.loadFailedShort'));
         }
     }
 
-    getAllPlansKeyboard(plans) {
+    getAllPlansKeyboard(plans, locale = 'en') {
         const keyboard = [];
         
         // Create rows of plan buttons (2 per row)
@@ -167,7 +134,7 @@ Choose your starting level:\n`;
             const row = [];
             
             if (plans[i]) {
-                const price = formatNumber(parseFloat(plans[i].priceFormatted));
+                const price = formatNumber(parseFloat(plans[i].priceFormatted), 2, locale);
                 row.push(Markup.button.callback(
                     `${plans[i].name} ($${price})`, 
                     `plan_${i + 1}`
@@ -175,7 +142,7 @@ Choose your starting level:\n`;
             }
             
             if (plans[i + 1]) {
-                const price = formatNumber(parseFloat(plans[i + 1].priceFormatted));
+                const price = formatNumber(parseFloat(plans[i + 1].priceFormatted), 2, locale);
                 row.push(Markup.button.callback(
                     `${plans[i + 1].name} ($${price})`, 
                     `plan_${i + 2}`
@@ -186,23 +153,25 @@ Choose your starting level:\n`;
         }
 
         keyboard.push([
-            Markup.button.callback('🔙 Back to Plans', 'action_view_plans')
+            Markup.button.callback(t(locale, 'buttons.backToPlans'), 'action_view_plans')
         ]);
 
         return Markup.inlineKeyboard(keyboard);
     }
 
     async showPlanDetails(ctx, planId) {
+        const { locale } = ctx.state;
+
         try {
             const plan = await this.blockchainService.getPlanInfo(planId);
             
             if (!plan) {
-                await ctx.answerCbQuery('❌ Plan not found');
+                await ctx.answerCbQuery(t(locale, 'plans.notFound'));
                 return;
             }
 
-            const message = await this.buildPlanDetailsMessage(plan, planId);
-            const keyboard = this.getPlanDetailsKeyboard(planId);
+            const message = await this.buildPlanDetailsMessage(plan, planId, locale);
+            const keyboard = this.getPlanDetailsKeyboard(planId, locale);
 
             await ctx.editMessageText(message, {
                 parse_mode: 'Markdown',
@@ -212,136 +181,84 @@ Choose your starting level:\n`;
 
         } catch (error) {
             console.error('❌ Show plan details error:', error);
-            await ctx.answerCbQuery('❌ Failed to load plan details');
+            await ctx.answerCbQuery(t(locale, 'plans.detailsFailed'));
         }
     }
 
-    async buildPlanDetailsMessage(plan, planId) {
-        const price = formatNumber(parseFloat(plan.priceFormatted));
-        const cycleProgress = `${plan.membersInCurrentCycle}/${plan.membersPerCycle}`;
+    async buildPlanDetailsMessage(plan, planId, locale = 'en') {
         const cycleCompletion = Math.round((plan.membersInCurrentCycle / plan.membersPerCycle) * 100);
         
         // Calculate commission structure
         const commissionInfo = this.getCommissionStructure(planId);
         
-        let message = `💎 **${plan.name} Plan** (Level ${planId})
-
-💰 **Price:** ${price} USDT
-🔄 **Current Cycle:** ${plan.currentCycle}
-👥 **Cycle Progress:** ${cycleProgress} (${cycleCompletion}%)
-📊 **Status:** ${plan.isActive ? 'Active ✅' : 'Inactive ❌'}
-
-**💼 Commission Structure:**
-• **Direct Referral:** ${commissionInfo.direct}% of plan price
-• **Upline Bonus:** ${commissionInfo.upline}% to your sponsor
-• **Company Share:** ${commissionInfo.company}%
-
-**🎯 Benefits:**
-• Earn ${commissionInfo.direct}% on every direct referral
-• Receive NFT membership token
-• Access to exclusive community
-• Upgrade path to higher levels
-
-**⚡ Requirements:**
-• Must have connected wallet
-• Sufficient USDT balance
-• Valid upline (or owner as sponsor)`;
+        let message = t(locale, 'plans.details', {
+            name: plan.name,
+            level: planId,
+            price: formatNumber(parseFloat(plan.priceFormatted), 2, locale),
+            cycle: plan.currentCycle,
+            progress: `${plan.membersInCurrentCycle}/${plan.membersPerCycle}`,
+            completion: cycleCompletion,
+            status: t(locale, plan.isActive ? 'plans.active' : 'plans.inactive'),
+            ...commissionInfo
+        });
 
         // Add upgrade information if not the highest plan
         if (planId < 16) {
             const nextPlan = await this.blockchainService.getPlanInfo(planId + 1);
             if (nextPlan) {
                 const upgradeCost = formatNumber(
-                    parseFloat(nextPlan.priceFormatted) - parseFloat(plan.priceFormatted)
+                    parseFloat(nextPlan.priceFormatted) - parseFloat(plan.priceFormatted),
+                    2,
+                    locale
                 );
-                message += `\n\n⬆️ **Next Level:** ${nextPlan.name} Plan
-💰 **Upgrade Cost:** ${upgradeCost} USDT`;
+                message += `\n\n${t(locale, 'plans.nextLevel', { name: nextPlan.name, cost: upgradeCost })}`;
             }
         }
 
         return message;
     }
 
-    getPlanDetailsKeyboard(planId) {
+    getPlanDetailsKeyboard(planId, locale = 'en') {
         const keyboard = [];
 
         // Action buttons
         keyboard.push([
-            Markup.button.callback('🚀 Select This Plan', `plan_${planId}`),
-            Markup.button.callback('💡 How to Join', 'action_how_to_join')
+            Markup.button.callback(t(locale, 'buttons.selectPlan'), `plan_${planId}`),
+            Markup.button.callback(t(locale, 'buttons.howToJoin'), 'action_how_to_join')
         ]);
 
         // Navigation buttons
         const navRow = [];
         if (planId > 1) {
-            navRow.push(Markup.button.callback('⬅️ Previous Plan', `plan_details_${planId - 1}`));
+            navRow.push(Markup.button.callback(t(locale, 'buttons.previousPlan'), `plan_details_${planId - 1}`));
         }
         if (planId < 16) {
-            navRow.push(Markup.button.callback('➡️ Next Plan', `plan_details_${planId + 1}`));
+            navRow.push(Markup.button.callback(t(locale, 'buttons.nextPlan'), `plan_details_${planId + 1}`));
         }
         if (navRow.length > 0) {
             keyboard.push(navRow);
         }
 
         keyboard.push([
-            Markup.button.callback('📊 All Plans', 'action_view_all_plans'),
-            Markup.button.callback('🔙 Back', 'action_view_plans')
+            Markup.button.callback(t(locale, 'buttons.allPlans'), 'action_view_all_plans'),
+            Markup.button.callback(t(locale, 'buttons.back'), 'action_view_plans')
         ]);
 
         return Markup.inlineKeyboard(keyboard);
     }
 
     async showHowItWorks(ctx) {
-        const message = `💡 **How the Membership System Works**
-
-**🔄 4-Step Process:**
-
-**1️⃣ Choose Your Plan**
-• Select any membership level (1-16)
-• Higher plans = Higher commissions
-• Start with what you're comfortable with
-
-**2️⃣ Complete Payment**
-• Connect your BSC wallet
-• Approve USDT spending
-• Pay the membership fee
-
-**3️⃣ Receive NFT Membership**
-• Get your unique NFT token
-• Proof of membership on blockchain
-• Non-transferable membership certificate
-
-**4️⃣ Start Earning**
-• Share your referral code
-• Earn commissions when friends join
-• Upgrade to higher plans for more earnings
-
-**💰 Commission System:**
-• **Plans 1-4:** 50% to you, 50% to company
-• **Plans 5-8:** 55% to you, 45% to company  
-• **Plans 9-12:** 58% to you, 42% to company
-• **Plans 13-16:** 60% to you, 40% to company
-
-**🎯 Your Share Splits:**
-• 60% to your wallet (direct commission)
-• 40% to company fund
-
-**⬆️ Upgrade Benefits:**
-• Unlock higher commission rates
-• Access premium features
-• Bigger earning potential
-• VIP community access
-
-Ready to start? Choose a plan above! 🚀`;
+        const { locale } = ctx.state;
+        const message = t(locale, 'plans.howItWorks');
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('🚀 Choose Plan 1', 'plan_1'),
-                Markup.button.callback('📊 View All Plans', 'action_view_all_plans')
+                Markup.button.callback(t(locale, 'buttons.choosePlan1'), 'plan_1'),
+                Markup.button.callback(t(locale, 'buttons.viewAllPlans'), 'action_view_all_plans')
             ],
             [
-                Markup.button.callback('💰 Commission Details', 'action_commission_info'),
-                Markup.button.callback('🔙 Back', 'action_view_plans')
+                Markup.button.callback(t(locale, 'buttons.commissionDetails'), 'action_commission_info'),
+                Markup.button.callback(t(locale, 'buttons.back'), 'action_view_plans')
             ]
         ]);
 
@@ -353,59 +270,16 @@ Ready to start? Choose a plan above! 🚀`;
     }
 
     async showCommissionInfo(ctx) {
-        const message = `💰 **Commission Structure Details**
-
-**📊 Commission Breakdown by Plan Level:**
-
-**🥉 Bronze Tier (Plans 1-4):**
-• User gets: 50% of plan price
-• Company: 50% of plan price
-• Your direct commission: 30% of plan price
-• Fund allocation: 20% of plan price
-
-**🥈 Silver Tier (Plans 5-8):**
-• User gets: 55% of plan price  
-• Company: 45% of plan price
-• Your direct commission: 33% of plan price
-• Fund allocation: 22% of plan price
-
-**🥇 Gold Tier (Plans 9-12):**
-• User gets: 58% of plan price
-• Company: 42% of plan price
-• Your direct commission: 35% of plan price
-• Fund allocation: 23% of plan price
-
-**💎 Diamond Tier (Plans 13-16):**
-• User gets: 60% of plan price
-• Company: 40% of plan price
-• Your direct commission: 36% of plan price
-• Fund allocation: 24% of plan price
-
-**🎯 Example: Plan 5 (Gold) - $50 USDT**
-• You earn: $33 USDT instantly
-• Your sponsor earns: $22 USDT
-• Company gets: $45 USDT total
-
-**⚡ Instant Payments:**
-• Commissions paid immediately
-• Direct to your wallet
-• No delays or manual processing
-• Transparent blockchain transactions
-
-**🔄 Upgrade Bonuses:**
-• Earn on price difference when members upgrade
-• Recurring earning opportunity
-• Build passive income stream
-
-Start earning today! 💪`;
+        const { locale } = ctx.state;
+        const message = t(locale, 'plans.commissionDetails');
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('📊 Plan Comparison', 'action_plan_comparison'),
-                Markup.button.callback('🚀 Get Started', 'action_get_started')
+                Markup.button.callback(t(locale, 'buttons.planComparison'), 'action_plan_comparison'),
+                Markup.button.callback(t(locale, 'buttons.getStarted'), 'action_get_started')
             ],
             [
-                Markup.button.callback('🔙 Back to Plans', 'action_view_plans')
+                Markup.button.callback(t(locale, 'buttons.backToPlans'), 'action_view_plans')
             ]
         ]);
 
@@ -417,59 +291,17 @@ Start earning today! 💪`;
     }
 
     async showPlanComparison(ctx) {
-        const message = `📈 **Plan Comparison Chart**
-
-**💡 Quick Comparison:**
-
-**🟢 Starter Plans (1-4):**
-• Entry level pricing ($10-$40)
-• 30% direct commission rate
-• Perfect for beginners
-• Basic community access
-
-**🟡 Growth Plans (5-8):**
-• Mid-tier pricing ($50-$80)
-• 33% direct commission rate  
-• Enhanced earning potential
-• Premium features unlocked
-
-**🟠 Advanced Plans (9-12):**
-• Higher pricing ($90-$120)
-• 35% direct commission rate
-• Serious earner level
-• VIP community access
-
-**🔴 Elite Plans (13-16):**
-• Premium pricing ($130-$160)
-• 36% direct commission rate
-• Maximum earning potential
-• Exclusive elite features
-
-**🎯 Recommendation:**
-• **New users:** Start with Plan 1-2
-• **Experienced:** Consider Plan 5-8
-• **Serious investors:** Plan 9-12
-• **Elite members:** Plan 13-16
-
-**⬆️ Upgrade Strategy:**
-1. Start comfortable
-2. Reinvest earnings  
-3. Upgrade gradually
-4. Maximize commissions
-
-**💰 ROI Example:**
-Plan 5 ($50) → Refer 2 friends → Earn $66 → 132% ROI!
-
-Choose your starting point wisely! 🎯`;
+        const { locale } = ctx.state;
+        const message = t(locale, 'plans.comparison');
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('🚀 Plan 1 ($10)', 'plan_1'),
-                Markup.button.callback('💪 Plan 5 ($50)', 'plan_5')
+                Markup.button.callback(t(locale, 'buttons.plan1Example'), 'plan_1'),
+                Markup.button.callback(t(locale, 'buttons.plan5Example'), 'plan_5')
             ],
             [
-                Markup.button.callback('📊 All Plans', 'action_view_all_plans'),
-                Markup.button.callback('🔙 Back', 'action_view_plans')
+                Markup.button.callback(t(locale, 'buttons.allPlans'), 'action_view_all_plans'),
+                Markup.button.callback(t(locale, 'buttons.back'), 'action_view_plans')
             ]
         ]);
 
@@ -489,15 +321,13 @@ Choose your starting point wisely! 🎯`;
             return Array.from(this.planCache.values());
         }
 
-        // Fetch fresh data
-        const plans = [];
+        // Fetch fresh data, all 16 plans in one batched read
+        let plans = [];
         try {
-            for (let i = 1; i <= 16; i++) {
-                const plan = await this.blockchainService.getPlanInfo(i);
-                if (plan) {
-                    plans.push(plan);
-                    this.planCache.set(i, plan);
-                }
+            const planIds = Array.from({ length: 16 }, (_, index) => index + 1);
+            plans = await this.blockchainService.getPlansBatch(planIds);
+            for (const plan of plans) {
+                this.planCache.set(plan.id, plan);
             }
             this.lastCacheUpdate = now;
         } catch (error) {
@@ -513,10 +343,10 @@ Choose your starting point wisely! 🎯`;
 
     groupPlansByCategory(plans) {
         return {
-            'Starter': plans.slice(0, 4),
-            'Growth': plans.slice(4, 8),
-            'Advanced': plans.slice(8, 12),
-            'Elite': plans.slice(12, 16)
+            'starter': plans.slice(0, 4),
+            'growth': plans.slice(4, 8),
+            'advanced': plans.slice(8, 12),
+            'elite': plans.slice(12, 16)
         };
     }
 
@@ -1,33 +1,41 @@
 const { Markup } = require('telegraf');
 const UserService = require('../../services/UserService');
 const BlockchainService = require('../../services/BlockchainService');
+const NftMetadataService = require('../../services/NftMetadataService');
 const { formatNumber, formatDate, formatDuration } = require('../../utils/formatting');
+const { getDatabase } = require('../../config/database');
+const { blockchainConfig } = require('../../config/blockchain');
+const { t, isSupported, getLocales, getLocaleLabel } = require('../../utils/i18n');
 
 class ProfileHandler {
     constructor() {
         this.userService = new UserService();
-        this.blockchainService = new BlockchainService();
+        this.blockchainService = BlockchainService.getInstance();
+        this.nftMetadataService = new NftMetadataService();
     }
 
-    async handle(ctx) {
+    // notice is shown as the callback answer, e.g. after changing the language
+    async handle(ctx, notice = undefined) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user) {
-                await ctx.reply('❌ User not found. Please use /start to register.');
+                await ctx.reply(t(locale, 'errors.userNotFound'));
                 return;
             }
 
-            const profileMessage = await this.buildProfileMessage(user);
-            const keyboard = this.getProfileKeyboard(user);
+            const profileMessage = await this.buildProfileMessage(user, locale);
+            const keyboard = this.getProfileKeyboard(user, locale);
             
             if (ctx.callbackQuery) {
                 await ctx.editMessageText(profileMessage, {
                     parse_mode: 'Markdown',
                     ...keyboard
                 });
-                await ctx.answerCbQuery();
+                await ctx.answerCbQuery(notice);
             } else {
                 await ctx.reply(profileMessage, {
                     parse_mode: 'Markdown',
@@ -37,11 +45,11 @@ class ProfileHandler {
             
         } catch (error) {
             console.error('❌ Profile handler error:', error);
-            await ctx.reply('❌ Failed to load profile. Please try again.');
+            await ctx.reply(t(locale, 'profile.loadFailed'));
         }
     }
 
-    async buildProfileMessage(user) {
+    async buildProfileMessage(user, locale = 'en') {
         try {
             // Get blockchain info if user has wallet
             let blockchainInfo = null;
@@ -53,152 +61,301 @@ class ProfileHandler {
             const stats = await this.userService.getUserStats(user.telegram_id);
             
             // Build profile sections
-            const header = this.buildHeaderSection(user);
-            const membershipSection = this.buildMembershipSection(user, blockchainInfo);
-            const statsSection = this.buildStatsSection(stats);
-            const walletSection = this.buildWalletSection(user, blockchainInfo);
+            const header = this.buildHeaderSection(user, locale);
+            const membershipSection = this.buildMembershipSection(user, blockchainInfo, locale);
+            const statsSection = this.buildStatsSection(stats, locale);
+            const walletSection = this.buildWalletSection(user, blockchainInfo, locale);
             
             return `${header}\n\n${membershipSection}\n\n${statsSection}\n\n${walletSection}`;
             
         } catch (error) {
             console.error('❌ Error building profile message:', error);
-            return this.buildBasicProfileMessage(user);
+            return this.buildBasicProfileMessage(user, locale);
         }
     }
 
-    buildHeaderSection(user) {
+    buildHeaderSection(user, locale = 'en') {
         const statusEmoji = user.is_registered ? '💎' : '⭐';
-        const memberSince = formatDate(user.created_at);
         
-        return `${statusEmoji} **${user.first_name}'s Profile**
-
-👤 **Username:** @${user.username || 'not_set'}
-📅 **Member Since:** ${memberSince}
-🆔 **User ID:** \`${user.telegram_id}\``;
+        const title = t(locale, 'profile.title', { emoji: statusEmoji, name: user.first_name });
+        const details = t(locale, 'profile.header', {
+            username: user.username || 'not_set',
+            memberSince: formatDate(user.created_at, false, locale),
+            userId: user.telegram_id
+        });
+
+        return `${title}\n\n${details}`;
     }
 
-    buildMembershipSection(user, blockchainInfo) {
+    buildMembershipSection(user, blockchainInfo, locale = 'en') {
         if (!user.is_registered) {
-            return `📋 **Membership Status**
-❌ Not registered yet
-💡 Use /register to join a membership plan`;
+            return t(locale, 'profile.notRegistered');
         }
 
-        const planName = this.getPlanName(user.plan_id);
-        const registeredDate = formatDate(user.registered_at);
-        
-        let section = `💎 **Membership Status**
-✅ Active Member
-📊 **Plan:** ${planName} (Level ${user.plan_id})
-📅 **Registered:** ${registeredDate}`;
+        let section = t(locale, 'profile.membership', {
+            plan: this.getPlanLabel(user.plan_id, locale),
+            registered: formatDate(user.registered_at, false, locale)
+        });
 
         if (blockchainInfo) {
-            section += `\n🔄 **Cycle:** ${blockchainInfo.cycleNumber}`;
-            if (blockchainInfo.tokenId) {
-                section += `\n🎫 **NFT Token:** #${blockchainInfo.tokenId}`;
-            }
+            section += `\n${t(locale, 'profile.cycle', { cycle: blockchainInfo.cycleNumber })}`;
+        }
+        if (user.nft_token_id !== null && user.nft_token_id !== undefined) {
+            section += `\n${t(locale, 'profile.nftToken', { tokenId: user.nft_token_id })}`;
         }
 
         return section;
     }
 
-    buildStatsSection(stats) {
+    buildStatsSection(stats, locale = 'en') {
         if (!stats) {
-            return `📊 **Statistics**
-📈 Loading statistics...`;
+            return t(locale, 'profile.statsLoading');
         }
 
         const totalEarnings = parseFloat(stats.user.total_earnings) || 0;
-        const referralCount = stats.referrals.total || 0;
-        const activeReferrals = stats.referrals.active || 0;
-        const transactionCount = stats.transactions.total || 0;
 
-        return `📊 **Statistics**
-👥 **Referrals:** ${referralCount} total, ${activeReferrals} active
-💰 **Total Earnings:** ${formatNumber(totalEarnings)} USDT
-📝 **Transactions:** ${transactionCount}
-🎯 **Success Rate:** ${this.calculateSuccessRate(stats)}%`;
+        return t(locale, 'profile.stats', {
+            total: stats.referrals.total || 0,
+            active: stats.referrals.active || 0,
+            earnings: formatNumber(totalEarnings, 2, locale),
+            transactions: stats.transactions.total || 0,
+            successRate: this.calculateSuccessRate(stats)
+        });
     }
 
-    buildWalletSection(user, blockchainInfo) {
+    buildWalletSection(user, blockchainInfo, locale = 'en') {
         if (!user.wallet_address) {
-            return `💳 **Wallet**
-❌ No wallet connected
-💡 Use /wallet to connect your wallet`;
+            return t(locale, 'profile.noWallet');
         }
 
         const shortAddress = `${user.wallet_address.slice(0, 6)}...${user.wallet_address.slice(-4)}`;
         
-        let section = `💳 **Wallet**
-✅ Connected: \`${shortAddress}\``;
+        let section = t(locale, 'profile.wallet', { address: shortAddress });
 
         if (blockchainInfo) {
-            section += `\n📈 **On-chain Earnings:** ${this.blockchainService.formatTokenAmount(blockchainInfo.totalEarnings)} USDT`;
-            section += `\n👥 **On-chain Referrals:** ${blockchainInfo.totalReferrals}`;
+            const earnings = this.blockchainService.formatTokenAmount(blockchainInfo.totalEarnings);
+            section += `\n${t(locale, 'profile.onchainEarnings', { earnings })}`;
+            section += `\n${t(locale, 'profile.onchainReferrals', { referrals: blockchainInfo.totalReferrals })}`;
         }
 
         return section;
     }
 
-    buildBasicProfileMessage(user) {
+    buildBasicProfileMessage(user, locale = 'en') {
         const statusEmoji = user.is_registered ? '💎' : '⭐';
-        const memberSince = formatDate(user.created_at);
         
-        return `${statusEmoji} **${user.first_name}'s Profile**
-
-👤 **Username:** @${user.username || 'not_set'}
-📅 **Member Since:** ${memberSince}
-📊 **Status:** ${user.is_registered ? 'Active Member' : 'Not Registered'}
-👥 **Referrals:** ${user.total_referrals}
-💰 **Earnings:** ${formatNumber(parseFloat(user.total_earnings))} USDT
-
-💡 Use the buttons below to manage your profile.`;
+        const title = t(locale, 'profile.title', { emoji: statusEmoji, name: user.first_name });
+        const details = t(locale, 'profile.basic', {
+            username: user.username || 'not_set',
+            memberSince: formatDate(user.created_at, false, locale),
+            status: t(locale, user.is_registered ? 'profile.statusActive' : 'profile.statusNotRegistered'),
+            referrals: user.total_referrals,
+            earnings: formatNumber(parseFloat(user.total_earnings), 2, locale)
+        });
+
+        return `${title}\n\n${details}`;
     }
 
-    getProfileKeyboard(user) {
+    getProfileKeyboard(user, locale = 'en') {
         const keyboard = [];
 
         if (user.is_registered) {
             keyboard.push([
-                Markup.button.callback('⬆️ Upgrade Plan', 'action_upgrade'),
-                Markup.button.callback('💰 Earnings', 'action_earnings')
+                Markup.button.callback(t(locale, 'buttons.upgradePlan'), 'action_upgrade'),
+                Markup.button.callback(t(locale, 'buttons.earnings'), 'action_earnings')
+            ]);
+            keyboard.push([
+                Markup.button.callback(t(locale, 'buttons.myNft'), 'action_nft'),
+                Markup.button.callback(t(locale, 'buttons.exitMembership'), 'action_exit')
             ]);
         } else {
             keyboard.push([
-                Markup.button.callback('🚀 Register Now', 'action_get_started')
+                Markup.button.callback(t(locale, 'buttons.registerNow'), 'action_get_started')
             ]);
         }
 
         keyboard.push([
-            Markup.button.callback('👥 Referrals', 'action_referrals'),
-            Markup.button.callback('💳 Wallet', 'action_wallet_info')
+            Markup.button.callback(t(locale, 'buttons.referrals'), 'action_referrals'),
+            Markup.button.callback(t(locale, 'buttons.wallet'), 'action_wallet_info')
+        ]);
+
+        keyboard.push([
+            Markup.button.callback(t(locale, 'buttons.fullStats'), 'action_stats'),
+            Markup.button.callback(t(locale, 'buttons.refresh'), 'action_refresh')
         ]);
 
         keyboard.push([
-            Markup.button.callback('📊 Full Stats', 'action_stats'),
-            Markup.button.callback('🔄 Refresh', 'action_refresh')
+            Markup.button.callback(t(locale, 'buttons.language'), 'action_language'),
+            Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
+        ]);
+
+        return Markup.inlineKeyboard(keyboard);
+    }
+
+    async showLanguages(ctx) {
+        const { locale } = ctx.state;
+
+        try {
+            const message = t(locale, 'language.title', { current: getLocaleLabel(locale) });
+
+            await ctx.editMessageText(message, {
+                parse_mode: 'Markdown',
+                ...this.getLanguageKeyboard(locale)
+            });
+            await ctx.answerCbQuery();
+
+        } catch (error) {
+            console.error('❌ Show languages error:', error);
+            await ctx.answerCbQuery(t(locale, 'errors.somethingWentWrong'));
+        }
+    }
+
+    getLanguageKeyboard(locale = 'en') {
+        const keyboard = getLocales().map(({ code, name, flag }) => [
+            Markup.button.callback(`${code === locale ? '✅ ' : ''}${flag} ${name}`, `lang_${code}`)
         ]);
 
         keyboard.push([
-            Markup.button.callback('🏠 Main Menu', 'action_back_main')
+            Markup.button.callback(t(locale, 'buttons.back'), 'action_profile')
         ]);
 
         return Markup.inlineKeyboard(keyboard);
     }
 
+    // Save the chosen language and show the profile again in it
+    async setLanguage(ctx, languageCode) {
+        try {
+            if (!isSupported(languageCode)) {
+                await ctx.answerCbQuery(t(ctx.state.locale, 'language.unsupported'));
+                return;
+            }
+
+            const telegramId = ctx.from.id.toString();
+            await this.userService.updateLanguage(telegramId, languageCode);
+
+            ctx.state.locale = languageCode;
+            if (ctx.session.user) {
+                ctx.session.user.language_code = languageCode;
+            }
+
+            await this.handle(ctx, t(languageCode, 'language.changed'));
+
+        } catch (error) {
+            console.error('❌ Set language error:', error);
+            await ctx.answerCbQuery(t(ctx.state.locale, 'language.failed'));
+        }
+    }
+
+    // Photo card of the member's NFT; sent as a new message since a photo can't replace text
+    async showNft(ctx) {
+        const { locale } = ctx.state;
+
+        try {
+            const telegramId = ctx.from.id.toString();
+            const user = await this.userService.getUserByTelegramId(telegramId);
+
+            if (!user || !user.is_registered) {
+                await ctx.answerCbQuery(t(locale, 'profile.nftNotRegistered'));
+                return;
+            }
+
+            await ctx.answerCbQuery(t(locale, 'profile.nftLoading'));
+
+            const card = await this.nftMetadataService.getCard(user);
+            if (!card) {
+                await ctx.reply(t(locale, 'profile.nftNotFound'));
+                return;
+            }
+
+            const caption = this.buildNftCaption(card, locale);
+            const keyboard = this.getNftKeyboard(card, locale);
+            const photo = await this.nftMetadataService.getPhoto(card);
+
+            if (!photo) {
+                await ctx.reply(caption, {
+                    parse_mode: 'Markdown',
+                    ...keyboard
+                });
+                return;
+            }
+
+            const message = await ctx.replyWithPhoto(photo, {
+                caption,
+                parse_mode: 'Markdown',
+                ...keyboard
+            });
+            await this.nftMetadataService.rememberPhoto(card, message);
+
+        } catch (error) {
+            console.error('❌ Show NFT error:', error);
+            await ctx.reply(t(locale, 'profile.nftFailed'));
+        }
+    }
+
+    buildNftCaption(card, locale = 'en') {
+        let caption = `🎫 **${this.toPlainText(card.name)}**
+
+${t(locale, 'profile.nftToken', { tokenId: card.tokenId })}`;
+
+        if (card.planId) {
+            caption += `\n${t(locale, 'profile.nftPlan', { plan: this.getPlanLabel(card.planId, locale) })}`;
+        }
+
+        if (card.description) {
+            const description = card.description.length > 200
+                ? `${card.description.slice(0, 197)}...`
+                : card.description;
+            caption += `\n\n${this.toPlainText(description)}`;
+        }
+
+        const attributes = card.attributes
+            .filter(attribute => attribute && attribute.value !== undefined)
+            .slice(0, 10)
+            .map(attribute => `• ${this.toPlainText(attribute.trait_type || 'Trait')}: ${this.toPlainText(attribute.value)}`);
+
+        if (attributes.length > 0) {
+            caption += `\n\n${t(locale, 'profile.nftAttributes')}\n${attributes.join('\n')}`;
+        }
+
+        // Photo captions are limited to 1024 characters
+        return caption.length > 1024 ? `${caption.slice(0, 1021)}...` : caption;
+    }
+
+    // Metadata comes from outside the bot; Markdown characters in it would break the caption
+    toPlainText(value) {
+        return String(value).replace(/[*_`\[\]]/g, '');
+    }
+
+    getNftKeyboard(card, locale = 'en') {
+        const nftAddress = this.blockchainService.nftContract && this.blockchainService.nftContract.target;
+        const explorerUrl = nftAddress
+            ? blockchainConfig.getExplorerLink('nft', `${nftAddress}/${card.tokenId}`)
+            : null;
+
+        if (!explorerUrl) {
+            return {};
+        }
+
+        return Markup.inlineKeyboard([
+            [Markup.button.url(t(locale, 'buttons.viewOnExplorer'), explorerUrl)]
+        ]);
+    }
+
     async showEarnings(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user) {
-                await ctx.answerCbQuery('❌ User not found');
+                await ctx.answerCbQuery(t(locale, 'errors.userNotFound'));
                 return;
             }
 
             const stats = await this.userService.getUserStats(user.telegram_id);
-            const earningsMessage = await this.buildEarningsMessage(user, stats);
-            const keyboard = this.getEarningsKeyboard();
+            const earningsMessage = await this.buildEarningsMessage(user, stats, locale);
+            const keyboard = this.getEarningsKeyboard(locale);
 
             await ctx.editMessageText(earningsMessage, {
                 parse_mode: 'Markdown',
@@ -208,35 +365,36 @@ class ProfileHandler {
 
         } catch (error) {
             console.error('❌ Show earnings error:', error);
-            await ctx.answerCbQuery('❌ Failed to load earnings');
+            await ctx.answerCbQuery(t(locale, 'profile.earningsFailed'));
         }
     }
 
-    async buildEarningsMessage(user, stats) {
+    async buildEarningsMessage(user, stats, locale = 'en') {
         const totalEarnings = parseFloat(user.total_earnings) || 0;
         const totalPaid = parseFloat(user.total_paid) || 0;
         const pending = totalEarnings - totalPaid;
 
-        let message = `💰 **Earnings Overview**
-
-**Total Earned:** ${formatNumber(totalEarnings)} USDT
-**Total Paid:** ${formatNumber(totalPaid)} USDT
-**Pending:** ${formatNumber(pending)} USDT`;
+        let message = t(locale, 'profile.earningsTitle', {
+            earned: formatNumber(totalEarnings, 2, locale),
+            paid: formatNumber(totalPaid, 2, locale),
+            pending: formatNumber(pending, 2, locale)
+        });
 
         if (stats && stats.commissions) {
-            message += `\n\n📊 **Commission Details**
-**Total Payments:** ${stats.commissions.payments}
-**Paid Payments:** ${stats.commissions.paid_payments}
-**Success Rate:** ${this.calculateCommissionSuccessRate(stats.commissions)}%`;
+            message += `\n\n${t(locale, 'profile.commissionDetails', {
+                payments: stats.commissions.payments,
+                paid: stats.commissions.paid_payments,
+                successRate: this.calculateCommissionSuccessRate(stats.commissions)
+            })}`;
         }
 
         // Get recent transactions
         const recentTransactions = await this.getRecentEarnings(user.telegram_id);
         if (recentTransactions.length > 0) {
-            message += `\n\n📝 **Recent Earnings**`;
+            message += `\n\n${t(locale, 'profile.recentEarnings')}`;
             recentTransactions.forEach(tx => {
-                const date = formatDate(tx.created_at, true);
-                message += `\n• ${formatNumber(parseFloat(tx.amount))} USDT - ${date}`;
+                const date = formatDate(tx.created_at, true, locale);
+                message += `\n• ${formatNumber(parseFloat(tx.amount), 2, locale)} USDT - ${date}`;
             });
         }
 
@@ -245,41 +403,49 @@ class ProfileHandler {
 
     async getRecentEarnings(telegramId, limit = 5) {
         try {
-            // This would get recent earning transactions
-            // For now, return empty array
-            return [];
+            const db = getDatabase();
+            return await db.all(`
+                SELECT r.commission AS amount, r.paid_at AS created_at, r.plan_level, r.tx_hash
+                FROM referrals r
+                JOIN users referrer ON r.referrer_id = referrer.id
+                WHERE referrer.telegram_id = ? AND r.status = 'paid'
+                ORDER BY r.paid_at DESC
+                LIMIT ?
+            `, [telegramId, limit]);
         } catch (error) {
             console.error('❌ Error getting recent earnings:', error);
             return [];
         }
     }
 
-    getEarningsKeyboard() {
+    getEarningsKeyboard(locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('📊 Full History', 'action_earnings_history'),
-                Markup.button.callback('💳 Withdraw', 'action_withdraw')
+                Markup.button.callback(t(locale, 'buttons.fullHistory'), 'action_earnings_history'),
+                Markup.button.callback(t(locale, 'buttons.withdraw'), 'action_withdraw')
             ],
             [
-                Markup.button.callback('🔄 Refresh', 'action_earnings'),
-                Markup.button.callback('🔙 Back', 'action_profile')
+                Markup.button.callback(t(locale, 'buttons.refresh'), 'action_earnings'),
+                Markup.button.callback(t(locale, 'buttons.back'), 'action_profile')
             ]
         ]);
     }
 
     async showStats(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user) {
-                await ctx.answerCbQuery('❌ User not found');
+                await ctx.answerCbQuery(t(locale, 'errors.userNotFound'));
                 return;
             }
 
             const stats = await this.userService.getUserStats(user.telegram_id);
-            const statsMessage = await this.buildFullStatsMessage(user, stats);
-            const keyboard = this.getStatsKeyboard();
+            const statsMessage = await this.buildFullStatsMessage(user, stats, locale);
+            const keyboard = this.getStatsKeyboard(locale);
 
             await ctx.editMessageText(statsMessage, {
                 parse_mode: 'Markdown',
@@ -289,66 +455,65 @@ class ProfileHandler {
 
         } catch (error) {
             console.error('❌ Show stats error:', error);
-            await ctx.answerCbQuery('❌ Failed to load statistics');
+            await ctx.answerCbQuery(t(locale, 'profile.statsFailed'));
         }
     }
 
-    async buildFullStatsMessage(user, stats) {
+    async buildFullStatsMessage(user, stats, locale = 'en') {
         if (!stats) {
-            return `📊 **Statistics**\n\n❌ Unable to load statistics at this time.`;
+            return t(locale, 'profile.statsUnavailable');
         }
 
-        const accountAge = this.calculateAccountAge(user.created_at);
-        const activityScore = this.calculateActivityScore(stats);
-
-        let message = `📊 **Detailed Statistics**
-
-👤 **Account Information**
-📅 **Account Age:** ${accountAge}
-⭐ **Activity Score:** ${activityScore}/100
-🎯 **Last Active:** ${formatDate(user.last_activity)}`;
+        let message = t(locale, 'profile.fullStats', {
+            accountAge: this.calculateAccountAge(user.created_at, locale),
+            activityScore: this.calculateActivityScore(stats),
+            lastActive: formatDate(user.last_activity, false, locale)
+        });
 
         // Membership stats
         if (user.is_registered) {
-            const membershipDuration = this.calculateMembershipDuration(user.registered_at);
-            message += `\n\n💎 **Membership**
-📊 **Plan Level:** ${user.plan_id}
-⏱️ **Member For:** ${membershipDuration}`;
+            message += `\n\n${t(locale, 'profile.fullStatsMembership', {
+                plan: user.plan_id,
+                memberFor: this.calculateMembershipDuration(user.registered_at, locale)
+            })}`;
         }
 
         // Referral stats
-        message += `\n\n👥 **Referral Performance**
-**Total Referrals:** ${stats.referrals.total}
-**Active Referrals:** ${stats.referrals.active}
-**Registration Rate:** ${this.calculateRegistrationRate(stats.referrals)}%`;
+        message += `\n\n${t(locale, 'profile.fullStatsReferrals', {
+            total: stats.referrals.total,
+            active: stats.referrals.active,
+            registrationRate: this.calculateRegistrationRate(stats.referrals)
+        })}`;
 
         // Transaction stats
-        message += `\n\n📝 **Transaction History**
-**Total Transactions:** ${stats.transactions.total}
-**Confirmed:** ${stats.transactions.confirmed}
-**Success Rate:** ${this.calculateTransactionSuccessRate(stats.transactions)}%`;
+        message += `\n\n${t(locale, 'profile.fullStatsTransactions', {
+            total: stats.transactions.total,
+            confirmed: stats.transactions.confirmed,
+            successRate: this.calculateTransactionSuccessRate(stats.transactions)
+        })}`;
 
         // Earnings breakdown
         const totalEarnings = parseFloat(stats.user.total_earnings) || 0;
         const avgPerReferral = stats.referrals.active > 0 ? totalEarnings / stats.referrals.active : 0;
         
-        message += `\n\n💰 **Earnings Breakdown**
-**Total Earned:** ${formatNumber(totalEarnings)} USDT
-**Average per Referral:** ${formatNumber(avgPerReferral)} USDT
-**Commission Payments:** ${stats.commissions.payments}`;
+        message += `\n\n${t(locale, 'profile.fullStatsEarnings', {
+            earned: formatNumber(totalEarnings, 2, locale),
+            average: formatNumber(avgPerReferral, 2, locale),
+            payments: stats.commissions.payments
+        })}`;
 
         return message;
     }
 
-    getStatsKeyboard() {
+    getStatsKeyboard(locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('👥 Referral Details', 'action_referral_stats'),
-                Markup.button.callback('📝 Transaction History', 'action_transaction_history')
+                Markup.button.callback(t(locale, 'buttons.referralDetails'), 'action_referral_stats'),
+                Markup.button.callback(t(locale, 'buttons.transactionHistory'), 'action_transaction_history')
             ],
             [
-                Markup.button.callback('🔄 Refresh', 'action_stats'),
-                Markup.button.callback('🔙 Back', 'action_profile')
+                Markup.button.callback(t(locale, 'buttons.refresh'), 'action_stats'),
+                Markup.button.callback(t(locale, 'buttons.back'), 'action_profile')
             ]
         ]);
     }
@@ -364,6 +529,10 @@ class ProfileHandler {
         return planNames[planId] || `Plan ${planId}`;
     }
 
+    getPlanLabel(planId, locale = 'en') {
+        return t(locale, 'profile.planLabel', { name: this.getPlanName(planId), level: planId });
+    }
+
     calculateSuccessRate(stats) {
         if (!stats || !stats.transactions) return 0;
         const total = stats.transactions.total;
@@ -392,21 +561,20 @@ class ProfileHandler {
         return total > 0 ? Math.round((confirmed / total) * 100) : 0;
     }
 
-    calculateAccountAge(createdAt) {
+    calculateAccountAge(createdAt, locale = 'en') {
         const created = new Date(createdAt);
         const now = new Date();
         const diffTime = Math.abs(now - created);
         const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
         
-        if (diffDays === 1) return '1 day';
-        if (diffDays < 30) return `${diffDays} days`;
-        if (diffDays < 365) return `${Math.floor(diffDays / 30)} months`;
-        return `${Math.floor(diffDays / 365)} years`;
+        if (diffDays < 30) return t(locale, 'duration.day', { count: diffDays });
+        if (diffDays < 365) return t(locale, 'duration.month', { count: Math.floor(diffDays / 30) });
+        return t(locale, 'duration.year', { count: Math.floor(diffDays / 365) });
     }
 
-    calculateMembershipDuration(registeredAt) {
-        if (!registeredAt) return 'Unknown';
-        return this.calculateAccountAge(registeredAt);
+    calculateMembershipDuration(registeredAt, locale = 'en') {
+        if (!registeredAt) return t(locale, 'duration.unknown');
+        return this.calculateAccountAge(registeredAt, locale);
     }
 
     calculateActivityScore(stats) {
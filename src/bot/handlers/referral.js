@@ -1,25 +1,30 @@
 // src/bot/handlers/referral.js
 const { Markup } = require('telegraf');
 const UserService = require('../../services/UserService');
-const { formatNumber, formatDate } = require('../../utils/formatting');
+const NetworkService = require('../../services/NetworkService');
+const { formatNumber, formatDate, formatWalletAddress, formatPlanLevel } = require('../../utils/formatting');
+const { t } = require('../../utils/i18n');
 
 class ReferralHandler {
     constructor() {
         this.userService = new UserService();
+        this.networkService = new NetworkService();
     }
 
     async handle(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user) {
-                await ctx.reply('❌ User not found. Please use /start to register.');
+                await ctx.reply(t(locale, 'errors.userNotFound'));
                 return;
             }
 
-            const referralMessage = await this.buildReferralMessage(user);
-            const keyboard = this.getReferralKeyboard(user);
+            const referralMessage = await this.buildReferralMessage(user, locale);
+            const keyboard = this.getReferralKeyboard(user, locale);
 
             if (ctx.callbackQuery) {
                 await ctx.editMessageText(referralMessage, {
@@ -36,98 +41,76 @@ class ReferralHandler {
 
         } catch (error) {
             console.error('❌ Referral handler error:', error);
-            await ctx.reply('❌ Failed to load referral information.');
+            await ctx.reply(t(locale, 'referral.loadFailed'));
         }
     }
 
-    async buildReferralMessage(user) {
+    async buildReferralMessage(user, locale = 'en') {
         const stats = await this.userService.getUserStats(user.telegram_id);
         const totalEarnings = parseFloat(user.total_earnings) || 0;
 
-        return `👥 **Your Referral Program**
-
-🎯 **Your Referral Code:** \`${user.referral_code}\`
-
-**📊 Your Referral Stats:**
-• **Total Referrals:** ${user.total_referrals}
-• **Active Referrals:** ${stats?.referrals?.active || 0}
-• **Total Earnings:** ${formatNumber(totalEarnings)} USDT
-
-**💰 Commission Structure:**
-• **Plan 1-4:** 30% commission
-• **Plan 5-8:** 33% commission  
-• **Plan 9-12:** 35% commission
-• **Plan 13-16:** 36% commission
-
-**🚀 How to Earn:**
-1. Share your referral code with friends
-2. They register using your code
-3. You earn instant commissions
-4. Build your network and increase earnings!
-
-**🔗 Your Referral Link:**
-https://t.me/${process.env.BOT_USERNAME}?start=${user.referral_code}
+        return t(locale, 'referral.overview', {
+            referralCode: user.referral_code,
+            total: user.total_referrals,
+            active: stats?.referrals?.active || 0,
+            earnings: formatNumber(totalEarnings, 2, locale),
+            link: this.getReferralLink(user)
+        });
+    }
 
-Share this link to start earning! 💪`;
+    getReferralLink(user) {
+        return `https://t.me/${process.env.BOT_USERNAME}?start=${user.referral_code}`;
     }
 
-    getReferralKeyboard(user) {
+    getReferralKeyboard(user, locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('📋 Copy Referral Code', 'action_copy_referral'),
-                Markup.button.callback('🔗 Share Link', 'action_share_link')
+                Markup.button.callback(t(locale, 'buttons.copyReferralCode'), 'action_copy_referral'),
+                Markup.button.callback(t(locale, 'buttons.shareLink'), 'action_share_link')
             ],
             [
-                Markup.button.callback('👥 My Referrals', 'action_my_referrals'),
-                Markup.button.callback('💰 Earnings History', 'action_referral_earnings')
+                Markup.button.callback(t(locale, 'buttons.myReferrals'), 'action_my_referrals'),
+                Markup.button.callback(t(locale, 'buttons.earningsHistory'), 'action_referral_earnings')
             ],
             [
-                Markup.button.callback('📊 Detailed Stats', 'action_referral_stats'),
-                Markup.button.callback('💡 Referral Tips', 'action_referral_tips')
+                Markup.button.callback(t(locale, 'buttons.detailedStats'), 'action_referral_stats'),
+                Markup.button.callback(t(locale, 'buttons.referralTips'), 'action_referral_tips')
             ],
             [
-                Markup.button.callback('🏠 Main Menu', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.myNetwork'), 'action_my_network')
+            ],
+            [
+                Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
             ]
         ]);
     }
 
     async shareCode(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user) {
-                await ctx.answerCbQuery('❌ User not found');
+                await ctx.answerCbQuery(t(locale, 'referral.userNotFound'));
                 return;
             }
 
-            const shareMessage = `🎉 **Join Crypto Membership NFT!**
-
-💎 Get exclusive NFT membership and start earning!
-
-**🚀 What you get:**
-• Exclusive NFT membership token
-• Earn from referrals instantly
-• Upgrade through 16 membership levels
-• Join our VIP community
-
-**💰 Start earning today!**
-
-👉 **Join here:** https://t.me/${process.env.BOT_USERNAME}?start=${user.referral_code}
-
-*Sent by ${user.first_name}*`;
+            const link = this.getReferralLink(user);
+            const shareMessage = t(locale, 'referral.shareMessage', { link, name: user.first_name });
 
             const keyboard = Markup.inlineKeyboard([
                 [
-                    Markup.button.url('📱 Share on Telegram', `https://t.me/share/url?url=https://t.me/${process.env.BOT_USERNAME}?start=${user.referral_code}&text=${encodeURIComponent(shareMessage)}`),
+                    Markup.button.url(t(locale, 'buttons.shareOnTelegram'), `https://t.me/share/url?url=${link}&text=${encodeURIComponent(shareMessage)}`),
                 ],
                 [
-                    Markup.button.callback('📋 Copy Message', 'action_copy_share_message'),
-                    Markup.button.callback('🔙 Back', 'action_referrals')
+                    Markup.button.callback(t(locale, 'buttons.copyMessage'), 'action_copy_share_message'),
+                    Markup.button.callback(t(locale, 'buttons.back'), 'action_referrals')
                 ]
             ]);
 
-            await ctx.editMessageText(shareMessage + '\n\n💡 **Use the buttons below to share:**', {
+            await ctx.editMessageText(`${shareMessage}\n\n${t(locale, 'referral.shareHint')}`, {
                 parse_mode: 'Markdown',
                 ...keyboard
             });
@@ -135,23 +118,25 @@ Share this link to start earning! 💪`;
 
         } catch (error) {
             console.error('❌ Share code error:', error);
-            await ctx.answerCbQuery('❌ Failed to generate share message');
+            await ctx.answerCbQuery(t(locale, 'referral.shareFailed'));
         }
     }
 
     async showStats(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user) {
-                await ctx.answerCbQuery('❌ User not found');
+                await ctx.answerCbQuery(t(locale, 'referral.userNotFound'));
                 return;
             }
 
             const stats = await this.userService.getUserStats(user.telegram_id);
-            const message = await this.buildDetailedStatsMessage(user, stats);
-            const keyboard = this.getStatsKeyboard();
+            const message = await this.buildDetailedStatsMessage(user, stats, locale);
+            const keyboard = this.getStatsKeyboard(locale);
 
             await ctx.editMessageText(message, {
                 parse_mode: 'Markdown',
@@ -161,69 +146,59 @@ Share this link to start earning! 💪`;
 
         } catch (error) {
             console.error('❌ Show referral stats error:', error);
-            await ctx.answerCbQuery('❌ Failed to load statistics');
+            await ctx.answerCbQuery(t(locale, 'referral.statsFailed'));
         }
     }
 
-    async buildDetailedStatsMessage(user, stats) {
+    async buildDetailedStatsMessage(user, stats, locale = 'en') {
         if (!stats) {
-            return '📊 **Referral Statistics**\n\n❌ Unable to load statistics at this time.';
+            return t(locale, 'referral.statsUnavailable');
         }
 
         const totalEarnings = parseFloat(user.total_earnings) || 0;
         const registrationRate = stats.referrals.total > 0 ? 
             Math.round((stats.referrals.registered / stats.referrals.total) * 100) : 0;
 
-        return `📊 **Detailed Referral Statistics**
-
-**👥 Referral Overview:**
-• **Total Referred:** ${stats.referrals.total}
-• **Successfully Registered:** ${stats.referrals.registered}
-• **Currently Active:** ${stats.referrals.active}
-• **Registration Rate:** ${registrationRate}%
-
-**💰 Earnings Breakdown:**
-• **Total Earned:** ${formatNumber(totalEarnings)} USDT
-• **Average per Referral:** ${formatNumber(stats.referrals.active > 0 ? totalEarnings / stats.referrals.active : 0)} USDT
-• **Commission Payments:** ${stats.commissions.payments}
-• **Paid Payments:** ${stats.commissions.paid_payments}
-
-**📈 Performance Metrics:**
-• **Best Month:** Calculate based on data
-• **Conversion Rate:** ${registrationRate}%
-• **Active Referral Ratio:** ${Math.round((stats.referrals.active / Math.max(stats.referrals.total, 1)) * 100)}%
-
-**🎯 Growth Potential:**
-• **Current Level:** ${this.getReferralLevel(stats.referrals.total)}
-• **Next Milestone:** ${this.getNextMilestone(stats.referrals.total)} referrals
-• **Projected Monthly:** Based on current rate
-
-Keep building your network! 🚀`;
+        return t(locale, 'referral.stats', {
+            total: stats.referrals.total,
+            registered: stats.referrals.registered,
+            active: stats.referrals.active,
+            rate: registrationRate,
+            earned: formatNumber(totalEarnings, 2, locale),
+            average: formatNumber(stats.referrals.active > 0 ? totalEarnings / stats.referrals.active : 0, 2, locale),
+            payments: stats.commissions.payments,
+            paid: stats.commissions.paid_payments,
+            activeRatio: Math.round((stats.referrals.active / Math.max(stats.referrals.total, 1)) * 100),
+            level: t(locale, `referral.levels.${this.getReferralLevel(stats.referrals.total)}`),
+            milestone: this.getNextMilestone(stats.referrals.total)
+        });
     }
 
-    getStatsKeyboard() {
+    getStatsKeyboard(locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('👥 View Referrals', 'action_my_referrals'),
-                Markup.button.callback('💰 Earnings History', 'action_referral_earnings')
+                Markup.button.callback(t(locale, 'buttons.viewReferrals'), 'action_my_referrals'),
+                Markup.button.callback(t(locale, 'buttons.earningsHistory'), 'action_referral_earnings')
             ],
             [
-                Markup.button.callback('🔄 Refresh Stats', 'action_referral_stats'),
-                Markup.button.callback('📈 Growth Tips', 'action_referral_tips')
+                Markup.button.callback(t(locale, 'buttons.refreshStats'), 'action_referral_stats'),
+                Markup.button.callback(t(locale, 'buttons.growthTips'), 'action_referral_tips')
             ],
             [
-                Markup.button.callback('🔙 Back', 'action_referrals')
+                Markup.button.callback(t(locale, 'buttons.back'), 'action_referrals')
             ]
         ]);
     }
 
     async showHistory(ctx, page = 1) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user) {
-                await ctx.answerCbQuery('❌ User not found');
+                await ctx.answerCbQuery(t(locale, 'referral.userNotFound'));
                 return;
             }
 
@@ -231,26 +206,26 @@ Keep building your network! 🚀`;
             const offset = (page - 1) * limit;
             const referrals = await this.userService.getUserReferrals(telegramId, limit, offset);
 
-            let message = `👥 **Your Referrals** (Page ${page})\n\n`;
+            let message = `${t(locale, 'referral.historyTitle', { page })}\n\n`;
 
             if (referrals.length === 0) {
-                message += '📭 No referrals yet.\n\nStart sharing your referral code to build your network!';
+                message += t(locale, 'referral.historyEmpty');
             } else {
                 referrals.forEach((referral, index) => {
                     const status = referral.is_registered ? '💎' : '⭐';
-                    const planInfo = referral.is_registered ? ` • Plan ${referral.plan_id}` : '';
+                    const planInfo = referral.is_registered ? ` • ${t(locale, 'plans.planNumber', { plan: referral.plan_id })}` : '';
                     const earnings = parseFloat(referral.total_commission) || 0;
-                    const joinDate = formatDate(referral.created_at, true);
+                    const joinDate = formatDate(referral.created_at, true, locale);
                     
                     message += `${status} **${referral.first_name}**\n`;
                     message += `   @${referral.username || 'no_username'}${planInfo}\n`;
-                    message += `   Joined: ${joinDate} • Earned: ${formatNumber(earnings)} USDT\n\n`;
+                    message += `   ${t(locale, 'referral.historyEntry', { date: joinDate, earned: formatNumber(earnings, 2, locale) })}\n\n`;
                 });
 
-                message += `**Total:** ${user.total_referrals} referrals`;
+                message += t(locale, 'referral.historyTotal', { count: user.total_referrals });
             }
 
-            const keyboard = this.getHistoryKeyboard(page, referrals.length === limit);
+            const keyboard = this.getHistoryKeyboard(page, referrals.length === limit, locale);
 
             await ctx.editMessageText(message, {
                 parse_mode: 'Markdown',
@@ -260,32 +235,32 @@ Keep building your network! 🚀`;
 
         } catch (error) {
             console.error('❌ Show referral history error:', error);
-            await ctx.answerCbQuery('❌ Failed to load referral history');
+            await ctx.answerCbQuery(t(locale, 'referral.historyFailed'));
         }
     }
 
-    getHistoryKeyboard(page, hasMore) {
+    getHistoryKeyboard(page, hasMore, locale = 'en') {
         const keyboard = [];
         
         // Pagination
         const navRow = [];
         if (page > 1) {
-            navRow.push(Markup.button.callback('⬅️ Previous', `page_referrals_${page - 1}`));
+            navRow.push(Markup.button.callback(t(locale, 'buttons.previous'), `page_referrals_${page - 1}`));
         }
         if (hasMore) {
-            navRow.push(Markup.button.callback('➡️ Next', `page_referrals_${page + 1}`));
+            navRow.push(Markup.button.callback(t(locale, 'buttons.next'), `page_referrals_${page + 1}`));
         }
         if (navRow.length > 0) {
             keyboard.push(navRow);
         }
 
         keyboard.push([
-            Markup.button.callback('📊 Referral Stats', 'action_referral_stats'),
-            Markup.button.callback('🔗 Share Code', 'action_share_referral')
+            Markup.button.callback(t(locale, 'buttons.referralStats'), 'action_referral_stats'),
+            Markup.button.callback(t(locale, 'buttons.shareCode'), 'action_share_referral')
         ]);
 
         keyboard.push([
-            Markup.button.callback('🔙 Back', 'action_referrals')
+            Markup.button.callback(t(locale, 'buttons.back'), 'action_referrals')
         ]);
 
         return Markup.inlineKeyboard(keyboard);
@@ -295,14 +270,180 @@ Keep building your network! 🚀`;
         await this.showHistory(ctx, page);
     }
 
+    // Upline chain and downline tree. Page 1 is the overview, later pages list the downline.
+    async showNetwork(ctx, page = 1) {
+        const { locale } = ctx.state;
+
+        try {
+            const telegramId = ctx.from.id.toString();
+            const user = await this.userService.getUserByTelegramId(telegramId);
+
+            if (!user) {
+                await ctx.answerCbQuery(t(locale, 'referral.userNotFound'));
+                return;
+            }
+
+            const network = await this.networkService.getNetwork(user);
+            const perPage = this.networkService.settings.membersPerPage;
+            const totalPages = 1 + Math.ceil(network.total / perPage);
+            page = Math.min(Math.max(page, 1), totalPages);
+
+            const message = page === 1
+                ? this.buildNetworkOverview(network, locale)
+                : this.buildNetworkPage(network, page, totalPages, perPage, locale);
+
+            await ctx.editMessageText(message, {
+                parse_mode: 'Markdown',
+                ...this.getNetworkKeyboard(page, totalPages, locale)
+            });
+            await ctx.answerCbQuery();
+
+        } catch (error) {
+            // Refresh with nothing new: Telegram rejects an edit that changes nothing
+            if (error.description && error.description.includes('message is not modified')) {
+                await ctx.answerCbQuery(t(locale, 'network.noChange'));
+                return;
+            }
+            console.error('❌ Show network error:', error);
+            await ctx.answerCbQuery(t(locale, 'network.loadFailed'));
+        }
+    }
+
+    buildNetworkOverview(network, locale = 'en') {
+        const maxDepth = this.networkService.settings.maxDepth;
+        let message = `${t(locale, 'network.title')}\n\n`;
+
+        const source = t(locale, network.uplineSource === 'contract' ? 'network.sourceContract' : 'network.sourceBot');
+        message += `${t(locale, 'network.upline', { source })}\n`;
+        if (network.upline.length === 0) {
+            message += `${t(locale, 'network.noSponsor')}\n`;
+        } else {
+            network.upline.forEach(sponsor => {
+                const name = sponsor.user
+                    ? this.toPlainText(this.networkService.describeMember(sponsor.user, locale))
+                    : `\`${formatWalletAddress(sponsor.address)}\``;
+                message += sponsor.level === 1
+                    ? `${t(locale, 'network.sponsor', { name })}\n`
+                    : `${t(locale, 'network.uplineLevel', { level: sponsor.level, name })}\n`;
+            });
+        }
+
+        message += `\n${t(locale, 'network.downline', { depth: maxDepth })}\n`;
+        if (network.total === 0) {
+            message += `${t(locale, 'network.empty')}\n`;
+        } else {
+            network.levels.forEach(level => {
+                message += `${t(locale, 'network.level', { level: level.level, count: level.count, registered: level.registered })}\n`;
+            });
+            message += `${t(locale, 'network.total', { count: network.total, registered: network.registered })}\n`;
+        }
+
+        const plans = Object.keys(network.planDistribution).sort((a, b) => a - b);
+        if (plans.length > 0) {
+            message += `\n${t(locale, 'network.planDistribution')}\n`;
+            plans.forEach(planId => {
+                const count = network.planDistribution[planId];
+                const share = Math.round((count / network.registered) * 100);
+                message += `• ${formatPlanLevel(planId, locale)}: ${count} (${share}%)\n`;
+            });
+        }
+
+        if (network.truncated) {
+            message += `\n${t(locale, 'network.truncated')}\n`;
+        }
+
+        message += `\n${t(locale, 'network.footer')}`;
+        return message;
+    }
+
+    buildNetworkPage(network, page, totalPages, perPage, locale = 'en') {
+        const start = (page - 2) * perPage;
+        const members = network.members.slice(start, start + perPage);
+
+        let message = `${t(locale, 'network.pageTitle', { page, pages: totalPages })}\n`;
+        let currentLevel = null;
+
+        members.forEach(member => {
+            if (member.level !== currentLevel) {
+                currentLevel = member.level;
+                const level = network.levels.find(entry => entry.level === currentLevel);
+                message += `\n${t(locale, 'network.pageLevel', { level: currentLevel, count: level.count })}\n`;
+            }
+            const status = member.is_registered ? '💎' : '⭐';
+            message += `${status} ${this.toPlainText(this.networkService.describeMember(member, locale))}\n`;
+        });
+
+        return message;
+    }
+
+    getNetworkKeyboard(page, totalPages, locale = 'en') {
+        const keyboard = [];
+
+        const navRow = [];
+        if (page > 1) {
+            navRow.push(Markup.button.callback(t(locale, 'buttons.previous'), `page_network_${page - 1}`));
+        }
+        if (page < totalPages) {
+            navRow.push(Markup.button.callback(t(locale, page === 1 ? 'buttons.viewMembers' : 'buttons.next'), `page_network_${page + 1}`));
+        }
+        if (navRow.length > 0) {
+            keyboard.push(navRow);
+        }
+
+        keyboard.push([
+            Markup.button.callback(t(locale, 'buttons.exportTree'), 'action_network_export'),
+            Markup.button.callback(t(locale, 'buttons.refresh'), 'action_my_network')
+        ]);
+
+        keyboard.push([
+            Markup.button.callback(t(locale, 'buttons.back'), 'action_referrals')
+        ]);
+
+        return Markup.inlineKeyboard(keyboard);
+    }
+
+    // Sends the whole network as a .txt tree
+    async exportNetwork(ctx) {
+        const { locale } = ctx.state;
+
+        try {
+            const telegramId = ctx.from.id.toString();
+            const user = await this.userService.getUserByTelegramId(telegramId);
+
+            if (!user) {
+                await ctx.answerCbQuery(t(locale, 'referral.userNotFound'));
+                return;
+            }
+
+            await ctx.answerCbQuery(t(locale, 'network.exporting'));
+
+            const network = await this.networkService.getNetwork(user);
+            const tree = this.networkService.buildTextTree(user, network, locale);
+
+            await ctx.replyWithDocument(
+                { source: Buffer.from(tree, 'utf8'), filename: `network-${user.referral_code}.txt` },
+                { caption: t(locale, 'network.exportCaption', { count: network.total, levels: network.levels.length }) }
+            );
+
+        } catch (error) {
+            console.error('❌ Export network error:', error);
+            await ctx.reply(t(locale, 'network.exportFailed'));
+        }
+    }
+
+    // Member names go into Markdown messages
+    toPlainText(value) {
+        return String(value).replace(/[*_`\[\]]/g, '');
+    }
+
     // Helper methods
     getReferralLevel(totalReferrals) {
-        if (totalReferrals < 5) return 'Starter';
-        if (totalReferrals < 15) return 'Bronze';
-        if (totalReferrals < 30) return 'Silver';
-        if (totalReferrals < 50) return 'Gold';
-        if (totalReferrals < 100) return 'Platinum';
-        return 'Diamond';
+        if (totalReferrals < 5) return 'starter';
+        if (totalReferrals < 15) return 'bronze';
+        if (totalReferrals < 30) return 'silver';
+        if (totalReferrals < 50) return 'gold';
+        if (totalReferrals < 100) return 'platinum';
+        return 'diamond';
     }
 
     getNextMilestone(totalReferrals) {
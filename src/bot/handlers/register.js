@@ -1,21 +1,31 @@
 const { Markup } = require('telegraf');
 const UserService = require('../../services/UserService');
 const BlockchainService = require('../../services/BlockchainService');
-const { formatNumber } = require('../../utils/formatting');
+const SigningService = require('../../services/SigningService');
+const ConfirmKeyboard = require('../keyboards/confirm');
+const SceneManager = require('../scenes/manager');
+const { blockchainConfig } = require('../../config/blockchain');
+const { formatNumber, formatQueueJob } = require('../../utils/formatting');
+const { formatContractError } = require('../../utils/contractErrors');
+const { t, resolveLocale } = require('../../utils/i18n');
 
 class RegisterHandler {
     constructor() {
         this.userService = new UserService();
-        this.blockchainService = new BlockchainService();
+        this.blockchainService = BlockchainService.getInstance();
+        this.signingService = new SigningService();
+        this.scenes = SceneManager.getInstance();
     }
 
     async handle(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
-            
+
             if (!user) {
-                await ctx.reply('❌ Please use /start first to create your account.');
+                await ctx.reply(t(locale, 'register.startFirst'));
                 return;
             }
 
@@ -28,45 +38,25 @@ class RegisterHandler {
 
         } catch (error) {
             console.error('❌ Register handler error:', error);
-            await ctx.reply('❌ Registration failed. Please try again.');
+            await ctx.reply(t(locale, 'register.failedShort'));
         }
     }
 
     async showRegistrationStart(ctx, user) {
-        const message = `🚀 **Start Your Crypto Membership Journey!**
-
-👋 Welcome ${user.first_name}! Let's get you registered.
-
-**🎯 What you'll get:**
-• 💎 Exclusive NFT membership token
-• 💰 Earn commissions from referrals  
-• ⬆️ Upgrade opportunities
-• 🌟 VIP community access
-
-**📋 Registration Requirements:**
-• ✅ BSC wallet (MetaMask, Trust Wallet, etc.)
-• ✅ Sufficient USDT for membership fee
-• ✅ Small amount of BNB for gas fees
-
-**💡 Important Notes:**
-• All memberships start with Plan 1
-• You can upgrade to higher plans later
-• Registration fee includes your NFT token
-• Commissions are paid instantly to your wallet
-
-Ready to begin? 🚀`;
+        const { locale } = ctx.state;
+        const message = t(locale, 'register.start', { name: user.first_name });
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('🚀 Start Registration', 'action_start_registration'),
-                Markup.button.callback('📋 View Plan Details', 'plan_1')
+                Markup.button.callback(t(locale, 'buttons.startRegistration'), 'action_start_registration'),
+                Markup.button.callback(t(locale, 'buttons.viewPlanDetails'), 'plan_1')
             ],
             [
-                Markup.button.callback('💳 Connect Wallet First', 'action_connect_wallet'),
-                Markup.button.callback('❓ Need Help?', 'action_registration_help')
+                Markup.button.callback(t(locale, 'buttons.connectWalletFirst'), 'action_connect_wallet'),
+                Markup.button.callback(t(locale, 'buttons.needHelp'), 'action_registration_help')
             ],
             [
-                Markup.button.callback('🔙 Back to Main', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.backToMain'), 'action_back_main')
             ]
         ]);
 
@@ -85,36 +75,27 @@ Ready to begin? 🚀`;
     }
 
     async showAlreadyRegistered(ctx, user) {
-        const planName = this.getPlanName(user.plan_id);
-        
-        const message = `✅ **Already Registered!**
-
-You're already a registered member! 🎉
-
-**👤 Your Membership:**
-• **Plan:** ${planName} (Level ${user.plan_id})
-• **Status:** Active Member 💎
-• **Referrals:** ${user.total_referrals}
-• **Earnings:** ${formatNumber(parseFloat(user.total_earnings))} USDT
-
-**🚀 What you can do:**
-• Share your referral code to earn commissions
-• Upgrade to higher plans for better rewards
-• Track your earnings and progress
-
-Want to upgrade to a higher plan? 📈`;
+        const { locale } = ctx.state;
+        const planName = this.getPlanName(user.plan_id, locale);
+
+        const message = t(locale, 'register.alreadyRegistered', {
+            plan: planName,
+            level: user.plan_id,
+            referrals: user.total_referrals,
+            earnings: formatNumber(parseFloat(user.total_earnings), 2, locale)
+        });
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('⬆️ Upgrade Plan', 'action_upgrade'),
-                Markup.button.callback('👥 Share Referral', 'action_share_referral')
+                Markup.button.callback(t(locale, 'buttons.upgradePlan'), 'action_upgrade'),
+                Markup.button.callback(t(locale, 'buttons.shareReferral'), 'action_share_referral')
             ],
             [
-                Markup.button.callback('👤 View Profile', 'action_profile'),
-                Markup.button.callback('💰 Check Earnings', 'action_earnings')
+                Markup.button.callback(t(locale, 'buttons.viewProfile'), 'action_profile'),
+                Markup.button.callback(t(locale, 'buttons.checkEarnings'), 'action_earnings')
             ],
             [
-                Markup.button.callback('🏠 Main Menu', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
             ]
         ]);
 
@@ -133,58 +114,39 @@ Want to upgrade to a higher plan? 📈`;
     }
 
     async showPlans(ctx) {
+        const { locale } = ctx.state;
+
         try {
             // For registration, we only show Plan 1 (starter requirement)
             const plan = await this.blockchainService.getPlanInfo(1);
-            
+
             if (!plan) {
-                await ctx.answerCbQuery('❌ Plan information not available');
+                await ctx.answerCbQuery(t(locale, 'register.planUnavailable'));
                 return;
             }
 
-            const price = formatNumber(parseFloat(plan.priceFormatted));
-            const cycleProgress = `${plan.membersInCurrentCycle}/${plan.membersPerCycle}`;
-            
-            const message = `📋 **Membership Registration - Plan 1**
+            const price = formatNumber(parseFloat(plan.priceFormatted), 2, locale);
 
-🎯 **All new members start with Plan 1 (Starter Plan)**
-
-**💎 ${plan.name} Plan Details:**
-• **Price:** ${price} USDT
-• **Commission Rate:** 30% on referrals
-• **Current Cycle:** ${plan.currentCycle}
-• **Cycle Progress:** ${cycleProgress}
-• **NFT Token:** Included ✅
-
-**💰 Earnings Potential:**
-• Earn ${formatNumber(parseFloat(plan.priceFormatted) * 0.3)} USDT per referral
-• Instant payments to your wallet
-• Upgrade path to higher plans available
-
-**🔄 How Cycles Work:**
-• Each plan has cycles of ${plan.membersPerCycle} members
-• When a cycle fills, a new one starts
-• All members in the same cycle level
-
-**⚡ Next Steps:**
-1. Connect your BSC wallet
-2. Ensure you have ${price} USDT + gas fees
-3. Confirm registration
-4. Receive your NFT membership token
-
-Ready to join? 🚀`;
+            const message = t(locale, 'register.plan', {
+                name: plan.name,
+                price,
+                cycle: plan.currentCycle,
+                progress: `${plan.membersInCurrentCycle}/${plan.membersPerCycle}`,
+                perReferral: formatNumber(parseFloat(plan.priceFormatted) * 0.3, 2, locale),
+                cycleSize: plan.membersPerCycle
+            });
 
             const keyboard = Markup.inlineKeyboard([
                 [
-                    Markup.button.callback('🚀 Register Now', 'confirm_register_1'),
-                    Markup.button.callback('💳 Check Wallet', 'action_wallet_info')
+                    Markup.button.callback(t(locale, 'buttons.registerNow'), 'confirm_register_1'),
+                    Markup.button.callback(t(locale, 'buttons.checkWallet'), 'action_wallet_info')
                 ],
                 [
-                    Markup.button.callback('💡 How Cycles Work', 'action_cycle_info'),
-                    Markup.button.callback('❓ FAQ', 'action_registration_faq')
+                    Markup.button.callback(t(locale, 'buttons.howCyclesWork'), 'action_cycle_info'),
+                    Markup.button.callback(t(locale, 'buttons.faq'), 'action_registration_faq')
                 ],
                 [
-                    Markup.button.callback('🔙 Back', 'action_back_main')
+                    Markup.button.callback(t(locale, 'buttons.back'), 'action_back_main')
                 ]
             ]);
 
@@ -196,15 +158,17 @@ Ready to join? 🚀`;
 
         } catch (error) {
             console.error('❌ Show plans error:', error);
-            await ctx.answerCbQuery('❌ Failed to load plan information');
+            await ctx.answerCbQuery(t(locale, 'register.planLoadFailed'));
         }
     }
 
     async selectPlan(ctx, planId) {
+        const { locale } = ctx.state;
+
         try {
             // Only allow Plan 1 for new registrations
             if (planId !== 1) {
-                await ctx.answerCbQuery('❌ New members must start with Plan 1');
+                await ctx.answerCbQuery(t(locale, 'register.plan1Only'));
                 return;
             }
 
@@ -212,17 +176,19 @@ Ready to join? 🚀`;
 
         } catch (error) {
             console.error('❌ Select plan error:', error);
-            await ctx.answerCbQuery('❌ Failed to select plan');
+            await ctx.answerCbQuery(t(locale, 'register.selectFailed'));
         }
     }
 
     async showRegistrationConfirmation(ctx, planId) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
-            
+
             if (!user) {
-                await ctx.answerCbQuery('❌ User not found');
+                await ctx.answerCbQuery(t(locale, 'referral.userNotFound'));
                 return;
             }
 
@@ -233,52 +199,34 @@ Ready to join? 🚀`;
 
             const plan = await this.blockchainService.getPlanInfo(planId);
             if (!plan) {
-                await ctx.answerCbQuery('❌ Plan not found');
+                await ctx.answerCbQuery(t(locale, 'plans.notFound'));
                 return;
             }
 
-            const price = formatNumber(parseFloat(plan.priceFormatted));
-            const upline = await this.getUplineInfo(user);
-
-            const message = `✅ **Confirm Registration**
-
-**📋 Registration Details:**
-• **Plan:** ${plan.name} (Level ${planId})
-• **Price:** ${price} USDT
-• **Your Wallet:** \`${user.wallet_address.slice(0, 6)}...${user.wallet_address.slice(-4)}\`
-• **Sponsor:** ${upline.name}
-• **Commission Rate:** 30%
-
-**💰 Transaction Breakdown:**
-• **Total Cost:** ${price} USDT
-• **Your Future Earnings:** ${formatNumber(parseFloat(plan.priceFormatted) * 0.3)} USDT per referral
-• **Gas Fees:** ~0.001 BNB (additional)
-
-**⚠️ Requirements Check:**
-${await this.checkRequirements(user, plan)}
-
-**🔄 What happens next:**
-1. You confirm this registration
-2. Approve USDT spending in your wallet
-3. Complete the transaction
-4. Receive your NFT membership token
-5. Start earning from referrals!
-
-**📱 Make sure your wallet app is ready!**
-
-Are you ready to proceed? 🚀`;
+            const price = formatNumber(parseFloat(plan.priceFormatted), 2, locale);
+            const upline = await this.getUplineInfo(user, locale);
+
+            const message = t(locale, 'register.confirm', {
+                name: plan.name,
+                level: planId,
+                price,
+                wallet: `${user.wallet_address.slice(0, 6)}...${user.wallet_address.slice(-4)}`,
+                sponsor: upline.name,
+                perReferral: formatNumber(parseFloat(plan.priceFormatted) * 0.3, 2, locale),
+                requirements: await this.checkRequirements(user, plan, locale)
+            });
 
             const keyboard = Markup.inlineKeyboard([
                 [
-                    Markup.button.callback('✅ Confirm Registration', `confirm_register_${planId}`),
-                    Markup.button.callback('❌ Cancel', 'action_cancel')
+                    Markup.button.callback(t(locale, 'buttons.confirmRegistration'), `confirm_register_${planId}`),
+                    Markup.button.callback(t(locale, 'buttons.cancel'), 'action_cancel')
                 ],
                 [
-                    Markup.button.callback('💳 Check Balance', 'action_check_balance'),
-                    Markup.button.callback('🔄 Refresh Info', `plan_${planId}`)
+                    Markup.button.callback(t(locale, 'buttons.checkBalance'), 'action_check_balance'),
+                    Markup.button.callback(t(locale, 'buttons.refreshInfo'), `plan_${planId}`)
                 ],
                 [
-                    Markup.button.callback('❓ Need Help?', 'action_registration_help')
+                    Markup.button.callback(t(locale, 'buttons.needHelp'), 'action_registration_help')
                 ]
             ]);
 
@@ -288,29 +236,35 @@ Are you ready to proceed? 🚀`;
             });
             await ctx.answerCbQuery();
 
+            this.scenes.enter(ctx, 'registration', { planId });
+
         } catch (error) {
             console.error('❌ Show confirmation error:', error);
-            await ctx.answerCbQuery('❌ Failed to show confirmation');
+            await ctx.answerCbQuery(t(locale, 'register.confirmFailed'));
         }
     }
 
     async confirmRegistration(ctx, planId) {
+        const { locale } = ctx.state;
+
         try {
+            this.scenes.leave(ctx, 'registration');
+
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
-            
+
             if (!user) {
-                await ctx.answerCbQuery('❌ User not found');
+                await ctx.answerCbQuery(t(locale, 'referral.userNotFound'));
                 return;
             }
 
             if (user.is_registered) {
-                await ctx.answerCbQuery('❌ Already registered');
+                await ctx.answerCbQuery(t(locale, 'register.alreadyRegisteredShort'));
                 return;
             }
 
             if (!user.wallet_address) {
-                await ctx.answerCbQuery('❌ Wallet not connected');
+                await ctx.answerCbQuery(t(locale, 'payment.walletNotConnected'));
                 return;
             }
 
@@ -319,47 +273,27 @@ Are you ready to proceed? 🚀`;
 
         } catch (error) {
             console.error('❌ Confirm registration error:', error);
-            await ctx.answerCbQuery('❌ Registration failed');
+            await ctx.answerCbQuery(t(locale, 'register.failedCallback'));
         }
     }
 
     async processRegistration(ctx, user, planId) {
-        try {
-            await ctx.answerCbQuery('🔄 Processing registration...');
-
-            // Show processing message
-            const processingMessage = `🔄 **Processing Your Registration...**
-
-**⏳ Please wait while we:**
-1. Verify your wallet balance
-2. Prepare the smart contract transaction
-3. Check network conditions
+        const { locale } = ctx.state;
 
-**📱 Your wallet may prompt you to:**
-• Approve USDT spending
-• Confirm the transaction
-• Pay gas fees
-
-**⚠️ Important:**
-• Keep this chat open
-• Don't close your wallet app
-• Wait for confirmation
-
-Processing... 🔄`;
+        try {
+            await ctx.answerCbQuery(t(locale, 'register.processingShort'));
 
             const processingKeyboard = Markup.inlineKeyboard([
-                [Markup.button.callback('❌ Cancel', 'action_cancel')]
+                [Markup.button.callback(t(locale, 'buttons.cancel'), 'action_cancel')]
             ]);
 
-            await ctx.editMessageText(processingMessage, {
+            await ctx.editMessageText(t(locale, 'register.processing'), {
                 parse_mode: 'Markdown',
                 ...processingKeyboard
             });
 
             // Get upline address
-            const uplineUser = user.upline_id ? 
-                await this.userService.getUserById(user.upline_id) : null;
-            const uplineAddress = uplineUser?.wallet_address || process.env.OWNER_WALLET_ADDRESS;
+            const uplineAddress = await this.getUplineAddress(user);
 
             // Create user wallet object (simplified - in real implementation this would be more secure)
             const userWallet = {
@@ -368,17 +302,19 @@ Processing... 🔄`;
 
             // Attempt blockchain registration
             const result = await this.blockchainService.registerMember(
-                planId, 
-                uplineAddress, 
+                planId,
+                uplineAddress,
                 userWallet
             );
 
-            if (result.success) {
+            if (result.requiresSignature) {
+                await this.showSignatureRequired(ctx, user, result, planId);
+            } else if (result.success) {
                 await this.showRegistrationSuccess(ctx, result, planId);
             } else if (result.requiresApproval) {
-                await this.showApprovalRequired(ctx, result, planId);
+                await this.showApprovalRequired(ctx, result, planId, user);
             } else {
-                await this.showRegistrationError(ctx, result.error);
+                await this.showRegistrationError(ctx, result.error, result.errorCode);
             }
 
         } catch (error) {
@@ -388,44 +324,29 @@ Processing... 🔄`;
     }
 
     async showRegistrationSuccess(ctx, result, planId) {
+        const { locale } = ctx.state;
         const plan = await this.blockchainService.getPlanInfo(planId);
-        const price = formatNumber(parseFloat(plan.priceFormatted));
 
-        const message = `🎉 **Registration Successful!**
-
-**✅ Transaction Submitted Successfully!**
-
-**📋 Transaction Details:**
-• **Plan:** ${plan.name} (Level ${planId})
-• **Amount:** ${price} USDT
-• **Transaction Hash:** \`${result.txHash}\`
-• **Status:** Pending Confirmation ⏳
-
-**⏳ What's happening now:**
-1. Transaction is being confirmed on BSC network
-2. Your NFT membership token is being minted
-3. You'll be notified when complete
-
-**📱 Next Steps:**
-• Save your transaction hash for reference
-• Your membership will be active once confirmed
-• Start sharing your referral code to earn!
-
-**🎯 Your Referral Code:** \`${ctx.session.user?.referral_code || 'Loading...'}\`
-
-We'll notify you when your membership is fully activated! 🚀`;
+        const message = t(locale, 'register.success', {
+            name: plan.name,
+            level: planId,
+            price: formatNumber(parseFloat(plan.priceFormatted), 2, locale),
+            job: formatQueueJob(result.job, locale),
+            network: blockchainConfig.getCurrentNetwork().name,
+            referralCode: ctx.session.user?.referral_code || t(locale, 'register.loading')
+        });
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('👥 Share Referral Code', 'action_share_referral'),
-                Markup.button.callback('📊 Check Status', 'action_check_tx_status')
+                Markup.button.callback(t(locale, 'buttons.shareReferralCode'), 'action_share_referral'),
+                Markup.button.callback(t(locale, 'buttons.checkStatus'), `tx_job_${result.job.id}`)
             ],
             [
-                Markup.button.callback('👤 View Profile', 'action_profile'),
-                Markup.button.callback('💡 Learn to Earn', 'action_earning_guide')
+                Markup.button.callback(t(locale, 'buttons.viewProfile'), 'action_profile'),
+                Markup.button.callback(t(locale, 'buttons.learnToEarn'), 'action_earning_guide')
             ],
             [
-                Markup.button.callback('🏠 Main Menu', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
             ]
         ]);
 
@@ -435,43 +356,135 @@ We'll notify you when your membership is fully activated! 🚀`;
         });
 
         // Save pending transaction
-        await this.savePendingRegistration(ctx.from.id.toString(), planId, result.txHash);
+        await this.savePendingRegistration(ctx.from.id.toString(), planId, `job #${result.job.id}`);
+    }
+
+    async showSignatureRequired(ctx, user, result, planId) {
+        const { message, keyboard } = await this.buildSignaturePrompt(user, result, planId, ctx.state.locale);
+
+        await ctx.editMessageText(message, {
+            parse_mode: 'Markdown',
+            ...keyboard
+        });
     }
 
-    async showApprovalRequired(ctx, result, planId) {
+    // Create the signing request and the message that links to it
+    async buildSignaturePrompt(user, result, planId, locale = 'en') {
         const plan = await this.blockchainService.getPlanInfo(planId);
-        const price = formatNumber(parseFloat(plan.priceFormatted));
 
-        const message = `💳 **USDT Approval Required**
+        const request = await this.signingService.createRequest(user, 'register', result.call, {
+            amount: result.amount,
+            planId
+        });
+
+        const message = t(locale, 'register.signatureRequired', {
+            name: plan.name,
+            level: planId,
+            price: formatNumber(parseFloat(plan.priceFormatted), 2, locale),
+            from: `${user.wallet_address.slice(0, 6)}...${user.wallet_address.slice(-4)}`,
+            contract: result.call.to,
+            expires: t(locale, 'duration.minute', { count: Math.round(blockchainConfig.signingSettings.requestTtl / 60000) })
+        });
+
+        return { message, keyboard: ConfirmKeyboard.getSigningKeyboard(request, [], locale) };
+    }
+
+    // Continue a registration once its USDT approval has settled on-chain
+    async resumeAfterApproval(telegram, approval) {
+        const user = await this.userService.getUserByTelegramId(approval.telegram_id);
+        if (!user || user.is_registered || !user.wallet_address) {
+            return;
+        }
 
-**⚠️ Before registration, you need to approve USDT spending.**
+        const locale = resolveLocale(user.language_code);
+        const planId = approval.metadata.planId;
+        const retryKeyboard = Markup.inlineKeyboard([
+            [Markup.button.callback(t(locale, 'buttons.tryAgain'), `confirm_register_${planId}`)]
+        ]);
 
-**📋 Approval Details:**
-• **Amount:** ${price} USDT
-• **Spender:** NFT Contract
-• **Purpose:** Membership payment
+        if (approval.status === 'failed') {
+            await telegram.sendMessage(user.telegram_id, t(locale, 'payment.approvalFailed'), {
+                parse_mode: 'Markdown',
+                ...retryKeyboard
+            });
+            return;
+        }
 
-**📱 Steps to approve:**
-1. Open your wallet app (MetaMask, Trust Wallet, etc.)
-2. Go to the USDT token
-3. Approve spending for the NFT contract
-4. Return here and try registration again
+        const result = await this.blockchainService.registerMember(
+            planId,
+            await this.getUplineAddress(user),
+            { address: user.wallet_address }
+        );
+        const confirmed = t(locale, 'payment.approvalConfirmed');
 
-**🔗 Contract Address:**
-\`${process.env.NFT_CONTRACT_ADDRESS}\`
+        if (result.requiresSignature) {
+            const { message, keyboard } = await this.buildSignaturePrompt(user, result, planId, locale);
+            await telegram.sendMessage(user.telegram_id, `${confirmed}\n\n${message}`, {
+                parse_mode: 'Markdown',
+                ...keyboard
+            });
+        } else if (result.success) {
+            await telegram.sendMessage(user.telegram_id, `${confirmed}\n\n${t(locale, 'register.resumeQueued', {
+                job: formatQueueJob(result.job, locale)
+            })}`, {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([
+                    [Markup.button.callback(t(locale, 'buttons.checkStatus'), `tx_job_${result.job.id}`)]
+                ])
+            });
+
+            await this.savePendingRegistration(user.telegram_id, planId, `job #${result.job.id}`);
+        } else if (result.errorCode) {
+            const { message, actions } = formatContractError(result.errorCode, locale);
+            await telegram.sendMessage(user.telegram_id, `${confirmed}\n\n${message}`, {
+                parse_mode: 'Markdown',
+                ...ConfirmKeyboard.getContractErrorKeyboard(actions, 'action_view_plans', locale)
+            });
+        } else {
+            await telegram.sendMessage(user.telegram_id, `${confirmed}\n\n${t(locale, 'register.resumeFailed', {
+                error: result.error || result.message
+            })}`, {
+                parse_mode: 'Markdown',
+                ...retryKeyboard
+            });
+        }
+    }
+
+    async showApprovalRequired(ctx, result, planId, user) {
+        const { locale } = ctx.state;
+        const plan = await this.blockchainService.getPlanInfo(planId);
+        const price = formatNumber(parseFloat(plan.priceFormatted), 2, locale);
+
+        if (result.approveCall) {
+            const request = await this.signingService.createRequest(user, 'approve', result.approveCall, {
+                amount: this.blockchainService.parseTokenAmount(result.approvalAmount).toString(),
+                amountFormatted: result.approvalAmount,
+                planId,
+                resume: 'register'
+            });
 
-**💡 This is a one-time approval for this amount.**
+            await ctx.editMessageText(t(locale, 'register.approvalLink', { price }), {
+                parse_mode: 'Markdown',
+                ...ConfirmKeyboard.getSigningKeyboard(request, [
+                    [Markup.button.callback(t(locale, 'buttons.approvedTryAgain'), `confirm_register_${planId}`)]
+                ], locale)
+            });
+            return;
+        }
 
-Once approved, return here to complete registration! 🚀`;
+        const message = t(locale, 'register.approvalManual', {
+            price,
+            contract: process.env.NFT_CONTRACT_ADDRESS
+        });
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ I Approved, Try Again', `confirm_register_${planId}`),
-                Markup.button.callback('❓ How to Approve?', 'action_approval_help')
+                Markup.button.callback(t(locale, 'buttons.approvedTryAgain'), `confirm_register_${planId}`),
+                Markup.button.callback(t(locale, 'buttons.howToApprove'), 'action_approval_help')
             ],
             [
-                Markup.button.callback('🔄 Check Approval Status', 'action_check_approval'),
-                Markup.button.callback('❌ Cancel', 'action_cancel')
+                Markup.button.callback(t(locale, 'buttons.checkApprovalStatus'), 'action_check_approval'),
+                Markup.button.callback(t(locale, 'buttons.cancel'), 'action_cancel')
             ]
         ]);
 
@@ -481,133 +494,108 @@ Once approved, return here to complete registration! 🚀`;
         });
     }
 
-    async showRegistrationError(ctx, error) {
-        const message = `❌ **Registration Failed**
-
-**😔 Something went wrong with your registration.**
-
-**Error:** ${error}
+    async showRegistrationError(ctx, error, errorCode = null) {
+        const { locale } = ctx.state;
 
-**🔧 Possible solutions:**
-• Check your USDT balance
-• Ensure sufficient BNB for gas
-• Verify wallet connection
-• Check network connection
-• Try again in a few minutes
-
-**💡 Common issues:**
-• Insufficient USDT balance
-• Need to approve USDT spending first
-• Network congestion (try later)
-• Wallet not connected properly
-
-Need help? Contact support! 🆘`;
+        if (errorCode) {
+            const { message, actions } = formatContractError(errorCode, locale);
+            await ctx.editMessageText(message, {
+                parse_mode: 'Markdown',
+                ...ConfirmKeyboard.getContractErrorKeyboard(actions, 'action_view_plans', locale)
+            });
+            return;
+        }
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('🔄 Try Again', 'action_start_registration'),
-                Markup.button.callback('💳 Check Wallet', 'action_wallet_info')
+                Markup.button.callback(t(locale, 'buttons.tryAgain'), 'action_start_registration'),
+                Markup.button.callback(t(locale, 'buttons.checkWallet'), 'action_wallet_info')
             ],
             [
-                Markup.button.callback('❓ Get Help', 'action_registration_help'),
-                Markup.button.callback('🔙 Back', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.getHelp'), 'action_registration_help'),
+                Markup.button.callback(t(locale, 'buttons.back'), 'action_back_main')
             ]
         ]);
 
-        await ctx.editMessageText(message, {
+        await ctx.editMessageText(t(locale, 'register.failed', { error }), {
             parse_mode: 'Markdown',
             ...keyboard
         });
     }
 
     async showWalletRequired(ctx) {
-        const message = `💳 **Wallet Required**
-
-**⚠️ You need to connect a BSC wallet before registering.**
-
-**🔗 Supported Wallets:**
-• MetaMask (Recommended)
-• Trust Wallet
-• SafePal
-• Any BSC-compatible wallet
-
-**📱 Setup Steps:**
-1. Install a wallet app
-2. Create or import your wallet
-3. Add BSC (Binance Smart Chain) network
-4. Get some USDT and BNB
-5. Return here to connect
-
-**💰 You'll need:**
-• USDT for membership fee
-• Small amount of BNB for gas fees
-
-Ready to connect your wallet? 🚀`;
+        const { locale } = ctx.state;
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('💳 Connect Wallet', 'action_connect_wallet'),
-                Markup.button.callback('❓ Wallet Help', 'action_wallet_setup_help')
+                Markup.button.callback(t(locale, 'buttons.connectWallet'), 'action_connect_wallet'),
+                Markup.button.callback(t(locale, 'buttons.walletHelp'), 'action_wallet_setup_help')
             ],
             [
-                Markup.button.callback('🔙 Back', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.back'), 'action_back_main')
             ]
         ]);
 
-        await ctx.editMessageText(message, {
+        await ctx.editMessageText(t(locale, 'register.walletRequired'), {
             parse_mode: 'Markdown',
             ...keyboard
         });
     }
 
     // Helper methods
-    async getUplineInfo(user) {
+    async getUplineAddress(user) {
+        const uplineUser = user.upline_id ?
+            await this.userService.getUserById(user.upline_id) : null;
+        return uplineUser?.wallet_address || process.env.OWNER_WALLET_ADDRESS;
+    }
+
+    async getUplineInfo(user, locale = 'en') {
         if (!user.upline_id) {
-            return { name: 'Owner (Default Sponsor)' };
+            return { name: t(locale, 'register.sponsorOwner') };
         }
 
         try {
             const upline = await this.userService.getUserById(user.upline_id);
             return {
-                name: upline ? `@${upline.username || upline.first_name}` : 'Unknown'
+                name: upline ? `@${upline.username || upline.first_name}` : t(locale, 'duration.unknown')
             };
         } catch (error) {
-            return { name: 'Unknown Sponsor' };
+            return { name: t(locale, 'register.sponsorUnknown') };
         }
     }
 
-    async checkRequirements(user, plan) {
+    async checkRequirements(user, plan, locale = 'en') {
         let requirements = '';
-        
+
         try {
             if (user.wallet_address) {
-                requirements += '✅ Wallet connected\n';
-                
+                requirements += `${t(locale, 'payment.requirements.walletConnected')}\n`;
+
                 // Check USDT balance
                 const balance = await this.blockchainService.usdtContract.balanceOf(user.wallet_address);
                 const requiredAmount = this.blockchainService.parseTokenAmount(plan.priceFormatted);
-                
+
                 if (balance >= requiredAmount) {
-                    requirements += '✅ Sufficient USDT balance\n';
+                    requirements += `${t(locale, 'payment.requirements.usdtOk')}\n`;
                 } else {
                     const shortfall = this.blockchainService.formatTokenAmount((requiredAmount - balance).toString());
-                    requirements += `❌ Need ${shortfall} more USDT\n`;
+                    requirements += `${t(locale, 'payment.requirements.usdtShort', { amount: shortfall })}\n`;
                 }
-                
+
                 // Check BNB for gas
                 const bnbBalance = await this.blockchainService.provider.getBalance(user.wallet_address);
                 if (bnbBalance > BigInt('1000000000000000')) { // 0.001 BNB
-                    requirements += '✅ Sufficient BNB for gas\n';
+                    requirements += `${t(locale, 'payment.requirements.gasOk')}\n`;
                 } else {
-                    requirements += '❌ Need BNB for gas fees\n';
+                    requirements += `${t(locale, 'payment.requirements.gasShort')}\n`;
                 }
             } else {
-                requirements += '❌ Wallet not connected\n';
+                requirements += `${t(locale, 'payment.requirements.walletMissing')}\n`;
             }
         } catch (error) {
-            requirements = '⚠️ Unable to check requirements\n';
+            requirements = `${t(locale, 'payment.requirements.unavailable')}\n`;
         }
-        
+
         return requirements;
     }
 
@@ -620,15 +608,15 @@ Ready to connect your wallet? 🚀`;
         }
     }
 
-    getPlanName(planId) {
+    getPlanName(planId, locale = 'en') {
         const planNames = {
             1: 'Starter', 2: 'Basic', 3: 'Bronze', 4: 'Silver',
             5: 'Gold', 6: 'Platinum', 7: 'Diamond', 8: 'Elite',
             9: 'Master', 10: 'Grand Master', 11: 'Champion', 12: 'Legend',
             13: 'Supreme', 14: 'Ultimate', 15: 'Apex', 16: 'Infinity'
         };
-        return planNames[planId] || `Plan ${planId}`;
+        return planNames[planId] || t(locale, 'plans.planNumber', { plan: planId });
     }
 }
 
-module.exports = RegisterHandler;
\ No newline at end of file
+module.exports = RegisterHandler;
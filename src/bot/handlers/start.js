@@ -1,6 +1,8 @@
 const { Markup } = require('telegraf');
 const UserService = require('../../services/UserService');
 const { generateReferralCode } = require('../../utils/referralCodes');
+const { t } = require('../../utils/i18n');
+const { formatNumber } = require('../../utils/formatting');
 
 class StartHandler {
     constructor() {
@@ -38,7 +40,7 @@ class StartHandler {
             
         } catch (error) {
             console.error('❌ Start handler error:', error);
-            await ctx.reply('❌ Something went wrong. Please try again later.');
+            await ctx.reply(t(ctx.state.locale, 'errors.tryLater'));
         }
     }
 
@@ -59,7 +61,7 @@ class StartHandler {
             if (userData.referralCode) {
                 uplineUser = await this.userService.getUserByReferralCode(userData.referralCode);
                 if (!uplineUser) {
-                    await ctx.reply('⚠️ Invalid referral code. Continuing without referral.');
+                    await ctx.reply(t(ctx.state.locale, 'start.invalidReferral'));
                 }
             }
             
@@ -75,8 +77,8 @@ class StartHandler {
             });
             
             // Welcome message for new user
-            const welcomeMessage = this.getWelcomeMessage(newUser, uplineUser);
-            const keyboard = this.getMainKeyboard(newUser);
+            const welcomeMessage = this.getWelcomeMessage(newUser, uplineUser, ctx.state.locale);
+            const keyboard = this.getMainKeyboard(newUser, ctx.state.locale);
             
             await ctx.reply(welcomeMessage, keyboard);
             
@@ -87,7 +89,7 @@ class StartHandler {
             
         } catch (error) {
             console.error('❌ Error handling new user:', error);
-            await ctx.reply('❌ Failed to create your account. Please try again.');
+            await ctx.reply(t(ctx.state.locale, 'start.createFailed'));
         }
     }
 
@@ -97,14 +99,14 @@ class StartHandler {
             await this.userService.updateLastActivity(user.telegram_id);
             
             // Welcome back message
-            const welcomeMessage = this.getWelcomeBackMessage(user);
-            const keyboard = this.getMainKeyboard(user);
+            const welcomeMessage = this.getWelcomeBackMessage(user, ctx.state.locale);
+            const keyboard = this.getMainKeyboard(user, ctx.state.locale);
             
             await ctx.reply(welcomeMessage, keyboard);
             
         } catch (error) {
             console.error('❌ Error handling existing user:', error);
-            await ctx.reply('❌ Something went wrong. Please try again.');
+            await ctx.reply(t(ctx.state.locale, 'errors.generic'));
         }
     }
 
@@ -126,68 +128,55 @@ class StartHandler {
         throw new Error('Failed to generate unique referral code');
     }
 
-    getWelcomeMessage(user, uplineUser) {
+    getWelcomeMessage(user, uplineUser, locale = 'en') {
         const uplineInfo = uplineUser ? 
-            `\n🔗 Referred by: @${uplineUser.username || uplineUser.first_name}` : '';
+            t(locale, 'start.referredBy', { upline: uplineUser.username || uplineUser.first_name }) : '';
         
-        return `
-🎉 **Welcome to Crypto Membership NFT!**
-
-👋 Hello ${user.first_name}! You've successfully joined our exclusive membership program.
-
-✨ **What you can do:**
-• 📋 View available membership plans
-• 💎 Register for your first NFT membership
-• 👥 Refer friends and earn commissions
-• 📊 Track your earnings and progress
-
-🎯 **Your Referral Code:** \`${user.referral_code}\`
-Share this code with friends to earn rewards!${uplineInfo}
-
-🚀 **Ready to get started?** Choose an option below:
-        `.trim();
+        return t(locale, 'start.welcome', {
+            name: user.first_name,
+            referralCode: user.referral_code,
+            uplineInfo
+        });
     }
 
-    getWelcomeBackMessage(user) {
+    getWelcomeBackMessage(user, locale = 'en') {
         const statusEmoji = user.is_registered ? '💎' : '⭐';
         const statusText = user.is_registered ? 
-            `Plan ${user.plan_id} Member` : 'Not Registered';
+            t(locale, 'start.statusMember', { plan: user.plan_id }) : t(locale, 'start.statusNotRegistered');
         
-        return `
-${statusEmoji} **Welcome back, ${user.first_name}!**
-
-📊 **Your Status:** ${statusText}
-🎯 **Your Referral Code:** \`${user.referral_code}\`
-👥 **Total Referrals:** ${user.total_referrals}
-💰 **Total Earnings:** ${parseFloat(user.total_earnings).toFixed(2)} USDT
-
-Choose what you'd like to do:
-        `.trim();
+        return t(locale, 'start.welcomeBack', {
+            emoji: statusEmoji,
+            name: user.first_name,
+            status: statusText,
+            referralCode: user.referral_code,
+            referrals: user.total_referrals,
+            earnings: formatNumber(parseFloat(user.total_earnings), 2, locale)
+        });
     }
 
-    getMainKeyboard(user) {
+    getMainKeyboard(user, locale = 'en') {
         const keyboard = [];
         
         if (!user.is_registered) {
             keyboard.push(
-                [Markup.button.callback('🚀 Get Started', 'action_get_started')],
-                [Markup.button.callback('📋 View Plans', 'action_view_plans')]
+                [Markup.button.callback(t(locale, 'buttons.getStarted'), 'action_get_started')],
+                [Markup.button.callback(t(locale, 'buttons.viewPlans'), 'action_view_plans')]
             );
         } else {
             keyboard.push(
-                [Markup.button.callback('👤 My Profile', 'action_profile')],
-                [Markup.button.callback('⬆️ Upgrade Plan', 'action_upgrade')]
+                [Markup.button.callback(t(locale, 'buttons.myProfile'), 'action_profile')],
+                [Markup.button.callback(t(locale, 'buttons.upgradePlan'), 'action_upgrade')]
             );
         }
         
         keyboard.push(
             [
-                Markup.button.callback('👥 Referrals', 'action_referrals'),
-                Markup.button.callback('💰 Earnings', 'action_earnings')
+                Markup.button.callback(t(locale, 'buttons.referrals'), 'action_referrals'),
+                Markup.button.callback(t(locale, 'buttons.earnings'), 'action_earnings')
             ],
             [
-                Markup.button.callback('📊 Statistics', 'action_stats'),
-                Markup.button.callback('❓ Help', 'action_help')
+                Markup.button.callback(t(locale, 'buttons.statistics'), 'action_stats'),
+                Markup.button.callback(t(locale, 'buttons.help'), 'action_help')
             ]
         );
         
@@ -196,15 +185,12 @@ Choose what you'd like to do:
 
     async notifyUplineOfNewReferral(ctx, uplineUser, newUser) {
         try {
-            const message = `
-🎉 **New Referral!**
-
-👤 **${newUser.first_name}** (@${newUser.username || 'no_username'}) just joined using your referral code!
-
-💰 You'll earn commission when they register for a membership plan.
-
-🎯 Keep sharing your referral code: \`${uplineUser.referral_code}\`
-            `.trim();
+            // In the upline's own language, not the new member's
+            const message = t(uplineUser.language_code, 'start.newReferral', {
+                name: newUser.first_name,
+                username: newUser.username || 'no_username',
+                referralCode: uplineUser.referral_code
+            });
             
             await ctx.telegram.sendMessage(uplineUser.telegram_id, message, {
                 parse_mode: 'Markdown'
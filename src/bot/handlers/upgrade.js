@@ -2,21 +2,29 @@
 const { Markup } = require('telegraf');
 const UserService = require('../../services/UserService');
 const BlockchainService = require('../../services/BlockchainService');
-const { formatNumber } = require('../../utils/formatting');
+const SigningService = require('../../services/SigningService');
+const ConfirmKeyboard = require('../keyboards/confirm');
+const { blockchainConfig } = require('../../config/blockchain');
+const { formatNumber, formatQueueJob } = require('../../utils/formatting');
+const { formatContractError } = require('../../utils/contractErrors');
+const { t, resolveLocale } = require('../../utils/i18n');
 
 class UpgradeHandler {
     constructor() {
         this.userService = new UserService();
-        this.blockchainService = new BlockchainService();
+        this.blockchainService = BlockchainService.getInstance();
+        this.signingService = new SigningService();
     }
 
     async handle(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user) {
-                await ctx.reply('❌ User not found. Please use /start to register.');
+                await ctx.reply(t(locale, 'errors.userNotFound'));
                 return;
             }
 
@@ -34,30 +42,21 @@ class UpgradeHandler {
 
         } catch (error) {
             console.error('❌ Upgrade handler error:', error);
-            await ctx.reply('❌ Failed to load upgrade options.');
+            await ctx.reply(t(locale, 'upgrade.loadFailed'));
         }
     }
 
     async showNotRegistered(ctx) {
-        const message = `⚠️ **Registration Required**
-
-You need to register for a membership plan before you can upgrade.
-
-**🚀 Get started:**
-• Choose a membership plan
-• Connect your BSC wallet
-• Complete registration
-• Then you can upgrade to higher levels!
-
-Ready to begin? 💪`;
+        const { locale } = ctx.state;
+        const message = t(locale, 'upgrade.notRegistered');
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('🚀 Register Now', 'action_get_started'),
-                Markup.button.callback('📋 View Plans', 'action_view_plans')
+                Markup.button.callback(t(locale, 'buttons.registerNow'), 'action_get_started'),
+                Markup.button.callback(t(locale, 'buttons.viewPlans'), 'action_view_plans')
             ],
             [
-                Markup.button.callback('🏠 Main Menu', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
             ]
         ]);
 
@@ -76,40 +75,19 @@ Ready to begin? 💪`;
     }
 
     async showMaxLevel(ctx, user) {
-        const planName = this.getPlanName(user.plan_id);
-        
-        const message = `🏆 **Maximum Level Reached!**
-
-Congratulations! You've reached the highest membership level!
-
-**👑 Your Current Status:**
-• **Plan:** ${planName} (Level ${user.plan_id})
-• **Commission Rate:** 36%
-• **Status:** Elite Member
+        const { locale } = ctx.state;
+        const planName = this.getPlanName(user.plan_id, locale);
 
-**🎉 Elite Benefits:**
-• Highest commission rate (36%)
-• Maximum earning potential
-• Exclusive elite community access
-• Priority support
-• Special recognition
-
-**💪 Keep Growing:**
-• Focus on building your referral network
-• Help your referrals upgrade their levels
-• Maximize your earning potential
-• Enjoy your elite status!
-
-You're at the top! Keep building your empire! 👑`;
+        const message = t(locale, 'upgrade.maxLevel', { plan: planName, level: user.plan_id });
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('👥 Build Network', 'action_referrals'),
-                Markup.button.callback('💰 Check Earnings', 'action_earnings')
+                Markup.button.callback(t(locale, 'buttons.buildNetwork'), 'action_referrals'),
+                Markup.button.callback(t(locale, 'buttons.checkEarnings'), 'action_earnings')
             ],
             [
-                Markup.button.callback('👤 View Profile', 'action_profile'),
-                Markup.button.callback('🏠 Main Menu', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.viewProfile'), 'action_profile'),
+                Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
             ]
         ]);
 
@@ -121,12 +99,14 @@ You're at the top! Keep building your empire! 👑`;
     }
 
     async showUpgradeOptions(ctx, user) {
+        const { locale } = ctx.state;
+
         try {
             const currentPlan = await this.blockchainService.getPlanInfo(user.plan_id);
             const nextPlan = await this.blockchainService.getPlanInfo(user.plan_id + 1);
             
             if (!currentPlan || !nextPlan) {
-                await ctx.reply('❌ Unable to load plan information.');
+                await ctx.reply(t(locale, 'upgrade.planUnavailable'));
                 return;
             }
 
@@ -134,32 +114,23 @@ You're at the top! Keep building your empire! 👑`;
             const nextPrice = parseFloat(nextPlan.priceFormatted);
             const upgradeCost = nextPrice - currentPrice;
             
-            const message = `⬆️ **Plan Upgrade Available**
-
-**📊 Current Membership:**
-• **Plan:** ${currentPlan.name} (Level ${user.plan_id})
-• **Price Paid:** ${formatNumber(currentPrice)} USDT
-• **Commission Rate:** ${this.getCommissionRate(user.plan_id)}%
-
-**🚀 Upgrade to:**
-• **Plan:** ${nextPlan.name} (Level ${user.plan_id + 1})
-• **Total Price:** ${formatNumber(nextPrice)} USDT
-• **Upgrade Cost:** ${formatNumber(upgradeCost)} USDT
-• **New Commission Rate:** ${this.getCommissionRate(user.plan_id + 1)}%
-
-**💰 Upgrade Benefits:**
-• Higher commission rate on all referrals
-• Increased earning potential
-• Access to premium features
-• Enhanced membership status
-
-**📈 ROI Calculation:**
-• Need ${Math.ceil(upgradeCost / (nextPrice * this.getCommissionRate(user.plan_id + 1) / 100))} referrals to break even
-• Every additional referral = ${formatNumber(nextPrice * this.getCommissionRate(user.plan_id + 1) / 100)} USDT profit
-
-Ready to upgrade? 🎯`;
+            const nextRate = this.getCommissionRate(user.plan_id + 1);
+
+            const message = t(locale, 'upgrade.options', {
+                currentName: currentPlan.name,
+                currentLevel: user.plan_id,
+                currentPrice: formatNumber(currentPrice, 2, locale),
+                currentRate: this.getCommissionRate(user.plan_id),
+                nextName: nextPlan.name,
+                nextLevel: user.plan_id + 1,
+                nextPrice: formatNumber(nextPrice, 2, locale),
+                cost: formatNumber(upgradeCost, 2, locale),
+                nextRate,
+                breakEven: Math.ceil(upgradeCost / (nextPrice * nextRate / 100)),
+                perReferral: formatNumber(nextPrice * nextRate / 100, 2, locale)
+            });
 
-            const keyboard = this.getUpgradeKeyboard(user.plan_id, upgradeCost);
+            const keyboard = this.getUpgradeKeyboard(user.plan_id, upgradeCost, locale);
 
             if (ctx.callbackQuery) {
                 await ctx.editMessageText(message, {
@@ -176,41 +147,43 @@ Ready to upgrade? 🎯`;
 
         } catch (error) {
             console.error('❌ Show upgrade options error:', error);
-            await ctx.reply('❌ Failed to load upgrade information.');
+            await ctx.reply(t(locale, 'upgrade.infoFailed'));
         }
     }
 
-    getUpgradeKeyboard(currentPlanId, upgradeCost) {
+    getUpgradeKeyboard(currentPlanId, upgradeCost, locale = 'en') {
         const nextPlanId = currentPlanId + 1;
-        
+
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback(`⬆️ Upgrade Now (${formatNumber(upgradeCost)} USDT)`, `upgrade_${nextPlanId}`),
-                Markup.button.callback('💳 Check Balance', 'action_wallet_info')
+                Markup.button.callback(t(locale, 'buttons.upgradeNow', { amount: formatNumber(upgradeCost, 2, locale) }), `upgrade_${nextPlanId}`),
+                Markup.button.callback(t(locale, 'buttons.checkBalance'), 'action_wallet_info')
             ],
             [
-                Markup.button.callback('📊 Compare Plans', 'action_plan_comparison'),
-                Markup.button.callback('💡 Upgrade Benefits', 'action_upgrade_benefits')
+                Markup.button.callback(t(locale, 'buttons.comparePlans'), 'action_plan_comparison'),
+                Markup.button.callback(t(locale, 'buttons.upgradeBenefits'), 'action_upgrade_benefits')
             ],
             [
-                Markup.button.callback('🔙 Back to Profile', 'action_profile'),
-                Markup.button.callback('🏠 Main Menu', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.backToProfile'), 'action_profile'),
+                Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
             ]
         ]);
     }
 
     async selectPlan(ctx, planId) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user || !user.is_registered) {
-                await ctx.answerCbQuery('❌ Must be registered to upgrade');
+                await ctx.answerCbQuery(t(locale, 'upgrade.mustRegister'));
                 return;
             }
 
             if (planId !== user.plan_id + 1) {
-                await ctx.answerCbQuery('❌ Can only upgrade to next level');
+                await ctx.answerCbQuery(t(locale, 'upgrade.nextLevelOnly'));
                 return;
             }
 
@@ -218,11 +191,13 @@ Ready to upgrade? 🎯`;
 
         } catch (error) {
             console.error('❌ Select upgrade plan error:', error);
-            await ctx.answerCbQuery('❌ Failed to select plan');
+            await ctx.answerCbQuery(t(locale, 'register.selectFailed'));
         }
     }
 
     async showUpgradeConfirmation(ctx, user, newPlanId) {
+        const { locale } = ctx.state;
+
         try {
             if (!user.wallet_address) {
                 await this.showWalletRequired(ctx);
@@ -233,7 +208,7 @@ Ready to upgrade? 🎯`;
             const newPlan = await this.blockchainService.getPlanInfo(newPlanId);
             
             if (!currentPlan || !newPlan) {
-                await ctx.answerCbQuery('❌ Plan information not available');
+                await ctx.answerCbQuery(t(locale, 'register.planUnavailable'));
                 return;
             }
 
@@ -241,44 +216,28 @@ Ready to upgrade? 🎯`;
             const newPrice = parseFloat(newPlan.priceFormatted);
             const upgradeCost = newPrice - currentPrice;
 
-            const message = `✅ **Confirm Plan Upgrade**
-
-**📋 Upgrade Details:**
-• **From:** ${currentPlan.name} (Level ${user.plan_id})
-• **To:** ${newPlan.name} (Level ${newPlanId})
-• **Upgrade Cost:** ${formatNumber(upgradeCost)} USDT
-• **Your Wallet:** \`${user.wallet_address.slice(0, 6)}...${user.wallet_address.slice(-4)}\`
-
-**💰 Transaction Breakdown:**
-• **Amount:** ${formatNumber(upgradeCost)} USDT
-• **Gas Fee:** ~0.001 BNB (additional)
-• **New Commission Rate:** ${this.getCommissionRate(newPlanId)}%
-
-**⚠️ Requirements Check:**
-${await this.checkUpgradeRequirements(user, upgradeCost)}
-
-**🔄 What happens next:**
-1. You confirm this upgrade
-2. Approve USDT spending (if needed)
-3. Complete the blockchain transaction
-4. Your plan level increases immediately
-5. Start earning higher commissions!
-
-**📱 Make sure your wallet app is ready!**
-
-Proceed with upgrade? 🚀`;
+            const message = t(locale, 'upgrade.confirm', {
+                fromName: currentPlan.name,
+                fromLevel: user.plan_id,
+                toName: newPlan.name,
+                toLevel: newPlanId,
+                cost: formatNumber(upgradeCost, 2, locale),
+                wallet: `${user.wallet_address.slice(0, 6)}...${user.wallet_address.slice(-4)}`,
+                rate: this.getCommissionRate(newPlanId),
+                requirements: await this.checkUpgradeRequirements(user, upgradeCost, locale)
+            });
 
             const keyboard = Markup.inlineKeyboard([
                 [
-                    Markup.button.callback('✅ Confirm Upgrade', `confirm_upgrade_${newPlanId}`),
-                    Markup.button.callback('❌ Cancel', 'action_upgrade')
+                    Markup.button.callback(t(locale, 'buttons.confirmUpgrade'), `confirm_upgrade_${newPlanId}`),
+                    Markup.button.callback(t(locale, 'buttons.cancel'), 'action_upgrade')
                 ],
                 [
-                    Markup.button.callback('💳 Check Balance', 'action_check_balance'),
-                    Markup.button.callback('🔄 Refresh Info', `upgrade_${newPlanId}`)
+                    Markup.button.callback(t(locale, 'buttons.checkBalance'), 'action_check_balance'),
+                    Markup.button.callback(t(locale, 'buttons.refreshInfo'), `upgrade_${newPlanId}`)
                 ],
                 [
-                    Markup.button.callback('❓ Need Help?', 'action_upgrade_help')
+                    Markup.button.callback(t(locale, 'buttons.needHelp'), 'action_upgrade_help')
                 ]
             ]);
 
@@ -290,27 +249,29 @@ Proceed with upgrade? 🚀`;
 
         } catch (error) {
             console.error('❌ Show upgrade confirmation error:', error);
-            await ctx.answerCbQuery('❌ Failed to show confirmation');
+            await ctx.answerCbQuery(t(locale, 'register.confirmFailed'));
         }
     }
 
     async confirmUpgrade(ctx, planId) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user || !user.is_registered) {
-                await ctx.answerCbQuery('❌ Invalid user state');
+                await ctx.answerCbQuery(t(locale, 'upgrade.invalidState'));
                 return;
             }
 
             if (planId !== user.plan_id + 1) {
-                await ctx.answerCbQuery('❌ Invalid upgrade path');
+                await ctx.answerCbQuery(t(locale, 'upgrade.invalidPath'));
                 return;
             }
 
             if (!user.wallet_address) {
-                await ctx.answerCbQuery('❌ Wallet not connected');
+                await ctx.answerCbQuery(t(locale, 'payment.walletNotConnected'));
                 return;
             }
 
@@ -319,39 +280,21 @@ Proceed with upgrade? 🚀`;
 
         } catch (error) {
             console.error('❌ Confirm upgrade error:', error);
-            await ctx.answerCbQuery('❌ Upgrade failed');
+            await ctx.answerCbQuery(t(locale, 'upgrade.failedCallback'));
         }
     }
 
     async processUpgrade(ctx, user, planId) {
-        try {
-            await ctx.answerCbQuery('🔄 Processing upgrade...');
-
-            const processingMessage = `🔄 **Processing Your Upgrade...**
-
-**⏳ Please wait while we:**
-1. Verify your wallet balance
-2. Calculate upgrade cost
-3. Prepare the smart contract transaction
-4. Check network conditions
+        const { locale } = ctx.state;
 
-**📱 Your wallet may prompt you to:**
-• Approve additional USDT spending
-• Confirm the upgrade transaction
-• Pay gas fees
-
-**⚠️ Important:**
-• Keep this chat open
-• Don't close your wallet app
-• Wait for confirmation
-
-Processing upgrade... 🔄`;
+        try {
+            await ctx.answerCbQuery(t(locale, 'upgrade.processingShort'));
 
-            await ctx.editMessageText(processingMessage, {
+            await ctx.editMessageText(t(locale, 'upgrade.processing'), {
                 parse_mode: 'Markdown',
                 reply_markup: {
                     inline_keyboard: [[
-                        { text: '❌ Cancel', callback_data: 'action_cancel' }
+                        { text: t(locale, 'buttons.cancel'), callback_data: 'action_cancel' }
                     ]]
                 }
             });
@@ -364,12 +307,14 @@ Processing upgrade... 🔄`;
             // Attempt blockchain upgrade
             const result = await this.blockchainService.upgradePlan(planId, userWallet);
 
-            if (result.success) {
+            if (result.requiresSignature) {
+                await this.showSignatureRequired(ctx, user, result, planId);
+            } else if (result.success) {
                 await this.showUpgradeSuccess(ctx, result, planId);
             } else if (result.requiresApproval) {
-                await this.showApprovalRequired(ctx, result, planId);
+                await this.showApprovalRequired(ctx, result, planId, user);
             } else {
-                await this.showUpgradeError(ctx, result.error);
+                await this.showUpgradeError(ctx, result.error, result.errorCode);
             }
 
         } catch (error) {
@@ -379,45 +324,28 @@ Processing upgrade... 🔄`;
     }
 
     async showUpgradeSuccess(ctx, result, planId) {
+        const { locale } = ctx.state;
         const newPlan = await this.blockchainService.getPlanInfo(planId);
-        const newCommissionRate = this.getCommissionRate(planId);
-
-        const message = `🎉 **Upgrade Successful!**
-
-**✅ Transaction Submitted Successfully!**
-
-**📋 Upgrade Details:**
-• **New Plan:** ${newPlan.name} (Level ${planId})
-• **New Commission Rate:** ${newCommissionRate}%
-• **Transaction Hash:** \`${result.txHash}\`
-• **Status:** Pending Confirmation ⏳
 
-**⏳ What's happening now:**
-1. Transaction is being confirmed on BSC network
-2. Your membership level will update automatically
-3. New commission rate takes effect immediately
-4. You'll be notified when complete
-
-**🎯 Your Benefits:**
-• Higher commissions on all future referrals
-• Enhanced membership status
-• Access to premium features
-
-**💪 Start earning more with your upgraded plan!**
-
-We'll notify you when your upgrade is fully confirmed! 🚀`;
+        const message = t(locale, 'upgrade.success', {
+            name: newPlan.name,
+            level: planId,
+            rate: this.getCommissionRate(planId),
+            job: formatQueueJob(result.job, locale),
+            network: blockchainConfig.getCurrentNetwork().name
+        });
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('👥 Share Referral Code', 'action_share_referral'),
-                Markup.button.callback('📊 Check Status', 'action_check_tx_status')
+                Markup.button.callback(t(locale, 'buttons.shareReferralCode'), 'action_share_referral'),
+                Markup.button.callback(t(locale, 'buttons.checkStatus'), `tx_job_${result.job.id}`)
             ],
             [
-                Markup.button.callback('👤 View Profile', 'action_profile'),
-                Markup.button.callback('💰 Earnings Potential', 'action_earnings_potential')
+                Markup.button.callback(t(locale, 'buttons.viewProfile'), 'action_profile'),
+                Markup.button.callback(t(locale, 'buttons.earningsPotential'), 'action_earnings_potential')
             ],
             [
-                Markup.button.callback('🏠 Main Menu', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
             ]
         ]);
 
@@ -427,44 +355,135 @@ We'll notify you when your upgrade is fully confirmed! 🚀`;
         });
 
         // Save pending upgrade
-        await this.savePendingUpgrade(ctx.from.id.toString(), planId, result.txHash);
+        await this.savePendingUpgrade(ctx.from.id.toString(), planId, `job #${result.job.id}`);
+    }
+
+    async showSignatureRequired(ctx, user, result, planId) {
+        const { message, keyboard } = await this.buildSignaturePrompt(user, result, planId, ctx.state.locale);
+
+        await ctx.editMessageText(message, {
+            parse_mode: 'Markdown',
+            ...keyboard
+        });
     }
 
-    async showApprovalRequired(ctx, result, planId) {
+    // Create the signing request and the message that links to it
+    async buildSignaturePrompt(user, result, planId, locale = 'en') {
         const newPlan = await this.blockchainService.getPlanInfo(planId);
-        const currentPlan = await this.blockchainService.getPlanInfo(planId - 1);
-        const upgradeCost = parseFloat(newPlan.priceFormatted) - parseFloat(currentPlan.priceFormatted);
+        const upgradeCost = this.blockchainService.formatTokenAmount(result.amount);
 
-        const message = `💳 **USDT Approval Required**
+        const request = await this.signingService.createRequest(user, 'upgrade', result.call, {
+            amount: result.amount,
+            fromPlanId: result.fromPlanId,
+            toPlanId: planId
+        });
 
-**⚠️ Before upgrading, you need to approve additional USDT spending.**
+        const message = t(locale, 'upgrade.signatureRequired', {
+            name: newPlan.name,
+            level: planId,
+            cost: formatNumber(parseFloat(upgradeCost), 2, locale),
+            from: `${user.wallet_address.slice(0, 6)}...${user.wallet_address.slice(-4)}`,
+            contract: result.call.to,
+            expires: t(locale, 'duration.minute', { count: Math.round(blockchainConfig.signingSettings.requestTtl / 60000) })
+        });
 
-**📋 Approval Details:**
-• **Additional Amount:** ${formatNumber(upgradeCost)} USDT
-• **Spender:** NFT Contract
-• **Purpose:** Plan upgrade payment
+        return { message, keyboard: ConfirmKeyboard.getSigningKeyboard(request, [], locale) };
+    }
 
-**📱 Steps to approve:**
-1. Open your wallet app
-2. Go to the USDT token
-3. Approve spending for the upgrade amount
-4. Return here and try upgrade again
+    // Continue an upgrade once its USDT approval has settled on-chain
+    async resumeAfterApproval(telegram, approval) {
+        const user = await this.userService.getUserByTelegramId(approval.telegram_id);
+        const planId = approval.metadata.toPlanId;
+        if (!user || !user.is_registered || !user.wallet_address || planId !== user.plan_id + 1) {
+            return;
+        }
 
-**🔗 Contract Address:**
-\`${process.env.NFT_CONTRACT_ADDRESS}\`
+        const locale = resolveLocale(user.language_code);
+        const retryKeyboard = Markup.inlineKeyboard([
+            [Markup.button.callback(t(locale, 'buttons.tryAgain'), `confirm_upgrade_${planId}`)]
+        ]);
 
-**💡 This approves only the upgrade amount.**
+        if (approval.status === 'failed') {
+            await telegram.sendMessage(user.telegram_id, t(locale, 'payment.approvalFailed'), {
+                parse_mode: 'Markdown',
+                ...retryKeyboard
+            });
+            return;
+        }
 
-Once approved, return here to complete your upgrade! 🚀`;
+        const result = await this.blockchainService.upgradePlan(planId, { address: user.wallet_address });
+        const confirmed = t(locale, 'payment.approvalConfirmed');
+
+        if (result.requiresSignature) {
+            const { message, keyboard } = await this.buildSignaturePrompt(user, result, planId, locale);
+            await telegram.sendMessage(user.telegram_id, `${confirmed}\n\n${message}`, {
+                parse_mode: 'Markdown',
+                ...keyboard
+            });
+        } else if (result.success) {
+            await telegram.sendMessage(user.telegram_id, `${confirmed}\n\n${t(locale, 'upgrade.resumeQueued', {
+                job: formatQueueJob(result.job, locale)
+            })}`, {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([
+                    [Markup.button.callback(t(locale, 'buttons.checkStatus'), `tx_job_${result.job.id}`)]
+                ])
+            });
+
+            await this.savePendingUpgrade(user.telegram_id, planId, `job #${result.job.id}`);
+        } else if (result.errorCode) {
+            const { message, actions } = formatContractError(result.errorCode, locale);
+            await telegram.sendMessage(user.telegram_id, `${confirmed}\n\n${message}`, {
+                parse_mode: 'Markdown',
+                ...ConfirmKeyboard.getContractErrorKeyboard(actions, 'action_upgrade', locale)
+            });
+        } else {
+            await telegram.sendMessage(user.telegram_id, `${confirmed}\n\n${t(locale, 'upgrade.resumeFailed', {
+                error: result.error || result.message
+            })}`, {
+                parse_mode: 'Markdown',
+                ...retryKeyboard
+            });
+        }
+    }
+
+    async showApprovalRequired(ctx, result, planId, user) {
+        const { locale } = ctx.state;
+        const newPlan = await this.blockchainService.getPlanInfo(planId);
+        const currentPlan = await this.blockchainService.getPlanInfo(planId - 1);
+        const upgradeCost = parseFloat(newPlan.priceFormatted) - parseFloat(currentPlan.priceFormatted);
+        const amount = formatNumber(upgradeCost, 2, locale);
+
+        if (result.approveCall) {
+            const request = await this.signingService.createRequest(user, 'approve', result.approveCall, {
+                amount: this.blockchainService.parseTokenAmount(result.approvalAmount).toString(),
+                amountFormatted: result.approvalAmount,
+                toPlanId: planId,
+                resume: 'upgrade'
+            });
+
+            await ctx.editMessageText(t(locale, 'upgrade.approvalLink', { amount }), {
+                parse_mode: 'Markdown',
+                ...ConfirmKeyboard.getSigningKeyboard(request, [
+                    [Markup.button.callback(t(locale, 'buttons.approvedTryAgain'), `confirm_upgrade_${planId}`)]
+                ], locale)
+            });
+            return;
+        }
+
+        const message = t(locale, 'upgrade.approvalManual', {
+            amount,
+            contract: process.env.NFT_CONTRACT_ADDRESS
+        });
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ I Approved, Try Again', `confirm_upgrade_${planId}`),
-                Markup.button.callback('❓ How to Approve?', 'action_approval_help')
+                Markup.button.callback(t(locale, 'buttons.approvedTryAgain'), `confirm_upgrade_${planId}`),
+                Markup.button.callback(t(locale, 'buttons.howToApprove'), 'action_approval_help')
             ],
             [
-                Markup.button.callback('🔄 Check Approval Status', 'action_check_approval'),
-                Markup.button.callback('❌ Cancel', 'action_upgrade')
+                Markup.button.callback(t(locale, 'buttons.checkApprovalStatus'), 'action_check_approval'),
+                Markup.button.callback(t(locale, 'buttons.cancel'), 'action_upgrade')
             ]
         ]);
 
@@ -474,115 +493,85 @@ Once approved, return here to complete your upgrade! 🚀`;
         });
     }
 
-    async showUpgradeError(ctx, error) {
-        const message = `❌ **Upgrade Failed**
-
-**😔 Something went wrong with your upgrade.**
-
-**Error:** ${error}
-
-**🔧 Possible solutions:**
-• Check your USDT balance for upgrade cost
-• Ensure sufficient BNB for gas fees
-• Verify wallet connection is active
-• Check network connection stability
-• Try again in a few minutes
+    async showUpgradeError(ctx, error, errorCode = null) {
+        const { locale } = ctx.state;
 
-**💡 Common issues:**
-• Insufficient USDT for upgrade
-• Need to approve USDT spending first
-• Network congestion (try later)
-• Wallet disconnected during process
-
-**🔄 Next steps:**
-• Verify your balances
-• Try the upgrade again
-• Contact support if issues persist
-
-Don't worry, no funds were lost! 💪`;
+        if (errorCode) {
+            const { message, actions } = formatContractError(errorCode, locale);
+            await ctx.editMessageText(message, {
+                parse_mode: 'Markdown',
+                ...ConfirmKeyboard.getContractErrorKeyboard(actions, 'action_upgrade', locale)
+            });
+            return;
+        }
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('🔄 Try Again', 'action_upgrade'),
-                Markup.button.callback('💳 Check Wallet', 'action_wallet_info')
+                Markup.button.callback(t(locale, 'buttons.tryAgain'), 'action_upgrade'),
+                Markup.button.callback(t(locale, 'buttons.checkWallet'), 'action_wallet_info')
             ],
             [
-                Markup.button.callback('❓ Get Help', 'action_upgrade_help'),
-                Markup.button.callback('🔙 Back', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.getHelp'), 'action_upgrade_help'),
+                Markup.button.callback(t(locale, 'buttons.back'), 'action_back_main')
             ]
         ]);
 
-        await ctx.editMessageText(message, {
+        await ctx.editMessageText(t(locale, 'upgrade.failed', { error }), {
             parse_mode: 'Markdown',
             ...keyboard
         });
     }
 
     async showWalletRequired(ctx) {
-        const message = `💳 **Wallet Required for Upgrade**
-
-**⚠️ You need a connected wallet to upgrade your plan.**
-
-**🔗 To upgrade:**
-1. Connect your BSC wallet using /wallet
-2. Ensure sufficient USDT for upgrade cost
-3. Have BNB for gas fees
-4. Return here to upgrade
-
-**💰 For upgrades you'll need:**
-• USDT for the upgrade cost difference
-• Small amount of BNB for transaction fees
-• Same wallet used for registration
-
-**Ready to connect your wallet?** 🚀`;
+        const { locale } = ctx.state;
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('💳 Connect Wallet', 'action_connect_wallet'),
-                Markup.button.callback('❓ Wallet Help', 'action_wallet_setup_help')
+                Markup.button.callback(t(locale, 'buttons.connectWallet'), 'action_connect_wallet'),
+                Markup.button.callback(t(locale, 'buttons.walletHelp'), 'action_wallet_setup_help')
             ],
             [
-                Markup.button.callback('🔙 Back', 'action_upgrade')
+                Markup.button.callback(t(locale, 'buttons.back'), 'action_upgrade')
             ]
         ]);
 
-        await ctx.editMessageText(message, {
+        await ctx.editMessageText(t(locale, 'upgrade.walletRequired'), {
             parse_mode: 'Markdown',
             ...keyboard
         });
     }
 
     // Helper methods
-    async checkUpgradeRequirements(user, upgradeCost) {
+    async checkUpgradeRequirements(user, upgradeCost, locale = 'en') {
         let requirements = '';
         
         try {
             if (user.wallet_address) {
-                requirements += '✅ Wallet connected\n';
+                requirements += `${t(locale, 'payment.requirements.walletConnected')}\n`;
                 
                 // Check USDT balance
                 const balance = await this.blockchainService.usdtContract.balanceOf(user.wallet_address);
                 const requiredAmount = this.blockchainService.parseTokenAmount(upgradeCost.toString());
                 
                 if (balance >= requiredAmount) {
-                    requirements += '✅ Sufficient USDT balance\n';
+                    requirements += `${t(locale, 'payment.requirements.usdtOk')}\n`;
                 } else {
                     const shortfall = this.blockchainService.formatTokenAmount((requiredAmount - balance).toString());
-                    requirements += `❌ Need ${shortfall} more USDT\n`;
+                    requirements += `${t(locale, 'payment.requirements.usdtShort', { amount: shortfall })}\n`;
                 }
                 
                 // Check BNB for gas
                 const bnbBalance = await this.blockchainService.provider.getBalance(user.wallet_address);
                 if (bnbBalance > BigInt('1000000000000000')) { // 0.001 BNB
-                    requirements += '✅ Sufficient BNB for gas\n';
+                    requirements += `${t(locale, 'payment.requirements.gasOk')}\n`;
                 } else {
-                    requirements += '❌ Need BNB for gas fees\n';
+                    requirements += `${t(locale, 'payment.requirements.gasShort')}\n`;
                 }
             } else {
-                requirements += '❌ Wallet not connected\n';
+                requirements += `${t(locale, 'payment.requirements.walletMissing')}\n`;
             }
         } catch (error) {
-            requirements = '⚠️ Unable to check requirements\n';
+            requirements = `${t(locale, 'payment.requirements.unavailable')}\n`;
         }
         
         return requirements;
@@ -603,14 +592,14 @@ Don't worry, no funds were lost! 💪`;
         return 36;
     }
 
-    getPlanName(planId) {
+    getPlanName(planId, locale = 'en') {
         const planNames = {
             1: 'Starter', 2: 'Basic', 3: 'Bronze', 4: 'Silver',
             5: 'Gold', 6: 'Platinum', 7: 'Diamond', 8: 'Elite',
             9: 'Master', 10: 'Grand Master', 11: 'Champion', 12: 'Legend',
             13: 'Supreme', 14: 'Ultimate', 15: 'Apex', 16: 'Infinity'
         };
-        return planNames[planId] || `Plan ${planId}`;
+        return planNames[planId] || t(locale, 'plans.planNumber', { plan: planId });
     }
 }
 
@@ -1,21 +1,32 @@
 const { Markup } = require('telegraf');
 const UserService = require('../../services/UserService');
 const BlockchainService = require('../../services/BlockchainService');
-const { formatNumber } = require('../../utils/formatting');
+const SigningService = require('../../services/SigningService');
+const WalletVerificationService = require('../../services/WalletVerificationService');
+const ConfirmKeyboard = require('../keyboards/confirm');
+const SceneManager = require('../scenes/manager');
+const { blockchainConfig } = require('../../config/blockchain');
+const { formatNumber, formatNetworkSettings, formatQueueJob, formatStatus } = require('../../utils/formatting');
+const { t, hasKey, getIntlLocale } = require('../../utils/i18n');
 
 class WalletHandler {
     constructor() {
         this.userService = new UserService();
-        this.blockchainService = new BlockchainService();
+        this.blockchainService = BlockchainService.getInstance();
+        this.signingService = new SigningService();
+        this.walletVerification = new WalletVerificationService();
+        this.scenes = SceneManager.getInstance();
     }
 
     async handle(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user) {
-                await ctx.reply('❌ User not found. Please use /start to register.');
+                await ctx.reply(t(locale, 'errors.userNotFound'));
                 return;
             }
 
@@ -27,48 +38,26 @@ class WalletHandler {
 
         } catch (error) {
             console.error('❌ Wallet handler error:', error);
-            await ctx.reply('❌ Wallet operation failed. Please try again.');
+            await ctx.reply(t(locale, 'wallet.failed'));
         }
     }
 
     async showConnectWallet(ctx, user) {
-        const message = `💳 **Connect Your BSC Wallet**
-
-🔗 **To participate in our membership program, you need a BSC wallet.**
-
-**🎯 Supported Wallets:**
-• **MetaMask** (Recommended)
-• **Trust Wallet**
-• **SafePal Wallet**
-• **Binance Chain Wallet**
-• Any BSC-compatible wallet
-
-**📋 What you'll need:**
-• USDT tokens for membership fees
-• Small amount of BNB for gas fees
-• BSC (Binance Smart Chain) network added
-
-**🔒 Security Notice:**
-• We only store your wallet address
-• Never share your private keys
-• Always verify transactions before signing
-
-**📱 Ready to connect your wallet?**
-
-Send your BSC wallet address (starts with 0x) or use the button below for help! 👇`;
+        const { locale } = ctx.state;
+        const message = t(locale, 'wallet.connect');
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('💡 Wallet Setup Guide', 'action_wallet_setup_guide'),
-                Markup.button.callback('🌐 Add BSC Network', 'action_bsc_network_help')
+                Markup.button.callback(t(locale, 'buttons.walletSetupGuide'), 'action_wallet_setup_guide'),
+                Markup.button.callback(t(locale, 'buttons.addBscNetwork'), 'action_bsc_network_help')
             ],
             [
-                Markup.button.callback('📱 MetaMask Guide', 'action_metamask_guide'),
-                Markup.button.callback('💼 Trust Wallet Guide', 'action_trust_wallet_guide')
+                Markup.button.callback(t(locale, 'buttons.metamaskGuide'), 'action_metamask_guide'),
+                Markup.button.callback(t(locale, 'buttons.trustWalletGuide'), 'action_trust_wallet_guide')
             ],
             [
-                Markup.button.callback('❓ FAQ', 'action_wallet_faq'),
-                Markup.button.callback('🔙 Back', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.faq'), 'action_wallet_faq'),
+                Markup.button.callback(t(locale, 'buttons.back'), 'action_back_main')
             ]
         ]);
 
@@ -85,14 +74,15 @@ Send your BSC wallet address (starts with 0x) or use the button below for help!
             });
         }
 
-        // Set conversation state to wait for wallet address
-        ctx.session.step = 'waiting_wallet_address';
+        // Wait for the wallet address
+        this.scenes.enter(ctx, 'connectWallet');
     }
 
     async showWalletInfo(ctx, user) {
+        const { locale } = ctx.state;
+
         try {
             const walletAddress = user.wallet_address;
-            const shortAddress = `${walletAddress.slice(0, 6)}...${walletAddress.slice(-4)}`;
             
             // Get blockchain info
             const memberInfo = await this.blockchainService.getMemberInfo(walletAddress);
@@ -111,32 +101,23 @@ Send your BSC wallet address (starts with 0x) or use the button below for help!
                 console.error('❌ Error getting wallet balances:', error);
             }
 
-            const message = `💳 **Your Wallet Information**
-
-**🔗 Connected Wallet:**
-\`${walletAddress}\`
-
-**💰 Wallet Balances:**
-• **USDT:** ${formatNumber(parseFloat(usdtBalance))} USDT
-• **BNB:** ${formatNumber(parseFloat(bnbBalance), 4)} BNB
-
-**📊 Membership Status:**
-${memberInfo && memberInfo.isRegistered ? 
-    `✅ Registered Member (Plan ${memberInfo.planId})
-📈 **On-chain Earnings:** ${this.blockchainService.formatTokenAmount(memberInfo.totalEarnings)} USDT
-👥 **Direct Referrals:** ${memberInfo.totalReferrals}` :
-    `❌ Not registered yet
-💡 Use /register to join a membership plan`
-}
-
-**🔒 Security Status:**
-✅ Wallet connected securely
-✅ Ready for transactions
-${parseFloat(bnbBalance) > 0.001 ? '✅ Sufficient BNB for gas' : '⚠️ Low BNB balance (need for gas fees)'}
-
-**⚡ Quick Actions:**`;
+            const membership = memberInfo && memberInfo.isRegistered
+                ? t(locale, 'wallet.registered', {
+                    plan: memberInfo.planId,
+                    earnings: this.blockchainService.formatTokenAmount(memberInfo.totalEarnings),
+                    referrals: memberInfo.totalReferrals
+                })
+                : t(locale, 'wallet.notRegistered');
+
+            const message = t(locale, 'wallet.info', {
+                address: walletAddress,
+                usdt: formatNumber(parseFloat(usdtBalance), 2, locale),
+                bnb: formatNumber(parseFloat(bnbBalance), 4, locale),
+                membership,
+                gas: t(locale, parseFloat(bnbBalance) > 0.001 ? 'wallet.gasOk' : 'wallet.gasLow')
+            });
 
-            const keyboard = this.getWalletInfoKeyboard(user, parseFloat(usdtBalance), parseFloat(bnbBalance));
+            const keyboard = this.getWalletInfoKeyboard(user, parseFloat(usdtBalance), parseFloat(bnbBalance), locale);
 
             if (ctx.callbackQuery) {
                 await ctx.editMessageText(message, {
@@ -153,80 +134,60 @@ ${parseFloat(bnbBalance) > 0.001 ? '✅ Sufficient BNB for gas' : '⚠️ Low BN
 
         } catch (error) {
             console.error('❌ Show wallet info error:', error);
-            await ctx.reply('❌ Failed to load wallet information.');
+            await ctx.reply(t(locale, 'wallet.infoFailed'));
         }
     }
 
-    getWalletInfoKeyboard(user, usdtBalance, bnbBalance) {
+    getWalletInfoKeyboard(user, usdtBalance, bnbBalance, locale = 'en') {
         const keyboard = [];
 
         // Action buttons based on user status and balances
         if (!user.is_registered) {
             if (usdtBalance >= 1 && bnbBalance >= 0.001) {
                 keyboard.push([
-                    Markup.button.callback('🚀 Register Now', 'action_get_started')
+                    Markup.button.callback(t(locale, 'buttons.registerNow'), 'action_get_started')
                 ]);
             } else {
                 keyboard.push([
-                    Markup.button.callback('💰 Get USDT', 'action_get_usdt_help'),
-                    Markup.button.callback('⛽ Get BNB', 'action_get_bnb_help')
+                    Markup.button.callback(t(locale, 'buttons.getUsdt'), 'action_get_usdt_help'),
+                    Markup.button.callback(t(locale, 'buttons.getBnb'), 'action_get_bnb_help')
                 ]);
             }
         } else {
             keyboard.push([
-                Markup.button.callback('⬆️ Upgrade Plan', 'action_upgrade'),
-                Markup.button.callback('📊 Check Allowance', 'action_check_allowance')
+                Markup.button.callback(t(locale, 'buttons.upgradePlan'), 'action_upgrade'),
+                Markup.button.callback(t(locale, 'buttons.checkAllowance'), 'action_check_allowance')
             ]);
         }
 
         keyboard.push([
-            Markup.button.callback('🔄 Refresh Balances', 'action_wallet_info'),
-            Markup.button.callback('📋 Transaction History', 'action_tx_history')
+            Markup.button.callback(t(locale, 'buttons.refreshBalances'), 'action_wallet_info'),
+            Markup.button.callback(t(locale, 'buttons.transactionHistory'), 'action_tx_history')
         ]);
 
+        const addressUrl = blockchainConfig.getAddressUrl(user.wallet_address);
         keyboard.push([
-            Markup.button.callback('🔗 View on BSCScan', 'action_view_bscscan'),
-            Markup.button.callback('🔄 Change Wallet', 'action_change_wallet')
+            ...(addressUrl ? [Markup.button.url(t(locale, 'buttons.viewOnExplorer'), addressUrl)] : []),
+            Markup.button.callback(t(locale, 'buttons.changeWallet'), 'action_change_wallet')
         ]);
 
         keyboard.push([
-            Markup.button.callback('❓ Wallet Help', 'action_wallet_help'),
-            Markup.button.callback('🔙 Back', 'action_back_main')
+            Markup.button.callback(t(locale, 'buttons.walletHelp'), 'action_wallet_help'),
+            Markup.button.callback(t(locale, 'buttons.back'), 'action_back_main')
         ]);
 
         return Markup.inlineKeyboard(keyboard);
     }
 
+    // Address format is checked by the connectWallet scene
     async handleWalletInput(ctx, walletAddress) {
-        try {
-            // Validate wallet address format
-            if (!this.isValidWalletAddress(walletAddress)) {
-                await ctx.reply(`❌ **Invalid wallet address format**
-
-Please send a valid BSC wallet address that:
-• Starts with "0x"
-• Is exactly 42 characters long
-• Contains only hexadecimal characters
-
-**Example:** \`0x1234567890123456789012345678901234567890\`
-
-Try again or use /wallet for help! 💡`);
-                return;
-            }
+        const { locale } = ctx.state;
 
+        try {
             // Check if wallet is already used
             const existingUser = await this.userService.getUserByWalletAddress(walletAddress);
             if (existingUser && existingUser.telegram_id !== ctx.from.id.toString()) {
-                await ctx.reply(`❌ **Wallet Already Connected**
-
-This wallet address is already linked to another account.
-
-**Options:**
-• Use a different wallet address
-• Contact support if this is your wallet
-• Check if you have another Telegram account
-
-Please send a different wallet address! 💳`);
+                await ctx.reply(t(locale, 'wallet.alreadyLinked'));
                 return;
             }
 
@@ -235,11 +196,12 @@ Please send a different wallet address! 💳`);
 
         } catch (error) {
             console.error('❌ Handle wallet input error:', error);
-            await ctx.reply('❌ Failed to process wallet address. Please try again.');
+            await ctx.reply(t(locale, 'wallet.inputFailed'));
         }
     }
 
     async showWalletConfirmation(ctx, walletAddress) {
+        const { locale } = ctx.state;
         const shortAddress = `${walletAddress.slice(0, 6)}...${walletAddress.slice(-4)}`;
         
         // Try to get wallet info
@@ -251,51 +213,61 @@ Please send a different wallet address! 💳`);
             const usdtFormatted = this.blockchainService.formatTokenAmount(usdtBalance.toString());
             const bnbFormatted = this.blockchainService.formatTokenAmount(bnbBalance.toString(), 18);
             
-            walletInfo = `\n**💰 Wallet Balances:**
-• USDT: ${formatNumber(parseFloat(usdtFormatted))} USDT
-• BNB: ${formatNumber(parseFloat(bnbFormatted), 4)} BNB`;
+            walletInfo = `\n${t(locale, 'wallet.balances', {
+                usdt: formatNumber(parseFloat(usdtFormatted), 2, locale),
+                bnb: formatNumber(parseFloat(bnbFormatted), 4, locale)
+            })}`;
 
         } catch (error) {
-            walletInfo = '\n⚠️ Unable to fetch wallet balances';
+            walletInfo = `\n${t(locale, 'wallet.balancesUnavailable')}`;
         }
 
-        const message = `🔗 **Confirm Wallet Connection**
+        // Issue an ownership challenge for this address
+        const challenge = await this.walletVerification.createChallenge(ctx.from.id.toString(), walletAddress);
+        const signingUrl = blockchainConfig.getSigningUrl(`message/${challenge.nonce}`);
+
+        const message = t(locale, 'wallet.verify', {
+            address: walletAddress,
+            shortAddress,
+            balances: walletInfo,
+            steps: t(locale, signingUrl ? 'wallet.verifyStepsLink' : 'wallet.verifyStepsManual'),
+            message: challenge.message,
+            expires: t(locale, 'duration.minute', { count: Math.round(blockchainConfig.signingSettings.challengeTtl / 60000) })
+        });
 
-**Wallet Address:**
-\`${walletAddress}\`
+        await ctx.reply(message, {
+            parse_mode: 'Markdown',
+            ...ConfirmKeyboard.getWalletVerificationKeyboard(signingUrl, locale)
+        });
 
-**Short Address:** ${shortAddress}${walletInfo}
+        // Wait for the signature
+        this.scenes.next(ctx, 'signature');
+    }
 
-**✅ This wallet will be used for:**
-• Membership registration payments
-• Plan upgrade payments  
-• Receiving referral commissions
-• All blockchain transactions
+    async handleSignatureInput(ctx, signature) {
+        const { locale } = ctx.state;
 
-**⚠️ Important:**
-• Make sure you control this wallet
-• Keep your private keys secure
-• This can be changed later if needed
+        try {
+            const telegramId = ctx.from.id.toString();
+            const challenge = await this.walletVerification.getPendingChallenge(telegramId);
 
-**Confirm connecting this wallet?**`;
+            if (!challenge) {
+                this.scenes.leave(ctx);
+                await ctx.reply(t(locale, 'wallet.noChallenge'));
+                return;
+            }
 
-        const keyboard = Markup.inlineKeyboard([
-            [
-                Markup.button.callback('✅ Connect Wallet', `confirm_wallet_${walletAddress}`),
-                Markup.button.callback('❌ Cancel', 'action_connect_wallet')
-            ],
-            [
-                Markup.button.callback('🔍 Verify on BSCScan', `verify_wallet_${walletAddress}`)
-            ]
-        ]);
+            await this.userService.updateWalletAddress(telegramId, challenge.wallet_address, signature.trim());
 
-        await ctx.reply(message, {
-            parse_mode: 'Markdown',
-            ...keyboard
-        });
+            this.scenes.leave(ctx);
+            await this.showWalletConnected(ctx, challenge.wallet_address);
 
-        // Clear session step
-        ctx.session.step = null;
+        } catch (error) {
+            console.error('❌ Handle wallet signature error:', error.message);
+            await ctx.reply(t(locale, 'wallet.verificationFailed', { error: this.getErrorMessage(error, locale) }), {
+                parse_mode: 'Markdown'
+            });
+        }
     }
 
     async connect(ctx) {
@@ -303,35 +275,30 @@ Please send a different wallet address! 💳`);
     }
 
     async disconnect(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user || !user.wallet_address) {
-                await ctx.answerCbQuery('❌ No wallet connected');
+                await ctx.answerCbQuery(t(locale, 'wallet.noWallet'));
                 return;
             }
 
             if (user.is_registered) {
-                await ctx.answerCbQuery('❌ Cannot disconnect wallet of registered member');
+                await ctx.answerCbQuery(t(locale, 'wallet.cannotDisconnect'));
                 return;
             }
 
-            const message = `🔓 **Disconnect Wallet**
-
-**Current Wallet:** \`${user.wallet_address.slice(0, 6)}...${user.wallet_address.slice(-4)}\`
-
-**⚠️ Warning:**
-• You'll need to reconnect to register
-• This action cannot be undone
-• Make sure you have the wallet address saved
-
-**Are you sure you want to disconnect?**`;
+            const message = t(locale, 'wallet.disconnect', {
+                address: `${user.wallet_address.slice(0, 6)}...${user.wallet_address.slice(-4)}`
+            });
 
             const keyboard = Markup.inlineKeyboard([
                 [
-                    Markup.button.callback('✅ Yes, Disconnect', 'confirm_disconnect_wallet'),
-                    Markup.button.callback('❌ Cancel', 'action_wallet_info')
+                    Markup.button.callback(t(locale, 'buttons.yesDisconnect'), 'confirm_disconnect_wallet'),
+                    Markup.button.callback(t(locale, 'buttons.cancel'), 'action_wallet_info')
                 ]
             ]);
 
@@ -343,136 +310,94 @@ Please send a different wallet address! 💳`);
 
         } catch (error) {
             console.error('❌ Disconnect wallet error:', error);
-            await ctx.answerCbQuery('❌ Failed to disconnect wallet');
+            await ctx.answerCbQuery(t(locale, 'wallet.disconnectFailed'));
         }
     }
 
-    async confirmConnect(ctx, walletAddress) {
+    async showWalletConnected(ctx, walletAddress) {
+        const { locale } = ctx.state;
+
         try {
-            const telegramId = ctx.from.id.toString();
-            
-            // Update user wallet address
-            await this.userService.updateWalletAddress(telegramId, walletAddress);
-            
             const shortAddress = `${walletAddress.slice(0, 6)}...${walletAddress.slice(-4)}`;
-            
-            const message = `✅ **Wallet Connected Successfully!**
-
-**Connected Wallet:** \`${shortAddress}\`
-
-🎉 Your BSC wallet is now connected to your account!
-
-**🚀 What's Next:**
-• Check your USDT balance for membership fees
-• Ensure you have BNB for gas fees
-• Ready to register for membership plans!
-
-**⚡ Quick Actions:**`;
+            const message = t(locale, 'wallet.connected', { address: shortAddress });
 
             const keyboard = Markup.inlineKeyboard([
                 [
-                    Markup.button.callback('🚀 Register Now', 'action_get_started'),
-                    Markup.button.callback('💰 Check Balance', 'action_wallet_info')
+                    Markup.button.callback(t(locale, 'buttons.registerNow'), 'action_get_started'),
+                    Markup.button.callback(t(locale, 'buttons.checkBalance'), 'action_wallet_info')
                 ],
                 [
-                    Markup.button.callback('📋 View Plans', 'action_view_plans'),
-                    Markup.button.callback('💡 How to Get USDT', 'action_get_usdt_help')
+                    Markup.button.callback(t(locale, 'buttons.viewPlans'), 'action_view_plans'),
+                    Markup.button.callback(t(locale, 'buttons.howToGetUsdt'), 'action_get_usdt_help')
                 ],
                 [
-                    Markup.button.callback('🏠 Main Menu', 'action_back_main')
+                    Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
                 ]
             ]);
 
-            await ctx.editMessageText(message, {
+            await ctx.reply(message, {
                 parse_mode: 'Markdown',
                 ...keyboard
             });
-            await ctx.answerCbQuery('✅ Wallet connected successfully!');
 
         } catch (error) {
-            console.error('❌ Confirm connect error:', error);
-            await ctx.answerCbQuery('❌ Failed to connect wallet');
+            console.error('❌ Show wallet connected error:', error);
         }
     }
 
     async confirmDisconnect(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
-            
-            // Clear wallet address
-            await this.userService.updateWalletAddress(telegramId, null);
-            
-            const message = `🔓 **Wallet Disconnected**
-
-Your wallet has been successfully disconnected from your account.
+            const user = await this.userService.getUserByTelegramId(telegramId);
 
-**To participate again:**
-• Use /wallet to connect a new wallet
-• Ensure you have USDT and BNB
-• Complete membership registration
+            // Same check as disconnect(): the button may be stale or crafted
+            if (!user || user.is_registered) {
+                await ctx.answerCbQuery(t(locale, 'wallet.cannotDisconnect'));
+                return;
+            }
 
-Need help? Use /help for assistance! 💡`;
+            // Clear wallet address
+            await this.userService.clearWalletAddress(telegramId);
 
             const keyboard = Markup.inlineKeyboard([
                 [
-                    Markup.button.callback('💳 Connect New Wallet', 'action_connect_wallet'),
-                    Markup.button.callback('🏠 Main Menu', 'action_back_main')
+                    Markup.button.callback(t(locale, 'buttons.connectNewWallet'), 'action_connect_wallet'),
+                    Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
                 ]
             ]);
 
-            await ctx.editMessageText(message, {
+            await ctx.editMessageText(t(locale, 'wallet.disconnected'), {
                 parse_mode: 'Markdown',
                 ...keyboard
             });
-            await ctx.answerCbQuery('✅ Wallet disconnected');
+            await ctx.answerCbQuery(t(locale, 'wallet.disconnectedShort'));
 
         } catch (error) {
             console.error('❌ Confirm disconnect error:', error);
-            await ctx.answerCbQuery('❌ Failed to disconnect wallet');
+            await ctx.answerCbQuery(t(locale, 'wallet.disconnectFailed'));
         }
     }
 
     async showWalletHelp(ctx) {
-        const message = `💡 **Wallet Help & Guides**
-
-**🔗 Setting Up Your BSC Wallet:**
-
-**📱 MetaMask Setup:**
-1. Download MetaMask app/extension
-2. Create new wallet or import existing
-3. Add BSC network (details below)
-4. Transfer USDT and BNB to wallet
-
-**🌐 BSC Network Settings:**
-• **Network Name:** Smart Chain
-• **RPC URL:** https://bsc-dataseed.binance.org/
-• **Chain ID:** 56 (Mainnet) / 97 (Testnet)
-• **Symbol:** BNB
-• **Explorer:** https://bscscan.com
-
-**💰 Getting Tokens:**
-• **USDT:** Buy on Binance, transfer to BSC
-• **BNB:** Needed for gas fees (~$1-2 worth)
-
-**🔒 Security Tips:**
-• Never share private keys
-• Use hardware wallet for large amounts
-• Verify all transaction details
-• Keep seed phrase secure
-
-Need more help? Contact support! 🆘`;
+        const { locale } = ctx.state;
+        const message = t(locale, 'wallet.help', {
+            symbol: blockchainConfig.getNativeSymbol(),
+            network: formatNetworkSettings(blockchainConfig.getCurrentNetwork(), locale)
+        });
 
         const keyboard = Markup.inlineKeyboard([
             [
-                Markup.button.callback('📱 MetaMask Tutorial', 'action_metamask_tutorial'),
-                Markup.button.callback('💼 Trust Wallet Guide', 'action_trust_tutorial')
+                Markup.button.callback(t(locale, 'buttons.metamaskTutorial'), 'action_metamask_tutorial'),
+                Markup.button.callback(t(locale, 'buttons.trustWalletGuide'), 'action_trust_tutorial')
             ],
             [
-                Markup.button.callback('🌐 Add BSC Network', 'action_add_bsc_network'),
-                Markup.button.callback('💰 Get USDT Guide', 'action_get_usdt_guide')
+                Markup.button.callback(t(locale, 'buttons.addBscNetwork'), 'action_add_bsc_network'),
+                Markup.button.callback(t(locale, 'buttons.getUsdtGuide'), 'action_get_usdt_guide')
             ],
             [
-                Markup.button.callback('🔙 Back to Wallet', 'action_wallet_info')
+                Markup.button.callback(t(locale, 'buttons.backToWallet'), 'action_wallet_info')
             ]
         ]);
 
@@ -483,18 +408,175 @@ Need more help? Contact support! 🆘`;
         await ctx.answerCbQuery();
     }
 
+    async promptTxHash(ctx, requestId) {
+        const { locale } = ctx.state;
+
+        try {
+            const request = await this.signingService.getRequest(requestId);
+
+            if (!request || request.telegram_id !== ctx.from.id.toString()) {
+                await ctx.answerCbQuery(t(locale, 'wallet.requestNotFound'));
+                return;
+            }
+
+            if (request.status !== 'pending' || request.isExpired) {
+                await ctx.answerCbQuery(t(locale, 'wallet.requestClosed'));
+                return;
+            }
+
+            this.scenes.enter(ctx, 'signTransaction', { signingRequestId: requestId });
+
+            await ctx.answerCbQuery();
+            await ctx.reply(t(locale, 'wallet.txHashPrompt'), {
+                parse_mode: 'Markdown'
+            });
+
+        } catch (error) {
+            console.error('❌ Prompt tx hash error:', error);
+            await ctx.answerCbQuery(t(locale, 'wallet.requestLoadFailed'));
+        }
+    }
+
+    async handleTxHashInput(ctx, txHash, { signingRequestId: requestId }) {
+        const { locale } = ctx.state;
+        let request = null;
+
+        try {
+            request = requestId ? await this.signingService.getRequest(requestId) : null;
+
+            if (!request || request.telegram_id !== ctx.from.id.toString()) {
+                this.scenes.leave(ctx);
+                await ctx.reply(t(locale, 'wallet.requestMissing'));
+                return;
+            }
+
+            const submitted = await this.signingService.submitTransactionHash(requestId, txHash);
+
+            this.scenes.leave(ctx);
+
+            const txUrl = blockchainConfig.getTxUrl(submitted.tx_hash);
+            await ctx.reply(t(locale, 'wallet.txReceived', { hash: submitted.tx_hash }), {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([
+                    ...(txUrl ? [[Markup.button.url(t(locale, 'buttons.viewOnExplorer'), txUrl)]] : []),
+                    [
+                        Markup.button.callback(t(locale, 'buttons.transactionHistory'), 'action_tx_history'),
+                        Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
+                    ]
+                ])
+            });
+
+        } catch (error) {
+            console.error('❌ Handle tx hash error:', error.message);
+            await ctx.reply(t(locale, 'wallet.txHashRejected', {
+                error: this.getErrorMessage(error, locale, { status: request && formatStatus(request.status, locale) })
+            }));
+        }
+    }
+
+    async cancelSigning(ctx, requestId) {
+        const { locale } = ctx.state;
+
+        try {
+            const request = await this.signingService.getRequest(requestId);
+
+            if (!request || request.telegram_id !== ctx.from.id.toString()) {
+                await ctx.answerCbQuery(t(locale, 'wallet.requestNotFound'));
+                return;
+            }
+
+            await this.signingService.cancelRequest(requestId);
+
+            this.scenes.leave(ctx, 'signTransaction');
+
+            await ctx.editMessageText(t(locale, 'wallet.signingCancelled'), {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([
+                    [Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')]
+                ])
+            });
+            await ctx.answerCbQuery(t(locale, 'wallet.cancelled'));
+
+        } catch (error) {
+            console.error('❌ Cancel signing error:', error);
+            await ctx.answerCbQuery(t(locale, 'wallet.cancelFailed'));
+        }
+    }
+
+    // Status of an operator-sent transaction while it moves through the queue
+    async showQueueJob(ctx, jobId) {
+        const { locale } = ctx.state;
+
+        try {
+            const user = await this.userService.getUserByTelegramId(ctx.from.id.toString());
+            const job = await this.blockchainService.transactionQueue.getJob(jobId);
+            const db = require('../../config/database').getDatabase();
+            const transaction = job && await db.get(
+                'SELECT user_id FROM transactions WHERE id = ?',
+                [job.transaction_id]
+            );
+
+            if (!user || !transaction || transaction.user_id !== user.id) {
+                await ctx.answerCbQuery(t(locale, 'wallet.txNotFound'));
+                return;
+            }
+
+            const message = t(locale, 'wallet.jobStatus', {
+                type: job.type.toUpperCase(),
+                job: formatQueueJob(job, locale),
+                note: hasKey(`wallet.jobNotes.${job.status}`) ? t(locale, `wallet.jobNotes.${job.status}`) : ''
+            });
+
+            const txUrl = job.tx_hash && job.status !== 'queued' && blockchainConfig.getTxUrl(job.tx_hash);
+            const keyboard = Markup.inlineKeyboard([
+                [
+                    Markup.button.callback(t(locale, 'buttons.refresh'), `tx_job_${job.id}`),
+                    ...(txUrl ? [Markup.button.url(t(locale, 'buttons.viewOnExplorer'), txUrl)] : [])
+                ],
+                [
+                    Markup.button.callback(t(locale, 'buttons.transactionHistory'), 'action_tx_history')
+                ]
+            ]);
+
+            await ctx.editMessageText(message, {
+                parse_mode: 'Markdown',
+                ...keyboard
+            });
+            await ctx.answerCbQuery();
+
+        } catch (error) {
+            // Telegram rejects edits that change nothing, e.g. refreshing an unchanged status
+            if (error.description && error.description.includes('message is not modified')) {
+                await ctx.answerCbQuery(t(locale, 'wallet.noChange'));
+                return;
+            }
+            console.error('❌ Show queue job error:', error);
+            await ctx.answerCbQuery(t(locale, 'wallet.jobLoadFailed'));
+        }
+    }
+
     // Helper methods
     isValidWalletAddress(address) {
         return /^0x[a-fA-F0-9]{40}$/.test(address);
     }
 
+    // Verification and signing services reject with a code from wallet.errors
+    getErrorMessage(error, locale = 'en', params = {}) {
+        if (error.code && hasKey(`wallet.errors.${error.code}`)) {
+            return t(locale, `wallet.errors.${error.code}`, params);
+        }
+        return error.message;
+    }
+
     async showTransactionHistory(ctx) {
+        const { locale } = ctx.state;
+
         try {
             const telegramId = ctx.from.id.toString();
             const user = await this.userService.getUserByTelegramId(telegramId);
             
             if (!user || !user.wallet_address) {
-                await ctx.answerCbQuery('❌ No wallet connected');
+                await ctx.answerCbQuery(t(locale, 'wallet.noWallet'));
                 return;
             }
 
@@ -507,31 +589,39 @@ Need more help? Contact support! 🆘`;
                 LIMIT 10
             `, [telegramId]);
 
-            let message = `📋 **Transaction History**\n\n`;
+            let message = `${t(locale, 'wallet.history.title')}\n\n`;
 
             if (transactions.length === 0) {
-                message += '📭 No transactions found.\n\nStart by registering for a membership plan!';
+                message += t(locale, 'wallet.history.empty');
             } else {
                 transactions.forEach((tx, index) => {
                     const status = this.getStatusEmoji(tx.status);
                     const type = tx.type.toUpperCase();
-                    const amount = formatNumber(parseFloat(tx.amount));
-                    const date = new Date(tx.created_at).toLocaleDateString();
+                    const amount = formatNumber(parseFloat(tx.amount), 2, locale);
+                    const date = new Date(tx.created_at).toLocaleDateString(getIntlLocale(locale));
                     
                     message += `${status} **${type}** - ${amount} USDT\n`;
-                    message += `   ${date} • \`${tx.tx_hash?.slice(0, 10)}...\`\n\n`;
+                    const txUrl = tx.tx_hash && blockchainConfig.getTxUrl(tx.tx_hash);
+                    if (txUrl) {
+                        message += `   ${date} • [${tx.tx_hash.slice(0, 10)}...](${txUrl})\n\n`;
+                    } else {
+                        message += tx.tx_hash ?
+                            `   ${date} • \`${tx.tx_hash.slice(0, 10)}...\`\n\n` :
+                            `   ${date} • ${t(locale, tx.status === 'queued' ? 'wallet.history.queued' : 'wallet.history.awaitingSignature')}\n\n`;
+                    }
                 });
                 
-                message += `**Total:** ${transactions.length} transactions shown`;
+                message += t(locale, 'wallet.history.total', { count: transactions.length });
             }
 
+            const addressUrl = blockchainConfig.getAddressUrl(user.wallet_address);
             const keyboard = Markup.inlineKeyboard([
                 [
-                    Markup.button.callback('🔄 Refresh', 'action_tx_history'),
-                    Markup.button.callback('🔍 View on BSCScan', 'action_view_bscscan')
+                    Markup.button.callback(t(locale, 'buttons.refresh'), 'action_tx_history'),
+                    ...(addressUrl ? [Markup.button.url(t(locale, 'buttons.viewOnExplorer'), addressUrl)] : [])
                 ],
                 [
-                    Markup.button.callback('🔙 Back to Wallet', 'action_wallet_info')
+                    Markup.button.callback(t(locale, 'buttons.backToWallet'), 'action_wallet_info')
                 ]
             ]);
 
@@ -543,12 +633,14 @@ Need more help? Contact support! 🆘`;
 
         } catch (error) {
             console.error('❌ Show transaction history error:', error);
-            await ctx.answerCbQuery('❌ Failed to load transaction history');
+            await ctx.answerCbQuery(t(locale, 'wallet.history.failed'));
         }
     }
 
     getStatusEmoji(status) {
         const emojis = {
+            'awaiting_signature': '✍️',
+            'queued': '📥',
             'pending': '⏳',
             'confirmed': '✅',
             'failed': '❌'
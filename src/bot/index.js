@@ -7,6 +7,7 @@ const rateLimitMiddleware = require('./middleware/rateLimit');
 const loggerMiddleware = require('./middleware/logger');
 const errorMiddleware = require('./middleware/error');
 const validationMiddleware = require('./middleware/validation');
+const i18nMiddleware = require('./middleware/i18n');
 
 // Import handlers
 const StartHandler = require('./handlers/start');
@@ -18,15 +19,32 @@ const ReferralHandler = require('./handlers/referral');
 const WalletHandler = require('./handlers/wallet');
 const HelpHandler = require('./handlers/help');
 const AdminHandler = require('./handlers/admin');
+const ExitHandler = require('./handlers/exit');
+const FaucetHandler = require('./handlers/faucet');
 
 // Import keyboards
 const MainKeyboard = require('./keyboards/main');
 const PlansKeyboard = require('./keyboards/plans');
 const ConfirmKeyboard = require('./keyboards/confirm');
 
+// Import scenes
+const SceneManager = require('./scenes/manager');
+
 // Import services
 const UserService = require('../services/UserService');
 const NotificationService = require('../services/NotificationService');
+const SigningService = require('../services/SigningService');
+const WalletVerificationService = require('../services/WalletVerificationService');
+const ReconciliationService = require('../services/ReconciliationService');
+const BlockchainService = require('../services/BlockchainService');
+const SessionStore = require('../services/SessionStore');
+const { blockchainConfig } = require('../config/blockchain');
+const { botConfig } = require('../config/bot');
+const { getDatabase } = require('../config/database');
+const { t, resolveLocale } = require('../utils/i18n');
+
+// Catalog keys of the replies to messages the bot doesn't understand
+const UNKNOWN_REPLIES = ['notSure', 'useButtons', 'commands', 'guidance'];
 
 class TelegramBot {
     constructor() {
@@ -34,9 +52,16 @@ class TelegramBot {
         this.handlers = new Map();
         this.userService = new UserService();
         this.notificationService = new NotificationService();
+        this.signingService = new SigningService();
+        this.walletVerification = new WalletVerificationService();
+        this.reconciliationService = ReconciliationService.getInstance();
         
         // Initialize handlers
         this.initializeHandlers();
+
+        // Multi-step flows call into the handlers by name
+        this.scenes = SceneManager.getInstance();
+        this.scenes.setHandlers(this.handlers);
     }
 
     async initialize() {
@@ -78,17 +103,15 @@ class TelegramBot {
         this.handlers.set('wallet', new WalletHandler());
         this.handlers.set('help', new HelpHandler());
         this.handlers.set('admin', new AdminHandler());
+        this.handlers.set('exit', new ExitHandler());
+        this.handlers.set('faucet', new FaucetHandler());
     }
 
     setupMiddleware() {
-        // Session middleware
+        // Session middleware, persisted in bot_sessions so restarts don't drop users mid-flow
         this.bot.use(session({
-            defaultSession: () => ({
-                user: null,
-                step: null,
-                data: {},
-                lastActivity: Date.now()
-            })
+            defaultSession: botConfig.getSessionConfig().defaultSession,
+            store: SessionStore.getInstance()
         }));
 
         // Logger middleware (first)
@@ -103,6 +126,9 @@ class TelegramBot {
         // Authentication middleware
         this.bot.use(authMiddleware);
 
+        // Locale of the user for this update (ctx.state.locale)
+        this.bot.use(i18nMiddleware);
+
         // User activity tracking
         this.bot.use(async (ctx, next) => {
             if (ctx.from) {
@@ -111,6 +137,9 @@ class TelegramBot {
             }
             await next();
         });
+
+        // Messages inside a multi-step flow go to its scene before commands and handlers
+        this.bot.use(this.scenes.middleware());
     }
 
     setupCommands() {
@@ -147,6 +176,19 @@ class TelegramBot {
             await this.handlers.get('help').handle(ctx);
         });
 
+        this.bot.command('exit', async (ctx) => {
+            await this.handlers.get('exit').handle(ctx);
+        });
+
+        this.bot.command('cancel', async (ctx) => {
+            await this.scenes.handleCancel(ctx);
+        });
+
+        // Testnet faucet (the handler refuses on mainnet)
+        this.bot.command('faucet', async (ctx) => {
+            await this.handlers.get('faucet').handle(ctx);
+        });
+
         // Admin commands
         this.bot.command('admin', async (ctx) => {
             await this.handlers.get('admin').handle(ctx);
@@ -164,6 +206,18 @@ class TelegramBot {
             await this.handlers.get('admin').handleUsers(ctx);
         });
 
+        this.bot.command('reindex', async (ctx) => {
+            await this.handlers.get('admin').handleReindex(ctx);
+        });
+
+        this.bot.command('reconcile', async (ctx) => {
+            await this.handlers.get('admin').handleReconcile(ctx);
+        });
+
+        this.bot.command('session', async (ctx) => {
+            await this.handlers.get('admin').handleSession(ctx);
+        });
+
         // Development commands
         if (process.env.NODE_ENV === 'development') {
             this.bot.command('test', async (ctx) => {
@@ -173,7 +227,7 @@ class TelegramBot {
             this.bot.command('clear', async (ctx) => {
                 ctx.session = {
                     user: null,
-                    step: null,
+                    scene: null,
                     data: {},
                     lastActivity: Date.now()
                 };
@@ -212,10 +266,30 @@ class TelegramBot {
             await this.handlers.get('profile').showStats(ctx);
         });
 
+        this.bot.action('action_nft', async (ctx) => {
+            await this.handlers.get('profile').showNft(ctx);
+        });
+
+        this.bot.action('action_language', async (ctx) => {
+            await this.handlers.get('profile').showLanguages(ctx);
+        });
+
+        this.bot.action(/^lang_(\w+)$/, async (ctx) => {
+            await this.handlers.get('profile').setLanguage(ctx, ctx.match[1]);
+        });
+
         this.bot.action('action_help', async (ctx) => {
             await this.handlers.get('help').handle(ctx);
         });
 
+        this.bot.action('help_contact_support', async (ctx) => {
+            await this.handlers.get('help').showContactSupport(ctx);
+        });
+
+        this.bot.action('action_send_support_message', async (ctx) => {
+            await this.handlers.get('help').promptSupportMessage(ctx);
+        });
+
         // Plan selection
         this.bot.action(/^plan_(\d+)$/, async (ctx) => {
             const planId = parseInt(ctx.match[1]);
@@ -239,6 +313,28 @@ class TelegramBot {
             await this.handlers.get('upgrade').confirmUpgrade(ctx, planId);
         });
 
+        // Exit membership actions
+        this.bot.action('action_exit', async (ctx) => {
+            await this.handlers.get('exit').handle(ctx);
+        });
+
+        this.bot.action('exit_review', async (ctx) => {
+            await this.handlers.get('exit').showFinalConfirmation(ctx);
+        });
+
+        this.bot.action('confirm_exit_membership', async (ctx) => {
+            await this.handlers.get('exit').confirmExit(ctx);
+        });
+
+        // Testnet faucet actions
+        this.bot.action('action_faucet', async (ctx) => {
+            await this.handlers.get('faucet').handle(ctx);
+        });
+
+        this.bot.action('faucet_claim', async (ctx) => {
+            await this.handlers.get('faucet').claim(ctx);
+        });
+
         // Wallet actions
         this.bot.action('action_connect_wallet', async (ctx) => {
             await this.handlers.get('wallet').connect(ctx);
@@ -248,10 +344,28 @@ class TelegramBot {
             await this.handlers.get('wallet').disconnect(ctx);
         });
 
+        this.bot.action('confirm_disconnect_wallet', async (ctx) => {
+            await this.handlers.get('wallet').confirmDisconnect(ctx);
+        });
+
         this.bot.action('action_wallet_info', async (ctx) => {
             await this.handlers.get('wallet').showInfo(ctx);
         });
 
+        // Wallet signing actions
+        this.bot.action(/^sign_hash_([0-9a-f-]{36})$/, async (ctx) => {
+            await this.handlers.get('wallet').promptTxHash(ctx, ctx.match[1]);
+        });
+
+        this.bot.action(/^sign_cancel_([0-9a-f-]{36})$/, async (ctx) => {
+            await this.handlers.get('wallet').cancelSigning(ctx, ctx.match[1]);
+        });
+
+        // Operator queue job status
+        this.bot.action(/^tx_job_(\d+)$/, async (ctx) => {
+            await this.handlers.get('wallet').showQueueJob(ctx, parseInt(ctx.match[1]));
+        });
+
         // Referral actions
         this.bot.action('action_share_referral', async (ctx) => {
             await this.handlers.get('referral').shareCode(ctx);
@@ -265,6 +379,14 @@ class TelegramBot {
             await this.handlers.get('referral').showHistory(ctx);
         });
 
+        this.bot.action('action_my_network', async (ctx) => {
+            await this.handlers.get('referral').showNetwork(ctx);
+        });
+
+        this.bot.action('action_network_export', async (ctx) => {
+            await this.handlers.get('referral').exportNetwork(ctx);
+        });
+
         // Navigation actions
         this.bot.action('action_back_main', async (ctx) => {
             await this.handlers.get('start').handle(ctx, true);
@@ -275,7 +397,7 @@ class TelegramBot {
         });
 
         this.bot.action('action_refresh', async (ctx) => {
-            await ctx.answerCbQuery('🔄 Refreshing...');
+            await ctx.answerCbQuery(t(ctx.state.locale, 'messages.refreshing'));
             // Re-render current view
             const handler = this.getCurrentHandler(ctx);
             if (handler) {
@@ -298,13 +420,19 @@ class TelegramBot {
 
         // Generic cancel action
         this.bot.action('action_cancel', async (ctx) => {
-            await ctx.answerCbQuery('❌ Cancelled');
+            await this.scenes.cancel(ctx);
+            await ctx.answerCbQuery(t(ctx.state.locale, 'messages.cancelled'));
             await this.handlers.get('start').handle(ctx, true);
         });
+
+        // Cancel button of multi-step flows
+        this.bot.action('scene_cancel', async (ctx) => {
+            await this.scenes.handleCancel(ctx);
+        });
     }
 
+    // Input of multi-step flows is taken by the scene middleware, what gets here is outside of one
     setupMessageHandlers() {
-        // Handle wallet address input
         this.bot.on(message('text'), async (ctx) => {
             const text = ctx.message.text;
             
@@ -313,46 +441,21 @@ class TelegramBot {
                 return;
             }
 
-            // Handle different conversation steps
-            if (ctx.session.step) {
-                switch (ctx.session.step) {
-                    case 'waiting_wallet_address':
-                        await this.handlers.get('wallet').handleWalletInput(ctx, text);
-                        break;
-                        
-                    case 'waiting_broadcast_message':
-                        await this.handlers.get('admin').handleBroadcastInput(ctx, text);
-                        break;
-                        
-                    case 'waiting_support_message':
-                        await this.handlers.get('help').handleSupportMessage(ctx, text);
-                        break;
-                        
-                    default:
-                        await this.handleUnknownMessage(ctx, text);
-                }
-            } else {
-                await this.handleUnknownMessage(ctx, text);
-            }
+            await this.handleUnknownMessage(ctx, text);
         });
 
-        // Handle photo uploads (for QR codes, etc.)
         this.bot.on(message('photo'), async (ctx) => {
-            if (ctx.session.step === 'waiting_qr_code') {
-                await this.handlers.get('wallet').handleQRCode(ctx);
-            } else {
-                await ctx.reply('📷 Photo received, but I\'m not sure what to do with it. Use /help for assistance.');
-            }
+            await ctx.reply(t(ctx.state.locale, 'messages.photo'));
         });
 
         // Handle contact sharing
         this.bot.on(message('contact'), async (ctx) => {
-            await ctx.reply('📞 Contact received! However, I don\'t need your contact information.');
+            await ctx.reply(t(ctx.state.locale, 'messages.contact'));
         });
 
         // Handle location sharing
         this.bot.on(message('location'), async (ctx) => {
-            await ctx.reply('📍 Location received! However, I don\'t need your location.');
+            await ctx.reply(t(ctx.state.locale, 'messages.location'));
         });
     }
 
@@ -365,7 +468,9 @@ class TelegramBot {
             
             try {
                 if (ctx && ctx.reply) {
-                    await ctx.reply('❌ An error occurred. Please try again or contact support.');
+                    // The error may have happened before the i18n middleware ran
+                    const locale = ctx.state?.locale || resolveLocale(ctx.from?.language_code);
+                    await ctx.reply(t(locale, 'messages.error'));
                 }
             } catch (replyError) {
                 console.error('❌ Failed to send error message:', replyError);
@@ -374,28 +479,23 @@ class TelegramBot {
     }
 
     async handleUnknownMessage(ctx, text) {
+        const { locale } = ctx.state;
+
         // Check if it looks like a wallet address
         if (text.match(/^0x[a-fA-F0-9]{40}$/)) {
-            await ctx.reply('💡 This looks like a wallet address! Use /wallet to connect your wallet.');
+            await ctx.reply(t(locale, 'messages.walletAddressHint'));
             return;
         }
 
         // Check if it looks like a referral code
         if (text.match(/^[A-Z0-9]{6,10}$/)) {
-            await ctx.reply('💡 This looks like a referral code! Use /start to begin with a referral code.');
+            await ctx.reply(t(locale, 'messages.referralCodeHint'));
             return;
         }
 
         // Generic response for unknown messages
-        const responses = [
-            '🤔 I\'m not sure what you mean. Try using the menu buttons or type /help.',
-            '💡 Use the buttons below or type /help to see what I can do!',
-            '🎯 I understand commands better. Try /help to see available options.',
-            '🔤 I work better with buttons and commands. Type /help for guidance!'
-        ];
-        
-        const randomResponse = responses[Math.floor(Math.random() * responses.length)];
-        await ctx.reply(randomResponse, MainKeyboard.getMainKeyboard(ctx.session.user));
+        const reply = UNKNOWN_REPLIES[Math.floor(Math.random() * UNKNOWN_REPLIES.length)];
+        await ctx.reply(t(locale, `messages.unknown.${reply}`), MainKeyboard.getMainKeyboard(ctx.session.user, locale));
     }
 
     async handlePagination(ctx, type, page) {
@@ -406,6 +506,9 @@ class TelegramBot {
                 case 'referrals':
                     await this.handlers.get('referral').showPage(ctx, page);
                     break;
+                case 'network':
+                    await this.handlers.get('referral').showNetwork(ctx, page);
+                    break;
                 case 'users':
                     await this.handlers.get('admin').showUsersPage(ctx, page);
                     break;
@@ -413,11 +516,11 @@ class TelegramBot {
                     await this.handlers.get('admin').showTransactionsPage(ctx, page);
                     break;
                 default:
-                    await ctx.answerCbQuery('❌ Unknown pagination type');
+                    await ctx.answerCbQuery(t(ctx.state.locale, 'messages.unknownPagination'));
             }
         } catch (error) {
             console.error('❌ Pagination error:', error);
-            await ctx.answerCbQuery('❌ Error loading page');
+            await ctx.answerCbQuery(t(ctx.state.locale, 'messages.pageFailed'));
         }
     }
 
@@ -439,14 +542,15 @@ class TelegramBot {
             }
         }, 24 * 60 * 60 * 1000); // Every 24 hours
 
-        // Clean up old sessions
+        // Clean up old sessions and wallet challenges
         setInterval(async () => {
             try {
                 await this.cleanupOldSessions();
+                await this.walletVerification.cleanupExpiredChallenges();
             } catch (error) {
                 console.error('❌ Session cleanup error:', error);
             }
-        }, 60 * 60 * 1000); // Every hour
+        }, botConfig.getSessionConfig().cleanupInterval);
 
         // Check pending transactions
         setInterval(async () => {
@@ -457,19 +561,102 @@ class TelegramBot {
             }
         }, 5 * 60 * 1000); // Every 5 minutes
 
+        // Watch USDT approvals and resume the registration or upgrade behind them
+        setInterval(async () => {
+            try {
+                await this.signingService.checkPendingApprovals(approval => this.resumeAfterApproval(approval));
+            } catch (error) {
+                console.error('❌ Approval check error:', error);
+            }
+        }, 30 * 1000); // Every 30 seconds
+
+        // Expire unsigned wallet signing requests
+        setInterval(async () => {
+            try {
+                await this.signingService.expireStaleRequests(approval => this.resumeAfterApproval(approval));
+            } catch (error) {
+                console.error('❌ Signing request expiry error:', error);
+            }
+        }, 5 * 60 * 1000); // Every 5 minutes
+
+        // Compare user records with the contract's members()
+        setInterval(async () => {
+            try {
+                if (this.reconciliationService.running) {
+                    return;
+                }
+                await this.reconciliationService.run({ dryRun: blockchainConfig.reconciliationSettings.dryRun });
+            } catch (error) {
+                console.error('❌ Scheduled reconciliation error:', error.message);
+            }
+        }, blockchainConfig.reconciliationSettings.interval);
+
+        // Emergency withdrawal requests: notice cancels (no event) and requests the indexer missed
+        setInterval(async () => {
+            try {
+                await BlockchainService.getInstance().emergencyTracker.sync();
+            } catch (error) {
+                console.error('❌ Emergency withdrawal sync error:', error.message);
+            }
+        }, blockchainConfig.emergencySettings.pollInterval);
+
+        // Contract solvency: USDT balance vs internal accounting
+        setInterval(async () => {
+            try {
+                await BlockchainService.getInstance().solvencyMonitor.tick();
+            } catch (error) {
+                console.error('❌ Solvency check error:', error.shortMessage || error.message);
+            }
+        }, blockchainConfig.solvencySettings.pollInterval);
+
+        // Operator wallet queue: settle mined jobs, retry failed sends and fill nonce gaps.
+        // Runs in both signing modes since owner calls and faucet payouts always use it
+        const { transactionQueue } = BlockchainService.getInstance();
+        transactionQueue.onJobFailed((job, reason) => this.notifyQueueJobFailed(job, reason));
+
+        setInterval(async () => {
+            await transactionQueue.processQueue();
+        }, blockchainConfig.queueSettings.pollInterval);
+
         console.log('⏰ Periodic tasks started');
     }
 
+    // Carry on with the registration or upgrade a settled USDT approval was for
+    async resumeAfterApproval(approval) {
+        const handler = this.handlers.get(approval.metadata.resume || 'register');
+        await handler.resumeAfterApproval(this.bot.telegram, approval);
+    }
+
+    async notifyQueueJobFailed(job, reason) {
+        const db = getDatabase();
+        const transaction = await db.get(`
+            SELECT t.amount, u.telegram_id
+            FROM transactions t
+            JOIN users u ON t.user_id = u.id
+            WHERE t.id = ?
+        `, [job.transaction_id]);
+
+        if (!transaction) {
+            return;
+        }
+
+        await this.notificationService.notifyTransactionFailed(transaction.telegram_id, {
+            type: job.type,
+            amount: BlockchainService.getInstance().formatTokenAmount(transaction.amount),
+            error: reason
+        });
+    }
+
     async cleanupOldSessions() {
-        // This would be implemented with a proper session store
-        // For now, it's a placeholder
-        console.log('🧹 Session cleanup completed');
+        const removed = await SessionStore.getInstance().cleanupExpired();
+        console.log(`🧹 Session cleanup completed (${removed} expired)`);
     }
 
     // Stop the bot gracefully
     async stop() {
         if (this.bot) {
             this.bot.stop('SIGTERM');
+            await SessionStore.getInstance().flush();
             console.log('🛑 Telegram bot stopped');
         }
     }
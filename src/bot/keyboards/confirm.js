@@ -1,219 +1,294 @@
 // src/bot/keyboards/confirm.js
 const { Markup } = require('telegraf');
+const { blockchainConfig } = require('../../config/blockchain');
+const { t } = require('../../utils/i18n');
 
 class ConfirmKeyboard {
-    static getBasicConfirmation(confirmAction, cancelAction = 'action_cancel') {
+    static getBasicConfirmation(confirmAction, cancelAction = 'action_cancel', locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ Confirm', confirmAction),
-                Markup.button.callback('❌ Cancel', cancelAction)
+                Markup.button.callback(t(locale, 'buttons.confirm'), confirmAction),
+                Markup.button.callback(t(locale, 'buttons.cancel'), cancelAction)
             ]
         ]);
     }
     
-    static getRegistrationConfirmation(planId) {
+    static getRegistrationConfirmation(planId, locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ Confirm Registration', `confirm_register_${planId}`)
+                Markup.button.callback(t(locale, 'buttons.confirmRegistration'), `confirm_register_${planId}`)
             ],
             [
-                Markup.button.callback('💳 Check Wallet Balance', 'action_check_balance'),
-                Markup.button.callback('🔄 Refresh Info', `plan_${planId}`)
+                Markup.button.callback(t(locale, 'buttons.checkWalletBalance'), 'action_check_balance'),
+                Markup.button.callback(t(locale, 'buttons.refreshInfo'), `plan_${planId}`)
             ],
             [
-                Markup.button.callback('❌ Cancel Registration', 'action_view_plans'),
-                Markup.button.callback('❓ Need Help?', 'action_registration_help')
+                Markup.button.callback(t(locale, 'buttons.cancelRegistration'), 'action_view_plans'),
+                Markup.button.callback(t(locale, 'buttons.needHelp'), 'action_registration_help')
             ]
         ]);
     }
     
-    static getUpgradeConfirmation(planId, upgradeCost) {
+    static getUpgradeConfirmation(planId, upgradeCost, locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ Confirm Upgrade', `confirm_upgrade_${planId}`)
+                Markup.button.callback(t(locale, 'buttons.confirmUpgrade'), `confirm_upgrade_${planId}`)
             ],
             [
-                Markup.button.callback('💳 Check Balance', 'action_check_balance'),
-                Markup.button.callback('📊 Check Allowance', 'action_check_allowance')
+                Markup.button.callback(t(locale, 'buttons.checkBalance'), 'action_check_balance'),
+                Markup.button.callback(t(locale, 'buttons.checkAllowance'), 'action_check_allowance')
             ],
             [
-                Markup.button.callback('🔄 Refresh Info', `upgrade_${planId}`),
-                Markup.button.callback('💡 Approval Help', 'action_approval_help')
+                Markup.button.callback(t(locale, 'buttons.refreshInfo'), `upgrade_${planId}`),
+                Markup.button.callback(t(locale, 'buttons.approvalHelp'), 'action_approval_help')
             ],
             [
-                Markup.button.callback('❌ Cancel Upgrade', 'action_upgrade'),
-                Markup.button.callback('❓ Need Help?', 'action_upgrade_help')
+                Markup.button.callback(t(locale, 'buttons.cancelUpgrade'), 'action_upgrade'),
+                Markup.button.callback(t(locale, 'buttons.needHelp'), 'action_upgrade_help')
             ]
         ]);
     }
     
-    static getWalletConfirmation(walletAddress) {
+    static getWalletConfirmation(walletAddress, locale = 'en') {
+        const addressUrl = blockchainConfig.getAddressUrl(walletAddress);
+
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ Connect This Wallet', `confirm_wallet_${walletAddress}`)
+                Markup.button.callback(t(locale, 'buttons.connectThisWallet'), `confirm_wallet_${walletAddress}`)
             ],
             [
-                Markup.button.callback('🔍 Verify on BSCScan', `verify_wallet_${walletAddress}`),
-                Markup.button.callback('💳 Check Balance', `check_wallet_${walletAddress}`)
+                ...(addressUrl ? [Markup.button.url(t(locale, 'buttons.verifyOnExplorer'), addressUrl)] : []),
+                Markup.button.callback(t(locale, 'buttons.checkBalance'), `check_wallet_${walletAddress}`)
             ],
             [
-                Markup.button.callback('❌ Use Different Wallet', 'action_connect_wallet'),
-                Markup.button.callback('❓ Wallet Help', 'action_wallet_help')
+                Markup.button.callback(t(locale, 'buttons.useDifferentWallet'), 'action_connect_wallet'),
+                Markup.button.callback(t(locale, 'buttons.walletHelp'), 'action_wallet_help')
             ]
         ]);
     }
     
-    static getDisconnectWalletConfirmation() {
+    static getDisconnectWalletConfirmation(locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ Yes, Disconnect', 'confirm_disconnect_wallet'),
-                Markup.button.callback('❌ Cancel', 'action_wallet_info')
+                Markup.button.callback(t(locale, 'buttons.yesDisconnect'), 'confirm_disconnect_wallet'),
+                Markup.button.callback(t(locale, 'buttons.cancel'), 'action_wallet_info')
             ],
             [
-                Markup.button.callback('❓ What happens?', 'action_disconnect_help')
+                Markup.button.callback(t(locale, 'buttons.whatHappens'), 'action_disconnect_help')
             ]
         ]);
     }
     
-    static getBroadcastConfirmation(recipientCount) {
+    static getBroadcastConfirmation(recipientCount, locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ Send Broadcast', 'admin_confirm_broadcast')
+                Markup.button.callback(t(locale, 'buttons.sendBroadcast'), 'admin_confirm_broadcast')
             ],
             [
-                Markup.button.callback('📝 Edit Message', 'action_edit_broadcast'),
-                Markup.button.callback('👥 Change Recipients', 'action_select_recipients')
+                Markup.button.callback(t(locale, 'buttons.editMessage'), 'action_edit_broadcast'),
+                Markup.button.callback(t(locale, 'buttons.changeRecipients'), 'action_select_recipients')
             ],
             [
-                Markup.button.callback('❌ Cancel Broadcast', 'admin_main'),
-                Markup.button.callback('💡 Broadcast Tips', 'action_broadcast_help')
+                Markup.button.callback(t(locale, 'buttons.cancelBroadcast'), 'admin_main'),
+                Markup.button.callback(t(locale, 'buttons.broadcastTips'), 'action_broadcast_help')
             ]
         ]);
     }
     
-    static getEmergencyWithdrawConfirmation() {
+    static getEmergencyWithdrawConfirmation(locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('🚨 CONFIRM EMERGENCY WITHDRAW', 'confirm_emergency_withdraw')
+                Markup.button.callback(t(locale, 'buttons.confirmEmergencyWithdraw'), 'confirm_emergency_withdraw')
             ],
             [
-                Markup.button.callback('❌ Cancel (Recommended)', 'admin_main'),
-                Markup.button.callback('❓ What is this?', 'action_emergency_help')
+                Markup.button.callback(t(locale, 'buttons.cancelRecommended'), 'admin_main'),
+                Markup.button.callback(t(locale, 'buttons.whatIsThis'), 'action_emergency_help')
             ]
         ]);
     }
     
-    static getDeleteConfirmation(itemType, itemId) {
+    static getDeleteConfirmation(itemType, itemId, locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback(`🗑️ Delete ${itemType}`, `confirm_delete_${itemType}_${itemId}`)
+                Markup.button.callback(t(locale, 'buttons.deleteItem', { item: itemType }), `confirm_delete_${itemType}_${itemId}`)
             ],
             [
-                Markup.button.callback('❌ Cancel', 'action_cancel'),
-                Markup.button.callback('⚠️ Consequences', `delete_info_${itemType}`)
+                Markup.button.callback(t(locale, 'buttons.cancel'), 'action_cancel'),
+                Markup.button.callback(t(locale, 'buttons.consequences'), `delete_info_${itemType}`)
             ]
         ]);
     }
     
-    static getTransactionConfirmation(txType, amount, recipient = null) {
-        const recipientText = recipient ? ` to ${recipient}` : '';
-        
+    static getTransactionConfirmation(txType, amount, recipient = null, locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback(`✅ Send ${amount} USDT${recipientText}`, `confirm_tx_${txType}`)
+                Markup.button.callback(
+                    recipient ?
+                        t(locale, 'buttons.sendAmountTo', { amount, recipient }) :
+                        t(locale, 'buttons.sendAmount', { amount }),
+                    `confirm_tx_${txType}`
+                )
             ],
             [
-                Markup.button.callback('💳 Check Balance', 'action_check_balance'),
-                Markup.button.callback('⛽ Check Gas Fee', 'action_estimate_gas')
+                Markup.button.callback(t(locale, 'buttons.checkBalance'), 'action_check_balance'),
+                Markup.button.callback(t(locale, 'buttons.checkGasFee'), 'action_estimate_gas')
             ],
             [
-                Markup.button.callback('❌ Cancel Transaction', 'action_cancel'),
-                Markup.button.callback('❓ Transaction Help', 'action_tx_help')
+                Markup.button.callback(t(locale, 'buttons.cancelTransaction'), 'action_cancel'),
+                Markup.button.callback(t(locale, 'buttons.transactionHelp'), 'action_tx_help')
             ]
         ]);
     }
     
-    static getApprovalConfirmation(amount, spender) {
+    static getApprovalConfirmation(amount, spender, locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ I Approved, Continue', 'action_approval_confirmed')
+                Markup.button.callback(t(locale, 'buttons.approvedContinue'), 'action_approval_confirmed')
             ],
             [
-                Markup.button.callback('❓ How to Approve?', 'action_approval_guide'),
-                Markup.button.callback('🔄 Check Approval', 'action_check_approval')
+                Markup.button.callback(t(locale, 'buttons.howToApprove'), 'action_approval_guide'),
+                Markup.button.callback(t(locale, 'buttons.checkApproval'), 'action_check_approval')
             ],
             [
-                Markup.button.callback('❌ Cancel', 'action_cancel')
+                Markup.button.callback(t(locale, 'buttons.cancel'), 'action_cancel')
             ]
         ]);
     }
     
-    static getExitMembershipConfirmation() {
-        return Markup.inlineKeyboard([
+    // Deep links open the signing page inside the wallet's dapp browser
+    static getWalletLinkRows(signingUrl, locale = 'en') {
+        if (!signingUrl) {
+            return [];
+        }
+
+        const urlWithoutScheme = signingUrl.replace(/^https?:\/\//, '');
+        return [
             [
-                Markup.button.callback('🚪 Exit Membership', 'confirm_exit_membership')
+                Markup.button.url('🦊 MetaMask', `https://metamask.app.link/dapp/${urlWithoutScheme}`),
+                Markup.button.url('🛡️ Trust Wallet', `https://link.trustwallet.com/open_url?coin_id=20000714&url=${encodeURIComponent(signingUrl)}`)
             ],
             [
-                Markup.button.callback('💰 Refund Details', 'action_exit_details'),
-                Markup.button.callback('⏰ Lock Period Info', 'action_lock_info')
+                Markup.button.url(t(locale, 'buttons.openSigningPage'), signingUrl)
+            ]
+        ];
+    }
+
+    static getSigningKeyboard(request, extraRows = [], locale = 'en') {
+        const keyboard = this.getWalletLinkRows(request.signingUrl, locale);
+
+        keyboard.push(...extraRows);
+
+        keyboard.push([
+            Markup.button.callback(t(locale, 'buttons.pasteTxHash'), `sign_hash_${request.id}`),
+            Markup.button.callback(t(locale, 'buttons.cancel'), `sign_cancel_${request.id}`)
+        ]);
+
+        return Markup.inlineKeyboard(keyboard);
+    }
+
+    static getWalletVerificationKeyboard(signingUrl, locale = 'en') {
+        return Markup.inlineKeyboard([
+            ...this.getWalletLinkRows(signingUrl, locale),
+            [
+                Markup.button.callback(t(locale, 'buttons.useDifferentWallet'), 'action_connect_wallet')
+            ]
+        ]);
+    }
+
+    // Next actions suggested for a decoded contract error, then the flow's own way out
+    static getContractErrorKeyboard(actions, backAction = 'action_back_main', locale = 'en') {
+        const keyboard = [];
+
+        if (actions.length > 0) {
+            keyboard.push(actions.map(([text, action]) => Markup.button.callback(text, action)));
+        }
+
+        keyboard.push([
+            Markup.button.callback(t(locale, 'buttons.back'), backAction)
+        ]);
+
+        return Markup.inlineKeyboard(keyboard);
+    }
+
+    // First step of the exit flow; hidden while the 30-day lock is active
+    static getExitMembershipConfirmation(isLocked = false, locale = 'en') {
+        const keyboard = [];
+
+        if (!isLocked) {
+            keyboard.push([
+                Markup.button.callback(t(locale, 'buttons.exitMembership'), 'exit_review')
+            ]);
+        }
+
+        keyboard.push([
+            Markup.button.callback(t(locale, 'buttons.stayMember'), 'action_profile')
+        ]);
+
+        return Markup.inlineKeyboard(keyboard);
+    }
+
+    // Second, final step: the member has seen the refund and confirms again
+    static getExitFinalConfirmation(locale = 'en') {
+        return Markup.inlineKeyboard([
+            [
+                Markup.button.callback(t(locale, 'buttons.confirmExit'), 'confirm_exit_membership')
             ],
             [
-                Markup.button.callback('❌ Stay as Member', 'action_profile'),
-                Markup.button.callback('❓ Exit Help', 'action_exit_help')
+                Markup.button.callback(t(locale, 'buttons.cancelRecommended'), 'action_profile')
             ]
         ]);
     }
     
-    static getPlanChangeConfirmation(fromPlan, toPlan, cost) {
+    static getPlanChangeConfirmation(fromPlan, toPlan, cost, locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ Confirm Plan Change', `confirm_plan_change_${toPlan}`)
+                Markup.button.callback(t(locale, 'buttons.confirmPlanChange'), `confirm_plan_change_${toPlan}`)
             ],
             [
-                Markup.button.callback('📊 Compare Benefits', `compare_plans_${fromPlan}_${toPlan}`),
-                Markup.button.callback('💰 Cost Breakdown', `cost_breakdown_${toPlan}`)
+                Markup.button.callback(t(locale, 'buttons.compareBenefits'), `compare_plans_${fromPlan}_${toPlan}`),
+                Markup.button.callback(t(locale, 'buttons.costBreakdown'), `cost_breakdown_${toPlan}`)
             ],
             [
-                Markup.button.callback('❌ Keep Current Plan', 'action_profile'),
-                Markup.button.callback('❓ Change Help', 'action_plan_change_help')
+                Markup.button.callback(t(locale, 'buttons.keepCurrentPlan'), 'action_profile'),
+                Markup.button.callback(t(locale, 'buttons.changeHelp'), 'action_plan_change_help')
             ]
         ]);
     }
     
-    static getMultiStepConfirmation(step, totalSteps, nextAction, prevAction = null) {
+    static getMultiStepConfirmation(step, totalSteps, nextAction, prevAction = null, locale = 'en') {
         const keyboard = [];
         
         keyboard.push([
-            Markup.button.callback('✅ Continue', nextAction)
+            Markup.button.callback(t(locale, 'buttons.continue'), nextAction)
         ]);
         
         const navRow = [];
         if (prevAction) {
-            navRow.push(Markup.button.callback('⬅️ Previous', prevAction));
+            navRow.push(Markup.button.callback(t(locale, 'buttons.previous'), prevAction));
         }
-        navRow.push(Markup.button.callback('❌ Cancel', 'action_cancel'));
+        navRow.push(Markup.button.callback(t(locale, 'buttons.cancel'), 'action_cancel'));
         keyboard.push(navRow);
         
         keyboard.push([
-            Markup.button.callback(`📊 Progress (${step}/${totalSteps})`, 'action_show_progress')
+            Markup.button.callback(t(locale, 'buttons.progress', { step, total: totalSteps }), 'action_show_progress')
         ]);
         
         return Markup.inlineKeyboard(keyboard);
     }
     
-    static getTimeBasedConfirmation(action, timeoutSeconds = 30) {
+    static getTimeBasedConfirmation(action, timeoutSeconds = 30, locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback(`✅ Confirm (${timeoutSeconds}s)`, action)
+                Markup.button.callback(t(locale, 'buttons.confirmTimed', { seconds: timeoutSeconds }), action)
             ],
             [
-                Markup.button.callback('❌ Cancel', 'action_cancel'),
-                Markup.button.callback('⏱️ Extend Time', 'action_extend_timeout')
+                Markup.button.callback(t(locale, 'buttons.cancel'), 'action_cancel'),
+                Markup.button.callback(t(locale, 'buttons.extendTime'), 'action_extend_timeout')
             ]
         ]);
     }
     
-    static getRiskConfirmation(riskLevel, action) {
+    static getRiskConfirmation(riskLevel, action, locale = 'en') {
         const riskEmojis = {
             'low': '🟢',
             'medium': '🟡', 
@@ -224,14 +299,14 @@ class ConfirmKeyboard {
         
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback(`${emoji} I Accept the Risk`, action)
+                Markup.button.callback(t(locale, 'buttons.acceptRisk', { emoji }), action)
             ],
             [
-                Markup.button.callback('📖 Risk Details', `risk_details_${riskLevel}`),
-                Markup.button.callback('💡 Safer Alternatives', 'action_safe_alternatives')
+                Markup.button.callback(t(locale, 'buttons.riskDetails'), `risk_details_${riskLevel}`),
+                Markup.button.callback(t(locale, 'buttons.saferAlternatives'), 'action_safe_alternatives')
             ],
             [
-                Markup.button.callback('❌ Cancel (Recommended)', 'action_cancel')
+                Markup.button.callback(t(locale, 'buttons.cancelRecommended'), 'action_cancel')
             ]
         ]);
     }
@@ -1,28 +1,29 @@
 // src/bot/keyboards/plans.js
 const { Markup } = require('telegraf');
+const { t } = require('../../utils/i18n');
 
 class PlansKeyboard {
-    static getPlansOverviewKeyboard() {
+    static getPlansOverviewKeyboard(locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('🚀 Start with Plan 1', 'plan_1'),
-                Markup.button.callback('📊 View All Plans', 'action_view_all_plans')
+                Markup.button.callback(t(locale, 'buttons.startWithPlan1'), 'plan_1'),
+                Markup.button.callback(t(locale, 'buttons.viewAllPlans'), 'action_view_all_plans')
             ],
             [
-                Markup.button.callback('💡 How it Works', 'action_how_it_works'),
-                Markup.button.callback('💰 Commission Info', 'action_commission_info')
+                Markup.button.callback(t(locale, 'buttons.howItWorks'), 'action_how_it_works'),
+                Markup.button.callback(t(locale, 'buttons.commissionInfo'), 'action_commission_info')
             ],
             [
-                Markup.button.callback('📈 Plan Comparison', 'action_plan_comparison'),
-                Markup.button.callback('❓ FAQ', 'action_plans_faq')
+                Markup.button.callback(t(locale, 'buttons.planComparison'), 'action_plan_comparison'),
+                Markup.button.callback(t(locale, 'buttons.faq'), 'action_plans_faq')
             ],
             [
-                Markup.button.callback('🏠 Main Menu', 'action_back_main')
+                Markup.button.callback(t(locale, 'buttons.mainMenu'), 'action_back_main')
             ]
         ]);
     }
     
-    static getAllPlansKeyboard(plans) {
+    static getAllPlansKeyboard(plans, locale = 'en') {
         const keyboard = [];
         
         // Create rows of plan buttons (2 per row)
@@ -49,148 +50,148 @@ class PlansKeyboard {
         }
 
         keyboard.push([
-            Markup.button.callback('🔙 Back to Plans', 'action_view_plans')
+            Markup.button.callback(t(locale, 'buttons.backToPlans'), 'action_view_plans')
         ]);
 
         return Markup.inlineKeyboard(keyboard);
     }
     
-    static getPlanDetailsKeyboard(planId, isRegistered = false) {
+    static getPlanDetailsKeyboard(planId, isRegistered = false, locale = 'en') {
         const keyboard = [];
 
         if (!isRegistered && planId === 1) {
             // New users can only register for Plan 1
             keyboard.push([
-                Markup.button.callback('🚀 Register for This Plan', `confirm_register_${planId}`)
+                Markup.button.callback(t(locale, 'buttons.registerForPlan'), `confirm_register_${planId}`)
             ]);
         } else if (isRegistered) {
             // Registered users can upgrade
             keyboard.push([
-                Markup.button.callback('⬆️ Upgrade to This Plan', `upgrade_${planId}`)
+                Markup.button.callback(t(locale, 'buttons.upgradeToThisPlan'), `upgrade_${planId}`)
             ]);
         } else {
             // Show selection but explain requirements
             keyboard.push([
-                Markup.button.callback('ℹ️ Plan Requirements', `plan_requirements_${planId}`)
+                Markup.button.callback(t(locale, 'buttons.planRequirements'), `plan_requirements_${planId}`)
             ]);
         }
 
         // Navigation buttons
         const navRow = [];
         if (planId > 1) {
-            navRow.push(Markup.button.callback('⬅️ Previous Plan', `plan_details_${planId - 1}`));
+            navRow.push(Markup.button.callback(t(locale, 'buttons.previousPlan'), `plan_details_${planId - 1}`));
         }
         if (planId < 16) {
-            navRow.push(Markup.button.callback('➡️ Next Plan', `plan_details_${planId + 1}`));
+            navRow.push(Markup.button.callback(t(locale, 'buttons.nextPlan'), `plan_details_${planId + 1}`));
         }
         if (navRow.length > 0) {
             keyboard.push(navRow);
         }
 
         keyboard.push([
-            Markup.button.callback('📊 All Plans', 'action_view_all_plans'),
-            Markup.button.callback('💡 How to Join', 'action_how_to_join')
+            Markup.button.callback(t(locale, 'buttons.allPlans'), 'action_view_all_plans'),
+            Markup.button.callback(t(locale, 'buttons.howToJoin'), 'action_how_to_join')
         ]);
 
         keyboard.push([
-            Markup.button.callback('🔙 Back', 'action_view_plans')
+            Markup.button.callback(t(locale, 'buttons.back'), 'action_view_plans')
         ]);
 
         return Markup.inlineKeyboard(keyboard);
     }
     
-    static getUpgradePathKeyboard(currentPlan, availableUpgrades) {
+    static getUpgradePathKeyboard(currentPlan, availableUpgrades, locale = 'en') {
         const keyboard = [];
         
         // Show next plan upgrade
         if (currentPlan < 16) {
             keyboard.push([
-                Markup.button.callback(`⬆️ Upgrade to Plan ${currentPlan + 1}`, `upgrade_${currentPlan + 1}`)
+                Markup.button.callback(t(locale, 'buttons.upgradeToPlan', { plan: currentPlan + 1 }), `upgrade_${currentPlan + 1}`)
             ]);
         }
         
         // Show plan comparison
         keyboard.push([
-            Markup.button.callback('📈 Compare Benefits', 'action_upgrade_comparison'),
-            Markup.button.callback('💰 ROI Calculator', 'action_roi_calculator')
+            Markup.button.callback(t(locale, 'buttons.compareBenefits'), 'action_upgrade_comparison'),
+            Markup.button.callback(t(locale, 'buttons.roiCalculator'), 'action_roi_calculator')
         ]);
         
         // Show upgrade history if available
         keyboard.push([
-            Markup.button.callback('📊 Upgrade History', 'action_upgrade_history'),
-            Markup.button.callback('🎯 Upgrade Strategy', 'action_upgrade_strategy')
+            Markup.button.callback(t(locale, 'buttons.upgradeHistory'), 'action_upgrade_history'),
+            Markup.button.callback(t(locale, 'buttons.upgradeStrategy'), 'action_upgrade_strategy')
         ]);
         
         keyboard.push([
-            Markup.button.callback('🔙 Back to Profile', 'action_profile')
+            Markup.button.callback(t(locale, 'buttons.backToProfile'), 'action_profile')
         ]);
         
         return Markup.inlineKeyboard(keyboard);
     }
     
-    static getRegistrationKeyboard(planId) {
+    static getRegistrationKeyboard(planId, locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ Confirm Registration', `confirm_register_${planId}`),
-                Markup.button.callback('❌ Cancel', 'action_view_plans')
+                Markup.button.callback(t(locale, 'buttons.confirmRegistration'), `confirm_register_${planId}`),
+                Markup.button.callback(t(locale, 'buttons.cancel'), 'action_view_plans')
             ],
             [
-                Markup.button.callback('💳 Check Wallet', 'action_wallet_info'),
-                Markup.button.callback('❓ Need Help?', 'action_registration_help')
+                Markup.button.callback(t(locale, 'buttons.checkWallet'), 'action_wallet_info'),
+                Markup.button.callback(t(locale, 'buttons.needHelp'), 'action_registration_help')
             ]
         ]);
     }
     
-    static getUpgradeConfirmKeyboard(planId) {
+    static getUpgradeConfirmKeyboard(planId, locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('✅ Confirm Upgrade', `confirm_upgrade_${planId}`),
-                Markup.button.callback('❌ Cancel', 'action_upgrade')
+                Markup.button.callback(t(locale, 'buttons.confirmUpgrade'), `confirm_upgrade_${planId}`),
+                Markup.button.callback(t(locale, 'buttons.cancel'), 'action_upgrade')
             ],
             [
-                Markup.button.callback('💳 Check Balance', 'action_check_balance'),
-                Markup.button.callback('🔄 Refresh Info', `upgrade_${planId}`)
+                Markup.button.callback(t(locale, 'buttons.checkBalance'), 'action_check_balance'),
+                Markup.button.callback(t(locale, 'buttons.refreshInfo'), `upgrade_${planId}`)
             ],
             [
-                Markup.button.callback('❓ Need Help?', 'action_upgrade_help')
+                Markup.button.callback(t(locale, 'buttons.needHelp'), 'action_upgrade_help')
             ]
         ]);
     }
     
-    static getPlanCategoriesKeyboard() {
+    static getPlanCategoriesKeyboard(locale = 'en') {
         return Markup.inlineKeyboard([
             [
-                Markup.button.callback('🟢 Starter (1-4)', 'category_starter'),
-                Markup.button.callback('🟡 Growth (5-8)', 'category_growth')
+                Markup.button.callback(t(locale, 'plans.categories.starter.button'), 'category_starter'),
+                Markup.button.callback(t(locale, 'plans.categories.growth.button'), 'category_growth')
             ],
             [
-                Markup.button.callback('🟠 Advanced (9-12)', 'category_advanced'),
-                Markup.button.callback('🔴 Elite (13-16)', 'category_elite')
+                Markup.button.callback(t(locale, 'plans.categories.advanced.button'), 'category_advanced'),
+                Markup.button.callback(t(locale, 'plans.categories.elite.button'), 'category_elite')
             ],
             [
-                Markup.button.callback('📊 View All Plans', 'action_view_all_plans'),
-                Markup.button.callback('🔙 Back', 'action_view_plans')
+                Markup.button.callback(t(locale, 'buttons.viewAllPlans'), 'action_view_all_plans'),
+                Markup.button.callback(t(locale, 'buttons.back'), 'action_view_plans')
             ]
         ]);
     }
     
-    static getCategoryPlansKeyboard(category, planRange) {
+    static getCategoryPlansKeyboard(category, planRange, locale = 'en') {
         const keyboard = [];
         const [start, end] = planRange;
         
         // Add plan buttons for the category
         for (let i = start; i <= end; i += 2) {
             const row = [];
-            row.push(Markup.button.callback(`Plan ${i}`, `plan_details_${i}`));
+            row.push(Markup.button.callback(t(locale, 'plans.planNumber', { plan: i }), `plan_details_${i}`));
             if (i + 1 <= end) {
-                row.push(Markup.button.callback(`Plan ${i + 1}`, `plan_details_${i + 1}`));
+                row.push(Markup.button.callback(t(locale, 'plans.planNumber', { plan: i + 1 }), `plan_details_${i + 1}`));
             }
             keyboard.push(row);
         }
         
         keyboard.push([
-            Markup.button.callback('📊 All Categories', 'action_plan_categories'),
-            Markup.button.callback('🔙 Back', 'action_view_plans')
+            Markup.button.callback(t(locale, 'buttons.allCategories'), 'action_plan_categories'),
+            Markup.button.callback(t(locale, 'buttons.back'), 'action_view_plans')
         ]);
         
         return Markup.inlineKeyboard(keyboard);
@@ -214,35 +215,23 @@ class PlansKeyboard {
     }
     
     // Helper method to get category info
-    static getCategoryInfo(category) {
+    static getCategoryInfo(category, locale = 'en') {
         const categories = {
-            'starter': {
-                name: 'Starter Plans (1-4)',
-                description: 'Perfect for beginners',
-                range: [1, 4],
-                color: '🟢'
-            },
-            'growth': {
-                name: 'Growth Plans (5-8)',
-                description: 'Enhanced earning potential',
-                range: [5, 8],
-                color: '🟡'
-            },
-            'advanced': {
-                name: 'Advanced Plans (9-12)',
-                description: 'Serious earner level',
-                range: [9, 12],
-                color: '🟠'
-            },
-            'elite': {
-                name: 'Elite Plans (13-16)',
-                description: 'Maximum earning potential',
-                range: [13, 16],
-                color: '🔴'
-            }
+            'starter': { range: [1, 4], color: '🟢' },
+            'growth': { range: [5, 8], color: '🟡' },
+            'advanced': { range: [9, 12], color: '🟠' },
+            'elite': { range: [13, 16], color: '🔴' }
         };
         
-        return categories[category] || null;
+        if (!categories[category]) {
+            return null;
+        }
+        
+        return {
+            name: t(locale, `plans.categories.${category}.name`),
+            description: t(locale, `plans.categories.${category}.description`),
+            ...categories[category]
+        };
     }
 }
 
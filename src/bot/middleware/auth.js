@@ -1,5 +1,6 @@
 // src/bot/middleware/auth.js
 const UserService = require('../../services/UserService');
+const { t, resolveLocale } = require('../../utils/i18n');
 
 class AuthMiddleware {
     constructor() {
@@ -20,9 +21,12 @@ class AuthMiddleware {
                     return; // Skip if no user info
                 }
 
+                // Runs before the i18n middleware
+                const locale = ctx.state.locale || resolveLocale(ctx.from?.language_code);
+
                 // Check if user is blocked
                 if (this.blockedUsers.has(telegramId)) {
-                    await ctx.reply('❌ Your account has been restricted. Contact support for assistance.');
+                    await ctx.reply(t(locale, 'guard.restricted'));
                     return;
                 }
 
@@ -41,7 +45,8 @@ class AuthMiddleware {
 
             } catch (error) {
                 console.error('❌ Auth middleware error:', error);
-                await ctx.reply('❌ Authentication error. Please try again.');
+                const locale = ctx.state.locale || resolveLocale(ctx.from?.language_code);
+                await ctx.reply(t(locale, 'guard.authError'));
             }
         };
     }
@@ -92,16 +97,18 @@ class RateLimitMiddleware {
             try {
                 const telegramId = ctx.from?.id?.toString();
                 const isAdmin = this.adminIds.includes(telegramId);
+                // Runs before the i18n middleware
+                const locale = ctx.state.locale || resolveLocale(ctx.from?.language_code);
                 
                 // Check user rate limit
                 if (!this.checkUserLimit(telegramId, isAdmin)) {
-                    await ctx.reply('⚠️ Too many requests. Please wait a moment before trying again.');
+                    await ctx.reply(t(locale, 'guard.tooManyRequests'));
                     return;
                 }
 
                 // Check global rate limit
                 if (!this.checkGlobalLimit()) {
-                    await ctx.reply('⚠️ High server load. Please try again in a few moments.');
+                    await ctx.reply(t(locale, 'guard.highLoad'));
                     return;
                 }
 
@@ -600,28 +607,31 @@ class ValidationMiddleware {
                     return next();
                 }
 
+                // Runs before the i18n middleware
+                const locale = ctx.state.locale || resolveLocale(ctx.from?.language_code);
+
                 // Check for banned words
                 if (this.containsBannedWords(text)) {
-                    await ctx.reply('⚠️ Your message contains inappropriate content.');
+                    await ctx.reply(t(locale, 'guard.inappropriate'));
                     return;
                 }
 
                 // Check for suspicious patterns (except in wallet context)
                 if (ctx.session.step !== 'waiting_wallet_address' && 
                     this.containsSuspiciousPatterns(text)) {
-                    await ctx.reply('⚠️ For security reasons, please avoid sharing personal information.');
+                    await ctx.reply(t(locale, 'guard.personalInfo'));
                     return;
                 }
 
                 // Check message length
                 if (text.length > 4000) {
-                    await ctx.reply('⚠️ Message too long. Please keep messages under 4000 characters.');
+                    await ctx.reply(t(locale, 'guard.tooLong'));
                     return;
                 }
 
                 // Rate limiting for repeated messages
                 if (this.isRepeatedMessage(ctx)) {
-                    await ctx.reply('⚠️ Please avoid sending the same message repeatedly.');
+                    await ctx.reply(t(locale, 'guard.repeated'));
                     return;
                 }
 
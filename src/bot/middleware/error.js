@@ -1,5 +1,6 @@
 // src/bot/middleware/error.js
 const NotificationService = require('../../services/NotificationService');
+const { t, resolveLocale } = require('../../utils/i18n');
 
 class ErrorMiddleware {
     constructor() {
@@ -43,10 +44,12 @@ class ErrorMiddleware {
 
         // Send user-friendly error message
         try {
-            const errorMessage = this.getUserErrorMessage(error);
+            // The i18n middleware may not have run yet when the error happened
+            const locale = ctx.state.locale || resolveLocale(ctx.from?.language_code);
+            const errorMessage = this.getUserErrorMessage(error, locale);
             
             if (ctx.callbackQuery) {
-                await ctx.answerCbQuery('❌ Something went wrong');
+                await ctx.answerCbQuery(t(locale, 'errors.somethingWentWrong'));
                 await ctx.reply(errorMessage);
             } else {
                 await ctx.reply(errorMessage);
@@ -68,20 +71,9 @@ class ErrorMiddleware {
         }
     }
 
-    getUserErrorMessage(error) {
-        // Map technical errors to user-friendly messages
-        const errorMappings = {
-            'timeout': '⏱️ Request timed out. Please try again.',
-            'network': '🌐 Network error. Please check your connection.',
-            'database': '🗄️ Database error. Please try again in a moment.',
-            'blockchain': '⛓️ Blockchain connection error. Please try again.',
-            'validation': '❌ Invalid input. Please check your data.',
-            'permission': '🔒 Permission denied. You don\'t have access to this feature.',
-            'rate_limit': '⚠️ Too many requests. Please wait before trying again.'
-        };
-
-        const errorType = this.categorizeError(error);
-        return errorMappings[errorType] || '❌ Something went wrong. Please try again or contact support.';
+    getUserErrorMessage(error, locale = 'en') {
+        // Map technical errors to user-friendly messages, see runtimeErrors in the catalogs
+        return t(locale, `runtimeErrors.${this.categorizeError(error)}`);
     }
 
     categorizeError(error) {
@@ -0,0 +1,17 @@
+// src/bot/middleware/i18n.js
+const { resolveLocale } = require('../../utils/i18n');
+
+class I18nMiddleware {
+    middleware() {
+        return async (ctx, next) => {
+            // The language saved on the user wins over Telegram's client language,
+            // which is only used before /start created the account
+            const languageCode = ctx.session?.user?.language_code || ctx.from?.language_code;
+            ctx.state.locale = resolveLocale(languageCode);
+
+            await next();
+        };
+    }
+}
+
+module.exports = new I18nMiddleware().middleware();
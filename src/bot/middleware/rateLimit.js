@@ -1,4 +1,6 @@
 // src/bot/middleware/rateLimit.js
+const { t, resolveLocale } = require('../../utils/i18n');
+
 class RateLimitMiddleware {
     constructor() {
         this.userLimits = new Map();
@@ -24,16 +26,18 @@ class RateLimitMiddleware {
             try {
                 const telegramId = ctx.from?.id?.toString();
                 const isAdmin = this.adminIds.includes(telegramId);
+                // Runs before the i18n middleware
+                const locale = ctx.state.locale || resolveLocale(ctx.from?.language_code);
                 
                 // Check user rate limit
                 if (!this.checkUserLimit(telegramId, isAdmin)) {
-                    await ctx.reply('⚠️ Too many requests. Please wait a moment before trying again.');
+                    await ctx.reply(t(locale, 'guard.tooManyRequests'));
                     return;
                 }
 
                 // Check global rate limit
                 if (!this.checkGlobalLimit()) {
-                    await ctx.reply('⚠️ High server load. Please try again in a few moments.');
+                    await ctx.reply(t(locale, 'guard.highLoad'));
                     return;
                 }
 
@@ -1,4 +1,7 @@
 // src/bot/middleware/validation.js
+const SceneManager = require('../scenes/manager');
+const { t, resolveLocale } = require('../../utils/i18n');
+
 class ValidationMiddleware {
     constructor() {
         this.bannedWords = [
@@ -12,6 +15,8 @@ class ValidationMiddleware {
             /(?:https?:\/\/)?(?:www\.)?[a-zA-Z0-9-]+\.[a-zA-Z]{2,}/, // URLs
             /0x[a-fA-F0-9]{40}/ // Ethereum addresses (when not expected)
         ];
+
+        this.scenes = SceneManager.getInstance();
     }
 
     middleware() {
@@ -27,28 +32,31 @@ class ValidationMiddleware {
                     return next();
                 }
 
+                // Runs before the i18n middleware
+                const locale = ctx.state.locale || resolveLocale(ctx.from?.language_code);
+
                 // Check for banned words
                 if (this.containsBannedWords(text)) {
-                    await ctx.reply('⚠️ Your message contains inappropriate content.');
+                    await ctx.reply(t(locale, 'guard.inappropriate'));
                     return;
                 }
 
                 // Check for suspicious patterns (except in wallet context)
-                if (ctx.session.step !== 'waiting_wallet_address' && 
+                if (!this.scenes.expectsHexInput(ctx) && 
                     this.containsSuspiciousPatterns(text)) {
-                    await ctx.reply('⚠️ For security reasons, please avoid sharing personal information.');
+                    await ctx.reply(t(locale, 'guard.personalInfo'));
                     return;
                 }
 
                 // Check message length
                 if (text.length > 4000) {
-                    await ctx.reply('⚠️ Message too long. Please keep messages under 4000 characters.');
+                    await ctx.reply(t(locale, 'guard.tooLong'));
                     return;
                 }
 
                 // Rate limiting for repeated messages
                 if (this.isRepeatedMessage(ctx)) {
-                    await ctx.reply('⚠️ Please avoid sending the same message repeatedly.');
+                    await ctx.reply(t(locale, 'guard.repeated'));
                     return;
                 }
 
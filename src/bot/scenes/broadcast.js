@@ -0,0 +1,15 @@
+// src/bot/scenes/broadcast.js
+// Admin broadcast: the message, then a preview confirmed with its buttons
+module.exports = {
+    id: 'broadcast',
+    handler: 'admin',
+    adminOnly: true,
+    steps: {
+        message: {
+            handle: 'handleBroadcastInput'
+        },
+        confirm: {
+            input: 'buttons'
+        }
+    }
+};
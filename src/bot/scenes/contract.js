@@ -0,0 +1,12 @@
+// src/bot/scenes/contract.js
+// Parameters of an owner contract function, parsed and checked by ContractAdminService
+module.exports = {
+    id: 'contractParams',
+    handler: 'admin',
+    adminOnly: true,
+    steps: {
+        params: {
+            handle: 'handleContractParamsInput'
+        }
+    }
+};
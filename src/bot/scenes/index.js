@@ -0,0 +1,11 @@
+// src/bot/scenes/index.js
+// Every multi-step flow of the bot. A new flow only needs its definition here; see manager.js
+// for the fields a scene declares.
+module.exports = [
+    require('./wallet'),
+    require('./signing'),
+    require('./support'),
+    require('./registration'),
+    require('./broadcast'),
+    require('./contract')
+];
@@ -0,0 +1,228 @@
+// src/bot/scenes/manager.js
+const MainKeyboard = require('../keyboards/main');
+const { t } = require('../../utils/i18n');
+const { formatDuration } = require('../../utils/formatting');
+const definitions = require('./index');
+
+const DEFAULT_TIMEOUT = 10 * 60 * 1000; // 10 minutes without a reply
+
+let sharedInstance = null;
+
+// Multi-step conversations. Each flow in this directory declares its steps, the handler method
+// taking each step's input, validators, a timeout and an optional cancel hook. The position is
+// kept in ctx.session.scene, and every flow gets the same /cancel, timeout and unexpected-input
+// behaviour without the message handlers in bot/index.js knowing about it.
+//
+// A scene declares:
+//   id        - also the catalog prefix of its name and restart hint (scenes.<id>.*)
+//   handler   - name of the bot handler whose methods take the input
+//   steps     - in order, the first one is entered; each has `handle` (handler method called with
+//               ctx, the trimmed text and the scene data), an optional `validate(text, ctx, handler)`
+//               returning an error message, and `input: 'buttons'` for steps answered by buttons
+//   timeout   - ms without a reply before the flow is dropped (10 minutes by default)
+//   onCancel  - optional handler method run on /cancel with the scene data
+//   adminOnly - the input is only taken from admins
+//   hexInput  - the steps expect addresses or hashes the validation middleware would block
+class SceneManager {
+    constructor() {
+        this.scenes = new Map();
+        this.handlers = new Map();
+
+        definitions.forEach(scene => this.register(scene));
+    }
+
+    static getInstance() {
+        if (!sharedInstance) {
+            sharedInstance = new SceneManager();
+        }
+        return sharedInstance;
+    }
+
+    register(scene) {
+        const steps = Object.keys(scene.steps || {});
+        if (!scene.id || !scene.handler || steps.length === 0) {
+            throw new Error(`Scene ${scene.id || '(unnamed)'} needs an id, a handler and at least one step`);
+        }
+
+        this.scenes.set(scene.id, {
+            timeout: DEFAULT_TIMEOUT,
+            ...scene,
+            firstStep: steps[0]
+        });
+    }
+
+    // Handler instances by name ('wallet', 'admin', ...), as created by the bot
+    setHandlers(handlers) {
+        this.handlers = handlers;
+    }
+
+    enter(ctx, sceneId, data = {}) {
+        const scene = this.scenes.get(sceneId);
+        if (!scene) {
+            throw new Error(`Unknown scene ${sceneId}`);
+        }
+
+        ctx.session.scene = {
+            id: sceneId,
+            step: scene.firstStep,
+            data,
+            expiresAt: Date.now() + scene.timeout
+        };
+    }
+
+    // Move the active scene to another step, merging data for the steps after it
+    next(ctx, step, data = {}) {
+        const active = this.getActive(ctx);
+        if (!active) {
+            throw new Error(`Cannot move to step ${step} outside of a scene`);
+        }
+        if (!active.scene.steps[step]) {
+            throw new Error(`Scene ${active.scene.id} has no step ${step}`);
+        }
+
+        ctx.session.scene = {
+            ...active.state,
+            step,
+            data: { ...active.state.data, ...data },
+            expiresAt: Date.now() + active.scene.timeout
+        };
+    }
+
+    // Leave the active scene, or only the given one when another flow may have replaced it
+    leave(ctx, sceneId = null) {
+        if (ctx.session && ctx.session.scene && (!sceneId || ctx.session.scene.id === sceneId)) {
+            ctx.session.scene = null;
+        }
+    }
+
+    getActive(ctx) {
+        const state = ctx.session && ctx.session.scene;
+        const scene = state && this.scenes.get(state.id);
+        return scene ? { scene, state } : null;
+    }
+
+    getData(ctx) {
+        const active = this.getActive(ctx);
+        return active ? active.state.data : {};
+    }
+
+    isActive(ctx, sceneId) {
+        const active = this.getActive(ctx);
+        return Boolean(active && active.scene.id === sceneId);
+    }
+
+    // Addresses, signatures and hashes are only expected while a scene step asks for them
+    expectsHexInput(ctx) {
+        const active = this.getActive(ctx);
+        return Boolean(active && active.scene.hexInput);
+    }
+
+    getName(scene, locale) {
+        return t(locale, `scenes.${scene.id}.name`);
+    }
+
+    // Leave the active scene and run its cancel hook; false when there was nothing to cancel
+    async cancel(ctx) {
+        const active = this.getActive(ctx);
+        if (!active) {
+            return false;
+        }
+
+        this.leave(ctx);
+
+        if (active.scene.onCancel) {
+            try {
+                await this.handlers.get(active.scene.handler)[active.scene.onCancel](ctx, active.state.data);
+            } catch (error) {
+                console.error(`❌ Scene ${active.scene.id} cancel hook error:`, error);
+            }
+        }
+
+        return true;
+    }
+
+    // /cancel and the scene_cancel button
+    async handleCancel(ctx) {
+        const { locale } = ctx.state;
+        const active = this.getActive(ctx);
+        const cancelled = await this.cancel(ctx);
+
+        const message = cancelled ?
+            t(locale, 'scenes.cancelled', { name: this.getName(active.scene, locale) }) :
+            t(locale, 'scenes.nothingToCancel');
+        const keyboard = MainKeyboard.getMainKeyboard(ctx.session.user, locale);
+
+        if (ctx.callbackQuery) {
+            await ctx.editMessageText(message, {
+                parse_mode: 'Markdown',
+                ...keyboard
+            });
+            await ctx.answerCbQuery();
+        } else {
+            await ctx.reply(message, {
+                parse_mode: 'Markdown',
+                ...keyboard
+            });
+        }
+    }
+
+    // Routes messages to the active scene; everything else continues down the middleware chain
+    middleware() {
+        return async (ctx, next) => {
+            const active = ctx.message ? this.getActive(ctx) : null;
+            if (!active) {
+                return next();
+            }
+
+            const { scene, state } = active;
+            const { locale } = ctx.state;
+            const text = ctx.message.text;
+
+            // Another command leaves the flow; /cancel is answered by its own command
+            if (text && text.startsWith('/')) {
+                if (!/^\/cancel(@\w+)?$/i.test(text.split(/\s+/)[0])) {
+                    this.leave(ctx);
+                }
+                return next();
+            }
+
+            if (Date.now() > state.expiresAt) {
+                this.leave(ctx);
+                await ctx.reply(t(locale, 'scenes.expired', {
+                    name: this.getName(scene, locale),
+                    duration: formatDuration(scene.timeout, locale),
+                    restart: t(locale, `scenes.${scene.id}.restart`)
+                }), { parse_mode: 'Markdown' });
+                return;
+            }
+
+            const handler = this.handlers.get(scene.handler);
+            const step = scene.steps[state.step];
+
+            // A step dropped from the definition, or an admin flow left in a demoted admin's session
+            if (!step || (scene.adminOnly && !handler.isAdmin(ctx.from.id))) {
+                this.leave(ctx);
+                return next();
+            }
+
+            state.expiresAt = Date.now() + scene.timeout;
+
+            const input = step.input || 'text';
+            if (input !== 'text' || text === undefined) {
+                await ctx.reply(`${t(locale, `scenes.expect.${input}`)}\n\n${t(locale, 'scenes.cancelHint')}`);
+                return;
+            }
+
+            const value = text.trim();
+            const error = step.validate ? step.validate(value, ctx, handler) : null;
+            if (error) {
+                await ctx.reply(`${error}\n\n${t(locale, 'scenes.cancelHint')}`, { parse_mode: 'Markdown' });
+                return;
+            }
+
+            await handler[step.handle](ctx, value, state.data);
+        };
+    }
+}
+
+module.exports = SceneManager;
@@ -0,0 +1,12 @@
+// src/bot/scenes/registration.js
+// Registration: the plan summary, confirmed with its buttons. The rest of the flow (approval,
+// signing, queueing) runs from the confirm button and has its own prompts.
+module.exports = {
+    id: 'registration',
+    handler: 'register',
+    steps: {
+        confirm: {
+            input: 'buttons'
+        }
+    }
+};
@@ -0,0 +1,18 @@
+// src/bot/scenes/signing.js
+const { t } = require('../../utils/i18n');
+
+// Registration, upgrade and approval calls signed in the member's own wallet: the hash of the sent
+// transaction. Leaving it open does not cancel the signing request, that has its own button.
+module.exports = {
+    id: 'signTransaction',
+    handler: 'wallet',
+    timeout: 30 * 60 * 1000,
+    hexInput: true,
+    steps: {
+        txHash: {
+            validate: (text, ctx) => (/^0x[a-fA-F0-9]{64}$/.test(text) ? null :
+                t(ctx.state.locale, 'scenes.signTransaction.invalidHash')),
+            handle: 'handleTxHashInput'
+        }
+    }
+};
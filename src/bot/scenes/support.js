@@ -0,0 +1,16 @@
+// src/bot/scenes/support.js
+const { t } = require('../../utils/i18n');
+
+// Support ticket: one message forwarded to the admins
+module.exports = {
+    id: 'supportTicket',
+    handler: 'help',
+    timeout: 30 * 60 * 1000,
+    steps: {
+        message: {
+            validate: (text, ctx) => (text.length >= 10 ? null :
+                t(ctx.state.locale, 'scenes.supportTicket.tooShort')),
+            handle: 'handleSupportMessage'
+        }
+    }
+};
@@ -0,0 +1,22 @@
+// src/bot/scenes/wallet.js
+const { t } = require('../../utils/i18n');
+
+// Connect wallet: the address, then the signature of the ownership challenge
+module.exports = {
+    id: 'connectWallet',
+    handler: 'wallet',
+    timeout: 15 * 60 * 1000,
+    hexInput: true,
+    steps: {
+        address: {
+            validate: (text, ctx, handler) => (handler.isValidWalletAddress(text) ? null :
+                t(ctx.state.locale, 'scenes.connectWallet.invalidAddress')),
+            handle: 'handleWalletInput'
+        },
+        signature: {
+            validate: (text, ctx) => (/^0x[a-fA-F0-9]{130}$/.test(text) ? null :
+                t(ctx.state.locale, 'scenes.connectWallet.invalidSignature')),
+            handle: 'handleSignatureInput'
+        }
+    }
+};
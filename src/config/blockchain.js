@@ -1,18 +1,34 @@
 // src/config/blockchain.js
 const { ethers } = require('ethers');
+const { STRATEGIES } = require('../services/GasStrategy');
 
 class BlockchainConfig {
     constructor() {
         this.network = process.env.NETWORK || 'bsc_testnet';
-        this.rpcUrl = process.env.RPC_URL;
-        this.chainId = parseInt(process.env.CHAIN_ID) || 97;
+        this.rpcUrl = process.env.RPC_URL; // Tried before the network's public RPCs
+        this.chainId = parseInt(process.env.CHAIN_ID) || null; // Optional, must match the network's chain ID
         this.privateKey = process.env.PRIVATE_KEY;
         this.contractAddresses = {
             nft: process.env.NFT_CONTRACT_ADDRESS,
             usdt: process.env.USDT_CONTRACT_ADDRESS
         };
-        
-        // Network configurations
+
+        // Who signs member transactions: 'wallet' (the member's own wallet)
+        // or 'operator' (the PRIVATE_KEY wallet, legacy behaviour)
+        this.signingMode = process.env.SIGNING_MODE || 'wallet';
+
+        // Wallet signing settings
+        this.signingSettings = {
+            baseUrl: process.env.SIGNING_BASE_URL || process.env.WEBHOOK_DOMAIN,
+            path: '/sign',
+            requestTtl: 30 * 60 * 1000, // 30 minutes
+            challengeTtl: 10 * 60 * 1000 // 10 minutes
+        };
+
+        // Network configurations. A new chain only needs an entry here and NETWORK=<key>;
+        // explorer may be null for chains without one (e.g. a local dev node), multicall for chains
+        // without Multicall3. rpcUrls entries may also be { url, weight } to favour an endpoint
+        // in the provider pool
         this.networks = {
             bsc_mainnet: {
                 name: 'BSC Mainnet',
@@ -23,6 +39,8 @@ class BlockchainConfig {
                     'https://bsc-dataseed2.defibit.io/'
                 ],
                 explorer: 'https://bscscan.com',
+                multicall: '0xcA11bde05977b3631167028862bE2a173976CA11', // Multicall3
+                gasStrategy: 'legacy',
                 currency: {
                     name: 'BNB',
                     symbol: 'BNB',
@@ -38,11 +56,61 @@ class BlockchainConfig {
                     'https://data-seed-prebsc-1-s2.binance.org:8545/'
                 ],
                 explorer: 'https://testnet.bscscan.com',
+                multicall: '0xcA11bde05977b3631167028862bE2a173976CA11', // Multicall3
+                gasStrategy: 'legacy',
                 currency: {
                     name: 'tBNB',
                     symbol: 'tBNB',
                     decimals: 18
+                },
+                testnet: true
+            },
+            opbnb_mainnet: {
+                name: 'opBNB Mainnet',
+                chainId: 204,
+                rpcUrls: [
+                    'https://opbnb-mainnet-rpc.bnbchain.org'
+                ],
+                explorer: 'https://opbnb.bscscan.com',
+                multicall: '0xcA11bde05977b3631167028862bE2a173976CA11', // Multicall3
+                gasStrategy: 'eip1559',
+                currency: {
+                    name: 'BNB',
+                    symbol: 'BNB',
+                    decimals: 18
                 }
+            },
+            opbnb_testnet: {
+                name: 'opBNB Testnet',
+                chainId: 5611,
+                rpcUrls: [
+                    'https://opbnb-testnet-rpc.bnbchain.org'
+                ],
+                explorer: 'https://testnet.opbnb.bscscan.com',
+                multicall: '0xcA11bde05977b3631167028862bE2a173976CA11', // Multicall3
+                gasStrategy: 'eip1559',
+                currency: {
+                    name: 'tBNB',
+                    symbol: 'tBNB',
+                    decimals: 18
+                },
+                testnet: true
+            },
+            local: {
+                name: 'Local Dev Chain',
+                chainId: 31337,
+                rpcUrls: [
+                    'http://127.0.0.1:8545'
+                ],
+                explorer: null,
+                multicall: null, // Deploy Multicall3 and set MULTICALL_ADDRESS to batch reads
+                gasStrategy: 'eip1559',
+                currency: {
+                    name: 'Ether',
+                    symbol: 'ETH',
+                    decimals: 18
+                },
+                testnet: true
             }
         };
         
@@ -54,9 +122,16 @@ class BlockchainConfig {
                 transfer: 21000,
                 approve: 60000
             },
+            gasLimitMultiplier: 1.2, // 20% buffer on eth_estimateGas, capped at gasLimit above
             gasPriceMultiplier: 1.1, // 10% buffer
-            maxGasPrice: ethers.parseUnits('20', 'gwei')
+            maxGasPrice: ethers.parseUnits(process.env.MAX_GAS_PRICE_GWEI || '20', 'gwei'),
+            // Price used by the 'fixed' strategy (defaults to maxGasPrice)
+            fixedGasPrice: process.env.FIXED_GAS_PRICE_GWEI ? ethers.parseUnits(process.env.FIXED_GAS_PRICE_GWEI, 'gwei') : null
         };
+
+        // How operator transactions are priced: 'legacy', 'eip1559' or 'fixed'
+        // (see services/GasStrategy). Defaults to the network's gasStrategy
+        this.gasStrategy = process.env.GAS_STRATEGY || null;
         
         // Transaction settings
         this.transactionSettings = {
@@ -67,14 +142,130 @@ class BlockchainConfig {
             maxPriorityFeePerGas: ethers.parseUnits('2', 'gwei'),
             maxFeePerGas: ethers.parseUnits('20', 'gwei')
         };
+
+        // Operator wallet outbound queue (SIGNING_MODE=operator)
+        this.queueSettings = {
+            pollInterval: 15000, // Receipt checks and retries, 15 seconds
+            maxAttempts: 5, // Failed sign/broadcast attempts before a job is failed
+            stuckAfter: 3 * 60 * 1000, // Sent jobs without a receipt after this are checked for underpricing
+            gasBumpPercent: 15, // Replacements outbid the previous gas price by this much (nodes require 10%+)
+            unknownConfirmBlocks: 20 // Blocks a job whose nonce was used without a receipt waits before it is failed
+        };
+
+        // RPC provider pool (services/ProviderPool): every endpoint gets its own request budget
+        // and a health score from latency, recent errors and how far it lags the best block
+        this.providerSettings = {
+            primaryWeight: parseFloat(process.env.RPC_URL_WEIGHT) || 3, // RPC_URL vs weight 1 for public endpoints
+            maxRequestsPerMinute: 30, // Per endpoint
+            backoffMs: 2000, // Wait when every endpoint is out of budget
+            requestTimeout: 15000,
+            healthCheckInterval: 30000, // eth_blockNumber on every endpoint
+            sampleSize: 20, // Recent results used for the error rate
+            maxErrorRate: 0.5,
+            maxBlockLag: 5, // Blocks behind the best endpoint before it is skipped
+            failureThreshold: 3, // Consecutive failures before a cooldown
+            cooldownMs: 60000
+        };
+
+        // Batched contract reads (BlockchainService.multicall)
+        this.multicallSettings = {
+            address: process.env.MULTICALL_ADDRESS || null, // Overrides the network's multicall
+            maxCallsPerBatch: 100 // Calls per eth_call; larger batches are split
+        };
+
+        // NFT metadata and image fetching for /profile
+        this.nftSettings = {
+            ipfsGateway: process.env.IPFS_GATEWAY || 'https://ipfs.io/ipfs/',
+            fetchTimeout: 10000, // 10 seconds per metadata or image download
+            maxImageBytes: 10 * 1024 * 1024 // Telegram rejects photo uploads above 10 MB
+        };
+
+        // Event indexer settings
+        this.indexerSettings = {
+            cursorName: 'contract_events',
+            finalCursorName: 'contract_events_final',
+            // First block to index when no cursor is stored yet (defaults to the current head)
+            startBlock: parseInt(process.env.INDEXER_START_BLOCK) || null,
+            chunkSize: parseInt(process.env.INDEXER_CHUNK_SIZE) || 500, // Blocks per eth_getLogs query
+            maxReindexBlocks: 50000
+        };
+
+        // Membership exit (exitMembership) settings
+        this.exitSettings = {
+            lockPeriod: 30 * 24 * 60 * 60 // Seconds after registeredAt before the contract allows exit (ThirtyDayLock)
+        };
+
+        // DB vs on-chain member reconciliation
+        this.reconciliationSettings = {
+            interval: 6 * 60 * 60 * 1000, // 6 hours
+            dryRun: process.env.RECONCILE_DRY_RUN === 'true', // Scheduled runs only report drift
+            batchSize: 25, // Users checked per indexer pause
+            maxIndexerLag: 100, // Blocks; older state may be pruned by the RPC node
+            maxReportDetails: 200
+        };
+
+        // Owner functions run from the admin panel; each needs a second admin's approval
+        this.contractAdminSettings = {
+            proposalTtl: parseInt(process.env.ADMIN_PROPOSAL_TTL_MINUTES || '60') * 60 * 1000 // Unapproved proposals expire
+        };
+
+        // Emergency withdrawal tracker; cancels emit no event, so the contract is polled too
+        this.emergencySettings = {
+            pollInterval: 60 * 1000 // 1 minute
+        };
+
+        // Contract USDT balance vs its owner/fee/fund accounting; thresholds live in AlertSystem
+        this.solvencySettings = {
+            interval: parseInt(process.env.SOLVENCY_CHECK_MINUTES || '15') * 60 * 1000, // Scheduled checks
+            pollInterval: 60 * 1000, // How soon a check follows fund events or a ContractBalanceAlert
+            retentionDays: 30 // Snapshots kept for the time series
+        };
+
+        // Testnet /faucet: test USDT from the token's faucet() plus a tBNB top-up for gas.
+        // Never available when isMainnet() is true, whatever these say
+        this.faucetSettings = {
+            usdtAmount: process.env.FAUCET_USDT_AMOUNT || '100',
+            bnbAmount: process.env.FAUCET_BNB_AMOUNT || '0.005',
+            claimCooldown: 24 * 60 * 60 * 1000, // Between two claims by the same user
+            maxClaimsPerUser: parseInt(process.env.FAUCET_MAX_CLAIMS_PER_USER) || 5,
+            dailyLimit: parseInt(process.env.FAUCET_DAILY_LIMIT) || 100, // Claims by everyone per UTC day
+            operatorBnbReserve: '0.05' // Top-ups stop when the operator wallet would drop below this
+        };
+
+        // "My network" upline/downline view under /referral
+        this.networkSettings = {
+            maxDepth: parseInt(process.env.NETWORK_MAX_DEPTH) || 5, // Levels shown above and below the member
+            maxMembers: 5000, // Downline members loaded before the tree is cut off
+            membersPerPage: 15
+        };
     }
 
     getCurrentNetwork() {
         return this.networks[this.network] || this.networks.bsc_testnet;
     }
 
+    // RPC_URL first (when set), then the network's public endpoints
     getRpcUrls() {
-        return this.getCurrentNetwork().rpcUrls;
+        return this.getRpcEndpoints().map(endpoint => endpoint.url);
+    }
+
+    // Pool endpoints with weights; RPC_URL (usually a private node) is preferred
+    getRpcEndpoints() {
+        const endpoints = this.getCurrentNetwork().rpcUrls.map(entry => (
+            typeof entry === 'string' ? { url: entry, weight: 1 } : { weight: 1, ...entry }
+        ));
+        if (!this.rpcUrl) {
+            return endpoints;
+        }
+        return [
+            { url: this.rpcUrl, weight: this.providerSettings.primaryWeight },
+            ...endpoints.filter(endpoint => endpoint.url !== this.rpcUrl)
+        ];
+    }
+
+    // Multicall3 address, or null where reads fall back to one call each
+    getMulticallAddress() {
+        return this.multicallSettings.address || this.getCurrentNetwork().multicall || null;
     }
 
     getExplorerUrl() {
@@ -85,20 +276,62 @@ class BlockchainConfig {
         return this.getCurrentNetwork().chainId;
     }
 
+    getNativeSymbol() {
+        return this.getCurrentNetwork().currency.symbol;
+    }
+
+    // Explorer links for the active network (null when it has no explorer)
+    getExplorerLink(type, value) {
+        const explorer = this.getExplorerUrl();
+        if (!explorer || !value) {
+            return null;
+        }
+        return `${explorer.replace(/\/+$/, '')}/${type}/${value}`;
+    }
+
+    getTxUrl(txHash) {
+        return this.getExplorerLink('tx', txHash);
+    }
+
+    getAddressUrl(address) {
+        return this.getExplorerLink('address', address);
+    }
+
+    getTokenUrl(address) {
+        return this.getExplorerLink('token', address);
+    }
+
     isMainnet() {
-        return this.network === 'bsc_mainnet';
+        return !this.isTestnet();
     }
 
     isTestnet() {
-        return this.network === 'bsc_testnet';
+        return Boolean(this.getCurrentNetwork().testnet);
+    }
+
+    isWalletSigning() {
+        return this.signingMode !== 'operator';
+    }
+
+    getSigningUrl(requestId) {
+        if (!this.signingSettings.baseUrl) {
+            return null;
+        }
+        const baseUrl = this.signingSettings.baseUrl.replace(/\/+$/, '');
+        return `${baseUrl}${this.signingSettings.path}/${requestId}`;
     }
 
     getContractAddress(contractName) {
         return this.contractAddresses[contractName.toLowerCase()];
     }
 
+    getGasStrategyName() {
+        return this.gasStrategy || this.getCurrentNetwork().gasStrategy || 'legacy';
+    }
+
     getGasSettings(transactionType) {
         return {
+            strategy: this.getGasStrategyName(),
             gasLimit: this.gasSettings.gasLimit[transactionType] || 200000,
             maxFeePerGas: this.transactionSettings.maxFeePerGas,
             maxPriorityFeePerGas: this.transactionSettings.maxPriorityFeePerGas
@@ -106,7 +339,7 @@ class BlockchainConfig {
     }
 
     createProvider(rpcUrl = null) {
-        const url = rpcUrl || this.rpcUrl || this.getRpcUrls()[0];
+        const url = rpcUrl || this.getRpcUrls()[0];
         return new ethers.JsonRpcProvider(url);
     }
 
@@ -117,13 +350,33 @@ class BlockchainConfig {
         return new ethers.Wallet(this.privateKey, provider);
     }
 
-    validateConfiguration() {
+    // Problems with the selected network that would make every RPC attempt pointless
+    validateNetwork() {
         const errors = [];
 
-        if (!this.rpcUrl) {
-            errors.push('RPC URL not configured');
+        if (!this.networks[this.network]) {
+            errors.push(`Unknown network "${this.network}" (available: ${Object.keys(this.networks).join(', ')})`);
+            return errors;
         }
 
+        if (this.chainId && this.chainId !== this.getChainId()) {
+            errors.push(`CHAIN_ID ${this.chainId} does not match ${this.getCurrentNetwork().name} (${this.getChainId()})`);
+        }
+
+        if (this.getRpcUrls().length === 0) {
+            errors.push('No RPC URLs configured');
+        }
+
+        if (!STRATEGIES[this.getGasStrategyName()]) {
+            errors.push(`Unknown gas strategy "${this.getGasStrategyName()}" (available: ${Object.keys(STRATEGIES).join(', ')})`);
+        }
+
+        return errors;
+    }
+
+    validateConfiguration() {
+        const errors = this.validateNetwork();
+
         if (!this.privateKey) {
             errors.push('Private key not configured');
         }
@@ -160,7 +413,7 @@ class BlockchainConfig {
         
         return {
             ...gasConfig,
-            type: 2, // EIP-1559 transaction
+            type: gasConfig.strategy === 'eip1559' ? 2 : 0
         };
     }
 
@@ -177,7 +430,7 @@ class BlockchainConfig {
         if (this.isTestnet()) {
             return {
                 bnb: 'https://testnet.binance.org/faucet-smart',
-                usdt: 'Contact admin for testnet USDT'
+                usdt: 'Use /faucet for testnet USDT'
             };
         }
         return null;
@@ -186,10 +439,12 @@ class BlockchainConfig {
     getDebugInfo() {
         return {
             network: this.network,
-            chainId: this.chainId,
-            rpcUrl: this.rpcUrl,
+            chainId: this.getChainId(),
+            rpcUrls: this.getRpcUrls(),
             contracts: this.contractAddresses,
             gasSettings: this.gasSettings,
+            gasStrategy: this.getGasStrategyName(),
+            signingMode: this.signingMode,
             isMainnet: this.isMainnet(),
             isTestnet: this.isTestnet()
         };
@@ -1,4 +1,7 @@
 // src/config/bot.js
+const englishMessages = require('../locales/en');
+const { t, hasKey } = require('../utils/i18n');
+
 class BotConfig {
     constructor() {
         this.token = process.env.BOT_TOKEN;
@@ -17,7 +20,8 @@ class BotConfig {
             // Session configuration
             session: {
                 ttl: 24 * 60 * 60 * 1000, // 24 hours
-                cleanupInterval: 60 * 60 * 1000 // 1 hour
+                cleanupInterval: 60 * 60 * 1000, // 1 hour
+                flushDelay: 2000 // Coalesce session writes for 2 seconds
             },
             
             // Message settings
@@ -77,6 +81,8 @@ class BotConfig {
             { command: 'upgrade', description: 'Upgrade your plan' },
             { command: 'referral', description: 'View referral information' },
             { command: 'wallet', description: 'Manage your wallet' },
+            { command: 'exit', description: 'Exit your membership' },
+            { command: 'cancel', description: 'Cancel the current action' },
             { command: 'help', description: 'Get help and support' }
         ];
         
@@ -85,34 +91,14 @@ class BotConfig {
             { command: 'admin', description: 'Admin panel' },
             { command: 'stats', description: 'Platform statistics' },
             { command: 'users', description: 'User management' },
-            { command: 'broadcast', description: 'Send broadcast message' }
+            { command: 'broadcast', description: 'Send broadcast message' },
+            { command: 'session', description: 'Inspect or reset a user session' }
         ];
         
-        // Error messages
-        this.errorMessages = {
-            generic: '❌ Something went wrong. Please try again.',
-            timeout: '⏱️ Request timed out. Please try again.',
-            rateLimit: '⚠️ Too many requests. Please wait a moment.',
-            maintenance: '🔧 Bot is under maintenance. Please try again later.',
-            userNotFound: '❌ User not found. Please use /start to register.',
-            accessDenied: '🔒 Access denied. You don\'t have permission.',
-            invalidInput: '❌ Invalid input. Please check your data.',
-            networkError: '🌐 Network error. Please check your connection.',
-            walletRequired: '💳 Wallet connection required for this action.',
-            registrationRequired: '📋 Membership registration required.',
-            insufficientBalance: '💰 Insufficient balance for this transaction.',
-            transactionFailed: '❌ Transaction failed. Please try again.'
-        };
-        
-        // Success messages
-        this.successMessages = {
-            registered: '✅ Registration successful! Welcome to the community!',
-            upgraded: '🚀 Plan upgrade successful! Enjoy your new benefits!',
-            walletConnected: '💳 Wallet connected successfully!',
-            transactionConfirmed: '✅ Transaction confirmed on blockchain!',
-            referralShared: '👥 Referral code shared successfully!',
-            profileUpdated: '📝 Profile updated successfully!'
-        };
+        // English error and success messages; the per-locale texts live in src/locales,
+        // use getErrorMessage()/getSuccessMessage() with the user's locale
+        this.errorMessages = englishMessages.errors;
+        this.successMessages = englishMessages.success;
         
         // Validation rules
         this.validation = {
@@ -188,12 +174,14 @@ class BotConfig {
     }
 
     // Message helpers
-    getErrorMessage(errorType) {
-        return this.errorMessages[errorType] || this.errorMessages.generic;
+    getErrorMessage(errorType, locale = 'en') {
+        const key = hasKey(`errors.${errorType}`) ? `errors.${errorType}` : 'errors.generic';
+        return t(locale, key);
     }
 
-    getSuccessMessage(successType) {
-        return this.successMessages[successType] || '✅ Operation completed successfully!';
+    getSuccessMessage(successType, locale = 'en') {
+        const key = hasKey(`success.${successType}`) ? `success.${successType}` : 'success.default';
+        return t(locale, key);
     }
 
     // Validation helpers
@@ -252,11 +240,13 @@ class BotConfig {
         return {
             defaultSession: () => ({
                 user: null,
-                step: null,
+                scene: null, // Active multi-step flow, see src/bot/scenes
                 data: {},
                 lastActivity: Date.now()
             }),
-            ttl: this.settings.session.ttl
+            ttl: this.settings.session.ttl,
+            flushDelay: this.settings.session.flushDelay,
+            cleanupInterval: this.settings.session.cleanupInterval
         };
     }
 
@@ -358,8 +348,8 @@ module.exports = {
     // Helper functions
     isAdmin: (userId) => botConfig.isAdmin(userId),
     isFeatureEnabled: (feature) => botConfig.isFeatureEnabled(feature),
-    getErrorMessage: (type) => botConfig.getErrorMessage(type),
-    getSuccessMessage: (type) => botConfig.getSuccessMessage(type),
+    getErrorMessage: (type, locale) => botConfig.getErrorMessage(type, locale),
+    getSuccessMessage: (type, locale) => botConfig.getSuccessMessage(type, locale),
     validateWalletAddress: (address) => botConfig.validateWalletAddress(address),
     validateReferralCode: (code) => botConfig.validateReferralCode(code)
 };
\ No newline at end of file
@@ -2,12 +2,19 @@ const sqlite3 = require('sqlite3').verbose();
 const { open } = require('sqlite');
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Statements that wait while another caller's transaction is open
+const GUARDED_METHODS = ['run', 'get', 'all', 'exec', 'each', 'prepare'];
 
 class DatabaseConfig {
     constructor() {
         this.dbPath = process.env.DATABASE_PATH || './database/bot.db';
         this.schemaPath = path.join(__dirname, '../../database/schema.sql');
         this.db = null;
+        this.connection = null; // this.db behind the transaction guard, handed out by getDatabase
+        this.transactionScope = new AsyncLocalStorage();
+        this.transactionLock = null; // The open transaction, if any
     }
 
     async initialize() {
@@ -34,6 +41,8 @@ class DatabaseConfig {
             // Initialize schema
             await this.initializeSchema();
 
+            this.connection = this.createGuardedConnection(this.db);
+
             console.log('✅ Database initialized successfully');
             return this.db;
 
@@ -154,6 +163,7 @@ class DatabaseConfig {
         await this.db.exec(`
             CREATE TABLE IF NOT EXISTS bot_sessions (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_key TEXT,
                 telegram_id TEXT NOT NULL,
                 session_data TEXT,
                 expires_at DATETIME,
@@ -162,6 +172,11 @@ class DatabaseConfig {
             )
         `);
 
+        await this.addColumnIfMissing('bot_sessions', 'session_key', 'TEXT');
+        await this.db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_key ON bot_sessions (session_key)');
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_telegram ON bot_sessions (telegram_id)');
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_expires ON bot_sessions (expires_at)');
+
         // Plans cache table
         await this.db.exec(`
             CREATE TABLE IF NOT EXISTS plans_cache (
@@ -187,7 +202,10 @@ class DatabaseConfig {
                 event_type TEXT NOT NULL,
                 contract_address TEXT NOT NULL,
                 tx_hash TEXT NOT NULL,
+                log_index INTEGER,
                 block_number INTEGER NOT NULL,
+                block_hash TEXT,
+                status TEXT DEFAULT 'final',
                 user_address TEXT,
                 telegram_id TEXT,
                 event_data TEXT,
@@ -197,6 +215,13 @@ class DatabaseConfig {
             )
         `);
 
+        await this.addColumnIfMissing('blockchain_events', 'log_index', 'INTEGER');
+        await this.addColumnIfMissing('blockchain_events', 'block_hash', 'TEXT');
+        await this.addColumnIfMissing('blockchain_events', 'status', "TEXT DEFAULT 'final'");
+        await this.db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_events_tx_log ON blockchain_events (tx_hash, log_index)');
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_events_block ON blockchain_events (block_number)');
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_events_status ON blockchain_events (status, block_number)');
+
         // Metrics table
         await this.db.exec(`
             CREATE TABLE IF NOT EXISTS metrics (
@@ -234,6 +259,250 @@ class DatabaseConfig {
             )
         `);
 
+        // Wallet signing requests (unsigned calls handed to the user's wallet)
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS signing_requests (
+                id TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                transaction_id INTEGER,
+                type TEXT NOT NULL,
+                from_address TEXT NOT NULL,
+                to_address TEXT NOT NULL,
+                data TEXT NOT NULL,
+                value TEXT DEFAULT '0',
+                chain_id INTEGER NOT NULL,
+                gas_limit TEXT,
+                status TEXT DEFAULT 'pending',
+                tx_hash TEXT,
+                metadata TEXT,
+                expires_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                submitted_at DATETIME,
+                
+                FOREIGN KEY (user_id) REFERENCES users (id),
+                FOREIGN KEY (transaction_id) REFERENCES transactions (id)
+            )
+        `);
+
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_signing_user ON signing_requests (user_id)');
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_signing_status ON signing_requests (status, expires_at)');
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_signing_from ON signing_requests (from_address, type)');
+
+        // Wallet ownership challenges (signed nonce messages)
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS wallet_challenges (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id TEXT NOT NULL,
+                wallet_address TEXT NOT NULL,
+                nonce TEXT UNIQUE NOT NULL,
+                message TEXT NOT NULL,
+                status TEXT DEFAULT 'pending',
+                expires_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                used_at DATETIME
+            )
+        `);
+
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_challenges_telegram ON wallet_challenges (telegram_id, status)');
+
+        // Indexer cursors (last fully processed block per stream)
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS sync_state (
+                name TEXT PRIMARY KEY,
+                last_block INTEGER NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // DB vs on-chain reconciliation runs
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS reconciliation_reports (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                mode TEXT NOT NULL,
+                triggered_by TEXT,
+                status TEXT DEFAULT 'running',
+                block_number INTEGER,
+                users_checked INTEGER DEFAULT 0,
+                users_drifted INTEGER DEFAULT 0,
+                fixes_applied INTEGER DEFAULT 0,
+                errors INTEGER DEFAULT 0,
+                details TEXT,
+                error_message TEXT,
+                started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                finished_at DATETIME
+            )
+        `);
+
+        // Operator wallet outbound transaction queue
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS tx_queue (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id INTEGER,
+                type TEXT NOT NULL,
+                method TEXT NOT NULL,
+                to_address TEXT NOT NULL,
+                data TEXT NOT NULL,
+                value TEXT DEFAULT '0',
+                gas_limit TEXT,
+                gas_price TEXT,
+                fees TEXT,
+                nonce INTEGER,
+                raw_tx TEXT,
+                tx_hash TEXT,
+                status TEXT DEFAULT 'queued',
+                attempts INTEGER DEFAULT 0,
+                error_message TEXT,
+                block_number INTEGER,
+                replacements INTEGER DEFAULT 0,
+                cancel_requested_at DATETIME,
+                unknown_since_block INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                sent_at DATETIME,
+                mined_at DATETIME,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                
+                FOREIGN KEY (transaction_id) REFERENCES transactions (id)
+            )
+        `);
+
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_tx_queue_status ON tx_queue (status, nonce)');
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_tx_queue_transaction ON tx_queue (transaction_id)');
+
+        await this.addColumnIfMissing('tx_queue', 'replacements', 'INTEGER DEFAULT 0');
+        await this.addColumnIfMissing('tx_queue', 'cancel_requested_at', 'DATETIME');
+        await this.addColumnIfMissing('tx_queue', 'fees', 'TEXT');
+        await this.addColumnIfMissing('tx_queue', 'unknown_since_block', 'INTEGER');
+
+        // Same-nonce replacements (speed-ups and cancels) of queued transactions
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS tx_replacements (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_id INTEGER NOT NULL,
+                transaction_id INTEGER,
+                kind TEXT NOT NULL,
+                replaced_tx_hash TEXT NOT NULL,
+                tx_hash TEXT NOT NULL,
+                gas_price TEXT NOT NULL,
+                triggered_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                
+                FOREIGN KEY (job_id) REFERENCES tx_queue (id),
+                FOREIGN KEY (transaction_id) REFERENCES transactions (id)
+            )
+        `);
+
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_replacements_job ON tx_replacements (job_id)');
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_replacements_hash ON tx_replacements (tx_hash)');
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_replacements_replaced ON tx_replacements (replaced_tx_hash)');
+
+        // Resolved NFT metadata for /profile cards, cleared by MetadataUpdated
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS nft_metadata_cache (
+                token_id INTEGER PRIMARY KEY,
+                owner_address TEXT,
+                plan_id INTEGER,
+                token_uri TEXT,
+                name TEXT,
+                description TEXT,
+                image_uri TEXT,
+                attributes TEXT,
+                telegram_file_id TEXT,
+                last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_nft_metadata_plan ON nft_metadata_cache (plan_id)');
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_nft_metadata_owner ON nft_metadata_cache (owner_address)');
+
+        // Owner contract calls proposed by one admin and approved by another
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS admin_proposals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                method TEXT NOT NULL,
+                params TEXT NOT NULL,
+                proposed_by TEXT NOT NULL,
+                decided_by TEXT,
+                status TEXT DEFAULT 'pending',
+                gas_estimate TEXT,
+                queue_job_id INTEGER,
+                tx_hash TEXT,
+                error_message TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                decided_at DATETIME,
+                
+                FOREIGN KEY (queue_job_id) REFERENCES tx_queue (id)
+            )
+        `);
+
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_admin_proposals_status ON admin_proposals (status)');
+
+        // Emergency withdrawal requests and their timelock
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS emergency_withdrawals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                status TEXT DEFAULT 'open',
+                requested_at INTEGER,
+                unlocks_at INTEGER,
+                request_tx_hash TEXT,
+                expected INTEGER DEFAULT 0,
+                amount TEXT,
+                to_address TEXT,
+                close_tx_hash TEXT,
+                close_expected INTEGER,
+                cleared_at_block INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                closed_at DATETIME
+            )
+        `);
+
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_emergency_withdrawals_status ON emergency_withdrawals (status)');
+
+        // Contract USDT balance vs internal accounting, over time
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS solvency_snapshots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                block_number INTEGER,
+                source TEXT DEFAULT 'scheduled',
+                usdt_balance TEXT NOT NULL,
+                owner_funds TEXT NOT NULL,
+                fee_funds TEXT NOT NULL,
+                fund_funds TEXT NOT NULL,
+                accounted_total TEXT NOT NULL,
+                contract_expected TEXT,
+                contract_valid INTEGER,
+                drift TEXT NOT NULL,
+                drift_percent REAL NOT NULL,
+                severity TEXT DEFAULT 'ok',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_solvency_snapshots_created ON solvency_snapshots (created_at)');
+
+        // Testnet /faucet payouts
+        await this.db.exec(`
+            CREATE TABLE IF NOT EXISTS faucet_claims (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                wallet_address TEXT NOT NULL,
+                network TEXT NOT NULL,
+                status TEXT DEFAULT 'queued',
+                usdt_amount TEXT NOT NULL,
+                bnb_amount TEXT DEFAULT '0',
+                usdt_job_id INTEGER,
+                bnb_job_id INTEGER,
+                error_message TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                completed_at DATETIME,
+                
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+        `);
+
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_faucet_claims_user ON faucet_claims (user_id, created_at)');
+        await this.db.exec('CREATE INDEX IF NOT EXISTS idx_faucet_claims_created ON faucet_claims (created_at)');
+
         // Create triggers for auto-updating timestamps
         await this.db.exec(`
             CREATE TRIGGER IF NOT EXISTS update_users_timestamp 
@@ -250,6 +519,22 @@ class DatabaseConfig {
                 UPDATE transactions SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
             END
         `);
+
+        await this.db.exec(`
+            CREATE TRIGGER IF NOT EXISTS update_tx_queue_timestamp 
+                AFTER UPDATE ON tx_queue
+            BEGIN
+                UPDATE tx_queue SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END
+        `);
+    }
+
+    // Databases created before a column existed don't pick it up from CREATE TABLE IF NOT EXISTS
+    async addColumnIfMissing(table, column, definition) {
+        const columns = await this.db.all(`PRAGMA table_info(${table})`);
+        if (!columns.some(col => col.name === column)) {
+            await this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
     }
 
     async insertDefaultPlans() {
@@ -290,10 +575,72 @@ class DatabaseConfig {
     }
 
     getDatabase() {
-        if (!this.db) {
+        if (!this.connection) {
             throw new Error('Database not initialized. Call initialize() first.');
         }
-        return this.db;
+        return this.connection;
+    }
+
+    // There is one sqlite connection for the whole bot, so any statement run while a transaction
+    // is open becomes part of it (and is undone by its rollback). Statements from outside the
+    // transaction wait for it to end; only the transaction's own async calls get through.
+    createGuardedConnection(db) {
+        return new Proxy(db, {
+            get: (target, property) => {
+                const value = target[property];
+
+                if (GUARDED_METHODS.includes(property)) {
+                    return async (...args) => {
+                        await this.waitForTransaction();
+                        return value.apply(target, args);
+                    };
+                }
+
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+    }
+
+    async waitForTransaction() {
+        while (this.transactionLock && this.transactionScope.getStore() !== this.transactionLock) {
+            await this.transactionLock.done;
+        }
+    }
+
+    // Run fn inside a write transaction, rolling back if it throws. Transactions run one at a
+    // time; one started inside another simply joins it.
+    async transaction(fn) {
+        if (this.transactionScope.getStore()) {
+            return fn(this.connection);
+        }
+
+        // No await between the check and taking the lock, so two callers cannot both take it
+        while (this.transactionLock) {
+            await this.transactionLock.done;
+        }
+
+        const lock = {};
+        lock.done = new Promise(resolve => {
+            lock.release = resolve;
+        });
+        this.transactionLock = lock;
+
+        try {
+            return await this.transactionScope.run(lock, async () => {
+                await this.db.exec('BEGIN IMMEDIATE');
+                try {
+                    const result = await fn(this.connection);
+                    await this.db.exec('COMMIT');
+                    return result;
+                } catch (error) {
+                    await this.db.exec('ROLLBACK');
+                    throw error;
+                }
+            });
+        } finally {
+            this.transactionLock = null;
+            lock.release();
+        }
     }
 
     async close() {
@@ -378,6 +725,14 @@ function getDatabase() {
     return databaseInstance.getDatabase();
 }
 
+// Run fn inside a write transaction, rolling back if it throws (see DatabaseConfig.transaction)
+async function withTransaction(fn) {
+    if (!databaseInstance) {
+        throw new Error('Database not initialized. Call initializeDatabase() first.');
+    }
+    return databaseInstance.transaction(fn);
+}
+
 async function closeDatabase() {
     if (databaseInstance) {
         await databaseInstance.close();
@@ -389,5 +744,6 @@ module.exports = {
     DatabaseConfig,
     initializeDatabase,
     getDatabase,
+    withTransaction,
     closeDatabase
 };
\ No newline at end of file
@@ -0,0 +1,2407 @@
+// src/locales/en.js
+// English catalog. This is the reference locale: every key used by the bot must exist here,
+// other catalogs fall back to it key by key.
+module.exports = {
+    errors: {
+        generic: '❌ Something went wrong. Please try again.',
+        timeout: '⏱️ Request timed out. Please try again.',
+        rateLimit: '⚠️ Too many requests. Please wait a moment.',
+        maintenance: '🔧 Bot is under maintenance. Please try again later.',
+        userNotFound: '❌ User not found. Please use /start to register.',
+        accessDenied: '🔒 Access denied. You don\'t have permission.',
+        invalidInput: '❌ Invalid input. Please check your data.',
+        networkError: '🌐 Network error. Please check your connection.',
+        walletRequired: '💳 Wallet connection required for this action.',
+        registrationRequired: '📋 Membership registration required.',
+        insufficientBalance: '💰 Insufficient balance for this transaction.',
+        transactionFailed: '❌ Transaction failed. Please try again.',
+        somethingWentWrong: '❌ Something went wrong',
+        tryLater: '❌ Something went wrong. Please try again later.'
+    },
+
+    success: {
+        registered: '✅ Registration successful! Welcome to the community!',
+        upgraded: '🚀 Plan upgrade successful! Enjoy your new benefits!',
+        walletConnected: '💳 Wallet connected successfully!',
+        transactionConfirmed: '✅ Transaction confirmed on blockchain!',
+        referralShared: '👥 Referral code shared successfully!',
+        profileUpdated: '📝 Profile updated successfully!',
+        default: '✅ Operation completed successfully!'
+    },
+
+    // User-facing texts of the error middleware, by error category
+    runtimeErrors: {
+        timeout: '⏱️ Request timed out. Please try again.',
+        network: '🌐 Network error. Please check your connection.',
+        database: '🗄️ Database error. Please try again in a moment.',
+        blockchain: '⛓️ Blockchain connection error. Please try again.',
+        validation: '❌ Invalid input. Please check your data.',
+        permission: '🔒 Permission denied. You don\'t have access to this feature.',
+        rate_limit: '⚠️ Too many requests. Please wait before trying again.',
+        unknown: '❌ Something went wrong. Please try again or contact support.'
+    },
+
+    // Custom errors of the membership contract, keyed by the ABI error name
+    contractErrors: {
+        message: `❌ **{title}**
+
+{explanation}
+
+**👉 What you can do:**
+{nextSteps}
+
+Error code: \`{code}\``,
+        AlreadyMember: {
+            title: 'Already a Member',
+            explanation: 'This wallet is already registered with the membership contract.',
+            nextSteps: '• Check your membership in your profile\n• Upgrade to the next plan instead of registering again'
+        },
+        NotMember: {
+            title: 'Not a Member',
+            explanation: 'This wallet has no active membership on the contract.',
+            nextSteps: '• Register for a plan first\n• Make sure you connected the wallet you registered with'
+        },
+        InactivePlan: {
+            title: 'Plan Not Available',
+            explanation: 'This plan is currently disabled on the contract.',
+            nextSteps: '• Choose another plan\n• Try again later once the plan is re-enabled'
+        },
+        InvalidPlanID: {
+            title: 'Unknown Plan',
+            explanation: 'The contract has no plan with this ID.',
+            nextSteps: '• Pick a plan from the current plan list'
+        },
+        NextPlanOnly: {
+            title: 'Upgrade One Level at a Time',
+            explanation: 'Plans must be upgraded in order; you can only move to the plan right after your current one.',
+            nextSteps: '• Upgrade to your next plan level first'
+        },
+        Plan1Only: {
+            title: 'Start with Plan 1',
+            explanation: 'New members must register on Plan 1 and upgrade from there.',
+            nextSteps: '• Register on Plan 1\n• Upgrade step by step once registered'
+        },
+        UplineNotMember: {
+            title: 'Referrer Is Not a Member',
+            explanation: 'The person who referred you has no active membership, so the contract rejects them as your upline.',
+            nextSteps: '• Ask your referrer to register first\n• Or start again with /start and another referral code'
+        },
+        UplinePlanLow: {
+            title: 'Referrer\'s Plan Is Too Low',
+            explanation: 'Your referrer\'s plan is below the plan you chose, and members cannot join above their upline.',
+            nextSteps: '• Choose a plan at or below your referrer\'s level\n• Or ask your referrer to upgrade first'
+        },
+        Paused: {
+            title: 'Contract Paused',
+            explanation: 'The membership contract is temporarily paused by the operators. No funds were taken.',
+            nextSteps: '• Try again later\n• Watch for an announcement from the team'
+        },
+        ThirtyDayLock: {
+            title: 'Membership Still Locked',
+            explanation: 'Memberships can only be exited 30 days after registration.',
+            nextSteps: '• Check the lock expiry date with /exit\n• Come back once the lock has expired'
+        },
+        InvalidAmount: {
+            title: 'Invalid Amount',
+            explanation: 'The contract rejected the payment amount for this plan.',
+            nextSteps: '• Refresh the plan details and try again'
+        },
+        LowFundBalance: {
+            title: 'Contract Funds Too Low',
+            explanation: 'The contract does not currently hold enough funds to complete this payout.',
+            nextSteps: '• Try again later\n• Contact support if this keeps happening'
+        },
+        SafeERC20FailedOperation: {
+            title: 'USDT Transfer Failed',
+            explanation: 'The contract could not move the USDT for this transaction.',
+            nextSteps: '• Check your USDT balance\n• Make sure the USDT approval covers the full amount'
+        },
+        ReentrancyGuardReentrantCall: {
+            title: 'Contract Busy',
+            explanation: 'The contract rejected a nested call. This is usually temporary.',
+            nextSteps: '• Wait a moment and try again'
+        },
+        // Reverts the contract ABI does not describe
+        generic: {
+            title: 'Transaction Rejected',
+            explanation: 'The contract rejected this transaction. No funds were taken.',
+            nextSteps: '• Check your balances and try again\n• Contact support if this keeps happening'
+        }
+    },
+
+    buttons: {
+        getStarted: '🚀 Get Started',
+        startRegistration: '🚀 Start Registration',
+        registerNow: '🚀 Register Now',
+        viewPlans: '📋 View Plans',
+        howItWorks: '💡 How it Works',
+        connectWallet: '💳 Connect Wallet',
+        wallet: '💳 Wallet',
+        myProfile: '👤 My Profile',
+        viewProfile: '👤 View Profile',
+        upgradePlan: '⬆️ Upgrade Plan',
+        upgradeOptions: '⬆️ Upgrade Options',
+        referrals: '👥 Referrals',
+        myReferrals: '👥 My Referrals',
+        shareReferral: '👥 Share Referral',
+        earnings: '💰 Earnings',
+        statistics: '📊 Statistics',
+        fullStats: '📊 Full Stats',
+        fullHistory: '📊 Full History',
+        withdraw: '💳 Withdraw',
+        referralDetails: '👥 Referral Details',
+        transactionHistory: '📝 Transaction History',
+        myNft: '🎫 My NFT',
+        viewOnExplorer: '🔍 View on Explorer',
+        exitMembership: '🚪 Exit Membership',
+        language: '🌐 Language',
+        help: '❓ Help',
+        helpSupport: '❓ Help & Support',
+        refresh: '🔄 Refresh',
+        back: '🔙 Back',
+        mainMenu: '🏠 Main Menu',
+        backToMenu: '🔙 Main Menu',
+        startWithPlan1: '🚀 Start with Plan 1',
+        viewAllPlans: '📊 View All Plans',
+        allPlans: '📊 All Plans',
+        allCategories: '📊 All Categories',
+        backToPlans: '🔙 Back to Plans',
+        backToProfile: '🔙 Back to Profile',
+        commissionInfo: '💰 Commission Info',
+        planComparison: '📈 Plan Comparison',
+        compareBenefits: '📈 Compare Benefits',
+        planRequirements: 'ℹ️ Plan Requirements',
+        previousPlan: '⬅️ Previous Plan',
+        nextPlan: '➡️ Next Plan',
+        howToJoin: '💡 How to Join',
+        faq: '❓ FAQ',
+        registerForPlan: '🚀 Register for This Plan',
+        upgradeToThisPlan: '⬆️ Upgrade to This Plan',
+        upgradeToPlan: '⬆️ Upgrade to Plan {plan}',
+        roiCalculator: '💰 ROI Calculator',
+        upgradeHistory: '📊 Upgrade History',
+        upgradeStrategy: '🎯 Upgrade Strategy',
+        confirmRegistration: '✅ Confirm Registration',
+        cancelRegistration: '❌ Cancel Registration',
+        confirmUpgrade: '✅ Confirm Upgrade',
+        cancelUpgrade: '❌ Cancel Upgrade',
+        confirmPlanChange: '✅ Confirm Plan Change',
+        keepCurrentPlan: '❌ Keep Current Plan',
+        costBreakdown: '💰 Cost Breakdown',
+        changeHelp: '❓ Change Help',
+        checkWallet: '💳 Check Wallet',
+        checkWalletBalance: '💳 Check Wallet Balance',
+        checkBalance: '💳 Check Balance',
+        checkAllowance: '📊 Check Allowance',
+        checkApproval: '🔄 Check Approval',
+        checkGasFee: '⛽ Check Gas Fee',
+        approvalHelp: '💡 Approval Help',
+        howToApprove: '❓ How to Approve?',
+        approvedContinue: '✅ I Approved, Continue',
+        refreshInfo: '🔄 Refresh Info',
+        needHelp: '❓ Need Help?',
+        connectThisWallet: '✅ Connect This Wallet',
+        useDifferentWallet: '❌ Use Different Wallet',
+        verifyOnExplorer: '🔍 Verify on Explorer',
+        walletHelp: '❓ Wallet Help',
+        yesDisconnect: '✅ Yes, Disconnect',
+        whatHappens: '❓ What happens?',
+        openSigningPage: '🌐 Open Signing Page',
+        pasteTxHash: '📝 Paste Tx Hash',
+        sendAmount: '✅ Send {amount} USDT',
+        sendAmountTo: '✅ Send {amount} USDT to {recipient}',
+        cancelTransaction: '❌ Cancel Transaction',
+        transactionHelp: '❓ Transaction Help',
+        stayMember: '❌ Stay as Member',
+        confirmExit: '⚠️ Yes, End My Membership',
+        sendBroadcast: '✅ Send Broadcast',
+        editMessage: '📝 Edit Message',
+        changeRecipients: '👥 Change Recipients',
+        cancelBroadcast: '❌ Cancel Broadcast',
+        broadcastTips: '💡 Broadcast Tips',
+        confirmEmergencyWithdraw: '🚨 CONFIRM EMERGENCY WITHDRAW',
+        cancelRecommended: '❌ Cancel (Recommended)',
+        whatIsThis: '❓ What is this?',
+        deleteItem: '🗑️ Delete {item}',
+        consequences: '⚠️ Consequences',
+        continue: '✅ Continue',
+        previous: '⬅️ Previous',
+        progress: '📊 Progress ({step}/{total})',
+        confirmTimed: '✅ Confirm ({seconds}s)',
+        extendTime: '⏱️ Extend Time',
+        acceptRisk: '{emoji} I Accept the Risk',
+        riskDetails: '📖 Risk Details',
+        saferAlternatives: '💡 Safer Alternatives',
+        checkStatus: '🔄 Check Status',
+        claimTestTokens: '🚰 Claim Test Tokens',
+        tryAgain: '🔄 Try Again',
+        selectPlan: '🚀 Select This Plan',
+        choosePlan1: '🚀 Choose Plan 1',
+        commissionStructure: '💰 Commission Structure',
+        commissionDetails: '💰 Commission Details',
+        plan1Example: '🚀 Plan 1 ($10)',
+        plan5Example: '💪 Plan 5 ($50)',
+        copyReferralCode: '📋 Copy Referral Code',
+        shareLink: '🔗 Share Link',
+        shareCode: '🔗 Share Code',
+        shareOnTelegram: '📱 Share on Telegram',
+        copyMessage: '📋 Copy Message',
+        earningsHistory: '💰 Earnings History',
+        detailedStats: '📊 Detailed Stats',
+        referralStats: '📊 Referral Stats',
+        refreshStats: '🔄 Refresh Stats',
+        viewReferrals: '👥 View Referrals',
+        referralTips: '💡 Referral Tips',
+        growthTips: '📈 Growth Tips',
+        myNetwork: '🌐 My Network',
+        viewMembers: '👥 View Members',
+        exportTree: '📄 Export Tree',
+        next: '➡️ Next',
+        walletSetupGuide: '💡 Wallet Setup Guide',
+        addBscNetwork: '🌐 Add BSC Network',
+        metamaskGuide: '📱 MetaMask Guide',
+        metamaskTutorial: '📱 MetaMask Tutorial',
+        trustWalletGuide: '💼 Trust Wallet Guide',
+        getUsdt: '💰 Get USDT',
+        getBnb: '⛽ Get BNB',
+        howToGetUsdt: '💡 How to Get USDT',
+        getUsdtGuide: '💰 Get USDT Guide',
+        refreshBalances: '🔄 Refresh Balances',
+        changeWallet: '🔄 Change Wallet',
+        connectNewWallet: '💳 Connect New Wallet',
+        backToWallet: '🔙 Back to Wallet',
+        viewPlanDetails: '📋 View Plan Details',
+        connectWalletFirst: '💳 Connect Wallet First',
+        backToMain: '🔙 Back to Main',
+        shareReferralCode: '👥 Share Referral Code',
+        checkEarnings: '💰 Check Earnings',
+        howCyclesWork: '💡 How Cycles Work',
+        learnToEarn: '💡 Learn to Earn',
+        approvedTryAgain: '✅ I Approved, Try Again',
+        checkApprovalStatus: '🔄 Check Approval Status',
+        getHelp: '❓ Get Help',
+        upgradeNow: '⬆️ Upgrade Now ({amount} USDT)',
+        buildNetwork: '👥 Build Network',
+        comparePlans: '📊 Compare Plans',
+        upgradeBenefits: '💡 Upgrade Benefits',
+        earningsPotential: '💰 Earnings Potential',
+        backToHelp: '🔙 Back to Help',
+        securityInfo: '🔒 Security Info',
+        sendMessage: '📧 Send Message',
+        users: '👥 Users',
+        transactions: '💰 Transactions',
+        blockchain: '⛓️ Blockchain',
+        broadcast: '📢 Broadcast',
+        settings: '🔧 Settings',
+        analytics: '📈 Analytics',
+        maintenance: '🛠️ Maintenance',
+        reconcile: '🧮 Reconcile',
+        searchUser: '🔍 Search User',
+        userStats: '📊 User Stats',
+        detailedAnalytics: '📈 Detailed Analytics',
+        financialReport: '💰 Financial Report',
+        exportData: '📊 Export Data',
+        filter: '🔍 Filter',
+        txStats: '📊 TX Stats',
+        withdrawFunds: '💰 Withdraw Funds',
+        syncEvents: '🔄 Sync Events',
+        contractSettings: '⚙️ Contract Settings',
+        gasTracker: '📊 Gas Tracker',
+        txQueue: '📤 Tx Queue',
+        checkReserves: '🧮 Check Reserves',
+        viewReport: '🧮 View Report',
+        resetSession: '🧹 Reset Session',
+        dryRun: '🔍 Dry Run',
+        fixDrift: '🛠️ Fix Drift',
+        backToAdmin: '🔙 Back to Admin',
+        speedUpJob: '⚡ Speed Up #{id}',
+        cancelJob: '🛑 Cancel #{id}',
+        yesCancel: '✅ Yes, Cancel',
+        approveProposal: '✅ Approve #{id}',
+        rejectProposal: '❌ Reject #{id}',
+        withdrawProposal: '❌ Withdraw #{id}',
+        confirm: '✅ Confirm',
+        cancel: '❌ Cancel',
+        yes: '✅ Yes',
+        no: '❌ No'
+    },
+
+    // Transaction and queue job statuses
+    status: {
+        active: '✅ Active',
+        inactive: '❌ Inactive',
+        pending: '⏳ Pending',
+        confirmed: '✅ Confirmed',
+        failed: '❌ Failed',
+        cancelled: '🚫 Cancelled',
+        processing: '🔄 Processing',
+        queued: '📥 Queued',
+        signed: '✍️ Signed',
+        sent: '📤 Sent',
+        unknown: '❔ Unknown',
+        mined: '⛏️ Mined'
+    },
+
+    queueJob: {
+        job: '• **Queue Job:** #{id}\n• **Status:** {status}',
+        position: ' (position {position})',
+        hash: '• **Transaction Hash:** `{hash}`',
+        error: '• **Error:** {error}'
+    },
+
+    // Wallet "add network" settings (formatNetworkSettings)
+    networkSettings: {
+        settings: `• **Network Name:** {name}
+• **RPC URL:** {rpcUrl}
+• **Chain ID:** {chainId}
+• **Symbol:** {symbol}`,
+        explorer: '• **Explorer:** {explorer}'
+    },
+
+    duration: {
+        second: { one: '{count} second', other: '{count} seconds' },
+        minute: { one: '{count} minute', other: '{count} minutes' },
+        hour: { one: '{count} hour', other: '{count} hours' },
+        day: { one: '{count} day', other: '{count} days' },
+        month: { one: '{count} month', other: '{count} months' },
+        year: { one: '{count} year', other: '{count} years' },
+        unknown: 'Unknown'
+    },
+
+    start: {
+        welcome: `🎉 **Welcome to Crypto Membership NFT!**
+
+👋 Hello {name}! You've successfully joined our exclusive membership program.
+
+✨ **What you can do:**
+• 📋 View available membership plans
+• 💎 Register for your first NFT membership
+• 👥 Refer friends and earn commissions
+• 📊 Track your earnings and progress
+
+🎯 **Your Referral Code:** \`{referralCode}\`
+Share this code with friends to earn rewards!{uplineInfo}
+
+🚀 **Ready to get started?** Choose an option below:`,
+        referredBy: '\n🔗 Referred by: @{upline}',
+        welcomeBack: `{emoji} **Welcome back, {name}!**
+
+📊 **Your Status:** {status}
+🎯 **Your Referral Code:** \`{referralCode}\`
+👥 **Total Referrals:** {referrals}
+💰 **Total Earnings:** {earnings} USDT
+
+Choose what you'd like to do:`,
+        statusMember: 'Plan {plan} Member',
+        statusNotRegistered: 'Not Registered',
+        invalidReferral: '⚠️ Invalid referral code. Continuing without referral.',
+        createFailed: '❌ Failed to create your account. Please try again.',
+        newReferral: `🎉 **New Referral!**
+
+👤 **{name}** (@{username}) just joined using your referral code!
+
+💰 You'll earn commission when they register for a membership plan.
+
+🎯 Keep sharing your referral code: \`{referralCode}\``
+    },
+
+    profile: {
+        title: '{emoji} **{name}\'s Profile**',
+        header: `👤 **Username:** @{username}
+📅 **Member Since:** {memberSince}
+🆔 **User ID:** \`{userId}\``,
+        notRegistered: `📋 **Membership Status**
+❌ Not registered yet
+💡 Use /register to join a membership plan`,
+        membership: `💎 **Membership Status**
+✅ Active Member
+📊 **Plan:** {plan}
+📅 **Registered:** {registered}`,
+        planLabel: '{name} (Level {level})',
+        cycle: '🔄 **Cycle:** {cycle}',
+        nftToken: '🎫 **NFT Token:** #{tokenId}',
+        statsLoading: `📊 **Statistics**
+📈 Loading statistics...`,
+        stats: `📊 **Statistics**
+👥 **Referrals:** {total} total, {active} active
+💰 **Total Earnings:** {earnings} USDT
+📝 **Transactions:** {transactions}
+🎯 **Success Rate:** {successRate}%`,
+        noWallet: `💳 **Wallet**
+❌ No wallet connected
+💡 Use /wallet to connect your wallet`,
+        wallet: `💳 **Wallet**
+✅ Connected: \`{address}\``,
+        onchainEarnings: '📈 **On-chain Earnings:** {earnings} USDT',
+        onchainReferrals: '👥 **On-chain Referrals:** {referrals}',
+        basic: `👤 **Username:** @{username}
+📅 **Member Since:** {memberSince}
+📊 **Status:** {status}
+👥 **Referrals:** {referrals}
+💰 **Earnings:** {earnings} USDT
+
+💡 Use the buttons below to manage your profile.`,
+        statusActive: 'Active Member',
+        statusNotRegistered: 'Not Registered',
+        loadFailed: '❌ Failed to load profile. Please try again.',
+
+        earningsTitle: `💰 **Earnings Overview**
+
+**Total Earned:** {earned} USDT
+**Total Paid:** {paid} USDT
+**Pending:** {pending} USDT`,
+        commissionDetails: `📊 **Commission Details**
+**Total Payments:** {payments}
+**Paid Payments:** {paid}
+**Success Rate:** {successRate}%`,
+        recentEarnings: '📝 **Recent Earnings**',
+        earningsFailed: '❌ Failed to load earnings',
+
+        statsUnavailable: '📊 **Statistics**\n\n❌ Unable to load statistics at this time.',
+        statsFailed: '❌ Failed to load statistics',
+        fullStats: `📊 **Detailed Statistics**
+
+👤 **Account Information**
+📅 **Account Age:** {accountAge}
+⭐ **Activity Score:** {activityScore}/100
+🎯 **Last Active:** {lastActive}`,
+        fullStatsMembership: `💎 **Membership**
+📊 **Plan Level:** {plan}
+⏱️ **Member For:** {memberFor}`,
+        fullStatsReferrals: `👥 **Referral Performance**
+**Total Referrals:** {total}
+**Active Referrals:** {active}
+**Registration Rate:** {registrationRate}%`,
+        fullStatsTransactions: `📝 **Transaction History**
+**Total Transactions:** {total}
+**Confirmed:** {confirmed}
+**Success Rate:** {successRate}%`,
+        fullStatsEarnings: `💰 **Earnings Breakdown**
+**Total Earned:** {earned} USDT
+**Average per Referral:** {average} USDT
+**Commission Payments:** {payments}`,
+
+        nftNotRegistered: '❌ Register a plan to receive your membership NFT',
+        nftLoading: '🎫 Loading your NFT...',
+        nftNotFound: '🎫 No membership NFT found for your wallet yet. It appears here once your registration is confirmed on-chain.',
+        nftFailed: '❌ Failed to load your NFT. Please try again.',
+        nftToken: '🆔 **Token:** #{tokenId}',
+        nftPlan: '📊 **Plan:** {plan}',
+        nftAttributes: '**Attributes:**'
+    },
+
+    language: {
+        title: `🌐 **Language**
+
+Current language: {current}
+
+Choose the language the bot uses with you:`,
+        changed: '✅ Language set to English',
+        unsupported: '❌ This language is not available',
+        failed: '❌ Failed to change the language. Please try again.'
+    },
+
+    // Multi-step flows (src/bot/scenes): shared texts, then the name and restart hint of each scene
+    scenes: {
+        cancelHint: 'Send /cancel to stop.',
+        cancelled: '❌ {name} cancelled.',
+        nothingToCancel: '🤷 There is nothing to cancel right now.',
+        expired: '⌛ {name} timed out after {duration} without a reply.\n\n{restart}',
+        expect: {
+            text: '✍️ Please answer with a text message.',
+            buttons: '👆 Please use the buttons above.'
+        },
+        connectWallet: {
+            name: 'Wallet connection',
+            restart: 'Use /wallet to start again.',
+            invalidAddress: `❌ **Invalid wallet address format**
+
+Please send a valid BSC wallet address that:
+• Starts with "0x"
+• Is exactly 42 characters long
+• Contains only hexadecimal characters
+
+**Example:** \`0x1234567890123456789012345678901234567890\``,
+            invalidSignature: '❌ A signature starts with 0x followed by 130 hexadecimal characters. Paste it exactly as your wallet shows it.'
+        },
+        signTransaction: {
+            name: 'Transaction hash entry',
+            restart: 'Tap "Paste Tx Hash" on the signing request to try again.',
+            invalidHash: '❌ A transaction hash starts with 0x followed by 64 hexadecimal characters.'
+        },
+        supportTicket: {
+            name: 'Support request',
+            restart: 'Open /help and choose Contact Support to write again.',
+            tooShort: '✍️ Please describe the problem in a few words so support can help you.'
+        },
+        registration: {
+            name: 'Registration',
+            restart: 'Use /register to start again.'
+        },
+        broadcast: {
+            name: 'Broadcast',
+            restart: 'Use /broadcast to start again.'
+        },
+        contractParams: {
+            name: 'Contract operation',
+            restart: 'Open /admin and choose the operation again.'
+        }
+    },
+
+    help: {
+        main: `❓ **Help & Support**
+
+Welcome to Crypto Membership NFT Bot! Here's how to get started:
+
+**🚀 Quick Start:**
+1. Use /start to create your account
+2. Use /wallet to connect your BSC wallet
+3. Use /register to join a membership plan
+4. Share your referral code to earn!
+
+**📋 Available Commands:**
+• /start - Start your journey
+• /profile - View your profile
+• /plans - See membership plans
+• /register - Register for membership
+• /upgrade - Upgrade your plan
+• /wallet - Manage your wallet
+• /referral - View referral info
+• /exit - Leave your membership
+{faucet}• /help - This help menu
+
+**💡 Need specific help?**
+Choose a topic below for detailed information:`,
+        faucetCommand: '• /faucet - Get test USDT and gas\n',
+        gettingStarted: `🚀 **Getting Started Guide**
+
+**Step 1: Create Account**
+• Send /start to create your account
+• You'll get a unique referral code
+• No personal information required!
+
+**Step 2: Connect Wallet**
+• Use /wallet to connect your BSC wallet
+• Supported: MetaMask, Trust Wallet, etc.
+• You'll need USDT and BNB
+
+**Step 3: Choose Plan**
+• Use /plans to see all membership levels
+• Start with Plan 1 ($10 USDT)
+• Each plan has different commission rates
+
+**Step 4: Register**
+• Use /register to join your chosen plan
+• Pay membership fee in USDT
+• Receive your NFT membership token
+
+**Step 5: Start Earning**
+• Share your referral code with friends
+• Earn instant commissions when they join
+• Upgrade to higher plans for better rates!
+
+**💡 Pro Tips:**
+• Start with a plan you're comfortable with
+• Build your network gradually
+• Reinvest earnings to upgrade
+• Stay active in the community
+
+Ready to begin? Use /start! 🎉`,
+        walletSetup: `💳 **Wallet Setup Guide**
+
+**🎯 What you need:**
+• BSC-compatible wallet (MetaMask recommended)
+• USDT tokens for membership fees
+• Small amount of BNB for gas fees
+
+**📱 MetaMask Setup:**
+1. Download MetaMask app or extension
+2. Create new wallet or import existing
+3. Add the network below to MetaMask
+4. Transfer USDT and {symbol} to wallet
+
+**🌐 Network Settings:**
+{settings}
+
+**💰 Getting Tokens:**
+• Buy USDT on Binance, send to BSC network
+• Get BNB for gas fees (~$2 worth)
+• Keep both in same wallet
+
+**🔒 Security Tips:**
+• Never share your private keys
+• Use hardware wallet for large amounts
+• Always verify transaction details
+• Keep seed phrase safe and offline
+
+**✅ Connection:**
+• Use /wallet command in bot
+• Send your wallet address (0x...)
+• Confirm connection
+• Ready to register!
+
+Need more help? Contact support! 🆘`,
+        faq: `❓ **Frequently Asked Questions**
+
+**Q: Is this a scam or pyramid scheme?**
+A: No! This is a legitimate membership program with real NFT tokens on BSC blockchain. All transactions are transparent and verifiable.
+
+**Q: How much can I earn?**
+A: Earnings depend on your referrals and plan level. Commission rates range from 30-36% of plan prices.
+
+**Q: What if I don't have referrals?**
+A: You can still participate! Focus on upgrading your plan level and building your network gradually.
+
+**Q: Can I withdraw my membership fee?**
+A: Partly. 30 days after registering you can leave with /exit and the contract refunds part of your plan price. Exiting ends your membership and referral earnings.
+
+**Q: Is my wallet safe?**
+A: Yes! We only store your wallet address, never private keys. You control your funds.
+
+**Q: What blockchain is used?**
+A: Binance Smart Chain (BSC) for low fees and fast transactions.
+
+**Q: Can I change my wallet?**
+A: Yes, but only before registering. Contact support if you need help.
+
+**Q: How long do transactions take?**
+A: Usually 1-3 minutes on BSC network, depending on network congestion.
+
+**Q: What if my transaction fails?**
+A: Check your USDT balance and gas fees. Contact support if issues persist.
+
+Still have questions? Contact our support team! 🆘`,
+        contactSupport: `🆘 **Contact Support**
+
+Need help? Our support team is here to assist you!
+
+**📧 Support Channels:**
+• **Telegram:** @SupportUsername
+• **Email:** support@example.com
+• **Hours:** 9 AM - 6 PM UTC
+
+**🚨 For urgent issues:**
+• Stuck transactions
+• Wallet connection problems
+• Missing payments
+• Technical errors
+
+**💬 Before contacting support:**
+• Check your wallet balance
+• Verify network connection
+• Review transaction history
+• Try refreshing the bot (/start)
+
+**📋 Information to include:**
+• Your Telegram username
+• Description of the problem
+• Transaction hash (if applicable)
+• Screenshots (if helpful)
+
+**⚠️ Security Reminder:**
+• Never share private keys
+• Support will never ask for passwords
+• Always verify official support contacts
+
+**💡 Common Solutions:**
+• Restart the bot with /start
+• Check BSC network status
+• Ensure sufficient gas fees
+• Wait for network confirmation
+
+We're here to help! 💪`,
+        supportPrompt: `📧 **Message Support**
+
+Describe your problem in one message and it will be forwarded to the support team.`,
+        supportSent: `✅ **Support Message Sent!**
+
+Your message has been forwarded to our support team.
+
+**What happens next:**
+• Support team will review your message
+• You'll receive a response within 24 hours
+• Check back here for updates
+
+**Your Message:**
+"{message}"
+
+**Reference ID:** {reference}
+
+Thank you for your patience! 🙏`,
+        supportFailed: '❌ Failed to send support message. Please try again.',
+        loadFailed: '❌ Failed to load help information.',
+        buttons: {
+            gettingStarted: '🚀 Getting Started',
+            walletSetup: '💳 Wallet Setup',
+            registration: '💎 Registration',
+            referrals: '👥 Referral System',
+            plans: '📋 Membership Plans',
+            upgrades: '⬆️ Plan Upgrades',
+            earnings: '💰 Earnings & Payments',
+            security: '🔒 Security',
+            faq: '❓ FAQ',
+            contactSupport: '🆘 Contact Support'
+        }
+    },
+
+    plans: {
+        planNumber: 'Plan {plan}',
+        loadFailed: '❌ Failed to load plans. Please try again.',
+        loadFailedShort: '❌ Failed to load plans',
+        notFound: '❌ Plan not found',
+        detailsFailed: '❌ Failed to load plan details',
+        overview: `📋 **Membership Plans**
+
+💎 Choose your membership level to start earning from referrals!
+
+**🎯 Benefits:**
+• 💰 Referral commissions
+• 🎫 Exclusive NFT membership
+• ⬆️ Plan upgrade rewards
+• 🌟 VIP community access
+
+**📊 Available Plans:**
+`,
+        overviewPlan: `**{name}** (Plan {plan})
+💰 Price: {price} USDT
+👥 Current Cycle: {cycle} members`,
+        overviewFooter: `💡 **How it works:**
+1️⃣ Choose a membership plan
+2️⃣ Connect your wallet & pay
+3️⃣ Receive your NFT membership
+4️⃣ Start referring friends
+5️⃣ Earn commissions & upgrade!
+
+🔄 **Upgrade Path:** Start with any plan and upgrade level by level to earn more commissions!`,
+        basic: `📋 **Membership Plans**
+
+💎 Join our exclusive membership program!
+
+**Available Plans:**
+• **Starter** - Perfect for beginners
+• **Basic** - More earning potential
+• **Bronze** - Enhanced benefits
+• **Silver** - Premium features
+• And many more levels to unlock!
+
+💰 **Earn Through:**
+• Direct referral commissions
+• Plan upgrade bonuses
+• Exclusive member rewards
+
+🚀 Use the buttons below to explore plans or get started!`,
+        allTitle: `📊 **All Membership Plans**
+
+Choose your starting level:
+`,
+        allTips: `💡 **Tips:**
+• Start with Plan 1 if you're new
+• Higher plans = Higher commissions
+• You can upgrade anytime!`,
+        details: `💎 **{name} Plan** (Level {level})
+
+💰 **Price:** {price} USDT
+🔄 **Current Cycle:** {cycle}
+👥 **Cycle Progress:** {progress} ({completion}%)
+📊 **Status:** {status}
+
+**💼 Commission Structure:**
+• **Direct Referral:** {direct}% of plan price
+• **Upline Bonus:** {upline}% to your sponsor
+• **Company Share:** {company}%
+
+**🎯 Benefits:**
+• Earn {direct}% on every direct referral
+• Receive NFT membership token
+• Access to exclusive community
+• Upgrade path to higher levels
+
+**⚡ Requirements:**
+• Must have connected wallet
+• Sufficient USDT balance
+• Valid upline (or owner as sponsor)`,
+        active: 'Active ✅',
+        inactive: 'Inactive ❌',
+        nextLevel: `⬆️ **Next Level:** {name} Plan
+💰 **Upgrade Cost:** {cost} USDT`,
+        howItWorks: `💡 **How the Membership System Works**
+
+**🔄 4-Step Process:**
+
+**1️⃣ Choose Your Plan**
+• Select any membership level (1-16)
+• Higher plans = Higher commissions
+• Start with what you're comfortable with
+
+**2️⃣ Complete Payment**
+• Connect your BSC wallet
+• Approve USDT spending
+• Pay the membership fee
+
+**3️⃣ Receive NFT Membership**
+• Get your unique NFT token
+• Proof of membership on blockchain
+• Non-transferable membership certificate
+
+**4️⃣ Start Earning**
+• Share your referral code
+• Earn commissions when friends join
+• Upgrade to higher plans for more earnings
+
+**💰 Commission System:**
+• **Plans 1-4:** 50% to you, 50% to company
+• **Plans 5-8:** 55% to you, 45% to company
+• **Plans 9-12:** 58% to you, 42% to company
+• **Plans 13-16:** 60% to you, 40% to company
+
+**🎯 Your Share Splits:**
+• 60% to your wallet (direct commission)
+• 40% to company fund
+
+**⬆️ Upgrade Benefits:**
+• Unlock higher commission rates
+• Access premium features
+• Bigger earning potential
+• VIP community access
+
+Ready to start? Choose a plan above! 🚀`,
+        commissionDetails: `💰 **Commission Structure Details**
+
+**📊 Commission Breakdown by Plan Level:**
+
+**🥉 Bronze Tier (Plans 1-4):**
+• User gets: 50% of plan price
+• Company: 50% of plan price
+• Your direct commission: 30% of plan price
+• Fund allocation: 20% of plan price
+
+**🥈 Silver Tier (Plans 5-8):**
+• User gets: 55% of plan price
+• Company: 45% of plan price
+• Your direct commission: 33% of plan price
+• Fund allocation: 22% of plan price
+
+**🥇 Gold Tier (Plans 9-12):**
+• User gets: 58% of plan price
+• Company: 42% of plan price
+• Your direct commission: 35% of plan price
+• Fund allocation: 23% of plan price
+
+**💎 Diamond Tier (Plans 13-16):**
+• User gets: 60% of plan price
+• Company: 40% of plan price
+• Your direct commission: 36% of plan price
+• Fund allocation: 24% of plan price
+
+**🎯 Example: Plan 5 (Gold) - $50 USDT**
+• You earn: $33 USDT instantly
+• Your sponsor earns: $22 USDT
+• Company gets: $45 USDT total
+
+**⚡ Instant Payments:**
+• Commissions paid immediately
+• Direct to your wallet
+• No delays or manual processing
+• Transparent blockchain transactions
+
+**🔄 Upgrade Bonuses:**
+• Earn on price difference when members upgrade
+• Recurring earning opportunity
+• Build passive income stream
+
+Start earning today! 💪`,
+        comparison: `📈 **Plan Comparison Chart**
+
+**💡 Quick Comparison:**
+
+**🟢 Starter Plans (1-4):**
+• Entry level pricing ($10-$40)
+• 30% direct commission rate
+• Perfect for beginners
+• Basic community access
+
+**🟡 Growth Plans (5-8):**
+• Mid-tier pricing ($50-$80)
+• 33% direct commission rate
+• Enhanced earning potential
+• Premium features unlocked
+
+**🟠 Advanced Plans (9-12):**
+• Higher pricing ($90-$120)
+• 35% direct commission rate
+• Serious earner level
+• VIP community access
+
+**🔴 Elite Plans (13-16):**
+• Premium pricing ($130-$160)
+• 36% direct commission rate
+• Maximum earning potential
+• Exclusive elite features
+
+**🎯 Recommendation:**
+• **New users:** Start with Plan 1-2
+• **Experienced:** Consider Plan 5-8
+• **Serious investors:** Plan 9-12
+• **Elite members:** Plan 13-16
+
+**⬆️ Upgrade Strategy:**
+1. Start comfortable
+2. Reinvest earnings
+3. Upgrade gradually
+4. Maximize commissions
+
+**💰 ROI Example:**
+Plan 5 ($50) → Refer 2 friends → Earn $66 → 132% ROI!
+
+Choose your starting point wisely! 🎯`,
+        categories: {
+            starter: { button: '🟢 Starter (1-4)', name: 'Starter Plans (1-4)', description: 'Perfect for beginners', tier: '**Starter Tier:**' },
+            growth: { button: '🟡 Growth (5-8)', name: 'Growth Plans (5-8)', description: 'Enhanced earning potential', tier: '**Growth Tier:**' },
+            advanced: { button: '🟠 Advanced (9-12)', name: 'Advanced Plans (9-12)', description: 'Serious earner level', tier: '**Advanced Tier:**' },
+            elite: { button: '🔴 Elite (13-16)', name: 'Elite Plans (13-16)', description: 'Maximum earning potential', tier: '**Elite Tier:**' }
+        }
+    },
+
+    referral: {
+        loadFailed: '❌ Failed to load referral information.',
+        userNotFound: '❌ User not found',
+        overview: `👥 **Your Referral Program**
+
+🎯 **Your Referral Code:** \`{referralCode}\`
+
+**📊 Your Referral Stats:**
+• **Total Referrals:** {total}
+• **Active Referrals:** {active}
+• **Total Earnings:** {earnings} USDT
+
+**💰 Commission Structure:**
+• **Plan 1-4:** 30% commission
+• **Plan 5-8:** 33% commission
+• **Plan 9-12:** 35% commission
+• **Plan 13-16:** 36% commission
+
+**🚀 How to Earn:**
+1. Share your referral code with friends
+2. They register using your code
+3. You earn instant commissions
+4. Build your network and increase earnings!
+
+**🔗 Your Referral Link:**
+{link}
+
+Share this link to start earning! 💪`,
+        shareMessage: `🎉 **Join Crypto Membership NFT!**
+
+💎 Get exclusive NFT membership and start earning!
+
+**🚀 What you get:**
+• Exclusive NFT membership token
+• Earn from referrals instantly
+• Upgrade through 16 membership levels
+• Join our VIP community
+
+**💰 Start earning today!**
+
+👉 **Join here:** {link}
+
+*Sent by {name}*`,
+        shareHint: '💡 **Use the buttons below to share:**',
+        shareFailed: '❌ Failed to generate share message',
+        statsUnavailable: '📊 **Referral Statistics**\n\n❌ Unable to load statistics at this time.',
+        stats: `📊 **Detailed Referral Statistics**
+
+**👥 Referral Overview:**
+• **Total Referred:** {total}
+• **Successfully Registered:** {registered}
+• **Currently Active:** {active}
+• **Registration Rate:** {rate}%
+
+**💰 Earnings Breakdown:**
+• **Total Earned:** {earned} USDT
+• **Average per Referral:** {average} USDT
+• **Commission Payments:** {payments}
+• **Paid Payments:** {paid}
+
+**📈 Performance Metrics:**
+• **Best Month:** Calculate based on data
+• **Conversion Rate:** {rate}%
+• **Active Referral Ratio:** {activeRatio}%
+
+**🎯 Growth Potential:**
+• **Current Level:** {level}
+• **Next Milestone:** {milestone} referrals
+• **Projected Monthly:** Based on current rate
+
+Keep building your network! 🚀`,
+        statsFailed: '❌ Failed to load statistics',
+        historyTitle: '👥 **Your Referrals** (Page {page})',
+        historyEmpty: '📭 No referrals yet.\n\nStart sharing your referral code to build your network!',
+        historyEntry: 'Joined: {date} • Earned: {earned} USDT',
+        historyTotal: {
+            one: '**Total:** {count} referral',
+            other: '**Total:** {count} referrals'
+        },
+        historyFailed: '❌ Failed to load referral history',
+        levels: {
+            starter: 'Starter',
+            bronze: 'Bronze',
+            silver: 'Silver',
+            gold: 'Gold',
+            platinum: 'Platinum',
+            diamond: 'Diamond'
+        }
+    },
+
+    // Upline and downline views, and the exported network tree
+    network: {
+        title: '🌐 **My Network**',
+        pageTitle: '🌐 **My Network** (Page {page}/{pages})',
+        upline: '**⬆️ Your Upline** ({source})',
+        sourceContract: 'from the contract',
+        sourceBot: 'from bot records',
+        noSponsor: '• No sponsor',
+        sponsor: '• Sponsor: {name}',
+        uplineLevel: '• Level {level}: {name}',
+        downline: '**⬇️ Your Downline** ({depth} levels)',
+        empty: '📭 No referrals yet. Share your code to start your network!',
+        level: '• Level {level}: **{count}** members ({registered} registered)',
+        total: '• **Total:** {count} members, {registered} registered',
+        planDistribution: '**💎 Plan Distribution**',
+        truncated: '_Your network goes deeper than shown here._',
+        footer: '💡 Commissions flow to you from your direct referrals\' joins and upgrades.',
+        pageLevel: '**Level {level}** ({count} members)',
+        member: 'Member #{id}',
+        notRegistered: 'not registered',
+        notOnBot: 'not on the bot',
+        noChange: 'No change yet',
+        loadFailed: '❌ Failed to load your network',
+        exporting: '📄 Building your network tree...',
+        exportCaption: '🌐 Your referral network: {count} members in {levels} levels',
+        exportFailed: '❌ Failed to export your network.',
+        tree: {
+            title: 'Referral network of {member}',
+            generated: 'Generated {date}, {depth} levels each way',
+            upline: 'UPLINE (commissions you generate flow up this chain)',
+            noSponsor: '(no sponsor)',
+            you: 'YOU',
+            downline: 'DOWNLINE ({count} members, {registered} registered)',
+            level: 'Level {level}: {count} members, {registered} registered',
+            planDistribution: 'PLAN DISTRIBUTION',
+            tree: 'TREE',
+            continuesMembers: '… the network continues beyond {count} members',
+            continuesLevels: '… the network continues beyond {depth} levels'
+        }
+    },
+
+    wallet: {
+        failed: '❌ Wallet operation failed. Please try again.',
+        connect: `💳 **Connect Your BSC Wallet**
+
+🔗 **To participate in our membership program, you need a BSC wallet.**
+
+**🎯 Supported Wallets:**
+• **MetaMask** (Recommended)
+• **Trust Wallet**
+• **SafePal Wallet**
+• **Binance Chain Wallet**
+• Any BSC-compatible wallet
+
+**📋 What you'll need:**
+• USDT tokens for membership fees
+• Small amount of BNB for gas fees
+• BSC (Binance Smart Chain) network added
+
+**🔒 Security Notice:**
+• We only store your wallet address
+• Never share your private keys
+• Always verify transactions before signing
+
+**📱 Ready to connect your wallet?**
+
+Send your BSC wallet address (starts with 0x) or use the button below for help! 👇`,
+        info: `💳 **Your Wallet Information**
+
+**🔗 Connected Wallet:**
+\`{address}\`
+
+**💰 Wallet Balances:**
+• **USDT:** {usdt} USDT
+• **BNB:** {bnb} BNB
+
+**📊 Membership Status:**
+{membership}
+
+**🔒 Security Status:**
+✅ Wallet connected securely
+✅ Ready for transactions
+{gas}
+
+**⚡ Quick Actions:**`,
+        registered: `✅ Registered Member (Plan {plan})
+📈 **On-chain Earnings:** {earnings} USDT
+👥 **Direct Referrals:** {referrals}`,
+        notRegistered: `❌ Not registered yet
+💡 Use /register to join a membership plan`,
+        gasOk: '✅ Sufficient BNB for gas',
+        gasLow: '⚠️ Low BNB balance (need for gas fees)',
+        infoFailed: '❌ Failed to load wallet information.',
+        alreadyLinked: `❌ **Wallet Already Connected**
+
+This wallet address is already linked to another account.
+
+**Options:**
+• Use a different wallet address
+• Contact support if this is your wallet
+• Check if you have another Telegram account
+
+Please send a different wallet address! 💳`,
+        inputFailed: '❌ Failed to process wallet address. Please try again.',
+        balances: `**💰 Wallet Balances:**
+• USDT: {usdt} USDT
+• BNB: {bnb} BNB`,
+        balancesUnavailable: '⚠️ Unable to fetch wallet balances',
+        verify: `🔐 **Verify Wallet Ownership**
+
+**Wallet Address:**
+\`{address}\`
+
+**Short Address:** {shortAddress}{balances}
+
+**✍️ Prove this wallet is yours:**
+{steps}
+
+**📝 Message to sign:**
+\`\`\`
+{message}
+\`\`\`
+
+**⚠️ Important:**
+• Signing is free and sends no transaction
+• Never share your private key or seed phrase
+• This message expires in {expires}
+
+Waiting for your signature... 👇`,
+        verifyStepsLink: '1. Tap your wallet below and sign the message\n2. The wallet connects automatically',
+        verifyStepsManual: '1. Sign the message below with this wallet\n2. Paste the signature (starts with 0x) here',
+        noChallenge: '❌ No wallet verification is pending. Use /wallet to connect a wallet.',
+        verificationFailed: `❌ **Verification Failed**
+
+{error}
+
+Send a valid signature or use /wallet to start over.`,
+        noWallet: '❌ No wallet connected',
+        cannotDisconnect: '❌ Cannot disconnect wallet of registered member',
+        disconnect: `🔓 **Disconnect Wallet**
+
+**Current Wallet:** \`{address}\`
+
+**⚠️ Warning:**
+• You'll need to reconnect to register
+• This action cannot be undone
+• Make sure you have the wallet address saved
+
+**Are you sure you want to disconnect?**`,
+        disconnectFailed: '❌ Failed to disconnect wallet',
+        connected: `✅ **Wallet Connected Successfully!**
+
+**Connected Wallet:** \`{address}\`
+
+🎉 Your BSC wallet is now connected to your account!
+
+**🚀 What's Next:**
+• Check your USDT balance for membership fees
+• Ensure you have BNB for gas fees
+• Ready to register for membership plans!
+
+**⚡ Quick Actions:**`,
+        disconnected: `🔓 **Wallet Disconnected**
+
+Your wallet has been successfully disconnected from your account.
+
+**To participate again:**
+• Use /wallet to connect a new wallet
+• Ensure you have USDT and BNB
+• Complete membership registration
+
+Need help? Use /help for assistance! 💡`,
+        disconnectedShort: '✅ Wallet disconnected',
+        help: `💡 **Wallet Help & Guides**
+
+**🔗 Setting Up Your BSC Wallet:**
+
+**📱 MetaMask Setup:**
+1. Download MetaMask app/extension
+2. Create new wallet or import existing
+3. Add the network below
+4. Transfer USDT and {symbol} to wallet
+
+**🌐 Network Settings:**
+{network}
+
+**💰 Getting Tokens:**
+• **USDT:** Buy on Binance, transfer to BSC
+• **BNB:** Needed for gas fees (~$1-2 worth)
+
+**🔒 Security Tips:**
+• Never share private keys
+• Use hardware wallet for large amounts
+• Verify all transaction details
+• Keep seed phrase secure
+
+Need more help? Contact support! 🆘`,
+        requestNotFound: '❌ Signing request not found',
+        requestMissing: '❌ Signing request not found. Please start again.',
+        requestClosed: '❌ This signing request is no longer open',
+        requestLoadFailed: '❌ Failed to load signing request',
+        txHashPrompt: `📝 **Send Transaction Hash**
+
+Paste the transaction hash your wallet returned after signing.
+
+**Example:** \`0x5c504ed432cb51138bcf09aa5e8a410dd4a1e204ef84bfed1be16dfba1b22060\`
+
+We'll check it matches the transaction we prepared for you. 🔍`,
+        txReceived: `📤 **Transaction Received!**
+
+**Hash:** \`{hash}\`
+**Status:** Pending Confirmation ⏳
+
+We'll notify you when it is confirmed on the network.`,
+        txHashRejected: `❌ {error}
+
+Send the correct hash or use /wallet to start over.`,
+        signingCancelled: `❌ **Signing Cancelled**
+
+No transaction was sent from your wallet.
+
+If you already signed it, don't worry: we'll still pick it up once it is confirmed.`,
+        cancelled: '❌ Cancelled',
+        cancelFailed: '❌ Failed to cancel',
+        txNotFound: '❌ Transaction not found',
+        jobStatus: `📊 **Transaction Status**
+
+**📋 {type}**
+{job}
+
+{note}`,
+        jobNotes: {
+            queued: 'Waiting for earlier transactions to be sent first.',
+            signed: 'Signed and about to be broadcast.',
+            sent: 'Broadcast to the network, waiting to be mined.',
+            mined: 'Mined! Your membership updates once the block is confirmed.',
+            failed: 'Nothing was charged for this request. Please try again.',
+            cancelled: 'Cancelled by an admin. Nothing was charged for this request.'
+        },
+        noChange: 'No change yet',
+        jobLoadFailed: '❌ Failed to load transaction status',
+        history: {
+            title: '📋 **Transaction History**',
+            empty: '📭 No transactions found.\n\nStart by registering for a membership plan!',
+            queued: 'queued for sending',
+            awaitingSignature: 'awaiting signature',
+            total: {
+                one: '**Total:** {count} transaction shown',
+                other: '**Total:** {count} transactions shown'
+            },
+            failed: '❌ Failed to load transaction history'
+        },
+        // Rejections of WalletVerificationService, SigningService and UserService, by error code
+        errors: {
+            noChallenge: 'No wallet verification pending for this address, please start again',
+            challengeExpired: 'Verification message has expired, please start again',
+            invalidSignature: 'Invalid signature format',
+            wrongSigner: 'Signature was not made by this wallet',
+            challengeUsed: 'Verification message was already used',
+            walletTaken: 'Wallet address is already linked to another account',
+            requestNotFound: 'Signing request not found',
+            requestClosed: 'Signing request is already {status}',
+            requestExpired: 'Signing request has expired, please start again',
+            invalidTxHash: 'Invalid transaction hash format',
+            txNotFound: 'Transaction not found on the network yet, please try again in a moment',
+            txMismatch: 'Transaction does not match this signing request'
+        }
+    },
+
+    faucet: {
+        intro: `🚰 **{network} Faucet**
+
+Get test tokens to try registering and upgrading:
+• **{usdt} USDT** (test token)
+• **{bnb} {symbol}** for gas, if your wallet is low`,
+        unavailable: '⚠️ The faucet is not available right now. Please try again later.',
+        walletRequired: '💳 Link your wallet with /wallet first, then come back here.',
+        wallet: '**Wallet:** `{address}`',
+        lastClaim: '**📋 Last Claim:**',
+        canClaim: {
+            one: '✅ You can claim now ({count} claim left).',
+            other: '✅ You can claim now ({count} claims left).'
+        },
+        nextClaim: 'Next claim: {date}.',
+        moreGas: 'More {symbol}: {url}',
+        loadFailed: '❌ Failed to load the faucet. Please try again.',
+        claimQueuedShort: '🚰 Claim queued',
+        claimQueued: `🚰 **Faucet Claim Queued**
+
+{claim}
+
+The tokens arrive once the transactions are mined, usually within a minute. Then try /register!`,
+        claimFailed: '❌ Failed to process your faucet claim. Please try again.',
+        claim: `• **Status:** {status}
+• **Requested:** {requested}
+• **USDT:** {usdt}{hash}`,
+        claimGas: '• **Gas top-up:** {amount} {symbol}{hash}',
+        claimError: '• **Error:** {error}',
+        status: {
+            queued: '⏳ Sending',
+            completed: '✅ Completed',
+            failed: '❌ Failed'
+        },
+        // Reasons a claim is refused, by FaucetService code
+        errors: {
+            mainnet: '🚫 The faucet is only available on testnets.',
+            disabled: 'The faucet is not available right now.',
+            noWallet: 'Link a wallet with /wallet first.',
+            inProgress: 'Your claim is already being processed.',
+            claimsUsed: 'You have used all {max} faucet claims.',
+            cooldown: 'You already claimed recently.',
+            dailyLimit: 'The faucet has reached its limit for today.'
+        }
+    },
+
+    exit: {
+        signingDisabled: `🚪 **Exit Membership**
+
+Exiting has to be signed with the wallet you registered with, and wallet signing is not enabled on this bot.
+
+Please contact support to leave your membership.`,
+        noMembership: '⚠️ Your wallet has no active membership on-chain.',
+        notMember: '⚠️ You have no active membership to exit.',
+        walletRequired: '💳 Connect the wallet you registered with using /wallet first.',
+        lockedUntil: '🔒 **Locked until:** {date} ({left} left)',
+        lockExpired: '🔓 **Lock expired:** {date}',
+        preview: `🚪 **Exit Membership**
+
+**📋 Your Membership:**
+• **Plan:** {plan}
+• **Registered:** {registered}
+{lock}
+
+{refund}
+
+**⚠️ When you exit:**
+• Your plan level and cycle position are removed
+• You stop earning referral commissions
+• Rejoining later means registering and paying again`,
+        lockNotice: 'Memberships can only be exited 30 days after registration. Come back once the lock expires.',
+        refundEstimate: '**💰 Estimated Refund:** {amount} USDT, paid by the contract to your wallet',
+        refundUnknown: '**💰 Refund:** could not be estimated right now. We\'ll tell you the amount once the exit is confirmed on-chain.',
+        loadFailed: '❌ Failed to load exit details. Please try again.',
+        notAvailable: '❌ Exit is not available yet',
+        finalConfirmation: `⚠️ **Are you absolutely sure?**
+
+You are about to end your **{plan}** membership.
+{refund}
+
+**This cannot be undone.**`,
+        confirmationFailed: '❌ Failed to show confirmation',
+        preparing: '🔄 Preparing exit...',
+        signatureRequired: `✍️ **Sign Your Exit**
+
+**📋 Transaction Details:**
+• **Action:** Exit membership
+• **From:** \`{from}\`
+• **Contract:** \`{contract}\`
+
+**📱 How to sign:**
+1. Tap your wallet below to open the signing page
+2. Check the details and confirm in your wallet
+3. We'll notify you with the refund once the exit is confirmed on-chain
+
+⏰ This request expires in {expires}.`,
+        failed: `❌ **Exit Failed**
+
+**Error:** {error}
+
+Your membership is unchanged. Please try again later or contact support.`
+    },
+
+    // Requirement checks and USDT approval messages shared by registration and upgrades
+    payment: {
+        walletNotConnected: '❌ Wallet not connected',
+        requirements: {
+            walletConnected: '✅ Wallet connected',
+            usdtOk: '✅ Sufficient USDT balance',
+            usdtShort: '❌ Need {amount} more USDT',
+            gasOk: '✅ Sufficient BNB for gas',
+            gasShort: '❌ Need BNB for gas fees',
+            walletMissing: '❌ Wallet not connected',
+            unavailable: '⚠️ Unable to check requirements'
+        },
+        approvalFailed: `❌ **USDT Approval Failed**
+
+Your approval transaction was reverted, so no USDT can be spent yet.
+
+Please check your BNB balance for gas and try again.`,
+        approvalConfirmed: '✅ **USDT approval confirmed!**'
+    },
+
+    register: {
+        startFirst: '❌ Please use /start first to create your account.',
+        failedShort: '❌ Registration failed. Please try again.',
+        failedCallback: '❌ Registration failed',
+        start: `🚀 **Start Your Crypto Membership Journey!**
+
+👋 Welcome {name}! Let's get you registered.
+
+**🎯 What you'll get:**
+• 💎 Exclusive NFT membership token
+• 💰 Earn commissions from referrals
+• ⬆️ Upgrade opportunities
+• 🌟 VIP community access
+
+**📋 Registration Requirements:**
+• ✅ BSC wallet (MetaMask, Trust Wallet, etc.)
+• ✅ Sufficient USDT for membership fee
+• ✅ Small amount of BNB for gas fees
+
+**💡 Important Notes:**
+• All memberships start with Plan 1
+• You can upgrade to higher plans later
+• Registration fee includes your NFT token
+• Commissions are paid instantly to your wallet
+
+Ready to begin? 🚀`,
+        alreadyRegistered: `✅ **Already Registered!**
+
+You're already a registered member! 🎉
+
+**👤 Your Membership:**
+• **Plan:** {plan} (Level {level})
+• **Status:** Active Member 💎
+• **Referrals:** {referrals}
+• **Earnings:** {earnings} USDT
+
+**🚀 What you can do:**
+• Share your referral code to earn commissions
+• Upgrade to higher plans for better rewards
+• Track your earnings and progress
+
+Want to upgrade to a higher plan? 📈`,
+        alreadyRegisteredShort: '❌ Already registered',
+        planUnavailable: '❌ Plan information not available',
+        planLoadFailed: '❌ Failed to load plan information',
+        plan: `📋 **Membership Registration - Plan 1**
+
+🎯 **All new members start with Plan 1 (Starter Plan)**
+
+**💎 {name} Plan Details:**
+• **Price:** {price} USDT
+• **Commission Rate:** 30% on referrals
+• **Current Cycle:** {cycle}
+• **Cycle Progress:** {progress}
+• **NFT Token:** Included ✅
+
+**💰 Earnings Potential:**
+• Earn {perReferral} USDT per referral
+• Instant payments to your wallet
+• Upgrade path to higher plans available
+
+**🔄 How Cycles Work:**
+• Each plan has cycles of {cycleSize} members
+• When a cycle fills, a new one starts
+• All members in the same cycle level
+
+**⚡ Next Steps:**
+1. Connect your BSC wallet
+2. Ensure you have {price} USDT + gas fees
+3. Confirm registration
+4. Receive your NFT membership token
+
+Ready to join? 🚀`,
+        plan1Only: '❌ New members must start with Plan 1',
+        selectFailed: '❌ Failed to select plan',
+        confirm: `✅ **Confirm Registration**
+
+**📋 Registration Details:**
+• **Plan:** {name} (Level {level})
+• **Price:** {price} USDT
+• **Your Wallet:** \`{wallet}\`
+• **Sponsor:** {sponsor}
+• **Commission Rate:** 30%
+
+**💰 Transaction Breakdown:**
+• **Total Cost:** {price} USDT
+• **Your Future Earnings:** {perReferral} USDT per referral
+• **Gas Fees:** ~0.001 BNB (additional)
+
+**⚠️ Requirements Check:**
+{requirements}
+
+**🔄 What happens next:**
+1. You confirm this registration
+2. Approve USDT spending in your wallet
+3. Complete the transaction
+4. Receive your NFT membership token
+5. Start earning from referrals!
+
+**📱 Make sure your wallet app is ready!**
+
+Are you ready to proceed? 🚀`,
+        confirmFailed: '❌ Failed to show confirmation',
+        processingShort: '🔄 Processing registration...',
+        processing: `🔄 **Processing Your Registration...**
+
+**⏳ Please wait while we:**
+1. Verify your wallet balance
+2. Prepare the smart contract transaction
+3. Check network conditions
+
+**📱 Your wallet may prompt you to:**
+• Approve USDT spending
+• Confirm the transaction
+• Pay gas fees
+
+**⚠️ Important:**
+• Keep this chat open
+• Don't close your wallet app
+• Wait for confirmation
+
+Processing... 🔄`,
+        success: `🎉 **Registration Successful!**
+
+**✅ Transaction Queued Successfully!**
+
+**📋 Transaction Details:**
+• **Plan:** {name} (Level {level})
+• **Amount:** {price} USDT
+{job}
+
+**⏳ What's happening now:**
+1. Transaction is being sent and confirmed on {network}
+2. Your NFT membership token is being minted
+3. You'll be notified when complete
+
+**📱 Next Steps:**
+• Save your transaction hash for reference
+• Your membership will be active once confirmed
+• Start sharing your referral code to earn!
+
+**🎯 Your Referral Code:** \`{referralCode}\`
+
+We'll notify you when your membership is fully activated! 🚀`,
+        loading: 'Loading...',
+        signatureRequired: `✍️ **Sign Your Registration**
+
+**✅ Everything checks out! Your transaction is ready.**
+
+**📋 Transaction Details:**
+• **Plan:** {name} (Level {level})
+• **Amount:** {price} USDT
+• **From:** \`{from}\`
+• **Contract:** \`{contract}\`
+
+**📱 How to sign:**
+1. Tap your wallet below to open the signing page
+2. Check the details and confirm in your wallet
+3. We'll track the transaction automatically
+
+**💡 Signed somewhere else?** Tap "Paste Tx Hash" and send us the hash.
+
+⏰ This request expires in {expires}.`,
+        resumeQueued: `Your registration transaction was queued:
+{job}
+
+We'll notify you when your membership is active! 🚀`,
+        resumeFailed: "We couldn't prepare your registration yet: {error}",
+        approvalLink: `💳 **USDT Approval Required**
+
+**⚠️ Before registration, you need to approve USDT spending.**
+
+**📋 Approval Details:**
+• **Amount:** {price} USDT
+• **Spender:** NFT Contract
+• **Purpose:** Membership payment
+
+**📱 Steps to approve:**
+1. Tap your wallet below and confirm the approval
+2. We'll detect the approval on-chain
+3. Your registration is sent to you to sign automatically
+
+**💡 This is a one-time approval for this amount.**`,
+        approvalManual: `💳 **USDT Approval Required**
+
+**⚠️ Before registration, you need to approve USDT spending.**
+
+**📋 Approval Details:**
+• **Amount:** {price} USDT
+• **Spender:** NFT Contract
+• **Purpose:** Membership payment
+
+**📱 Steps to approve:**
+1. Open your wallet app (MetaMask, Trust Wallet, etc.)
+2. Go to the USDT token
+3. Approve spending for the NFT contract
+4. Return here and try registration again
+
+**🔗 Contract Address:**
+\`{contract}\`
+
+**💡 This is a one-time approval for this amount.**
+
+Once approved, return here to complete registration! 🚀`,
+        failed: `❌ **Registration Failed**
+
+**😔 Something went wrong with your registration.**
+
+**Error:** {error}
+
+**🔧 Possible solutions:**
+• Check your USDT balance
+• Ensure sufficient BNB for gas
+• Verify wallet connection
+• Check network connection
+• Try again in a few minutes
+
+**💡 Common issues:**
+• Insufficient USDT balance
+• Need to approve USDT spending first
+• Network congestion (try later)
+• Wallet not connected properly
+
+Need help? Contact support! 🆘`,
+        walletRequired: `💳 **Wallet Required**
+
+**⚠️ You need to connect a BSC wallet before registering.**
+
+**🔗 Supported Wallets:**
+• MetaMask (Recommended)
+• Trust Wallet
+• SafePal
+• Any BSC-compatible wallet
+
+**📱 Setup Steps:**
+1. Install a wallet app
+2. Create or import your wallet
+3. Add BSC (Binance Smart Chain) network
+4. Get some USDT and BNB
+5. Return here to connect
+
+**💰 You'll need:**
+• USDT for membership fee
+• Small amount of BNB for gas fees
+
+Ready to connect your wallet? 🚀`,
+        sponsorOwner: 'Owner (Default Sponsor)',
+        sponsorUnknown: 'Unknown Sponsor'
+    },
+
+    upgrade: {
+        loadFailed: '❌ Failed to load upgrade options.',
+        infoFailed: '❌ Failed to load upgrade information.',
+        planUnavailable: '❌ Unable to load plan information.',
+        notRegistered: `⚠️ **Registration Required**
+
+You need to register for a membership plan before you can upgrade.
+
+**🚀 Get started:**
+• Choose a membership plan
+• Connect your BSC wallet
+• Complete registration
+• Then you can upgrade to higher levels!
+
+Ready to begin? 💪`,
+        maxLevel: `🏆 **Maximum Level Reached!**
+
+Congratulations! You've reached the highest membership level!
+
+**👑 Your Current Status:**
+• **Plan:** {plan} (Level {level})
+• **Commission Rate:** 36%
+• **Status:** Elite Member
+
+**🎉 Elite Benefits:**
+• Highest commission rate (36%)
+• Maximum earning potential
+• Exclusive elite community access
+• Priority support
+• Special recognition
+
+**💪 Keep Growing:**
+• Focus on building your referral network
+• Help your referrals upgrade their levels
+• Maximize your earning potential
+• Enjoy your elite status!
+
+You're at the top! Keep building your empire! 👑`,
+        options: `⬆️ **Plan Upgrade Available**
+
+**📊 Current Membership:**
+• **Plan:** {currentName} (Level {currentLevel})
+• **Price Paid:** {currentPrice} USDT
+• **Commission Rate:** {currentRate}%
+
+**🚀 Upgrade to:**
+• **Plan:** {nextName} (Level {nextLevel})
+• **Total Price:** {nextPrice} USDT
+• **Upgrade Cost:** {cost} USDT
+• **New Commission Rate:** {nextRate}%
+
+**💰 Upgrade Benefits:**
+• Higher commission rate on all referrals
+• Increased earning potential
+• Access to premium features
+• Enhanced membership status
+
+**📈 ROI Calculation:**
+• Need {breakEven} referrals to break even
+• Every additional referral = {perReferral} USDT profit
+
+Ready to upgrade? 🎯`,
+        mustRegister: '❌ Must be registered to upgrade',
+        nextLevelOnly: '❌ Can only upgrade to next level',
+        confirm: `✅ **Confirm Plan Upgrade**
+
+**📋 Upgrade Details:**
+• **From:** {fromName} (Level {fromLevel})
+• **To:** {toName} (Level {toLevel})
+• **Upgrade Cost:** {cost} USDT
+• **Your Wallet:** \`{wallet}\`
+
+**💰 Transaction Breakdown:**
+• **Amount:** {cost} USDT
+• **Gas Fee:** ~0.001 BNB (additional)
+• **New Commission Rate:** {rate}%
+
+**⚠️ Requirements Check:**
+{requirements}
+
+**🔄 What happens next:**
+1. You confirm this upgrade
+2. Approve USDT spending (if needed)
+3. Complete the blockchain transaction
+4. Your plan level increases immediately
+5. Start earning higher commissions!
+
+**📱 Make sure your wallet app is ready!**
+
+Proceed with upgrade? 🚀`,
+        invalidState: '❌ Invalid user state',
+        invalidPath: '❌ Invalid upgrade path',
+        failedCallback: '❌ Upgrade failed',
+        processingShort: '🔄 Processing upgrade...',
+        processing: `🔄 **Processing Your Upgrade...**
+
+**⏳ Please wait while we:**
+1. Verify your wallet balance
+2. Calculate upgrade cost
+3. Prepare the smart contract transaction
+4. Check network conditions
+
+**📱 Your wallet may prompt you to:**
+• Approve additional USDT spending
+• Confirm the upgrade transaction
+• Pay gas fees
+
+**⚠️ Important:**
+• Keep this chat open
+• Don't close your wallet app
+• Wait for confirmation
+
+Processing upgrade... 🔄`,
+        success: `🎉 **Upgrade Successful!**
+
+**✅ Transaction Queued Successfully!**
+
+**📋 Upgrade Details:**
+• **New Plan:** {name} (Level {level})
+• **New Commission Rate:** {rate}%
+{job}
+
+**⏳ What's happening now:**
+1. Transaction is being sent and confirmed on {network}
+2. Your membership level will update automatically
+3. New commission rate takes effect immediately
+4. You'll be notified when complete
+
+**🎯 Your Benefits:**
+• Higher commissions on all future referrals
+• Enhanced membership status
+• Access to premium features
+
+**💪 Start earning more with your upgraded plan!**
+
+We'll notify you when your upgrade is fully confirmed! 🚀`,
+        signatureRequired: `✍️ **Sign Your Upgrade**
+
+**✅ Everything checks out! Your transaction is ready.**
+
+**📋 Transaction Details:**
+• **New Plan:** {name} (Level {level})
+• **Upgrade Cost:** {cost} USDT
+• **From:** \`{from}\`
+• **Contract:** \`{contract}\`
+
+**📱 How to sign:**
+1. Tap your wallet below to open the signing page
+2. Check the details and confirm in your wallet
+3. We'll track the transaction automatically
+
+**💡 Signed somewhere else?** Tap "Paste Tx Hash" and send us the hash.
+
+⏰ This request expires in {expires}.`,
+        resumeQueued: `Your upgrade transaction was queued:
+{job}
+
+We'll notify you when your upgrade is confirmed! 🚀`,
+        resumeFailed: "We couldn't prepare your upgrade yet: {error}",
+        approvalLink: `💳 **USDT Approval Required**
+
+**⚠️ Before upgrading, you need to approve additional USDT spending.**
+
+**📋 Approval Details:**
+• **Additional Amount:** {amount} USDT
+• **Spender:** NFT Contract
+• **Purpose:** Plan upgrade payment
+
+**📱 Steps to approve:**
+1. Tap your wallet below and confirm the approval
+2. We'll detect the approval on-chain
+3. Your upgrade is sent to you to sign automatically
+
+**💡 This approves only the upgrade amount.**`,
+        approvalManual: `💳 **USDT Approval Required**
+
+**⚠️ Before upgrading, you need to approve additional USDT spending.**
+
+**📋 Approval Details:**
+• **Additional Amount:** {amount} USDT
+• **Spender:** NFT Contract
+• **Purpose:** Plan upgrade payment
+
+**📱 Steps to approve:**
+1. Open your wallet app
+2. Go to the USDT token
+3. Approve spending for the upgrade amount
+4. Return here and try upgrade again
+
+**🔗 Contract Address:**
+\`{contract}\`
+
+**💡 This approves only the upgrade amount.**
+
+Once approved, return here to complete your upgrade! 🚀`,
+        failed: `❌ **Upgrade Failed**
+
+**😔 Something went wrong with your upgrade.**
+
+**Error:** {error}
+
+**🔧 Possible solutions:**
+• Check your USDT balance for upgrade cost
+• Ensure sufficient BNB for gas fees
+• Verify wallet connection is active
+• Check network connection stability
+• Try again in a few minutes
+
+**💡 Common issues:**
+• Insufficient USDT for upgrade
+• Need to approve USDT spending first
+• Network congestion (try later)
+• Wallet disconnected during process
+
+**🔄 Next steps:**
+• Verify your balances
+• Try the upgrade again
+• Contact support if issues persist
+
+Don't worry, no funds were lost! 💪`,
+        walletRequired: `💳 **Wallet Required for Upgrade**
+
+**⚠️ You need a connected wallet to upgrade your plan.**
+
+**🔗 To upgrade:**
+1. Connect your BSC wallet using /wallet
+2. Ensure sufficient USDT for upgrade cost
+3. Have BNB for gas fees
+4. Return here to upgrade
+
+**💰 For upgrades you'll need:**
+• USDT for the upgrade cost difference
+• Small amount of BNB for transaction fees
+• Same wallet used for registration
+
+**Ready to connect your wallet?** 🚀`
+    },
+
+    // Messages sent outside a chat update (EventService, NotificationService), in the recipient's locale
+    notifications: {
+        registrationConfirmed: `🎉 **Registration Confirmed!**
+
+You are now a member on **Plan {plan}** (cycle {cycle}).
+
+**Hash:** \`{hash}\`
+
+Share your referral link to start earning! 🚀`,
+        upgradeConfirmed: `⬆️ **Upgrade Confirmed!**
+
+Your membership moved from Plan {from} to **Plan {to}**.
+
+**Hash:** \`{hash}\``,
+        membershipEnded: `🚪 **Membership Ended**
+
+Your exit was confirmed on-chain.
+
+**Refund:** {refund} USDT
+**Hash:** \`{hash}\``,
+        transferBlocked: `🔒 **Transfer Blocked**
+
+Membership NFT #{tokenId} is bound to your wallet and cannot be transferred.`,
+        types: {
+            register: 'register',
+            upgrade: 'upgrade',
+            exit: 'exit'
+        },
+        outcomes: {
+            register: '🎫 Your NFT membership has been minted!\n🚀 You can now start earning from referrals!',
+            upgrade: '⬆️ Your plan upgrade is complete!\n💰 Enjoy your higher commission rate!',
+            exit: '🚪 Your membership has ended and the refund was sent to your wallet.'
+        },
+        transactionConfirmed: `✅ **Transaction Confirmed!**
+
+🎉 Your transaction has been confirmed on the blockchain!
+
+**📋 Details:**
+• **Type:** {type}
+• **Amount:** {amount} USDT
+• **Hash:** \`{hash}\`
+• **Block:** {block}
+
+{outcome}
+
+Congratulations! 🎊`,
+        transactionFailed: `❌ **Transaction Failed**
+
+😔 Your transaction could not be completed.
+
+**📋 Details:**
+• **Type:** {type}
+• **Amount:** {amount} USDT
+• **Error:** {error}
+
+**🔧 What to do:**
+• Check your wallet balance
+• Ensure sufficient gas fees
+• Try the transaction again
+• Contact support if issue persists
+
+Don't worry, your funds are safe! 💪`,
+        unknownError: 'Unknown error',
+        newReferral: `🎉 **New Referral!**
+
+👤 **{name}** just joined using your referral code!
+
+**👥 Your Referral Stats:**
+• **Username:** @{username}
+• **Joined:** {joined}
+• **Status:** New member (not registered yet)
+
+💰 You'll earn commission when they register for a membership plan!
+
+🎯 Keep sharing: \`{referralCode}\`
+
+Great job building your network! 🚀`,
+        member: 'member',
+        commissionEarned: `💰 **Commission Earned!**
+
+🎊 You just earned a referral commission!
+
+**💵 Commission Details:**
+• **Amount:** {amount} USDT
+• **From:** @{from}
+• **Plan:** {plan}
+• **Transaction:** \`{hash}\`
+
+**📊 Your Stats:**
+• **Total Referrals:** {totalReferrals}
+• **Total Earnings:** {totalEarnings} USDT
+
+The commission has been sent directly to your wallet! 💳
+
+Keep up the great work! 🌟`,
+        welcome: `🎉 **Welcome to Crypto Membership NFT!**
+
+👋 Hi {name}! Welcome to our exclusive membership community!
+
+**🎯 What you can do now:**
+• 📋 Explore membership plans
+• 💳 Connect your BSC wallet
+• 🚀 Register for your first membership
+• 👥 Start referring friends and earn!
+
+**💡 Quick Start Guide:**
+1. Use /plans to see available memberships
+2. Use /wallet to connect your wallet
+3. Use /register to join a plan
+4. Share your referral code to earn!
+
+**🎁 Your Referral Code:** \`{referralCode}\`
+
+Ready to start earning? Let's go! 🚀`,
+        registrationReminder: `⏰ **Friendly Reminder**
+
+Hi {name}! You joined us {joined} ago.
+
+**🎯 Complete your membership registration to:**
+• 💰 Start earning referral commissions
+• 🎫 Get your exclusive NFT membership
+• 🌟 Access VIP community features
+• ⬆️ Unlock upgrade opportunities
+
+**🚀 Ready to get started?**
+Use /register to choose your membership plan!
+
+**💡 Need help?** Use /help for assistance.
+
+Don't miss out on earning opportunities! 💪`
+    },
+
+    // Refusals of the middleware that runs before i18n
+    guard: {
+        tooManyRequests: '⚠️ Too many requests. Please wait a moment before trying again.',
+        highLoad: '⚠️ High server load. Please try again in a few moments.',
+        inappropriate: '⚠️ Your message contains inappropriate content.',
+        personalInfo: '⚠️ For security reasons, please avoid sharing personal information.',
+        tooLong: '⚠️ Message too long. Please keep messages under 4000 characters.',
+        repeated: '⚠️ Please avoid sending the same message repeatedly.',
+        restricted: '❌ Your account has been restricted. Contact support for assistance.',
+        authError: '❌ Authentication error. Please try again.'
+    },
+
+    // Replies to messages and actions outside of a handler
+    messages: {
+        refreshing: '🔄 Refreshing...',
+        cancelled: '❌ Cancelled',
+        photo: '📷 Photo received, but I\'m not sure what to do with it. Use /help for assistance.',
+        contact: '📞 Contact received! However, I don\'t need your contact information.',
+        location: '📍 Location received! However, I don\'t need your location.',
+        error: '❌ An error occurred. Please try again or contact support.',
+        walletAddressHint: '💡 This looks like a wallet address! Use /wallet to connect your wallet.',
+        referralCodeHint: '💡 This looks like a referral code! Use /start to begin with a referral code.',
+        // One of these is picked at random
+        unknown: {
+            notSure: '🤔 I\'m not sure what you mean. Try using the menu buttons or type /help.',
+            useButtons: '💡 Use the buttons below or type /help to see what I can do!',
+            commands: '🎯 I understand commands better. Try /help to see available options.',
+            guidance: '🔤 I work better with buttons and commands. Type /help for guidance!'
+        },
+        unknownPagination: '❌ Unknown pagination type',
+        pageFailed: '❌ Error loading page'
+    },
+
+    // Admin panel, only shown to the IDs in ADMIN_USER_ID
+    admin: {
+        accessDenied: '❌ Access denied. Admin privileges required.',
+        accessDeniedShort: '❌ Access denied',
+        panelError: '❌ Admin panel error. Please try again.',
+        unknownAction: '❌ Unknown action',
+        actionFailed: '❌ Action failed',
+        none: 'None',
+        notAvailable: 'N/A',
+        notSynced: 'not synced yet',
+        panel: `🔧 **Admin Control Panel**
+
+**📊 Platform Overview:**
+• **Total Users:** {users}
+• **Active Members:** {members}
+• **New Today:** {newToday}
+• **Total Revenue:** {revenue} USDT
+
+**⚡ Quick Stats:**
+• **Pending Transactions:** {pending}
+• **Success Rate:** {successRate}%
+• **Commission Paid:** {commission} USDT
+
+**🔧 Admin Tools Available:**
+Use the buttons below to manage the platform.
+
+⚠️ **Admin Mode Active** - Handle with care!`,
+        panelStatsFailed: `🔧 **Admin Control Panel**
+
+❌ Error loading statistics.
+
+Basic admin functions are still available.`,
+        users: {
+            title: '👥 **User Management** (Page {page})',
+            empty: '📭 No users found.',
+            noUsername: 'no_username',
+            details: 'Plan: {plan} • Referrals: {referrals}',
+            chainPlan: ' • ⚠️ On-chain plan: {plan}',
+            total: '**Total:** {count} users',
+            loadFailed: '❌ Failed to load users'
+        },
+        stats: {
+            title: '📊 **Platform Statistics**',
+            platform: `**👥 User Analytics:**
+• Total Users: {users}
+• Active Members: {members}
+• Users with Wallets: {withWallet}
+• New (24h): {new24h}
+• New (7d): {new7d}
+
+**📝 Transaction Metrics:**
+• Total Transactions: {transactions}
+• Confirmed: {confirmed}
+• Pending: {pending}
+• Success Rate: {successRate}%
+
+**👥 Referral Performance:**
+• Total Referrals: {referrals}
+• Paid Referrals: {paidReferrals}
+• Commission Paid: {commission} USDT`,
+            popularPlans: '**🏆 Popular Plans:**',
+            planMembers: '• Plan {plan}: {count} members',
+            blockchain: `**⛓️ Blockchain Data:**
+• Total Members: {members}
+• Total Revenue: {revenue} USDT
+• Total Commission: {commission} USDT
+• Owner Funds: {ownerFunds} USDT
+• Fee Funds: {feeFunds} USDT`,
+            generated: '📅 **Generated:** {date}',
+            loadFailed: '❌ Failed to load statistics'
+        },
+        transactions: {
+            title: '💰 **Transaction History** (Page {page})',
+            empty: '📭 No transactions found.',
+            hash: 'Hash: `{hash}...`',
+            total: '**Total:** {count} transactions',
+            loadFailed: '❌ Failed to load transactions'
+        },
+        blockchain: {
+            title: '⛓️ **Blockchain Information**',
+            connection: `**🔗 Connection Status:**
+• Connected: {connected}
+• Network: {network} (Chain ID: {chainId})
+• Last Block: {lastBlock}
+• Finalized Block: {finalizedBlock}`,
+            contracts: `**📋 Contract Addresses:**
+• NFT Contract: \`{nft}\`
+• USDT Contract: \`{usdt}\``,
+            balances: `**💰 Contract Balances:**
+• Owner Funds: {ownerFunds} USDT
+• Fee System: {feeFunds} USDT
+• Fund Balance: {fundFunds} USDT
+
+**📊 Contract Stats:**
+• Total Members: {members}
+• Total Revenue: {revenue} USDT
+• Commission Paid: {commission} USDT`,
+            queue: `**📤 Operator Transaction Queue:**
+• Waiting: {waiting} • Sent: {sent}
+• Mined: {mined} • Failed: {failed}
+• Next Nonce: {nonce}`,
+            providers: '**🛰️ RPC Providers ({healthy}/{total} healthy):**',
+            provider: '• {icon} `{host}` • {latency} • {errorRate}% errors • lag {lag}',
+            noLatency: 'n/a',
+            loadFailed: '❌ Failed to load blockchain information'
+        },
+        reserves: {
+            notChecked: '**🧮 Reserves:** not checked yet',
+            title: '**🧮 Reserves {icon}** (block {block}, {date}):',
+            lowestDrift: '• Lowest drift (24h): {percent}% over {checks} checks',
+            running: '⏳ A reserve check is already running',
+            checkFailed: '❌ Reserve check failed',
+            checkFailedDetails: '❌ Reserve check failed: {error}'
+        },
+        emergency: {
+            none: '**🚨 Emergency Withdrawal:** none requested',
+            requested: `**🚨 Emergency Withdrawal Requested:**
+• Requested: {requested}
+• Timelock: {countdown} (ends {unlocks})
+• Origin: {origin}`,
+            originProposal: 'approved admin proposal',
+            originUnknown: '⚠️ not sent by this bot',
+            executable: '⚠️ Can be executed now'
+        },
+        broadcast: {
+            prompt: `📢 **Broadcast Message**
+
+Send a message to all active users.
+
+**⚠️ Important:**
+• Message will be sent to ALL active users
+• Use this feature responsibly
+• Include clear and valuable information
+• Avoid spam or frequent messages
+
+**📊 Current Recipients:**
+• Active users who will receive the message
+• Rate limiting: 1 message per second
+• Delivery report will be provided
+
+Type your broadcast message:`,
+            prepareFailed: '❌ Broadcast preparation failed',
+            confirm: `📢 **Confirm Broadcast**
+
+**Message Preview:**
+"{preview}"
+
+**📊 Delivery Details:**
+• Recipients: {recipients} active users
+• Estimated time: {minutes} minutes
+• Rate limit: 1 msg/second
+
+⚠️ **This action cannot be undone!**
+
+Proceed with broadcast?`,
+            noMessage: '❌ No message to broadcast',
+            starting: '📢 Starting broadcast...',
+            sending: `📢 **Broadcasting...**
+
+🔄 Sending your message to all users...
+
+This may take several minutes. You'll receive a report when complete.`,
+            complete: `📢 **Broadcast Complete!**
+
+**📊 Delivery Report:**
+• ✅ Sent: {sent}
+• ❌ Failed: {failed}
+• 📱 Total: {total}
+• 📈 Success Rate: {successRate}%
+
+Broadcast completed successfully! 🎉`,
+            failed: '❌ Broadcast failed. Please try again.'
+        },
+        reindex: {
+            usage: `🔄 **Re-index Events**
+
+Usage: \`/reindex <fromBlock> [toBlock]\`
+
+Indexed up to block: {block}`,
+            started: '🔄 Re-indexing blocks {from}-{to}...',
+            complete: `✅ Re-indexed blocks {from}-{to}
+
+New events stored: {stored}`,
+            failed: '❌ Re-index failed: {error}',
+            startFailed: '❌ Re-index failed to start'
+        },
+        reconcile: {
+            started: '🧮 Reconciliation started',
+            startedMode: '🧮 Reconciliation started ({mode})...',
+            modeDryRun: 'dry run',
+            modeFix: 'fix',
+            complete: `✅ Reconciliation #{id} complete
+
+• Checked: {checked}
+• Drifted: {drifted}
+• Fixed: {fixed}
+• Errors: {errors}`,
+            failed: '❌ Reconciliation failed: {error}',
+            startFailed: '❌ Reconciliation failed to start',
+            title: '🧮 **Member Reconciliation**',
+            noRuns: 'No reconciliation has run yet.',
+            lastRun: `**Last Run #{id}** ({mode})
+• Status: {status}
+• Started: {started}
+• Block: {block}
+• Checked: {checked}
+• Drifted: {drifted}
+• Fixed: {fixed}
+• Errors: {errors}`,
+            drift: '**Drift:**',
+            more: '...and {count} more'
+        },
+        session: {
+            overview: `🗂 **Bot Sessions**
+
+Usage: \`/session <telegram_id>\`
+
+• Stored: {total}
+• Active in the last hour: {active}
+• Expired, awaiting cleanup: {expired}`,
+            loadFailed: '❌ Failed to load the session',
+            title: '🗂 **Session of {id}**{name}',
+            unknownName: 'Unknown',
+            empty: 'No stored session. The next update starts a new one.',
+            details: `**Key:** \`{key}\`
+• Scene: {scene}
+• Updated: {updated}
+• Expires: {expires}{expired}`,
+            noScene: 'none',
+            expired: ' (expired)',
+            invalidData: '• ⚠️ Data is not valid JSON',
+            removed: {
+                one: '🧹 Removed {count} session',
+                other: '🧹 Removed {count} sessions'
+            },
+            reset: `🧹 **Session Reset**
+
+User {id} starts over from a new session on their next message.`
+        },
+        queue: {
+            title: `📤 **Operator Transaction Queue**
+
+• Waiting: {waiting} • Sent: {sent} • Unknown: {unknown}
+• Mined: {mined} • Failed: {failed} • Cancelled: {cancelled}
+• Next Nonce: {nonce}
+• Gas: {strategy} strategy, max {maxGas} gwei`,
+            waitingForGas: '⛽ Paused until network gas drops below the maximum',
+            empty: '✅ Nothing in flight.',
+            inFlight: '**In Flight:**',
+            unsigned: 'unsigned',
+            job: '• #{id} {type} • {status} • nonce {nonce} • {gas}',
+            cancelling: 'cancelling',
+            bumped: 'bumped {count}x',
+            confirmCancel: `🛑 **Cancel Queue Job #{id}?**
+
+Unsent jobs are dropped from the queue. Sent ones are replaced at the same nonce with a zero-value transfer to the operator wallet at a higher gas price; if the original is mined first, the cancel has no effect.
+
+The member is notified that the transaction was cancelled.`,
+            speedUpSent: '⚡ Speed-up sent',
+            cancelled: '🛑 Cancelled',
+            cancelSent: '🛑 Cancel sent',
+            result: `{outcome} for job #{id}
+
+• Status: {status}`,
+            hash: '• Hash: `{hash}`'
+        },
+        contract: {
+            title: `🏛️ **Contract Administration**
+
+Every call is simulated first and runs only after a **second admin** approves it.`,
+            singleAdmin: '⚠️ Only one admin is configured in ADMIN\\_USER\\_ID, so proposals cannot be approved.',
+            pending: '**⏳ Waiting for Approval:**',
+            pendingProposal: '• #{id} `{method}` by `{proposer}` • expires {expires}',
+            recent: '**📜 Recent:**',
+            simulating: '🧪 Simulating...',
+            params: `🏛️ **{label}** (\`{method}\`)
+{state}
+Send the parameters in one message:
+\`{usage}\`
+
+Amounts are in USDT, on/off for switches.`,
+            invalidParams: `❌ {error}
+
+Try again or tap Cancel.`,
+            notProposed: '❌ {method} was not proposed: {error}',
+            awaitingApproval: '⏳ Waiting for a second admin to approve.',
+            approvalRequired: '🔐 Your approval is required.',
+            proposal: `🏛️ **Proposal #{id}: {label}**
+
+**Function:** \`{method}\`
+{details}
+🧪 **Simulation:** ✅ succeeds, ~{gas} gas
+👤 **Proposed by:** \`{proposer}\`
+⏰ **Expires:** {expires}`,
+            parameters: '**Parameters:**',
+            current: '**Current:** {state}',
+            rejectedToast: '❌ Proposal #{id} rejected',
+            rejected: '❌ Proposal #{id} (`{method}`) rejected by `{admin}`.',
+            simulatingAgain: '🧪 Simulating again...',
+            approved: `✅ **Proposal #{id} approved**
+
+\`{method}\` was simulated again and queued as operator job #{job}.
+Follow it in 📤 Tx Queue; the result shows under 🏛️ Contract Settings.`,
+            approvedNotice: '✅ Your proposal #{id} ({method}) was approved by {admin} and queued.',
+            failed: '❌ Proposal #{id}: {error}'
+        }
+    }
+};
@@ -0,0 +1,2387 @@
+// src/locales/th.js
+// Thai catalog. Keys missing here fall back to English (see utils/i18n.js).
+module.exports = {
+    errors: {
+        generic: '❌ เกิดข้อผิดพลาด กรุณาลองใหม่อีกครั้ง',
+        timeout: '⏱️ คำขอหมดเวลา กรุณาลองใหม่อีกครั้ง',
+        rateLimit: '⚠️ ส่งคำขอบ่อยเกินไป กรุณารอสักครู่',
+        maintenance: '🔧 บอทอยู่ระหว่างปรับปรุง กรุณาลองใหม่ภายหลัง',
+        userNotFound: '❌ ไม่พบผู้ใช้ กรุณาใช้ /start เพื่อลงทะเบียน',
+        accessDenied: '🔒 ไม่อนุญาตให้เข้าถึง คุณไม่มีสิทธิ์',
+        invalidInput: '❌ ข้อมูลไม่ถูกต้อง กรุณาตรวจสอบข้อมูลของคุณ',
+        networkError: '🌐 เครือข่ายขัดข้อง กรุณาตรวจสอบการเชื่อมต่อ',
+        walletRequired: '💳 ต้องเชื่อมต่อกระเป๋าเงินก่อนทำรายการนี้',
+        registrationRequired: '📋 ต้องลงทะเบียนสมาชิกก่อน',
+        insufficientBalance: '💰 ยอดเงินไม่เพียงพอสำหรับธุรกรรมนี้',
+        transactionFailed: '❌ ธุรกรรมล้มเหลว กรุณาลองใหม่อีกครั้ง',
+        somethingWentWrong: '❌ เกิดข้อผิดพลาด',
+        tryLater: '❌ เกิดข้อผิดพลาด กรุณาลองใหม่ภายหลัง'
+    },
+
+    success: {
+        registered: '✅ ลงทะเบียนสำเร็จ! ยินดีต้อนรับสู่ชุมชนของเรา!',
+        upgraded: '🚀 อัปเกรดแพ็กเกจสำเร็จ! เพลิดเพลินกับสิทธิประโยชน์ใหม่!',
+        walletConnected: '💳 เชื่อมต่อกระเป๋าเงินสำเร็จ!',
+        transactionConfirmed: '✅ ธุรกรรมได้รับการยืนยันบนบล็อกเชนแล้ว!',
+        referralShared: '👥 แชร์รหัสแนะนำสำเร็จ!',
+        profileUpdated: '📝 อัปเดตโปรไฟล์สำเร็จ!',
+        default: '✅ ดำเนินการสำเร็จ!'
+    },
+
+    runtimeErrors: {
+        timeout: '⏱️ คำขอหมดเวลา กรุณาลองใหม่อีกครั้ง',
+        network: '🌐 เครือข่ายขัดข้อง กรุณาตรวจสอบการเชื่อมต่อ',
+        database: '🗄️ ฐานข้อมูลขัดข้อง กรุณาลองใหม่ในอีกสักครู่',
+        blockchain: '⛓️ เชื่อมต่อบล็อกเชนไม่ได้ กรุณาลองใหม่อีกครั้ง',
+        validation: '❌ ข้อมูลไม่ถูกต้อง กรุณาตรวจสอบข้อมูลของคุณ',
+        permission: '🔒 ไม่อนุญาต คุณไม่มีสิทธิ์ใช้ฟีเจอร์นี้',
+        rate_limit: '⚠️ ส่งคำขอบ่อยเกินไป กรุณารอก่อนลองใหม่',
+        unknown: '❌ เกิดข้อผิดพลาด กรุณาลองใหม่หรือติดต่อฝ่ายสนับสนุน'
+    },
+
+    contractErrors: {
+        message: `❌ **{title}**
+
+{explanation}
+
+**👉 สิ่งที่คุณทำได้:**
+{nextSteps}
+
+รหัสข้อผิดพลาด: \`{code}\``,
+        AlreadyMember: {
+            title: 'เป็นสมาชิกอยู่แล้ว',
+            explanation: 'กระเป๋าเงินนี้ลงทะเบียนกับสัญญาสมาชิกไว้แล้ว',
+            nextSteps: '• ตรวจสอบสมาชิกภาพในโปรไฟล์ของคุณ\n• อัปเกรดเป็นแพ็กเกจถัดไปแทนการลงทะเบียนใหม่'
+        },
+        NotMember: {
+            title: 'ยังไม่เป็นสมาชิก',
+            explanation: 'กระเป๋าเงินนี้ไม่มีสมาชิกภาพที่ใช้งานอยู่ในสัญญา',
+            nextSteps: '• ลงทะเบียนแพ็กเกจก่อน\n• ตรวจสอบว่าเชื่อมต่อกระเป๋าเงินที่ใช้ลงทะเบียน'
+        },
+        InactivePlan: {
+            title: 'แพ็กเกจไม่พร้อมใช้งาน',
+            explanation: 'แพ็กเกจนี้ถูกปิดใช้งานในสัญญาอยู่ในขณะนี้',
+            nextSteps: '• เลือกแพ็กเกจอื่น\n• ลองใหม่ภายหลังเมื่อแพ็กเกจเปิดใช้งานอีกครั้ง'
+        },
+        InvalidPlanID: {
+            title: 'ไม่พบแพ็กเกจ',
+            explanation: 'สัญญาไม่มีแพ็กเกจตามรหัสนี้',
+            nextSteps: '• เลือกแพ็กเกจจากรายการปัจจุบัน'
+        },
+        NextPlanOnly: {
+            title: 'อัปเกรดได้ทีละระดับ',
+            explanation: 'ต้องอัปเกรดแพ็กเกจตามลำดับ และย้ายได้เฉพาะแพ็กเกจถัดจากแพ็กเกจปัจจุบันเท่านั้น',
+            nextSteps: '• อัปเกรดเป็นระดับถัดไปก่อน'
+        },
+        Plan1Only: {
+            title: 'เริ่มต้นที่แพ็กเกจ 1',
+            explanation: 'สมาชิกใหม่ต้องลงทะเบียนที่แพ็กเกจ 1 แล้วค่อยอัปเกรดต่อ',
+            nextSteps: '• ลงทะเบียนแพ็กเกจ 1\n• อัปเกรดทีละขั้นหลังลงทะเบียนแล้ว'
+        },
+        UplineNotMember: {
+            title: 'ผู้แนะนำยังไม่เป็นสมาชิก',
+            explanation: 'ผู้แนะนำของคุณไม่มีสมาชิกภาพที่ใช้งานอยู่ สัญญาจึงไม่ยอมรับเป็นอัปไลน์',
+            nextSteps: '• ขอให้ผู้แนะนำลงทะเบียนก่อน\n• หรือเริ่มใหม่ด้วย /start และรหัสแนะนำอื่น'
+        },
+        UplinePlanLow: {
+            title: 'แพ็กเกจของผู้แนะนำต่ำเกินไป',
+            explanation: 'แพ็กเกจของผู้แนะนำต่ำกว่าแพ็กเกจที่คุณเลือก และสมาชิกไม่สามารถอยู่สูงกว่าอัปไลน์ได้',
+            nextSteps: '• เลือกแพ็กเกจที่ไม่สูงกว่าระดับของผู้แนะนำ\n• หรือขอให้ผู้แนะนำอัปเกรดก่อน'
+        },
+        Paused: {
+            title: 'สัญญาหยุดชั่วคราว',
+            explanation: 'ผู้ดูแลได้หยุดสัญญาสมาชิกไว้ชั่วคราว ยังไม่มีการหักเงินใดๆ',
+            nextSteps: '• ลองใหม่ภายหลัง\n• ติดตามประกาศจากทีมงาน'
+        },
+        ThirtyDayLock: {
+            title: 'สมาชิกภาพยังถูกล็อก',
+            explanation: 'สามารถออกจากสมาชิกได้หลังลงทะเบียนครบ 30 วันเท่านั้น',
+            nextSteps: '• ดูวันที่ปลดล็อกด้วย /exit\n• กลับมาอีกครั้งเมื่อพ้นระยะล็อกแล้ว'
+        },
+        InvalidAmount: {
+            title: 'จำนวนเงินไม่ถูกต้อง',
+            explanation: 'สัญญาปฏิเสธจำนวนเงินสำหรับแพ็กเกจนี้',
+            nextSteps: '• รีเฟรชรายละเอียดแพ็กเกจแล้วลองใหม่'
+        },
+        LowFundBalance: {
+            title: 'เงินในสัญญาไม่เพียงพอ',
+            explanation: 'ขณะนี้สัญญามีเงินไม่พอสำหรับการจ่ายรายการนี้',
+            nextSteps: '• ลองใหม่ภายหลัง\n• ติดต่อฝ่ายสนับสนุนหากยังเกิดขึ้นซ้ำ'
+        },
+        SafeERC20FailedOperation: {
+            title: 'โอน USDT ไม่สำเร็จ',
+            explanation: 'สัญญาไม่สามารถโอน USDT สำหรับธุรกรรมนี้ได้',
+            nextSteps: '• ตรวจสอบยอด USDT ของคุณ\n• ตรวจสอบว่าได้อนุมัติ USDT ครอบคลุมจำนวนทั้งหมด'
+        },
+        ReentrancyGuardReentrantCall: {
+            title: 'สัญญากำลังทำงาน',
+            explanation: 'สัญญาปฏิเสธการเรียกซ้อน ซึ่งมักเกิดขึ้นชั่วคราว',
+            nextSteps: '• รอสักครู่แล้วลองใหม่'
+        },
+        generic: {
+            title: 'ธุรกรรมถูกปฏิเสธ',
+            explanation: 'สัญญาปฏิเสธธุรกรรมนี้ ยังไม่มีการหักเงินใดๆ',
+            nextSteps: '• ตรวจสอบยอดเงินแล้วลองใหม่\n• ติดต่อฝ่ายสนับสนุนหากยังเกิดขึ้นซ้ำ'
+        }
+    },
+
+    buttons: {
+        getStarted: '🚀 เริ่มต้นใช้งาน',
+        startRegistration: '🚀 เริ่มลงทะเบียน',
+        registerNow: '🚀 ลงทะเบียนเลย',
+        viewPlans: '📋 ดูแพ็กเกจ',
+        howItWorks: '💡 วิธีการทำงาน',
+        connectWallet: '💳 เชื่อมต่อกระเป๋าเงิน',
+        wallet: '💳 กระเป๋าเงิน',
+        myProfile: '👤 โปรไฟล์ของฉัน',
+        viewProfile: '👤 ดูโปรไฟล์',
+        upgradePlan: '⬆️ อัปเกรดแพ็กเกจ',
+        upgradeOptions: '⬆️ ตัวเลือกการอัปเกรด',
+        referrals: '👥 การแนะนำ',
+        myReferrals: '👥 ผู้ที่ฉันแนะนำ',
+        shareReferral: '👥 แชร์รหัสแนะนำ',
+        earnings: '💰 รายได้',
+        statistics: '📊 สถิติ',
+        fullStats: '📊 สถิติทั้งหมด',
+        fullHistory: '📊 ประวัติทั้งหมด',
+        withdraw: '💳 ถอนเงิน',
+        referralDetails: '👥 รายละเอียดการแนะนำ',
+        transactionHistory: '📝 ประวัติธุรกรรม',
+        myNft: '🎫 NFT ของฉัน',
+        viewOnExplorer: '🔍 ดูบน Explorer',
+        exitMembership: '🚪 ออกจากสมาชิก',
+        language: '🌐 ภาษา',
+        help: '❓ ช่วยเหลือ',
+        helpSupport: '❓ ช่วยเหลือและสนับสนุน',
+        refresh: '🔄 รีเฟรช',
+        back: '🔙 ย้อนกลับ',
+        mainMenu: '🏠 เมนูหลัก',
+        backToMenu: '🔙 เมนูหลัก',
+        startWithPlan1: '🚀 เริ่มที่แพ็กเกจ 1',
+        viewAllPlans: '📊 ดูแพ็กเกจทั้งหมด',
+        allPlans: '📊 แพ็กเกจทั้งหมด',
+        allCategories: '📊 หมวดหมู่ทั้งหมด',
+        backToPlans: '🔙 กลับไปที่แพ็กเกจ',
+        backToProfile: '🔙 กลับไปที่โปรไฟล์',
+        commissionInfo: '💰 ข้อมูลค่าคอมมิชชัน',
+        planComparison: '📈 เปรียบเทียบแพ็กเกจ',
+        compareBenefits: '📈 เปรียบเทียบสิทธิประโยชน์',
+        planRequirements: 'ℹ️ เงื่อนไขแพ็กเกจ',
+        previousPlan: '⬅️ แพ็กเกจก่อนหน้า',
+        nextPlan: '➡️ แพ็กเกจถัดไป',
+        howToJoin: '💡 วิธีเข้าร่วม',
+        faq: '❓ คำถามที่พบบ่อย',
+        registerForPlan: '🚀 ลงทะเบียนแพ็กเกจนี้',
+        upgradeToThisPlan: '⬆️ อัปเกรดเป็นแพ็กเกจนี้',
+        upgradeToPlan: '⬆️ อัปเกรดเป็นแพ็กเกจ {plan}',
+        roiCalculator: '💰 คำนวณผลตอบแทน',
+        upgradeHistory: '📊 ประวัติการอัปเกรด',
+        upgradeStrategy: '🎯 กลยุทธ์การอัปเกรด',
+        confirmRegistration: '✅ ยืนยันการลงทะเบียน',
+        cancelRegistration: '❌ ยกเลิกการลงทะเบียน',
+        confirmUpgrade: '✅ ยืนยันการอัปเกรด',
+        cancelUpgrade: '❌ ยกเลิกการอัปเกรด',
+        confirmPlanChange: '✅ ยืนยันการเปลี่ยนแพ็กเกจ',
+        keepCurrentPlan: '❌ ใช้แพ็กเกจเดิม',
+        costBreakdown: '💰 รายละเอียดค่าใช้จ่าย',
+        changeHelp: '❓ ช่วยเหลือเรื่องการเปลี่ยนแพ็กเกจ',
+        checkWallet: '💳 ตรวจสอบกระเป๋าเงิน',
+        checkWalletBalance: '💳 ตรวจสอบยอดในกระเป๋าเงิน',
+        checkBalance: '💳 ตรวจสอบยอดเงิน',
+        checkAllowance: '📊 ตรวจสอบวงเงินที่อนุมัติ',
+        checkApproval: '🔄 ตรวจสอบการอนุมัติ',
+        checkGasFee: '⛽ ตรวจสอบค่าแก๊ส',
+        approvalHelp: '💡 วิธีอนุมัติ',
+        howToApprove: '❓ อนุมัติอย่างไร?',
+        approvedContinue: '✅ อนุมัติแล้ว ดำเนินการต่อ',
+        refreshInfo: '🔄 รีเฟรชข้อมูล',
+        needHelp: '❓ ต้องการความช่วยเหลือ?',
+        connectThisWallet: '✅ เชื่อมต่อกระเป๋าเงินนี้',
+        useDifferentWallet: '❌ ใช้กระเป๋าเงินอื่น',
+        verifyOnExplorer: '🔍 ตรวจสอบบน Explorer',
+        walletHelp: '❓ ช่วยเหลือเรื่องกระเป๋าเงิน',
+        yesDisconnect: '✅ ใช่ ยกเลิกการเชื่อมต่อ',
+        whatHappens: '❓ จะเกิดอะไรขึ้น?',
+        openSigningPage: '🌐 เปิดหน้าลงนาม',
+        pasteTxHash: '📝 วาง Tx Hash',
+        sendAmount: '✅ ส่ง {amount} USDT',
+        sendAmountTo: '✅ ส่ง {amount} USDT ให้ {recipient}',
+        cancelTransaction: '❌ ยกเลิกธุรกรรม',
+        transactionHelp: '❓ ช่วยเหลือเรื่องธุรกรรม',
+        stayMember: '❌ เป็นสมาชิกต่อ',
+        confirmExit: '⚠️ ใช่ ยุติสมาชิกภาพของฉัน',
+        sendBroadcast: '✅ ส่งประกาศ',
+        editMessage: '📝 แก้ไขข้อความ',
+        changeRecipients: '👥 เปลี่ยนผู้รับ',
+        cancelBroadcast: '❌ ยกเลิกประกาศ',
+        broadcastTips: '💡 เคล็ดลับการประกาศ',
+        confirmEmergencyWithdraw: '🚨 ยืนยันการถอนฉุกเฉิน',
+        cancelRecommended: '❌ ยกเลิก (แนะนำ)',
+        whatIsThis: '❓ นี่คืออะไร?',
+        deleteItem: '🗑️ ลบ {item}',
+        consequences: '⚠️ ผลที่ตามมา',
+        continue: '✅ ดำเนินการต่อ',
+        previous: '⬅️ ก่อนหน้า',
+        progress: '📊 ความคืบหน้า ({step}/{total})',
+        confirmTimed: '✅ ยืนยัน ({seconds} วินาที)',
+        extendTime: '⏱️ ขยายเวลา',
+        acceptRisk: '{emoji} ฉันยอมรับความเสี่ยง',
+        riskDetails: '📖 รายละเอียดความเสี่ยง',
+        saferAlternatives: '💡 ทางเลือกที่ปลอดภัยกว่า',
+        checkStatus: '🔄 ตรวจสอบสถานะ',
+        claimTestTokens: '🚰 รับโทเคนทดสอบ',
+        tryAgain: '🔄 ลองอีกครั้ง',
+        selectPlan: '🚀 เลือกแพ็กเกจนี้',
+        choosePlan1: '🚀 เลือกแพ็กเกจ 1',
+        commissionStructure: '💰 โครงสร้างค่าคอมมิชชัน',
+        commissionDetails: '💰 รายละเอียดค่าคอมมิชชัน',
+        plan1Example: '🚀 แพ็กเกจ 1 ($10)',
+        plan5Example: '💪 แพ็กเกจ 5 ($50)',
+        copyReferralCode: '📋 คัดลอกรหัสแนะนำ',
+        shareLink: '🔗 แชร์ลิงก์',
+        shareCode: '🔗 แชร์รหัส',
+        shareOnTelegram: '📱 แชร์บน Telegram',
+        copyMessage: '📋 คัดลอกข้อความ',
+        earningsHistory: '💰 ประวัติรายได้',
+        detailedStats: '📊 สถิติโดยละเอียด',
+        referralStats: '📊 สถิติการแนะนำ',
+        refreshStats: '🔄 รีเฟรชสถิติ',
+        viewReferrals: '👥 ดูผู้ถูกแนะนำ',
+        referralTips: '💡 เคล็ดลับการแนะนำ',
+        growthTips: '📈 เคล็ดลับการเติบโต',
+        myNetwork: '🌐 เครือข่ายของฉัน',
+        viewMembers: '👥 ดูสมาชิก',
+        exportTree: '📄 ส่งออกผังเครือข่าย',
+        next: '➡️ ถัดไป',
+        walletSetupGuide: '💡 คู่มือตั้งค่ากระเป๋าเงิน',
+        addBscNetwork: '🌐 เพิ่มเครือข่าย BSC',
+        metamaskGuide: '📱 คู่มือ MetaMask',
+        metamaskTutorial: '📱 วิธีใช้ MetaMask',
+        trustWalletGuide: '💼 คู่มือ Trust Wallet',
+        getUsdt: '💰 รับ USDT',
+        getBnb: '⛽ รับ BNB',
+        howToGetUsdt: '💡 วิธีรับ USDT',
+        getUsdtGuide: '💰 คู่มือรับ USDT',
+        refreshBalances: '🔄 รีเฟรชยอดคงเหลือ',
+        changeWallet: '🔄 เปลี่ยนกระเป๋าเงิน',
+        connectNewWallet: '💳 เชื่อมต่อกระเป๋าเงินใหม่',
+        backToWallet: '🔙 กลับไปที่กระเป๋าเงิน',
+        viewPlanDetails: '📋 ดูรายละเอียดแพ็กเกจ',
+        connectWalletFirst: '💳 เชื่อมต่อกระเป๋าเงินก่อน',
+        backToMain: '🔙 กลับหน้าหลัก',
+        shareReferralCode: '👥 แชร์รหัสแนะนำ',
+        checkEarnings: '💰 ดูรายได้',
+        howCyclesWork: '💡 รอบทำงานอย่างไร',
+        learnToEarn: '💡 เรียนรู้วิธีสร้างรายได้',
+        approvedTryAgain: '✅ อนุมัติแล้ว ลองอีกครั้ง',
+        checkApprovalStatus: '🔄 ตรวจสอบสถานะการอนุมัติ',
+        getHelp: '❓ ขอความช่วยเหลือ',
+        upgradeNow: '⬆️ อัปเกรดเลย ({amount} USDT)',
+        buildNetwork: '👥 สร้างเครือข่าย',
+        comparePlans: '📊 เปรียบเทียบแพ็กเกจ',
+        upgradeBenefits: '💡 สิทธิประโยชน์การอัปเกรด',
+        earningsPotential: '💰 โอกาสสร้างรายได้',
+        backToHelp: '🔙 กลับไปหน้าช่วยเหลือ',
+        securityInfo: '🔒 ข้อมูลความปลอดภัย',
+        sendMessage: '📧 ส่งข้อความ',
+        users: '👥 ผู้ใช้',
+        transactions: '💰 ธุรกรรม',
+        blockchain: '⛓️ บล็อกเชน',
+        broadcast: '📢 ประกาศ',
+        settings: '🔧 การตั้งค่า',
+        analytics: '📈 การวิเคราะห์',
+        maintenance: '🛠️ บำรุงรักษา',
+        reconcile: '🧮 กระทบยอด',
+        searchUser: '🔍 ค้นหาผู้ใช้',
+        userStats: '📊 สถิติผู้ใช้',
+        detailedAnalytics: '📈 การวิเคราะห์โดยละเอียด',
+        financialReport: '💰 รายงานการเงิน',
+        exportData: '📊 ส่งออกข้อมูล',
+        filter: '🔍 กรอง',
+        txStats: '📊 สถิติธุรกรรม',
+        withdrawFunds: '💰 ถอนเงิน',
+        syncEvents: '🔄 ซิงค์อีเวนต์',
+        contractSettings: '⚙️ ตั้งค่าสัญญา',
+        gasTracker: '📊 ติดตามค่าแก๊ส',
+        txQueue: '📤 คิวธุรกรรม',
+        checkReserves: '🧮 ตรวจสอบเงินสำรอง',
+        viewReport: '🧮 ดูรายงาน',
+        resetSession: '🧹 รีเซ็ตเซสชัน',
+        dryRun: '🔍 ทดลองรัน',
+        fixDrift: '🛠️ แก้ไขความคลาดเคลื่อน',
+        backToAdmin: '🔙 กลับไปหน้าผู้ดูแล',
+        speedUpJob: '⚡ เร่ง #{id}',
+        cancelJob: '🛑 ยกเลิก #{id}',
+        yesCancel: '✅ ใช่ ยกเลิก',
+        approveProposal: '✅ อนุมัติ #{id}',
+        rejectProposal: '❌ ปฏิเสธ #{id}',
+        withdrawProposal: '❌ ถอนคำเสนอ #{id}',
+        confirm: '✅ ยืนยัน',
+        cancel: '❌ ยกเลิก',
+        yes: '✅ ใช่',
+        no: '❌ ไม่'
+    },
+
+    // Thai has a single plural form
+    status: {
+        active: '✅ ใช้งานอยู่',
+        inactive: '❌ ไม่ได้ใช้งาน',
+        pending: '⏳ รอดำเนินการ',
+        confirmed: '✅ ยืนยันแล้ว',
+        failed: '❌ ล้มเหลว',
+        cancelled: '🚫 ยกเลิกแล้ว',
+        processing: '🔄 กำลังดำเนินการ',
+        queued: '📥 อยู่ในคิว',
+        signed: '✍️ ลงนามแล้ว',
+        sent: '📤 ส่งแล้ว',
+        unknown: '❔ ไม่ทราบสถานะ',
+        mined: '⛏️ บันทึกบนบล็อกแล้ว'
+    },
+
+    queueJob: {
+        job: '• **งานในคิว:** #{id}\n• **สถานะ:** {status}',
+        position: ' (ลำดับที่ {position})',
+        hash: '• **แฮชธุรกรรม:** `{hash}`',
+        error: '• **ข้อผิดพลาด:** {error}'
+    },
+
+    networkSettings: {
+        settings: `• **ชื่อเครือข่าย:** {name}
+• **RPC URL:** {rpcUrl}
+• **Chain ID:** {chainId}
+• **สัญลักษณ์:** {symbol}`,
+        explorer: '• **Block Explorer:** {explorer}'
+    },
+
+    duration: {
+        second: { other: '{count} วินาที' },
+        minute: { other: '{count} นาที' },
+        hour: { other: '{count} ชั่วโมง' },
+        day: { other: '{count} วัน' },
+        month: { other: '{count} เดือน' },
+        year: { other: '{count} ปี' },
+        unknown: 'ไม่ทราบ'
+    },
+
+    start: {
+        welcome: `🎉 **ยินดีต้อนรับสู่ Crypto Membership NFT!**
+
+👋 สวัสดีคุณ {name}! คุณได้เข้าร่วมโปรแกรมสมาชิกพิเศษของเราเรียบร้อยแล้ว
+
+✨ **สิ่งที่คุณทำได้:**
+• 📋 ดูแพ็กเกจสมาชิกที่มีให้เลือก
+• 💎 ลงทะเบียนสมาชิก NFT แรกของคุณ
+• 👥 แนะนำเพื่อนและรับค่าคอมมิชชัน
+• 📊 ติดตามรายได้และความคืบหน้า
+
+🎯 **รหัสแนะนำของคุณ:** \`{referralCode}\`
+แชร์รหัสนี้กับเพื่อนเพื่อรับรางวัล!{uplineInfo}
+
+🚀 **พร้อมเริ่มแล้วหรือยัง?** เลือกตัวเลือกด้านล่าง:`,
+        referredBy: '\n🔗 แนะนำโดย: @{upline}',
+        welcomeBack: `{emoji} **ยินดีต้อนรับกลับมา คุณ {name}!**
+
+📊 **สถานะของคุณ:** {status}
+🎯 **รหัสแนะนำของคุณ:** \`{referralCode}\`
+👥 **จำนวนผู้ที่แนะนำ:** {referrals}
+💰 **รายได้ทั้งหมด:** {earnings} USDT
+
+เลือกสิ่งที่คุณต้องการทำ:`,
+        statusMember: 'สมาชิกแพ็กเกจ {plan}',
+        statusNotRegistered: 'ยังไม่ได้ลงทะเบียน',
+        invalidReferral: '⚠️ รหัสแนะนำไม่ถูกต้อง ดำเนินการต่อโดยไม่มีผู้แนะนำ',
+        createFailed: '❌ สร้างบัญชีไม่สำเร็จ กรุณาลองใหม่อีกครั้ง',
+        newReferral: `🎉 **มีผู้สมัครผ่านการแนะนำของคุณ!**
+
+👤 **{name}** (@{username}) เพิ่งเข้าร่วมด้วยรหัสแนะนำของคุณ!
+
+💰 คุณจะได้รับค่าคอมมิชชันเมื่อเขาลงทะเบียนแพ็กเกจสมาชิก
+
+🎯 แชร์รหัสแนะนำของคุณต่อไป: \`{referralCode}\``
+    },
+
+    profile: {
+        title: '{emoji} **โปรไฟล์ของ {name}**',
+        header: `👤 **ชื่อผู้ใช้:** @{username}
+📅 **เป็นสมาชิกตั้งแต่:** {memberSince}
+🆔 **รหัสผู้ใช้:** \`{userId}\``,
+        notRegistered: `📋 **สถานะสมาชิก**
+❌ ยังไม่ได้ลงทะเบียน
+💡 ใช้ /register เพื่อเข้าร่วมแพ็กเกจสมาชิก`,
+        membership: `💎 **สถานะสมาชิก**
+✅ สมาชิกที่ใช้งานอยู่
+📊 **แพ็กเกจ:** {plan}
+📅 **ลงทะเบียนเมื่อ:** {registered}`,
+        planLabel: '{name} (ระดับ {level})',
+        cycle: '🔄 **รอบ:** {cycle}',
+        nftToken: '🎫 **โทเคน NFT:** #{tokenId}',
+        statsLoading: `📊 **สถิติ**
+📈 กำลังโหลดสถิติ...`,
+        stats: `📊 **สถิติ**
+👥 **การแนะนำ:** ทั้งหมด {total} คน, ใช้งานอยู่ {active} คน
+💰 **รายได้ทั้งหมด:** {earnings} USDT
+📝 **ธุรกรรม:** {transactions}
+🎯 **อัตราสำเร็จ:** {successRate}%`,
+        noWallet: `💳 **กระเป๋าเงิน**
+❌ ยังไม่ได้เชื่อมต่อกระเป๋าเงิน
+💡 ใช้ /wallet เพื่อเชื่อมต่อกระเป๋าเงินของคุณ`,
+        wallet: `💳 **กระเป๋าเงิน**
+✅ เชื่อมต่อแล้ว: \`{address}\``,
+        onchainEarnings: '📈 **รายได้บนเชน:** {earnings} USDT',
+        onchainReferrals: '👥 **การแนะนำบนเชน:** {referrals}',
+        basic: `👤 **ชื่อผู้ใช้:** @{username}
+📅 **เป็นสมาชิกตั้งแต่:** {memberSince}
+📊 **สถานะ:** {status}
+👥 **การแนะนำ:** {referrals}
+💰 **รายได้:** {earnings} USDT
+
+💡 ใช้ปุ่มด้านล่างเพื่อจัดการโปรไฟล์ของคุณ`,
+        statusActive: 'สมาชิกที่ใช้งานอยู่',
+        statusNotRegistered: 'ยังไม่ได้ลงทะเบียน',
+        loadFailed: '❌ โหลดโปรไฟล์ไม่สำเร็จ กรุณาลองใหม่อีกครั้ง',
+
+        earningsTitle: `💰 **ภาพรวมรายได้**
+
+**รายได้ทั้งหมด:** {earned} USDT
+**จ่ายแล้ว:** {paid} USDT
+**รอดำเนินการ:** {pending} USDT`,
+        commissionDetails: `📊 **รายละเอียดค่าคอมมิชชัน**
+**จำนวนการจ่ายทั้งหมด:** {payments}
+**จ่ายแล้ว:** {paid}
+**อัตราสำเร็จ:** {successRate}%`,
+        recentEarnings: '📝 **รายได้ล่าสุด**',
+        earningsFailed: '❌ โหลดข้อมูลรายได้ไม่สำเร็จ',
+
+        statsUnavailable: '📊 **สถิติ**\n\n❌ ไม่สามารถโหลดสถิติได้ในขณะนี้',
+        statsFailed: '❌ โหลดสถิติไม่สำเร็จ',
+        fullStats: `📊 **สถิติโดยละเอียด**
+
+👤 **ข้อมูลบัญชี**
+📅 **อายุบัญชี:** {accountAge}
+⭐ **คะแนนการใช้งาน:** {activityScore}/100
+🎯 **ใช้งานล่าสุด:** {lastActive}`,
+        fullStatsMembership: `💎 **สมาชิกภาพ**
+📊 **ระดับแพ็กเกจ:** {plan}
+⏱️ **เป็นสมาชิกมา:** {memberFor}`,
+        fullStatsReferrals: `👥 **ผลการแนะนำ**
+**การแนะนำทั้งหมด:** {total}
+**ที่ใช้งานอยู่:** {active}
+**อัตราการลงทะเบียน:** {registrationRate}%`,
+        fullStatsTransactions: `📝 **ประวัติธุรกรรม**
+**ธุรกรรมทั้งหมด:** {total}
+**ยืนยันแล้ว:** {confirmed}
+**อัตราสำเร็จ:** {successRate}%`,
+        fullStatsEarnings: `💰 **รายละเอียดรายได้**
+**รายได้ทั้งหมด:** {earned} USDT
+**เฉลี่ยต่อการแนะนำ:** {average} USDT
+**จำนวนการจ่ายค่าคอมมิชชัน:** {payments}`,
+
+        nftNotRegistered: '❌ ลงทะเบียนแพ็กเกจเพื่อรับ NFT สมาชิกของคุณ',
+        nftLoading: '🎫 กำลังโหลด NFT ของคุณ...',
+        nftNotFound: '🎫 ยังไม่พบ NFT สมาชิกสำหรับกระเป๋าเงินของคุณ จะแสดงที่นี่เมื่อการลงทะเบียนได้รับการยืนยันบนเชนแล้ว',
+        nftFailed: '❌ โหลด NFT ไม่สำเร็จ กรุณาลองใหม่อีกครั้ง',
+        nftToken: '🆔 **โทเคน:** #{tokenId}',
+        nftPlan: '📊 **แพ็กเกจ:** {plan}',
+        nftAttributes: '**คุณสมบัติ:**'
+    },
+
+    language: {
+        title: `🌐 **ภาษา**
+
+ภาษาปัจจุบัน: {current}
+
+เลือกภาษาที่ต้องการให้บอทใช้กับคุณ:`,
+        changed: '✅ เปลี่ยนเป็นภาษาไทยแล้ว',
+        unsupported: '❌ ไม่รองรับภาษานี้',
+        failed: '❌ เปลี่ยนภาษาไม่สำเร็จ กรุณาลองใหม่อีกครั้ง'
+    },
+
+    scenes: {
+        cancelHint: 'ส่ง /cancel เพื่อหยุด',
+        cancelled: '❌ ยกเลิก{name}แล้ว',
+        nothingToCancel: '🤷 ตอนนี้ไม่มีรายการที่ต้องยกเลิก',
+        expired: '⌛ {name}หมดเวลา เนื่องจากไม่มีการตอบกลับภายใน {duration}\n\n{restart}',
+        expect: {
+            text: '✍️ กรุณาตอบเป็นข้อความ',
+            buttons: '👆 กรุณาใช้ปุ่มด้านบน'
+        },
+        connectWallet: {
+            name: 'การเชื่อมต่อกระเป๋า',
+            restart: 'ใช้ /wallet เพื่อเริ่มใหม่',
+            invalidAddress: `❌ **รูปแบบที่อยู่กระเป๋าไม่ถูกต้อง**
+
+กรุณาส่งที่อยู่กระเป๋า BSC ที่:
+• ขึ้นต้นด้วย "0x"
+• ยาว 42 ตัวอักษรพอดี
+• มีเฉพาะตัวอักษรฐานสิบหก
+
+**ตัวอย่าง:** \`0x1234567890123456789012345678901234567890\``,
+            invalidSignature: '❌ ลายเซ็นขึ้นต้นด้วย 0x ตามด้วยตัวอักษรฐานสิบหก 130 ตัว กรุณาวางให้ตรงกับที่กระเป๋าแสดง'
+        },
+        signTransaction: {
+            name: 'การส่งแฮชธุรกรรม',
+            restart: 'แตะ "Paste Tx Hash" ที่คำขอเซ็นธุรกรรมเพื่อลองอีกครั้ง',
+            invalidHash: '❌ แฮชธุรกรรมขึ้นต้นด้วย 0x ตามด้วยตัวอักษรฐานสิบหก 64 ตัว'
+        },
+        supportTicket: {
+            name: 'การติดต่อฝ่ายสนับสนุน',
+            restart: 'เปิด /help แล้วเลือกติดต่อฝ่ายสนับสนุนเพื่อเขียนใหม่',
+            tooShort: '✍️ กรุณาอธิบายปัญหาสั้น ๆ เพื่อให้ฝ่ายสนับสนุนช่วยเหลือได้'
+        },
+        registration: {
+            name: 'การลงทะเบียน',
+            restart: 'ใช้ /register เพื่อเริ่มใหม่'
+        },
+        broadcast: {
+            name: 'การประกาศ',
+            restart: 'ใช้ /broadcast เพื่อเริ่มใหม่'
+        },
+        contractParams: {
+            name: 'คำสั่งสัญญา',
+            restart: 'เปิด /admin แล้วเลือกคำสั่งอีกครั้ง'
+        }
+    },
+
+    help: {
+        main: `❓ **ช่วยเหลือและสนับสนุน**
+
+ยินดีต้อนรับสู่ Crypto Membership NFT Bot! เริ่มต้นใช้งานได้ดังนี้:
+
+**🚀 เริ่มต้นอย่างรวดเร็ว:**
+1. ใช้ /start เพื่อสร้างบัญชี
+2. ใช้ /wallet เพื่อเชื่อมต่อกระเป๋าเงิน BSC
+3. ใช้ /register เพื่อเข้าร่วมแพ็กเกจสมาชิก
+4. แชร์รหัสแนะนำเพื่อรับรายได้!
+
+**📋 คำสั่งที่ใช้ได้:**
+• /start - เริ่มต้นใช้งาน
+• /profile - ดูโปรไฟล์ของคุณ
+• /plans - ดูแพ็กเกจสมาชิก
+• /register - ลงทะเบียนสมาชิก
+• /upgrade - อัปเกรดแพ็กเกจ
+• /wallet - จัดการกระเป๋าเงิน
+• /referral - ดูข้อมูลการแนะนำ
+• /exit - ออกจากสมาชิก
+{faucet}• /help - เมนูช่วยเหลือนี้
+
+**💡 ต้องการความช่วยเหลือเฉพาะเรื่อง?**
+เลือกหัวข้อด้านล่างเพื่อดูรายละเอียด:`,
+        faucetCommand: '• /faucet - รับ USDT และแก๊สสำหรับทดสอบ\n',
+        gettingStarted: `🚀 **คู่มือเริ่มต้นใช้งาน**
+
+**ขั้นตอนที่ 1: สร้างบัญชี**
+• ส่ง /start เพื่อสร้างบัญชีของคุณ
+• คุณจะได้รับรหัสแนะนำเฉพาะตัว
+• ไม่ต้องใช้ข้อมูลส่วนตัว!
+
+**ขั้นตอนที่ 2: เชื่อมต่อกระเป๋าเงิน**
+• ใช้ /wallet เพื่อเชื่อมต่อกระเป๋าเงิน BSC ของคุณ
+• รองรับ: MetaMask, Trust Wallet ฯลฯ
+• คุณต้องมี USDT และ BNB
+
+**ขั้นตอนที่ 3: เลือกแพ็กเกจ**
+• ใช้ /plans เพื่อดูระดับสมาชิกทั้งหมด
+• เริ่มต้นด้วยแพ็กเกจ 1 ($10 USDT)
+• แต่ละแพ็กเกจมีอัตราค่าคอมมิชชันต่างกัน
+
+**ขั้นตอนที่ 4: ลงทะเบียน**
+• ใช้ /register เพื่อเข้าร่วมแพ็กเกจที่เลือก
+• ชำระค่าสมาชิกเป็น USDT
+• รับโทเค็น NFT สมาชิกของคุณ
+
+**ขั้นตอนที่ 5: เริ่มสร้างรายได้**
+• แชร์รหัสแนะนำกับเพื่อน
+• รับค่าคอมมิชชันทันทีเมื่อพวกเขาเข้าร่วม
+• อัปเกรดเป็นแพ็กเกจที่สูงขึ้นเพื่ออัตราที่ดีกว่า!
+
+**💡 เคล็ดลับ:**
+• เริ่มต้นด้วยแพ็กเกจที่คุณสบายใจ
+• สร้างเครือข่ายทีละน้อย
+• นำรายได้ไปอัปเกรด
+• มีส่วนร่วมในชุมชนอย่างสม่ำเสมอ
+
+พร้อมเริ่มหรือยัง? ใช้ /start! 🎉`,
+        walletSetup: `💳 **คู่มือตั้งค่ากระเป๋าเงิน**
+
+**🎯 สิ่งที่คุณต้องมี:**
+• กระเป๋าเงินที่รองรับ BSC (แนะนำ MetaMask)
+• โทเค็น USDT สำหรับค่าสมาชิก
+• BNB จำนวนเล็กน้อยสำหรับค่าแก๊ส
+
+**📱 ตั้งค่า MetaMask:**
+1. ดาวน์โหลดแอปหรือส่วนขยาย MetaMask
+2. สร้างกระเป๋าเงินใหม่หรือนำเข้ากระเป๋าเดิม
+3. เพิ่มเครือข่ายด้านล่างลงใน MetaMask
+4. โอน USDT และ {symbol} เข้ากระเป๋าเงิน
+
+**🌐 การตั้งค่าเครือข่าย:**
+{settings}
+
+**💰 การรับโทเค็น:**
+• ซื้อ USDT บน Binance แล้วส่งไปยังเครือข่าย BSC
+• เตรียม BNB สำหรับค่าแก๊ส (ประมาณ $2)
+• เก็บทั้งสองไว้ในกระเป๋าเงินเดียวกัน
+
+**🔒 เคล็ดลับความปลอดภัย:**
+• อย่าเปิดเผยคีย์ส่วนตัวของคุณ
+• ใช้ฮาร์ดแวร์วอลเล็ตสำหรับจำนวนมาก
+• ตรวจสอบรายละเอียดธุรกรรมทุกครั้ง
+• เก็บวลีกู้คืนไว้อย่างปลอดภัยแบบออฟไลน์
+
+**✅ การเชื่อมต่อ:**
+• ใช้คำสั่ง /wallet ในบอท
+• ส่งที่อยู่กระเป๋าเงินของคุณ (0x...)
+• ยืนยันการเชื่อมต่อ
+• พร้อมลงทะเบียน!
+
+ต้องการความช่วยเหลือเพิ่มเติม? ติดต่อฝ่ายสนับสนุน! 🆘`,
+        faq: `❓ **คำถามที่พบบ่อย**
+
+**ถาม: นี่เป็นการหลอกลวงหรือแชร์ลูกโซ่หรือไม่?**
+ตอบ: ไม่ใช่! นี่คือโปรแกรมสมาชิกที่ถูกต้องพร้อมโทเค็น NFT จริงบนบล็อกเชน BSC ทุกธุรกรรมโปร่งใสและตรวจสอบได้
+
+**ถาม: ฉันจะมีรายได้เท่าไร?**
+ตอบ: รายได้ขึ้นอยู่กับการแนะนำและระดับแพ็กเกจของคุณ อัตราค่าคอมมิชชันอยู่ที่ 30-36% ของราคาแพ็กเกจ
+
+**ถาม: ถ้าฉันไม่มีผู้ที่แนะนำล่ะ?**
+ตอบ: คุณยังเข้าร่วมได้! มุ่งเน้นการอัปเกรดระดับแพ็กเกจและสร้างเครือข่ายทีละน้อย
+
+**ถาม: ฉันถอนค่าสมาชิกได้หรือไม่?**
+ตอบ: ได้บางส่วน 30 วันหลังลงทะเบียน คุณสามารถออกด้วย /exit และสัญญาจะคืนเงินบางส่วนของราคาแพ็กเกจ การออกจะสิ้นสุดสมาชิกภาพและรายได้จากการแนะนำ
+
+**ถาม: กระเป๋าเงินของฉันปลอดภัยหรือไม่?**
+ตอบ: ปลอดภัย! เราเก็บเพียงที่อยู่กระเป๋าเงิน ไม่เคยเก็บคีย์ส่วนตัว คุณควบคุมเงินของคุณเอง
+
+**ถาม: ใช้บล็อกเชนอะไร?**
+ตอบ: Binance Smart Chain (BSC) เพื่อค่าธรรมเนียมต่ำและธุรกรรมที่รวดเร็ว
+
+**ถาม: ฉันเปลี่ยนกระเป๋าเงินได้หรือไม่?**
+ตอบ: ได้ แต่เฉพาะก่อนลงทะเบียนเท่านั้น ติดต่อฝ่ายสนับสนุนหากต้องการความช่วยเหลือ
+
+**ถาม: ธุรกรรมใช้เวลานานแค่ไหน?**
+ตอบ: โดยปกติ 1-3 นาทีบนเครือข่าย BSC ขึ้นอยู่กับความหนาแน่นของเครือข่าย
+
+**ถาม: ถ้าธุรกรรมของฉันล้มเหลวล่ะ?**
+ตอบ: ตรวจสอบยอด USDT และค่าแก๊สของคุณ ติดต่อฝ่ายสนับสนุนหากปัญหายังคงอยู่
+
+ยังมีคำถาม? ติดต่อทีมสนับสนุนของเรา! 🆘`,
+        contactSupport: `🆘 **ติดต่อฝ่ายสนับสนุน**
+
+ต้องการความช่วยเหลือ? ทีมสนับสนุนของเราพร้อมช่วยคุณ!
+
+**📧 ช่องทางการติดต่อ:**
+• **Telegram:** @SupportUsername
+• **อีเมล:** support@example.com
+• **เวลาทำการ:** 9:00 - 18:00 UTC
+
+**🚨 สำหรับปัญหาเร่งด่วน:**
+• ธุรกรรมค้าง
+• ปัญหาการเชื่อมต่อกระเป๋าเงิน
+• การชำระเงินที่หายไป
+• ข้อผิดพลาดทางเทคนิค
+
+**💬 ก่อนติดต่อฝ่ายสนับสนุน:**
+• ตรวจสอบยอดเงินในกระเป๋าเงิน
+• ตรวจสอบการเชื่อมต่อเครือข่าย
+• ตรวจสอบประวัติธุรกรรม
+• ลองรีเฟรชบอท (/start)
+
+**📋 ข้อมูลที่ควรแนบมา:**
+• ชื่อผู้ใช้ Telegram ของคุณ
+• คำอธิบายปัญหา
+• แฮชธุรกรรม (ถ้ามี)
+• ภาพหน้าจอ (ถ้ามีประโยชน์)
+
+**⚠️ ข้อควรระวังด้านความปลอดภัย:**
+• อย่าเปิดเผยคีย์ส่วนตัว
+• ฝ่ายสนับสนุนจะไม่ขอรหัสผ่านของคุณ
+• ตรวจสอบช่องทางติดต่ออย่างเป็นทางการทุกครั้ง
+
+**💡 วิธีแก้ปัญหาทั่วไป:**
+• เริ่มบอทใหม่ด้วย /start
+• ตรวจสอบสถานะเครือข่าย BSC
+• ตรวจสอบว่ามีค่าแก๊สเพียงพอ
+• รอการยืนยันจากเครือข่าย
+
+เราพร้อมช่วยเหลือ! 💪`,
+        supportPrompt: `📧 **ส่งข้อความถึงฝ่ายสนับสนุน**
+
+อธิบายปัญหาของคุณในข้อความเดียว แล้วเราจะส่งต่อให้ทีมสนับสนุน`,
+        supportSent: `✅ **ส่งข้อความถึงฝ่ายสนับสนุนแล้ว!**
+
+ข้อความของคุณถูกส่งต่อให้ทีมสนับสนุนแล้ว
+
+**ขั้นตอนต่อไป:**
+• ทีมสนับสนุนจะตรวจสอบข้อความของคุณ
+• คุณจะได้รับคำตอบภายใน 24 ชั่วโมง
+• กลับมาตรวจสอบที่นี่เพื่อดูความคืบหน้า
+
+**ข้อความของคุณ:**
+"{message}"
+
+**หมายเลขอ้างอิง:** {reference}
+
+ขอบคุณที่รอคอย! 🙏`,
+        supportFailed: '❌ ส่งข้อความถึงฝ่ายสนับสนุนไม่สำเร็จ กรุณาลองอีกครั้ง',
+        loadFailed: '❌ โหลดข้อมูลช่วยเหลือไม่สำเร็จ',
+        buttons: {
+            gettingStarted: '🚀 เริ่มต้นใช้งาน',
+            walletSetup: '💳 ตั้งค่ากระเป๋าเงิน',
+            registration: '💎 การลงทะเบียน',
+            referrals: '👥 ระบบแนะนำ',
+            plans: '📋 แพ็กเกจสมาชิก',
+            upgrades: '⬆️ การอัปเกรดแพ็กเกจ',
+            earnings: '💰 รายได้และการจ่ายเงิน',
+            security: '🔒 ความปลอดภัย',
+            faq: '❓ คำถามที่พบบ่อย',
+            contactSupport: '🆘 ติดต่อฝ่ายสนับสนุน'
+        }
+    },
+
+    plans: {
+        planNumber: 'แพ็กเกจ {plan}',
+        loadFailed: '❌ โหลดแพ็กเกจไม่สำเร็จ กรุณาลองใหม่อีกครั้ง',
+        loadFailedShort: '❌ โหลดแพ็กเกจไม่สำเร็จ',
+        notFound: '❌ ไม่พบแพ็กเกจ',
+        detailsFailed: '❌ โหลดรายละเอียดแพ็กเกจไม่สำเร็จ',
+        overview: `📋 **แพ็กเกจสมาชิก**
+
+💎 เลือกระดับสมาชิกเพื่อเริ่มสร้างรายได้จากการแนะนำ!
+
+**🎯 สิทธิประโยชน์:**
+• 💰 ค่าคอมมิชชันจากการแนะนำ
+• 🎫 NFT สมาชิกสุดพิเศษ
+• ⬆️ รางวัลจากการอัปเกรดแพ็กเกจ
+• 🌟 เข้าถึงคอมมูนิตี้ VIP
+
+**📊 แพ็กเกจที่มี:**
+`,
+        overviewPlan: `**{name}** (แพ็กเกจ {plan})
+💰 ราคา: {price} USDT
+👥 รอบปัจจุบัน: {cycle} คน`,
+        overviewFooter: `💡 **วิธีการทำงาน:**
+1️⃣ เลือกแพ็กเกจสมาชิก
+2️⃣ เชื่อมต่อกระเป๋าเงินและชำระเงิน
+3️⃣ รับ NFT สมาชิกของคุณ
+4️⃣ เริ่มแนะนำเพื่อน
+5️⃣ รับค่าคอมมิชชันและอัปเกรด!
+
+🔄 **เส้นทางการอัปเกรด:** เริ่มจากแพ็กเกจใดก็ได้ แล้วอัปเกรดทีละระดับเพื่อรับค่าคอมมิชชันมากขึ้น!`,
+        basic: `📋 **แพ็กเกจสมาชิก**
+
+💎 เข้าร่วมโปรแกรมสมาชิกสุดพิเศษของเรา!
+
+**แพ็กเกจที่มี:**
+• **Starter** - เหมาะสำหรับผู้เริ่มต้น
+• **Basic** - โอกาสสร้างรายได้มากขึ้น
+• **Bronze** - สิทธิประโยชน์เพิ่มขึ้น
+• **Silver** - ฟีเจอร์พรีเมียม
+• และอีกหลายระดับให้ปลดล็อก!
+
+💰 **รายได้จาก:**
+• ค่าคอมมิชชันจากการแนะนำโดยตรง
+• โบนัสจากการอัปเกรดแพ็กเกจ
+• รางวัลพิเศษสำหรับสมาชิก
+
+🚀 ใช้ปุ่มด้านล่างเพื่อดูแพ็กเกจหรือเริ่มต้นใช้งาน!`,
+        allTitle: `📊 **แพ็กเกจสมาชิกทั้งหมด**
+
+เลือกระดับเริ่มต้นของคุณ:
+`,
+        allTips: `💡 **เคล็ดลับ:**
+• เริ่มที่แพ็กเกจ 1 หากคุณเพิ่งเริ่มต้น
+• แพ็กเกจสูงขึ้น = ค่าคอมมิชชันสูงขึ้น
+• อัปเกรดได้ทุกเมื่อ!`,
+        details: `💎 **แพ็กเกจ {name}** (ระดับ {level})
+
+💰 **ราคา:** {price} USDT
+🔄 **รอบปัจจุบัน:** {cycle}
+👥 **ความคืบหน้าของรอบ:** {progress} ({completion}%)
+📊 **สถานะ:** {status}
+
+**💼 โครงสร้างค่าคอมมิชชัน:**
+• **แนะนำโดยตรง:** {direct}% ของราคาแพ็กเกจ
+• **โบนัสอัปไลน์:** {upline}% ให้ผู้แนะนำของคุณ
+• **ส่วนของบริษัท:** {company}%
+
+**🎯 สิทธิประโยชน์:**
+• รับ {direct}% จากทุกการแนะนำโดยตรง
+• รับโทเคน NFT สมาชิก
+• เข้าถึงคอมมูนิตี้สุดพิเศษ
+• เส้นทางอัปเกรดสู่ระดับที่สูงขึ้น
+
+**⚡ เงื่อนไข:**
+• ต้องเชื่อมต่อกระเป๋าเงินแล้ว
+• มียอด USDT เพียงพอ
+• มีอัปไลน์ที่ถูกต้อง (หรือใช้เจ้าของระบบเป็นผู้แนะนำ)`,
+        active: 'ใช้งานอยู่ ✅',
+        inactive: 'ปิดใช้งาน ❌',
+        nextLevel: `⬆️ **ระดับถัดไป:** แพ็กเกจ {name}
+💰 **ค่าอัปเกรด:** {cost} USDT`,
+        howItWorks: `💡 **ระบบสมาชิกทำงานอย่างไร**
+
+**🔄 4 ขั้นตอน:**
+
+**1️⃣ เลือกแพ็กเกจ**
+• เลือกระดับสมาชิกใดก็ได้ (1-16)
+• แพ็กเกจสูงขึ้น = ค่าคอมมิชชันสูงขึ้น
+• เริ่มจากระดับที่คุณสบายใจ
+
+**2️⃣ ชำระเงิน**
+• เชื่อมต่อกระเป๋าเงิน BSC
+• อนุมัติการใช้ USDT
+• ชำระค่าสมาชิก
+
+**3️⃣ รับ NFT สมาชิก**
+• รับโทเคน NFT เฉพาะของคุณ
+• หลักฐานการเป็นสมาชิกบนบล็อกเชน
+• ใบรับรองสมาชิกที่โอนต่อไม่ได้
+
+**4️⃣ เริ่มสร้างรายได้**
+• แชร์รหัสแนะนำของคุณ
+• รับค่าคอมมิชชันเมื่อเพื่อนเข้าร่วม
+• อัปเกรดเป็นแพ็กเกจที่สูงขึ้นเพื่อรายได้ที่มากขึ้น
+
+**💰 ระบบค่าคอมมิชชัน:**
+• **แพ็กเกจ 1-4:** 50% ให้คุณ 50% ให้บริษัท
+• **แพ็กเกจ 5-8:** 55% ให้คุณ 45% ให้บริษัท
+• **แพ็กเกจ 9-12:** 58% ให้คุณ 42% ให้บริษัท
+• **แพ็กเกจ 13-16:** 60% ให้คุณ 40% ให้บริษัท
+
+**🎯 การแบ่งส่วนของคุณ:**
+• 60% เข้ากระเป๋าเงินของคุณ (ค่าคอมมิชชันโดยตรง)
+• 40% เข้ากองทุนบริษัท
+
+**⬆️ ประโยชน์ของการอัปเกรด:**
+• ปลดล็อกอัตราค่าคอมมิชชันที่สูงขึ้น
+• เข้าถึงฟีเจอร์พรีเมียม
+• โอกาสสร้างรายได้ที่มากขึ้น
+• เข้าถึงคอมมูนิตี้ VIP
+
+พร้อมเริ่มหรือยัง? เลือกแพ็กเกจด้านบนได้เลย! 🚀`,
+        commissionDetails: `💰 **รายละเอียดโครงสร้างค่าคอมมิชชัน**
+
+**📊 การแบ่งค่าคอมมิชชันตามระดับแพ็กเกจ:**
+
+**🥉 ระดับ Bronze (แพ็กเกจ 1-4):**
+• ผู้ใช้ได้รับ: 50% ของราคาแพ็กเกจ
+• บริษัท: 50% ของราคาแพ็กเกจ
+• ค่าคอมมิชชันโดยตรงของคุณ: 30% ของราคาแพ็กเกจ
+• จัดสรรเข้ากองทุน: 20% ของราคาแพ็กเกจ
+
+**🥈 ระดับ Silver (แพ็กเกจ 5-8):**
+• ผู้ใช้ได้รับ: 55% ของราคาแพ็กเกจ
+• บริษัท: 45% ของราคาแพ็กเกจ
+• ค่าคอมมิชชันโดยตรงของคุณ: 33% ของราคาแพ็กเกจ
+• จัดสรรเข้ากองทุน: 22% ของราคาแพ็กเกจ
+
+**🥇 ระดับ Gold (แพ็กเกจ 9-12):**
+• ผู้ใช้ได้รับ: 58% ของราคาแพ็กเกจ
+• บริษัท: 42% ของราคาแพ็กเกจ
+• ค่าคอมมิชชันโดยตรงของคุณ: 35% ของราคาแพ็กเกจ
+• จัดสรรเข้ากองทุน: 23% ของราคาแพ็กเกจ
+
+**💎 ระดับ Diamond (แพ็กเกจ 13-16):**
+• ผู้ใช้ได้รับ: 60% ของราคาแพ็กเกจ
+• บริษัท: 40% ของราคาแพ็กเกจ
+• ค่าคอมมิชชันโดยตรงของคุณ: 36% ของราคาแพ็กเกจ
+• จัดสรรเข้ากองทุน: 24% ของราคาแพ็กเกจ
+
+**🎯 ตัวอย่าง: แพ็กเกจ 5 (Gold) - $50 USDT**
+• คุณได้รับ: $33 USDT ทันที
+• ผู้แนะนำของคุณได้รับ: $22 USDT
+• บริษัทได้รับ: $45 USDT รวม
+
+**⚡ จ่ายทันที:**
+• จ่ายค่าคอมมิชชันทันที
+• เข้ากระเป๋าเงินของคุณโดยตรง
+• ไม่มีความล่าช้าหรือการดำเนินการด้วยมือ
+• ธุรกรรมโปร่งใสบนบล็อกเชน
+
+**🔄 โบนัสจากการอัปเกรด:**
+• รับรายได้จากส่วนต่างราคาเมื่อสมาชิกอัปเกรด
+• โอกาสสร้างรายได้ต่อเนื่อง
+• สร้างรายได้แบบพาสซีฟ
+
+เริ่มสร้างรายได้วันนี้! 💪`,
+        comparison: `📈 **ตารางเปรียบเทียบแพ็กเกจ**
+
+**💡 เปรียบเทียบโดยย่อ:**
+
+**🟢 แพ็กเกจเริ่มต้น (1-4):**
+• ราคาระดับเริ่มต้น ($10-$40)
+• อัตราค่าคอมมิชชันโดยตรง 30%
+• เหมาะสำหรับผู้เริ่มต้น
+• เข้าถึงคอมมูนิตี้พื้นฐาน
+
+**🟡 แพ็กเกจเติบโต (5-8):**
+• ราคาระดับกลาง ($50-$80)
+• อัตราค่าคอมมิชชันโดยตรง 33%
+• เพิ่มโอกาสสร้างรายได้
+• ปลดล็อกฟีเจอร์พรีเมียม
+
+**🟠 แพ็กเกจขั้นสูง (9-12):**
+• ราคาสูงขึ้น ($90-$120)
+• อัตราค่าคอมมิชชันโดยตรง 35%
+• สำหรับผู้สร้างรายได้จริงจัง
+• เข้าถึงคอมมูนิตี้ VIP
+
+**🔴 แพ็กเกจระดับสูงสุด (13-16):**
+• ราคาพรีเมียม ($130-$160)
+• อัตราค่าคอมมิชชันโดยตรง 36%
+• ศักยภาพรายได้สูงสุด
+• ฟีเจอร์พิเศษระดับสูงสุด
+
+**🎯 คำแนะนำ:**
+• **ผู้ใช้ใหม่:** เริ่มที่แพ็กเกจ 1-2
+• **ผู้มีประสบการณ์:** พิจารณาแพ็กเกจ 5-8
+• **นักลงทุนจริงจัง:** แพ็กเกจ 9-12
+• **สมาชิกระดับสูงสุด:** แพ็กเกจ 13-16
+
+**⬆️ กลยุทธ์การอัปเกรด:**
+1. เริ่มจากระดับที่สบายใจ
+2. นำรายได้กลับมาลงทุน
+3. อัปเกรดทีละขั้น
+4. เพิ่มค่าคอมมิชชันให้สูงสุด
+
+**💰 ตัวอย่างผลตอบแทน:**
+แพ็กเกจ 5 ($50) → แนะนำเพื่อน 2 คน → ได้รับ $66 → ผลตอบแทน 132%!
+
+เลือกจุดเริ่มต้นอย่างรอบคอบ! 🎯`,
+        categories: {
+            starter: { button: '🟢 เริ่มต้น (1-4)', name: 'แพ็กเกจเริ่มต้น (1-4)', description: 'เหมาะสำหรับผู้เริ่มต้น', tier: '**ระดับเริ่มต้น:**' },
+            growth: { button: '🟡 เติบโต (5-8)', name: 'แพ็กเกจเติบโต (5-8)', description: 'เพิ่มโอกาสสร้างรายได้', tier: '**ระดับเติบโต:**' },
+            advanced: { button: '🟠 ขั้นสูง (9-12)', name: 'แพ็กเกจขั้นสูง (9-12)', description: 'สำหรับผู้สร้างรายได้จริงจัง', tier: '**ระดับขั้นสูง:**' },
+            elite: { button: '🔴 ระดับสูงสุด (13-16)', name: 'แพ็กเกจระดับสูงสุด (13-16)', description: 'ศักยภาพรายได้สูงสุด', tier: '**ระดับสูงสุด:**' }
+        }
+    },
+
+    referral: {
+        loadFailed: '❌ โหลดข้อมูลการแนะนำไม่สำเร็จ',
+        userNotFound: '❌ ไม่พบผู้ใช้',
+        overview: `👥 **โปรแกรมแนะนำของคุณ**
+
+🎯 **รหัสแนะนำของคุณ:** \`{referralCode}\`
+
+**📊 สถิติการแนะนำของคุณ:**
+• **ผู้ถูกแนะนำทั้งหมด:** {total}
+• **ผู้ถูกแนะนำที่ใช้งานอยู่:** {active}
+• **รายได้ทั้งหมด:** {earnings} USDT
+
+**💰 โครงสร้างค่าคอมมิชชัน:**
+• **แพ็กเกจ 1-4:** ค่าคอมมิชชัน 30%
+• **แพ็กเกจ 5-8:** ค่าคอมมิชชัน 33%
+• **แพ็กเกจ 9-12:** ค่าคอมมิชชัน 35%
+• **แพ็กเกจ 13-16:** ค่าคอมมิชชัน 36%
+
+**🚀 วิธีสร้างรายได้:**
+1. แชร์รหัสแนะนำให้เพื่อน
+2. เพื่อนสมัครด้วยรหัสของคุณ
+3. คุณได้รับค่าคอมมิชชันทันที
+4. สร้างเครือข่ายและเพิ่มรายได้!
+
+**🔗 ลิงก์แนะนำของคุณ:**
+{link}
+
+แชร์ลิงก์นี้เพื่อเริ่มสร้างรายได้! 💪`,
+        shareMessage: `🎉 **เข้าร่วม Crypto Membership NFT!**
+
+💎 รับ NFT สมาชิกสุดพิเศษและเริ่มสร้างรายได้!
+
+**🚀 สิ่งที่คุณจะได้รับ:**
+• โทเคน NFT สมาชิกสุดพิเศษ
+• รับรายได้จากการแนะนำทันที
+• อัปเกรดได้ถึง 16 ระดับสมาชิก
+• เข้าร่วมคอมมูนิตี้ VIP
+
+**💰 เริ่มสร้างรายได้วันนี้!**
+
+👉 **เข้าร่วมที่นี่:** {link}
+
+*ส่งโดย {name}*`,
+        shareHint: '💡 **ใช้ปุ่มด้านล่างเพื่อแชร์:**',
+        shareFailed: '❌ สร้างข้อความแชร์ไม่สำเร็จ',
+        statsUnavailable: '📊 **สถิติการแนะนำ**\n\n❌ ไม่สามารถโหลดสถิติได้ในขณะนี้',
+        stats: `📊 **สถิติการแนะนำโดยละเอียด**
+
+**👥 ภาพรวมการแนะนำ:**
+• **แนะนำทั้งหมด:** {total}
+• **สมัครสมาชิกสำเร็จ:** {registered}
+• **ใช้งานอยู่:** {active}
+• **อัตราการสมัคร:** {rate}%
+
+**💰 รายละเอียดรายได้:**
+• **รายได้ทั้งหมด:** {earned} USDT
+• **เฉลี่ยต่อการแนะนำ:** {average} USDT
+• **รายการค่าคอมมิชชัน:** {payments}
+• **รายการที่จ่ายแล้ว:** {paid}
+
+**📈 ตัวชี้วัดผลงาน:**
+• **เดือนที่ดีที่สุด:** คำนวณจากข้อมูล
+• **อัตราการเปลี่ยนเป็นสมาชิก:** {rate}%
+• **สัดส่วนผู้ถูกแนะนำที่ใช้งานอยู่:** {activeRatio}%
+
+**🎯 โอกาสการเติบโต:**
+• **ระดับปัจจุบัน:** {level}
+• **เป้าหมายถัดไป:** {milestone} คน
+• **คาดการณ์รายเดือน:** ตามอัตราปัจจุบัน
+
+สร้างเครือข่ายของคุณต่อไป! 🚀`,
+        statsFailed: '❌ โหลดสถิติไม่สำเร็จ',
+        historyTitle: '👥 **ผู้ถูกแนะนำของคุณ** (หน้า {page})',
+        historyEmpty: '📭 ยังไม่มีผู้ถูกแนะนำ\n\nเริ่มแชร์รหัสแนะนำเพื่อสร้างเครือข่ายของคุณ!',
+        historyEntry: 'เข้าร่วม: {date} • รายได้: {earned} USDT',
+        historyTotal: {
+            other: '**รวม:** {count} คน'
+        },
+        historyFailed: '❌ โหลดประวัติการแนะนำไม่สำเร็จ',
+        levels: {
+            starter: 'เริ่มต้น',
+            bronze: 'บรอนซ์',
+            silver: 'ซิลเวอร์',
+            gold: 'โกลด์',
+            platinum: 'แพลทินัม',
+            diamond: 'ไดมอนด์'
+        }
+    },
+
+    network: {
+        title: '🌐 **เครือข่ายของฉัน**',
+        pageTitle: '🌐 **เครือข่ายของฉัน** (หน้า {page}/{pages})',
+        upline: '**⬆️ อัปไลน์ของคุณ** ({source})',
+        sourceContract: 'จากสัญญา',
+        sourceBot: 'จากข้อมูลของบอท',
+        noSponsor: '• ไม่มีผู้แนะนำ',
+        sponsor: '• ผู้แนะนำ: {name}',
+        uplineLevel: '• ระดับ {level}: {name}',
+        downline: '**⬇️ ดาวน์ไลน์ของคุณ** ({depth} ระดับ)',
+        empty: '📭 ยังไม่มีผู้ถูกแนะนำ แชร์รหัสของคุณเพื่อเริ่มสร้างเครือข่าย!',
+        level: '• ระดับ {level}: **{count}** คน (สมัครแล้ว {registered} คน)',
+        total: '• **รวม:** {count} คน สมัครแล้ว {registered} คน',
+        planDistribution: '**💎 การกระจายตามแพ็กเกจ**',
+        truncated: '_เครือข่ายของคุณลึกกว่าที่แสดงที่นี่_',
+        footer: '💡 ค่าคอมมิชชันมาจากการสมัครและการอัปเกรดของผู้ที่คุณแนะนำโดยตรง',
+        pageLevel: '**ระดับ {level}** ({count} คน)',
+        member: 'สมาชิก #{id}',
+        notRegistered: 'ยังไม่สมัครสมาชิก',
+        notOnBot: 'ไม่ได้ใช้บอท',
+        noChange: 'ยังไม่มีการเปลี่ยนแปลง',
+        loadFailed: '❌ โหลดเครือข่ายของคุณไม่สำเร็จ',
+        exporting: '📄 กำลังสร้างผังเครือข่ายของคุณ...',
+        exportCaption: '🌐 เครือข่ายการแนะนำของคุณ: {count} คน ใน {levels} ระดับ',
+        exportFailed: '❌ ส่งออกเครือข่ายของคุณไม่สำเร็จ',
+        tree: {
+            title: 'เครือข่ายการแนะนำของ {member}',
+            generated: 'สร้างเมื่อ {date} แสดง {depth} ระดับในแต่ละทิศทาง',
+            upline: 'อัปไลน์ (ค่าคอมมิชชันที่คุณสร้างจะส่งขึ้นไปตามสายนี้)',
+            noSponsor: '(ไม่มีผู้แนะนำ)',
+            you: 'คุณ',
+            downline: 'ดาวน์ไลน์ ({count} คน สมัครแล้ว {registered} คน)',
+            level: 'ระดับ {level}: {count} คน สมัครแล้ว {registered} คน',
+            planDistribution: 'การกระจายตามแพ็กเกจ',
+            tree: 'ผังเครือข่าย',
+            continuesMembers: '… เครือข่ายยังมีต่อเกิน {count} คน',
+            continuesLevels: '… เครือข่ายยังมีต่อเกิน {depth} ระดับ'
+        }
+    },
+
+    wallet: {
+        failed: '❌ การทำรายการกระเป๋าเงินไม่สำเร็จ กรุณาลองใหม่อีกครั้ง',
+        connect: `💳 **เชื่อมต่อกระเป๋าเงิน BSC ของคุณ**
+
+🔗 **คุณต้องมีกระเป๋าเงิน BSC เพื่อเข้าร่วมโปรแกรมสมาชิกของเรา**
+
+**🎯 กระเป๋าเงินที่รองรับ:**
+• **MetaMask** (แนะนำ)
+• **Trust Wallet**
+• **SafePal Wallet**
+• **Binance Chain Wallet**
+• กระเป๋าเงินใดก็ได้ที่รองรับ BSC
+
+**📋 สิ่งที่คุณต้องมี:**
+• โทเคน USDT สำหรับค่าสมาชิก
+• BNB จำนวนเล็กน้อยสำหรับค่าแก๊ส
+• เพิ่มเครือข่าย BSC (Binance Smart Chain) แล้ว
+
+**🔒 ข้อควรระวังด้านความปลอดภัย:**
+• เราเก็บเฉพาะที่อยู่กระเป๋าเงินของคุณ
+• ห้ามเปิดเผยคีย์ส่วนตัว
+• ตรวจสอบธุรกรรมทุกครั้งก่อนลงนาม
+
+**📱 พร้อมเชื่อมต่อกระเป๋าเงินหรือยัง?**
+
+ส่งที่อยู่กระเป๋าเงิน BSC ของคุณ (ขึ้นต้นด้วย 0x) หรือกดปุ่มด้านล่างเพื่อขอความช่วยเหลือ! 👇`,
+        info: `💳 **ข้อมูลกระเป๋าเงินของคุณ**
+
+**🔗 กระเป๋าเงินที่เชื่อมต่อ:**
+\`{address}\`
+
+**💰 ยอดคงเหลือ:**
+• **USDT:** {usdt} USDT
+• **BNB:** {bnb} BNB
+
+**📊 สถานะสมาชิก:**
+{membership}
+
+**🔒 สถานะความปลอดภัย:**
+✅ เชื่อมต่อกระเป๋าเงินอย่างปลอดภัยแล้ว
+✅ พร้อมทำธุรกรรม
+{gas}
+
+**⚡ การดำเนินการด่วน:**`,
+        registered: `✅ เป็นสมาชิกแล้ว (แพ็กเกจ {plan})
+📈 **รายได้บนเชน:** {earnings} USDT
+👥 **ผู้ถูกแนะนำโดยตรง:** {referrals}`,
+        notRegistered: `❌ ยังไม่ได้สมัครสมาชิก
+💡 ใช้ /register เพื่อสมัครแพ็กเกจสมาชิก`,
+        gasOk: '✅ มี BNB เพียงพอสำหรับค่าแก๊ส',
+        gasLow: '⚠️ ยอด BNB ต่ำ (จำเป็นสำหรับค่าแก๊ส)',
+        infoFailed: '❌ โหลดข้อมูลกระเป๋าเงินไม่สำเร็จ',
+        alreadyLinked: `❌ **กระเป๋าเงินนี้ถูกเชื่อมต่อแล้ว**
+
+ที่อยู่กระเป๋าเงินนี้เชื่อมต่อกับบัญชีอื่นอยู่แล้ว
+
+**ทางเลือก:**
+• ใช้ที่อยู่กระเป๋าเงินอื่น
+• ติดต่อฝ่ายสนับสนุนหากนี่คือกระเป๋าเงินของคุณ
+• ตรวจสอบว่าคุณมีบัญชี Telegram อื่นหรือไม่
+
+กรุณาส่งที่อยู่กระเป๋าเงินอื่น! 💳`,
+        inputFailed: '❌ ประมวลผลที่อยู่กระเป๋าเงินไม่สำเร็จ กรุณาลองใหม่อีกครั้ง',
+        balances: `**💰 ยอดคงเหลือ:**
+• USDT: {usdt} USDT
+• BNB: {bnb} BNB`,
+        balancesUnavailable: '⚠️ ไม่สามารถดึงยอดคงเหลือของกระเป๋าเงินได้',
+        verify: `🔐 **ยืนยันความเป็นเจ้าของกระเป๋าเงิน**
+
+**ที่อยู่กระเป๋าเงิน:**
+\`{address}\`
+
+**ที่อยู่แบบย่อ:** {shortAddress}{balances}
+
+**✍️ พิสูจน์ว่ากระเป๋าเงินนี้เป็นของคุณ:**
+{steps}
+
+**📝 ข้อความที่ต้องลงนาม:**
+\`\`\`
+{message}
+\`\`\`
+
+**⚠️ สำคัญ:**
+• การลงนามไม่มีค่าใช้จ่ายและไม่ส่งธุรกรรมใด ๆ
+• ห้ามเปิดเผยคีย์ส่วนตัวหรือวลีกู้คืน
+• ข้อความนี้จะหมดอายุใน {expires}
+
+กำลังรอลายเซ็นของคุณ... 👇`,
+        verifyStepsLink: '1. แตะกระเป๋าเงินของคุณด้านล่างแล้วลงนามข้อความ\n2. กระเป๋าเงินจะเชื่อมต่อโดยอัตโนมัติ',
+        verifyStepsManual: '1. ลงนามข้อความด้านล่างด้วยกระเป๋าเงินนี้\n2. วางลายเซ็น (ขึ้นต้นด้วย 0x) ที่นี่',
+        noChallenge: '❌ ไม่มีการยืนยันกระเป๋าเงินที่รอดำเนินการ ใช้ /wallet เพื่อเชื่อมต่อกระเป๋าเงิน',
+        verificationFailed: `❌ **การยืนยันไม่สำเร็จ**
+
+{error}
+
+ส่งลายเซ็นที่ถูกต้อง หรือใช้ /wallet เพื่อเริ่มใหม่`,
+        noWallet: '❌ ยังไม่ได้เชื่อมต่อกระเป๋าเงิน',
+        cannotDisconnect: '❌ ไม่สามารถยกเลิกการเชื่อมต่อกระเป๋าเงินของสมาชิกที่สมัครแล้ว',
+        disconnect: `🔓 **ยกเลิกการเชื่อมต่อกระเป๋าเงิน**
+
+**กระเป๋าเงินปัจจุบัน:** \`{address}\`
+
+**⚠️ คำเตือน:**
+• คุณต้องเชื่อมต่อใหม่เพื่อสมัครสมาชิก
+• การดำเนินการนี้ย้อนกลับไม่ได้
+• ตรวจสอบให้แน่ใจว่าคุณบันทึกที่อยู่กระเป๋าเงินไว้แล้ว
+
+**คุณแน่ใจหรือไม่ว่าต้องการยกเลิกการเชื่อมต่อ?**`,
+        disconnectFailed: '❌ ยกเลิกการเชื่อมต่อกระเป๋าเงินไม่สำเร็จ',
+        connected: `✅ **เชื่อมต่อกระเป๋าเงินสำเร็จ!**
+
+**กระเป๋าเงินที่เชื่อมต่อ:** \`{address}\`
+
+🎉 กระเป๋าเงิน BSC ของคุณเชื่อมต่อกับบัญชีแล้ว!
+
+**🚀 ขั้นตอนถัดไป:**
+• ตรวจสอบยอด USDT สำหรับค่าสมาชิก
+• ตรวจสอบว่ามี BNB สำหรับค่าแก๊ส
+• พร้อมสมัครแพ็กเกจสมาชิก!
+
+**⚡ การดำเนินการด่วน:**`,
+        disconnected: `🔓 **ยกเลิกการเชื่อมต่อกระเป๋าเงินแล้ว**
+
+กระเป๋าเงินของคุณถูกยกเลิกการเชื่อมต่อจากบัญชีเรียบร้อยแล้ว
+
+**หากต้องการเข้าร่วมอีกครั้ง:**
+• ใช้ /wallet เพื่อเชื่อมต่อกระเป๋าเงินใหม่
+• ตรวจสอบว่ามี USDT และ BNB
+• สมัครสมาชิกให้เสร็จสมบูรณ์
+
+ต้องการความช่วยเหลือ? ใช้ /help ได้เลย! 💡`,
+        disconnectedShort: '✅ ยกเลิกการเชื่อมต่อกระเป๋าเงินแล้ว',
+        help: `💡 **ความช่วยเหลือและคู่มือกระเป๋าเงิน**
+
+**🔗 การตั้งค่ากระเป๋าเงิน BSC:**
+
+**📱 การตั้งค่า MetaMask:**
+1. ดาวน์โหลดแอปหรือส่วนขยาย MetaMask
+2. สร้างกระเป๋าเงินใหม่หรือนำเข้ากระเป๋าเงินเดิม
+3. เพิ่มเครือข่ายด้านล่าง
+4. โอน USDT และ {symbol} เข้ากระเป๋าเงิน
+
+**🌐 การตั้งค่าเครือข่าย:**
+{network}
+
+**💰 การรับโทเคน:**
+• **USDT:** ซื้อบน Binance แล้วโอนไปยัง BSC
+• **BNB:** จำเป็นสำหรับค่าแก๊ส (ประมาณ $1-2)
+
+**🔒 เคล็ดลับความปลอดภัย:**
+• ห้ามเปิดเผยคีย์ส่วนตัว
+• ใช้ฮาร์ดแวร์วอลเล็ตสำหรับจำนวนเงินมาก
+• ตรวจสอบรายละเอียดธุรกรรมทุกครั้ง
+• เก็บวลีกู้คืนไว้อย่างปลอดภัย
+
+ต้องการความช่วยเหลือเพิ่มเติม? ติดต่อฝ่ายสนับสนุน! 🆘`,
+        requestNotFound: '❌ ไม่พบคำขอลงนาม',
+        requestMissing: '❌ ไม่พบคำขอลงนาม กรุณาเริ่มใหม่อีกครั้ง',
+        requestClosed: '❌ คำขอลงนามนี้ปิดแล้ว',
+        requestLoadFailed: '❌ โหลดคำขอลงนามไม่สำเร็จ',
+        txHashPrompt: `📝 **ส่งแฮชธุรกรรม**
+
+วางแฮชธุรกรรมที่กระเป๋าเงินของคุณแสดงหลังจากลงนาม
+
+**ตัวอย่าง:** \`0x5c504ed432cb51138bcf09aa5e8a410dd4a1e204ef84bfed1be16dfba1b22060\`
+
+เราจะตรวจสอบว่าตรงกับธุรกรรมที่เราเตรียมไว้ให้คุณ 🔍`,
+        txReceived: `📤 **ได้รับธุรกรรมแล้ว!**
+
+**แฮช:** \`{hash}\`
+**สถานะ:** รอการยืนยัน ⏳
+
+เราจะแจ้งให้คุณทราบเมื่อธุรกรรมได้รับการยืนยันบนเครือข่าย`,
+        txHashRejected: `❌ {error}
+
+ส่งแฮชที่ถูกต้อง หรือใช้ /wallet เพื่อเริ่มใหม่`,
+        signingCancelled: `❌ **ยกเลิกการลงนามแล้ว**
+
+ไม่มีธุรกรรมใดถูกส่งจากกระเป๋าเงินของคุณ
+
+หากคุณลงนามไปแล้วก็ไม่ต้องกังวล เราจะตรวจพบเมื่อธุรกรรมได้รับการยืนยัน`,
+        cancelled: '❌ ยกเลิกแล้ว',
+        cancelFailed: '❌ ยกเลิกไม่สำเร็จ',
+        txNotFound: '❌ ไม่พบธุรกรรม',
+        jobStatus: `📊 **สถานะธุรกรรม**
+
+**📋 {type}**
+{job}
+
+{note}`,
+        jobNotes: {
+            queued: 'กำลังรอให้ธุรกรรมก่อนหน้าถูกส่งก่อน',
+            signed: 'ลงนามแล้วและกำลังจะส่งออก',
+            sent: 'ส่งไปยังเครือข่ายแล้ว กำลังรอการขุด',
+            mined: 'ขุดสำเร็จแล้ว! สถานะสมาชิกจะอัปเดตเมื่อบล็อกได้รับการยืนยัน',
+            failed: 'ไม่มีการเรียกเก็บเงินสำหรับคำขอนี้ กรุณาลองใหม่อีกครั้ง',
+            cancelled: 'ผู้ดูแลระบบยกเลิกแล้ว ไม่มีการเรียกเก็บเงินสำหรับคำขอนี้'
+        },
+        noChange: 'ยังไม่มีการเปลี่ยนแปลง',
+        jobLoadFailed: '❌ โหลดสถานะธุรกรรมไม่สำเร็จ',
+        history: {
+            title: '📋 **ประวัติธุรกรรม**',
+            empty: '📭 ไม่พบธุรกรรม\n\nเริ่มต้นด้วยการสมัครแพ็กเกจสมาชิก!',
+            queued: 'อยู่ในคิวรอส่ง',
+            awaitingSignature: 'รอการลงนาม',
+            total: {
+                other: '**รวม:** แสดง {count} ธุรกรรม'
+            },
+            failed: '❌ โหลดประวัติธุรกรรมไม่สำเร็จ'
+        },
+        errors: {
+            noChallenge: 'ไม่มีการยืนยันกระเป๋าเงินที่รอดำเนินการสำหรับที่อยู่นี้ กรุณาเริ่มใหม่',
+            challengeExpired: 'ข้อความยืนยันหมดอายุแล้ว กรุณาเริ่มใหม่',
+            invalidSignature: 'รูปแบบลายเซ็นไม่ถูกต้อง',
+            wrongSigner: 'ลายเซ็นไม่ได้มาจากกระเป๋าเงินนี้',
+            challengeUsed: 'ข้อความยืนยันนี้ถูกใช้ไปแล้ว',
+            walletTaken: 'ที่อยู่กระเป๋าเงินนี้เชื่อมต่อกับบัญชีอื่นอยู่แล้ว',
+            requestNotFound: 'ไม่พบคำขอลงนาม',
+            requestClosed: 'คำขอลงนามอยู่ในสถานะ {status} แล้ว',
+            requestExpired: 'คำขอลงนามหมดอายุแล้ว กรุณาเริ่มใหม่',
+            invalidTxHash: 'รูปแบบแฮชธุรกรรมไม่ถูกต้อง',
+            txNotFound: 'ยังไม่พบธุรกรรมบนเครือข่าย กรุณาลองใหม่ในอีกสักครู่',
+            txMismatch: 'ธุรกรรมไม่ตรงกับคำขอลงนามนี้'
+        }
+    },
+
+    faucet: {
+        intro: `🚰 **Faucet ของ {network}**
+
+รับโทเคนทดสอบเพื่อทดลองลงทะเบียนและอัปเกรด:
+• **{usdt} USDT** (โทเคนทดสอบ)
+• **{bnb} {symbol}** สำหรับค่าแก๊ส หากกระเป๋าเงินของคุณมียอดน้อย`,
+        unavailable: '⚠️ Faucet ยังไม่พร้อมใช้งานในขณะนี้ กรุณาลองใหม่ภายหลัง',
+        walletRequired: '💳 เชื่อมต่อกระเป๋าเงินด้วย /wallet ก่อน แล้วกลับมาที่นี่',
+        wallet: '**กระเป๋าเงิน:** `{address}`',
+        lastClaim: '**📋 การขอรับครั้งล่าสุด:**',
+        canClaim: {
+            other: '✅ คุณขอรับได้แล้วตอนนี้ (เหลืออีก {count} ครั้ง)'
+        },
+        nextClaim: 'ขอรับครั้งถัดไปได้: {date}',
+        moreGas: '{symbol} เพิ่มเติม: {url}',
+        loadFailed: '❌ โหลด Faucet ไม่สำเร็จ กรุณาลองใหม่อีกครั้ง',
+        claimQueuedShort: '🚰 ส่งคำขอเข้าคิวแล้ว',
+        claimQueued: `🚰 **ส่งคำขอรับจาก Faucet เข้าคิวแล้ว**
+
+{claim}
+
+โทเคนจะเข้ากระเป๋าเมื่อธุรกรรมถูกบันทึกบนบล็อก โดยปกติภายในหนึ่งนาที จากนั้นลองใช้ /register ได้เลย!`,
+        claimFailed: '❌ ดำเนินการคำขอรับจาก Faucet ไม่สำเร็จ กรุณาลองใหม่อีกครั้ง',
+        claim: `• **สถานะ:** {status}
+• **ขอรับเมื่อ:** {requested}
+• **USDT:** {usdt}{hash}`,
+        claimGas: '• **เติมค่าแก๊ส:** {amount} {symbol}{hash}',
+        claimError: '• **ข้อผิดพลาด:** {error}',
+        status: {
+            queued: '⏳ กำลังส่ง',
+            completed: '✅ เสร็จสมบูรณ์',
+            failed: '❌ ล้มเหลว'
+        },
+        errors: {
+            mainnet: '🚫 Faucet ใช้ได้บนเครือข่ายทดสอบเท่านั้น',
+            disabled: 'Faucet ยังไม่พร้อมใช้งานในขณะนี้',
+            noWallet: 'เชื่อมต่อกระเป๋าเงินด้วย /wallet ก่อน',
+            inProgress: 'คำขอของคุณกำลังดำเนินการอยู่',
+            claimsUsed: 'คุณใช้สิทธิ์ขอรับจาก Faucet ครบ {max} ครั้งแล้ว',
+            cooldown: 'คุณเพิ่งขอรับไปเมื่อไม่นานมานี้',
+            dailyLimit: 'Faucet ถึงขีดจำกัดของวันนี้แล้ว'
+        }
+    },
+
+    exit: {
+        signingDisabled: `🚪 **ออกจากสมาชิก**
+
+การออกจากสมาชิกต้องลงนามด้วยกระเป๋าเงินที่คุณใช้ลงทะเบียน และบอทนี้ยังไม่เปิดใช้การลงนามผ่านกระเป๋าเงิน
+
+กรุณาติดต่อฝ่ายสนับสนุนเพื่อออกจากสมาชิก`,
+        noMembership: '⚠️ กระเป๋าเงินของคุณไม่มีสมาชิกภาพที่ใช้งานอยู่บนบล็อกเชน',
+        notMember: '⚠️ คุณไม่มีสมาชิกภาพที่ใช้งานอยู่ให้ออก',
+        walletRequired: '💳 เชื่อมต่อกระเป๋าเงินที่ใช้ลงทะเบียนด้วย /wallet ก่อน',
+        lockedUntil: '🔒 **ล็อกถึง:** {date} (เหลืออีก {left})',
+        lockExpired: '🔓 **พ้นระยะล็อกแล้ว:** {date}',
+        preview: `🚪 **ออกจากสมาชิก**
+
+**📋 สมาชิกภาพของคุณ:**
+• **แพ็กเกจ:** {plan}
+• **ลงทะเบียนเมื่อ:** {registered}
+{lock}
+
+{refund}
+
+**⚠️ เมื่อคุณออกจากสมาชิก:**
+• ระดับแพ็กเกจและตำแหน่งในรอบของคุณจะถูกลบ
+• คุณจะไม่ได้รับค่าคอมมิชชันจากการแนะนำอีก
+• หากต้องการกลับมาภายหลัง ต้องลงทะเบียนและชำระเงินใหม่`,
+        lockNotice: 'ออกจากสมาชิกได้หลังลงทะเบียนครบ 30 วันเท่านั้น กรุณากลับมาอีกครั้งเมื่อพ้นระยะล็อก',
+        refundEstimate: '**💰 เงินคืนโดยประมาณ:** {amount} USDT สัญญาจะโอนเข้ากระเป๋าเงินของคุณ',
+        refundUnknown: '**💰 เงินคืน:** ยังประเมินไม่ได้ในขณะนี้ เราจะแจ้งจำนวนเงินเมื่อการออกจากสมาชิกได้รับการยืนยันบนบล็อกเชน',
+        loadFailed: '❌ โหลดรายละเอียดการออกจากสมาชิกไม่สำเร็จ กรุณาลองใหม่อีกครั้ง',
+        notAvailable: '❌ ยังออกจากสมาชิกไม่ได้ในขณะนี้',
+        finalConfirmation: `⚠️ **คุณแน่ใจจริงๆ หรือไม่?**
+
+คุณกำลังจะยุติสมาชิกภาพแพ็กเกจ **{plan}**
+{refund}
+
+**การดำเนินการนี้ย้อนกลับไม่ได้**`,
+        confirmationFailed: '❌ แสดงหน้ายืนยันไม่สำเร็จ',
+        preparing: '🔄 กำลังเตรียมการออกจากสมาชิก...',
+        signatureRequired: `✍️ **ลงนามเพื่อออกจากสมาชิก**
+
+**📋 รายละเอียดธุรกรรม:**
+• **การดำเนินการ:** ออกจากสมาชิก
+• **จาก:** \`{from}\`
+• **สัญญา:** \`{contract}\`
+
+**📱 วิธีลงนาม:**
+1. แตะกระเป๋าเงินด้านล่างเพื่อเปิดหน้าลงนาม
+2. ตรวจสอบรายละเอียดแล้วยืนยันในกระเป๋าเงิน
+3. เราจะแจ้งยอดเงินคืนเมื่อการออกจากสมาชิกได้รับการยืนยันบนบล็อกเชน
+
+⏰ คำขอนี้จะหมดอายุใน {expires}`,
+        failed: `❌ **ออกจากสมาชิกไม่สำเร็จ**
+
+**ข้อผิดพลาด:** {error}
+
+สมาชิกภาพของคุณไม่มีการเปลี่ยนแปลง กรุณาลองใหม่ภายหลังหรือติดต่อฝ่ายสนับสนุน`
+    },
+
+    // Requirement checks and USDT approval messages shared by registration and upgrades
+    payment: {
+        walletNotConnected: '❌ ยังไม่ได้เชื่อมต่อกระเป๋าเงิน',
+        requirements: {
+            walletConnected: '✅ เชื่อมต่อกระเป๋าเงินแล้ว',
+            usdtOk: '✅ ยอด USDT เพียงพอ',
+            usdtShort: '❌ ต้องการ USDT เพิ่มอีก {amount}',
+            gasOk: '✅ BNB เพียงพอสำหรับค่าแก๊ส',
+            gasShort: '❌ ต้องมี BNB สำหรับค่าแก๊ส',
+            walletMissing: '❌ ยังไม่ได้เชื่อมต่อกระเป๋าเงิน',
+            unavailable: '⚠️ ไม่สามารถตรวจสอบข้อกำหนดได้'
+        },
+        approvalFailed: `❌ **การอนุมัติ USDT ล้มเหลว**
+
+ธุรกรรมอนุมัติของคุณถูกย้อนกลับ จึงยังไม่สามารถใช้ USDT ได้
+
+กรุณาตรวจสอบยอด BNB สำหรับค่าแก๊สแล้วลองอีกครั้ง`,
+        approvalConfirmed: '✅ **ยืนยันการอนุมัติ USDT แล้ว!**'
+    },
+
+    register: {
+        startFirst: '❌ กรุณาใช้ /start ก่อนเพื่อสร้างบัญชีของคุณ',
+        failedShort: '❌ การลงทะเบียนล้มเหลว กรุณาลองอีกครั้ง',
+        failedCallback: '❌ การลงทะเบียนล้มเหลว',
+        start: `🚀 **เริ่มต้นเส้นทางสมาชิกคริปโตของคุณ!**
+
+👋 ยินดีต้อนรับ {name}! มาลงทะเบียนกันเลย
+
+**🎯 สิ่งที่คุณจะได้รับ:**
+• 💎 โทเค็น NFT สมาชิกพิเศษ
+• 💰 รับค่าคอมมิชชันจากการแนะนำ
+• ⬆️ โอกาสในการอัปเกรด
+• 🌟 เข้าถึงชุมชน VIP
+
+**📋 ข้อกำหนดในการลงทะเบียน:**
+• ✅ กระเป๋าเงิน BSC (MetaMask, Trust Wallet ฯลฯ)
+• ✅ USDT เพียงพอสำหรับค่าสมาชิก
+• ✅ BNB จำนวนเล็กน้อยสำหรับค่าแก๊ส
+
+**💡 หมายเหตุสำคัญ:**
+• สมาชิกทุกคนเริ่มต้นที่แพ็กเกจ 1
+• คุณสามารถอัปเกรดเป็นแพ็กเกจที่สูงขึ้นได้ภายหลัง
+• ค่าลงทะเบียนรวมโทเค็น NFT ของคุณแล้ว
+• ค่าคอมมิชชันจะจ่ายเข้ากระเป๋าเงินของคุณทันที
+
+พร้อมเริ่มหรือยัง? 🚀`,
+        alreadyRegistered: `✅ **ลงทะเบียนแล้ว!**
+
+คุณเป็นสมาชิกที่ลงทะเบียนแล้ว! 🎉
+
+**👤 สมาชิกภาพของคุณ:**
+• **แพ็กเกจ:** {plan} (ระดับ {level})
+• **สถานะ:** สมาชิกที่ใช้งานอยู่ 💎
+• **การแนะนำ:** {referrals}
+• **รายได้:** {earnings} USDT
+
+**🚀 สิ่งที่คุณทำได้:**
+• แชร์รหัสแนะนำเพื่อรับค่าคอมมิชชัน
+• อัปเกรดเป็นแพ็กเกจที่สูงขึ้นเพื่อผลตอบแทนที่ดีกว่า
+• ติดตามรายได้และความคืบหน้าของคุณ
+
+ต้องการอัปเกรดเป็นแพ็กเกจที่สูงขึ้นหรือไม่? 📈`,
+        alreadyRegisteredShort: '❌ ลงทะเบียนแล้ว',
+        planUnavailable: '❌ ไม่มีข้อมูลแพ็กเกจ',
+        planLoadFailed: '❌ โหลดข้อมูลแพ็กเกจไม่สำเร็จ',
+        plan: `📋 **ลงทะเบียนสมาชิก - แพ็กเกจ 1**
+
+🎯 **สมาชิกใหม่ทุกคนเริ่มต้นที่แพ็กเกจ 1 (แพ็กเกจเริ่มต้น)**
+
+**💎 รายละเอียดแพ็กเกจ {name}:**
+• **ราคา:** {price} USDT
+• **อัตราค่าคอมมิชชัน:** 30% จากการแนะนำ
+• **รอบปัจจุบัน:** {cycle}
+• **ความคืบหน้าของรอบ:** {progress}
+• **โทเค็น NFT:** รวมแล้ว ✅
+
+**💰 โอกาสสร้างรายได้:**
+• รับ {perReferral} USDT ต่อการแนะนำ
+• จ่ายเข้ากระเป๋าเงินของคุณทันที
+• สามารถอัปเกรดเป็นแพ็กเกจที่สูงขึ้นได้
+
+**🔄 รอบทำงานอย่างไร:**
+• แต่ละแพ็กเกจมีรอบละ {cycleSize} คน
+• เมื่อรอบเต็ม รอบใหม่จะเริ่มขึ้น
+• สมาชิกทุกคนในรอบเดียวกันอยู่ระดับเดียวกัน
+
+**⚡ ขั้นตอนถัดไป:**
+1. เชื่อมต่อกระเป๋าเงิน BSC ของคุณ
+2. ตรวจสอบว่ามี {price} USDT + ค่าแก๊ส
+3. ยืนยันการลงทะเบียน
+4. รับโทเค็น NFT สมาชิกของคุณ
+
+พร้อมเข้าร่วมหรือยัง? 🚀`,
+        plan1Only: '❌ สมาชิกใหม่ต้องเริ่มต้นที่แพ็กเกจ 1',
+        selectFailed: '❌ เลือกแพ็กเกจไม่สำเร็จ',
+        confirm: `✅ **ยืนยันการลงทะเบียน**
+
+**📋 รายละเอียดการลงทะเบียน:**
+• **แพ็กเกจ:** {name} (ระดับ {level})
+• **ราคา:** {price} USDT
+• **กระเป๋าเงินของคุณ:** \`{wallet}\`
+• **ผู้แนะนำ:** {sponsor}
+• **อัตราค่าคอมมิชชัน:** 30%
+
+**💰 รายละเอียดธุรกรรม:**
+• **ค่าใช้จ่ายรวม:** {price} USDT
+• **รายได้ในอนาคตของคุณ:** {perReferral} USDT ต่อการแนะนำ
+• **ค่าแก๊ส:** ~0.001 BNB (เพิ่มเติม)
+
+**⚠️ ตรวจสอบข้อกำหนด:**
+{requirements}
+
+**🔄 ขั้นตอนต่อไป:**
+1. คุณยืนยันการลงทะเบียนนี้
+2. อนุมัติการใช้ USDT ในกระเป๋าเงินของคุณ
+3. ทำธุรกรรมให้เสร็จสมบูรณ์
+4. รับโทเค็น NFT สมาชิกของคุณ
+5. เริ่มสร้างรายได้จากการแนะนำ!
+
+**📱 เตรียมแอปกระเป๋าเงินของคุณให้พร้อม!**
+
+พร้อมดำเนินการต่อหรือยัง? 🚀`,
+        confirmFailed: '❌ แสดงหน้ายืนยันไม่สำเร็จ',
+        processingShort: '🔄 กำลังดำเนินการลงทะเบียน...',
+        processing: `🔄 **กำลังดำเนินการลงทะเบียนของคุณ...**
+
+**⏳ กรุณารอขณะที่เรา:**
+1. ตรวจสอบยอดเงินในกระเป๋าเงินของคุณ
+2. เตรียมธุรกรรมสัญญาอัจฉริยะ
+3. ตรวจสอบสภาพเครือข่าย
+
+**📱 กระเป๋าเงินของคุณอาจขอให้:**
+• อนุมัติการใช้ USDT
+• ยืนยันธุรกรรม
+• ชำระค่าแก๊ส
+
+**⚠️ สำคัญ:**
+• เปิดแชทนี้ไว้
+• อย่าปิดแอปกระเป๋าเงิน
+• รอการยืนยัน
+
+กำลังดำเนินการ... 🔄`,
+        success: `🎉 **ลงทะเบียนสำเร็จ!**
+
+**✅ เข้าคิวธุรกรรมเรียบร้อยแล้ว!**
+
+**📋 รายละเอียดธุรกรรม:**
+• **แพ็กเกจ:** {name} (ระดับ {level})
+• **จำนวน:** {price} USDT
+{job}
+
+**⏳ สิ่งที่กำลังเกิดขึ้น:**
+1. ธุรกรรมกำลังถูกส่งและยืนยันบน {network}
+2. กำลังสร้างโทเค็น NFT สมาชิกของคุณ
+3. คุณจะได้รับการแจ้งเตือนเมื่อเสร็จสิ้น
+
+**📱 ขั้นตอนถัดไป:**
+• บันทึกแฮชธุรกรรมไว้อ้างอิง
+• สมาชิกภาพของคุณจะใช้งานได้เมื่อได้รับการยืนยัน
+• เริ่มแชร์รหัสแนะนำเพื่อสร้างรายได้!
+
+**🎯 รหัสแนะนำของคุณ:** \`{referralCode}\`
+
+เราจะแจ้งให้คุณทราบเมื่อสมาชิกภาพของคุณเปิดใช้งานเต็มรูปแบบ! 🚀`,
+        loading: 'กำลังโหลด...',
+        signatureRequired: `✍️ **ลงนามการลงทะเบียนของคุณ**
+
+**✅ ทุกอย่างเรียบร้อย! ธุรกรรมของคุณพร้อมแล้ว**
+
+**📋 รายละเอียดธุรกรรม:**
+• **แพ็กเกจ:** {name} (ระดับ {level})
+• **จำนวน:** {price} USDT
+• **จาก:** \`{from}\`
+• **สัญญา:** \`{contract}\`
+
+**📱 วิธีลงนาม:**
+1. แตะกระเป๋าเงินด้านล่างเพื่อเปิดหน้าลงนาม
+2. ตรวจสอบรายละเอียดและยืนยันในกระเป๋าเงินของคุณ
+3. เราจะติดตามธุรกรรมให้โดยอัตโนมัติ
+
+**💡 ลงนามจากที่อื่น?** แตะ "วาง Tx Hash" แล้วส่งแฮชมาให้เรา
+
+⏰ คำขอนี้จะหมดอายุใน {expires}`,
+        resumeQueued: `ธุรกรรมลงทะเบียนของคุณเข้าคิวแล้ว:
+{job}
+
+เราจะแจ้งให้คุณทราบเมื่อสมาชิกภาพของคุณเปิดใช้งาน! 🚀`,
+        resumeFailed: 'เรายังไม่สามารถเตรียมการลงทะเบียนของคุณได้: {error}',
+        approvalLink: `💳 **ต้องอนุมัติ USDT**
+
+**⚠️ ก่อนลงทะเบียน คุณต้องอนุมัติการใช้ USDT**
+
+**📋 รายละเอียดการอนุมัติ:**
+• **จำนวน:** {price} USDT
+• **ผู้ใช้จ่าย:** สัญญา NFT
+• **วัตถุประสงค์:** ชำระค่าสมาชิก
+
+**📱 ขั้นตอนการอนุมัติ:**
+1. แตะกระเป๋าเงินด้านล่างและยืนยันการอนุมัติ
+2. เราจะตรวจพบการอนุมัติบนเชน
+3. การลงทะเบียนจะถูกส่งให้คุณลงนามโดยอัตโนมัติ
+
+**💡 นี่คือการอนุมัติครั้งเดียวสำหรับจำนวนนี้**`,
+        approvalManual: `💳 **ต้องอนุมัติ USDT**
+
+**⚠️ ก่อนลงทะเบียน คุณต้องอนุมัติการใช้ USDT**
+
+**📋 รายละเอียดการอนุมัติ:**
+• **จำนวน:** {price} USDT
+• **ผู้ใช้จ่าย:** สัญญา NFT
+• **วัตถุประสงค์:** ชำระค่าสมาชิก
+
+**📱 ขั้นตอนการอนุมัติ:**
+1. เปิดแอปกระเป๋าเงินของคุณ (MetaMask, Trust Wallet ฯลฯ)
+2. ไปที่โทเค็น USDT
+3. อนุมัติการใช้จ่ายให้สัญญา NFT
+4. กลับมาที่นี่แล้วลองลงทะเบียนอีกครั้ง
+
+**🔗 ที่อยู่สัญญา:**
+\`{contract}\`
+
+**💡 นี่คือการอนุมัติครั้งเดียวสำหรับจำนวนนี้**
+
+เมื่ออนุมัติแล้ว กลับมาที่นี่เพื่อลงทะเบียนให้เสร็จ! 🚀`,
+        failed: `❌ **การลงทะเบียนล้มเหลว**
+
+**😔 เกิดข้อผิดพลาดในการลงทะเบียนของคุณ**
+
+**ข้อผิดพลาด:** {error}
+
+**🔧 วิธีแก้ไขที่เป็นไปได้:**
+• ตรวจสอบยอด USDT ของคุณ
+• ตรวจสอบว่ามี BNB เพียงพอสำหรับค่าแก๊ส
+• ตรวจสอบการเชื่อมต่อกระเป๋าเงิน
+• ตรวจสอบการเชื่อมต่อเครือข่าย
+• ลองอีกครั้งในอีกไม่กี่นาที
+
+**💡 ปัญหาที่พบบ่อย:**
+• ยอด USDT ไม่เพียงพอ
+• ต้องอนุมัติการใช้ USDT ก่อน
+• เครือข่ายหนาแน่น (ลองใหม่ภายหลัง)
+• เชื่อมต่อกระเป๋าเงินไม่ถูกต้อง
+
+ต้องการความช่วยเหลือ? ติดต่อฝ่ายสนับสนุน! 🆘`,
+        walletRequired: `💳 **ต้องมีกระเป๋าเงิน**
+
+**⚠️ คุณต้องเชื่อมต่อกระเป๋าเงิน BSC ก่อนลงทะเบียน**
+
+**🔗 กระเป๋าเงินที่รองรับ:**
+• MetaMask (แนะนำ)
+• Trust Wallet
+• SafePal
+• กระเป๋าเงินที่รองรับ BSC ทุกชนิด
+
+**📱 ขั้นตอนการตั้งค่า:**
+1. ติดตั้งแอปกระเป๋าเงิน
+2. สร้างหรือนำเข้ากระเป๋าเงินของคุณ
+3. เพิ่มเครือข่าย BSC (Binance Smart Chain)
+4. เตรียม USDT และ BNB
+5. กลับมาที่นี่เพื่อเชื่อมต่อ
+
+**💰 สิ่งที่คุณต้องมี:**
+• USDT สำหรับค่าสมาชิก
+• BNB จำนวนเล็กน้อยสำหรับค่าแก๊ส
+
+พร้อมเชื่อมต่อกระเป๋าเงินหรือยัง? 🚀`,
+        sponsorOwner: 'เจ้าของ (ผู้แนะนำเริ่มต้น)',
+        sponsorUnknown: 'ไม่ทราบผู้แนะนำ'
+    },
+
+    upgrade: {
+        loadFailed: '❌ โหลดตัวเลือกการอัปเกรดไม่สำเร็จ',
+        infoFailed: '❌ โหลดข้อมูลการอัปเกรดไม่สำเร็จ',
+        planUnavailable: '❌ ไม่สามารถโหลดข้อมูลแพ็กเกจได้',
+        notRegistered: `⚠️ **ต้องลงทะเบียนก่อน**
+
+คุณต้องลงทะเบียนแพ็กเกจสมาชิกก่อนจึงจะอัปเกรดได้
+
+**🚀 เริ่มต้น:**
+• เลือกแพ็กเกจสมาชิก
+• เชื่อมต่อกระเป๋าเงิน BSC ของคุณ
+• ลงทะเบียนให้เสร็จสมบูรณ์
+• จากนั้นคุณสามารถอัปเกรดเป็นระดับที่สูงขึ้นได้!
+
+พร้อมเริ่มหรือยัง? 💪`,
+        maxLevel: `🏆 **ถึงระดับสูงสุดแล้ว!**
+
+ยินดีด้วย! คุณถึงระดับสมาชิกสูงสุดแล้ว!
+
+**👑 สถานะปัจจุบันของคุณ:**
+• **แพ็กเกจ:** {plan} (ระดับ {level})
+• **อัตราค่าคอมมิชชัน:** 36%
+• **สถานะ:** สมาชิกระดับสูง
+
+**🎉 สิทธิประโยชน์ระดับสูง:**
+• อัตราค่าคอมมิชชันสูงสุด (36%)
+• โอกาสสร้างรายได้สูงสุด
+• เข้าถึงชุมชนระดับสูงแบบพิเศษ
+• การสนับสนุนแบบเร่งด่วน
+• การยกย่องเป็นพิเศษ
+
+**💪 เติบโตต่อไป:**
+• มุ่งสร้างเครือข่ายการแนะนำของคุณ
+• ช่วยผู้ที่คุณแนะนำอัปเกรดระดับ
+• เพิ่มโอกาสสร้างรายได้ให้สูงสุด
+• เพลิดเพลินกับสถานะระดับสูงของคุณ!
+
+คุณอยู่บนจุดสูงสุดแล้ว! สร้างอาณาจักรของคุณต่อไป! 👑`,
+        options: `⬆️ **สามารถอัปเกรดแพ็กเกจได้**
+
+**📊 สมาชิกภาพปัจจุบัน:**
+• **แพ็กเกจ:** {currentName} (ระดับ {currentLevel})
+• **ราคาที่ชำระ:** {currentPrice} USDT
+• **อัตราค่าคอมมิชชัน:** {currentRate}%
+
+**🚀 อัปเกรดเป็น:**
+• **แพ็กเกจ:** {nextName} (ระดับ {nextLevel})
+• **ราคารวม:** {nextPrice} USDT
+• **ค่าอัปเกรด:** {cost} USDT
+• **อัตราค่าคอมมิชชันใหม่:** {nextRate}%
+
+**💰 สิทธิประโยชน์การอัปเกรด:**
+• อัตราค่าคอมมิชชันสูงขึ้นจากการแนะนำทั้งหมด
+• โอกาสสร้างรายได้เพิ่มขึ้น
+• เข้าถึงฟีเจอร์พรีเมียม
+• สถานะสมาชิกที่สูงขึ้น
+
+**📈 การคำนวณผลตอบแทน:**
+• ต้องแนะนำ {breakEven} คนจึงจะคุ้มทุน
+• การแนะนำแต่ละครั้งเพิ่มเติม = กำไร {perReferral} USDT
+
+พร้อมอัปเกรดหรือยัง? 🎯`,
+        mustRegister: '❌ ต้องลงทะเบียนก่อนจึงจะอัปเกรดได้',
+        nextLevelOnly: '❌ อัปเกรดได้เฉพาะระดับถัดไปเท่านั้น',
+        confirm: `✅ **ยืนยันการอัปเกรดแพ็กเกจ**
+
+**📋 รายละเอียดการอัปเกรด:**
+• **จาก:** {fromName} (ระดับ {fromLevel})
+• **เป็น:** {toName} (ระดับ {toLevel})
+• **ค่าอัปเกรด:** {cost} USDT
+• **กระเป๋าเงินของคุณ:** \`{wallet}\`
+
+**💰 รายละเอียดธุรกรรม:**
+• **จำนวน:** {cost} USDT
+• **ค่าแก๊ส:** ~0.001 BNB (เพิ่มเติม)
+• **อัตราค่าคอมมิชชันใหม่:** {rate}%
+
+**⚠️ ตรวจสอบข้อกำหนด:**
+{requirements}
+
+**🔄 ขั้นตอนต่อไป:**
+1. คุณยืนยันการอัปเกรดนี้
+2. อนุมัติการใช้ USDT (หากจำเป็น)
+3. ทำธุรกรรมบนบล็อกเชนให้เสร็จสมบูรณ์
+4. ระดับแพ็กเกจของคุณจะเพิ่มขึ้นทันที
+5. เริ่มรับค่าคอมมิชชันที่สูงขึ้น!
+
+**📱 เตรียมแอปกระเป๋าเงินของคุณให้พร้อม!**
+
+ดำเนินการอัปเกรดหรือไม่? 🚀`,
+        invalidState: '❌ สถานะผู้ใช้ไม่ถูกต้อง',
+        invalidPath: '❌ เส้นทางการอัปเกรดไม่ถูกต้อง',
+        failedCallback: '❌ การอัปเกรดล้มเหลว',
+        processingShort: '🔄 กำลังดำเนินการอัปเกรด...',
+        processing: `🔄 **กำลังดำเนินการอัปเกรดของคุณ...**
+
+**⏳ กรุณารอขณะที่เรา:**
+1. ตรวจสอบยอดเงินในกระเป๋าเงินของคุณ
+2. คำนวณค่าอัปเกรด
+3. เตรียมธุรกรรมสัญญาอัจฉริยะ
+4. ตรวจสอบสภาพเครือข่าย
+
+**📱 กระเป๋าเงินของคุณอาจขอให้:**
+• อนุมัติการใช้ USDT เพิ่มเติม
+• ยืนยันธุรกรรมอัปเกรด
+• ชำระค่าแก๊ส
+
+**⚠️ สำคัญ:**
+• เปิดแชทนี้ไว้
+• อย่าปิดแอปกระเป๋าเงิน
+• รอการยืนยัน
+
+กำลังดำเนินการอัปเกรด... 🔄`,
+        success: `🎉 **อัปเกรดสำเร็จ!**
+
+**✅ เข้าคิวธุรกรรมเรียบร้อยแล้ว!**
+
+**📋 รายละเอียดการอัปเกรด:**
+• **แพ็กเกจใหม่:** {name} (ระดับ {level})
+• **อัตราค่าคอมมิชชันใหม่:** {rate}%
+{job}
+
+**⏳ สิ่งที่กำลังเกิดขึ้น:**
+1. ธุรกรรมกำลังถูกส่งและยืนยันบน {network}
+2. ระดับสมาชิกของคุณจะอัปเดตโดยอัตโนมัติ
+3. อัตราค่าคอมมิชชันใหม่มีผลทันที
+4. คุณจะได้รับการแจ้งเตือนเมื่อเสร็จสิ้น
+
+**🎯 สิทธิประโยชน์ของคุณ:**
+• ค่าคอมมิชชันสูงขึ้นจากการแนะนำในอนาคตทั้งหมด
+• สถานะสมาชิกที่สูงขึ้น
+• เข้าถึงฟีเจอร์พรีเมียม
+
+**💪 เริ่มสร้างรายได้มากขึ้นด้วยแพ็กเกจที่อัปเกรดแล้ว!**
+
+เราจะแจ้งให้คุณทราบเมื่อการอัปเกรดได้รับการยืนยันแล้ว! 🚀`,
+        signatureRequired: `✍️ **ลงนามการอัปเกรดของคุณ**
+
+**✅ ทุกอย่างเรียบร้อย! ธุรกรรมของคุณพร้อมแล้ว**
+
+**📋 รายละเอียดธุรกรรม:**
+• **แพ็กเกจใหม่:** {name} (ระดับ {level})
+• **ค่าอัปเกรด:** {cost} USDT
+• **จาก:** \`{from}\`
+• **สัญญา:** \`{contract}\`
+
+**📱 วิธีลงนาม:**
+1. แตะกระเป๋าเงินด้านล่างเพื่อเปิดหน้าลงนาม
+2. ตรวจสอบรายละเอียดและยืนยันในกระเป๋าเงินของคุณ
+3. เราจะติดตามธุรกรรมให้โดยอัตโนมัติ
+
+**💡 ลงนามจากที่อื่น?** แตะ "วาง Tx Hash" แล้วส่งแฮชมาให้เรา
+
+⏰ คำขอนี้จะหมดอายุใน {expires}`,
+        resumeQueued: `ธุรกรรมอัปเกรดของคุณเข้าคิวแล้ว:
+{job}
+
+เราจะแจ้งให้คุณทราบเมื่อการอัปเกรดได้รับการยืนยัน! 🚀`,
+        resumeFailed: 'เรายังไม่สามารถเตรียมการอัปเกรดของคุณได้: {error}',
+        approvalLink: `💳 **ต้องอนุมัติ USDT**
+
+**⚠️ ก่อนอัปเกรด คุณต้องอนุมัติการใช้ USDT เพิ่มเติม**
+
+**📋 รายละเอียดการอนุมัติ:**
+• **จำนวนเพิ่มเติม:** {amount} USDT
+• **ผู้ใช้จ่าย:** สัญญา NFT
+• **วัตถุประสงค์:** ชำระค่าอัปเกรดแพ็กเกจ
+
+**📱 ขั้นตอนการอนุมัติ:**
+1. แตะกระเป๋าเงินด้านล่างและยืนยันการอนุมัติ
+2. เราจะตรวจพบการอนุมัติบนเชน
+3. การอัปเกรดจะถูกส่งให้คุณลงนามโดยอัตโนมัติ
+
+**💡 อนุมัติเฉพาะจำนวนสำหรับการอัปเกรดเท่านั้น**`,
+        approvalManual: `💳 **ต้องอนุมัติ USDT**
+
+**⚠️ ก่อนอัปเกรด คุณต้องอนุมัติการใช้ USDT เพิ่มเติม**
+
+**📋 รายละเอียดการอนุมัติ:**
+• **จำนวนเพิ่มเติม:** {amount} USDT
+• **ผู้ใช้จ่าย:** สัญญา NFT
+• **วัตถุประสงค์:** ชำระค่าอัปเกรดแพ็กเกจ
+
+**📱 ขั้นตอนการอนุมัติ:**
+1. เปิดแอปกระเป๋าเงินของคุณ
+2. ไปที่โทเค็น USDT
+3. อนุมัติการใช้จ่ายสำหรับจำนวนที่ต้องอัปเกรด
+4. กลับมาที่นี่แล้วลองอัปเกรดอีกครั้ง
+
+**🔗 ที่อยู่สัญญา:**
+\`{contract}\`
+
+**💡 อนุมัติเฉพาะจำนวนสำหรับการอัปเกรดเท่านั้น**
+
+เมื่ออนุมัติแล้ว กลับมาที่นี่เพื่ออัปเกรดให้เสร็จ! 🚀`,
+        failed: `❌ **การอัปเกรดล้มเหลว**
+
+**😔 เกิดข้อผิดพลาดในการอัปเกรดของคุณ**
+
+**ข้อผิดพลาด:** {error}
+
+**🔧 วิธีแก้ไขที่เป็นไปได้:**
+• ตรวจสอบยอด USDT สำหรับค่าอัปเกรด
+• ตรวจสอบว่ามี BNB เพียงพอสำหรับค่าแก๊ส
+• ตรวจสอบว่ากระเป๋าเงินยังเชื่อมต่ออยู่
+• ตรวจสอบความเสถียรของการเชื่อมต่อเครือข่าย
+• ลองอีกครั้งในอีกไม่กี่นาที
+
+**💡 ปัญหาที่พบบ่อย:**
+• USDT ไม่เพียงพอสำหรับการอัปเกรด
+• ต้องอนุมัติการใช้ USDT ก่อน
+• เครือข่ายหนาแน่น (ลองใหม่ภายหลัง)
+• กระเป๋าเงินหลุดการเชื่อมต่อระหว่างดำเนินการ
+
+**🔄 ขั้นตอนถัดไป:**
+• ตรวจสอบยอดเงินของคุณ
+• ลองอัปเกรดอีกครั้ง
+• ติดต่อฝ่ายสนับสนุนหากปัญหายังคงอยู่
+
+ไม่ต้องกังวล ไม่มีเงินสูญหาย! 💪`,
+        walletRequired: `💳 **ต้องมีกระเป๋าเงินเพื่ออัปเกรด**
+
+**⚠️ คุณต้องเชื่อมต่อกระเป๋าเงินก่อนจึงจะอัปเกรดแพ็กเกจได้**
+
+**🔗 วิธีอัปเกรด:**
+1. เชื่อมต่อกระเป๋าเงิน BSC ของคุณด้วย /wallet
+2. ตรวจสอบว่ามี USDT เพียงพอสำหรับค่าอัปเกรด
+3. เตรียม BNB สำหรับค่าแก๊ส
+4. กลับมาที่นี่เพื่ออัปเกรด
+
+**💰 สำหรับการอัปเกรด คุณต้องมี:**
+• USDT สำหรับส่วนต่างค่าอัปเกรด
+• BNB จำนวนเล็กน้อยสำหรับค่าธรรมเนียมธุรกรรม
+• กระเป๋าเงินเดียวกับที่ใช้ลงทะเบียน
+
+**พร้อมเชื่อมต่อกระเป๋าเงินหรือยัง?** 🚀`
+    },
+
+    notifications: {
+        registrationConfirmed: `🎉 **ยืนยันการลงทะเบียนแล้ว!**
+
+ตอนนี้คุณเป็นสมาชิก **แพ็กเกจ {plan}** (รอบ {cycle})
+
+**แฮช:** \`{hash}\`
+
+แชร์ลิงก์แนะนำของคุณเพื่อเริ่มสร้างรายได้! 🚀`,
+        upgradeConfirmed: `⬆️ **ยืนยันการอัปเกรดแล้ว!**
+
+สมาชิกภาพของคุณเปลี่ยนจากแพ็กเกจ {from} เป็น **แพ็กเกจ {to}**
+
+**แฮช:** \`{hash}\``,
+        membershipEnded: `🚪 **สิ้นสุดสมาชิกภาพ**
+
+การออกจากสมาชิกของคุณได้รับการยืนยันบนเชนแล้ว
+
+**เงินคืน:** {refund} USDT
+**แฮช:** \`{hash}\``,
+        transferBlocked: `🔒 **การโอนถูกบล็อก**
+
+NFT สมาชิก #{tokenId} ผูกกับกระเป๋าเงินของคุณและไม่สามารถโอนได้`,
+        types: {
+            register: 'ลงทะเบียน',
+            upgrade: 'อัปเกรด',
+            exit: 'ออกจากสมาชิก'
+        },
+        outcomes: {
+            register: '🎫 NFT สมาชิกของคุณถูกสร้างแล้ว!\n🚀 ตอนนี้คุณเริ่มสร้างรายได้จากการแนะนำได้แล้ว!',
+            upgrade: '⬆️ การอัปเกรดแพ็กเกจของคุณเสร็จสมบูรณ์!\n💰 เพลิดเพลินกับอัตราค่าคอมมิชชันที่สูงขึ้น!',
+            exit: '🚪 สมาชิกภาพของคุณสิ้นสุดแล้ว และเงินคืนถูกส่งเข้ากระเป๋าเงินของคุณแล้ว'
+        },
+        transactionConfirmed: `✅ **ยืนยันธุรกรรมแล้ว!**
+
+🎉 ธุรกรรมของคุณได้รับการยืนยันบนบล็อกเชนแล้ว!
+
+**📋 รายละเอียด:**
+• **ประเภท:** {type}
+• **จำนวน:** {amount} USDT
+• **แฮช:** \`{hash}\`
+• **บล็อก:** {block}
+
+{outcome}
+
+ยินดีด้วย! 🎊`,
+        transactionFailed: `❌ **ธุรกรรมล้มเหลว**
+
+😔 ไม่สามารถทำธุรกรรมของคุณให้เสร็จสมบูรณ์ได้
+
+**📋 รายละเอียด:**
+• **ประเภท:** {type}
+• **จำนวน:** {amount} USDT
+• **ข้อผิดพลาด:** {error}
+
+**🔧 สิ่งที่ควรทำ:**
+• ตรวจสอบยอดเงินในกระเป๋าเงิน
+• ตรวจสอบว่ามีค่าแก๊สเพียงพอ
+• ลองทำธุรกรรมอีกครั้ง
+• ติดต่อฝ่ายสนับสนุนหากปัญหายังคงอยู่
+
+ไม่ต้องกังวล เงินของคุณปลอดภัย! 💪`,
+        unknownError: 'ข้อผิดพลาดที่ไม่ทราบสาเหตุ',
+        newReferral: `🎉 **มีผู้สมัครผ่านการแนะนำของคุณ!**
+
+👤 **{name}** เพิ่งเข้าร่วมด้วยรหัสแนะนำของคุณ!
+
+**👥 สถิติการแนะนำของคุณ:**
+• **ชื่อผู้ใช้:** @{username}
+• **เข้าร่วมเมื่อ:** {joined}
+• **สถานะ:** สมาชิกใหม่ (ยังไม่ได้ลงทะเบียน)
+
+💰 คุณจะได้รับค่าคอมมิชชันเมื่อพวกเขาลงทะเบียนแพ็กเกจสมาชิก!
+
+🎯 แชร์ต่อไป: \`{referralCode}\`
+
+สร้างเครือข่ายได้ยอดเยี่ยม! 🚀`,
+        member: 'สมาชิก',
+        commissionEarned: `💰 **ได้รับค่าคอมมิชชัน!**
+
+🎊 คุณเพิ่งได้รับค่าคอมมิชชันจากการแนะนำ!
+
+**💵 รายละเอียดค่าคอมมิชชัน:**
+• **จำนวน:** {amount} USDT
+• **จาก:** @{from}
+• **แพ็กเกจ:** {plan}
+• **ธุรกรรม:** \`{hash}\`
+
+**📊 สถิติของคุณ:**
+• **การแนะนำทั้งหมด:** {totalReferrals}
+• **รายได้ทั้งหมด:** {totalEarnings} USDT
+
+ค่าคอมมิชชันถูกส่งเข้ากระเป๋าเงินของคุณโดยตรงแล้ว! 💳
+
+ทำได้ดีมาก ทำต่อไป! 🌟`,
+        welcome: `🎉 **ยินดีต้อนรับสู่ Crypto Membership NFT!**
+
+👋 สวัสดี {name}! ยินดีต้อนรับสู่ชุมชนสมาชิกพิเศษของเรา!
+
+**🎯 สิ่งที่คุณทำได้ตอนนี้:**
+• 📋 สำรวจแพ็กเกจสมาชิก
+• 💳 เชื่อมต่อกระเป๋าเงิน BSC ของคุณ
+• 🚀 ลงทะเบียนสมาชิกครั้งแรก
+• 👥 เริ่มแนะนำเพื่อนและสร้างรายได้!
+
+**💡 คู่มือเริ่มต้นฉบับย่อ:**
+1. ใช้ /plans เพื่อดูแพ็กเกจสมาชิก
+2. ใช้ /wallet เพื่อเชื่อมต่อกระเป๋าเงิน
+3. ใช้ /register เพื่อเข้าร่วมแพ็กเกจ
+4. แชร์รหัสแนะนำเพื่อสร้างรายได้!
+
+**🎁 รหัสแนะนำของคุณ:** \`{referralCode}\`
+
+พร้อมเริ่มสร้างรายได้หรือยัง? ไปกันเลย! 🚀`,
+        registrationReminder: `⏰ **แจ้งเตือนเป็นมิตร**
+
+สวัสดี {name}! คุณเข้าร่วมกับเราเมื่อ {joined}ที่แล้ว
+
+**🎯 ลงทะเบียนสมาชิกให้เสร็จเพื่อ:**
+• 💰 เริ่มรับค่าคอมมิชชันจากการแนะนำ
+• 🎫 รับ NFT สมาชิกพิเศษของคุณ
+• 🌟 เข้าถึงฟีเจอร์ชุมชน VIP
+• ⬆️ ปลดล็อกโอกาสในการอัปเกรด
+
+**🚀 พร้อมเริ่มหรือยัง?**
+ใช้ /register เพื่อเลือกแพ็กเกจสมาชิกของคุณ!
+
+**💡 ต้องการความช่วยเหลือ?** ใช้ /help
+
+อย่าพลาดโอกาสสร้างรายได้! 💪`
+    },
+
+    guard: {
+        tooManyRequests: '⚠️ มีคำขอมากเกินไป กรุณารอสักครู่แล้วลองอีกครั้ง',
+        highLoad: '⚠️ เซิร์ฟเวอร์มีภาระสูง กรุณาลองอีกครั้งในอีกสักครู่',
+        inappropriate: '⚠️ ข้อความของคุณมีเนื้อหาที่ไม่เหมาะสม',
+        personalInfo: '⚠️ เพื่อความปลอดภัย กรุณาหลีกเลี่ยงการแชร์ข้อมูลส่วนตัว',
+        tooLong: '⚠️ ข้อความยาวเกินไป กรุณาส่งข้อความไม่เกิน 4000 ตัวอักษร',
+        repeated: '⚠️ กรุณาหลีกเลี่ยงการส่งข้อความเดิมซ้ำ ๆ',
+        restricted: '❌ บัญชีของคุณถูกจำกัดการใช้งาน กรุณาติดต่อฝ่ายสนับสนุนเพื่อขอความช่วยเหลือ',
+        authError: '❌ เกิดข้อผิดพลาดในการยืนยันตัวตน กรุณาลองอีกครั้ง'
+    },
+
+    messages: {
+        refreshing: '🔄 กำลังรีเฟรช...',
+        cancelled: '❌ ยกเลิกแล้ว',
+        photo: '📷 ได้รับรูปภาพแล้ว แต่ยังไม่รู้ว่าจะใช้ทำอะไร ใช้ /help เพื่อขอความช่วยเหลือ',
+        contact: '📞 ได้รับข้อมูลติดต่อแล้ว! แต่เราไม่ต้องการข้อมูลติดต่อของคุณ',
+        location: '📍 ได้รับตำแหน่งแล้ว! แต่เราไม่ต้องการตำแหน่งของคุณ',
+        error: '❌ เกิดข้อผิดพลาด กรุณาลองอีกครั้งหรือติดต่อฝ่ายสนับสนุน',
+        walletAddressHint: '💡 ดูเหมือนเป็นที่อยู่กระเป๋าเงิน! ใช้ /wallet เพื่อเชื่อมต่อกระเป๋าเงินของคุณ',
+        referralCodeHint: '💡 ดูเหมือนเป็นรหัสแนะนำ! ใช้ /start เพื่อเริ่มต้นด้วยรหัสแนะนำ',
+        unknown: {
+            notSure: '🤔 ไม่แน่ใจว่าคุณหมายถึงอะไร ลองใช้ปุ่มเมนูหรือพิมพ์ /help',
+            useButtons: '💡 ใช้ปุ่มด้านล่างหรือพิมพ์ /help เพื่อดูว่าบอททำอะไรได้บ้าง!',
+            commands: '🎯 บอทเข้าใจคำสั่งได้ดีกว่า ลอง /help เพื่อดูตัวเลือกที่มี',
+            guidance: '🔤 บอททำงานได้ดีกับปุ่มและคำสั่ง พิมพ์ /help เพื่อดูคำแนะนำ!'
+        },
+        unknownPagination: '❌ ประเภทการแบ่งหน้าไม่ถูกต้อง',
+        pageFailed: '❌ โหลดหน้าไม่สำเร็จ'
+    },
+
+    admin: {
+        accessDenied: '❌ ไม่มีสิทธิ์เข้าถึง ต้องเป็นผู้ดูแลระบบ',
+        accessDeniedShort: '❌ ไม่มีสิทธิ์เข้าถึง',
+        panelError: '❌ แผงผู้ดูแลเกิดข้อผิดพลาด กรุณาลองอีกครั้ง',
+        unknownAction: '❌ ไม่รู้จักคำสั่งนี้',
+        actionFailed: '❌ ดำเนินการไม่สำเร็จ',
+        none: 'ไม่มี',
+        notAvailable: 'ไม่มีข้อมูล',
+        notSynced: 'ยังไม่ซิงค์',
+        panel: `🔧 **แผงควบคุมผู้ดูแลระบบ**
+
+**📊 ภาพรวมแพลตฟอร์ม:**
+• **ผู้ใช้ทั้งหมด:** {users}
+• **สมาชิกที่ใช้งาน:** {members}
+• **ใหม่วันนี้:** {newToday}
+• **รายได้รวม:** {revenue} USDT
+
+**⚡ สถิติด่วน:**
+• **ธุรกรรมที่รอดำเนินการ:** {pending}
+• **อัตราความสำเร็จ:** {successRate}%
+• **ค่าคอมมิชชันที่จ่ายแล้ว:** {commission} USDT
+
+**🔧 เครื่องมือผู้ดูแล:**
+ใช้ปุ่มด้านล่างเพื่อจัดการแพลตฟอร์ม
+
+⚠️ **โหมดผู้ดูแลเปิดอยู่** - ใช้งานอย่างระมัดระวัง!`,
+        panelStatsFailed: `🔧 **แผงควบคุมผู้ดูแลระบบ**
+
+❌ โหลดสถิติไม่สำเร็จ
+
+ฟังก์ชันพื้นฐานของผู้ดูแลยังใช้งานได้`,
+        users: {
+            title: '👥 **จัดการผู้ใช้** (หน้า {page})',
+            empty: '📭 ไม่พบผู้ใช้',
+            noUsername: 'ไม่มีชื่อผู้ใช้',
+            details: 'แพ็กเกจ: {plan} • ผู้ถูกแนะนำ: {referrals}',
+            chainPlan: ' • ⚠️ แพ็กเกจบนเชน: {plan}',
+            total: '**ทั้งหมด:** ผู้ใช้ {count} คน',
+            loadFailed: '❌ โหลดรายชื่อผู้ใช้ไม่สำเร็จ'
+        },
+        stats: {
+            title: '📊 **สถิติแพลตฟอร์ม**',
+            platform: `**👥 ข้อมูลผู้ใช้:**
+• ผู้ใช้ทั้งหมด: {users}
+• สมาชิกที่ใช้งาน: {members}
+• ผู้ใช้ที่มีกระเป๋าเงิน: {withWallet}
+• ใหม่ (24 ชม.): {new24h}
+• ใหม่ (7 วัน): {new7d}
+
+**📝 ข้อมูลธุรกรรม:**
+• ธุรกรรมทั้งหมด: {transactions}
+• ยืนยันแล้ว: {confirmed}
+• รอดำเนินการ: {pending}
+• อัตราความสำเร็จ: {successRate}%
+
+**👥 ผลการแนะนำ:**
+• การแนะนำทั้งหมด: {referrals}
+• การแนะนำที่จ่ายแล้ว: {paidReferrals}
+• ค่าคอมมิชชันที่จ่ายแล้ว: {commission} USDT`,
+            popularPlans: '**🏆 แพ็กเกจยอดนิยม:**',
+            planMembers: '• แพ็กเกจ {plan}: สมาชิก {count} คน',
+            blockchain: `**⛓️ ข้อมูลบล็อกเชน:**
+• สมาชิกทั้งหมด: {members}
+• รายได้รวม: {revenue} USDT
+• ค่าคอมมิชชันรวม: {commission} USDT
+• เงินของเจ้าของ: {ownerFunds} USDT
+• เงินค่าธรรมเนียม: {feeFunds} USDT`,
+            generated: '📅 **สร้างเมื่อ:** {date}',
+            loadFailed: '❌ โหลดสถิติไม่สำเร็จ'
+        },
+        transactions: {
+            title: '💰 **ประวัติธุรกรรม** (หน้า {page})',
+            empty: '📭 ไม่พบธุรกรรม',
+            hash: 'แฮช: `{hash}...`',
+            total: '**ทั้งหมด:** {count} ธุรกรรม',
+            loadFailed: '❌ โหลดธุรกรรมไม่สำเร็จ'
+        },
+        blockchain: {
+            title: '⛓️ **ข้อมูลบล็อกเชน**',
+            connection: `**🔗 สถานะการเชื่อมต่อ:**
+• เชื่อมต่อแล้ว: {connected}
+• เครือข่าย: {network} (Chain ID: {chainId})
+• บล็อกล่าสุด: {lastBlock}
+• บล็อกที่ยืนยันถาวร: {finalizedBlock}`,
+            contracts: `**📋 ที่อยู่สัญญา:**
+• สัญญา NFT: \`{nft}\`
+• สัญญา USDT: \`{usdt}\``,
+            balances: `**💰 ยอดเงินในสัญญา:**
+• เงินของเจ้าของ: {ownerFunds} USDT
+• ระบบค่าธรรมเนียม: {feeFunds} USDT
+• ยอดกองทุน: {fundFunds} USDT
+
+**📊 สถิติสัญญา:**
+• สมาชิกทั้งหมด: {members}
+• รายได้รวม: {revenue} USDT
+• ค่าคอมมิชชันที่จ่ายแล้ว: {commission} USDT`,
+            queue: `**📤 คิวธุรกรรมของ Operator:**
+• รอ: {waiting} • ส่งแล้ว: {sent}
+• ขุดแล้ว: {mined} • ล้มเหลว: {failed}
+• Nonce ถัดไป: {nonce}`,
+            providers: '**🛰️ ผู้ให้บริการ RPC (ปกติ {healthy}/{total}):**',
+            provider: '• {icon} `{host}` • {latency} • ผิดพลาด {errorRate}% • ช้ากว่า {lag} บล็อก',
+            noLatency: 'ไม่มีข้อมูล',
+            loadFailed: '❌ โหลดข้อมูลบล็อกเชนไม่สำเร็จ'
+        },
+        reserves: {
+            notChecked: '**🧮 เงินสำรอง:** ยังไม่ได้ตรวจสอบ',
+            title: '**🧮 เงินสำรอง {icon}** (บล็อก {block}, {date}):',
+            lowestDrift: '• ส่วนต่างต่ำสุด (24 ชม.): {percent}% จากการตรวจ {checks} ครั้ง',
+            running: '⏳ กำลังตรวจสอบเงินสำรองอยู่แล้ว',
+            checkFailed: '❌ ตรวจสอบเงินสำรองไม่สำเร็จ',
+            checkFailedDetails: '❌ ตรวจสอบเงินสำรองไม่สำเร็จ: {error}'
+        },
+        emergency: {
+            none: '**🚨 การถอนเงินฉุกเฉิน:** ไม่มีคำขอ',
+            requested: `**🚨 มีคำขอถอนเงินฉุกเฉิน:**
+• ขอเมื่อ: {requested}
+• Timelock: {countdown} (สิ้นสุด {unlocks})
+• ที่มา: {origin}`,
+            originProposal: 'คำเสนอของผู้ดูแลที่อนุมัติแล้ว',
+            originUnknown: '⚠️ ไม่ได้ส่งจากบอทนี้',
+            executable: '⚠️ ดำเนินการได้แล้วตอนนี้'
+        },
+        broadcast: {
+            prompt: `📢 **ข้อความประกาศ**
+
+ส่งข้อความถึงผู้ใช้ที่ใช้งานอยู่ทั้งหมด
+
+**⚠️ สำคัญ:**
+• ข้อความจะถูกส่งถึงผู้ใช้ที่ใช้งานอยู่ทุกคน
+• ใช้ฟีเจอร์นี้อย่างรับผิดชอบ
+• ใส่ข้อมูลที่ชัดเจนและมีประโยชน์
+• หลีกเลี่ยงสแปมหรือการส่งบ่อยเกินไป
+
+**📊 ผู้รับปัจจุบัน:**
+• ผู้ใช้ที่ใช้งานอยู่จะได้รับข้อความ
+• จำกัดอัตรา: 1 ข้อความต่อวินาที
+• จะมีรายงานการส่งให้
+
+พิมพ์ข้อความประกาศของคุณ:`,
+            prepareFailed: '❌ เตรียมการประกาศไม่สำเร็จ',
+            confirm: `📢 **ยืนยันการประกาศ**
+
+**ตัวอย่างข้อความ:**
+"{preview}"
+
+**📊 รายละเอียดการส่ง:**
+• ผู้รับ: ผู้ใช้ที่ใช้งานอยู่ {recipients} คน
+• เวลาโดยประมาณ: {minutes} นาที
+• จำกัดอัตรา: 1 ข้อความ/วินาที
+
+⚠️ **ไม่สามารถยกเลิกการดำเนินการนี้ได้!**
+
+ดำเนินการประกาศหรือไม่?`,
+            noMessage: '❌ ไม่มีข้อความที่จะประกาศ',
+            starting: '📢 กำลังเริ่มประกาศ...',
+            sending: `📢 **กำลังประกาศ...**
+
+🔄 กำลังส่งข้อความของคุณถึงผู้ใช้ทุกคน...
+
+อาจใช้เวลาหลายนาที คุณจะได้รับรายงานเมื่อเสร็จสิ้น`,
+            complete: `📢 **ประกาศเสร็จสิ้น!**
+
+**📊 รายงานการส่ง:**
+• ✅ ส่งแล้ว: {sent}
+• ❌ ล้มเหลว: {failed}
+• 📱 ทั้งหมด: {total}
+• 📈 อัตราความสำเร็จ: {successRate}%
+
+ประกาศเสร็จเรียบร้อย! 🎉`,
+            failed: '❌ ประกาศไม่สำเร็จ กรุณาลองอีกครั้ง'
+        },
+        reindex: {
+            usage: `🔄 **สร้างดัชนีอีเวนต์ใหม่**
+
+วิธีใช้: \`/reindex <fromBlock> [toBlock]\`
+
+สร้างดัชนีถึงบล็อก: {block}`,
+            started: '🔄 กำลังสร้างดัชนีบล็อก {from}-{to} ใหม่...',
+            complete: `✅ สร้างดัชนีบล็อก {from}-{to} ใหม่แล้ว
+
+บันทึกอีเวนต์ใหม่: {stored}`,
+            failed: '❌ สร้างดัชนีใหม่ไม่สำเร็จ: {error}',
+            startFailed: '❌ เริ่มสร้างดัชนีใหม่ไม่สำเร็จ'
+        },
+        reconcile: {
+            started: '🧮 เริ่มกระทบยอดแล้ว',
+            startedMode: '🧮 เริ่มกระทบยอดแล้ว ({mode})...',
+            modeDryRun: 'ทดลองรัน',
+            modeFix: 'แก้ไข',
+            complete: `✅ กระทบยอด #{id} เสร็จสิ้น
+
+• ตรวจแล้ว: {checked}
+• คลาดเคลื่อน: {drifted}
+• แก้ไขแล้ว: {fixed}
+• ข้อผิดพลาด: {errors}`,
+            failed: '❌ กระทบยอดไม่สำเร็จ: {error}',
+            startFailed: '❌ เริ่มกระทบยอดไม่สำเร็จ',
+            title: '🧮 **กระทบยอดสมาชิก**',
+            noRuns: 'ยังไม่เคยกระทบยอด',
+            lastRun: `**รอบล่าสุด #{id}** ({mode})
+• สถานะ: {status}
+• เริ่มเมื่อ: {started}
+• บล็อก: {block}
+• ตรวจแล้ว: {checked}
+• คลาดเคลื่อน: {drifted}
+• แก้ไขแล้ว: {fixed}
+• ข้อผิดพลาด: {errors}`,
+            drift: '**ความคลาดเคลื่อน:**',
+            more: '...และอีก {count} รายการ'
+        },
+        session: {
+            overview: `🗂 **เซสชันของบอท**
+
+วิธีใช้: \`/session <telegram_id>\`
+
+• จัดเก็บอยู่: {total}
+• ใช้งานในชั่วโมงที่ผ่านมา: {active}
+• หมดอายุ รอล้าง: {expired}`,
+            loadFailed: '❌ โหลดเซสชันไม่สำเร็จ',
+            title: '🗂 **เซสชันของ {id}**{name}',
+            unknownName: 'ไม่ทราบชื่อ',
+            empty: 'ไม่มีเซสชันที่จัดเก็บไว้ การอัปเดตครั้งถัดไปจะเริ่มเซสชันใหม่',
+            details: `**คีย์:** \`{key}\`
+• ขั้นตอน: {scene}
+• อัปเดตเมื่อ: {updated}
+• หมดอายุ: {expires}{expired}`,
+            noScene: 'ไม่มี',
+            expired: ' (หมดอายุแล้ว)',
+            invalidData: '• ⚠️ ข้อมูลไม่ใช่ JSON ที่ถูกต้อง',
+            removed: '🧹 ลบแล้ว {count} เซสชัน',
+            reset: `🧹 **รีเซ็ตเซสชันแล้ว**
+
+ผู้ใช้ {id} จะเริ่มเซสชันใหม่เมื่อส่งข้อความครั้งถัดไป`
+        },
+        queue: {
+            title: `📤 **คิวธุรกรรมของ Operator**
+
+• รอ: {waiting} • ส่งแล้ว: {sent} • ไม่ทราบสถานะ: {unknown}
+• ขุดแล้ว: {mined} • ล้มเหลว: {failed} • ยกเลิกแล้ว: {cancelled}
+• Nonce ถัดไป: {nonce}
+• แก๊ส: กลยุทธ์ {strategy} สูงสุด {maxGas} gwei`,
+            waitingForGas: '⛽ หยุดชั่วคราวจนกว่าค่าแก๊สของเครือข่ายจะต่ำกว่าค่าสูงสุด',
+            empty: '✅ ไม่มีธุรกรรมที่กำลังดำเนินการ',
+            inFlight: '**กำลังดำเนินการ:**',
+            unsigned: 'ยังไม่ลงนาม',
+            job: '• #{id} {type} • {status} • nonce {nonce} • {gas}',
+            cancelling: 'กำลังยกเลิก',
+            bumped: 'เร่งแล้ว {count} ครั้ง',
+            confirmCancel: `🛑 **ยกเลิกงานในคิว #{id}?**
+
+งานที่ยังไม่ส่งจะถูกนำออกจากคิว งานที่ส่งแล้วจะถูกแทนที่ด้วยการโอนมูลค่าศูนย์ไปยังกระเป๋า Operator ที่ nonce เดิมด้วยค่าแก๊สที่สูงกว่า หากธุรกรรมเดิมถูกขุดก่อน การยกเลิกจะไม่มีผล
+
+สมาชิกจะได้รับแจ้งว่าธุรกรรมถูกยกเลิก`,
+            speedUpSent: '⚡ ส่งการเร่งแล้ว',
+            cancelled: '🛑 ยกเลิกแล้ว',
+            cancelSent: '🛑 ส่งการยกเลิกแล้ว',
+            result: `{outcome} สำหรับงาน #{id}
+
+• สถานะ: {status}`,
+            hash: '• แฮช: `{hash}`'
+        },
+        contract: {
+            title: `🏛️ **จัดการสัญญา**
+
+ทุกการเรียกจะถูกจำลองก่อน และจะทำงานหลังจาก**ผู้ดูแลคนที่สอง**อนุมัติเท่านั้น`,
+            singleAdmin: '⚠️ ตั้งค่าผู้ดูแลไว้เพียงคนเดียวใน ADMIN\\_USER\\_ID จึงไม่สามารถอนุมัติคำเสนอได้',
+            pending: '**⏳ รอการอนุมัติ:**',
+            pendingProposal: '• #{id} `{method}` โดย `{proposer}` • หมดอายุ {expires}',
+            recent: '**📜 ล่าสุด:**',
+            simulating: '🧪 กำลังจำลอง...',
+            params: `🏛️ **{label}** (\`{method}\`)
+{state}
+ส่งพารามิเตอร์ในข้อความเดียว:
+\`{usage}\`
+
+จำนวนเงินเป็น USDT ใช้ on/off สำหรับสวิตช์`,
+            invalidParams: `❌ {error}
+
+ลองอีกครั้งหรือกดยกเลิก`,
+            notProposed: '❌ ไม่ได้เสนอ {method}: {error}',
+            awaitingApproval: '⏳ รอผู้ดูแลคนที่สองอนุมัติ',
+            approvalRequired: '🔐 ต้องได้รับการอนุมัติจากคุณ',
+            proposal: `🏛️ **คำเสนอ #{id}: {label}**
+
+**ฟังก์ชัน:** \`{method}\`
+{details}
+🧪 **การจำลอง:** ✅ สำเร็จ ~{gas} gas
+👤 **เสนอโดย:** \`{proposer}\`
+⏰ **หมดอายุ:** {expires}`,
+            parameters: '**พารามิเตอร์:**',
+            current: '**ปัจจุบัน:** {state}',
+            rejectedToast: '❌ ปฏิเสธคำเสนอ #{id} แล้ว',
+            rejected: '❌ คำเสนอ #{id} (`{method}`) ถูกปฏิเสธโดย `{admin}`',
+            simulatingAgain: '🧪 กำลังจำลองอีกครั้ง...',
+            approved: `✅ **อนุมัติคำเสนอ #{id} แล้ว**
+
+\`{method}\` ถูกจำลองอีกครั้งและเข้าคิวเป็นงาน Operator #{job}
+ติดตามได้ที่ 📤 คิวธุรกรรม ผลลัพธ์จะแสดงใน ⚙️ ตั้งค่าสัญญา`,
+            approvedNotice: '✅ คำเสนอ #{id} ({method}) ของคุณได้รับการอนุมัติโดย {admin} และเข้าคิวแล้ว',
+            failed: '❌ คำเสนอ #{id}: {error}'
+        }
+    }
+};
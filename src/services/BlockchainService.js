@@ -1,6 +1,14 @@
 const { ethers } = require('ethers');
 const CacheService = require('./CacheService');
-const { getDatabase } = require('../config/database');
+const EventService = require('./EventService');
+const TransactionQueue = require('./TransactionQueue');
+const EmergencyWithdrawTracker = require('./EmergencyWithdrawTracker');
+const SolvencyMonitor = require('./SolvencyMonitor');
+const ProviderPool = require('./ProviderPool');
+const { createGasStrategy } = require('./GasStrategy');
+const { getDatabase, withTransaction } = require('../config/database');
+const { blockchainConfig } = require('../config/blockchain');
+const { ContractError, decodeContractError } = require('../utils/contractErrors');
 
 // Contract ABIs (minimal for gas optimization)
 const NFT_CONTRACT_ABI = [
@@ -2479,36 +2487,93 @@ const USDT_CONTRACT_ABI = [
 	}
 ];
 
+// Multicall3 aggregate3 only, for batched reads
+const MULTICALL3_ABI = [
+	{
+		"inputs": [
+			{
+				"components": [
+					{
+						"internalType": "address",
+						"name": "target",
+						"type": "address"
+					},
+					{
+						"internalType": "bool",
+						"name": "allowFailure",
+						"type": "bool"
+					},
+					{
+						"internalType": "bytes",
+						"name": "callData",
+						"type": "bytes"
+					}
+				],
+				"internalType": "struct Multicall3.Call3[]",
+				"name": "calls",
+				"type": "tuple[]"
+			}
+		],
+		"name": "aggregate3",
+		"outputs": [
+			{
+				"components": [
+					{
+						"internalType": "bool",
+						"name": "success",
+						"type": "bool"
+					},
+					{
+						"internalType": "bytes",
+						"name": "returnData",
+						"type": "bytes"
+					}
+				],
+				"internalType": "struct Multicall3.Result[]",
+				"name": "returnData",
+				"type": "tuple[]"
+			}
+		],
+		"stateMutability": "payable",
+		"type": "function"
+	}
+];
+
+let sharedInstance = null;
+
 class BlockchainService {
     constructor() {
-        this.provider = null;
+        this.provider = null; // The ProviderPool once connected
+        this.providerPool = null;
         this.wallet = null;
         this.nftContract = null;
         this.usdtContract = null;
+        this.multicallContract = null; // Null on chains without Multicall3
         this.cache = CacheService;
         this.isInitialized = false;
         this.lastBlockNumber = 0;
-        this.eventFilters = {};
-        
-        // Rate limiting for RPC requests
-        this.rateLimit = {
-            requests: [],
-            maxRequestsPerMinute: 30,
-            windowMs: 60000,
-            backoffMs: 2000 // 2 seconds backoff
-        };
-        
-        // Connection pool for redundancy
-        this.providers = [
-            'https://data-seed-prebsc-1-s1.binance.org:8545/',
-            'https://data-seed-prebsc-2-s1.binance.org:8545/',
-            'https://data-seed-prebsc-1-s2.binance.org:8545/',
-            'https://data-seed-prebsc-1-s3.binance.org:8545/'
-        ];
-        this.currentProviderIndex = 0;
+        this.lastFinalizedBlock = 0;
+        this.latestBlock = 0;
+        this.eventService = new EventService(new ethers.Interface(NFT_CONTRACT_ABI));
+        this.transactionQueue = new TransactionQueue(this);
+        this.emergencyTracker = new EmergencyWithdrawTracker(this);
+        this.emergencyTracker.registerHandlers(this.eventService);
+        this.solvencyMonitor = new SolvencyMonitor(this);
+        this.solvencyMonitor.registerHandlers(this.eventService);
+        this.gasStrategy = null; // Set once the network configuration is validated
+        this.chainId = null;
+        this.network = blockchainConfig.getCurrentNetwork();
         this.eventProcessingActive = false;
     }
 
+    // Shared instance so handlers use the provider and contracts set up by the app
+    static getInstance() {
+        if (!sharedInstance) {
+            sharedInstance = new BlockchainService();
+        }
+        return sharedInstance;
+    }
+
     async initialize() {
         try {
             await this.connectToProvider();
@@ -2516,59 +2581,56 @@ class BlockchainService {
             await this.setupEventListeners();
             this.isInitialized = true;
             console.log('✅ Blockchain service initialized');
+
+            // Recover the operator wallet's nonce state and resend anything left in the queue
+            if (!blockchainConfig.isWalletSigning()) {
+                this.transactionQueue.processQueue();
+            }
+
+            // Catch up on events emitted while the bot was offline
+            this.processNewEvents();
         } catch (error) {
             console.error('❌ Failed to initialize blockchain service:', error);
             throw error;
         }
     }
 
-    // Rate limiting for RPC requests
+    // Rate limiting for RPC requests. Each endpoint has its own budget in the provider pool,
+    // which counts the requests themselves; this only waits while every endpoint is spent.
     async checkRateLimit() {
-        const now = Date.now();
-        
-        // Clean old requests
-        this.rateLimit.requests = this.rateLimit.requests.filter(
-            timestamp => now - timestamp < this.rateLimit.windowMs
-        );
-        
-        // Check if we're at the limit
-        if (this.rateLimit.requests.length >= this.rateLimit.maxRequestsPerMinute) {
-            console.log('⚠️ Rate limit reached, waiting...');
-            await new Promise(resolve => setTimeout(resolve, this.rateLimit.backoffMs));
-            return this.checkRateLimit(); // Recursive check
+        if (!this.providerPool) {
+            return true;
         }
-        
-        // Record this request
-        this.rateLimit.requests.push(now);
-        return true;
+        return this.providerPool.waitForCapacity();
     }
 
     async connectToProvider() {
-        for (let i = 0; i < this.providers.length; i++) {
-            try {
-                const providerUrl = this.providers[this.currentProviderIndex];
-                this.provider = new ethers.JsonRpcProvider(providerUrl);
-                
-                // Test connection with rate limiting
-                await this.checkRateLimit();
-                const network = await this.provider.getNetwork();
-                console.log(`⛓️ Connected to BSC Testnet (Chain ID: ${network.chainId})`);
-                
-                // Initialize wallet
-                this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
-                console.log(`👛 Wallet address: ${this.wallet.address}`);
-                
-                return;
-                
-            } catch (error) {
-                console.error(`Failed to connect to provider ${this.currentProviderIndex}:`, error.message);
-                this.currentProviderIndex = (this.currentProviderIndex + 1) % this.providers.length;
-                
-                if (i === this.providers.length - 1) {
-                    throw new Error('All RPC providers failed');
-                }
-            }
+        const networkErrors = blockchainConfig.validateNetwork();
+        if (networkErrors.length > 0) {
+            throw new Error(`Invalid network configuration: ${networkErrors.join('; ')}`);
+        }
+
+        this.gasStrategy = createGasStrategy(blockchainConfig);
+
+        const pool = new ProviderPool(blockchainConfig.getRpcEndpoints(), this.network.chainId);
+        try {
+            await pool.connect();
+        } catch (error) {
+            pool.destroy();
+            throw error;
         }
+
+        const { healthy, total } = pool.getStatus();
+        this.providerPool = pool;
+        this.provider = pool;
+        this.chainId = this.network.chainId;
+        console.log(`⛓️ Connected to ${this.network.name} (Chain ID: ${this.chainId}) via ${healthy}/${total} RPC providers`);
+
+        // Initialize wallet
+        this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
+        console.log(`👛 Wallet address: ${this.wallet.address}`);
+
+        pool.startHealthChecks();
     }
 
     async initializeContracts() {
@@ -2587,6 +2649,8 @@ class BlockchainService {
                 this.wallet
             );
             
+            await this.initializeMulticall();
+            
             // Test contract calls with rate limiting
             await this.checkRateLimit();
             const totalPlans = await this.nftContract.getTotalPlanCount();
@@ -2603,20 +2667,49 @@ class BlockchainService {
         }
     }
 
+    // Batched reads need Multicall3 deployed on this chain; without it they go one call at a time
+    async initializeMulticall() {
+        const address = blockchainConfig.getMulticallAddress();
+        if (!address) {
+            console.log('ℹ️ No multicall contract configured, batched reads use individual calls');
+            return;
+        }
+        
+        await this.checkRateLimit();
+        const code = await this.provider.getCode(address);
+        if (code === '0x') {
+            console.warn(`⚠️ No multicall contract at ${address}, batched reads use individual calls`);
+            return;
+        }
+        
+        this.multicallContract = new ethers.Contract(address, MULTICALL3_ABI, this.provider);
+    }
+
     async setupEventListeners() {
         try {
-            // Get current block number with rate limiting
-            await this.checkRateLimit();
-            this.lastBlockNumber = await this.provider.getBlockNumber();
+            // Resume from the stored cursor; without one, start at the configured block or the head
+            const cursor = await this.getSyncCursor();
+            if (cursor !== null) {
+                this.lastBlockNumber = cursor;
+            } else {
+                await this.checkRateLimit();
+                const currentBlock = await this.provider.getBlockNumber();
+                const { startBlock } = blockchainConfig.indexerSettings;
+                this.lastBlockNumber = startBlock ? startBlock - 1 : currentBlock;
+                await this.saveSyncCursor(this.lastBlockNumber);
+            }
             
-            // Setup event filters
-            this.eventFilters = {
-                memberRegistered: this.nftContract.filters.MemberRegistered(),
-                planUpgraded: this.nftContract.filters.PlanUpgraded(),
-                referralPaid: this.nftContract.filters.ReferralPaid()
-            };
+            // Everything indexed before finality tracking existed counts as final
+            const { finalCursorName } = blockchainConfig.indexerSettings;
+            const finalCursor = await this.getSyncCursor(finalCursorName);
+            if (finalCursor !== null) {
+                this.lastFinalizedBlock = finalCursor;
+            } else {
+                this.lastFinalizedBlock = this.lastBlockNumber;
+                await this.saveSyncCursor(this.lastFinalizedBlock, finalCursorName);
+            }
             
-            console.log(`📡 Event listeners setup from block ${this.lastBlockNumber}`);
+            console.log(`📡 Event listeners setup from block ${this.lastBlockNumber} (final up to ${this.lastFinalizedBlock})`);
             
         } catch (error) {
             console.error('❌ Event listener setup failed:', error);
@@ -2661,6 +2754,35 @@ class BlockchainService {
         }
     }
 
+    // Raw members() entry without caching, optionally as of an earlier block
+    async getMemberState(walletAddress, blockTag = 'latest') {
+        await this.checkRateLimit();
+        const [upline, totalReferrals, totalEarnings, planId, cycleNumber, registeredAt] =
+            await this.nftContract.members(walletAddress, { blockTag });
+        
+        return { upline, totalReferrals, totalEarnings, planId, cycleNumber, registeredAt };
+    }
+
+    // Upline addresses from the contract, nearest sponsor first (lowercased, zero address dropped)
+    async getReferralChain(walletAddress) {
+        const cacheKey = `referral_chain_${walletAddress.toLowerCase()}`;
+        let chain = this.cache.get(cacheKey);
+
+        if (!chain) {
+            await this.checkRateLimit();
+            const addresses = await this.nftContract.getReferralChain(walletAddress);
+
+            chain = addresses
+                .filter(address => address !== ethers.ZeroAddress)
+                .map(address => address.toLowerCase());
+
+            // Uplines never change once registered
+            this.cache.set(cacheKey, chain, 3600);
+        }
+
+        return chain;
+    }
+
     // Get plan information
     async getPlanInfo(planId) {
         try {
@@ -2669,24 +2791,12 @@ class BlockchainService {
             
             if (!planInfo) {
                 await this.checkRateLimit();
-                const [price, name, membersPerCycle, isActive, imageURI] = 
-                    await this.nftContract.getPlanInfo(planId);
+                const plan = await this.nftContract.getPlanInfo(planId);
                 
                 await this.checkRateLimit();
-                const [currentCycle, membersInCurrentCycle] = 
-                    await this.nftContract.getPlanCycleInfo(planId);
+                const cycle = await this.nftContract.getPlanCycleInfo(planId);
                 
-                planInfo = {
-                    id: planId,
-                    price: price.toString(),
-                    name,
-                    membersPerCycle: membersPerCycle.toString(),
-                    isActive,
-                    imageURI,
-                    currentCycle: currentCycle.toString(),
-                    membersInCurrentCycle: membersInCurrentCycle.toString(),
-                    priceFormatted: this.formatTokenAmount(price.toString())
-                };
+                planInfo = this.formatPlanInfo(planId, plan, cycle);
                 
                 // Cache for 1 hour
                 this.cache.set(cacheKey, planInfo, 3600);
@@ -2700,20 +2810,163 @@ class BlockchainService {
         }
     }
 
+    // getPlanInfo() and getPlanCycleInfo() results in the shape handlers use
+    formatPlanInfo(planId, [price, name, membersPerCycle, isActive, imageURI], [currentCycle, membersInCurrentCycle]) {
+        return {
+            id: planId,
+            price: price.toString(),
+            name,
+            membersPerCycle: membersPerCycle.toString(),
+            isActive,
+            imageURI,
+            currentCycle: currentCycle.toString(),
+            membersInCurrentCycle: membersInCurrentCycle.toString(),
+            priceFormatted: this.formatTokenAmount(price.toString())
+        };
+    }
+
+    // Read calls ({ contract, method, args }) batched into one eth_call per maxCallsPerBatch
+    // through Multicall3. Returns { success, result, error } per call, in order; a reverting
+    // call never fails the others. Chains without a multicall contract get one call each.
+    async multicall(calls, blockTag = 'latest') {
+        if (!this.multicallContract) {
+            return this.callIndividually(calls, blockTag);
+        }
+        
+        const { maxCallsPerBatch } = blockchainConfig.multicallSettings;
+        const results = [];
+        
+        for (let i = 0; i < calls.length; i += maxCallsPerBatch) {
+            const batch = calls.slice(i, i + maxCallsPerBatch);
+            
+            let responses;
+            try {
+                await this.checkRateLimit();
+                responses = await this.multicallContract.aggregate3.staticCall(
+                    batch.map(({ contract, method, args = [] }) => ({
+                        target: contract.target,
+                        allowFailure: true,
+                        callData: contract.interface.encodeFunctionData(method, args)
+                    })),
+                    { blockTag }
+                );
+            } catch (error) {
+                console.warn('⚠️ Multicall failed, falling back to individual calls:', error.shortMessage || error.message);
+                results.push(...await this.callIndividually(batch, blockTag));
+                continue;
+            }
+            
+            responses.forEach(([success, returnData], index) => {
+                const { contract, method } = batch[index];
+                if (!success) {
+                    const contractError = decodeContractError({ data: returnData }, contract.interface);
+                    results.push({ success: false, error: contractError || new Error(`${method} reverted`) });
+                    return;
+                }
+                
+                // Unwrap single return values the way contract calls do
+                const decoded = contract.interface.decodeFunctionResult(method, returnData);
+                results.push({ success: true, result: decoded.length === 1 ? decoded[0] : decoded });
+            });
+        }
+        
+        return results;
+    }
+
+    async callIndividually(calls, blockTag = 'latest') {
+        const results = [];
+        
+        for (const { contract, method, args = [] } of calls) {
+            try {
+                await this.checkRateLimit();
+                const result = await contract.getFunction(method).staticCall(...args, { blockTag });
+                results.push({ success: true, result });
+            } catch (error) {
+                results.push({ success: false, error });
+            }
+        }
+        
+        return results;
+    }
+
+    // Plan info for many plans in one batch; plans that don't exist are left out.
+    // Shares the plan_<id> cache with getPlanInfo.
+    async getPlansBatch(planIds) {
+        const plans = new Map();
+        const missing = [];
+        
+        for (const planId of planIds) {
+            const cached = this.cache.get(`plan_${planId}`);
+            if (cached) {
+                plans.set(planId, cached);
+            } else {
+                missing.push(planId);
+            }
+        }
+        
+        if (missing.length > 0) {
+            const results = await this.multicall(missing.flatMap(planId => [
+                { contract: this.nftContract, method: 'getPlanInfo', args: [planId] },
+                { contract: this.nftContract, method: 'getPlanCycleInfo', args: [planId] }
+            ]));
+            
+            missing.forEach((planId, index) => {
+                const plan = results[index * 2];
+                const cycle = results[index * 2 + 1];
+                if (!plan.success || !cycle.success) {
+                    return;
+                }
+                
+                const planInfo = this.formatPlanInfo(planId, plan.result, cycle.result);
+                this.cache.set(`plan_${planId}`, planInfo, 3600); // Cache for 1 hour
+                plans.set(planId, planInfo);
+            });
+        }
+        
+        return planIds.filter(planId => plans.has(planId)).map(planId => plans.get(planId));
+    }
+
+    // Raw members() entries (as getMemberState) for many wallets, keyed by lowercased address.
+    // Wallets whose call failed map to null.
+    async getMembersBatch(walletAddresses, blockTag = 'latest') {
+        const results = await this.multicall(walletAddresses.map(walletAddress => ({
+            contract: this.nftContract,
+            method: 'members',
+            args: [walletAddress]
+        })), blockTag);
+        
+        const members = new Map();
+        walletAddresses.forEach((walletAddress, index) => {
+            const { success, result } = results[index];
+            if (!success) {
+                members.set(walletAddress.toLowerCase(), null);
+                return;
+            }
+            
+            const [upline, totalReferrals, totalEarnings, planId, cycleNumber, registeredAt] = result;
+            members.set(walletAddress.toLowerCase(), { upline, totalReferrals, totalEarnings, planId, cycleNumber, registeredAt });
+        });
+        
+        return members;
+    }
+
     // Register new member
     async registerMember(planId, uplineAddress, userWallet) {
+        let planInfo = null;
+        let requiredAmount = 0n;
+
         try {
             console.log(`📝 Registering member for plan ${planId}...`);
             
             // Check USDT balance and approval
-            const planInfo = await this.getPlanInfo(planId);
+            planInfo = await this.getPlanInfo(planId);
             if (!planInfo) {
                 throw new Error('Plan not found');
             }
             
             await this.checkRateLimit();
             const usdtBalance = await this.usdtContract.balanceOf(userWallet.address);
-            const requiredAmount = ethers.parseUnits(planInfo.priceFormatted, 6);
+            requiredAmount = ethers.parseUnits(planInfo.priceFormatted, 6);
             
             if (usdtBalance < requiredAmount) {
                 throw new Error(`Insufficient USDT balance. Required: ${planInfo.priceFormatted} USDT`);
@@ -2731,47 +2984,44 @@ class BlockchainService {
                 throw new Error('USDT_APPROVAL_REQUIRED');
             }
             
-            // Estimate gas
-            await this.checkRateLimit();
-            const gasEstimate = await this.nftContract.registerMember.estimateGas(
-                planId, 
-                uplineAddress || process.env.OWNER_WALLET_ADDRESS
-            );
-            
-            // Add 20% buffer for gas
-            const gasLimit = gasEstimate * 120n / 100n;
-            
-            // Get gas price
-            await this.checkRateLimit();
-            const feeData = await this.provider.getFeeData();
+            // Wallet signing: hand the unsigned call to the member's own wallet
+            if (blockchainConfig.isWalletSigning()) {
+                const call = this.buildContractCall(
+                    this.nftContract,
+                    'registerMember',
+                    [planId, uplineAddress || process.env.OWNER_WALLET_ADDRESS],
+                    userWallet.address
+                );
+                call.gasLimit = (await this.estimateCallGas(call, 'register')).toString();
+                
+                return {
+                    success: true,
+                    requiresSignature: true,
+                    call,
+                    amount: planInfo.price,
+                    message: 'Registration transaction ready for signing'
+                };
+            }
             
-            // Send transaction
-            await this.checkRateLimit();
-            const tx = await this.nftContract.registerMember(
-                planId, 
-                uplineAddress || process.env.OWNER_WALLET_ADDRESS,
-                { 
-                    gasLimit,
-                    gasPrice: feeData.gasPrice
-                }
+            // Operator signing: queue the call for the operator wallet's sequential sender
+            const call = this.buildContractCall(
+                this.nftContract,
+                'registerMember',
+                [planId, uplineAddress || process.env.OWNER_WALLET_ADDRESS],
+                this.wallet.address
             );
+            call.gasLimit = (await this.estimateCallGas(call, 'register')).toString();
             
-            console.log(`📤 Registration transaction sent: ${tx.hash}`);
-            
-            // Save to database
-            await this.saveTransaction({
-                userAddress: userWallet.address,
-                txHash: tx.hash,
-                type: 'register',
+            const job = await this.transactionQueue.enqueue(userWallet.address, 'register', call, {
                 planId,
-                amount: planInfo.price,
-                status: 'pending'
+                amount: planInfo.price
             });
             
             return {
                 success: true,
-                txHash: tx.hash,
-                message: 'Registration transaction sent successfully'
+                queued: true,
+                job,
+                message: 'Registration transaction queued'
             };
             
         } catch (error) {
@@ -2782,18 +3032,136 @@ class BlockchainService {
                     success: false,
                     requiresApproval: true,
                     approvalAmount: planInfo.priceFormatted,
+                    approveCall: blockchainConfig.isWalletSigning() ?
+                        this.buildApproveCall(requiredAmount, userWallet.address) : null,
                     message: 'Please approve USDT spending first'
                 };
             }
             
+            return this.buildFailureResult(error, 'Registration failed');
+        }
+    }
+
+    // Plan, lock expiry and refund for a member thinking about leaving
+    async getExitPreview(walletAddress) {
+        const memberInfo = await this.getMemberInfo(walletAddress);
+        if (!memberInfo || !memberInfo.isRegistered) {
+            return null;
+        }
+        
+        const planId = parseInt(memberInfo.planId);
+        const planInfo = await this.getPlanInfo(planId);
+        const { lockPeriod } = blockchainConfig.exitSettings;
+        
+        const registeredAt = new Date(Number(memberInfo.registeredAt) * 1000);
+        const lockExpiresAt = new Date((Number(memberInfo.registeredAt) + lockPeriod) * 1000);
+        const isLocked = lockExpiresAt.getTime() > Date.now();
+        
+        // While locked the exit would revert with ThirtyDayLock, so simulate it just after the lock ends
+        const refundAmount = await this.simulateExitRefund(
+            walletAddress,
+            isLocked ? Number(memberInfo.registeredAt) + lockPeriod + 1 : null
+        );
+        
+        return {
+            planId,
+            planName: planInfo ? planInfo.name : `Plan ${planId}`,
+            registeredAt,
+            lockExpiresAt,
+            isLocked,
+            refundAmount: refundAmount === null ? null : refundAmount.toString(),
+            refundFormatted: refundAmount === null ? null : this.formatTokenAmount(refundAmount)
+        };
+    }
+
+    // The contract has no view for the refund and exitMembership() returns nothing, so the exit is
+    // traced from the member's address and the refund read from the MemberExited log it would emit.
+    // Returns null when no endpoint supports debug_traceCall or the simulated exit reverts.
+    async simulateExitRefund(walletAddress, atTimestamp = null) {
+        const call = this.buildContractCall(this.nftContract, 'exitMembership', [], walletAddress);
+        const traceConfig = { tracer: 'callTracer', tracerConfig: { withLog: true } };
+        if (atTimestamp) {
+            traceConfig.blockOverrides = { time: ethers.toQuantity(atTimestamp) };
+        }
+        
+        try {
+            await this.checkRateLimit();
+            const trace = await this.provider.send('debug_traceCall', [
+                { from: call.from, to: call.to, data: call.data },
+                'latest',
+                traceConfig
+            ]);
+            if (!trace || trace.error) {
+                return null;
+            }
+            
+            // Logs sit on the call frame that emitted them, which may be a nested call
+            const frames = [trace];
+            while (frames.length > 0) {
+                const frame = frames.shift();
+                for (const log of frame.logs || []) {
+                    if (log.address.toLowerCase() !== call.to.toLowerCase()) {
+                        continue;
+                    }
+                    const parsed = this.nftContract.interface.parseLog(log);
+                    if (parsed && parsed.name === 'MemberExited') {
+                        return parsed.args.refundAmount;
+                    }
+                }
+                frames.push(...(frame.calls || []));
+            }
+            return null;
+            
+        } catch (error) {
+            console.log(`⚠️ Could not simulate exit refund for ${walletAddress}: ${error.shortMessage || error.message}`);
+            return null;
+        }
+    }
+
+    // Leave the membership and receive the contract's refund. exitMembership() takes no member
+    // argument and exits msg.sender, so only the member's own wallet can send it.
+    async exitMembership(userWallet) {
+        try {
+            console.log(`🚪 Exiting membership for ${userWallet.address}...`);
+            
+            if (!blockchainConfig.isWalletSigning()) {
+                throw new Error('Exiting must be signed with the member\'s own wallet, which is not enabled');
+            }
+            
+            const preview = await this.getExitPreview(userWallet.address);
+            if (!preview) {
+                throw new ContractError('NotMember');
+            }
+            
+            if (preview.isLocked) {
+                throw new ContractError('ThirtyDayLock');
+            }
+            
+            const call = this.buildContractCall(
+                this.nftContract,
+                'exitMembership',
+                [],
+                userWallet.address
+            );
+            call.gasLimit = (await this.estimateCallGas(call, 'exit')).toString();
+            
             return {
-                success: false,
-                error: error.message || 'Registration failed'
+                success: true,
+                requiresSignature: true,
+                call,
+                amount: preview.refundAmount,
+                fromPlanId: preview.planId,
+                message: 'Exit transaction ready for signing'
             };
+            
+        } catch (error) {
+            console.error('❌ Exit failed:', error);
+            return this.buildFailureResult(error, 'Exit failed');
         }
     }
 
-    // Process new blockchain events with improved rate limiting
+    // Process new blockchain events, catching up to the head in bounded chunks, then
+    // finalize whatever has reached the confirmation depth
     async processNewEvents() {
         // Prevent multiple concurrent event processing
         if (this.eventProcessingActive) {
@@ -2804,155 +3172,391 @@ class BlockchainService {
         this.eventProcessingActive = true;
 
         try {
-            await this.checkRateLimit();
-            const currentBlock = await this.provider.getBlockNumber();
-            
-            if (currentBlock <= this.lastBlockNumber) {
-                this.eventProcessingActive = false;
-                return; // No new blocks
+            let caughtUp = false;
+            while (!caughtUp && this.isInitialized) {
+                caughtUp = await this.indexNextChunk();
             }
             
-            const fromBlock = this.lastBlockNumber + 1;
-            const toBlock = Math.min(currentBlock, fromBlock + 4); // Process max 20 blocks at once (reduced from 100)
-            
-            console.log(`📡 Processing events from block ${fromBlock} to ${toBlock}`);
+            let finalized = false;
+            while (!finalized && this.isInitialized) {
+                finalized = await this.finalizeNextChunk();
+            }
             
-            // Process events one filter at a time to avoid rate limits
-            const allEvents = [];
+        } catch (error) {
+            console.error('❌ Error processing events:', error);
             
-            for (const [eventName, filter] of Object.entries(this.eventFilters)) {
-                try {
-                    await this.checkRateLimit();
-                    const events = await this.nftContract.queryFilter(filter, fromBlock, toBlock);
-                    allEvents.push(...events);
-                    
-                    // Small delay between filter queries
-                    if (Object.keys(this.eventFilters).length > 1) {
-                        await new Promise(resolve => setTimeout(resolve, 500));
-                    }
-                } catch (error) {
-                    console.error(`❌ Error querying ${eventName} events:`, error.message);
-                    
-                    // If rate limited, break and try again later
-                    if (error.message.includes('rate limit')) {
-                        console.log('⚠️ Hit rate limit, will retry later');
-                        break;
-                    }
+            // The pool already failed over; with no healthy endpoint left, back off longer
+            if (this.providerPool && !this.providerPool.hasHealthyProvider()) {
+                console.log('⚠️ No healthy RPC providers, implementing longer backoff');
+                await new Promise(resolve => setTimeout(resolve, 10000)); // 10 second backoff
+            }
+        } finally {
+            this.eventProcessingActive = false;
+        }
+    }
+
+    // Stage the next chunk after the cursor as `seen`; returns true once the head is reached
+    async indexNextChunk() {
+        await this.checkRateLimit();
+        const currentBlock = await this.provider.getBlockNumber();
+        this.latestBlock = currentBlock;
+        
+        if (currentBlock <= this.lastBlockNumber) {
+            return true; // No new blocks
+        }
+        
+        const fromBlock = this.lastBlockNumber + 1;
+        const toBlock = Math.min(currentBlock, fromBlock + blockchainConfig.indexerSettings.chunkSize - 1);
+        
+        const stored = await this.indexBlockRange(fromBlock, toBlock, true);
+        
+        if (stored > 0) {
+            console.log(`📡 Staged ${stored} events from blocks ${fromBlock}-${toBlock}`);
+        }
+        
+        return toBlock >= currentBlock;
+    }
+
+    // Finalize the next chunk that is `confirmations` deep; returns true when none is left
+    async finalizeNextChunk() {
+        const { confirmations } = blockchainConfig.transactionSettings;
+        
+        // A block has (head - block + 1) confirmations; never pass what has been staged
+        const finalHead = Math.min(this.latestBlock - confirmations + 1, this.lastBlockNumber);
+        
+        if (finalHead <= this.lastFinalizedBlock) {
+            return true;
+        }
+        
+        const fromBlock = this.lastFinalizedBlock + 1;
+        const toBlock = Math.min(finalHead, fromBlock + blockchainConfig.indexerSettings.chunkSize - 1);
+        
+        const finalized = await this.finalizeBlockRange(fromBlock, toBlock, true);
+        
+        if (finalized > 0) {
+            console.log(`🔒 Finalized ${finalized} events from blocks ${fromBlock}-${toBlock}`);
+        }
+        
+        return toBlock >= finalHead;
+    }
+
+    // Stage the events of a block range as `seen`. With advanceCursor the cursor moves to toBlock
+    // in the same transaction, so a crash mid-range never skips or half-applies blocks.
+    async indexBlockRange(fromBlock, toBlock, advanceCursor = false) {
+        const events = await this.queryEvents(fromBlock, toBlock);
+        
+        const stored = await withTransaction(async () => {
+            let count = 0;
+            for (const event of events) {
+                if (await this.processEvent(event)) {
+                    count++;
                 }
             }
             
-            // Sort events by block number and log index
-            allEvents.sort((a, b) => {
-                if (a.blockNumber !== b.blockNumber) {
-                    return a.blockNumber - b.blockNumber;
+            if (advanceCursor) {
+                await this.saveSyncCursor(toBlock);
+            }
+            return count;
+        });
+        
+        if (advanceCursor) {
+            this.lastBlockNumber = toBlock;
+        }
+        
+        return stored;
+    }
+
+    // Re-read a range that is deep enough to be final and make the stored events match it:
+    // missing events are added, moved ones get their new block, events that vanished in a
+    // reorg are rolled back, and the rest are finalized (handlers and notifications run here).
+    async finalizeBlockRange(fromBlock, toBlock, advanceCursor = false) {
+        const events = await this.queryEvents(fromBlock, toBlock);
+        const canonical = new Set(events.map(event => `${event.transactionHash}:${event.logIndex}`));
+        const notifications = [];
+        
+        const finalized = await withTransaction(async (db) => {
+            const staged = await db.all(`
+                SELECT * FROM blockchain_events
+                WHERE status = 'seen' AND block_number BETWEEN ? AND ?
+            `, [fromBlock, toBlock]);
+            
+            for (const row of staged) {
+                if (!canonical.has(`${row.tx_hash}:${row.log_index}`)) {
+                    await this.rollbackEvent(row);
                 }
-                return a.logIndex - b.logIndex;
-            });
+            }
             
-            // Process events
-            for (const event of allEvents) {
-                try {
-                    await this.processEvent(event);
-                    // Small delay between event processing
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                } catch (error) {
-                    console.error('❌ Error processing event:', error);
-                }
+            // Stage the whole range before finalizing any of it: handlers read sibling events of
+            // the same transaction (a ReferralPaid needs its MemberRegistered for the plan id)
+            for (const event of events) {
+                await this.processEvent(event);
             }
             
-            this.lastBlockNumber = toBlock;
+            let count = 0;
+            for (const event of events) {
+                if (await this.finalizeEvent(event, notifications)) {
+                    count++;
+                }
+            }
             
-            if (allEvents.length > 0) {
-                console.log(`📡 Processed ${allEvents.length} events from blocks ${fromBlock}-${toBlock}`);
+            if (advanceCursor) {
+                await this.saveSyncCursor(toBlock, blockchainConfig.indexerSettings.finalCursorName);
             }
+            return count;
+        });
+        
+        if (advanceCursor) {
+            this.lastFinalizedBlock = toBlock;
+        }
+        
+        await this.eventService.dispatchNotifications(notifications);
+        
+        return finalized;
+    }
+
+    // Fetch and decode every NFT contract event in a block range, in the order they were emitted.
+    // A failed query aborts the whole range so the cursor never moves past its events.
+    async queryEvents(fromBlock, toBlock) {
+        await this.checkRateLimit();
+        const logs = await this.provider.getLogs({
+            address: this.nftContract.target,
+            fromBlock,
+            toBlock
+        });
+        
+        return logs
+            .map(log => this.eventService.decodeLog(log))
+            .filter(Boolean);
+    }
+
+    // Re-run indexing over a block range without moving the cursors (already stored events are skipped)
+    async reindexBlocks(fromBlock, toBlock) {
+        const { maxReindexBlocks } = blockchainConfig.indexerSettings;
+        
+        if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock < 0 || toBlock < fromBlock) {
+            throw new Error('Invalid block range');
+        }
+        
+        if (toBlock - fromBlock + 1 > maxReindexBlocks) {
+            throw new Error(`Range too large, re-index at most ${maxReindexBlocks} blocks at a time`);
+        }
+        
+        if (toBlock > this.lastBlockNumber) {
+            throw new Error(`Blocks after ${this.lastBlockNumber} have not been indexed yet`);
+        }
+        
+        // Shares the flag with processNewEvents so only one indexer transaction runs at a time
+        if (this.eventProcessingActive) {
+            throw new Error('Event indexing is busy, please try again shortly');
+        }
+        
+        this.eventProcessingActive = true;
+        
+        try {
+            // Blocks already past finality are re-read and finalized directly, newer ones are staged
+            const finalEnd = Math.min(toBlock, this.lastFinalizedBlock);
+            let stored = 0;
             
-        } catch (error) {
-            console.error('❌ Error processing events:', error);
+            stored += await this.forEachChunk(fromBlock, finalEnd, (start, end) => this.finalizeBlockRange(start, end));
+            stored += await this.forEachChunk(Math.max(fromBlock, finalEnd + 1), toBlock, (start, end) => this.indexBlockRange(start, end));
             
-            // If this is a rate limit error, wait longer before next attempt
-            if (error.message.includes('rate limit') || error.message.includes('Bad Data')) {
-                console.log('⚠️ Rate limit detected, implementing longer backoff');
-                await new Promise(resolve => setTimeout(resolve, 10000)); // 10 second backoff
+            console.log(`🔄 Re-indexed blocks ${fromBlock}-${toBlock}: ${stored} new events`);
+            return { fromBlock, toBlock, stored };
+            
+        } finally {
+            this.eventProcessingActive = false;
+        }
+    }
+
+    // Run fn with the event indexer paused, waiting for a running pass to finish first
+    async withIndexerLock(fn, timeoutMs = 5 * 60 * 1000) {
+        const deadline = Date.now() + timeoutMs;
+        
+        while (this.eventProcessingActive) {
+            if (Date.now() > deadline) {
+                throw new Error('Timed out waiting for the event indexer');
             }
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        
+        this.eventProcessingActive = true;
+        
+        try {
+            return await fn();
         } finally {
             this.eventProcessingActive = false;
         }
     }
 
-    // Process individual blockchain event
+    // Run fn over [fromBlock, toBlock] in indexer-sized chunks and sum its results
+    async forEachChunk(fromBlock, toBlock, fn) {
+        const { chunkSize } = blockchainConfig.indexerSettings;
+        let total = 0;
+        
+        for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+            total += await fn(start, Math.min(toBlock, start + chunkSize - 1));
+        }
+        
+        return total;
+    }
+
+    // Last fully indexed block for a cursor, or null before the first run
+    async getSyncCursor(name = blockchainConfig.indexerSettings.cursorName) {
+        const db = getDatabase();
+        const state = await db.get(
+            'SELECT last_block FROM sync_state WHERE name = ?',
+            [name]
+        );
+        return state ? state.last_block : null;
+    }
+
+    async saveSyncCursor(blockNumber, name = blockchainConfig.indexerSettings.cursorName) {
+        const db = getDatabase();
+        await db.run(`
+            INSERT INTO sync_state (name, last_block, updated_at)
+            VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(name) DO UPDATE SET last_block = excluded.last_block, updated_at = CURRENT_TIMESTAMP
+        `, [name, blockNumber]);
+    }
+
+    // Stage a decoded event as `seen`; returns false if it was already stored.
+    // Runs inside the indexer transaction, so errors propagate and roll the range back.
     async processEvent(event) {
-        try {
-            const db = getDatabase();
-            
-            // Check if event already processed
-            const existing = await db.get(
-                'SELECT id FROM blockchain_events WHERE tx_hash = ? AND event_type = ?',
-                [event.transactionHash, event.eventName || event.fragment.name]
-            );
-            
-            if (existing) {
-                return; // Already processed
+        const db = getDatabase();
+        
+        // Rows stored before log_index existed only knew their tx and type
+        await db.run(
+            'UPDATE blockchain_events SET log_index = ? WHERE tx_hash = ? AND event_type = ? AND log_index IS NULL',
+            [event.logIndex, event.transactionHash, event.type]
+        );
+        
+        const user = event.userAddress ?
+            await db.get('SELECT telegram_id FROM users WHERE wallet_address = ?', [event.userAddress]) :
+            null;
+        
+        // The unique (tx_hash, log_index) index makes re-indexing idempotent
+        const result = await db.run(`
+            INSERT OR IGNORE INTO blockchain_events 
+            (event_type, contract_address, tx_hash, log_index, block_number, block_hash, status,
+             user_address, telegram_id, event_data, processed)
+            VALUES (?, ?, ?, ?, ?, ?, 'seen', ?, ?, ?, 0)
+        `, [
+            event.type,
+            event.address,
+            event.transactionHash,
+            event.logIndex,
+            event.blockNumber,
+            event.blockHash,
+            event.userAddress,
+            user ? user.telegram_id : null,
+            JSON.stringify(event.args)
+        ]);
+        
+        if (result.changes === 0) {
+            // Same log re-mined in another block after a reorg
+            const moved = await db.run(`
+                UPDATE blockchain_events SET block_number = ?, block_hash = ?
+                WHERE tx_hash = ? AND log_index = ? AND status = 'seen' AND block_hash IS NOT ?
+            `, [event.blockNumber, event.blockHash, event.transactionHash, event.logIndex, event.blockHash]);
+
+            if (moved.changes > 0) {
+                await db.run(
+                    'UPDATE transactions SET block_number = ?, confirmations = 0 WHERE tx_hash = ? AND status = ?',
+                    [event.blockNumber, event.transactionHash, 'pending']
+                );
             }
-            
-            const eventData = {
-                event_type: event.eventName || event.fragment.name,
-                contract_address: event.address,
-                tx_hash: event.transactionHash,
-                block_number: event.blockNumber,
-                event_data: JSON.stringify(event.args),
-                processed: 0
-            };
-            
-            // Save event to database
-            await db.run(`
-                INSERT INTO blockchain_events 
-                (event_type, contract_address, tx_hash, block_number, event_data, processed)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `, [
-                eventData.event_type,
-                eventData.contract_address,
-                eventData.tx_hash,
-                eventData.block_number,
-                eventData.event_data,
-                eventData.processed
-            ]);
-            
-            // Update transaction status
-            await db.run(
-                'UPDATE transactions SET status = ?, block_number = ?, confirmed_at = CURRENT_TIMESTAMP WHERE tx_hash = ?',
-                ['confirmed', event.blockNumber, event.transactionHash]
+            return false; // Already processed
+        }
+        
+        // Attach the hash to a wallet-signed request the user never reported back
+        if (event.args.member) {
+            const SigningService = require('./SigningService');
+            await new SigningService().linkEventTransaction(
+                event.type,
+                event.args.member,
+                event.transactionHash
             );
-            
-            // Clear related cache
-            if (event.args && event.args.member) {
-                this.cache.delete(`member_${event.args.member}`);
-            }
-            
-            console.log(`✅ Processed ${eventData.event_type} event: ${event.transactionHash}`);
-            
-        } catch (error) {
-            console.error('❌ Error processing event:', error);
         }
+        
+        // Mined but not final: record the block, keep the transaction pending
+        await db.run(
+            'UPDATE transactions SET block_number = ?, confirmations = 0 WHERE tx_hash = ? AND status = ?',
+            [event.blockNumber, event.transactionHash, 'pending']
+        );
+        
+        console.log(`👀 Seen ${event.type} event: ${event.transactionHash}`);
+        return true;
+    }
+
+    // Promote a staged event to `final` and apply its effects; returns false if it already was
+    async finalizeEvent(event, notifications) {
+        const db = getDatabase();
+        
+        const result = await db.run(`
+            UPDATE blockchain_events
+            SET status = 'final', processed = 1, processed_at = CURRENT_TIMESTAMP
+            WHERE tx_hash = ? AND log_index = ? AND status = 'seen'
+        `, [event.transactionHash, event.logIndex]);
+        
+        if (result.changes === 0) {
+            return false;
+        }
+        
+        // Update transaction status; a sped-up queue job's row may still carry another
+        // version's hash if the event finalizes before the queue settles the receipt
+        await db.run(`
+            UPDATE transactions
+            SET status = ?, tx_hash = ?, block_number = ?, confirmations = ?, confirmed_at = CURRENT_TIMESTAMP
+            WHERE tx_hash = ?
+               OR id IN (SELECT transaction_id FROM tx_replacements WHERE tx_hash = ? OR replaced_tx_hash = ?)
+        `, [
+            'confirmed',
+            event.transactionHash,
+            event.blockNumber,
+            blockchainConfig.transactionSettings.confirmations,
+            event.transactionHash,
+            event.transactionHash,
+            event.transactionHash
+        ]);
+        
+        await this.eventService.handleEvent(event, notifications);
+        
+        console.log(`✅ Processed ${event.type} event: ${event.transactionHash}`);
+        return true;
+    }
+
+    // Undo a staged event whose block was reorged away. Handlers only run at finality,
+    // so user and plan rows were never touched; only the event and its transaction revert.
+    async rollbackEvent(row) {
+        const db = getDatabase();
+        
+        await db.run('DELETE FROM blockchain_events WHERE id = ?', [row.id]);
+        
+        await db.run(
+            'UPDATE transactions SET block_number = NULL, confirmations = 0 WHERE tx_hash = ? AND status = ?',
+            [row.tx_hash, 'pending']
+        );
+        
+        console.warn(`⚠️ Reorg: dropped ${row.event_type} event ${row.tx_hash} from block ${row.block_number} (${row.block_hash})`);
     }
 
     // Upgrade plan with rate limiting
     async upgradePlan(newPlanId, userWallet) {
+        let priceDifference = 0n;
+
         try {
             console.log(`⬆️ Upgrading to plan ${newPlanId}...`);
             
             // Get current member info
             const memberInfo = await this.getMemberInfo(userWallet.address);
             if (!memberInfo || !memberInfo.isRegistered) {
-                throw new Error('User is not registered');
+                throw new ContractError('NotMember');
             }
             
+            // Same rule the contract enforces, checked before spending an RPC call on it
             const currentPlanId = parseInt(memberInfo.planId);
-            if (newPlanId <= currentPlanId) {
-                throw new Error('Can only upgrade to higher plans');
-            }
-            
             if (newPlanId !== currentPlanId + 1) {
-                throw new Error('Can only upgrade to the next plan level');
+                throw new ContractError('NextPlanOnly');
             }
             
             // Get plan prices
@@ -2966,7 +3570,7 @@ class BlockchainService {
             // Calculate price difference
             const currentPrice = ethers.parseUnits(currentPlan.priceFormatted, 6);
             const newPrice = ethers.parseUnits(newPlan.priceFormatted, 6);
-            const priceDifference = newPrice - currentPrice;
+            priceDifference = newPrice - currentPrice;
             
             // Check USDT balance and approval
             await this.checkRateLimit();
@@ -2986,39 +3590,41 @@ class BlockchainService {
                 throw new Error('USDT_APPROVAL_REQUIRED');
             }
             
-            // Estimate gas
-            await this.checkRateLimit();
-            const gasEstimate = await this.nftContract.upgradePlan.estimateGas(newPlanId);
-            const gasLimit = gasEstimate * 120n / 100n;
-            
-            // Get gas price
-            await this.checkRateLimit();
-            const feeData = await this.provider.getFeeData();
-            
-            // Send transaction
-            await this.checkRateLimit();
-            const tx = await this.nftContract.upgradePlan(newPlanId, {
-                gasLimit,
-                gasPrice: feeData.gasPrice
-            });
+            // Wallet signing: hand the unsigned call to the member's own wallet
+            if (blockchainConfig.isWalletSigning()) {
+                const call = this.buildContractCall(
+                    this.nftContract,
+                    'upgradePlan',
+                    [newPlanId],
+                    userWallet.address
+                );
+                call.gasLimit = (await this.estimateCallGas(call, 'upgrade')).toString();
+                
+                return {
+                    success: true,
+                    requiresSignature: true,
+                    call,
+                    amount: priceDifference.toString(),
+                    fromPlanId: currentPlanId,
+                    message: `Upgrade to ${newPlan.name} plan ready for signing`
+                };
+            }
             
-            console.log(`📤 Upgrade transaction sent: ${tx.hash}`);
+            // Operator signing: queue the call for the operator wallet's sequential sender
+            const call = this.buildContractCall(this.nftContract, 'upgradePlan', [newPlanId], this.wallet.address);
+            call.gasLimit = (await this.estimateCallGas(call, 'upgrade')).toString();
             
-            // Save to database
-            await this.saveTransaction({
-                userAddress: userWallet.address,
-                txHash: tx.hash,
-                type: 'upgrade',
+            const job = await this.transactionQueue.enqueue(userWallet.address, 'upgrade', call, {
                 fromPlanId: currentPlanId,
                 toPlanId: newPlanId,
-                amount: priceDifference.toString(),
-                status: 'pending'
+                amount: priceDifference.toString()
             });
             
             return {
                 success: true,
-                txHash: tx.hash,
-                message: `Upgrade to ${newPlan.name} plan transaction sent successfully`
+                queued: true,
+                job,
+                message: `Upgrade to ${newPlan.name} plan queued`
             };
             
         } catch (error) {
@@ -3028,14 +3634,14 @@ class BlockchainService {
                 return {
                     success: false,
                     requiresApproval: true,
+                    approvalAmount: ethers.formatUnits(priceDifference, 6),
+                    approveCall: blockchainConfig.isWalletSigning() ?
+                        this.buildApproveCall(priceDifference, userWallet.address) : null,
                     message: 'Please approve USDT spending first'
                 };
             }
             
-            return {
-                success: false,
-                error: error.message || 'Upgrade failed'
-            };
+            return this.buildFailureResult(error, 'Upgrade failed');
         }
     }
 
@@ -3071,42 +3677,78 @@ class BlockchainService {
         }
     }
 
-    // Save transaction to database
-    async saveTransaction(txData) {
-        try {
-            const db = getDatabase();
-            
-            // Get user ID from wallet address
-            const user = await db.get(
-                'SELECT id, telegram_id FROM users WHERE wallet_address = ?',
-                [txData.userAddress]
-            );
-            
-            if (!user) {
-                console.error('❌ User not found for wallet:', txData.userAddress);
-                return;
-            }
-            
-            await db.run(`
-                INSERT INTO transactions 
-                (user_id, tx_hash, type, status, amount, plan_id, from_plan_id, to_plan_id)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                user.id,
-                txData.txHash,
-                txData.type,
-                txData.status || 'pending',
-                txData.amount,
-                txData.planId || null,
-                txData.fromPlanId || null,
-                txData.toPlanId || null
-            ]);
-            
-            console.log(`💾 Transaction saved: ${txData.txHash}`);
-            
-        } catch (error) {
-            console.error('❌ Error saving transaction:', error);
+    // Failed result for a member transaction, with the contract's custom error decoded
+    // from the revert data of estimateGas or the send when there is one
+    buildFailureResult(error, fallbackMessage) {
+        const contractError = decodeContractError(error, this.nftContract && this.nftContract.interface);
+        
+        if (contractError) {
+            console.log(`⛔ Contract rejected transaction: ${contractError.errorName} (${contractError.code})`);
+            return {
+                success: false,
+                error: contractError.message,
+                errorCode: contractError.code,
+                errorName: contractError.errorName
+            };
         }
+        
+        return {
+            success: false,
+            error: error.message || fallbackMessage
+        };
+    }
+
+    // Build an unsigned contract call for a member's wallet to sign
+    buildContractCall(contract, method, args, from) {
+        return {
+            from: ethers.getAddress(from),
+            to: contract.target,
+            data: contract.interface.encodeFunctionData(method, args),
+            value: '0',
+            chainId: this.chainId || blockchainConfig.getChainId(),
+            method
+        };
+    }
+
+    // Build the USDT approve call that lets the NFT contract pull the payment
+    buildApproveCall(amount, ownerAddress) {
+        return this.buildContractCall(
+            this.usdtContract,
+            'approve',
+            [process.env.NFT_CONTRACT_ADDRESS, amount],
+            ownerAddress
+        );
+    }
+
+    // Dry-run a call from the member's address so reverts surface before signing.
+    // transactionType picks the gasSettings.gasLimit cap (register, upgrade, ...)
+    async estimateCallGas(call, transactionType) {
+        await this.checkRateLimit();
+        const gasEstimate = await this.provider.estimateGas({
+            from: call.from,
+            to: call.to,
+            data: call.data
+        });
+        
+        return this.gasStrategy.getGasLimit(gasEstimate, transactionType);
+    }
+
+    // Get a transaction by hash
+    async getTransaction(txHash) {
+        await this.checkRateLimit();
+        return this.provider.getTransaction(txHash);
+    }
+
+    // Get a transaction receipt by hash (null while pending)
+    async getTransactionReceipt(txHash) {
+        await this.checkRateLimit();
+        return this.provider.getTransactionReceipt(txHash);
+    }
+
+    // USDT the NFT contract may currently pull from the owner
+    async getAllowance(ownerAddress) {
+        await this.checkRateLimit();
+        return this.usdtContract.allowance(ownerAddress, process.env.NFT_CONTRACT_ADDRESS);
     }
 
     // Utility: Format token amount
@@ -3131,16 +3773,19 @@ class BlockchainService {
     getStatus() {
         return {
             initialized: this.isInitialized,
-            connected: this.provider !== null,
+            connected: this.providerPool !== null && this.providerPool.hasHealthyProvider(),
+            chainId: this.chainId,
+            network: this.network.name,
+            explorer: this.network.explorer,
+            signingMode: blockchainConfig.signingMode,
+            gasStrategy: blockchainConfig.getGasStrategyName(),
             lastBlockNumber: this.lastBlockNumber,
+            lastFinalizedBlock: this.lastFinalizedBlock,
             contractAddresses: {
                 nft: process.env.NFT_CONTRACT_ADDRESS,
                 usdt: process.env.USDT_CONTRACT_ADDRESS
             },
-            rateLimit: {
-                requestsInWindow: this.rateLimit.requests.length,
-                maxRequestsPerMinute: this.rateLimit.maxRequestsPerMinute
-            }
+            providerPool: this.providerPool ? this.providerPool.getStatus() : null
         };
     }
 
@@ -3151,6 +3796,9 @@ class BlockchainService {
                 // Remove all listeners
                 this.provider.removeAllListeners();
             }
+            if (this.providerPool) {
+                this.providerPool.destroy();
+            }
             this.isInitialized = false;
             this.eventProcessingActive = false;
             console.log('✅ Blockchain service cleanup complete');
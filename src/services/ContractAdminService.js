@@ -0,0 +1,405 @@
+// src/services/ContractAdminService.js
+const BlockchainService = require('./BlockchainService');
+const { getDatabase } = require('../config/database');
+const { blockchainConfig } = require('../config/blockchain');
+const { decodeContractError } = require('../utils/contractErrors');
+
+let sharedInstance = null;
+
+// Owner-only contract functions offered in the admin panel. Parameters are read in order
+// from the admin's text input: 'plan' is a plan ID, 'amount' USDT, 'bool' on/off.
+const OPERATIONS = {
+    setPaused: {
+        label: '⏸️ Pause / Unpause',
+        params: [{ name: 'paused', type: 'bool' }]
+    },
+    restartAfterPause: {
+        label: '▶️ Restart After Pause',
+        params: []
+    },
+    updatePlanPrice: {
+        label: '💲 Plan Price',
+        params: [{ name: 'planId', type: 'plan' }, { name: 'newPrice', type: 'amount' }]
+    },
+    setPlanStatus: {
+        label: '🔘 Plan Status',
+        params: [{ name: 'planId', type: 'plan' }, { name: 'isActive', type: 'bool' }]
+    },
+    updateMembersPerCycle: {
+        label: '👥 Members per Cycle',
+        params: [{ name: 'planId', type: 'plan' }, { name: 'membersPerCycle', type: 'uint' }]
+    },
+    setPlanDefaultImage: {
+        label: '🖼️ Plan Image',
+        params: [{ name: 'planId', type: 'plan' }, { name: 'imageURI', type: 'string' }]
+    },
+    setBaseURI: {
+        label: '🔗 Base URI',
+        params: [{ name: 'baseURI', type: 'string' }]
+    },
+    withdrawOwnerBalance: {
+        label: '💰 Withdraw Owner',
+        params: [{ name: 'amount', type: 'amount' }],
+        balance: 'ownerFunds'
+    },
+    withdrawFeeSystemBalance: {
+        label: '🧾 Withdraw Fees',
+        params: [{ name: 'amount', type: 'amount' }],
+        balance: 'feeFunds'
+    },
+    withdrawFundBalance: {
+        label: '🏦 Withdraw Fund',
+        params: [{ name: 'amount', type: 'amount' }],
+        balance: 'fundFunds'
+    },
+    // Emergency withdrawals sent from here count as expected by EmergencyWithdrawTracker
+    requestEmergencyWithdraw: {
+        label: '🚨 Request Emergency',
+        params: []
+    },
+    cancelEmergencyWithdraw: {
+        label: '🛑 Cancel Emergency',
+        params: []
+    },
+    emergencyWithdraw: {
+        label: '☢️ Emergency Withdraw',
+        params: []
+    }
+};
+
+// Owner calls need two admins: one proposes (after a staticCall simulation), a different
+// one approves, and only then is the call sent through the operator wallet's queue.
+// Every step is written to admin_actions.
+class ContractAdminService {
+    constructor() {
+        this.blockchainService = BlockchainService.getInstance();
+    }
+
+    static getInstance() {
+        if (!sharedInstance) {
+            sharedInstance = new ContractAdminService();
+        }
+        return sharedInstance;
+    }
+
+    getOperations() {
+        return OPERATIONS;
+    }
+
+    getOperation(method) {
+        if (!Object.prototype.hasOwnProperty.call(OPERATIONS, method)) {
+            throw new Error(`Unknown contract operation: ${method}`);
+        }
+        return OPERATIONS[method];
+    }
+
+    // e.g. "<planId> <newPrice>" for the input prompt
+    getUsage(method) {
+        return this.getOperation(method).params.map(param => `<${param.name}>`).join(' ');
+    }
+
+    // Call arguments from "3 25.5"; the last string parameter takes the rest of the line
+    parseParams(method, text) {
+        const { params } = this.getOperation(method);
+        const parts = text.trim().split(/\s+/).filter(Boolean);
+
+        if (parts.length < params.length) {
+            throw new Error(`Expected ${params.length} value(s): ${this.getUsage(method)}`);
+        }
+
+        return params.map((param, index) => {
+            const value = param.type === 'string' && index === params.length - 1 ?
+                parts.slice(index).join(' ') :
+                parts[index];
+            return this.parseValue(param, value);
+        });
+    }
+
+    parseValue(param, value) {
+        switch (param.type) {
+            case 'bool': {
+                const normalized = value.toLowerCase();
+                if (['on', 'true', 'yes', '1'].includes(normalized)) {
+                    return true;
+                }
+                if (['off', 'false', 'no', '0'].includes(normalized)) {
+                    return false;
+                }
+                throw new Error(`${param.name} must be on or off`);
+            }
+            case 'plan':
+            case 'uint':
+                if (!/^\d+$/.test(value) || (param.type === 'plan' && BigInt(value) === 0n)) {
+                    throw new Error(`${param.name} must be a positive whole number`);
+                }
+                return value;
+            case 'amount':
+                if (!/^\d+(\.\d{1,6})?$/.test(value) || this.blockchainService.parseTokenAmount(value) === 0n) {
+                    throw new Error(`${param.name} must be a USDT amount like 25 or 12.5`);
+                }
+                return this.blockchainService.parseTokenAmount(value).toString();
+            default:
+                if (!value) {
+                    throw new Error(`${param.name} is required`);
+                }
+                return value;
+        }
+    }
+
+    // [{ name, value }] for previews, amounts in USDT
+    describeParams(method, args) {
+        return this.getOperation(method).params.map((param, index) => ({
+            name: param.name,
+            value: param.type === 'amount' ?
+                `${this.blockchainService.formatTokenAmount(args[index])} USDT` :
+                param.type === 'bool' ? (args[index] ? 'on' : 'off') : String(args[index])
+        }));
+    }
+
+    // What the call would change, read from the contract; null when there is nothing to compare
+    async getCurrentState(method, args) {
+        const { nftContract } = this.blockchainService;
+
+        try {
+            await this.blockchainService.checkRateLimit();
+
+            if (method === 'setPaused' || method === 'restartAfterPause' || /emergency/i.test(method)) {
+                const status = await nftContract.getContractStatus();
+                return `Contract is ${status.isPaused ? 'paused' : 'running'}` +
+                    (status.hasEmergencyRequest ? `, emergency withdrawal open (${status.emergencyTimeRemaining}s left)` : '');
+            }
+
+            if (OPERATIONS[method].balance) {
+                const stats = await nftContract.getSystemStats();
+                return `Available: ${this.blockchainService.formatTokenAmount(stats[OPERATIONS[method].balance])} USDT`;
+            }
+
+            if (OPERATIONS[method].params[0] && OPERATIONS[method].params[0].type === 'plan') {
+                const plan = await nftContract.getPlanInfo(args[0]);
+                return `Plan ${args[0]} (${plan.name}): ${this.blockchainService.formatTokenAmount(plan.price)} USDT, ` +
+                    `${plan.membersPerCycle} per cycle, ${plan.isActive ? 'active' : 'inactive'}`;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not read current state for ${method}:`, error.shortMessage || error.message);
+        }
+
+        return null;
+    }
+
+    // The operator wallet signs owner calls, so it has to be the contract owner
+    async assertOwner() {
+        const { nftContract, wallet } = this.blockchainService;
+
+        if (!nftContract || !wallet) {
+            throw new Error('Blockchain service is not connected');
+        }
+
+        await this.blockchainService.checkRateLimit();
+        const owner = await nftContract.owner();
+        if (owner.toLowerCase() !== wallet.address.toLowerCase()) {
+            throw new Error(`Operator wallet ${wallet.address} is not the contract owner (${owner})`);
+        }
+    }
+
+    // staticCall from the owner; resolves to the gas estimate or throws the decoded revert
+    async simulate(method, args) {
+        const { nftContract, wallet } = this.blockchainService;
+        const contractFunction = nftContract.getFunction(method);
+
+        try {
+            await this.blockchainService.checkRateLimit();
+            await contractFunction.staticCall(...args, { from: wallet.address });
+
+            await this.blockchainService.checkRateLimit();
+            return await contractFunction.estimateGas(...args, { from: wallet.address });
+        } catch (error) {
+            const contractError = decodeContractError(error, nftContract.interface);
+            throw new Error(`Simulation reverted: ${contractError ? contractError.message : (error.shortMessage || error.message)}`);
+        }
+    }
+
+    async propose(method, args, adminId) {
+        this.getOperation(method);
+        await this.assertOwner();
+        const gasEstimate = await this.simulate(method, args);
+
+        const db = getDatabase();
+        const ttlSeconds = Math.round(blockchainConfig.contractAdminSettings.proposalTtl / 1000);
+        const { lastID } = await db.run(`
+            INSERT INTO admin_proposals (method, params, proposed_by, gas_estimate, expires_at)
+            VALUES (?, ?, ?, ?, datetime('now', ?))
+        `, [method, JSON.stringify(args), adminId, gasEstimate.toString(), `+${ttlSeconds} seconds`]);
+
+        await this.logAction(adminId, 'contract_propose', { proposalId: lastID, method, params: args });
+        console.log(`🏛️ Admin ${adminId} proposed ${method} (#${lastID})`);
+
+        return this.getProposal(lastID);
+    }
+
+    // Second admin's approval: simulate again against current state, then queue the call
+    async approve(proposalId, adminId) {
+        const proposal = await this.claimProposal(proposalId, adminId, 'approved');
+
+        let job;
+        try {
+            await this.assertOwner();
+            await this.simulate(proposal.method, proposal.params);
+
+            const { nftContract, wallet } = this.blockchainService;
+            const call = this.blockchainService.buildContractCall(nftContract, proposal.method, proposal.params, wallet.address);
+            job = await this.blockchainService.transactionQueue.enqueue(null, 'admin', call);
+        } catch (error) {
+            await this.finishProposal(proposal, 'failed', { errorMessage: error.message });
+            await this.logAction(adminId, 'contract_execute_failed', {
+                proposalId,
+                method: proposal.method,
+                params: proposal.params,
+                proposedBy: proposal.proposed_by,
+                error: error.message
+            });
+            throw error;
+        }
+
+        const db = getDatabase();
+        await db.run(
+            "UPDATE admin_proposals SET status = 'queued', queue_job_id = ? WHERE id = ?",
+            [job.id, proposalId]
+        );
+        await this.logAction(adminId, 'contract_execute', {
+            proposalId,
+            method: proposal.method,
+            params: proposal.params,
+            proposedBy: proposal.proposed_by,
+            queueJobId: job.id
+        });
+        console.log(`🏛️ Admin ${adminId} approved ${proposal.method} (#${proposalId}), queue job #${job.id}`);
+
+        return this.getProposal(proposalId);
+    }
+
+    async reject(proposalId, adminId) {
+        const proposal = await this.claimProposal(proposalId, adminId, 'rejected');
+
+        await this.logAction(adminId, 'contract_reject', {
+            proposalId,
+            method: proposal.method,
+            params: proposal.params,
+            proposedBy: proposal.proposed_by
+        });
+
+        return this.getProposal(proposalId);
+    }
+
+    // Move a pending proposal out of 'pending' exactly once, even with two admins tapping at once.
+    // The proposer may withdraw (reject) their own proposal but never approve it.
+    async claimProposal(proposalId, adminId, status) {
+        await this.expireProposals();
+
+        const proposal = await this.getProposal(proposalId);
+        if (!proposal) {
+            throw new Error(`Proposal #${proposalId} not found`);
+        }
+        if (proposal.status !== 'pending') {
+            throw new Error(`Proposal #${proposalId} is already ${proposal.status}`);
+        }
+        if (status === 'approved' && proposal.proposed_by === adminId) {
+            throw new Error('A second admin has to approve this proposal');
+        }
+
+        const db = getDatabase();
+        const { changes } = await db.run(`
+            UPDATE admin_proposals
+            SET status = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending'
+        `, [status, adminId, proposalId]);
+
+        if (changes === 0) {
+            throw new Error(`Proposal #${proposalId} was just decided by another admin`);
+        }
+
+        return { ...proposal, decided_by: adminId };
+    }
+
+    async finishProposal(proposal, status, { errorMessage = null, txHash = null } = {}) {
+        const db = getDatabase();
+        await db.run(
+            'UPDATE admin_proposals SET status = ?, error_message = ?, tx_hash = COALESCE(?, tx_hash) WHERE id = ?',
+            [status, errorMessage, txHash, proposal.id]
+        );
+    }
+
+    async expireProposals() {
+        const db = getDatabase();
+        await db.run(
+            "UPDATE admin_proposals SET status = 'expired' WHERE status = 'pending' AND expires_at <= CURRENT_TIMESTAMP"
+        );
+    }
+
+    // Record how queued proposals ended once their queue job is mined or failed
+    async syncQueuedProposals() {
+        const db = getDatabase();
+        const rows = await db.all(`
+            SELECT p.*, q.status AS job_status, q.tx_hash AS job_tx_hash, q.error_message AS job_error
+            FROM admin_proposals p
+            JOIN tx_queue q ON q.id = p.queue_job_id
+            WHERE p.status = 'queued' AND q.status IN ('mined', 'failed', 'cancelled')
+        `);
+
+        for (const row of rows) {
+            const proposal = this.fromRow(row);
+            const executed = row.job_status === 'mined';
+
+            await this.finishProposal(proposal, executed ? 'executed' : 'failed', {
+                errorMessage: executed ? null : row.job_error,
+                txHash: row.job_tx_hash
+            });
+            await this.logAction(proposal.decided_by, executed ? 'contract_executed' : 'contract_execute_failed', {
+                proposalId: proposal.id,
+                method: proposal.method,
+                params: proposal.params,
+                queueJobId: proposal.queue_job_id,
+                txHash: row.job_tx_hash,
+                error: executed ? undefined : row.job_error
+            });
+        }
+    }
+
+    async getProposal(proposalId) {
+        const db = getDatabase();
+        const row = await db.get('SELECT * FROM admin_proposals WHERE id = ?', [proposalId]);
+        return row ? this.fromRow(row) : null;
+    }
+
+    async getPendingProposals() {
+        await this.expireProposals();
+
+        const db = getDatabase();
+        const rows = await db.all("SELECT * FROM admin_proposals WHERE status = 'pending' ORDER BY id");
+        return rows.map(row => this.fromRow(row));
+    }
+
+    async getRecentProposals(limit = 5) {
+        await this.syncQueuedProposals();
+
+        const db = getDatabase();
+        const rows = await db.all(
+            "SELECT * FROM admin_proposals WHERE status != 'pending' ORDER BY id DESC LIMIT ?",
+            [limit]
+        );
+        return rows.map(row => this.fromRow(row));
+    }
+
+    fromRow(row) {
+        return { ...row, params: JSON.parse(row.params) };
+    }
+
+    async logAction(adminId, action, details) {
+        const db = getDatabase();
+        await db.run(
+            'INSERT INTO admin_actions (admin_telegram_id, action, details) VALUES (?, ?, ?)',
+            [adminId, action, JSON.stringify(details)]
+        );
+    }
+}
+
+module.exports = ContractAdminService;
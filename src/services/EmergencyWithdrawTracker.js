@@ -0,0 +1,297 @@
+// src/services/EmergencyWithdrawTracker.js
+const { getDatabase } = require('../config/database');
+const { formatDate } = require('../utils/formatting');
+
+// Follows the contract's emergency withdrawal from request, through TIMELOCK_DURATION, to
+// execution or cancellation, and tells every admin at each step. Requests, cancels and
+// executions that did not go through an approved admin proposal (ContractAdminService) also
+// raise a critical security alert. cancelEmergencyWithdraw emits no event, so sync() polls
+// getContractStatus() to notice cancels and requests the indexer never saw.
+class EmergencyWithdrawTracker {
+    constructor(blockchainService) {
+        this.blockchainService = blockchainService;
+        this.timelockDuration = null;
+    }
+
+    registerHandlers(eventService) {
+        eventService.registerHandler('EmergencyWithdrawRequested', (event, notifications) => this.onRequested(event, notifications));
+        eventService.registerHandler('EmergencyWithdrawInitiated', (event, notifications) => this.onExecuted(event, notifications));
+        eventService.registerHandler('EmergencyWithdraw', (event, notifications) => this.onExecuted(event, notifications));
+    }
+
+    // TIMELOCK_DURATION is a contract constant, read once
+    async getTimelockDuration() {
+        if (this.timelockDuration === null) {
+            await this.blockchainService.checkRateLimit();
+            this.timelockDuration = Number(await this.blockchainService.nftContract.TIMELOCK_DURATION());
+        }
+        return this.timelockDuration;
+    }
+
+    async onRequested(event, notifications) {
+        const db = getDatabase();
+
+        const known = await db.get(
+            'SELECT id FROM emergency_withdrawals WHERE request_tx_hash = ?',
+            [event.transactionHash]
+        );
+        if (known) {
+            return;
+        }
+
+        // A request found by polling before its event was final is the same request
+        const polled = await db.get(
+            "SELECT * FROM emergency_withdrawals WHERE status = 'open' AND request_tx_hash IS NULL ORDER BY id DESC LIMIT 1"
+        );
+
+        const requestedAt = Number(event.args.timestamp);
+        const unlocksAt = requestedAt + await this.getTimelockDuration();
+        const expected = await this.isExpected('requestEmergencyWithdraw', event.transactionHash);
+
+        if (polled) {
+            await db.run(`
+                UPDATE emergency_withdrawals
+                SET request_tx_hash = ?, requested_at = ?, unlocks_at = ?, expected = ?
+                WHERE id = ?
+            `, [event.transactionHash, requestedAt, unlocksAt, expected ? 1 : 0, polled.id]);
+
+            // Admins were told when it was polled; only a turn from expected to unexpected is news
+            if (expected || !polled.expected) {
+                return;
+            }
+        } else {
+            await db.run(`
+                INSERT INTO emergency_withdrawals (requested_at, unlocks_at, request_tx_hash, expected)
+                VALUES (?, ?, ?, ?)
+            `, [requestedAt, unlocksAt, event.transactionHash, expected ? 1 : 0]);
+        }
+
+        this.notifyRequested(notifications, { unlocksAt, expected, txHash: event.transactionHash });
+    }
+
+    // Both EmergencyWithdrawInitiated and EmergencyWithdraw end the request; admins hear it once per transaction
+    async onExecuted(event, notifications) {
+        const db = getDatabase();
+        const { amount, to } = event.args;
+
+        const closed = await db.get(
+            'SELECT * FROM emergency_withdrawals WHERE close_tx_hash = ?',
+            [event.transactionHash]
+        );
+        if (closed) {
+            await db.run(
+                'UPDATE emergency_withdrawals SET amount = COALESCE(?, amount), to_address = COALESCE(?, to_address) WHERE id = ?',
+                [amount || null, to || null, closed.id]
+            );
+            return;
+        }
+
+        const expected = await this.isExpected('emergencyWithdraw', event.transactionHash);
+        const open = await this.getOpenRequest();
+
+        if (open) {
+            await db.run(`
+                UPDATE emergency_withdrawals
+                SET status = 'executed', amount = ?, to_address = ?, close_tx_hash = ?, close_expected = ?, closed_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [amount || null, to || null, event.transactionHash, expected ? 1 : 0, open.id]);
+        } else {
+            // Executed without a request this bot tracked
+            await db.run(`
+                INSERT INTO emergency_withdrawals (status, amount, to_address, close_tx_hash, close_expected, closed_at)
+                VALUES ('executed', ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `, [amount || null, to || null, event.transactionHash, expected ? 1 : 0]);
+        }
+
+        const amountText = amount ? `${this.blockchainService.formatTokenAmount(amount)} USDT` : 'unknown amount';
+
+        notifications.push({
+            admins: true,
+            message: `☢️ **Emergency Withdrawal Executed**
+
+• Amount: ${amountText}${to ? `\n• To: \`${to}\`` : ''}
+• Origin: ${expected ? 'approved admin proposal' : '⚠️ **not sent by this bot**'}
+
+**Hash:** \`${event.transactionHash}\``
+        });
+
+        if (!expected) {
+            notifications.push({
+                emergencyAlert: {
+                    stage: 'executed',
+                    details: `${amountText} withdrawn${to ? ` to ${to}` : ''} in ${event.transactionHash}.`
+                }
+            });
+        }
+    }
+
+    // Compare the open request with getContractStatus() and notify admins of any change.
+    // Runs under the indexer lock since event handlers write the same rows.
+    async sync() {
+        if (!this.blockchainService.nftContract) {
+            return;
+        }
+
+        const notifications = await this.blockchainService.withIndexerLock(() => this.compareWithContract());
+        await this.blockchainService.eventService.dispatchNotifications(notifications);
+    }
+
+    async compareWithContract() {
+        await this.blockchainService.checkRateLimit();
+        const status = await this.blockchainService.nftContract.getContractStatus();
+        const open = await this.getOpenRequest();
+        const notifications = [];
+        const db = getDatabase();
+
+        if (status.hasEmergencyRequest && !open) {
+            // Opened before the indexer's start block, or its event is not final yet
+            const duration = await this.getTimelockDuration();
+            const unlocksAt = Math.floor(Date.now() / 1000) + Number(status.emergencyTimeRemaining);
+            const expected = await this.hasRecentJob('requestEmergencyWithdraw');
+
+            await db.run(
+                'INSERT INTO emergency_withdrawals (requested_at, unlocks_at, expected) VALUES (?, ?, ?)',
+                [unlocksAt - duration, unlocksAt, expected ? 1 : 0]
+            );
+            this.notifyRequested(notifications, { unlocksAt, expected, txHash: null });
+
+        } else if (status.hasEmergencyRequest && open && open.cleared_at_block !== null) {
+            // Cleared and opened again before the cancel was confirmed
+            await db.run('UPDATE emergency_withdrawals SET cleared_at_block = NULL WHERE id = ?', [open.id]);
+
+        } else if (!status.hasEmergencyRequest && open) {
+            await this.checkCleared(open, notifications);
+        }
+
+        return notifications;
+    }
+
+    // The request is gone: cancelled, unless an emergency withdraw event is still on its way.
+    // Wait until the indexer has finalized past the block where it disappeared to be sure.
+    async checkCleared(open, notifications) {
+        const db = getDatabase();
+        const { lastBlockNumber, lastFinalizedBlock } = this.blockchainService;
+
+        if (open.cleared_at_block === null) {
+            await db.run('UPDATE emergency_withdrawals SET cleared_at_block = ? WHERE id = ?', [lastBlockNumber, open.id]);
+            return;
+        }
+
+        if (lastFinalizedBlock < open.cleared_at_block) {
+            return;
+        }
+
+        const expected = await this.hasRecentJob('cancelEmergencyWithdraw', open.created_at);
+        await db.run(`
+            UPDATE emergency_withdrawals
+            SET status = 'cancelled', close_expected = ?, closed_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [expected ? 1 : 0, open.id]);
+
+        notifications.push({
+            admins: true,
+            message: `🛑 **Emergency Withdrawal Cancelled**
+
+The request opened ${open.requested_at ? formatDate(new Date(open.requested_at * 1000)) : 'earlier'} is no longer pending on the contract.
+• Origin: ${expected ? 'approved admin proposal' : '⚠️ **not sent by this bot**'}`
+        });
+
+        if (!expected) {
+            notifications.push({
+                emergencyAlert: {
+                    stage: 'cancelled',
+                    details: `Request #${open.id} disappeared from the contract around block ${open.cleared_at_block}.`
+                }
+            });
+        }
+    }
+
+    notifyRequested(notifications, { unlocksAt, expected, txHash }) {
+        const remaining = unlocksAt - Math.floor(Date.now() / 1000);
+
+        notifications.push({
+            admins: true,
+            message: `🚨 **Emergency Withdrawal Requested**
+
+• Timelock ends: ${formatDate(new Date(unlocksAt * 1000))} (${this.formatCountdown(remaining)})
+• Origin: ${expected ? 'approved admin proposal' : '⚠️ **not sent by this bot**'}
+${txHash ? `\n**Hash:** \`${txHash}\`` : '\nFound by polling the contract.'}
+
+Use 🛑 Cancel Emergency under 🏛️ Contract Settings to stop it.`
+        });
+
+        if (!expected) {
+            notifications.push({
+                emergencyAlert: {
+                    stage: 'requested',
+                    details: `The timelock ends ${new Date(unlocksAt * 1000).toISOString()}${txHash ? ` (tx ${txHash})` : ''}. Cancel it if this was not planned.`
+                }
+            });
+        }
+    }
+
+    // Sent by the operator wallet queue for an admin proposal, in this exact transaction
+    // (or a same-nonce replacement of it)
+    async isExpected(method, txHash) {
+        const db = getDatabase();
+        const job = await db.get(`
+            SELECT id FROM tx_queue
+            WHERE type = 'admin' AND method = ?
+            AND (tx_hash = ? OR id IN (SELECT job_id FROM tx_replacements WHERE tx_hash = ?))
+        `, [method, txHash, txHash]);
+        return Boolean(job);
+    }
+
+    // Without a transaction hash (polling), a recent admin job for the function that no tracked
+    // request already accounts for will do
+    async hasRecentJob(method, since = null) {
+        const db = getDatabase();
+        const job = await db.get(`
+            SELECT id FROM tx_queue
+            WHERE type = 'admin' AND method = ? AND status IN ('signed', 'sent', 'unknown', 'mined')
+            AND created_at >= COALESCE(?, datetime('now', '-1 day'))
+            AND tx_hash NOT IN (
+                SELECT request_tx_hash FROM emergency_withdrawals WHERE request_tx_hash IS NOT NULL
+            )
+        `, [method, since]);
+        return Boolean(job);
+    }
+
+    async getOpenRequest() {
+        const db = getDatabase();
+        return db.get("SELECT * FROM emergency_withdrawals WHERE status = 'open' ORDER BY id DESC LIMIT 1");
+    }
+
+    // Open request with seconds left on the timelock, for the admin panel; null when none
+    async getStatus() {
+        const open = await this.getOpenRequest();
+        if (!open) {
+            return null;
+        }
+
+        return {
+            ...open,
+            secondsRemaining: Math.max(0, open.unlocks_at - Math.floor(Date.now() / 1000))
+        };
+    }
+
+    // "1d 4h 12m" for timelock countdowns
+    formatCountdown(seconds) {
+        if (seconds <= 0) {
+            return 'timelock expired';
+        }
+
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+
+        const parts = [];
+        if (days > 0) parts.push(`${days}d`);
+        if (hours > 0 || days > 0) parts.push(`${hours}h`);
+        parts.push(`${minutes}m`);
+
+        return `${parts.join(' ')} left`;
+    }
+}
+
+module.exports = EmergencyWithdrawTracker;
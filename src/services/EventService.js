@@ -0,0 +1,441 @@
+// src/services/EventService.js
+const { ethers } = require('ethers');
+const CacheService = require('./CacheService');
+const UserService = require('./UserService');
+const NotificationService = require('./NotificationService');
+const AlertSystem = require('../utils/alerts');
+const { getDatabase } = require('../config/database');
+const { t, resolveLocale } = require('../utils/i18n');
+
+// Decodes contract logs from the ABI and applies each event type's side effects.
+// Handlers run inside the indexer transaction; notifications they queue are only
+// sent by dispatchNotifications() once that transaction has committed.
+class EventService {
+    constructor(contractInterface) {
+        this.interface = contractInterface;
+        this.cache = CacheService;
+        this.userService = new UserService();
+        this.notificationService = new NotificationService();
+
+        // Event type -> handler(event, notifications)
+        this.handlers = new Map();
+        this.registerDefaultHandlers();
+    }
+
+    // Telegram bot used to deliver event notifications
+    setBot(bot) {
+        this.notificationService.initialize(bot);
+    }
+
+    registerHandler(eventType, handler) {
+        this.handlers.set(eventType, handler);
+    }
+
+    registerDefaultHandlers() {
+        this.registerHandler('MemberRegistered', (event, notifications) => this.onMemberRegistered(event, notifications));
+        this.registerHandler('PlanUpgraded', (event, notifications) => this.onPlanUpgraded(event, notifications));
+        this.registerHandler('MemberExited', (event, notifications) => this.onMemberExited(event, notifications));
+        this.registerHandler('ReferralPaid', (event, notifications) => this.onReferralPaid(event, notifications));
+        this.registerHandler('MembershipMinted', (event) => this.onMembershipMinted(event));
+        this.registerHandler('NewCycleStarted', (event) => this.onNewCycleStarted(event));
+        this.registerHandler('PlanCreated', (event) => this.onPlanCreated(event));
+        this.registerHandler('PlanPriceUpdated', (event) => this.onPlanPriceUpdated(event));
+        this.registerHandler('PlanDefaultImageSet', (event) => this.onPlanDefaultImageSet(event));
+        this.registerHandler('MetadataUpdated', (event) => this.onMetadataUpdated(event));
+        this.registerHandler('TransferAttemptBlocked', (event, notifications) => this.onTransferAttemptBlocked(event, notifications));
+        this.registerHandler('ContractPaused', (event, notifications) => this.notifyAdmin(event, notifications));
+        // Emergency withdrawal events are registered by EmergencyWithdrawTracker,
+        // ContractBalanceAlert and fund events by SolvencyMonitor
+        this.registerHandler('BatchWithdrawalProcessed', (event, notifications) => this.notifyAdmin(event, notifications));
+    }
+
+    // Turn a raw log into { type, args, userAddress, ... }; null for logs outside the ABI
+    decodeLog(log) {
+        let parsed;
+        try {
+            parsed = this.interface.parseLog({ topics: log.topics, data: log.data });
+        } catch (error) {
+            return null;
+        }
+
+        if (!parsed) {
+            return null;
+        }
+
+        const args = {};
+        parsed.fragment.inputs.forEach((input, i) => {
+            args[input.name] = this.toPlainValue(input, parsed.args[i]);
+        });
+
+        // The first address argument is the account the event is about
+        const addressInput = parsed.fragment.inputs.find(input => input.type === 'address');
+
+        return {
+            type: parsed.name,
+            args,
+            userAddress: addressInput ? args[addressInput.name] : null,
+            address: log.address,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash
+        };
+    }
+
+    // JSON-safe value for an ABI parameter: integers as decimal strings, addresses lowercased
+    toPlainValue(param, value) {
+        if (param.baseType === 'array') {
+            return Array.from(value, item => this.toPlainValue(param.arrayChildren, item));
+        }
+
+        if (param.baseType === 'tuple') {
+            const tuple = {};
+            param.components.forEach((component, i) => {
+                tuple[component.name || i] = this.toPlainValue(component, value[i]);
+            });
+            return tuple;
+        }
+
+        if (typeof value === 'bigint') {
+            return value.toString();
+        }
+
+        if (param.type === 'address') {
+            return value.toLowerCase();
+        }
+
+        if (value instanceof Uint8Array) {
+            return ethers.hexlify(value);
+        }
+
+        return value;
+    }
+
+    // Run the registered handler for a stored event
+    async handleEvent(event, notifications) {
+        const handler = this.handlers.get(event.type);
+        if (handler) {
+            await handler(event, notifications);
+        }
+    }
+
+    // Send the notifications collected while processing committed events
+    async dispatchNotifications(notifications) {
+        for (const notification of notifications) {
+            try {
+                if (notification.admins) {
+                    await this.notificationService.sendToAdmins(notification.message);
+                } else if (notification.admin) {
+                    await this.notificationService.sendToAdmin(notification.message);
+                } else if (notification.emergencyAlert) {
+                    const { stage, details } = notification.emergencyAlert;
+                    await AlertSystem.getInstance().alertEmergencyWithdrawal(stage, details);
+                } else if (notification.solvencyAlert) {
+                    const { severity, details } = notification.solvencyAlert;
+                    await AlertSystem.getInstance().alertContractSolvency(severity, details);
+                } else if (notification.earning) {
+                    await this.notificationService.notifyReferralEarning(notification.telegramId, notification.earning);
+                } else {
+                    await this.notificationService.sendToUser(notification.telegramId, notification.message);
+                }
+            } catch (error) {
+                console.error('❌ Failed to send event notification:', error);
+            }
+        }
+    }
+
+    async findUser(walletAddress) {
+        const db = getDatabase();
+        return db.get('SELECT * FROM users WHERE wallet_address = ?', [walletAddress]);
+    }
+
+    clearUserCache(user) {
+        this.cache.delete(`user_telegram_${user.telegram_id}`);
+        this.cache.delete(`user_id_${user.id}`);
+        this.cache.delete(`user_wallet_${user.wallet_address}`);
+        this.cache.delete(`member_${user.wallet_address}`);
+    }
+
+    clearPlanCache(planId) {
+        this.cache.delete(`plan_${planId}`);
+    }
+
+    // Membership events
+
+    async onMemberRegistered(event, notifications) {
+        const { member, planId, cycleNumber } = event.args;
+        const db = getDatabase();
+
+        await db.run(
+            'UPDATE plans_cache SET members_in_current_cycle = members_in_current_cycle + 1, last_updated = CURRENT_TIMESTAMP WHERE plan_id = ?',
+            [planId]
+        );
+        this.clearPlanCache(planId);
+
+        const user = await this.findUser(member);
+        if (!user) {
+            return;
+        }
+
+        // A member who exited earlier starts a fresh membership
+        await db.run(`
+            UPDATE users SET
+                is_registered = 1,
+                plan_id = ?,
+                cycle_number = ?,
+                registered_at = CASE WHEN status = 'exited' OR registered_at IS NULL
+                    THEN CURRENT_TIMESTAMP ELSE registered_at END,
+                status = CASE WHEN status = 'exited' THEN 'active' ELSE status END
+            WHERE id = ?
+        `, [planId, cycleNumber, user.id]);
+        this.clearUserCache(user);
+
+        notifications.push({
+            telegramId: user.telegram_id,
+            message: t(resolveLocale(user.language_code), 'notifications.registrationConfirmed', {
+                plan: planId,
+                cycle: cycleNumber,
+                hash: event.transactionHash
+            })
+        });
+    }
+
+    async onPlanUpgraded(event, notifications) {
+        const { member, oldPlanId, newPlanId, cycleNumber } = event.args;
+        const db = getDatabase();
+
+        await db.run(
+            'UPDATE plans_cache SET members_in_current_cycle = members_in_current_cycle + 1, last_updated = CURRENT_TIMESTAMP WHERE plan_id = ?',
+            [newPlanId]
+        );
+        this.clearPlanCache(newPlanId);
+
+        const user = await this.findUser(member);
+        if (!user) {
+            return;
+        }
+
+        await db.run(
+            'UPDATE users SET plan_id = ?, cycle_number = ? WHERE id = ?',
+            [newPlanId, cycleNumber, user.id]
+        );
+        this.clearUserCache(user);
+        await db.run('DELETE FROM nft_metadata_cache WHERE owner_address = ?', [user.wallet_address.toLowerCase()]);
+
+        notifications.push({
+            telegramId: user.telegram_id,
+            message: t(resolveLocale(user.language_code), 'notifications.upgradeConfirmed', {
+                from: oldPlanId,
+                to: newPlanId,
+                hash: event.transactionHash
+            })
+        });
+    }
+
+    async onMemberExited(event, notifications) {
+        const { member, refundAmount } = event.args;
+        const user = await this.findUser(member);
+        if (!user) {
+            return;
+        }
+
+        const db = getDatabase();
+        // Banned accounts keep their status
+        await db.run(`
+            UPDATE users SET
+                is_registered = 0,
+                plan_id = 0,
+                cycle_number = 0,
+                status = CASE WHEN status = 'banned' THEN status ELSE 'exited' END
+            WHERE id = ?
+        `, [user.id]);
+        this.clearUserCache(user);
+
+        notifications.push({
+            telegramId: user.telegram_id,
+            message: t(resolveLocale(user.language_code), 'notifications.membershipEnded', {
+                refund: ethers.formatUnits(refundAmount, 6),
+                hash: event.transactionHash
+            })
+        });
+    }
+
+    // Commission paid by `from` (the joining/upgrading member) to their upline `to`
+    async onReferralPaid(event, notifications) {
+        const { from, to, amount } = event.args;
+        const referrer = await this.findUser(to);
+        if (!referrer) {
+            return;
+        }
+
+        const db = getDatabase();
+        const referee = await this.findUser(from);
+        const commission = ethers.formatUnits(amount, 6);
+        const planId = await this.getTransactionPlanId(event.transactionHash, referee);
+
+        if (referee) {
+            const existing = await db.get(
+                'SELECT id, commission FROM referrals WHERE referrer_id = ? AND referee_id = ? AND plan_level = ?',
+                [referrer.id, referee.id, planId]
+            );
+
+            if (existing) {
+                // Same plan paid again (e.g. after a new cycle): keep the running total
+                const total = ethers.parseUnits(existing.commission || '0', 6) + BigInt(amount);
+                await db.run(`
+                    UPDATE referrals
+                    SET commission = ?, tx_hash = ?, status = 'paid', paid_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [ethers.formatUnits(total, 6), event.transactionHash, existing.id]);
+            } else {
+                await db.run(`
+                    INSERT INTO referrals (referrer_id, referee_id, commission, plan_level, tx_hash, status, paid_at)
+                    VALUES (?, ?, ?, ?, ?, 'paid', CURRENT_TIMESTAMP)
+                `, [referrer.id, referee.id, commission, planId, event.transactionHash]);
+            }
+        }
+
+        const totalEarnings = await this.userService.updateEarnings(referrer.telegram_id, commission);
+        this.clearUserCache(referrer);
+
+        const plan = await db.get('SELECT name FROM plans_cache WHERE plan_id = ?', [planId]);
+
+        notifications.push({
+            telegramId: referrer.telegram_id,
+            earning: {
+                amount: commission,
+                refereeUsername: referee ? referee.username : null,
+                planName: plan ? plan.name : t(resolveLocale(referrer.language_code), 'plans.planNumber', { plan: planId }),
+                txHash: event.transactionHash,
+                totalReferrals: referrer.total_referrals,
+                totalEarnings
+            }
+        });
+    }
+
+    // Plan bought in the transaction that paid a commission (finalizeBlockRange stages the whole
+    // range before any handler runs, so its sibling events are in blockchain_events)
+    async getTransactionPlanId(txHash, referee) {
+        const db = getDatabase();
+        const membershipEvent = await db.get(`
+            SELECT event_type, event_data FROM blockchain_events
+            WHERE tx_hash = ? AND event_type IN ('MemberRegistered', 'PlanUpgraded')
+            LIMIT 1
+        `, [txHash]);
+
+        if (membershipEvent) {
+            const data = JSON.parse(membershipEvent.event_data);
+            return Number(membershipEvent.event_type === 'PlanUpgraded' ? data.newPlanId : data.planId);
+        }
+
+        return referee ? referee.plan_id : 0;
+    }
+
+    async onMembershipMinted(event) {
+        const { to, tokenId } = event.args;
+        const user = await this.findUser(to);
+        if (!user) {
+            return;
+        }
+
+        const db = getDatabase();
+        await db.run(
+            'UPDATE users SET token_id = ?, nft_token_id = ? WHERE id = ?',
+            [tokenId, Number(tokenId), user.id]
+        );
+        this.clearUserCache(user);
+    }
+
+    async onTransferAttemptBlocked(event, notifications) {
+        const user = await this.findUser(event.args.from);
+        if (!user) {
+            return;
+        }
+
+        notifications.push({
+            telegramId: user.telegram_id,
+            message: t(resolveLocale(user.language_code), 'notifications.transferBlocked', {
+                tokenId: event.args.tokenId
+            })
+        });
+    }
+
+    // Plan events
+
+    async onNewCycleStarted(event) {
+        const { planId, cycleNumber } = event.args;
+        const db = getDatabase();
+
+        await db.run(
+            'UPDATE plans_cache SET current_cycle = ?, members_in_current_cycle = 0, last_updated = CURRENT_TIMESTAMP WHERE plan_id = ?',
+            [cycleNumber, planId]
+        );
+        this.clearPlanCache(planId);
+    }
+
+    async onPlanCreated(event) {
+        const { planId, name, price, membersPerCycle } = event.args;
+        const db = getDatabase();
+
+        await db.run(`
+            INSERT INTO plans_cache (plan_id, name, price, members_per_cycle, last_updated)
+            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(plan_id) DO UPDATE SET
+                name = excluded.name,
+                price = excluded.price,
+                members_per_cycle = excluded.members_per_cycle,
+                last_updated = CURRENT_TIMESTAMP
+        `, [planId, name, price, Number(membersPerCycle)]);
+        this.clearPlanCache(planId);
+    }
+
+    async onPlanPriceUpdated(event) {
+        const { planId, newPrice } = event.args;
+        const db = getDatabase();
+
+        await db.run(
+            'UPDATE plans_cache SET price = ?, last_updated = CURRENT_TIMESTAMP WHERE plan_id = ?',
+            [newPrice, planId]
+        );
+        this.clearPlanCache(planId);
+    }
+
+    async onPlanDefaultImageSet(event) {
+        const { planId, imageURI } = event.args;
+        const db = getDatabase();
+
+        await db.run(
+            'UPDATE plans_cache SET image_uri = ?, last_updated = CURRENT_TIMESTAMP WHERE plan_id = ?',
+            [imageURI, planId]
+        );
+        this.clearPlanCache(planId);
+
+        // NFT cards of this plan may have been showing the old default image
+        await db.run('DELETE FROM nft_metadata_cache WHERE plan_id = ?', [planId]);
+    }
+
+    // The next /profile NFT card refetches tokenURI and the image
+    async onMetadataUpdated(event) {
+        const db = getDatabase();
+        await db.run('DELETE FROM nft_metadata_cache WHERE token_id = ?', [Number(event.args.tokenId)]);
+    }
+
+    // Contract-level events worth an admin's attention
+    notifyAdmin(event, notifications) {
+        const details = Object.entries(event.args)
+            .map(([key, value]) => `• ${key}: \`${value}\``)
+            .join('\n');
+
+        notifications.push({
+            admin: true,
+            message: `⚠️ **Contract Event: ${event.type}**
+
+${details}
+
+**Block:** ${event.blockNumber}
+**Hash:** \`${event.transactionHash}\``
+        });
+    }
+}
+
+module.exports = EventService;
@@ -0,0 +1,211 @@
+// src/services/FaucetService.js
+const { ethers } = require('ethers');
+const BlockchainService = require('./BlockchainService');
+const { getDatabase } = require('../config/database');
+const { blockchainConfig } = require('../config/blockchain');
+
+// Testnet onboarding: mints test USDT to a member's linked wallet through the token's faucet()
+// and tops up tBNB for gas from the operator wallet, both sent through the operator queue.
+// Claims are limited per user (cooldown and lifetime cap) and per UTC day in faucet_claims.
+class FaucetService {
+    constructor() {
+        this.blockchainService = BlockchainService.getInstance();
+        this.settings = blockchainConfig.faucetSettings;
+        this.claiming = new Set(); // User ids with a claim being queued, against double taps
+    }
+
+    // A claim refusal for the member; the bot translates it from faucet.errors.<code>
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // Hard off on mainnet; on testnets it also needs the contracts and operator wallet
+    isEnabled() {
+        if (blockchainConfig.isMainnet()) {
+            return false;
+        }
+        const { usdtContract, wallet } = this.blockchainService;
+        return Boolean(usdtContract && wallet);
+    }
+
+    // { allowed, reason, code, nextClaimAt } for the user's next claim; code names the reason for translation
+    async checkLimits(user) {
+        const db = getDatabase();
+
+        const { claims, last } = await db.get(`
+            SELECT COUNT(*) as claims, MAX(created_at) as last
+            FROM faucet_claims
+            WHERE user_id = ? AND network = ? AND status != 'failed'
+        `, [user.id, blockchainConfig.network]);
+
+        if (claims >= this.settings.maxClaimsPerUser) {
+            return { allowed: false, reason: `You have used all ${this.settings.maxClaimsPerUser} faucet claims.`, code: 'claimsUsed' };
+        }
+
+        if (last) {
+            const nextClaimAt = new Date(new Date(last.replace(' ', 'T') + 'Z').getTime() + this.settings.claimCooldown);
+            if (nextClaimAt > new Date()) {
+                return { allowed: false, reason: 'You already claimed recently.', code: 'cooldown', nextClaimAt };
+            }
+        }
+
+        const { today } = await db.get(`
+            SELECT COUNT(*) as today FROM faucet_claims
+            WHERE network = ? AND status != 'failed' AND created_at >= date('now')
+        `, [blockchainConfig.network]);
+
+        if (today >= this.settings.dailyLimit) {
+            const tomorrow = new Date();
+            tomorrow.setUTCHours(24, 0, 0, 0);
+            return { allowed: false, reason: 'The faucet has reached its limit for today.', code: 'dailyLimit', nextClaimAt: tomorrow };
+        }
+
+        return { allowed: true, reason: null, nextClaimAt: null, claimsLeft: this.settings.maxClaimsPerUser - claims };
+    }
+
+    // Queue the USDT faucet() call and, when the wallet is short of gas, the tBNB top-up
+    async claim(user) {
+        if (blockchainConfig.isMainnet()) {
+            throw this.createError('mainnet', 'The faucet is disabled on mainnet');
+        }
+        if (!this.isEnabled()) {
+            throw this.createError('disabled', 'The faucet is not available right now');
+        }
+        if (!user.wallet_address) {
+            throw this.createError('noWallet', 'Link a wallet with /wallet first');
+        }
+        if (this.claiming.has(user.id)) {
+            throw this.createError('inProgress', 'Your claim is already being processed');
+        }
+
+        this.claiming.add(user.id);
+
+        try {
+            const limits = await this.checkLimits(user);
+            if (!limits.allowed) {
+                throw this.createError(limits.code, limits.reason);
+            }
+
+            const { usdtContract, wallet, transactionQueue } = this.blockchainService;
+            const walletAddress = ethers.getAddress(user.wallet_address);
+            const usdtAmount = this.blockchainService.parseTokenAmount(this.settings.usdtAmount);
+            const bnbAmount = await this.getTopUpAmount(walletAddress);
+
+            const db = getDatabase();
+            const { lastID: claimId } = await db.run(`
+                INSERT INTO faucet_claims (user_id, wallet_address, network, usdt_amount, bnb_amount)
+                VALUES (?, ?, ?, ?, ?)
+            `, [user.id, walletAddress, blockchainConfig.network, usdtAmount.toString(), bnbAmount.toString()]);
+
+            try {
+                const usdtCall = this.blockchainService.buildContractCall(usdtContract, 'faucet', [walletAddress, usdtAmount], wallet.address);
+                const usdtJob = await transactionQueue.enqueue(null, 'faucet', usdtCall);
+                await db.run('UPDATE faucet_claims SET usdt_job_id = ? WHERE id = ?', [usdtJob.id, claimId]);
+
+                if (bnbAmount > 0n) {
+                    const bnbJob = await transactionQueue.enqueue(null, 'faucet', {
+                        method: 'faucetTopUp',
+                        to: walletAddress,
+                        data: '0x',
+                        value: bnbAmount.toString()
+                    });
+                    await db.run('UPDATE faucet_claims SET bnb_job_id = ? WHERE id = ?', [bnbJob.id, claimId]);
+                }
+
+            } catch (error) {
+                await db.run(
+                    "UPDATE faucet_claims SET status = 'failed', error_message = ? WHERE id = ?",
+                    [error.message, claimId]
+                );
+                throw error;
+            }
+
+            console.log(`🚰 Faucet claim #${claimId} queued for ${walletAddress}`);
+            return this.getClaim(claimId);
+
+        } finally {
+            this.claiming.delete(user.id);
+        }
+    }
+
+    // The configured tBNB amount, or 0 when the wallet already has that much or the
+    // operator wallet would dip below its reserve
+    async getTopUpAmount(walletAddress) {
+        const { provider, wallet } = this.blockchainService;
+        const amount = ethers.parseEther(this.settings.bnbAmount);
+        if (amount === 0n) {
+            return 0n;
+        }
+
+        await this.blockchainService.checkRateLimit();
+        const balance = await provider.getBalance(walletAddress);
+        if (balance >= amount) {
+            return 0n;
+        }
+
+        await this.blockchainService.checkRateLimit();
+        const operatorBalance = await provider.getBalance(wallet.address);
+        if (operatorBalance < amount + ethers.parseEther(this.settings.operatorBnbReserve)) {
+            console.warn(`⚠️ Operator wallet too low for faucet top-ups (${ethers.formatEther(operatorBalance)})`);
+            return 0n;
+        }
+
+        return amount;
+    }
+
+    // Settle queued claims whose jobs are done: completed once every job is mined,
+    // failed as soon as one of them failed or was cancelled
+    async syncClaims(userId = null) {
+        const db = getDatabase();
+        const rows = await db.all(`
+            SELECT c.id, u.status AS usdt_status, u.error_message AS usdt_error,
+                   b.status AS bnb_status, b.error_message AS bnb_error
+            FROM faucet_claims c
+            LEFT JOIN tx_queue u ON u.id = c.usdt_job_id
+            LEFT JOIN tx_queue b ON b.id = c.bnb_job_id
+            WHERE c.status = 'queued' AND (? IS NULL OR c.user_id = ?)
+        `, [userId, userId]);
+
+        for (const row of rows) {
+            const statuses = [row.usdt_status, row.bnb_status].filter(Boolean);
+
+            if (statuses.some(status => ['failed', 'cancelled'].includes(status))) {
+                await db.run(
+                    "UPDATE faucet_claims SET status = 'failed', error_message = ? WHERE id = ?",
+                    [row.usdt_error || row.bnb_error || 'Transaction cancelled', row.id]
+                );
+            } else if (statuses.length > 0 && statuses.every(status => status === 'mined')) {
+                await db.run(
+                    "UPDATE faucet_claims SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = ?",
+                    [row.id]
+                );
+            }
+        }
+    }
+
+    async getClaim(claimId) {
+        const db = getDatabase();
+        return db.get(`
+            SELECT c.*, u.tx_hash AS usdt_tx_hash, b.tx_hash AS bnb_tx_hash
+            FROM faucet_claims c
+            LEFT JOIN tx_queue u ON u.id = c.usdt_job_id
+            LEFT JOIN tx_queue b ON b.id = c.bnb_job_id
+            WHERE c.id = ?
+        `, [claimId]);
+    }
+
+    async getLastClaim(user) {
+        await this.syncClaims(user.id);
+
+        const db = getDatabase();
+        const row = await db.get(
+            'SELECT id FROM faucet_claims WHERE user_id = ? AND network = ? ORDER BY id DESC LIMIT 1',
+            [user.id, blockchainConfig.network]
+        );
+        return row ? this.getClaim(row.id) : null;
+    }
+}
+
+module.exports = FaucetService;
@@ -0,0 +1,238 @@
+// src/services/GasStrategy.js
+const { ethers } = require('ethers');
+
+// The network wants more per gas than the configured maximum; callers wait instead of sending
+class GasPriceTooHighError extends Error {
+    constructor(required, maximum) {
+        super(`Gas price ${formatGwei(required)} gwei is above the configured maximum of ${formatGwei(maximum)} gwei`);
+        this.name = 'GasPriceTooHighError';
+        this.required = required;
+        this.maximum = maximum;
+    }
+}
+
+function formatGwei(value) {
+    return ethers.formatUnits(value, 'gwei');
+}
+
+// value * factor for bigint wei amounts and config multipliers like 1.1
+function scale(value, factor) {
+    return value * BigInt(Math.round(factor * 100)) / 100n;
+}
+
+function max(a, b) {
+    return a > b ? a : b;
+}
+
+// Fee and gas limit decisions for transactions the operator wallet signs. Fees are plain
+// objects: { type: 0, gasPrice } or { type: 2, maxFeePerGas, maxPriorityFeePerGas, baseFee }.
+class GasStrategy {
+    constructor(config) {
+        this.config = config;
+    }
+
+    // Highest price per gas the transaction may pay
+    getMaxPrice() {
+        return this.config.gasSettings.maxGasPrice;
+    }
+
+    // Buffered estimate, never above the transaction type's gasSettings.gasLimit
+    getGasLimit(estimate, transactionType) {
+        const buffered = scale(estimate, this.config.gasSettings.gasLimitMultiplier);
+        const limit = this.config.gasSettings.gasLimit[transactionType];
+
+        if (!limit) {
+            return buffered;
+        }
+
+        const cap = BigInt(limit);
+        if (estimate > cap) {
+            throw new Error(`Estimated gas ${estimate} for ${transactionType} exceeds the configured limit of ${cap}`);
+        }
+
+        return buffered > cap ? cap : buffered;
+    }
+
+    // Price per gas the fees pay at most, for comparisons and display
+    getPrice(fees) {
+        return fees.type === 2 ? fees.maxFeePerGas : fees.gasPrice;
+    }
+
+    assertWithinMax(price) {
+        if (price > this.getMaxPrice()) {
+            throw new GasPriceTooHighError(price, this.getMaxPrice());
+        }
+    }
+
+    // Fields to spread into a transaction request
+    toTransactionFields(fees) {
+        if (fees.type === 2) {
+            return {
+                type: 2,
+                maxFeePerGas: fees.maxFeePerGas,
+                maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+            };
+        }
+        return { type: 0, gasPrice: fees.gasPrice };
+    }
+
+    serialize(fees) {
+        const fields = this.toTransactionFields(fees);
+        return JSON.stringify(fields, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+    }
+
+    parse(json) {
+        const fields = JSON.parse(json);
+        if (fields.type === 2) {
+            return {
+                type: 2,
+                maxFeePerGas: BigInt(fields.maxFeePerGas),
+                maxPriorityFeePerGas: BigInt(fields.maxPriorityFeePerGas)
+            };
+        }
+        return { type: 0, gasPrice: BigInt(fields.gasPrice) };
+    }
+}
+
+// Single gasPrice with gasPriceMultiplier on top of the node's suggestion (BSC)
+class LegacyGasStrategy extends GasStrategy {
+    get name() {
+        return 'legacy';
+    }
+
+    async getFees(provider) {
+        const feeData = await provider.getFeeData();
+        const gasPrice = scale(feeData.gasPrice, this.config.gasSettings.gasPriceMultiplier);
+
+        this.assertWithinMax(gasPrice);
+        return { type: 0, gasPrice };
+    }
+
+    // Replacement fees: at least bumpPercent over the previous price and no lower than the market
+    bump(fees, market, bumpPercent) {
+        const gasPrice = max(scale(this.getPrice(fees), 1 + bumpPercent / 100), market.gasPrice);
+
+        this.assertWithinMax(gasPrice);
+        return { type: 0, gasPrice };
+    }
+
+    isUnderpriced(fees, market) {
+        return this.getPrice(fees) < market.gasPrice;
+    }
+}
+
+// maxFeePerGas = 2 * baseFee + tip (calculateGasPrice), tip capped at maxPriorityFeePerGas
+class Eip1559GasStrategy extends GasStrategy {
+    get name() {
+        return 'eip1559';
+    }
+
+    getMaxPrice() {
+        const { maxFeePerGas } = this.config.transactionSettings;
+        const { maxGasPrice } = this.config.gasSettings;
+        return maxFeePerGas < maxGasPrice ? maxFeePerGas : maxGasPrice;
+    }
+
+    getMaxPriorityFee() {
+        return this.config.transactionSettings.maxPriorityFeePerGas;
+    }
+
+    async getFees(provider) {
+        const [block, feeData] = await Promise.all([provider.getBlock('latest'), provider.getFeeData()]);
+        const baseFee = block.baseFeePerGas;
+
+        if (baseFee === null || baseFee === undefined) {
+            throw new Error('Network has no base fee, use the legacy gas strategy');
+        }
+
+        let tip = feeData.maxPriorityFeePerGas ?? this.getMaxPriorityFee();
+        if (tip > this.getMaxPriorityFee()) {
+            tip = this.getMaxPriorityFee();
+        }
+
+        // Inclusion needs baseFee + tip; the 2x headroom above that is trimmed to the cap
+        this.assertWithinMax(baseFee + tip);
+        let { maxFeePerGas } = this.config.calculateGasPrice(baseFee, tip);
+        if (maxFeePerGas > this.getMaxPrice()) {
+            maxFeePerGas = this.getMaxPrice();
+        }
+
+        return { type: 2, maxFeePerGas, maxPriorityFeePerGas: tip, baseFee };
+    }
+
+    // Nodes only accept a replacement when both the fee cap and the tip go up, so the tip may
+    // pass maxPriorityFeePerGas here; the fee cap (what is actually paid at most) may not
+    bump(fees, market, bumpPercent) {
+        const previousTip = fees.type === 2 ? fees.maxPriorityFeePerGas : fees.gasPrice;
+        const factor = 1 + bumpPercent / 100;
+
+        const maxPriorityFeePerGas = max(scale(previousTip, factor), market.maxPriorityFeePerGas);
+        const maxFeePerGas = max(scale(this.getPrice(fees), factor), market.maxFeePerGas);
+
+        this.assertWithinMax(maxFeePerGas);
+        return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    // Stuck when the cap no longer covers the base fee, or the tip is below the going rate
+    isUnderpriced(fees, market) {
+        if (fees.type !== 2) {
+            return fees.gasPrice < market.baseFee + market.maxPriorityFeePerGas;
+        }
+        return fees.maxFeePerGas < market.baseFee + fees.maxPriorityFeePerGas ||
+            fees.maxPriorityFeePerGas < market.maxPriorityFeePerGas;
+    }
+}
+
+// Always gasSettings.fixedGasPrice (or the maximum); for dev chains with unreliable fee data
+class FixedGasStrategy extends GasStrategy {
+    get name() {
+        return 'fixed';
+    }
+
+    async getFees() {
+        const gasPrice = this.config.gasSettings.fixedGasPrice || this.getMaxPrice();
+
+        this.assertWithinMax(gasPrice);
+        return { type: 0, gasPrice };
+    }
+
+    bump(fees, market, bumpPercent) {
+        const gasPrice = scale(this.getPrice(fees), 1 + bumpPercent / 100);
+
+        this.assertWithinMax(gasPrice);
+        return { type: 0, gasPrice };
+    }
+
+    // A fixed price never chases the market; admins can still speed jobs up by hand
+    isUnderpriced() {
+        return false;
+    }
+}
+
+const STRATEGIES = {
+    legacy: LegacyGasStrategy,
+    eip1559: Eip1559GasStrategy,
+    fixed: FixedGasStrategy
+};
+
+// Strategy for the configured network (GAS_STRATEGY overrides the network default)
+function createGasStrategy(config) {
+    const name = config.getGasStrategyName();
+    const Strategy = STRATEGIES[name];
+
+    if (!Strategy) {
+        throw new Error(`Unknown gas strategy "${name}" (available: ${Object.keys(STRATEGIES).join(', ')})`);
+    }
+
+    return new Strategy(config);
+}
+
+module.exports = {
+    GasStrategy,
+    LegacyGasStrategy,
+    Eip1559GasStrategy,
+    FixedGasStrategy,
+    GasPriceTooHighError,
+    STRATEGIES,
+    createGasStrategy
+};
@@ -0,0 +1,254 @@
+// src/services/NetworkService.js
+const BlockchainService = require('./BlockchainService');
+const { getDatabase } = require('../config/database');
+const { blockchainConfig } = require('../config/blockchain');
+const { formatWalletAddress, formatPlanLevel } = require('../utils/formatting');
+const { t } = require('../utils/i18n');
+
+// SQLite allows 999 bound parameters per statement
+const IN_CHUNK_SIZE = 500;
+
+const MEMBER_COLUMNS = 'id, first_name, username, wallet_address, upline_id, is_registered, plan_id, created_at';
+
+// A member's referral network: the upline chain (from the contract's getReferralChain, or the
+// users.upline_id links when the chain is unavailable) and the downline tree built from
+// users.upline_id, both limited to networkSettings.maxDepth levels.
+class NetworkService {
+    constructor() {
+        this.blockchainService = BlockchainService.getInstance();
+        this.settings = blockchainConfig.networkSettings;
+    }
+
+    // { upline, uplineSource, levels, members, total, registered, planDistribution, truncated }
+    async getNetwork(user, maxDepth = this.settings.maxDepth) {
+        const { upline, source } = await this.getUpline(user, maxDepth);
+        const { levels, members, truncated } = await this.getDownline(user, maxDepth);
+
+        const planDistribution = {};
+        let registered = 0;
+        for (const member of members) {
+            if (member.is_registered && member.plan_id > 0) {
+                registered++;
+                planDistribution[member.plan_id] = (planDistribution[member.plan_id] || 0) + 1;
+            }
+        }
+
+        return {
+            upline,
+            uplineSource: source,
+            levels,
+            members,
+            total: members.length,
+            registered,
+            planDistribution,
+            truncated
+        };
+    }
+
+    // Sponsors from the nearest up: [{ level, address, user }], user is null for wallets
+    // that never used the bot
+    async getUpline(user, maxDepth) {
+        if (user.wallet_address && user.is_registered && this.blockchainService.nftContract) {
+            try {
+                const chain = await this.blockchainService.getReferralChain(user.wallet_address);
+                const users = await this.getUsersByWallets(chain.slice(0, maxDepth));
+
+                return {
+                    source: 'contract',
+                    upline: chain.slice(0, maxDepth).map((address, index) => ({
+                        level: index + 1,
+                        address,
+                        user: users.get(address) || null
+                    }))
+                };
+            } catch (error) {
+                console.warn('⚠️ getReferralChain unavailable, using stored uplines:', error.shortMessage || error.message);
+            }
+        }
+
+        const db = getDatabase();
+        const upline = [];
+        const seen = new Set([user.id]);
+        let uplineId = user.upline_id;
+
+        while (uplineId && upline.length < maxDepth && !seen.has(uplineId)) {
+            seen.add(uplineId);
+            const sponsor = await db.get(`SELECT ${MEMBER_COLUMNS} FROM users WHERE id = ?`, [uplineId]);
+            if (!sponsor) {
+                break;
+            }
+
+            upline.push({
+                level: upline.length + 1,
+                address: sponsor.wallet_address ? sponsor.wallet_address.toLowerCase() : null,
+                user: sponsor
+            });
+            uplineId = sponsor.upline_id;
+        }
+
+        return { source: 'database', upline };
+    }
+
+    // Breadth-first walk down users.upline_id. levels[i] describes level i + 1 (direct referrals
+    // are level 1); members is every member found, in level order, each with its `level`.
+    async getDownline(user, maxDepth) {
+        const levels = [];
+        const members = [];
+        const seen = new Set([user.id]);
+        let frontier = [user.id];
+        let truncated = false;
+
+        for (let level = 1; level <= maxDepth && frontier.length > 0; level++) {
+            const found = [];
+
+            for (let i = 0; i < frontier.length; i += IN_CHUNK_SIZE) {
+                const chunk = frontier.slice(i, i + IN_CHUNK_SIZE);
+                const rows = await getDatabase().all(`
+                    SELECT ${MEMBER_COLUMNS} FROM users
+                    WHERE upline_id IN (${chunk.map(() => '?').join(', ')})
+                    ORDER BY created_at ASC, id ASC
+                `, chunk);
+
+                for (const row of rows) {
+                    // upline_id is not constrained, so guard against loops
+                    if (!seen.has(row.id)) {
+                        seen.add(row.id);
+                        found.push({ ...row, level });
+                    }
+                }
+            }
+
+            if (members.length + found.length > this.settings.maxMembers) {
+                found.length = this.settings.maxMembers - members.length;
+                truncated = true;
+            }
+
+            if (found.length > 0) {
+                levels.push({
+                    level,
+                    count: found.length,
+                    registered: found.filter(member => member.is_registered).length
+                });
+                members.push(...found);
+            }
+
+            if (truncated) {
+                break;
+            }
+            frontier = found.map(member => member.id);
+        }
+
+        // More levels exist below the depth limit
+        if (!truncated && levels.length === maxDepth) {
+            for (let i = 0; i < frontier.length && !truncated; i += IN_CHUNK_SIZE) {
+                const chunk = frontier.slice(i, i + IN_CHUNK_SIZE);
+                const deeper = await getDatabase().get(
+                    `SELECT id FROM users WHERE upline_id IN (${chunk.map(() => '?').join(', ')}) LIMIT 1`,
+                    chunk
+                );
+                truncated = Boolean(deeper);
+            }
+        }
+
+        return { levels, members, truncated };
+    }
+
+    // Map of lowercased wallet address to user row
+    async getUsersByWallets(addresses) {
+        const users = new Map();
+        if (addresses.length === 0) {
+            return users;
+        }
+
+        const rows = await getDatabase().all(
+            `SELECT ${MEMBER_COLUMNS} FROM users WHERE LOWER(wallet_address) IN (${addresses.map(() => '?').join(', ')})`,
+            addresses
+        );
+        for (const row of rows) {
+            users.set(row.wallet_address.toLowerCase(), row);
+        }
+        return users;
+    }
+
+    // Plain-text export: the upline chain from the top sponsor down, then the downline as a tree
+    buildTextTree(user, network, locale = 'en') {
+        const lines = [
+            t(locale, 'network.tree.title', { member: this.describeMember(user, locale) }),
+            t(locale, 'network.tree.generated', { date: new Date().toISOString(), depth: this.settings.maxDepth }),
+            ''
+        ];
+
+        lines.push(t(locale, 'network.tree.upline'));
+        if (network.upline.length === 0) {
+            lines.push(`  ${t(locale, 'network.tree.noSponsor')}`);
+        } else {
+            for (const sponsor of [...network.upline].reverse()) {
+                lines.push(`  L-${sponsor.level}  ${this.describeSponsor(sponsor, locale)}`);
+            }
+        }
+        lines.push(`  ${t(locale, 'network.tree.you')}  ${this.describeMember(user, locale)}`);
+        lines.push('');
+
+        lines.push(t(locale, 'network.tree.downline', { count: network.total, registered: network.registered }));
+        for (const level of network.levels) {
+            lines.push(`  ${t(locale, 'network.tree.level', { level: level.level, count: level.count, registered: level.registered })}`);
+        }
+
+        const plans = Object.keys(network.planDistribution).sort((a, b) => a - b);
+        if (plans.length > 0) {
+            lines.push('');
+            lines.push(t(locale, 'network.tree.planDistribution'));
+            for (const planId of plans) {
+                lines.push(`  ${formatPlanLevel(planId, locale)}: ${network.planDistribution[planId]}`);
+            }
+        }
+
+        lines.push('');
+        lines.push(t(locale, 'network.tree.tree'));
+        lines.push(this.describeMember(user, locale));
+
+        const children = new Map();
+        for (const member of network.members) {
+            if (!children.has(member.upline_id)) {
+                children.set(member.upline_id, []);
+            }
+            children.get(member.upline_id).push(member);
+        }
+
+        const walk = (parentId, prefix) => {
+            const list = children.get(parentId) || [];
+            list.forEach((member, index) => {
+                const last = index === list.length - 1;
+                lines.push(`${prefix}${last ? '└── ' : '├── '}${this.describeMember(member, locale)}`);
+                walk(member.id, prefix + (last ? '    ' : '│   '));
+            });
+        };
+        walk(user.id, '');
+
+        if (network.truncated) {
+            lines.push('');
+            lines.push(network.total >= this.settings.maxMembers
+                ? t(locale, 'network.tree.continuesMembers', { count: this.settings.maxMembers })
+                : t(locale, 'network.tree.continuesLevels', { depth: this.settings.maxDepth }));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    describeMember(member, locale = 'en') {
+        const name = member.first_name || (member.username ? `@${member.username}` : t(locale, 'network.member', { id: member.id }));
+        const plan = member.is_registered && member.plan_id > 0
+            ? formatPlanLevel(member.plan_id, locale)
+            : t(locale, 'network.notRegistered');
+        return `${name} — ${plan}`;
+    }
+
+    describeSponsor(sponsor, locale = 'en') {
+        if (sponsor.user) {
+            return this.describeMember(sponsor.user, locale);
+        }
+        return `${formatWalletAddress(sponsor.address)} — ${t(locale, 'network.notOnBot')}`;
+    }
+}
+
+module.exports = NetworkService;
@@ -0,0 +1,244 @@
+// src/services/NftMetadataService.js
+const BlockchainService = require('./BlockchainService');
+const { getDatabase } = require('../config/database');
+const { blockchainConfig } = require('../config/blockchain');
+
+// Resolves a member's NFT (token id, tokenURI metadata and image) for the /profile card.
+// Cards live in nft_metadata_cache until EventService clears them on MetadataUpdated;
+// after the first send the photo is resent by its Telegram file_id.
+class NftMetadataService {
+    constructor() {
+        this.blockchainService = BlockchainService.getInstance();
+        this.settings = blockchainConfig.nftSettings;
+    }
+
+    // Token id recorded from MembershipMinted, else the wallet's first token on-chain
+    async getTokenId(user) {
+        if (user.nft_token_id !== null && user.nft_token_id !== undefined) {
+            return user.nft_token_id;
+        }
+
+        const nftContract = this.blockchainService.nftContract;
+        if (!user.wallet_address || !nftContract) {
+            return null;
+        }
+
+        await this.blockchainService.checkRateLimit();
+        const balance = await nftContract.balanceOf(user.wallet_address);
+        if (balance === 0n) {
+            return null;
+        }
+
+        await this.blockchainService.checkRateLimit();
+        const tokenId = await nftContract.tokenOfOwnerByIndex(user.wallet_address, 0);
+
+        const db = getDatabase();
+        await db.run(
+            'UPDATE users SET token_id = ?, nft_token_id = ? WHERE id = ?',
+            [tokenId.toString(), Number(tokenId), user.id]
+        );
+
+        return Number(tokenId);
+    }
+
+    // { tokenId, planId, name, description, imageUri, attributes, ... } or null without an NFT
+    async getCard(user) {
+        const tokenId = await this.getTokenId(user);
+        if (tokenId === null) {
+            return null;
+        }
+
+        const db = getDatabase();
+        const cached = await db.get('SELECT * FROM nft_metadata_cache WHERE token_id = ?', [tokenId]);
+        if (cached) {
+            return this.fromRow(cached);
+        }
+
+        const card = await this.fetchCard(tokenId);
+        await db.run(
+            `INSERT OR REPLACE INTO nft_metadata_cache
+             (token_id, owner_address, plan_id, token_uri, name, description, image_uri, attributes, last_updated)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [
+                tokenId,
+                user.wallet_address ? user.wallet_address.toLowerCase() : null,
+                card.planId,
+                card.tokenUri,
+                card.name,
+                card.description,
+                card.imageUri,
+                JSON.stringify(card.attributes)
+            ]
+        );
+
+        return card;
+    }
+
+    async fetchCard(tokenId) {
+        const nftContract = this.blockchainService.nftContract;
+        const [uri, image] = await this.blockchainService.multicall([
+            { contract: nftContract, method: 'tokenURI', args: [tokenId] },
+            { contract: nftContract, method: 'getNFTImage', args: [tokenId] }
+        ]);
+
+        if (!uri.success && !image.success) {
+            throw uri.error || new Error(`Token #${tokenId} not found`);
+        }
+
+        const onChain = image.success ? image.result : null;
+        const planId = onChain ? Number(onChain.planId) : null;
+
+        // A broken metadata host still leaves the on-chain name and image
+        let metadata = {};
+        if (uri.success && uri.result) {
+            try {
+                metadata = await this.fetchMetadata(uri.result);
+            } catch (error) {
+                console.warn(`⚠️ Metadata for NFT #${tokenId} unavailable:`, error.message);
+            }
+        }
+
+        let imageUri = metadata.image || metadata.image_url || (onChain && onChain.imageURI) || null;
+        if (!imageUri && planId) {
+            const [planImage] = await this.blockchainService.multicall([
+                { contract: nftContract, method: 'planDefaultImages', args: [planId] }
+            ]);
+            imageUri = planImage.success && planImage.result ? planImage.result : null;
+        }
+
+        return {
+            tokenId,
+            planId,
+            tokenUri: uri.success ? uri.result : null,
+            name: metadata.name || (onChain && onChain.name) || `Membership NFT #${tokenId}`,
+            description: metadata.description || (onChain && onChain.description) || '',
+            imageUri,
+            attributes: Array.isArray(metadata.attributes) ? metadata.attributes : [],
+            telegramFileId: null
+        };
+    }
+
+    async fetchMetadata(uri) {
+        const { body } = await this.fetchUri(uri);
+        const metadata = JSON.parse(body.toString('utf8'));
+
+        if (!metadata || typeof metadata !== 'object') {
+            throw new Error('Metadata is not a JSON object');
+        }
+        return metadata;
+    }
+
+    // Bytes and content type behind a data:, ipfs:// or http(s) URI
+    async fetchUri(uri) {
+        if (uri.startsWith('data:')) {
+            return this.parseDataUri(uri);
+        }
+
+        const url = this.resolveUrl(uri);
+        const response = await fetch(url, { signal: AbortSignal.timeout(this.settings.fetchTimeout) });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+        }
+
+        const length = Number(response.headers.get('content-length'));
+        if (length > this.settings.maxImageBytes) {
+            throw new Error(`Response of ${length} bytes is too large`);
+        }
+
+        const body = Buffer.from(await response.arrayBuffer());
+        if (body.length > this.settings.maxImageBytes) {
+            throw new Error(`Response of ${body.length} bytes is too large`);
+        }
+
+        return { body, contentType: (response.headers.get('content-type') || '').split(';')[0].trim() };
+    }
+
+    // ipfs://<cid>/<path> (and ipfs://ipfs/<cid>) through the configured gateway
+    resolveUrl(uri) {
+        if (uri.startsWith('ipfs://')) {
+            const path = uri.slice('ipfs://'.length).replace(/^ipfs\//, '');
+            return this.settings.ipfsGateway.replace(/\/?$/, '/') + path;
+        }
+
+        if (/^https?:\/\//i.test(uri)) {
+            return uri;
+        }
+
+        throw new Error(`Unsupported URI scheme: ${uri.slice(0, 20)}`);
+    }
+
+    // data:[<type>][;charset=...][;base64],<data>
+    parseDataUri(uri) {
+        const match = uri.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+        if (!match) {
+            throw new Error('Malformed data URI');
+        }
+
+        const [, contentType, params, data] = match;
+        const body = params.split(';').includes('base64')
+            ? Buffer.from(data, 'base64')
+            : Buffer.from(decodeURIComponent(data), 'utf8');
+
+        return { body, contentType: contentType || 'text/plain' };
+    }
+
+    // Telegram photo input for the card, or null when there is nothing it can display
+    async getPhoto(card) {
+        if (card.telegramFileId) {
+            return card.telegramFileId;
+        }
+        if (!card.imageUri) {
+            return null;
+        }
+
+        try {
+            const { body, contentType } = await this.fetchUri(card.imageUri);
+
+            // Telegram photos are raster images; SVG art (common for on-chain NFTs) is skipped
+            if (contentType === 'image/svg+xml' || body.subarray(0, 256).toString('utf8').includes('<svg')) {
+                return null;
+            }
+
+            return { source: body, filename: `nft-${card.tokenId}` };
+        } catch (error) {
+            console.warn(`⚠️ Image for NFT #${card.tokenId} unavailable:`, error.message);
+            return null;
+        }
+    }
+
+    // Keep the uploaded photo's file_id so the next /profile card skips the download
+    async rememberPhoto(card, message) {
+        if (card.telegramFileId || !message || !message.photo || message.photo.length === 0) {
+            return;
+        }
+
+        const largest = message.photo[message.photo.length - 1];
+        const db = getDatabase();
+        await db.run(
+            'UPDATE nft_metadata_cache SET telegram_file_id = ? WHERE token_id = ?',
+            [largest.file_id, card.tokenId]
+        );
+    }
+
+    fromRow(row) {
+        let attributes = [];
+        try {
+            attributes = JSON.parse(row.attributes || '[]');
+        } catch (error) {
+            attributes = [];
+        }
+
+        return {
+            tokenId: row.token_id,
+            planId: row.plan_id,
+            tokenUri: row.token_uri,
+            name: row.name,
+            description: row.description || '',
+            imageUri: row.image_uri,
+            attributes,
+            telegramFileId: row.telegram_file_id
+        };
+    }
+}
+
+module.exports = NftMetadataService;
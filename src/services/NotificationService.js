@@ -3,12 +3,16 @@ const { Telegraf } = require('telegraf');
 const UserService = require('./UserService');
 const { getDatabase } = require('../config/database');
 const { formatNumber, formatDate } = require('../utils/formatting');
+const { t, hasKey, resolveLocale } = require('../utils/i18n');
 
 class NotificationService {
     constructor() {
         this.bot = null;
         this.userService = new UserService();
-        this.adminUserId = process.env.ADMIN_USER_ID;
+        // ADMIN_USER_ID may list several admins; the first one gets sendToAdmin messages
+        this.adminUserIds = process.env.ADMIN_USER_ID ?
+            process.env.ADMIN_USER_ID.split(',').map(id => id.trim()).filter(Boolean) : [];
+        this.adminUserId = this.adminUserIds[0];
         
         // Notification queues
         this.pendingNotifications = new Map();
@@ -74,6 +78,20 @@ class NotificationService {
         return await this.sendToUser(this.adminUserId, message, options);
     }
 
+    // Send notification to every configured admin
+    async sendToAdmins(message, options = {}) {
+        if (this.adminUserIds.length === 0) {
+            console.warn('⚠️ Admin user ID not configured');
+            return false;
+        }
+
+        let delivered = false;
+        for (const adminId of this.adminUserIds) {
+            delivered = await this.sendToUser(adminId, message, options) || delivered;
+        }
+        return delivered;
+    }
+
     // Broadcast to all users
     async broadcast(message, options = {}) {
         try {
@@ -119,85 +137,57 @@ class NotificationService {
 
     // Transaction notifications
     async notifyTransactionConfirmed(telegramId, txData) {
-        const message = `✅ **Transaction Confirmed!**
-
-🎉 Your transaction has been confirmed on the blockchain!
-
-**📋 Details:**
-• **Type:** ${txData.type}
-• **Amount:** ${formatNumber(parseFloat(txData.amount))} USDT
-• **Hash:** \`${txData.txHash}\`
-• **Block:** ${txData.blockNumber}
+        const locale = await this.getUserLocale(telegramId);
+        const outcome = hasKey(`notifications.outcomes.${txData.type}`) ? txData.type : 'upgrade';
 
-${txData.type === 'register' ? 
-    '🎫 Your NFT membership has been minted!\n🚀 You can now start earning from referrals!' :
-    '⬆️ Your plan upgrade is complete!\n💰 Enjoy your higher commission rate!'
-}
-
-Congratulations! 🎊`;
+        const message = t(locale, 'notifications.transactionConfirmed', {
+            type: this.getTransactionType(txData.type, locale),
+            amount: formatNumber(parseFloat(txData.amount), 2, locale),
+            hash: txData.txHash,
+            block: txData.blockNumber,
+            outcome: t(locale, `notifications.outcomes.${outcome}`)
+        });
 
         return await this.sendToUser(telegramId, message);
     }
 
     async notifyTransactionFailed(telegramId, txData) {
-        const message = `❌ **Transaction Failed**
-
-😔 Your transaction could not be completed.
+        const locale = await this.getUserLocale(telegramId);
 
-**📋 Details:**
-• **Type:** ${txData.type}
-• **Amount:** ${formatNumber(parseFloat(txData.amount))} USDT
-• **Error:** ${txData.error || 'Unknown error'}
-
-**🔧 What to do:**
-• Check your wallet balance
-• Ensure sufficient gas fees
-• Try the transaction again
-• Contact support if issue persists
-
-Don't worry, your funds are safe! 💪`;
+        const message = t(locale, 'notifications.transactionFailed', {
+            type: this.getTransactionType(txData.type, locale),
+            amount: formatNumber(parseFloat(txData.amount), 2, locale),
+            error: txData.error || t(locale, 'notifications.unknownError')
+        });
 
         return await this.sendToUser(telegramId, message);
     }
 
     // Referral notifications
     async notifyNewReferral(uplineTelegramId, refereeData) {
-        const message = `🎉 **New Referral!**
-
-👤 **${refereeData.firstName}** just joined using your referral code!
-
-**👥 Your Referral Stats:**
-• **Username:** @${refereeData.username || 'no_username'}
-• **Joined:** ${formatDate(new Date())}
-• **Status:** New member (not registered yet)
-
-💰 You'll earn commission when they register for a membership plan!
-
-🎯 Keep sharing: \`${refereeData.uplineReferralCode}\`
+        const locale = await this.getUserLocale(uplineTelegramId);
 
-Great job building your network! 🚀`;
+        const message = t(locale, 'notifications.newReferral', {
+            name: refereeData.firstName,
+            username: refereeData.username || 'no_username',
+            joined: formatDate(new Date(), false, locale),
+            referralCode: refereeData.uplineReferralCode
+        });
 
         return await this.sendToUser(uplineTelegramId, message);
     }
 
     async notifyReferralEarning(uplineTelegramId, earningData) {
-        const message = `💰 **Commission Earned!**
+        const locale = await this.getUserLocale(uplineTelegramId);
 
-🎊 You just earned a referral commission!
-
-**💵 Commission Details:**
-• **Amount:** ${formatNumber(parseFloat(earningData.amount))} USDT
-• **From:** @${earningData.refereeUsername || 'member'}
-• **Plan:** ${earningData.planName}
-• **Transaction:** \`${earningData.txHash}\`
-
-**📊 Your Stats:**
-• **Total Referrals:** ${earningData.totalReferrals}
-• **Total Earnings:** ${formatNumber(parseFloat(earningData.totalEarnings))} USDT
-
-The commission has been sent directly to your wallet! 💳
-
-Keep up the great work! 🌟`;
+        const message = t(locale, 'notifications.commissionEarned', {
+            amount: formatNumber(parseFloat(earningData.amount), 2, locale),
+            from: earningData.refereeUsername || t(locale, 'notifications.member'),
+            plan: earningData.planName,
+            hash: earningData.txHash,
+            totalReferrals: earningData.totalReferrals,
+            totalEarnings: formatNumber(parseFloat(earningData.totalEarnings), 2, locale)
+        });
 
         return await this.sendToUser(uplineTelegramId, message);
     }
@@ -241,22 +231,61 @@ ${stats.plans.slice(0, 3).map(plan =>
         }
     }
 
+    // Report wallet-signed transactions that reverted or vanished. Ones still in the mempool
+    // stay pending however long they wait, and operator queue jobs are left to the queue,
+    // which rebroadcasts and speeds them up itself.
     async checkPendingTransactions() {
         try {
+            const BlockchainService = require('./BlockchainService');
+            const blockchainService = BlockchainService.getInstance();
             const db = getDatabase();
+            // Wallet-signed transactions are timed from when their hash was submitted; the row
+            // itself is created with the signing request, up to its whole TTL earlier
             const pendingTxs = await db.all(`
-                SELECT t.*, u.telegram_id, u.first_name 
+                SELECT t.*, u.telegram_id, u.first_name,
+                       COALESCE(s.submitted_at, t.created_at) AS submitted_at
                 FROM transactions t 
                 JOIN users u ON t.user_id = u.id 
+                LEFT JOIN signing_requests s ON s.transaction_id = t.id
                 WHERE t.status = 'pending' 
-                AND t.created_at < datetime('now', '-10 minutes')
+                AND t.tx_hash IS NOT NULL
+                AND COALESCE(s.submitted_at, t.created_at) < datetime('now', '-10 minutes')
+                AND NOT EXISTS (SELECT 1 FROM tx_queue q WHERE q.transaction_id = t.id)
                 LIMIT 10
             `);
 
             for (const tx of pendingTxs) {
-                // This would check blockchain status in a real implementation
-                // For now, we'll simulate the check
-                console.log(`🔍 Checking transaction ${tx.tx_hash}...`);
+                try {
+                    const receipt = await blockchainService.getTransactionReceipt(tx.tx_hash);
+                    let error = null;
+
+                    if (receipt) {
+                        // Successful ones are confirmed by the event indexer at finality
+                        if (receipt.status !== 1) {
+                            error = 'Transaction reverted';
+                        }
+                    } else if (await blockchainService.getTransaction(tx.tx_hash)) {
+                        console.log(`⏳ Transaction ${tx.tx_hash} is still waiting in the mempool`);
+                    } else if (Date.now() - new Date(`${tx.submitted_at}Z`).getTime() > 30 * 60 * 1000) {
+                        error = 'Transaction dropped by the network';
+                    }
+
+                    if (error) {
+                        await db.run(
+                            'UPDATE transactions SET status = ?, error_message = ? WHERE id = ?',
+                            ['failed', error, tx.id]
+                        );
+
+                        await this.notifyTransactionFailed(tx.telegram_id, {
+                            type: tx.type,
+                            amount: blockchainService.formatTokenAmount(tx.amount),
+                            error
+                        });
+                    }
+
+                } catch (error) {
+                    console.error(`❌ Error checking transaction ${tx.tx_hash}:`, error.message);
+                }
             }
 
         } catch (error) {
@@ -266,49 +295,25 @@ ${stats.plans.slice(0, 3).map(plan =>
 
     // Welcome notifications for new users
     async sendWelcomeMessage(telegramId, userData) {
-        const message = `🎉 **Welcome to Crypto Membership NFT!**
+        const locale = await this.getUserLocale(telegramId);
 
-👋 Hi ${userData.firstName}! Welcome to our exclusive membership community!
-
-**🎯 What you can do now:**
-• 📋 Explore membership plans
-• 💳 Connect your BSC wallet
-• 🚀 Register for your first membership
-• 👥 Start referring friends and earn!
-
-**💡 Quick Start Guide:**
-1. Use /plans to see available memberships
-2. Use /wallet to connect your wallet
-3. Use /register to join a plan
-4. Share your referral code to earn!
-
-**🎁 Your Referral Code:** \`${userData.referralCode}\`
-
-Ready to start earning? Let's go! 🚀`;
+        const message = t(locale, 'notifications.welcome', {
+            name: userData.firstName,
+            referralCode: userData.referralCode
+        });
 
         return await this.sendToUser(telegramId, message);
     }
 
     // Reminder notifications
     async sendRegistrationReminder(telegramId, userData) {
+        const locale = await this.getUserLocale(telegramId);
         const daysSinceJoin = Math.floor((Date.now() - new Date(userData.createdAt).getTime()) / (1000 * 60 * 60 * 24));
 
-        const message = `⏰ **Friendly Reminder**
-
-Hi ${userData.firstName}! You joined us ${daysSinceJoin} day${daysSinceJoin !== 1 ? 's' : ''} ago.
-
-**🎯 Complete your membership registration to:**
-• 💰 Start earning referral commissions
-• 🎫 Get your exclusive NFT membership
-• 🌟 Access VIP community features
-• ⬆️ Unlock upgrade opportunities
-
-**🚀 Ready to get started?**
-Use /register to choose your membership plan!
-
-**💡 Need help?** Use /help for assistance.
-
-Don't miss out on earning opportunities! 💪`;
+        const message = t(locale, 'notifications.registrationReminder', {
+            name: userData.firstName,
+            joined: t(locale, 'duration.day', { count: daysSinceJoin })
+        });
 
         return await this.sendToUser(telegramId, message);
     }
@@ -360,6 +365,20 @@ Don't miss out on earning opportunities! 💪`;
     }
 
     // Utility methods
+    // Notifications go out without a bot context, so the recipient's locale comes from their record
+    async getUserLocale(telegramId) {
+        try {
+            const user = await this.userService.getUserByTelegramId(telegramId.toString());
+            return resolveLocale(user ? user.language_code : null);
+        } catch (error) {
+            return resolveLocale(null);
+        }
+    }
+
+    getTransactionType(type, locale = 'en') {
+        return hasKey(`notifications.types.${type}`) ? t(locale, `notifications.types.${type}`) : type;
+    }
+
     async logNotification(telegramId, message, success, error = null) {
         try {
             const db = getDatabase();
@@ -0,0 +1,305 @@
+// src/services/ProviderPool.js
+const { ethers } = require('ethers');
+const { blockchainConfig } = require('../config/blockchain');
+
+// JSON-RPC errors that mean "this endpoint can't serve the request right now". Anything else
+// (reverts, bad nonces, ...) is an answer about the chain and is passed back untouched.
+const RETRYABLE_RPC_CODES = [-32005, -32603, -32002, 429];
+const RETRYABLE_RPC_MESSAGE = /rate limit|limit exceeded|too many requests|timeout|timed out|header not found|unknown block|busy|unavailable|try again/i;
+
+// One provider for the whole app (wallet, contracts, queue) that spreads JSON-RPC calls over
+// every configured endpoint. Each request goes to the healthiest endpoint with budget left
+// and fails over to the next one on transport errors or retryable RPC errors.
+class ProviderPool extends ethers.JsonRpcProvider {
+    constructor(endpoints, chainId) {
+        const network = ethers.Network.from(chainId);
+        const options = { staticNetwork: network, batchMaxCount: 1 };
+
+        super(endpoints[0].url, network, options);
+
+        this.settings = blockchainConfig.providerSettings;
+        this.chainId = chainId;
+        this.healthTimer = null;
+        this.members = endpoints.map((endpoint, index) => {
+            const request = new ethers.FetchRequest(endpoint.url);
+            request.timeout = this.settings.requestTimeout;
+
+            return {
+                index,
+                url: endpoint.url,
+                host: this.getHost(endpoint.url),
+                weight: endpoint.weight,
+                maxRequestsPerMinute: endpoint.maxRequestsPerMinute || this.settings.maxRequestsPerMinute,
+                provider: new ethers.JsonRpcProvider(request, network, options),
+                requests: [], // Timestamps inside the rate-limit window
+                outcomes: [], // Recent results, true = answered
+                latency: null, // Moving average in ms
+                consecutiveFailures: 0,
+                cooldownUntil: 0,
+                blockNumber: null,
+                blockLag: 0,
+                wrongChain: false,
+                lastError: null
+            };
+        });
+    }
+
+    // Check every endpoint's chain and head; fails only when none of them is usable
+    async connect() {
+        await Promise.all(this.members.map(async (member) => {
+            try {
+                this.takeBudget(member);
+                const chainId = Number(await member.provider.send('eth_chainId', []));
+
+                // Never sign or index against a different chain than the one configured
+                if (chainId !== this.chainId) {
+                    member.wrongChain = true;
+                    member.lastError = `RPC is on chain ${chainId}, expected ${this.chainId}`;
+                    console.error(`❌ RPC ${member.host}: ${member.lastError}`);
+                }
+            } catch (error) {
+                this.recordFailure(member, error);
+                console.error(`Failed to connect to provider ${member.host}:`, error.shortMessage || error.message);
+            }
+        }));
+
+        await this.checkHealth();
+
+        if (!this.members.some(member => this.isHealthy(member))) {
+            const lastError = this.members.map(member => member.lastError).filter(Boolean).pop();
+            throw new Error(`All RPC providers failed (last error: ${lastError || 'no response'})`);
+        }
+    }
+
+    // Periodic eth_blockNumber on every endpoint, for latency and block lag
+    async checkHealth() {
+        await Promise.all(this.members.map(async (member) => {
+            if (member.wrongChain || !this.hasBudget(member)) {
+                return;
+            }
+
+            const started = Date.now();
+            try {
+                this.takeBudget(member);
+                member.blockNumber = await member.provider.getBlockNumber();
+                this.recordSuccess(member, Date.now() - started);
+            } catch (error) {
+                this.recordFailure(member, error);
+            }
+        }));
+
+        const bestBlock = Math.max(0, ...this.members.map(member => member.blockNumber || 0));
+        for (const member of this.members) {
+            member.blockLag = member.blockNumber === null ? 0 : bestBlock - member.blockNumber;
+        }
+    }
+
+    startHealthChecks() {
+        if (this.healthTimer) {
+            return;
+        }
+        this.healthTimer = setInterval(() => {
+            this.checkHealth().catch(error => console.error('❌ RPC health check error:', error));
+        }, this.settings.healthCheckInterval);
+    }
+
+    // Every JSON-RPC call made through the pool ends up here (batching is off)
+    async _send(payload) {
+        const tried = new Set();
+        let lastError = null;
+
+        while (tried.size < this.members.length) {
+            const member = await this.pickMember(tried);
+            if (!member) {
+                break;
+            }
+            tried.add(member);
+
+            const started = Date.now();
+            try {
+                this.takeBudget(member);
+                const result = await member.provider._send(payload);
+
+                const retryable = result.find(response => response.error && this.isRetryableRpcError(response.error));
+                if (retryable) {
+                    lastError = result;
+                    this.recordFailure(member, new Error(retryable.error.message));
+                    continue;
+                }
+
+                this.recordSuccess(member, Date.now() - started);
+                return result;
+
+            } catch (error) {
+                lastError = error;
+                this.recordFailure(member, error);
+            }
+
+            if (tried.size < this.members.length) {
+                console.warn(`⚠️ RPC ${member.host} failed on ${payload.method}, failing over`);
+            }
+        }
+
+        // Every endpoint failed: an RPC error result is handed back so ethers builds its usual error
+        if (Array.isArray(lastError)) {
+            return lastError;
+        }
+        throw lastError || new Error('No RPC provider available');
+    }
+
+    // Run reads that must agree with each other against a single endpoint. Failover would let
+    // a nonce come from one node and a receipt lookup from another that is behind it.
+    async withMember(fn) {
+        const member = await this.pickMember(new Set());
+        if (!member) {
+            throw new Error('No RPC provider available');
+        }
+
+        const started = Date.now();
+        try {
+            this.takeBudget(member);
+            const result = await fn(member.provider, member.host);
+            this.recordSuccess(member, Date.now() - started);
+            return result;
+        } catch (error) {
+            this.recordFailure(member, error);
+            throw error;
+        }
+    }
+
+    // Healthiest untried endpoint with budget left; waits while every candidate is out of budget
+    async pickMember(tried) {
+        const candidates = this.members.filter(member => !tried.has(member) && !member.wrongChain);
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const healthy = candidates.filter(member => this.isHealthy(member));
+        const ranked = (healthy.length > 0 ? healthy : candidates)
+            .sort((a, b) => this.getScore(b) - this.getScore(a));
+
+        const available = ranked.find(member => this.hasBudget(member));
+        if (available) {
+            return available;
+        }
+
+        console.log('⚠️ Rate limit reached on every RPC provider, waiting...');
+        await new Promise(resolve => setTimeout(resolve, this.settings.backoffMs));
+        return this.pickMember(tried);
+    }
+
+    // Wait until some endpoint has budget left (the old global checkRateLimit)
+    async waitForCapacity() {
+        while (!this.members.some(member => !member.wrongChain && this.hasBudget(member))) {
+            console.log('⚠️ Rate limit reached on every RPC provider, waiting...');
+            await new Promise(resolve => setTimeout(resolve, this.settings.backoffMs));
+        }
+        return true;
+    }
+
+    hasBudget(member) {
+        const now = Date.now();
+        member.requests = member.requests.filter(timestamp => now - timestamp < 60000);
+        return member.requests.length < member.maxRequestsPerMinute;
+    }
+
+    takeBudget(member) {
+        member.requests.push(Date.now());
+    }
+
+    recordSuccess(member, latency) {
+        member.latency = member.latency === null ? latency : Math.round(member.latency * 0.7 + latency * 0.3);
+        member.consecutiveFailures = 0;
+        this.recordOutcome(member, true);
+    }
+
+    recordFailure(member, error) {
+        member.lastError = error.shortMessage || error.message;
+        member.consecutiveFailures++;
+        this.recordOutcome(member, false);
+
+        if (member.consecutiveFailures >= this.settings.failureThreshold) {
+            member.cooldownUntil = Date.now() + this.settings.cooldownMs;
+            if (member.consecutiveFailures === this.settings.failureThreshold) {
+                console.warn(`🔻 RPC ${member.host} marked unhealthy after ${member.consecutiveFailures} failures: ${member.lastError}`);
+            }
+        }
+    }
+
+    recordOutcome(member, ok) {
+        member.outcomes.push(ok);
+        if (member.outcomes.length > this.settings.sampleSize) {
+            member.outcomes.shift();
+        }
+    }
+
+    getErrorRate(member) {
+        if (member.outcomes.length === 0) {
+            return 0;
+        }
+        return member.outcomes.filter(ok => !ok).length / member.outcomes.length;
+    }
+
+    isHealthy(member) {
+        return !member.wrongChain &&
+            Date.now() >= member.cooldownUntil &&
+            member.blockLag <= this.settings.maxBlockLag &&
+            this.getErrorRate(member) <= this.settings.maxErrorRate;
+    }
+
+    // Higher is better: weight, scaled down by errors, latency and block lag
+    getScore(member) {
+        const latency = member.latency === null ? 1000 : member.latency;
+        return member.weight * (1 - this.getErrorRate(member)) * 1000 / (latency + 100) / (1 + member.blockLag);
+    }
+
+    isRetryableRpcError(error) {
+        return RETRYABLE_RPC_CODES.includes(error.code) || RETRYABLE_RPC_MESSAGE.test(error.message || '');
+    }
+
+    hasHealthyProvider() {
+        return this.members.some(member => this.isHealthy(member));
+    }
+
+    // Endpoint hosts only: RPC URLs often carry API keys and this ends up on /health
+    getHost(url) {
+        try {
+            return new URL(url).host;
+        } catch (error) {
+            return 'invalid-url';
+        }
+    }
+
+    getStatus() {
+        return {
+            healthy: this.members.filter(member => this.isHealthy(member)).length,
+            total: this.members.length,
+            providers: this.members.map(member => ({
+                host: member.host,
+                weight: member.weight,
+                healthy: this.isHealthy(member),
+                score: Math.round(this.getScore(member) * 100) / 100,
+                latencyMs: member.latency,
+                errorRate: Math.round(this.getErrorRate(member) * 100) / 100,
+                blockNumber: member.blockNumber,
+                blockLag: member.blockLag,
+                requestsInWindow: member.requests.length,
+                maxRequestsPerMinute: member.maxRequestsPerMinute,
+                lastError: member.lastError
+            }))
+        };
+    }
+
+    destroy() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+        for (const member of this.members) {
+            member.provider.destroy();
+        }
+        super.destroy();
+    }
+}
+
+module.exports = ProviderPool;
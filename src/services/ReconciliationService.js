@@ -0,0 +1,218 @@
+// src/services/ReconciliationService.js
+const { ethers } = require('ethers');
+const CacheService = require('./CacheService');
+const BlockchainService = require('./BlockchainService');
+const { getDatabase } = require('../config/database');
+const { blockchainConfig } = require('../config/blockchain');
+
+let sharedInstance = null;
+
+// Compares the membership fields denormalized into `users` with nftContract.members()
+// and repairs (or, in dry-run mode, only reports) any drift.
+class ReconciliationService {
+    constructor() {
+        this.blockchainService = BlockchainService.getInstance();
+        this.cache = CacheService;
+        this.running = false;
+    }
+
+    // Shared instance so scheduled and admin-triggered runs see each other's lock
+    static getInstance() {
+        if (!sharedInstance) {
+            sharedInstance = new ReconciliationService();
+        }
+        return sharedInstance;
+    }
+
+    async run({ dryRun = false, triggeredBy = 'schedule' } = {}) {
+        if (this.running) {
+            throw new Error('Reconciliation is already running');
+        }
+
+        this.running = true;
+        const db = getDatabase();
+        const { batchSize, maxIndexerLag } = blockchainConfig.reconciliationSettings;
+        const report = { id: null, dryRun, checked: 0, drifted: 0, fixed: 0, errors: 0, drifts: [] };
+
+        try {
+            const { lastID: reportId } = await db.run(
+                "INSERT INTO reconciliation_reports (mode, triggered_by, status) VALUES (?, ?, 'running')",
+                [dryRun ? 'dry_run' : 'fix', triggeredBy]
+            );
+            report.id = reportId;
+
+            const { latestBlock, lastFinalizedBlock } = this.blockchainService;
+            if (latestBlock - lastFinalizedBlock > maxIndexerLag) {
+                throw new Error(`Event indexer is ${latestBlock - lastFinalizedBlock} blocks behind, try again once it catches up`);
+            }
+
+            console.log(`🧮 Reconciliation #${report.id} started (${dryRun ? 'dry run' : 'fix'})`);
+
+            let lastUserId = 0;
+            for (;;) {
+                const users = await db.all(`
+                    SELECT id FROM users
+                    WHERE wallet_address IS NOT NULL AND id > ?
+                    ORDER BY id
+                    LIMIT ?
+                `, [lastUserId, batchSize]);
+
+                if (users.length === 0) {
+                    break;
+                }
+
+                lastUserId = users[users.length - 1].id;
+
+                // Pause the indexer so DB rows and the chain read refer to the same finalized block
+                await this.blockchainService.withIndexerLock(() => this.reconcileBatch(users, report));
+            }
+
+            await this.saveReport(report, 'completed');
+            console.log(`🧮 Reconciliation #${report.id} done: ${report.checked} checked, ${report.drifted} drifted, ${report.fixed} fixed`);
+            return report;
+
+        } catch (error) {
+            console.error('❌ Reconciliation failed:', error);
+            if (report.id) {
+                await this.saveReport(report, 'failed', error.message);
+            }
+            throw error;
+
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async reconcileBatch(users, report) {
+        const db = getDatabase();
+        const blockTag = this.blockchainService.lastFinalizedBlock;
+        report.blockNumber = blockTag;
+
+        const rows = await db.all(
+            `SELECT * FROM users WHERE id IN (${users.map(() => '?').join(', ')}) ORDER BY id`,
+            users.map(({ id }) => id)
+        );
+
+        // One batched members() read for the whole batch
+        const members = await this.blockchainService.getMembersBatch(rows.map(user => user.wallet_address), blockTag);
+
+        for (const user of rows) {
+            try {
+                const member = members.get(user.wallet_address.toLowerCase());
+                if (!member) {
+                    throw new Error('members() call failed');
+                }
+
+                const diffs = this.diffUser(user, member);
+                report.checked++;
+
+                if (Object.keys(diffs).length === 0) {
+                    continue;
+                }
+
+                report.drifted++;
+                if (report.drifts.length < blockchainConfig.reconciliationSettings.maxReportDetails) {
+                    report.drifts.push({ telegramId: user.telegram_id, wallet: user.wallet_address, diffs });
+                }
+
+                if (!report.dryRun) {
+                    await this.applyFix(user, diffs);
+                    report.fixed++;
+                }
+
+            } catch (error) {
+                console.error(`❌ Reconciliation error for user ${user.telegram_id}:`, error.message);
+                report.errors++;
+            }
+        }
+    }
+
+    // Fields where the DB disagrees with the chain, as { field: { db, chain } }
+    diffUser(user, member) {
+        const chain = {
+            is_registered: member.planId > 0n ? 1 : 0,
+            plan_id: Number(member.planId),
+            cycle_number: Number(member.cycleNumber),
+            total_referrals: Number(member.totalReferrals),
+            total_earnings: ethers.formatUnits(member.totalEarnings, 6)
+        };
+
+        const diffs = {};
+        for (const [field, chainValue] of Object.entries(chain)) {
+            const dbValue = user[field];
+            const equal = field === 'total_earnings' ?
+                this.sameAmount(dbValue, member.totalEarnings) :
+                Number(dbValue) === chainValue;
+
+            if (!equal) {
+                diffs[field] = { db: dbValue, chain: chainValue };
+            }
+        }
+
+        return diffs;
+    }
+
+    sameAmount(dbValue, chainUnits) {
+        try {
+            return ethers.parseUnits(dbValue || '0', 6) === chainUnits;
+        } catch (error) {
+            return false; // Unparseable value in the DB counts as drift
+        }
+    }
+
+    async applyFix(user, diffs) {
+        const db = getDatabase();
+        const fields = Object.keys(diffs);
+
+        await db.run(
+            `UPDATE users SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...fields.map(field => diffs[field].chain), user.id]
+        );
+
+        this.cache.delete(`user_telegram_${user.telegram_id}`);
+        this.cache.delete(`user_id_${user.id}`);
+        this.cache.delete(`user_wallet_${user.wallet_address}`);
+        this.cache.delete(`user_stats_${user.telegram_id}`);
+        this.cache.delete(`member_${user.wallet_address}`);
+    }
+
+    async saveReport(report, status, errorMessage = null) {
+        const db = getDatabase();
+
+        await db.run(`
+            UPDATE reconciliation_reports
+            SET status = ?, block_number = ?, users_checked = ?, users_drifted = ?, fixes_applied = ?,
+                errors = ?, details = ?, error_message = ?, finished_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [
+            status,
+            report.blockNumber || null,
+            report.checked,
+            report.drifted,
+            report.fixed,
+            report.errors,
+            JSON.stringify(report.drifts),
+            errorMessage,
+            report.id
+        ]);
+    }
+
+    async getLatestReport() {
+        try {
+            const db = getDatabase();
+            const report = await db.get('SELECT * FROM reconciliation_reports ORDER BY id DESC LIMIT 1');
+
+            if (report) {
+                report.details = report.details ? JSON.parse(report.details) : [];
+            }
+
+            return report;
+
+        } catch (error) {
+            console.error('❌ Error getting reconciliation report:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = ReconciliationService;
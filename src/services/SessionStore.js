@@ -0,0 +1,207 @@
+// src/services/SessionStore.js
+const { getDatabase } = require('../config/database');
+const { botConfig } = require('../config/bot');
+
+let sharedInstance = null;
+
+// Telegraf session store backed by bot_sessions, so multi-step flows (scenes) survive
+// restarts. Every update touches the session (auth stores the user row, lastActivity moves), so
+// writes are held for flushDelay and only the newest value per key is written. Sessions expire
+// ttl after their last write.
+class SessionStore {
+    constructor() {
+        const { ttl, flushDelay } = botConfig.getSessionConfig();
+        this.ttl = ttl;
+        this.flushDelay = flushDelay;
+        this.pending = new Map(); // session key -> newest session, null when deleted
+        this.writing = null; // Batch being flushed, still the newest state for get()
+        this.flushTimer = null;
+        this.flushPromise = null;
+    }
+
+    static getInstance() {
+        if (!sharedInstance) {
+            sharedInstance = new SessionStore();
+        }
+        return sharedInstance;
+    }
+
+    // Telegraf's default session key is `${fromId}:${chatId}`
+    getTelegramId(key) {
+        return String(key).split(':')[0];
+    }
+
+    async get(key) {
+        for (const batch of [this.pending, this.writing]) {
+            if (batch && batch.has(key)) {
+                return batch.get(key) || undefined;
+            }
+        }
+
+        const db = getDatabase();
+        const row = await db.get(
+            "SELECT session_data, expires_at < datetime('now') AS expired FROM bot_sessions WHERE session_key = ?",
+            [key]
+        );
+
+        if (!row || row.expired) {
+            return undefined;
+        }
+
+        try {
+            return JSON.parse(row.session_data);
+        } catch (error) {
+            console.error(`❌ Corrupt session ${key}, starting a new one:`, error.message);
+            return undefined;
+        }
+    }
+
+    set(key, session) {
+        this.pending.set(key, session);
+        this.scheduleFlush();
+    }
+
+    delete(key) {
+        this.pending.set(key, null);
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(error => console.error('❌ Session flush error:', error));
+        }, this.flushDelay);
+        this.flushTimer.unref();
+    }
+
+    // Write everything pending; also called on shutdown so the last changes are kept
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        // One flush at a time, so an older batch can never land after a newer one
+        while (this.flushPromise) {
+            await this.flushPromise;
+        }
+
+        if (this.pending.size === 0) {
+            return;
+        }
+
+        this.writing = this.pending;
+        this.pending = new Map();
+        this.flushPromise = this.writeBatch(this.writing);
+
+        try {
+            await this.flushPromise;
+        } finally {
+            this.writing = null;
+            this.flushPromise = null;
+        }
+    }
+
+    async writeBatch(batch) {
+        const db = getDatabase();
+        const expiry = `+${Math.round(this.ttl / 1000)} seconds`;
+
+        for (const [key, session] of batch) {
+            try {
+                if (session === null) {
+                    await db.run('DELETE FROM bot_sessions WHERE session_key = ?', [key]);
+                    continue;
+                }
+
+                await db.run(`
+                    INSERT INTO bot_sessions (session_key, telegram_id, session_data, expires_at)
+                    VALUES (?, ?, ?, datetime('now', ?))
+                    ON CONFLICT (session_key) DO UPDATE SET
+                        session_data = excluded.session_data,
+                        expires_at = excluded.expires_at,
+                        updated_at = CURRENT_TIMESTAMP
+                `, [key, this.getTelegramId(key), this.serialize(session), expiry]);
+
+            } catch (error) {
+                // Keep the rest of the batch; this key is retried with its next change
+                console.error(`❌ Failed to save session ${key}:`, error.message);
+            }
+        }
+    }
+
+    // The user row is reloaded by the auth middleware on every update, no need to keep a stale copy
+    serialize(session) {
+        const { user, ...data } = session;
+        return JSON.stringify(data);
+    }
+
+    async cleanupExpired() {
+        const db = getDatabase();
+        const result = await db.run("DELETE FROM bot_sessions WHERE expires_at < datetime('now')");
+        return result.changes;
+    }
+
+    // Sessions of one Telegram user (one per chat), newest first, for the admin /session command
+    async getUserSessions(telegramId) {
+        await this.flush();
+
+        const db = getDatabase();
+        const rows = await db.all(`
+            SELECT session_key, session_data, expires_at, created_at, updated_at,
+                   expires_at < datetime('now') AS expired
+            FROM bot_sessions
+            WHERE telegram_id = ?
+            ORDER BY updated_at DESC
+        `, [String(telegramId)]);
+
+        return rows.map(row => {
+            let data = null;
+            try {
+                data = JSON.parse(row.session_data);
+            } catch (error) {
+                // Shown as corrupt in the admin view
+            }
+            return {
+                key: row.session_key,
+                data,
+                expired: Boolean(row.expired),
+                expiresAt: row.expires_at,
+                createdAt: row.created_at,
+                updatedAt: row.updated_at
+            };
+        });
+    }
+
+    // Drop all of a user's sessions; their next update starts from defaultSession
+    async resetUser(telegramId) {
+        const prefix = `${telegramId}:`;
+        for (const key of this.pending.keys()) {
+            if (String(key).startsWith(prefix)) {
+                this.pending.delete(key);
+            }
+        }
+
+        await this.flush();
+
+        const db = getDatabase();
+        const result = await db.run('DELETE FROM bot_sessions WHERE telegram_id = ?', [String(telegramId)]);
+        console.log(`🧹 Reset ${result.changes} session(s) of user ${telegramId}`);
+        return result.changes;
+    }
+
+    async getStats() {
+        const db = getDatabase();
+        return db.get(`
+            SELECT COUNT(*) AS total,
+                   SUM(CASE WHEN expires_at < datetime('now') THEN 1 ELSE 0 END) AS expired,
+                   SUM(CASE WHEN updated_at >= datetime('now', '-1 hour') THEN 1 ELSE 0 END) AS active_hour
+            FROM bot_sessions
+        `);
+    }
+}
+
+module.exports = SessionStore;
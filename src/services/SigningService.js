@@ -0,0 +1,337 @@
+// src/services/SigningService.js
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../config/database');
+const { blockchainConfig } = require('../config/blockchain');
+const BlockchainService = require('./BlockchainService');
+
+// Contract events that complete a signing request of the given type
+const EVENT_REQUEST_TYPES = {
+    MemberRegistered: 'register',
+    PlanUpgraded: 'upgrade',
+    MemberExited: 'exit'
+};
+
+class SigningService {
+    constructor() {
+        this.blockchainService = BlockchainService.getInstance();
+    }
+
+    // A rejected transaction hash; the bot translates it from wallet.errors.<code>
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // Store an unsigned call for the user's wallet and track it in transactions
+    async createRequest(user, type, call, details = {}) {
+        try {
+            const db = getDatabase();
+            const requestId = uuidv4();
+            const ttlSeconds = Math.floor(blockchainConfig.signingSettings.requestTtl / 1000);
+
+            const txResult = await db.run(`
+                INSERT INTO transactions
+                (user_id, tx_hash, type, status, amount, plan_id, from_plan_id, to_plan_id)
+                VALUES (?, NULL, ?, 'awaiting_signature', ?, ?, ?, ?)
+            `, [
+                user.id,
+                type,
+                details.amount || '0',
+                details.planId || null,
+                details.fromPlanId || null,
+                details.toPlanId || null
+            ]);
+
+            await db.run(`
+                INSERT INTO signing_requests
+                (id, user_id, transaction_id, type, from_address, to_address, data, value,
+                 chain_id, gas_limit, metadata, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?))
+            `, [
+                requestId,
+                user.id,
+                txResult.lastID,
+                type,
+                call.from.toLowerCase(),
+                call.to.toLowerCase(),
+                call.data,
+                call.value || '0',
+                call.chainId,
+                call.gasLimit || null,
+                JSON.stringify(details),
+                `+${ttlSeconds} seconds`
+            ]);
+
+            console.log(`✍️ Signing request created: ${requestId} (${type}) for user ${user.telegram_id}`);
+
+            return {
+                ...(await this.getRequest(requestId)),
+                signingUrl: blockchainConfig.getSigningUrl(requestId)
+            };
+
+        } catch (error) {
+            console.error('❌ Error creating signing request:', error);
+            throw error;
+        }
+    }
+
+    // Get signing request by ID
+    async getRequest(requestId) {
+        try {
+            const db = getDatabase();
+            const request = await db.get(`
+                SELECT sr.*, u.telegram_id
+                FROM signing_requests sr
+                JOIN users u ON sr.user_id = u.id
+                WHERE sr.id = ?
+            `, [requestId]);
+
+            if (!request) {
+                return null;
+            }
+
+            request.metadata = request.metadata ? JSON.parse(request.metadata) : {};
+            request.isExpired = request.status === 'pending' &&
+                new Date(`${request.expires_at}Z`).getTime() < Date.now();
+
+            return request;
+
+        } catch (error) {
+            console.error('❌ Error getting signing request:', error);
+            return null;
+        }
+    }
+
+    // Record the hash the user's wallet returned after checking it matches the request
+    async submitTransactionHash(requestId, txHash) {
+        const request = await this.getRequest(requestId);
+
+        if (!request) {
+            throw this.createError('requestNotFound', 'Signing request not found');
+        }
+
+        if (request.status !== 'pending') {
+            throw this.createError('requestClosed', `Signing request is already ${request.status}`);
+        }
+
+        if (request.isExpired) {
+            throw this.createError('requestExpired', 'Signing request has expired, please start again');
+        }
+
+        if (!/^0x[a-fA-F0-9]{64}$/.test(txHash)) {
+            throw this.createError('invalidTxHash', 'Invalid transaction hash format');
+        }
+
+        const tx = await this.blockchainService.getTransaction(txHash);
+        if (!tx) {
+            throw this.createError('txNotFound', 'Transaction not found on the network yet, please try again in a moment');
+        }
+
+        if (tx.from.toLowerCase() !== request.from_address ||
+            (tx.to || '').toLowerCase() !== request.to_address ||
+            tx.data.toLowerCase() !== request.data.toLowerCase()) {
+            throw this.createError('txMismatch', 'Transaction does not match this signing request');
+        }
+
+        await this.markSubmitted(request, txHash.toLowerCase());
+
+        return this.getRequest(requestId);
+    }
+
+    // Attach a mined contract event to the member's latest unsigned request of the
+    // same type (including expired/cancelled ones the wallet signed late)
+    async linkEventTransaction(eventName, memberAddress, txHash) {
+        const type = EVENT_REQUEST_TYPES[eventName];
+        if (!type) {
+            return false;
+        }
+
+        try {
+            const db = getDatabase();
+            const hash = txHash.toLowerCase();
+
+            const alreadyTracked = await db.get(
+                'SELECT id FROM transactions WHERE tx_hash = ?',
+                [hash]
+            );
+            if (alreadyTracked) {
+                return false;
+            }
+
+            const request = await db.get(`
+                SELECT * FROM signing_requests
+                WHERE from_address = ? AND type = ? AND tx_hash IS NULL
+                  AND status IN ('pending', 'expired', 'cancelled')
+                ORDER BY created_at DESC
+                LIMIT 1
+            `, [memberAddress.toLowerCase(), type]);
+
+            if (!request) {
+                return false;
+            }
+
+            await this.markSubmitted(request, hash);
+            console.log(`🔗 Linked ${eventName} event to signing request ${request.id}`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error linking event to signing request:', error);
+            return false;
+        }
+    }
+
+    async markSubmitted(request, txHash) {
+        const db = getDatabase();
+
+        await db.run(`
+            UPDATE signing_requests
+            SET status = 'submitted', tx_hash = ?, submitted_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [txHash, request.id]);
+
+        await db.run(
+            'UPDATE transactions SET tx_hash = ?, status = ? WHERE id = ?',
+            [txHash, 'pending', request.transaction_id]
+        );
+
+        console.log(`📤 Signed transaction submitted: ${txHash} (request ${request.id})`);
+    }
+
+    // Poll USDT allowance for open approvals and hand settled ones to the caller
+    async checkPendingApprovals(onSettled) {
+        const db = getDatabase();
+        const approvals = await db.all(`
+            SELECT id FROM signing_requests
+            WHERE type = 'approve' AND status IN ('pending', 'submitted')
+              AND created_at > datetime('now', '-2 hours')
+            ORDER BY created_at
+        `);
+
+        for (const { id } of approvals) {
+            try {
+                const request = await this.getRequest(id);
+
+                if (request.tx_hash) {
+                    const receipt = await this.blockchainService.getTransactionReceipt(request.tx_hash);
+                    if (receipt && receipt.status === 0) {
+                        await this.settleApproval(request, 'failed', 'Approval transaction reverted');
+                        await onSettled({ ...request, status: 'failed' });
+                        continue;
+                    }
+                }
+
+                if (!(await this.hasApprovedAmount(request))) {
+                    continue;
+                }
+
+                await this.settleApproval(request, 'confirmed');
+                console.log(`✅ USDT approval confirmed for request ${request.id}`);
+                await onSettled({ ...request, status: 'confirmed' });
+
+            } catch (error) {
+                console.error(`❌ Error checking approval ${id}:`, error.message);
+            }
+        }
+    }
+
+    async hasApprovedAmount(request) {
+        const allowance = await this.blockchainService.getAllowance(request.from_address);
+        return allowance >= BigInt(request.metadata.amount);
+    }
+
+    async settleApproval(request, status, reason = null) {
+        const db = getDatabase();
+
+        await db.run(
+            'UPDATE signing_requests SET status = ? WHERE id = ?',
+            [status, request.id]
+        );
+
+        await db.run(`
+            UPDATE transactions
+            SET status = ?, error_message = ?,
+                confirmed_at = CASE WHEN ? = 'confirmed' THEN CURRENT_TIMESTAMP ELSE confirmed_at END
+            WHERE id = ?
+        `, [status, reason, status, request.transaction_id]);
+    }
+
+    // Cancel a request the user abandoned
+    async cancelRequest(requestId) {
+        return this.closeRequests('id = ?', [requestId], 'cancelled', 'Signing cancelled by user');
+    }
+
+    // Expire requests nobody signed in time. An approval may have been signed on-chain without
+    // the hash being reported back, so the allowance is checked first and a sufficient one is
+    // confirmed and handed to onApprovalSettled (the same callback as checkPendingApprovals).
+    async expireStaleRequests(onApprovalSettled = null) {
+        const db = getDatabase();
+        const approvals = await db.all(`
+            SELECT id FROM signing_requests
+            WHERE type = 'approve' AND status = 'pending' AND expires_at < datetime('now')
+        `);
+
+        // Left pending when the allowance could not be read, and checked again next time
+        const unchecked = [];
+
+        for (const { id } of approvals) {
+            try {
+                const request = await this.getRequest(id);
+                if (!(await this.hasApprovedAmount(request))) {
+                    continue;
+                }
+
+                await this.settleApproval(request, 'confirmed');
+                console.log(`✅ USDT approval confirmed for unreported request ${request.id}`);
+                if (onApprovalSettled) {
+                    await onApprovalSettled({ ...request, status: 'confirmed' });
+                }
+            } catch (error) {
+                console.error(`❌ Error checking approval ${id} before expiring it:`, error.message);
+                unchecked.push(id);
+            }
+        }
+
+        const expired = await this.closeRequests(
+            `expires_at < datetime('now') AND id NOT IN (${unchecked.map(() => '?').join(', ')})`,
+            unchecked,
+            'expired',
+            'Signing request expired'
+        );
+
+        if (expired > 0) {
+            console.log(`⌛ Expired ${expired} signing requests`);
+        }
+
+        return expired;
+    }
+
+    async closeRequests(condition, params, status, reason) {
+        try {
+            const db = getDatabase();
+            const requests = await db.all(
+                `SELECT id, transaction_id FROM signing_requests WHERE status = 'pending' AND ${condition}`,
+                params
+            );
+
+            for (const request of requests) {
+                await db.run(
+                    'UPDATE signing_requests SET status = ? WHERE id = ?',
+                    [status, request.id]
+                );
+                await db.run(
+                    'UPDATE transactions SET status = ?, error_message = ? WHERE id = ?',
+                    ['failed', reason, request.transaction_id]
+                );
+            }
+
+            return requests.length;
+
+        } catch (error) {
+            console.error(`❌ Error marking signing requests ${status}:`, error);
+            return 0;
+        }
+    }
+}
+
+module.exports = SigningService;
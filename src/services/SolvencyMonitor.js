@@ -0,0 +1,265 @@
+// src/services/SolvencyMonitor.js
+const AlertSystem = require('../utils/alerts');
+const { getDatabase } = require('../config/database');
+const { blockchainConfig } = require('../config/blockchain');
+const { formatNumber } = require('../utils/formatting');
+
+// Periodically compares the USDT the contract holds with what its own accounting says it owes
+// (the owner, fee and fund buckets from getSystemStats) and keeps the result in
+// solvency_snapshots. Severity comes from AlertSystem.thresholds.reserveDrift; admins are paged
+// when it gets worse or recovers, and on every ContractBalanceAlert event.
+class SolvencyMonitor {
+    constructor(blockchainService) {
+        this.blockchainService = blockchainService;
+        this.settings = blockchainConfig.solvencySettings;
+        this.lastCheckAt = 0;
+        this.pendingSource = null; // Set by fund events to check before the next scheduled run
+        this.running = false;
+    }
+
+    registerHandlers(eventService) {
+        eventService.registerHandler('ContractBalanceAlert', (event, notifications) => this.onBalanceAlert(event, notifications));
+        eventService.registerHandler('FundBalanceUpdated', () => this.onFundsMoved());
+        eventService.registerHandler('FundsDistributed', () => this.onFundsMoved());
+    }
+
+    // The contract itself found its balance short of what it expected
+    onBalanceAlert(event, notifications) {
+        const { expected, actual, difference } = event.args;
+        const format = (amount) => `${formatNumber(parseFloat(this.blockchainService.formatTokenAmount(amount)))} USDT`;
+
+        this.pendingSource = 'balance_alert';
+
+        notifications.push({
+            admins: true,
+            message: `🚨 **Contract Balance Alert**
+
+The contract reported its USDT balance does not cover its accounting.
+
+• Expected: ${format(expected)}
+• Actual: ${format(actual)}
+• Difference: ${format(difference)}
+
+**Block:** ${event.blockNumber}
+**Hash:** \`${event.transactionHash}\``
+        });
+
+        notifications.push({
+            solvencyAlert: {
+                severity: 'critical',
+                details: `ContractBalanceAlert in block ${event.blockNumber}: expected ${format(expected)}, actual ${format(actual)}.`
+            }
+        });
+    }
+
+    onFundsMoved() {
+        if (!this.pendingSource) {
+            this.pendingSource = 'funds_moved';
+        }
+    }
+
+    // Called every pollInterval: checks when the interval is up or funds moved since the last check
+    async tick() {
+        if (!this.blockchainService.nftContract || !this.blockchainService.usdtContract) {
+            return;
+        }
+
+        const due = Date.now() - this.lastCheckAt >= this.settings.interval;
+        if (due || this.pendingSource) {
+            await this.check(this.pendingSource || 'scheduled');
+        }
+    }
+
+    // Take a snapshot, store it and tell admins when the severity changed. Null when a check is already running.
+    async check(source = 'manual') {
+        if (this.running) {
+            return null;
+        }
+
+        this.running = true;
+        this.pendingSource = null;
+
+        try {
+            const snapshot = await this.takeSnapshot(source);
+            const previous = await this.getLatestSnapshot();
+
+            const db = getDatabase();
+            const result = await db.run(`
+                INSERT INTO solvency_snapshots (
+                    block_number, source, usdt_balance, owner_funds, fee_funds, fund_funds, accounted_total,
+                    contract_expected, contract_valid, drift, drift_percent, severity
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                snapshot.blockNumber,
+                source,
+                snapshot.usdtBalance.toString(),
+                snapshot.ownerFunds.toString(),
+                snapshot.feeFunds.toString(),
+                snapshot.fundFunds.toString(),
+                snapshot.accountedTotal.toString(),
+                snapshot.contractExpected === null ? null : snapshot.contractExpected.toString(),
+                snapshot.contractValid === null ? null : (snapshot.contractValid ? 1 : 0),
+                snapshot.drift.toString(),
+                snapshot.driftPercent,
+                snapshot.severity
+            ]);
+            snapshot.id = result.lastID;
+
+            await db.run(
+                "DELETE FROM solvency_snapshots WHERE created_at < datetime('now', ?)",
+                [`-${this.settings.retentionDays} days`]
+            );
+
+            this.lastCheckAt = Date.now();
+
+            const notifications = this.compareWithPrevious(previous, snapshot);
+            await this.blockchainService.eventService.dispatchNotifications(notifications);
+
+            return snapshot;
+
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Every value read in one block so the balance and the buckets agree with each other
+    async takeSnapshot(source) {
+        const { nftContract, usdtContract } = this.blockchainService;
+
+        await this.blockchainService.checkRateLimit();
+        const blockNumber = await this.blockchainService.provider.getBlockNumber();
+
+        const [balance, stats, validation] = await this.blockchainService.multicall([
+            { contract: usdtContract, method: 'balanceOf', args: [nftContract.target] },
+            { contract: nftContract, method: 'getSystemStats' },
+            { contract: nftContract, method: 'validateContractBalance' }
+        ], blockNumber);
+
+        if (!balance.success || !stats.success) {
+            throw (balance.error || stats.error);
+        }
+
+        const usdtBalance = BigInt(balance.result);
+        const ownerFunds = BigInt(stats.result.ownerFunds);
+        const feeFunds = BigInt(stats.result.feeFunds);
+        const fundFunds = BigInt(stats.result.fundFunds);
+        const accountedTotal = ownerFunds + feeFunds + fundFunds;
+        const drift = usdtBalance - accountedTotal;
+
+        // Two decimals of a percent; nothing accounted means nothing can be short
+        const driftPercent = accountedTotal > 0n ? Number((drift * 10000n) / accountedTotal) / 100 : 0;
+
+        // validateContractBalance() returns (isValid, expected, actual)
+        const contractValid = validation.success ? Boolean(validation.result[0]) : null;
+        const contractExpected = validation.success ? BigInt(validation.result[1]) : null;
+
+        return {
+            blockNumber,
+            source,
+            usdtBalance,
+            ownerFunds,
+            feeFunds,
+            fundFunds,
+            accountedTotal,
+            contractExpected,
+            contractValid,
+            drift,
+            driftPercent,
+            severity: AlertSystem.getInstance().getSolvencySeverity(driftPercent, contractValid)
+        };
+    }
+
+    compareWithPrevious(previous, snapshot) {
+        const rank = { ok: 0, warning: 1, critical: 2 };
+        const before = previous ? previous.severity : 'ok';
+        const notifications = [];
+
+        if (rank[snapshot.severity] > rank[before]) {
+            notifications.push({
+                admins: true,
+                message: `${snapshot.severity === 'critical' ? '🔴' : '⚠️'} **Contract Reserves ${snapshot.severity === 'critical' ? 'Critically Short' : 'Drifting'}**
+
+${this.formatSnapshot(snapshot)}
+
+**Block:** ${snapshot.blockNumber}`
+            });
+
+            notifications.push({
+                solvencyAlert: {
+                    severity: snapshot.severity,
+                    details: `USDT balance ${this.formatAmount(snapshot.usdtBalance)} vs ${this.formatAmount(snapshot.accountedTotal)} accounted (${snapshot.driftPercent}%)` +
+                        `${snapshot.contractValid === false ? ', validateContractBalance() failed' : ''} at block ${snapshot.blockNumber}.`
+                }
+            });
+
+        } else if (snapshot.severity === 'ok' && before !== 'ok') {
+            notifications.push({
+                admins: true,
+                message: `✅ **Contract Reserves Recovered**
+
+${this.formatSnapshot(snapshot)}`
+            });
+        }
+
+        return notifications;
+    }
+
+    formatSnapshot(snapshot) {
+        const sign = snapshot.driftPercent > 0 ? '+' : '';
+        let text = `• USDT Balance: ${this.formatAmount(snapshot.usdtBalance)}
+• Accounted: ${this.formatAmount(snapshot.accountedTotal)} (owner ${this.formatAmount(snapshot.ownerFunds)}, fee ${this.formatAmount(snapshot.feeFunds)}, fund ${this.formatAmount(snapshot.fundFunds)})
+• Drift: ${sign}${this.formatAmount(snapshot.drift)} (${sign}${snapshot.driftPercent}%)`;
+
+        if (snapshot.contractValid !== null) {
+            text += `\n• validateContractBalance: ${snapshot.contractValid ? '✅ valid' : '❌ invalid'}`;
+        }
+        return text;
+    }
+
+    formatAmount(amount) {
+        const value = BigInt(amount);
+        const formatted = formatNumber(parseFloat(this.blockchainService.formatTokenAmount(value < 0n ? -value : value)));
+        return `${value < 0n ? '-' : ''}${formatted} USDT`;
+    }
+
+    async getLatestSnapshot() {
+        const db = getDatabase();
+        return db.get('SELECT * FROM solvency_snapshots ORDER BY id DESC LIMIT 1');
+    }
+
+    // Latest snapshot plus the lowest drift over the last day, for the admin panel; null before the first check
+    async getStatus() {
+        const latest = await this.getLatestSnapshot();
+        if (!latest) {
+            return null;
+        }
+
+        const db = getDatabase();
+        const day = await db.get(`
+            SELECT MIN(drift_percent) as min_drift_percent, COUNT(*) as checks
+            FROM solvency_snapshots
+            WHERE created_at >= datetime('now', '-1 day')
+        `);
+
+        return {
+            id: latest.id,
+            blockNumber: latest.block_number,
+            source: latest.source,
+            usdtBalance: BigInt(latest.usdt_balance),
+            ownerFunds: BigInt(latest.owner_funds),
+            feeFunds: BigInt(latest.fee_funds),
+            fundFunds: BigInt(latest.fund_funds),
+            accountedTotal: BigInt(latest.accounted_total),
+            contractExpected: latest.contract_expected === null ? null : BigInt(latest.contract_expected),
+            contractValid: latest.contract_valid === null ? null : Boolean(latest.contract_valid),
+            drift: BigInt(latest.drift),
+            driftPercent: latest.drift_percent,
+            severity: latest.severity,
+            createdAt: latest.created_at,
+            minDriftPercent24h: day.min_drift_percent,
+            checks24h: day.checks
+        };
+    }
+}
+
+module.exports = SolvencyMonitor;
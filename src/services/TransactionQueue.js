@@ -0,0 +1,779 @@
+// src/services/TransactionQueue.js
+const { ethers } = require('ethers');
+const { getDatabase } = require('../config/database');
+const { blockchainConfig } = require('../config/blockchain');
+const { decodeContractError } = require('../utils/contractErrors');
+const { GasPriceTooHighError } = require('./GasStrategy');
+
+// Persistent outbound queue for the operator wallet. Jobs are signed and broadcast one
+// at a time with nonces tracked locally, so concurrent member actions never race for
+// the same nonce. Job status: queued -> signed -> sent -> mined (or failed/cancelled); the
+// linked transactions row goes queued -> pending (sent) -> confirmed (once the event is final).
+// A job whose nonce was used while no receipt was found is 'unknown' and is never re-sent: it
+// may have been mined all the same, and sending the call again would run it twice.
+// Sent jobs stuck behind a rising gas price are replaced at the same nonce with a higher one.
+// Fees and gas limits come from the network's gas strategy (BlockchainService.gasStrategy).
+class TransactionQueue {
+    constructor(blockchainService) {
+        this.blockchainService = blockchainService;
+        this.nextNonce = null;
+        this.recovered = false;
+        this.processing = false;
+        this.rerunRequested = false;
+        this.gapNonces = [];
+        this.failureListener = null;
+        this.waitingForGas = false;
+    }
+
+    // Called with (job, reason) whenever a job ends up failed, so the member can be told
+    onJobFailed(listener) {
+        this.failureListener = listener;
+    }
+
+    // Store a contract call built by buildContractCall and start sending it
+    async enqueue(userAddress, type, call, details = {}) {
+        const db = getDatabase();
+
+        // Owner calls from the admin panel (userAddress null) have no member transaction row
+        let transactionId = null;
+        if (userAddress) {
+            const user = await db.get(
+                'SELECT id FROM users WHERE wallet_address = ?',
+                [userAddress]
+            );
+            if (!user) {
+                throw new Error('User not found for wallet');
+            }
+
+            const txResult = await db.run(`
+                INSERT INTO transactions
+                (user_id, tx_hash, type, status, amount, plan_id, from_plan_id, to_plan_id)
+                VALUES (?, NULL, ?, 'queued', ?, ?, ?, ?)
+            `, [
+                user.id,
+                type,
+                details.amount || '0',
+                details.planId || null,
+                details.fromPlanId || null,
+                details.toPlanId || null
+            ]);
+            transactionId = txResult.lastID;
+        }
+
+        const { lastID: jobId } = await db.run(`
+            INSERT INTO tx_queue (transaction_id, type, method, to_address, data, value, gas_limit)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            transactionId,
+            type,
+            call.method,
+            call.to,
+            call.data,
+            call.value || '0',
+            call.gasLimit || null
+        ]);
+
+        console.log(`📥 Queued ${call.method} job #${jobId} for ${userAddress || 'the contract owner'}`);
+
+        // Send right away unless the worker is already busy; it picks the job up in order
+        this.processQueue();
+
+        return this.getJob(jobId);
+    }
+
+    async getJob(jobId) {
+        const db = getDatabase();
+        const job = await db.get('SELECT * FROM tx_queue WHERE id = ?', [jobId]);
+
+        if (job && job.status === 'queued') {
+            const { ahead } = await db.get(
+                "SELECT COUNT(*) as ahead FROM tx_queue WHERE status IN ('queued', 'signed') AND id < ?",
+                [jobId]
+            );
+            job.position = ahead + 1;
+        }
+
+        return job;
+    }
+
+    // Jobs not yet mined, oldest nonce first, for the admin view
+    async getInFlightJobs(limit = 10) {
+        const db = getDatabase();
+        return db.all(`
+            SELECT * FROM tx_queue
+            WHERE status IN ('queued', 'signed', 'sent', 'unknown')
+            ORDER BY CASE WHEN nonce IS NULL THEN 1 ELSE 0 END, nonce, id
+            LIMIT ?
+        `, [limit]);
+    }
+
+    // Job counts by status, for the admin view
+    async getSummary() {
+        const db = getDatabase();
+        const rows = await db.all('SELECT status, COUNT(*) as count FROM tx_queue GROUP BY status');
+
+        const summary = { queued: 0, signed: 0, sent: 0, unknown: 0, mined: 0, failed: 0, cancelled: 0, nextNonce: this.nextNonce };
+        for (const row of rows) {
+            summary[row.status] = row.count;
+        }
+        return summary;
+    }
+
+    // Single sequential worker: settle sent jobs, then sign and broadcast the rest in order.
+    // Safe to call from timers and enqueue(); overlapping calls return immediately.
+    async processQueue() {
+        if (!this.blockchainService.wallet) {
+            return;
+        }
+
+        if (this.processing) {
+            this.rerunRequested = true;
+            return;
+        }
+
+        this.processing = true;
+
+        try {
+            if (!this.recovered) {
+                await this.recover();
+            } else {
+                await this.settleJobs();
+            }
+
+            await this.speedUpStuckJobs();
+
+            let blocked = false;
+            for (;;) {
+                const job = await this.getNextJob();
+                if (!job) {
+                    break;
+                }
+
+                // Stop at the first job that could not be sent so later nonces never skip it
+                if (!(await this.sendJob(job))) {
+                    blocked = true;
+                    break;
+                }
+            }
+
+            if (!blocked) {
+                await this.fillNonceGaps();
+            }
+
+        } catch (error) {
+            console.error('❌ Transaction queue error:', error);
+
+        } finally {
+            this.processing = false;
+        }
+
+        // A job queued while this run was finishing up
+        if (this.rerunRequested) {
+            this.rerunRequested = false;
+            await this.processQueue();
+        }
+    }
+
+    // Run an admin action on a job without racing the worker (same idea as withIndexerLock)
+    async runExclusive(fn, timeoutMs = 60 * 1000) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (this.processing) {
+            if (Date.now() > deadline) {
+                throw new Error('Timed out waiting for the transaction queue');
+            }
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+
+        this.processing = true;
+
+        try {
+            return await fn();
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    // Admin-triggered: replace a pending job with a zero-value transfer to ourselves at the
+    // same nonce. A job that was never signed is simply dropped from the queue.
+    async cancelJob(jobId, triggeredBy) {
+        return this.runExclusive(async () => {
+            const job = await this.getJob(jobId);
+
+            if (!job) {
+                throw new Error(`Queue job #${jobId} not found`);
+            }
+
+            if (job.status === 'queued') {
+                await this.failJob(job, 'Cancelled by admin', null, 'cancelled');
+            } else if (['signed', 'sent'].includes(job.status)) {
+                await this.replaceJob(job, { cancel: true, triggeredBy });
+            } else {
+                throw new Error(`Queue job #${jobId} is already ${job.status}`);
+            }
+
+            return this.getJob(jobId);
+        });
+    }
+
+    // Admin-triggered speed-up, without waiting for the job to count as stuck
+    async speedUpJob(jobId, triggeredBy) {
+        return this.runExclusive(async () => {
+            const job = await this.getJob(jobId);
+
+            if (!job || job.status !== 'sent') {
+                throw new Error(`Queue job #${jobId} is not waiting to be mined`);
+            }
+
+            await this.replaceJob(job, { triggeredBy });
+            return this.getJob(jobId);
+        });
+    }
+
+    // Signed jobs hold the lowest outstanding nonces, so they go first
+    async getNextJob() {
+        const db = getDatabase();
+        return db.get(`
+            SELECT * FROM tx_queue
+            WHERE status IN ('signed', 'queued')
+            ORDER BY CASE status WHEN 'signed' THEN 0 ELSE 1 END, nonce, id
+            LIMIT 1
+        `);
+    }
+
+    // Rebuild the nonce state after a restart: settle what was mined, set aside jobs whose nonce
+    // was used without a receipt, and note unused nonces below in-flight jobs so they get filled
+    async recover() {
+        const db = getDatabase();
+
+        await this.settleJobs(['signed', 'sent', 'unknown']);
+
+        const latestNonce = await this.getChainNonce('latest');
+        const pendingNonce = await this.getChainNonce('pending');
+
+        const open = await db.all(
+            "SELECT nonce FROM tx_queue WHERE status IN ('signed', 'sent') ORDER BY nonce"
+        );
+
+        this.gapNonces = [];
+        let expectedNonce = latestNonce;
+        for (const { nonce } of open) {
+            for (let gap = expectedNonce; gap < nonce; gap++) {
+                this.gapNonces.push(gap);
+            }
+            expectedNonce = Math.max(expectedNonce, nonce + 1);
+        }
+
+        this.nextNonce = Math.max(expectedNonce, pendingNonce);
+        this.recovered = true;
+
+        console.log(`🔢 Transaction queue recovered: next nonce ${this.nextNonce}, ${open.length} in flight, ${this.gapNonces.length} gap(s)`);
+    }
+
+    // Move in-flight jobs to mined/failed from their receipts. A job whose nonce was consumed
+    // without its receipt is marked unknown (see checkUnknownJob); a sent one that dropped out
+    // of the mempool is rebroadcast with the same signed bytes.
+    async settleJobs(statuses = ['sent', 'unknown']) {
+        const db = getDatabase();
+        const jobs = await db.all(
+            `SELECT * FROM tx_queue WHERE status IN (${statuses.map(() => '?').join(', ')}) ORDER BY nonce`,
+            statuses
+        );
+        if (jobs.length === 0) {
+            return;
+        }
+
+        const latestNonce = await this.getChainNonce('latest');
+
+        for (const job of jobs) {
+            if (job.status === 'unknown') {
+                await this.checkUnknownJob(job);
+                continue;
+            }
+
+            const receipt = await this.findReceipt(job);
+
+            if (receipt) {
+                await this.markMined(job, receipt);
+            } else if (job.nonce < latestNonce) {
+                await this.markUnknown(job);
+            } else if (job.status === 'sent' && !(await this.blockchainService.getTransaction(job.tx_hash))) {
+                await db.run("UPDATE tx_queue SET status = 'signed' WHERE id = ?", [job.id]);
+                console.warn(`⚠️ Queue job #${job.id} dropped from the mempool, rebroadcasting`);
+            }
+        }
+    }
+
+    // The job's nonce was used but none of its versions has a receipt. That is either another
+    // transaction at the nonce or a receipt the endpoint has not served yet, so nothing is sent
+    // until checkUnknownJob settles it.
+    async markUnknown(job) {
+        const db = getDatabase();
+        await this.blockchainService.checkRateLimit();
+        const blockNumber = await this.blockchainService.provider.getBlockNumber();
+
+        await db.run(
+            "UPDATE tx_queue SET status = 'unknown', unknown_since_block = ?, error_message = ? WHERE id = ?",
+            [blockNumber, `Nonce ${job.nonce} was used before a receipt was found`, job.id]
+        );
+
+        console.warn(`⚠️ Queue job #${job.id} nonce ${job.nonce} used without a receipt, checking again before failing it`);
+    }
+
+    // Settle an unknown job with the nonce and every receipt read from the same endpoint. It is
+    // failed only once that endpoint is unknownConfirmBlocks past the block it was marked at and
+    // still has no receipt for any version of the job; its call is never sent again.
+    async checkUnknownJob(job) {
+        const db = getDatabase();
+        const { unknownConfirmBlocks } = blockchainConfig.queueSettings;
+        const { address } = this.blockchainService.wallet;
+
+        const { blockNumber, latestNonce, receipt } = await this.readPinned(async (provider) => ({
+            blockNumber: await provider.getBlockNumber(),
+            latestNonce: await provider.getTransactionCount(address, 'latest'),
+            receipt: await this.findReceipt(job, provider)
+        }));
+
+        if (receipt) {
+            await this.markMined(job, receipt);
+        } else if (job.nonce >= latestNonce) {
+            // The endpoint that reported the nonce as used was ahead of this one (or wrong): back
+            // to waiting for the signed bytes, which are rebroadcast if they were dropped
+            await db.run(
+                `UPDATE tx_queue
+                 SET status = 'sent', unknown_since_block = NULL, error_message = NULL, sent_at = COALESCE(sent_at, CURRENT_TIMESTAMP)
+                 WHERE id = ?`,
+                [job.id]
+            );
+        } else if (blockNumber >= job.unknown_since_block + unknownConfirmBlocks) {
+            if (job.cancel_requested_at) {
+                await this.failJob(job, 'Cancelled by admin', null, 'cancelled');
+            } else {
+                await this.failJob(job, `Nonce ${job.nonce} was used by another transaction`);
+            }
+        }
+    }
+
+    // Receipt for whichever version of the job (original or a same-nonce replacement) was mined,
+    // looked up on the given endpoint or through the pool
+    async findReceipt(job, provider = null) {
+        const db = getDatabase();
+        const replaced = await db.all(
+            'SELECT replaced_tx_hash FROM tx_replacements WHERE job_id = ? ORDER BY id DESC',
+            [job.id]
+        );
+
+        for (const txHash of [job.tx_hash, ...replaced.map(row => row.replaced_tx_hash)]) {
+            const receipt = provider ?
+                await provider.getTransactionReceipt(txHash) :
+                await this.blockchainService.getTransactionReceipt(txHash);
+            if (receipt) {
+                return receipt;
+            }
+        }
+
+        return null;
+    }
+
+    // Replace sent jobs that have waited longer than stuckAfter and are priced below the network
+    async speedUpStuckJobs() {
+        const db = getDatabase();
+        const { stuckAfter } = blockchainConfig.queueSettings;
+        const { gasStrategy } = this.blockchainService;
+
+        const jobs = await db.all(`
+            SELECT * FROM tx_queue
+            WHERE status = 'sent' AND sent_at < datetime('now', ?)
+            ORDER BY nonce
+        `, [`-${Math.floor(stuckAfter / 1000)} seconds`]);
+        if (jobs.length === 0) {
+            return;
+        }
+
+        let marketFees;
+        try {
+            marketFees = await this.getFees();
+        } catch (error) {
+            if (error instanceof GasPriceTooHighError) {
+                return; // Nothing can outbid the market without breaking the cap
+            }
+            throw error;
+        }
+
+        for (const job of jobs) {
+            // Priced at the market (just slow)
+            if (!gasStrategy.isUnderpriced(this.getJobFees(job), marketFees)) {
+                continue;
+            }
+
+            try {
+                await this.replaceJob(job, { triggeredBy: 'auto', marketFees });
+            } catch (error) {
+                // Already bid up to the configured maximum
+                if (!(error instanceof GasPriceTooHighError)) {
+                    console.error(`❌ Speed-up of queue job #${job.id} failed:`, error.message);
+                }
+            }
+        }
+    }
+
+    // Re-sign a job at its nonce with fees bumped by the gas strategy (which refuses to go past
+    // the configured maximum). The replacement is stored before it is broadcast (as in signJob)
+    // and undone if the node rejects it; the transactions row follows speed-ups so the indexer
+    // matches the new hash.
+    async replaceJob(job, { cancel = false, triggeredBy = 'auto', marketFees = null } = {}) {
+        const db = getDatabase();
+        const { wallet, provider, gasStrategy } = this.blockchainService;
+        const isCancel = cancel || Boolean(job.cancel_requested_at);
+
+        let market = marketFees;
+        if (!market) {
+            try {
+                market = await this.getFees();
+            } catch (error) {
+                if (!(error instanceof GasPriceTooHighError)) {
+                    throw error;
+                }
+                // The bump alone may still fit under the cap
+                market = this.getJobFees(job);
+            }
+        }
+
+        const fees = gasStrategy.bump(this.getJobFees(job), market, blockchainConfig.queueSettings.gasBumpPercent);
+        const gasPrice = gasStrategy.getPrice(fees);
+
+        const call = isCancel ?
+            { to: wallet.address, data: '0x', value: 0n, gasLimit: 21000n } :
+            { to: job.to_address, data: job.data, value: BigInt(job.value || '0'), gasLimit: BigInt(job.gas_limit) };
+
+        const rawTx = await wallet.signTransaction({
+            ...call,
+            ...gasStrategy.toTransactionFields(fees),
+            nonce: job.nonce,
+            chainId: this.blockchainService.chainId
+        });
+        const txHash = ethers.Transaction.from(rawTx).hash;
+
+        const { lastID: replacementId } = await db.run(`
+            INSERT INTO tx_replacements (job_id, transaction_id, kind, replaced_tx_hash, tx_hash, gas_price, triggered_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [job.id, job.transaction_id, isCancel ? 'cancel' : 'speed_up', job.tx_hash, txHash, gasPrice.toString(), triggeredBy]);
+
+        await db.run(`
+            UPDATE tx_queue
+            SET raw_tx = ?, tx_hash = ?, gas_price = ?, fees = ?, replacements = replacements + 1,
+                cancel_requested_at = CASE WHEN ? THEN COALESCE(cancel_requested_at, CURRENT_TIMESTAMP) END
+            WHERE id = ?
+        `, [rawTx, txHash, gasPrice.toString(), gasStrategy.serialize(fees), isCancel ? 1 : 0, job.id]);
+
+        try {
+            await this.blockchainService.checkRateLimit();
+            await provider.broadcastTransaction(rawTx);
+        } catch (error) {
+            await db.run('DELETE FROM tx_replacements WHERE id = ?', [replacementId]);
+            await db.run(
+                'UPDATE tx_queue SET raw_tx = ?, tx_hash = ?, gas_price = ?, fees = ?, replacements = replacements - 1, cancel_requested_at = ? WHERE id = ?',
+                [job.raw_tx, job.tx_hash, job.gas_price, job.fees, job.cancel_requested_at, job.id]
+            );
+
+            // One of the versions was mined in the meantime; the next settle picks it up
+            if (this.isNonceExpired(error)) {
+                throw new Error(`Queue job #${job.id} was already mined`);
+            }
+            throw error;
+        }
+
+        await db.run(
+            "UPDATE tx_queue SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [job.id]
+        );
+
+        if (!isCancel) {
+            await db.run(
+                'UPDATE transactions SET tx_hash = ?, gas_price = ?, retry_count = retry_count + 1 WHERE id = ?',
+                [txHash, gasPrice.toString(), job.transaction_id]
+            );
+        }
+
+        console.log(`${isCancel ? '🛑 Cancel' : '⚡ Speed-up'} for queue job #${job.id} sent: ${txHash} (nonce ${job.nonce}, ${ethers.formatUnits(gasPrice, 'gwei')} gwei)`);
+
+        return { txHash, gasPrice };
+    }
+
+    // Unused nonces below in-flight jobs block everything after them. Queued jobs take them
+    // first; any left once the queue is empty get a zero-value transfer to ourselves.
+    async fillNonceGaps() {
+        const { wallet, provider, gasStrategy } = this.blockchainService;
+        const latestNonce = await this.getChainNonce('latest');
+
+        while (this.gapNonces.length > 0) {
+            const nonce = this.gapNonces[0];
+
+            if (nonce >= latestNonce) {
+                try {
+                    const rawTx = await wallet.signTransaction({
+                        ...gasStrategy.toTransactionFields(await this.getFees()),
+                        to: wallet.address,
+                        value: 0n,
+                        nonce,
+                        gasLimit: 21000n,
+                        chainId: this.blockchainService.chainId
+                    });
+
+                    await this.blockchainService.checkRateLimit();
+                    await provider.broadcastTransaction(rawTx);
+                    console.log(`🧩 Filled nonce gap ${nonce}`);
+                } catch (error) {
+                    if (!this.isNonceExpired(error)) {
+                        console.error(`❌ Failed to fill nonce gap ${nonce}:`, error.message);
+                        return; // Retry on the next run
+                    }
+                }
+            }
+
+            this.gapNonces.shift();
+        }
+    }
+
+    // Sign (if needed) and broadcast one job; false means stop and retry on the next run
+    async sendJob(job) {
+        const db = getDatabase();
+
+        try {
+            if (job.status === 'queued') {
+                job = await this.signJob(job);
+                if (!job) {
+                    return true; // Rejected by the contract, nothing was signed
+                }
+            }
+
+            await this.blockchainService.checkRateLimit();
+            await this.blockchainService.provider.broadcastTransaction(job.raw_tx);
+
+        } catch (error) {
+            if (error instanceof GasPriceTooHighError) {
+                return this.waitForGas(job, error);
+            } else if (this.isAlreadyKnown(error)) {
+                // A previous broadcast made it after all
+            } else if (this.isNonceExpired(error)) {
+                const receipt = await this.findReceipt(job);
+                if (!receipt) {
+                    await this.markUnknown(job);
+                    this.nextNonce = Math.max(this.nextNonce, await this.getChainNonce('pending'));
+                    return true;
+                }
+            } else {
+                return this.recordAttemptFailure(job, error);
+            }
+        }
+
+        await db.run(
+            "UPDATE tx_queue SET status = 'sent', error_message = NULL, sent_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [job.id]
+        );
+        await db.run(
+            "UPDATE transactions SET status = 'pending' WHERE id = ? AND status = 'queued'",
+            [job.transaction_id]
+        );
+
+        console.log(`📤 ${job.method} transaction sent: ${job.tx_hash} (job #${job.id}, nonce ${job.nonce})`);
+        this.waitingForGas = false;
+        return true;
+    }
+
+    // Fees are above the configured maximum: keep the job queued without using up an attempt
+    async waitForGas(job, error) {
+        const db = getDatabase();
+
+        await db.run('UPDATE tx_queue SET error_message = ? WHERE id = ?', [error.message, job.id]);
+
+        if (!this.waitingForGas) {
+            console.warn(`⛽ Queue paused, job #${job.id} waiting for gas: ${error.message}`);
+            this.waitingForGas = true;
+        }
+
+        return false;
+    }
+
+    // Take the next local nonce and persist the signed transaction before it is broadcast,
+    // so a crash in between can be recovered by rebroadcasting the same bytes
+    async signJob(job) {
+        const db = getDatabase();
+        const { wallet, provider, gasStrategy } = this.blockchainService;
+
+        // Checked first so a job waiting for cheaper gas costs no estimate calls
+        const fees = await this.getFees();
+
+        let gasEstimate;
+        try {
+            await this.blockchainService.checkRateLimit();
+            gasEstimate = await provider.estimateGas({
+                from: wallet.address,
+                to: job.to_address,
+                data: job.data,
+                value: BigInt(job.value || '0')
+            });
+        } catch (error) {
+            // State changed since the job was queued; the call would revert on-chain
+            const contractError = decodeContractError(error, this.blockchainService.nftContract.interface);
+            if (!contractError && error.code !== 'CALL_EXCEPTION') {
+                throw error;
+            }
+            await this.failJob(job, contractError ? contractError.message : (error.shortMessage || error.message));
+            return null;
+        }
+
+        const gasLimit = gasStrategy.getGasLimit(gasEstimate, job.type);
+        const gasPrice = gasStrategy.getPrice(fees);
+
+        const nonce = this.gapNonces.length > 0 ? this.gapNonces[0] : this.nextNonce;
+        const rawTx = await wallet.signTransaction({
+            to: job.to_address,
+            data: job.data,
+            value: BigInt(job.value || '0'),
+            ...gasStrategy.toTransactionFields(fees),
+            nonce,
+            gasLimit,
+            chainId: this.blockchainService.chainId
+        });
+        const txHash = ethers.Transaction.from(rawTx).hash;
+
+        await db.run(`
+            UPDATE tx_queue
+            SET status = 'signed', nonce = ?, raw_tx = ?, tx_hash = ?, gas_limit = ?, gas_price = ?, fees = ?
+            WHERE id = ?
+        `, [nonce, rawTx, txHash, gasLimit.toString(), gasPrice.toString(), gasStrategy.serialize(fees), job.id]);
+
+        await db.run(
+            'UPDATE transactions SET tx_hash = ?, gas_price = ? WHERE id = ?',
+            [txHash, gasPrice.toString(), job.transaction_id]
+        );
+
+        if (nonce === this.gapNonces[0]) {
+            this.gapNonces.shift();
+        } else {
+            this.nextNonce = nonce + 1;
+        }
+
+        return db.get('SELECT * FROM tx_queue WHERE id = ?', [job.id]);
+    }
+
+    async recordAttemptFailure(job, error) {
+        const db = getDatabase();
+        const attempts = job.attempts + 1;
+
+        console.error(`❌ Queue job #${job.id} attempt ${attempts} failed:`, error.message);
+
+        await db.run(
+            'UPDATE tx_queue SET attempts = ?, error_message = ? WHERE id = ?',
+            [attempts, error.message, job.id]
+        );
+
+        if (attempts < blockchainConfig.queueSettings.maxAttempts) {
+            return false;
+        }
+
+        await this.failJob(job, error.message);
+
+        // Its nonce is free again and would block every later job until something uses it
+        if (job.nonce !== null) {
+            this.gapNonces.push(job.nonce);
+            this.gapNonces.sort((a, b) => a - b);
+        }
+
+        return true;
+    }
+
+    async markMined(job, receipt) {
+        const db = getDatabase();
+
+        const cancelled = await db.get(
+            "SELECT id FROM tx_replacements WHERE tx_hash = ? AND kind = 'cancel'",
+            [receipt.hash]
+        );
+        if (cancelled) {
+            await this.failJob(job, 'Cancelled by admin', receipt.blockNumber, 'cancelled');
+            return;
+        }
+
+        if (receipt.status !== 1) {
+            await this.failJob(job, 'Transaction reverted', receipt.blockNumber);
+            return;
+        }
+
+        await db.run(
+            "UPDATE tx_queue SET status = 'mined', tx_hash = ?, block_number = ?, mined_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [receipt.hash, receipt.blockNumber, job.id]
+        );
+
+        // The indexer marks the row confirmed once the contract event is final. The mined
+        // version may be an earlier one than the last replacement, so point the row at it,
+        // with what it actually cost (the effective price, below the cap for 1559 fees).
+        await db.run(
+            'UPDATE transactions SET tx_hash = ?, block_number = ?, gas_used = ?, gas_price = ? WHERE id = ?',
+            [receipt.hash, receipt.blockNumber, receipt.gasUsed.toString(), receipt.gasPrice.toString(), job.transaction_id]
+        );
+
+        console.log(`⛏️ Queue job #${job.id} mined in block ${receipt.blockNumber}`);
+    }
+
+    async failJob(job, reason, blockNumber = null, status = 'failed') {
+        const db = getDatabase();
+
+        await db.run(
+            'UPDATE tx_queue SET status = ?, error_message = ?, block_number = ? WHERE id = ?',
+            [status, reason, blockNumber, job.id]
+        );
+        await db.run(
+            "UPDATE transactions SET status = 'failed', error_message = ? WHERE id = ?",
+            [reason, job.transaction_id]
+        );
+
+        console.error(`❌ Queue job #${job.id} (${job.method}) ${status}: ${reason}`);
+
+        if (this.failureListener) {
+            try {
+                await this.failureListener(job, reason);
+            } catch (error) {
+                console.error('❌ Queue failure listener error:', error);
+            }
+        }
+    }
+
+    // Fees for a new transaction; throws GasPriceTooHighError above the configured maximum
+    async getFees() {
+        await this.blockchainService.checkRateLimit();
+        return this.blockchainService.gasStrategy.getFees(this.blockchainService.provider);
+    }
+
+    // Fees a signed job was sent with (jobs signed before fees were stored used a plain gas price)
+    getJobFees(job) {
+        if (job.fees) {
+            return this.blockchainService.gasStrategy.parse(job.fees);
+        }
+        return { type: 0, gasPrice: BigInt(job.gas_price) };
+    }
+
+    // Reads that must agree with each other go to one endpoint of the provider pool
+    async readPinned(fn) {
+        const { provider } = this.blockchainService;
+
+        await this.blockchainService.checkRateLimit();
+        return provider.withMember ? provider.withMember(fn) : fn(provider);
+    }
+
+    async getChainNonce(blockTag) {
+        await this.blockchainService.checkRateLimit();
+        return this.blockchainService.provider.getTransactionCount(this.blockchainService.wallet.address, blockTag);
+    }
+
+    isNonceExpired(error) {
+        return error.code === 'NONCE_EXPIRED' || /nonce too low/i.test(error.message || '');
+    }
+
+    isAlreadyKnown(error) {
+        return /already known|known transaction/i.test(error.message || '');
+    }
+}
+
+module.exports = TransactionQueue;
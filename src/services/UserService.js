@@ -1,11 +1,14 @@
+const { ethers } = require('ethers');
 const { getDatabase } = require('../config/database');
 const CacheService = require('./CacheService');
 const { generateReferralCode } = require('../utils/referralCodes');
+const WalletVerificationService = require('./WalletVerificationService');
 
 class UserService {
     constructor() {
         this.cache = CacheService;
         this.db = null;
+        this.walletVerification = new WalletVerificationService();
     }
 
     async initialize() {
@@ -91,6 +94,33 @@ class UserService {
         }
     }
 
+    // Get user by ID
+    async getUserById(userId) {
+        try {
+            const cacheKey = `user_id_${userId}`;
+            let user = this.cache.get(cacheKey);
+            
+            if (!user) {
+                const db = this.getDatabase();
+                user = await db.get(
+                    'SELECT * FROM users WHERE id = ?',
+                    [userId]
+                );
+                
+                if (user) {
+                    // Cache for 5 minutes
+                    this.cache.set(cacheKey, user, 300);
+                }
+            }
+            
+            return user;
+            
+        } catch (error) {
+            console.error('❌ Error getting user by ID:', error);
+            return null;
+        }
+    }
+
     // Get user by referral code
     async getUserByReferralCode(referralCode) {
         try {
@@ -145,24 +175,29 @@ class UserService {
         }
     }
 
-    // Update user wallet address
-    async updateWalletAddress(telegramId, walletAddress) {
+    // Update user wallet address (requires a signed ownership challenge)
+    async updateWalletAddress(telegramId, walletAddress, signature) {
         try {
             const db = this.getDatabase();
             
             // Check if wallet is already used
             const existingUser = await this.getUserByWalletAddress(walletAddress);
             if (existingUser && existingUser.telegram_id !== telegramId) {
-                throw new Error('Wallet address is already linked to another account');
+                const error = new Error('Wallet address is already linked to another account');
+                error.code = 'walletTaken';
+                throw error;
             }
             
+            // Prove ownership before storing the address
+            await this.walletVerification.verifyChallenge(telegramId, walletAddress, signature);
+            
             await db.run(
                 'UPDATE users SET wallet_address = ?, updated_at = CURRENT_TIMESTAMP WHERE telegram_id = ?',
                 [walletAddress.toLowerCase(), telegramId]
             );
             
             // Clear cache
-            this.cache.delete(`user_telegram_${telegramId}`);
+            await this.clearUserCache(telegramId);
             this.cache.delete(`user_wallet_${walletAddress.toLowerCase()}`);
             
             console.log(`✅ Updated wallet for user ${telegramId}: ${walletAddress}`);
@@ -174,6 +209,32 @@ class UserService {
         }
     }
 
+    // Remove user wallet address
+    async clearWalletAddress(telegramId) {
+        try {
+            const db = this.getDatabase();
+            const user = await this.getUserByTelegramId(telegramId);
+            
+            await db.run(
+                'UPDATE users SET wallet_address = NULL, updated_at = CURRENT_TIMESTAMP WHERE telegram_id = ?',
+                [telegramId]
+            );
+            
+            // Clear cache
+            await this.clearUserCache(telegramId);
+            if (user && user.wallet_address) {
+                this.cache.delete(`user_wallet_${user.wallet_address}`);
+            }
+            
+            console.log(`✅ Cleared wallet for user ${telegramId}`);
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Error clearing wallet address:', error);
+            throw error;
+        }
+    }
+
     // Update user registration status
     async updateRegistrationStatus(telegramId, registrationData) {
         try {
@@ -198,7 +259,7 @@ class UserService {
             ]);
             
             // Clear cache
-            this.cache.delete(`user_telegram_${telegramId}`);
+            await this.clearUserCache(telegramId);
             
             console.log(`✅ Updated registration for user ${telegramId}: Plan ${registrationData.planId}`);
             return true;
@@ -209,29 +270,33 @@ class UserService {
         }
     }
 
-    // Update user earnings
+    // Update user earnings (amount in USDT, e.g. '12.5'; summed as token units so nothing is lost to floats)
     async updateEarnings(telegramId, amount, type = 'referral') {
         try {
             const db = this.getDatabase();
             
-            // Get current earnings
-            const user = await this.getUserByTelegramId(telegramId);
+            // Read straight from the table, a cached row may be behind
+            const user = await db.get(
+                'SELECT id, total_earnings FROM users WHERE telegram_id = ?',
+                [telegramId]
+            );
             if (!user) {
                 throw new Error('User not found');
             }
             
-            const currentEarnings = parseFloat(user.total_earnings) || 0;
-            const newEarnings = currentEarnings + parseFloat(amount);
+            const currentEarnings = this.parseStoredAmount(user.total_earnings);
+            const newEarnings = ethers.formatUnits(currentEarnings + ethers.parseUnits(amount.toString(), 6), 6);
             
             await db.run(
                 'UPDATE users SET total_earnings = ?, updated_at = CURRENT_TIMESTAMP WHERE telegram_id = ?',
-                [newEarnings.toString(), telegramId]
+                [newEarnings, telegramId]
             );
             
             // Clear cache
-            this.cache.delete(`user_telegram_${telegramId}`);
+            await this.clearUserCache(telegramId);
+            this.cache.delete(`user_stats_${telegramId}`);
             
-            console.log(`✅ Updated earnings for user ${telegramId}: +${amount} USDT (Total: ${newEarnings})`);
+            console.log(`✅ Updated ${type} earnings for user ${telegramId}: +${amount} USDT (Total: ${newEarnings})`);
             return newEarnings;
             
         } catch (error) {
@@ -240,6 +305,26 @@ class UserService {
         }
     }
 
+    // USDT amount stored as text. Older versions summed earnings with float math and left values
+    // like '0.30000000000000004', more decimals than the token has; those are rounded to 6.
+    parseStoredAmount(value) {
+        try {
+            return ethers.parseUnits(String(value || '0'), 6);
+        } catch (error) {
+            return ethers.parseUnits(Number(value).toFixed(6), 6);
+        }
+    }
+
+    // Drop every cached copy of the user row: getUserById (used for uplines) caches by row id
+    async clearUserCache(telegramId) {
+        const user = await this.getDatabase().get('SELECT id FROM users WHERE telegram_id = ?', [telegramId]);
+
+        this.cache.delete(`user_telegram_${telegramId}`);
+        if (user) {
+            this.cache.delete(`user_id_${user.id}`);
+        }
+    }
+
     // Increment referral count
     async incrementReferralCount(userId) {
         try {
@@ -253,7 +338,7 @@ class UserService {
             // Clear related cache
             const user = await db.get('SELECT telegram_id FROM users WHERE id = ?', [userId]);
             if (user) {
-                this.cache.delete(`user_telegram_${user.telegram_id}`);
+                await this.clearUserCache(user.telegram_id);
             }
             
             return true;
@@ -512,7 +597,7 @@ class UserService {
             );
             
             // Clear cache
-            this.cache.delete(`user_telegram_${telegramId}`);
+            await this.clearUserCache(telegramId);
             
             console.log(`✅ Updated status for user ${telegramId}: ${status}`);
             return true;
@@ -523,6 +608,28 @@ class UserService {
         }
     }
 
+    // Language chosen in /profile, replaces the one taken from Telegram at /start
+    async updateLanguage(telegramId, languageCode) {
+        try {
+            const db = this.getDatabase();
+
+            await db.run(
+                'UPDATE users SET language_code = ?, updated_at = CURRENT_TIMESTAMP WHERE telegram_id = ?',
+                [languageCode, telegramId]
+            );
+
+            // Clear cache
+            await this.clearUserCache(telegramId);
+
+            console.log(`✅ Updated language for user ${telegramId}: ${languageCode}`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error updating user language:', error);
+            throw error;
+        }
+    }
+
     // Get platform statistics
     async getPlatformStats() {
         try {
@@ -0,0 +1,158 @@
+// src/services/WalletVerificationService.js
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getDatabase } = require('../config/database');
+const { blockchainConfig } = require('../config/blockchain');
+
+class WalletVerificationService {
+    // A rejected verification; the bot translates it from wallet.errors.<code>
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // Issue a one-time message the user must sign with the wallet they want to link
+    async createChallenge(telegramId, walletAddress) {
+        try {
+            const db = getDatabase();
+            const address = ethers.getAddress(walletAddress);
+            const nonce = crypto.randomBytes(16).toString('hex');
+            const ttlMs = blockchainConfig.signingSettings.challengeTtl;
+            const expiresAt = new Date(Date.now() + ttlMs);
+
+            const message = [
+                'Crypto Membership Bot wallet verification',
+                '',
+                'Sign this message to prove you own this wallet.',
+                'It does not send a transaction or cost any gas.',
+                '',
+                `Telegram ID: ${telegramId}`,
+                `Wallet: ${address}`,
+                `Nonce: ${nonce}`,
+                `Expires: ${expiresAt.toISOString()}`
+            ].join('\n');
+
+            // Only the latest challenge per user stays valid
+            await db.run(
+                "UPDATE wallet_challenges SET status = 'superseded' WHERE telegram_id = ? AND status = 'pending'",
+                [telegramId]
+            );
+
+            await db.run(`
+                INSERT INTO wallet_challenges (telegram_id, wallet_address, nonce, message, expires_at)
+                VALUES (?, ?, ?, ?, ?)
+            `, [
+                telegramId,
+                address.toLowerCase(),
+                nonce,
+                message,
+                expiresAt.toISOString()
+            ]);
+
+            return { nonce, message, walletAddress: address, expiresAt };
+
+        } catch (error) {
+            console.error('❌ Error creating wallet challenge:', error);
+            throw error;
+        }
+    }
+
+    // Get challenge by nonce
+    async getChallenge(nonce) {
+        try {
+            const db = getDatabase();
+            const challenge = await db.get(
+                'SELECT * FROM wallet_challenges WHERE nonce = ?',
+                [nonce]
+            );
+
+            if (challenge) {
+                challenge.isExpired = new Date(challenge.expires_at).getTime() < Date.now();
+            }
+
+            return challenge;
+
+        } catch (error) {
+            console.error('❌ Error getting wallet challenge:', error);
+            return null;
+        }
+    }
+
+    // Get the user's open challenge, if any
+    async getPendingChallenge(telegramId) {
+        try {
+            const db = getDatabase();
+            const challenge = await db.get(`
+                SELECT * FROM wallet_challenges
+                WHERE telegram_id = ? AND status = 'pending'
+                ORDER BY id DESC
+                LIMIT 1
+            `, [telegramId]);
+
+            if (challenge) {
+                challenge.isExpired = new Date(challenge.expires_at).getTime() < Date.now();
+            }
+
+            return challenge;
+
+        } catch (error) {
+            console.error('❌ Error getting pending wallet challenge:', error);
+            return null;
+        }
+    }
+
+    // Check the signature recovers the challenged address and burn the nonce
+    async verifyChallenge(telegramId, walletAddress, signature) {
+        const challenge = await this.getPendingChallenge(telegramId);
+
+        if (!challenge || challenge.wallet_address !== walletAddress.toLowerCase()) {
+            throw this.createError('noChallenge', 'No wallet verification pending for this address, please start again');
+        }
+
+        if (challenge.isExpired) {
+            throw this.createError('challengeExpired', 'Verification message has expired, please start again');
+        }
+
+        let recovered;
+        try {
+            recovered = ethers.verifyMessage(challenge.message, signature);
+        } catch (error) {
+            throw this.createError('invalidSignature', 'Invalid signature format');
+        }
+
+        if (recovered.toLowerCase() !== challenge.wallet_address) {
+            throw this.createError('wrongSigner', 'Signature was not made by this wallet');
+        }
+
+        // Mark used atomically so the same signature can't be replayed
+        const db = getDatabase();
+        const result = await db.run(
+            "UPDATE wallet_challenges SET status = 'used', used_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+            [challenge.id]
+        );
+
+        if (result.changes !== 1) {
+            throw this.createError('challengeUsed', 'Verification message was already used');
+        }
+
+        return ethers.getAddress(recovered);
+    }
+
+    // Remove old challenges
+    async cleanupExpiredChallenges() {
+        try {
+            const db = getDatabase();
+            const result = await db.run(
+                "DELETE FROM wallet_challenges WHERE created_at < datetime('now', '-1 day')"
+            );
+            return result.changes;
+
+        } catch (error) {
+            console.error('❌ Error cleaning up wallet challenges:', error);
+            return 0;
+        }
+    }
+}
+
+module.exports = WalletVerificationService;
@@ -1,6 +1,8 @@
 // src/utils/alerts.js
 const NotificationService = require('../services/NotificationService');
 
+let sharedInstance = null;
+
 class AlertSystem {
     constructor() {
         this.notificationService = new NotificationService();
@@ -27,6 +29,10 @@ class AlertSystem {
             },
             activeUsers: {
                 spike: 1000    // Sudden increase
+            },
+            reserveDrift: {
+                warning: 0.5,  // % the contract's USDT balance is short of its accounted funds
+                critical: 2    // %
             }
         };
         
@@ -45,6 +51,18 @@ class AlertSystem {
         this.startMonitoring();
     }
 
+    // Shared instance so services raise alerts through the same history and cooldowns as the app
+    static getInstance() {
+        if (!sharedInstance) {
+            sharedInstance = new AlertSystem();
+        }
+        return sharedInstance;
+    }
+
+    setBot(bot) {
+        this.notificationService.initialize(bot);
+    }
+
     startMonitoring() {
         // Check system health every 30 seconds
         this.checkInterval = setInterval(() => {
@@ -84,6 +102,9 @@ class AlertSystem {
             // Check blockchain connectivity
             await this.checkBlockchainHealth();
             
+            // Check the solvency monitor is still taking snapshots
+            await this.checkSolvencyMonitor();
+            
         } catch (error) {
             console.error('❌ Health check error:', error);
             await this.sendAlert(
@@ -232,7 +253,7 @@ class AlertSystem {
     async checkBlockchainHealth() {
         try {
             const BlockchainService = require('../services/BlockchainService');
-            const blockchainService = new BlockchainService();
+            const blockchainService = BlockchainService.getInstance();
             
             if (!blockchainService.isInitialized) {
                 await this.sendAlert(
@@ -283,6 +304,51 @@ class AlertSystem {
         }
     }
 
+    async checkSolvencyMonitor() {
+        try {
+            const { getDatabase } = require('../config/database');
+            const { blockchainConfig } = require('../config/blockchain');
+            const db = getDatabase();
+            
+            const latest = await db.get(`
+                SELECT (julianday('now') - julianday(created_at)) * 86400000 as age
+                FROM solvency_snapshots ORDER BY id DESC LIMIT 1
+            `);
+            
+            // Nothing to compare against until the first check has run
+            if (!latest) {
+                return;
+            }
+            
+            const maxAge = blockchainConfig.solvencySettings.interval * 3;
+            if (latest.age > maxAge) {
+                await this.sendAlert(
+                    'Solvency Checks Stalled',
+                    `No contract solvency snapshot for ${Math.round(latest.age / 60000)} minutes. Reserve drift is not being watched.`,
+                    this.severity.WARNING,
+                    'solvency_stale'
+                );
+            }
+            
+        } catch (error) {
+            console.error('❌ Solvency monitor check error:', error);
+        }
+    }
+
+    // 'ok', 'warning' or 'critical' for a solvency snapshot. Only shortfalls count: a surplus
+    // (USDT sent straight to the contract) never puts members' funds at risk.
+    getSolvencySeverity(driftPercent, contractValid = null) {
+        const shortfall = -driftPercent;
+        
+        if (contractValid === false || shortfall >= this.thresholds.reserveDrift.critical) {
+            return 'critical';
+        }
+        if (shortfall >= this.thresholds.reserveDrift.warning) {
+            return 'warning';
+        }
+        return 'ok';
+    }
+
     async sendAlert(title, message, severity = this.severity.INFO, alertKey = null) {
         try {
             // Check cooldown if alertKey is provided
@@ -387,6 +453,25 @@ ${severity === this.severity.CRITICAL || severity === this.severity.EMERGENCY ?
         );
     }
 
+    // Emergency withdrawal activity that did not come from an approved admin proposal.
+    // No cooldown: every occurrence may mean the owner key is compromised.
+    async alertEmergencyWithdrawal(stage, details) {
+        await this.sendAlert(
+            'Unexpected Emergency Withdrawal',
+            `Emergency withdrawal ${stage} without an approved admin proposal. ${details}`,
+            this.severity.CRITICAL
+        );
+    }
+
+    async alertContractSolvency(severity, details) {
+        await this.sendAlert(
+            severity === 'critical' ? 'Contract Reserves Critically Short' : 'Contract Reserve Drift',
+            `The contract's USDT balance does not cover its accounting. ${details}`,
+            severity === 'critical' ? this.severity.CRITICAL : this.severity.WARNING,
+            `contract_solvency_${severity}`
+        );
+    }
+
     async alertContractError(contractName, functionName, error) {
         await this.sendAlert(
             'Smart Contract Error',
@@ -0,0 +1,161 @@
+// src/utils/contractErrors.js
+const { t } = require('./i18n');
+
+// Custom errors from the membership contract ABI, keyed by error name.
+// Each entry has a stable code for the bot and the buttons offered as next
+// actions (catalog key, callback). Texts live under contractErrors.<name>
+// in src/locales.
+const CONTRACT_ERRORS = {
+    AlreadyMember: {
+        code: 'ALREADY_MEMBER',
+        actions: [['buttons.viewProfile', 'action_profile'], ['buttons.upgradePlan', 'action_upgrade']]
+    },
+    NotMember: {
+        code: 'NOT_MEMBER',
+        actions: [['buttons.registerNow', 'action_get_started']]
+    },
+    InactivePlan: {
+        code: 'PLAN_INACTIVE',
+        actions: [['buttons.viewPlans', 'action_view_plans']]
+    },
+    InvalidPlanID: {
+        code: 'PLAN_INVALID',
+        actions: [['buttons.viewPlans', 'action_view_plans']]
+    },
+    NextPlanOnly: {
+        code: 'NEXT_PLAN_ONLY',
+        actions: [['buttons.upgradeOptions', 'action_upgrade']]
+    },
+    Plan1Only: {
+        code: 'PLAN1_ONLY',
+        actions: [['buttons.viewPlans', 'action_view_plans']]
+    },
+    UplineNotMember: {
+        code: 'UPLINE_NOT_MEMBER',
+        actions: [['buttons.viewPlans', 'action_view_plans']]
+    },
+    UplinePlanLow: {
+        code: 'UPLINE_PLAN_LOW',
+        actions: [['buttons.viewPlans', 'action_view_plans']]
+    },
+    Paused: {
+        code: 'CONTRACT_PAUSED',
+        actions: []
+    },
+    ThirtyDayLock: {
+        code: 'EXIT_LOCKED',
+        actions: [['buttons.viewProfile', 'action_profile']]
+    },
+    InvalidAmount: {
+        code: 'INVALID_AMOUNT',
+        actions: []
+    },
+    LowFundBalance: {
+        code: 'CONTRACT_FUNDS_LOW',
+        actions: []
+    },
+    SafeERC20FailedOperation: {
+        code: 'TOKEN_TRANSFER_FAILED',
+        actions: []
+    },
+    ReentrancyGuardReentrantCall: {
+        code: 'CONTRACT_BUSY',
+        actions: []
+    }
+};
+
+// Fallback for reverts the contract ABI does not describe
+const GENERIC_ERROR = {
+    code: 'CONTRACT_ERROR',
+    actions: []
+};
+
+// A revert decoded into one of the contract's custom errors
+class ContractError extends Error {
+    constructor(errorName, args = []) {
+        const definition = CONTRACT_ERRORS[errorName] || GENERIC_ERROR;
+        super(definition === GENERIC_ERROR ? `Contract reverted: ${errorName}` : t('en', `contractErrors.${errorName}.title`));
+        this.name = 'ContractError';
+        this.errorName = errorName;
+        this.code = definition.code;
+        this.args = args;
+    }
+}
+
+// ethers nests the node's revert data differently for estimateGas, eth_call and sends
+function findRevertData(error) {
+    let current = error;
+
+    for (let depth = 0; current && depth < 5; depth++) {
+        if (typeof current.data === 'string' && /^0x[0-9a-fA-F]{8}/.test(current.data)) {
+            return current.data;
+        }
+        if (current.data && typeof current.data.data === 'string') {
+            return current.data.data;
+        }
+        current = current.error || (current.info && current.info.error);
+    }
+
+    return null;
+}
+
+// Turn an ethers error into a ContractError, or null when it is not a contract revert
+function decodeContractError(error, contractInterface) {
+    if (!error) {
+        return null;
+    }
+
+    if (error instanceof ContractError) {
+        return error;
+    }
+
+    if (error.revert && error.revert.name) {
+        return new ContractError(error.revert.name, Array.from(error.revert.args || []));
+    }
+
+    const data = findRevertData(error);
+    if (!data) {
+        return null;
+    }
+
+    try {
+        const parsed = contractInterface.parseError(data);
+        return parsed ? new ContractError(parsed.name, Array.from(parsed.args)) : null;
+    } catch (parseError) {
+        return null;
+    }
+}
+
+// [name, definition] for an error code, the generic entry when the code is unknown
+function getDefinition(code) {
+    return Object.entries(CONTRACT_ERRORS).find(([, definition]) => definition.code === code) ||
+        ['generic', GENERIC_ERROR];
+}
+
+// Localized title, explanation, next steps and [label, callback] actions for an error code
+function describeContractError(code, locale = 'en') {
+    const [name, definition] = getDefinition(code);
+
+    return {
+        code: definition.code,
+        title: t(locale, `contractErrors.${name}.title`),
+        explanation: t(locale, `contractErrors.${name}.explanation`),
+        nextSteps: t(locale, `contractErrors.${name}.nextSteps`),
+        actions: definition.actions.map(([key, action]) => [t(locale, key), action])
+    };
+}
+
+// Markdown message for an error code, plus the [label, callback] actions to offer
+function formatContractError(code, locale = 'en') {
+    const { actions, ...details } = describeContractError(code, locale);
+
+    return { message: t(locale, 'contractErrors.message', details), actions };
+}
+
+module.exports = {
+    CONTRACT_ERRORS,
+    ContractError,
+    decodeContractError,
+    describeContractError,
+    formatContractError
+};
@@ -0,0 +1,129 @@
+// src/utils/i18n.js
+
+// Message catalogs live in src/locales, one module per locale, as nested objects of Markdown
+// strings. Keys are dotted paths ('profile.title'), {name} placeholders are filled from params,
+// and an entry given as { one, other, ... } is picked with Intl.PluralRules on params.count.
+const CATALOGS = {
+    en: require('../locales/en'),
+    th: require('../locales/th')
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// Display name, flag and the Intl tag used for number and date formatting
+const LOCALES = {
+    en: { name: 'English', flag: '🇬🇧', intl: 'en-US' },
+    th: { name: 'ไทย', flag: '🇹🇭', intl: 'th-TH' }
+};
+
+// `${locale}:${key}` -> first time the key was looked up and not found
+const missingKeys = new Map();
+const pluralRules = new Map();
+
+// Telegram language codes come as 'th' or 'th-TH'; anything unsupported falls back to English
+function resolveLocale(languageCode) {
+    const locale = (languageCode || DEFAULT_LOCALE).toLowerCase().split(/[-_]/)[0];
+    return CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+}
+
+function isSupported(locale) {
+    return Boolean(CATALOGS[locale]);
+}
+
+function getIntlLocale(languageCode) {
+    return LOCALES[resolveLocale(languageCode)].intl;
+}
+
+function lookup(locale, key) {
+    return key.split('.').reduce(
+        (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+        CATALOGS[locale]
+    );
+}
+
+// True when the English catalog has the key, i.e. it is a known message
+function hasKey(key) {
+    return lookup(DEFAULT_LOCALE, key) !== undefined;
+}
+
+// Logged once per locale and key so a gap in a catalog shows up without flooding the logs
+function reportMissing(locale, key) {
+    const id = `${locale}:${key}`;
+    if (missingKeys.has(id)) {
+        return;
+    }
+
+    missingKeys.set(id, new Date().toISOString());
+    console.warn(`⚠️ Missing translation "${key}" for locale "${locale}"${locale === DEFAULT_LOCALE ? '' : ', using English'}`);
+}
+
+function selectPlural(locale, entry, count) {
+    if (!pluralRules.has(locale)) {
+        pluralRules.set(locale, new Intl.PluralRules(LOCALES[locale].intl));
+    }
+
+    const category = typeof count === 'number' ? pluralRules.get(locale).select(count) : 'other';
+    return entry[category] !== undefined ? entry[category] : entry.other;
+}
+
+function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (
+        params[name] === undefined || params[name] === null ? placeholder : String(params[name])
+    ));
+}
+
+// Translated text for a key; falls back to English, then to the key itself
+function t(languageCode, key, params = {}) {
+    const locale = resolveLocale(languageCode);
+
+    let entry = lookup(locale, key);
+    let entryLocale = locale;
+
+    if (entry === undefined && locale !== DEFAULT_LOCALE) {
+        reportMissing(locale, key);
+        entry = lookup(DEFAULT_LOCALE, key);
+        entryLocale = DEFAULT_LOCALE;
+    }
+
+    if (entry && typeof entry === 'object') {
+        entry = selectPlural(entryLocale, entry, params.count);
+    }
+
+    if (typeof entry !== 'string') {
+        reportMissing(DEFAULT_LOCALE, key);
+        return key;
+    }
+
+    return interpolate(entry, params);
+}
+
+// Supported locales for the language picker
+function getLocales() {
+    return Object.entries(LOCALES).map(([code, info]) => ({ code, ...info }));
+}
+
+function getLocaleLabel(languageCode) {
+    const info = LOCALES[resolveLocale(languageCode)];
+    return `${info.flag} ${info.name}`;
+}
+
+// Keys looked up but missing since startup, for diagnostics
+function getMissingKeys() {
+    return Array.from(missingKeys.entries()).map(([id, firstSeen]) => {
+        const [locale, key] = id.split(/:(.+)/);
+        return { locale, key, firstSeen };
+    });
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALES,
+    t,
+    hasKey,
+    resolveLocale,
+    isSupported,
+    getIntlLocale,
+    getLocales,
+    getLocaleLabel,
+    getMissingKeys
+};
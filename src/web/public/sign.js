@@ -0,0 +1,139 @@
+// src/web/public/sign.js
+(function () {
+    const requestId = document.body.dataset.requestId;
+    const button = document.getElementById('sign');
+    const statusEl = document.getElementById('status');
+    let request = null;
+
+    function setStatus(text) {
+        statusEl.textContent = text;
+    }
+
+    function toHex(value) {
+        return '0x' + BigInt(value).toString(16);
+    }
+
+    async function loadRequest() {
+        const response = await fetch(`api/${requestId}`);
+        request = await response.json();
+
+        if (!response.ok) {
+            throw new Error(request.error || 'Signing request not available');
+        }
+
+        if (request.status !== 'pending') {
+            setStatus(request.txHash ?
+                `Already submitted: ${request.txHash}` :
+                `This request is ${request.status}. Please start again from the bot.`);
+            return;
+        }
+
+        if (!window.ethereum) {
+            setStatus('No wallet detected. Open this page in MetaMask or Trust Wallet, or paste the transaction hash in the bot after signing.');
+            return;
+        }
+
+        button.disabled = false;
+        setStatus(`Network: ${request.network.name}`);
+    }
+
+    async function ensureChain() {
+        const chainIdHex = toHex(request.transaction.chainId);
+        const currentChainId = await window.ethereum.request({ method: 'eth_chainId' });
+
+        if (currentChainId.toLowerCase() === chainIdHex) {
+            return;
+        }
+
+        try {
+            await window.ethereum.request({
+                method: 'wallet_switchEthereumChain',
+                params: [{ chainId: chainIdHex }]
+            });
+        } catch (error) {
+            // 4902: chain not added to the wallet yet
+            if (error.code !== 4902) {
+                throw error;
+            }
+
+            await window.ethereum.request({
+                method: 'wallet_addEthereumChain',
+                params: [{
+                    chainId: chainIdHex,
+                    chainName: request.network.name,
+                    rpcUrls: request.network.rpcUrls,
+                    blockExplorerUrls: [request.network.explorer],
+                    nativeCurrency: request.network.currency
+                }]
+            });
+        }
+    }
+
+    // The RPC node may not know a just-broadcast transaction yet, so retry briefly
+    async function reportHash(txHash, attempts = 5) {
+        for (let i = 1; ; i++) {
+            const response = await fetch(`api/${requestId}/complete`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ txHash })
+            });
+            const result = await response.json();
+
+            if (result.success || i >= attempts || !/not found/i.test(result.error || '')) {
+                return result;
+            }
+
+            await new Promise((resolve) => setTimeout(resolve, 3000));
+        }
+    }
+
+    async function sign() {
+        button.disabled = true;
+
+        try {
+            setStatus('Connecting wallet...');
+            const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+            const account = (accounts[0] || '').toLowerCase();
+
+            if (account !== request.transaction.from) {
+                throw new Error(`Please switch your wallet to ${request.transaction.from}`);
+            }
+
+            await ensureChain();
+
+            setStatus('Confirm the transaction in your wallet...');
+            const txParams = {
+                from: request.transaction.from,
+                to: request.transaction.to,
+                data: request.transaction.data,
+                value: toHex(request.transaction.value || '0')
+            };
+            if (request.transaction.gas) {
+                txParams.gas = toHex(request.transaction.gas);
+            }
+
+            const txHash = await window.ethereum.request({
+                method: 'eth_sendTransaction',
+                params: [txParams]
+            });
+
+            setStatus(`Submitted ${txHash}. Reporting to the bot...`);
+
+            const result = await reportHash(txHash);
+
+            if (!result.success) {
+                throw new Error(`${result.error}. Paste ${txHash} in the bot to finish.`);
+            }
+
+            setStatus('✅ Transaction submitted! You can return to Telegram.');
+
+        } catch (error) {
+            setStatus(`❌ ${error.message || error}`);
+            button.disabled = false;
+        }
+    }
+
+    button.addEventListener('click', sign);
+
+    loadRequest().catch((error) => setStatus(`❌ ${error.message}`));
+})();
@@ -0,0 +1,80 @@
+// src/web/public/verify.js
+(function () {
+    const nonce = document.body.dataset.nonce;
+    const button = document.getElementById('sign');
+    const statusEl = document.getElementById('status');
+    let challenge = null;
+
+    function setStatus(text) {
+        statusEl.textContent = text;
+    }
+
+    function toHexUtf8(text) {
+        return '0x' + Array.from(new TextEncoder().encode(text))
+            .map((byte) => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    async function loadChallenge() {
+        const response = await fetch(`../api/message/${nonce}`);
+        challenge = await response.json();
+
+        if (!response.ok) {
+            throw new Error(challenge.error || 'Verification request not available');
+        }
+
+        if (challenge.status !== 'pending') {
+            setStatus(`This verification is ${challenge.status}. Please start again from the bot with /wallet.`);
+            return;
+        }
+
+        if (!window.ethereum) {
+            setStatus('No wallet detected. Open this page in MetaMask or Trust Wallet, or sign the message shown in the bot and paste the signature there.');
+            return;
+        }
+
+        button.disabled = false;
+        setStatus('Ready to sign');
+    }
+
+    async function sign() {
+        button.disabled = true;
+
+        try {
+            setStatus('Connecting wallet...');
+            const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+            const account = (accounts[0] || '').toLowerCase();
+
+            if (account !== challenge.walletAddress) {
+                throw new Error(`Please switch your wallet to ${challenge.walletAddress}`);
+            }
+
+            setStatus('Confirm the signature in your wallet...');
+            const signature = await window.ethereum.request({
+                method: 'personal_sign',
+                params: [toHexUtf8(challenge.message), account]
+            });
+
+            const response = await fetch(`../api/message/${nonce}/complete`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ signature })
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            setStatus('✅ Wallet verified! You can return to Telegram.');
+
+        } catch (error) {
+            setStatus(`❌ ${error.message || error}`);
+            button.disabled = false;
+        }
+    }
+
+    button.addEventListener('click', sign);
+
+    loadChallenge().catch((error) => setStatus(`❌ ${error.message}`));
+})();
@@ -0,0 +1,227 @@
+// src/web/signing.js
+const express = require('express');
+const path = require('path');
+const { blockchainConfig } = require('../config/blockchain');
+const SigningService = require('../services/SigningService');
+const WalletVerificationService = require('../services/WalletVerificationService');
+const UserService = require('../services/UserService');
+
+// Wallet signing pages: opened from the bot (or a wallet's in-app browser via
+// deep link), they ask the injected wallet to send a prepared call or sign an
+// ownership message, and report the result back to the bot.
+function createSigningRouter(bot) {
+    const router = express.Router();
+    const signingService = new SigningService();
+    const walletVerification = new WalletVerificationService();
+    const userService = new UserService();
+
+    router.get('/assets/:script(sign|verify).js', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', `${req.params.script}.js`));
+    });
+
+    // Wallet ownership challenge
+    router.get('/api/message/:nonce', async (req, res) => {
+        const challenge = await walletVerification.getChallenge(req.params.nonce);
+        if (!challenge) {
+            return res.status(404).json({ error: 'Verification request not found' });
+        }
+
+        res.json({
+            message: challenge.message,
+            walletAddress: challenge.wallet_address,
+            status: challenge.status === 'pending' && challenge.isExpired ? 'expired' : challenge.status
+        });
+    });
+
+    router.post('/api/message/:nonce/complete', async (req, res) => {
+        try {
+            const challenge = await walletVerification.getChallenge(req.params.nonce);
+            if (!challenge || challenge.status !== 'pending') {
+                throw new Error('Verification request is no longer valid');
+            }
+
+            const signature = String((req.body && req.body.signature) || '');
+            await userService.updateWalletAddress(challenge.telegram_id, challenge.wallet_address, signature);
+
+            await notifyWalletConnected(bot, challenge);
+
+            res.json({ success: true });
+
+        } catch (error) {
+            console.error('❌ Wallet verification error:', error.message);
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/message/:nonce', async (req, res) => {
+        const challenge = await walletVerification.getChallenge(req.params.nonce);
+        if (!challenge) {
+            return res.status(404).send('Verification request not found');
+        }
+
+        res.type('html').send(renderPage({
+            title: '🔐 Verify wallet ownership',
+            dataAttribute: `data-nonce="${escapeHtml(challenge.nonce)}"`,
+            details: `<p>Wallet: <span class="address">${escapeHtml(challenge.wallet_address)}</span></p>
+        <p>Signing is free and does not send a transaction.</p>`,
+            buttonText: 'Sign message',
+            script: 'verify.js'
+        }));
+    });
+
+    router.get('/api/:id', async (req, res) => {
+        const request = await signingService.getRequest(req.params.id);
+        if (!request) {
+            return res.status(404).json({ error: 'Signing request not found' });
+        }
+
+        const network = blockchainConfig.getCurrentNetwork();
+
+        res.json({
+            id: request.id,
+            type: request.type,
+            description: describeRequest(request),
+            status: request.isExpired ? 'expired' : request.status,
+            txHash: request.tx_hash,
+            expiresAt: request.expires_at,
+            transaction: {
+                from: request.from_address,
+                to: request.to_address,
+                data: request.data,
+                value: request.value,
+                gas: request.gas_limit,
+                chainId: request.chain_id
+            },
+            network: {
+                name: network.name,
+                rpcUrls: network.rpcUrls,
+                explorer: network.explorer,
+                currency: network.currency
+            }
+        });
+    });
+
+    router.post('/api/:id/complete', async (req, res) => {
+        try {
+            const txHash = req.body && req.body.txHash;
+            const request = await signingService.submitTransactionHash(req.params.id, String(txHash || ''));
+
+            await notifySubmitted(bot, request);
+
+            res.json({ success: true, status: request.status, txHash: request.tx_hash });
+
+        } catch (error) {
+            console.error('❌ Signing completion error:', error.message);
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        const request = await signingService.getRequest(req.params.id);
+        if (!request) {
+            return res.status(404).send('Signing request not found');
+        }
+
+        res.type('html').send(renderPage({
+            title: `✍️ ${describeRequest(request)}`,
+            dataAttribute: `data-request-id="${escapeHtml(request.id)}"`,
+            details: `<p>Wallet: <span class="address">${escapeHtml(request.from_address)}</span></p>
+        <p>Contract: <span class="address">${escapeHtml(request.to_address)}</span></p>`,
+            buttonText: 'Sign with wallet',
+            script: 'sign.js'
+        }));
+    });
+
+    return router;
+}
+
+function describeRequest(request) {
+    const { metadata } = request;
+
+    switch (request.type) {
+        case 'register':
+            return `Register for membership Plan ${metadata.planId}`;
+        case 'upgrade':
+            return `Upgrade membership to Plan ${metadata.toPlanId}`;
+        case 'exit':
+            return `Exit membership (Plan ${metadata.fromPlanId})`;
+        case 'approve':
+            return `Approve ${metadata.amountFormatted} USDT for the membership contract`;
+        default:
+            return 'Sign transaction';
+    }
+}
+
+async function notifySubmitted(bot, request) {
+    if (!bot) {
+        return;
+    }
+
+    try {
+        const txUrl = blockchainConfig.getTxUrl(request.tx_hash);
+        await bot.telegram.sendMessage(
+            request.telegram_id,
+            `📤 **Transaction Submitted**\n\n${describeRequest(request)}\n\n` +
+            `**Hash:** \`${request.tx_hash}\`\n${txUrl ? `[View on explorer](${txUrl})\n` : ''}\n` +
+            `We'll notify you once it is confirmed ⏳`,
+            { parse_mode: 'Markdown', disable_web_page_preview: true }
+        );
+    } catch (error) {
+        console.error('❌ Failed to notify signing submission:', error.message);
+    }
+}
+
+async function notifyWalletConnected(bot, challenge) {
+    if (!bot) {
+        return;
+    }
+
+    try {
+        await bot.telegram.sendMessage(
+            challenge.telegram_id,
+            `✅ **Wallet Connected Successfully!**\n\n**Connected Wallet:** \`${challenge.wallet_address}\`\n\n` +
+            `Ownership verified by signature. Use /register to join a membership plan! 🚀`,
+            { parse_mode: 'Markdown' }
+        );
+    } catch (error) {
+        console.error('❌ Failed to notify wallet connection:', error.message);
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderPage({ title, dataAttribute, details, buttonText, script }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Sign Transaction</title>
+    <style>
+        body { font-family: -apple-system, sans-serif; max-width: 480px; margin: 0 auto; padding: 24px; color: #222; }
+        .card { border: 1px solid #ddd; border-radius: 12px; padding: 20px; }
+        .address { font-family: monospace; font-size: 13px; word-break: break-all; }
+        button { width: 100%; padding: 14px; font-size: 16px; border: 0; border-radius: 8px; background: #f0b90b; cursor: pointer; }
+        button:disabled { opacity: 0.5; cursor: default; }
+        #status { margin-top: 16px; }
+    </style>
+</head>
+<body ${dataAttribute}>
+    <div class="card">
+        <h2>${escapeHtml(title)}</h2>
+        ${details}
+        <button id="sign" disabled>${buttonText}</button>
+        <p id="status">Loading...</p>
+    </div>
+    <script src="${blockchainConfig.signingSettings.path}/assets/${script}"></script>
+</body>
+</html>`;
+}
+
+module.exports = { createSigningRouter };
@@ -0,0 +1,35 @@
+// tests/services/GasStrategy.test.js
+const { LegacyGasStrategy } = require('../../src/services/GasStrategy');
+
+function createStrategy() {
+    return new LegacyGasStrategy({
+        gasSettings: {
+            gasLimit: { register: 300000, transfer: 21000 },
+            gasLimitMultiplier: 1.2
+        }
+    });
+}
+
+describe('GasStrategy.getGasLimit', () => {
+    test('adds the buffer to estimates well below the cap', () => {
+        expect(createStrategy().getGasLimit(200000n, 'register')).toBe(240000n);
+    });
+
+    test('caps a buffered estimate at the configured limit', () => {
+        expect(createStrategy().getGasLimit(280000n, 'register')).toBe(300000n);
+        expect(createStrategy().getGasLimit(21000n, 'transfer')).toBe(21000n);
+    });
+
+    test('accepts an estimate exactly at the cap', () => {
+        expect(createStrategy().getGasLimit(300000n, 'register')).toBe(300000n);
+    });
+
+    test('refuses estimates above the cap', () => {
+        expect(() => createStrategy().getGasLimit(300001n, 'register'))
+            .toThrow('Estimated gas 300001 for register exceeds the configured limit of 300000');
+    });
+
+    test('only buffers transaction types without a configured limit', () => {
+        expect(createStrategy().getGasLimit(1000000n, 'admin')).toBe(1200000n);
+    });
+});
@@ -0,0 +1,168 @@
+// tests/services/ProviderPool.test.js
+const ProviderPool = require('../../src/services/ProviderPool');
+
+const PAYLOAD = { method: 'eth_blockNumber', params: [], id: 1, jsonrpc: '2.0' };
+
+// Members are ranked by weight while no latency has been measured, so the first one is tried first
+function createPool(count = 2) {
+    const endpoints = Array.from({ length: count }, (_, index) => ({
+        url: `http://rpc${index}.test`,
+        weight: count - index
+    }));
+    const pool = new ProviderPool(endpoints, 97);
+    pool.members.forEach(member => {
+        member.provider._send = jest.fn();
+    });
+    return pool;
+}
+
+function answer(result) {
+    return [{ id: 1, result }];
+}
+
+function rpcError(code, message) {
+    return [{ id: 1, error: { code, message } }];
+}
+
+describe('ProviderPool._send', () => {
+    let pool;
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    afterEach(() => {
+        pool.destroy();
+    });
+
+    test('uses the best ranked endpoint when it answers', async () => {
+        pool = createPool();
+        pool.members[0].provider._send.mockResolvedValue(answer('0x10'));
+
+        await expect(pool._send(PAYLOAD)).resolves.toEqual(answer('0x10'));
+        expect(pool.members[1].provider._send).not.toHaveBeenCalled();
+        expect(pool.members[0].consecutiveFailures).toBe(0);
+    });
+
+    test('fails over on transport errors', async () => {
+        pool = createPool();
+        pool.members[0].provider._send.mockRejectedValue(new Error('connect ECONNREFUSED'));
+        pool.members[1].provider._send.mockResolvedValue(answer('0x11'));
+
+        await expect(pool._send(PAYLOAD)).resolves.toEqual(answer('0x11'));
+        expect(pool.members[0].consecutiveFailures).toBe(1);
+        expect(pool.members[0].lastError).toBe('connect ECONNREFUSED');
+    });
+
+    test('fails over on retryable RPC errors', async () => {
+        pool = createPool();
+        pool.members[0].provider._send.mockResolvedValue(rpcError(-32005, 'limit exceeded'));
+        pool.members[1].provider._send.mockResolvedValue(answer('0x12'));
+
+        await expect(pool._send(PAYLOAD)).resolves.toEqual(answer('0x12'));
+        expect(pool.members[0].consecutiveFailures).toBe(1);
+    });
+
+    test('hands answers about the chain back without failing over', async () => {
+        pool = createPool();
+        const reverted = rpcError(3, 'execution reverted');
+        pool.members[0].provider._send.mockResolvedValue(reverted);
+
+        await expect(pool._send(PAYLOAD)).resolves.toBe(reverted);
+        expect(pool.members[1].provider._send).not.toHaveBeenCalled();
+        expect(pool.members[0].consecutiveFailures).toBe(0);
+    });
+
+    test('returns the last RPC error once every endpoint gave a retryable one', async () => {
+        pool = createPool();
+        const busy = rpcError(-32603, 'server busy');
+        pool.members[0].provider._send.mockResolvedValue(rpcError(429, 'too many requests'));
+        pool.members[1].provider._send.mockResolvedValue(busy);
+
+        await expect(pool._send(PAYLOAD)).resolves.toBe(busy);
+    });
+
+    test('throws the last transport error once every endpoint failed', async () => {
+        pool = createPool();
+        pool.members[0].provider._send.mockRejectedValue(new Error('socket hang up'));
+        pool.members[1].provider._send.mockRejectedValue(new Error('request timeout'));
+
+        await expect(pool._send(PAYLOAD)).rejects.toThrow('request timeout');
+    });
+
+    test('skips endpoints on the wrong chain', async () => {
+        pool = createPool();
+        pool.members[0].wrongChain = true;
+        pool.members[1].provider._send.mockResolvedValue(answer('0x13'));
+
+        await expect(pool._send(PAYLOAD)).resolves.toEqual(answer('0x13'));
+        expect(pool.members[0].provider._send).not.toHaveBeenCalled();
+    });
+
+    test('prefers healthy endpoints over ones cooling down', async () => {
+        pool = createPool();
+        pool.members[0].cooldownUntil = Date.now() + 60000;
+        pool.members[1].provider._send.mockResolvedValue(answer('0x14'));
+
+        await expect(pool._send(PAYLOAD)).resolves.toEqual(answer('0x14'));
+        expect(pool.members[0].provider._send).not.toHaveBeenCalled();
+    });
+});
+
+describe('ProviderPool.isRetryableRpcError', () => {
+    let pool;
+
+    beforeAll(() => {
+        pool = createPool(1);
+    });
+
+    afterAll(() => {
+        pool.destroy();
+    });
+
+    test.each([
+        [{ code: -32005, message: 'query returned more than 10000 results' }],
+        [{ code: -32603, message: 'internal error' }],
+        [{ code: -32002, message: 'resource unavailable' }],
+        [{ code: 429, message: 'Too Many Requests' }],
+        [{ code: -32000, message: 'header not found' }],
+        [{ code: -32000, message: 'request timed out' }],
+        [{ code: -32000, message: 'Rate limit reached, try again later' }]
+    ])('retries %o', (error) => {
+        expect(pool.isRetryableRpcError(error)).toBe(true);
+    });
+
+    test.each([
+        [{ code: 3, message: 'execution reverted' }],
+        [{ code: -32000, message: 'nonce too low' }],
+        [{ code: -32000, message: 'insufficient funds for gas * price + value' }],
+        [{ code: -32601, message: 'the method eth_foo does not exist' }]
+    ])('does not retry %o', (error) => {
+        expect(pool.isRetryableRpcError(error)).toBe(false);
+    });
+});
+
+describe('ProviderPool.withMember', () => {
+    let pool;
+
+    afterEach(() => {
+        pool.destroy();
+    });
+
+    test('runs every read of the callback against one endpoint', async () => {
+        pool = createPool();
+
+        const seen = await pool.withMember(async (provider, host) => ({ provider, host }));
+
+        expect(seen.provider).toBe(pool.members[0].provider);
+        expect(seen.host).toBe('rpc0.test');
+        expect(pool.members[0].requests).toHaveLength(1);
+    });
+
+    test('records a failure on the endpoint and rethrows', async () => {
+        pool = createPool();
+
+        await expect(pool.withMember(async () => {
+            throw new Error('connection reset');
+        })).rejects.toThrow('connection reset');
+        expect(pool.members[0].consecutiveFailures).toBe(1);
+    });
+});
@@ -0,0 +1,310 @@
+// tests/services/TransactionQueue.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATABASE_PATH = path.join(os.tmpdir(), `tx-queue-test-${process.pid}.db`);
+process.env.DATABASE_PATH = DATABASE_PATH;
+
+const { initializeDatabase, getDatabase, closeDatabase } = require('../../src/config/database');
+const { blockchainConfig } = require('../../src/config/blockchain');
+const TransactionQueue = require('../../src/services/TransactionQueue');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const { unknownConfirmBlocks } = blockchainConfig.queueSettings;
+
+// A chain the tests move by hand. `provider` stands for the pool, `pinned` for the single
+// endpoint the pool's withMember hands out; both read the same chain unless a test overrides one.
+function createChain() {
+    const chain = {
+        blockNumber: 100,
+        latestNonce: 0,
+        pendingNonce: 0,
+        receipts: {},
+        mempool: new Set()
+    };
+
+    const endpoint = () => ({
+        getBlockNumber: jest.fn(async () => chain.blockNumber),
+        getTransactionCount: jest.fn(async (address, tag) => (tag === 'pending' ? chain.pendingNonce : chain.latestNonce)),
+        getTransactionReceipt: jest.fn(async hash => chain.receipts[hash] || null),
+        getTransaction: jest.fn(async hash => (chain.mempool.has(hash) ? { hash } : null))
+    });
+
+    chain.provider = {
+        ...endpoint(),
+        withMember: jest.fn(async fn => fn(chain.pinned, 'pinned.test'))
+    };
+    chain.pinned = endpoint();
+
+    chain.blockchainService = {
+        wallet: { address: WALLET },
+        provider: chain.provider,
+        checkRateLimit: jest.fn(async () => true),
+        getTransactionReceipt: hash => chain.provider.getTransactionReceipt(hash),
+        getTransaction: hash => chain.provider.getTransaction(hash)
+    };
+
+    return chain;
+}
+
+function receipt(hash, blockNumber, status = 1) {
+    return { hash, blockNumber, status, gasUsed: 21000n, gasPrice: 5000000000n };
+}
+
+async function insertJob(fields) {
+    const db = getDatabase();
+    const job = {
+        status: 'sent',
+        raw_tx: '0xsigned',
+        ...fields
+    };
+
+    const { lastID } = await db.run(`
+        INSERT INTO tx_queue (type, method, to_address, data, nonce, raw_tx, tx_hash, status, sent_at)
+        VALUES ('admin', 'setPaused', ?, '0x', ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [WALLET, job.nonce, job.raw_tx, job.tx_hash, job.status]);
+
+    return lastID;
+}
+
+async function getJob(id) {
+    return getDatabase().get('SELECT * FROM tx_queue WHERE id = ?', [id]);
+}
+
+describe('TransactionQueue', () => {
+    let chain;
+    let queue;
+    let failures;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await initializeDatabase();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        for (const suffix of ['', '-wal', '-shm']) {
+            fs.rmSync(`${DATABASE_PATH}${suffix}`, { force: true });
+        }
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        await getDatabase().run('DELETE FROM tx_replacements');
+        await getDatabase().run('DELETE FROM tx_queue');
+
+        chain = createChain();
+        queue = new TransactionQueue(chain.blockchainService);
+        failures = [];
+        queue.onJobFailed((job, reason) => failures.push({ id: job.id, reason }));
+    });
+
+    describe('settleJobs', () => {
+        test('marks a job with a successful receipt mined', async () => {
+            const id = await insertJob({ nonce: 4, tx_hash: '0xa4' });
+            chain.latestNonce = 5;
+            chain.receipts['0xa4'] = receipt('0xa4', 99);
+
+            await queue.settleJobs();
+
+            const job = await getJob(id);
+            expect(job.status).toBe('mined');
+            expect(job.block_number).toBe(99);
+        });
+
+        test('finds the receipt of a replaced version of the job', async () => {
+            const id = await insertJob({ nonce: 4, tx_hash: '0xb4' });
+            await getDatabase().run(
+                "INSERT INTO tx_replacements (job_id, kind, tx_hash, replaced_tx_hash, gas_price) VALUES (?, 'speedup', '0xb4', '0xa4', '1')",
+                [id]
+            );
+            chain.latestNonce = 5;
+            chain.receipts['0xa4'] = receipt('0xa4', 98);
+
+            await queue.settleJobs();
+
+            const job = await getJob(id);
+            expect(job.status).toBe('mined');
+            expect(job.tx_hash).toBe('0xa4');
+        });
+
+        test('fails a job whose transaction reverted', async () => {
+            const id = await insertJob({ nonce: 4, tx_hash: '0xa4' });
+            chain.latestNonce = 5;
+            chain.receipts['0xa4'] = receipt('0xa4', 99, 0);
+
+            await queue.settleJobs();
+
+            expect((await getJob(id)).status).toBe('failed');
+            expect(failures).toEqual([{ id, reason: 'Transaction reverted' }]);
+        });
+
+        test('rebroadcasts a job that dropped out of the mempool with the same signed bytes', async () => {
+            const id = await insertJob({ nonce: 4, tx_hash: '0xa4' });
+            chain.latestNonce = 4;
+
+            await queue.settleJobs();
+
+            const job = await getJob(id);
+            expect(job.status).toBe('signed');
+            expect(job.nonce).toBe(4);
+            expect(job.raw_tx).toBe('0xsigned');
+        });
+
+        test('leaves a job that is still in the mempool alone', async () => {
+            const id = await insertJob({ nonce: 4, tx_hash: '0xa4' });
+            chain.latestNonce = 4;
+            chain.mempool.add('0xa4');
+
+            await queue.settleJobs();
+
+            expect((await getJob(id)).status).toBe('sent');
+        });
+
+        test('marks a job whose nonce was used without a receipt unknown instead of re-sending it', async () => {
+            const id = await insertJob({ nonce: 4, tx_hash: '0xa4' });
+            chain.latestNonce = 5;
+
+            await queue.settleJobs();
+
+            const job = await getJob(id);
+            expect(job.status).toBe('unknown');
+            expect(job.unknown_since_block).toBe(100);
+            // Nonce and signed bytes stay, so the job is never signed again with a new nonce
+            expect(job.nonce).toBe(4);
+            expect(job.raw_tx).toBe('0xsigned');
+            expect(failures).toEqual([]);
+        });
+    });
+
+    describe('unknown jobs', () => {
+        async function insertUnknownJob() {
+            const id = await insertJob({ nonce: 4, tx_hash: '0xa4' });
+            chain.latestNonce = 5;
+            chain.pinned.getTransactionCount.mockResolvedValue(5);
+            await queue.settleJobs();
+            return id;
+        }
+
+        test('are mined once the pinned endpoint has the receipt', async () => {
+            const id = await insertUnknownJob();
+            chain.receipts['0xa4'] = receipt('0xa4', 99);
+
+            await queue.settleJobs();
+
+            expect((await getJob(id)).status).toBe('mined');
+            expect(chain.provider.withMember).toHaveBeenCalled();
+        });
+
+        test('wait for unknownConfirmBlocks before failing, reading everything from one endpoint', async () => {
+            const id = await insertUnknownJob();
+
+            chain.blockNumber = 100 + unknownConfirmBlocks - 1;
+            await queue.settleJobs();
+            expect((await getJob(id)).status).toBe('unknown');
+
+            chain.blockNumber = 100 + unknownConfirmBlocks;
+            await queue.settleJobs();
+
+            expect((await getJob(id)).status).toBe('failed');
+            expect(failures).toEqual([{ id, reason: 'Nonce 4 was used by another transaction' }]);
+            expect(chain.pinned.getTransactionCount).toHaveBeenCalled();
+            expect(chain.pinned.getTransactionReceipt).toHaveBeenCalledWith('0xa4');
+        });
+
+        test('go back to waiting when the pinned endpoint has not used the nonce', async () => {
+            const id = await insertUnknownJob();
+            chain.pinned.getTransactionCount.mockResolvedValue(4);
+
+            await queue.settleJobs();
+
+            const job = await getJob(id);
+            expect(job.status).toBe('sent');
+            expect(job.unknown_since_block).toBeNull();
+        });
+
+        test('end cancelled when an admin had asked for a cancel', async () => {
+            const id = await insertUnknownJob();
+            await getDatabase().run('UPDATE tx_queue SET cancel_requested_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+            chain.blockNumber = 100 + unknownConfirmBlocks;
+
+            await queue.settleJobs();
+
+            expect((await getJob(id)).status).toBe('cancelled');
+        });
+    });
+
+    describe('recover', () => {
+        test('settles signed and sent jobs and collects the unused nonces below them', async () => {
+            const mined = await insertJob({ nonce: 3, tx_hash: '0xa3' });
+            const signed = await insertJob({ nonce: 5, tx_hash: '0xa5', status: 'signed' });
+            const sent = await insertJob({ nonce: 8, tx_hash: '0xa8' });
+            chain.latestNonce = 4;
+            chain.pendingNonce = 6;
+            chain.receipts['0xa3'] = receipt('0xa3', 97);
+            chain.mempool.add('0xa8');
+
+            await queue.recover();
+
+            expect((await getJob(mined)).status).toBe('mined');
+            expect((await getJob(signed)).status).toBe('signed');
+            expect((await getJob(sent)).status).toBe('sent');
+            expect(queue.gapNonces).toEqual([4, 6, 7]);
+            expect(queue.nextNonce).toBe(9);
+            expect(queue.recovered).toBe(true);
+        });
+
+        test('continues from the pending nonce when nothing is in flight', async () => {
+            chain.latestNonce = 7;
+            chain.pendingNonce = 9;
+
+            await queue.recover();
+
+            expect(queue.gapNonces).toEqual([]);
+            expect(queue.nextNonce).toBe(9);
+        });
+
+        test('sets aside a job whose nonce was used while the bot was down', async () => {
+            const id = await insertJob({ nonce: 4, tx_hash: '0xa4', status: 'signed' });
+            chain.latestNonce = 6;
+            chain.pendingNonce = 6;
+
+            await queue.recover();
+
+            expect((await getJob(id)).status).toBe('unknown');
+            expect(queue.gapNonces).toEqual([]);
+            expect(queue.nextNonce).toBe(6);
+        });
+    });
+
+    describe('processQueue', () => {
+        test('reruns for a job queued while the run stopped at a job it could not send', async () => {
+            const id = await insertJob({ nonce: 4, tx_hash: '0xa4', status: 'signed' });
+            queue.recovered = true;
+            queue.settleJobs = jest.fn(async () => {});
+            queue.speedUpStuckJobs = jest.fn(async () => {});
+            queue.fillNonceGaps = jest.fn(async () => {});
+
+            // The first attempt overlaps with an enqueue(), the rerun gets the job through
+            queue.sendJob = jest.fn()
+                .mockImplementationOnce(async () => {
+                    queue.processQueue();
+                    return false;
+                })
+                .mockImplementationOnce(async () => {
+                    await getDatabase().run("UPDATE tx_queue SET status = 'sent' WHERE id = ?", [id]);
+                    return true;
+                });
+
+            await queue.processQueue();
+
+            expect(queue.sendJob).toHaveBeenCalledTimes(2);
+            expect(queue.fillNonceGaps).toHaveBeenCalledTimes(1);
+            expect(queue.rerunRequested).toBe(false);
+        });
+    });
+});